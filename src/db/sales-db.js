@@ -34,6 +34,24 @@ const getAppPath = () => {
         : path.join(process.env.HOME || process.env.USERPROFILE, '.pipe-inventory');
 };
 
+/**
+ * Parse a JSON column, tolerating empty and invalid values
+ * @param {string} value - Stored JSON
+ * @returns {Object} Parsed object
+ */
+const parseJsonColumn = (value) => {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Reads and writes sales in the shared schema (see db/schema.js) and returns them
+ * in the shape the sales screens use: invoiceNumber, buyer, items, totalAmount...
+ */
 class SalesDB {
     constructor() {
         // Check if sqlite3 module is available
@@ -49,14 +67,13 @@ class SalesDB {
         log.info(`Initializing SalesDB with path: ${this.dbPath}`);
         
         try {
+            // Tables are created and migrated by main/database.js, which owns the schema
             this.db = new sqlite3.Database(this.dbPath, sqlite3.OPEN_READWRITE, (err) => {
                 if (err) {
                     log.error('Error connecting to sales database:', err);
-                    // Try to create the table in case it doesn't exist
-                    this.createTablesIfNeeded();
+                    this.fallbackMode = true;
                 } else {
                     log.info('Connected to sales database successfully');
-                    this.createTablesIfNeeded();
                 }
             });
         } catch (error) {
@@ -65,246 +82,291 @@ class SalesDB {
         }
     }
 
-    createTablesIfNeeded() {
-        if (this.fallbackMode) return;
-        
-        log.info('Checking if sales table exists');
-        const query = `
-            CREATE TABLE IF NOT EXISTS sales (
-                id TEXT PRIMARY KEY,
-                invoiceNumber TEXT,
-                buyer TEXT,
-                date TEXT,
-                items TEXT,
-                totalAmount REAL,
-                paymentMethod TEXT,
-                status TEXT,
-                notes TEXT,
-                createdAt TEXT,
-                updatedAt TEXT
-            )
-        `;
-
-        this.db.run(query, (err) => {
-            if (err) {
-                log.error('Error creating sales table:', err);
+    /**
+     * Close and reopen the connection, e.g. after the database file has been replaced
+     * @returns {Promise<void>}
+     */
+    reconnect() {
+        if (this.fallbackMode && !this.dbPath) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const connect = () => {
+                this.db = new sqlite3.Database(this.dbPath, sqlite3.OPEN_READWRITE, (err) => {
+                    if (err) {
+                        log.error('Error reconnecting to sales database:', err);
+                        this.fallbackMode = true;
+                    } else {
+                        log.info('Reconnected to sales database');
+                        this.fallbackMode = false;
+                    }
+                    resolve();
+                });
+            };
+
+            if (this.db) {
+                this.db.close(() => connect());
             } else {
-                log.info('Sales table created or already exists');
+                connect();
             }
         });
     }
 
-    getAllSales() {
+    runQuery(query, params = []) {
         return new Promise((resolve, reject) => {
-            // Return empty array in fallback mode
-            if (this.fallbackMode) {
-                log.warn('SalesDB in fallback mode, returning empty sales array');
-                resolve([]);
-                return;
-            }
-            
-            log.info('Getting all sales');
-            const query = `SELECT * FROM sales ORDER BY date DESC`;
-            this.db.all(query, [], (err, rows) => {
+            this.db.run(query, params, function(err) {
                 if (err) {
-                    log.error('Error fetching sales:', err);
-                    resolve([]); // Return empty array instead of rejecting
+                    reject(err);
                 } else {
-                    try {
-                        // Parse the items JSON string for each sale
-                        const sales = rows.map(row => {
-                            try {
-                                return {
-                                    ...row,
-                                    items: JSON.parse(row.items || '[]'),
-                                    buyer: JSON.parse(row.buyer || '{}')
-                                };
-                            } catch (parseError) {
-                                log.error(`Error parsing JSON for sale ${row.id}:`, parseError);
-                                return {
-                                    ...row,
-                                    items: [],
-                                    buyer: {}
-                                };
-                            }
-                        });
-                        log.info(`Retrieved ${sales.length} sales records`);
-                        resolve(sales);
-                    } catch (parseError) {
-                        log.error('Error parsing sales data:', parseError);
-                        resolve([]);
-                    }
+                    resolve({ changes: this.changes });
                 }
             });
         });
     }
 
-    getSaleById(id) {
+    allQuery(query, params = []) {
         return new Promise((resolve, reject) => {
-            // Return null in fallback mode
-            if (this.fallbackMode) {
-                log.warn('SalesDB in fallback mode, returning null for getSaleById');
-                resolve(null);
-                return;
-            }
-            
-            const query = `SELECT * FROM sales WHERE id = ?`;
-            this.db.get(query, [id], (err, row) => {
+            this.db.all(query, params, (err, rows) => {
                 if (err) {
-                    log.error('Error fetching sale:', err);
                     reject(err);
-                } else if (!row) {
-                    resolve(null);
                 } else {
-                    // Parse the items JSON string
-                    const sale = {
-                        ...row,
-                        items: JSON.parse(row.items || '[]'),
-                        buyer: JSON.parse(row.buyer || '{}')
-                    };
-                    resolve(sale);
+                    resolve(rows || []);
                 }
             });
         });
     }
 
-    createSale(saleData) {
-        return new Promise((resolve, reject) => {
-            // Return mock data in fallback mode
-            if (this.fallbackMode) {
-                log.warn('SalesDB in fallback mode, returning mock data for createSale');
-                const now = new Date().toISOString();
-                const mockSale = {
-                    id: saleData.id || Date.now().toString(),
-                    invoiceNumber: saleData.invoiceNumber || `INV-${Date.now()}`,
-                    buyer: saleData.buyer || {},
-                    date: saleData.date || now,
-                    items: saleData.items || [],
-                    totalAmount: saleData.totalAmount || 0,
-                    paymentMethod: saleData.paymentMethod || 'Cash',
-                    status: saleData.status || 'completed',
-                    notes: saleData.notes || '',
-                    createdAt: now,
-                    updatedAt: now
-                };
-                resolve(mockSale);
-                return;
-            }
-            
-            const now = new Date().toISOString();
-            const sale = {
-                id: saleData.id || Date.now().toString(),
-                invoiceNumber: saleData.invoiceNumber || `INV-${Date.now()}`,
-                buyer: JSON.stringify(saleData.buyer || {}),
-                date: saleData.date || now,
-                items: JSON.stringify(saleData.items || []),
-                totalAmount: saleData.totalAmount || 0,
-                paymentMethod: saleData.paymentMethod || 'Cash',
-                status: saleData.status || 'completed',
-                notes: saleData.notes || '',
-                createdAt: now,
-                updatedAt: now
-            };
+    /**
+     * Load sale rows together with their line items
+     * @param {string} whereClause - SQL after FROM sales (filters and ordering)
+     * @param {Array} params - Query parameters
+     * @returns {Promise<Array>} Sales in the screen shape
+     */
+    async loadSales(whereClause, params = []) {
+        const rows = await this.allQuery(`SELECT * FROM sales ${whereClause}`, params);
+        if (rows.length === 0) return [];
 
-            const query = `
-                INSERT INTO sales (
-                    id, invoiceNumber, buyer, date, items, totalAmount,
-                    paymentMethod, status, notes, createdAt, updatedAt
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
+        const itemRows = await this.allQuery(
+            `SELECT * FROM sale_items WHERE sale_id IN (${rows.map(() => '?').join(', ')}) ORDER BY rowid`,
+            rows.map(row => row.id)
+        );
+        const itemsBySale = new Map();
+        itemRows.forEach(item => {
+            if (!itemsBySale.has(item.sale_id)) itemsBySale.set(item.sale_id, []);
+            itemsBySale.get(item.sale_id).push(item);
+        });
+
+        return rows.map(row => this.toSale(row, itemsBySale.get(row.id) || []));
+    }
+
+    /**
+     * Convert a sales row and its sale_items rows to the screen shape
+     * @param {Object} row - sales row
+     * @param {Array} itemRows - sale_items rows
+     * @returns {Object} Sale
+     */
+    toSale(row, itemRows) {
+        const additionalData = parseJsonColumn(row.additional_data);
+
+        return {
+            id: row.id,
+            invoiceNumber: row.invoice_number,
+            buyer: {
+                ...(additionalData.buyer || {}),
+                id: row.customer_id,
+                name: row.customer_name,
+                phone: row.customer_contact
+            },
+            date: additionalData.date || row.created_at,
+            items: itemRows.map(item => ({
+                id: item.product_id,
+                description: item.product_name,
+                quantity: item.quantity,
+                price: item.unit_price,
+                discount: item.discount || 0,
+                total: item.total_price,
+                cost_price: item.cost_price
+            })),
+            totalAmount: row.total_amount,
+            paymentMethod: row.payment_method,
+            status: row.status,
+            notes: row.notes,
+            createdAt: row.created_at,
+            updatedAt: additionalData.updatedAt || row.created_at
+        };
+    }
+
+    getAllSales() {
+        // Return empty array in fallback mode
+        if (this.fallbackMode) {
+            log.warn('SalesDB in fallback mode, returning empty sales array');
+            return Promise.resolve([]);
+        }
+        
+        log.info('Getting all sales');
+        return this.loadSales('ORDER BY created_at DESC')
+            .then(sales => {
+                log.info(`Retrieved ${sales.length} sales records`);
+                return sales;
+            })
+            .catch(err => {
+                log.error('Error fetching sales:', err);
+                return []; // Return empty array instead of rejecting
+            });
+    }
+
+    async getSaleById(id) {
+        // Return null in fallback mode
+        if (this.fallbackMode) {
+            log.warn('SalesDB in fallback mode, returning null for getSaleById');
+            return null;
+        }
+        
+        try {
+            const sales = await this.loadSales('WHERE id = ?', [id]);
+            return sales[0] || null;
+        } catch (err) {
+            log.error('Error fetching sale:', err);
+            throw err;
+        }
+    }
+
+    async createSale(saleData) {
+        const now = new Date().toISOString();
+        const sale = {
+            id: saleData.id || Date.now().toString(),
+            invoiceNumber: saleData.invoiceNumber || `INV-${Date.now()}`,
+            buyer: saleData.buyer || {},
+            date: saleData.date || now,
+            items: saleData.items || [],
+            totalAmount: saleData.totalAmount || 0,
+            paymentMethod: saleData.paymentMethod || 'Cash',
+            status: saleData.status || 'completed',
+            notes: saleData.notes || '',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        // Return mock data in fallback mode
+        if (this.fallbackMode) {
+            log.warn('SalesDB in fallback mode, returning mock data for createSale');
+            return sale;
+        }
+
+        try {
+            await this.runQuery('BEGIN TRANSACTION');
 
-            this.db.run(query, [
+            await this.runQuery(`
+                INSERT INTO sales (
+                    id, invoice_number, customer_name, customer_id, customer_contact,
+                    total_amount, payment_method, status, created_at, created_by, notes, additional_data
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
                 sale.id,
                 sale.invoiceNumber,
-                sale.buyer,
-                sale.date,
-                sale.items,
+                sale.buyer.name || '',
+                sale.buyer.id || null,
+                sale.buyer.phone || sale.buyer.email || '',
                 sale.totalAmount,
                 sale.paymentMethod,
                 sale.status,
-                sale.notes,
                 sale.createdAt,
-                sale.updatedAt
-            ], function(err) {
-                if (err) {
-                    log.error('Error creating sale:', err);
-                    reject(err);
-                } else {
-                    // Return the created sale with parsed items
-                    resolve({
-                        ...sale,
-                        items: JSON.parse(sale.items),
-                        buyer: JSON.parse(sale.buyer)
-                    });
+                saleData.createdBy || 'system',
+                sale.notes,
+                JSON.stringify({ buyer: sale.buyer, date: sale.date, updatedAt: sale.updatedAt })
+            ]);
+
+            for (const [index, item] of sale.items.entries()) {
+                const quantity = parseFloat(item.quantity) || 0;
+                const price = parseFloat(item.price) || 0;
+                const discount = parseFloat(item.discount) || 0;
+                const productId = item.id || item.itemId || null;
+
+                // Snapshot the buying price so the sale keeps its margin when prices change
+                let costPrice = parseFloat(item.cost_price || item.buyingPrice) || 0;
+                if (!costPrice && productId) {
+                    const [stockRow] = await this.allQuery('SELECT buying_price FROM inventory WHERE id = ?', [productId]);
+                    costPrice = stockRow ? parseFloat(stockRow.buying_price) || 0 : 0;
                 }
-            });
-        });
+
+                await this.runQuery(`
+                    INSERT INTO sale_items (
+                        id, sale_id, product_id, product_name, quantity, unit_price, discount, total_price, cost_price
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    `${sale.id}-${index + 1}`,
+                    sale.id,
+                    productId,
+                    item.description || item.name || '',
+                    quantity,
+                    price,
+                    discount,
+                    parseFloat(item.total) || quantity * price - discount,
+                    costPrice
+                ]);
+            }
+
+            await this.runQuery('COMMIT');
+            return sale;
+        } catch (err) {
+            log.error('Error creating sale:', err);
+            await this.runQuery('ROLLBACK').catch(() => {});
+            throw err;
+        }
     }
 
     getSalesByPeriod(period, customRange = {}) {
-        return new Promise((resolve, reject) => {
-            // Return empty array in fallback mode
-            if (this.fallbackMode) {
-                log.warn('SalesDB in fallback mode, returning empty array for getSalesByPeriod');
-                resolve([]);
-                return;
-            }
-            
-            let query = `SELECT * FROM sales WHERE 1=1`;
-            const params = [];
-
-            const now = new Date();
-            let startDate;
-
-            switch(period) {
-                case 'day':
-                    startDate = new Date(now.setHours(0, 0, 0, 0));
-                    query += ` AND date >= ?`;
-                    params.push(startDate.toISOString());
-                    break;
-                case 'week':
-                    startDate = new Date(now.setDate(now.getDate() - 7));
-                    query += ` AND date >= ?`;
-                    params.push(startDate.toISOString());
-                    break;
-                case 'month':
-                    startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                    query += ` AND date >= ?`;
-                    params.push(startDate.toISOString());
-                    break;
-                case 'year':
-                    startDate = new Date(now.getFullYear(), 0, 1);
-                    query += ` AND date >= ?`;
-                    params.push(startDate.toISOString());
-                    break;
-                case 'custom':
-                    if (customRange.startDate) {
-                        query += ` AND date >= ?`;
-                        params.push(new Date(customRange.startDate).toISOString());
-                    }
-                    if (customRange.endDate) {
-                        query += ` AND date <= ?`;
-                        params.push(new Date(customRange.endDate).toISOString());
-                    }
-                    break;
-            }
+        // Return empty array in fallback mode
+        if (this.fallbackMode) {
+            log.warn('SalesDB in fallback mode, returning empty array for getSalesByPeriod');
+            return Promise.resolve([]);
+        }
+        
+        let query = `WHERE 1=1`;
+        const params = [];
 
-            query += ` ORDER BY date DESC`;
+        const now = new Date();
+        let startDate;
 
-            this.db.all(query, params, (err, rows) => {
-                if (err) {
-                    log.error('Error fetching sales by period:', err);
-                    reject(err);
-                } else {
-                    // Parse the items JSON string for each sale
-                    const sales = rows.map(row => ({
-                        ...row,
-                        items: JSON.parse(row.items || '[]'),
-                        buyer: JSON.parse(row.buyer || '{}')
-                    }));
-                    resolve(sales);
+        switch(period) {
+            case 'day':
+                startDate = new Date(now.setHours(0, 0, 0, 0));
+                query += ` AND created_at >= ?`;
+                params.push(startDate.toISOString());
+                break;
+            case 'week':
+                startDate = new Date(now.setDate(now.getDate() - 7));
+                query += ` AND created_at >= ?`;
+                params.push(startDate.toISOString());
+                break;
+            case 'month':
+                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+                query += ` AND created_at >= ?`;
+                params.push(startDate.toISOString());
+                break;
+            case 'year':
+                startDate = new Date(now.getFullYear(), 0, 1);
+                query += ` AND created_at >= ?`;
+                params.push(startDate.toISOString());
+                break;
+            case 'custom':
+                if (customRange.startDate) {
+                    query += ` AND created_at >= ?`;
+                    params.push(new Date(customRange.startDate).toISOString());
                 }
-            });
+                if (customRange.endDate) {
+                    query += ` AND created_at <= ?`;
+                    params.push(new Date(customRange.endDate).toISOString());
+                }
+                break;
+        }
+
+        query += ` ORDER BY created_at DESC`;
+
+        return this.loadSales(query, params).catch(err => {
+            log.error('Error fetching sales by period:', err);
+            throw err;
         });
     }
 
@@ -347,26 +409,25 @@ class SalesDB {
         });
     }
 
-    deleteSale(id) {
-        return new Promise((resolve, reject) => {
-            // Return success in fallback mode
-            if (this.fallbackMode) {
-                log.warn('SalesDB in fallback mode, returning mock success for deleteSale');
-                resolve({ success: true, id });
-                return;
-            }
-            
-            const query = `DELETE FROM sales WHERE id = ?`;
-            this.db.run(query, [id], function(err) {
-                if (err) {
-                    log.error('Error deleting sale:', err);
-                    reject(err);
-                } else {
-                    resolve({ success: true, id });
-                }
-            });
-        });
+    async deleteSale(id) {
+        // Return success in fallback mode
+        if (this.fallbackMode) {
+            log.warn('SalesDB in fallback mode, returning mock success for deleteSale');
+            return { success: true, id };
+        }
+        
+        try {
+            await this.runQuery('BEGIN TRANSACTION');
+            await this.runQuery(`DELETE FROM sale_items WHERE sale_id = ?`, [id]);
+            await this.runQuery(`DELETE FROM sales WHERE id = ?`, [id]);
+            await this.runQuery('COMMIT');
+            return { success: true, id };
+        } catch (err) {
+            log.error('Error deleting sale:', err);
+            await this.runQuery('ROLLBACK').catch(() => {});
+            throw err;
+        }
     }
 }
 
-module.exports = new SalesDB(); 
\ No newline at end of file
+module.exports = new SalesDB();
\ No newline at end of file
@@ -0,0 +1,1004 @@
+/**
+ * Database Schema
+ * The single owner of the SQLite schema. Changes are numbered, forward-only migrations;
+ * the last one applied is kept in PRAGMA user_version.
+ *
+ * Migrations run against a connection exposing run/get/all/executeTransaction
+ * (see main/database.js). Never edit a migration once released - add a new one.
+ */
+
+const fs = require('fs');
+const log = require('electron-log');
+
+/**
+ * Version 1 layouts of the core tables, shared by the create and the legacy conversion paths
+ */
+const BASE_TABLES = {
+  inventory: `
+    id TEXT PRIMARY KEY,
+    type TEXT,
+    description TEXT,
+    quantity INTEGER DEFAULT 0,
+    cost_price REAL DEFAULT 0,
+    selling_price REAL DEFAULT 0,
+    color TEXT,
+    diameter TEXT,
+    brand TEXT,
+    dimensions TEXT,
+    buying_price REAL DEFAULT 0,
+    alert_threshold INTEGER DEFAULT 10,
+    created_at TEXT,
+    updated_at TEXT,
+    created_by TEXT,
+    updated_by TEXT,
+    additional_data TEXT`,
+
+  sales: `
+    id TEXT PRIMARY KEY,
+    invoice_number TEXT UNIQUE,
+    customer_name TEXT,
+    customer_id TEXT,
+    customer_contact TEXT,
+    total_amount REAL DEFAULT 0,
+    payment_method TEXT,
+    status TEXT DEFAULT 'completed',
+    created_at TEXT,
+    created_by TEXT,
+    notes TEXT,
+    additional_data TEXT`,
+
+  sale_items: `
+    id TEXT PRIMARY KEY,
+    sale_id TEXT,
+    product_id TEXT,
+    product_name TEXT,
+    quantity INTEGER,
+    unit_price REAL,
+    total_price REAL,
+    cost_price REAL,
+    FOREIGN KEY(sale_id) REFERENCES sales(id)`,
+
+  categories: `
+    id TEXT PRIMARY KEY,
+    name TEXT UNIQUE,
+    description TEXT,
+    created_at TEXT,
+    updated_at TEXT`,
+
+  customers: `
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    business TEXT,
+    email TEXT,
+    phone TEXT,
+    address TEXT,
+    tin TEXT,
+    type TEXT DEFAULT 'regular',
+    notes TEXT,
+    totalPurchases REAL DEFAULT 0,
+    purchaseCount INTEGER DEFAULT 0,
+    lastPurchaseDate TEXT,
+    createdAt TEXT,
+    updatedAt TEXT`,
+
+  reports: `
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    name TEXT,
+    description TEXT,
+    data TEXT,
+    parameters TEXT,
+    charts TEXT,
+    createdAt TEXT,
+    updatedAt TEXT`,
+
+  settings: `
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    description TEXT,
+    updated_at TEXT`
+};
+
+/**
+ * A column that only the current layout has, per table. A table without it was created
+ * by one of the older modules (db/sqlite-db.js or db/sales-db.js) and is converted.
+ */
+const LAYOUT_MARKERS = {
+  inventory: 'selling_price',
+  sales: 'invoice_number',
+  customers: 'updatedAt',
+  settings: 'description'
+};
+
+const SALE_ITEM_COLUMNS = ['id', 'sale_id', 'product_id', 'product_name', 'quantity', 'unit_price', 'total_price', 'cost_price'];
+
+/**
+ * Parse a JSON column, tolerating empty and invalid values
+ * @param {string} value - Stored JSON
+ * @param {*} fallback - Value to return when it cannot be parsed
+ * @returns {*} Parsed value
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Return the first value that is not null/undefined/empty
+ * @param {...*} values - Candidate values; the last one is the default
+ * @returns {*} First usable value, or the last candidate
+ */
+function firstOf(...values) {
+  const found = values.find(value => value !== undefined && value !== null && value !== '');
+  return found !== undefined ? found : (values[values.length - 1] ?? null);
+}
+
+/**
+ * List the columns of a table
+ * @param {Object} conn - Database connection
+ * @param {string} table - Table name
+ * @param {string} [schemaName='main'] - Attached schema name
+ * @returns {Promise<Array<string>>} Column names (empty if the table does not exist)
+ */
+async function getTableColumns(conn, table, schemaName = 'main') {
+  const columns = await conn.all(`PRAGMA ${schemaName}.table_info(${table})`);
+  return columns.map(column => column.name);
+}
+
+/**
+ * Insert a row, skipping it if the primary key already exists
+ * @param {Object} conn - Database connection
+ * @param {string} table - Target table
+ * @param {Object} row - Column values
+ */
+async function insertRow(conn, table, row) {
+  const columns = Object.keys(row);
+  await conn.run(
+    `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  );
+}
+
+/**
+ * Legacy row converters. Each accepts a row from any of the historic layouts
+ * (including the current one) and returns rows in the current layout.
+ */
+const ROW_CONVERTERS = {
+  // db/sqlite-db.js kept name/category/price/cost/minimum_stock/createdAt/lastUpdated
+  inventory(row) {
+    const extras = {};
+    ['category', 'unit', 'sku', 'supplier', 'location', 'image'].forEach(key => {
+      if (firstOf(row[key]) !== null) extras[key] = row[key];
+    });
+    if (row.name && row.description && row.name !== row.description) {
+      extras.notes = row.description;
+    }
+    const additionalData = { ...extras, ...parseJson(row.additional_data, {}) };
+
+    return [{
+      table: 'inventory',
+      row: {
+        id: row.id,
+        type: firstOf(row.type, row.category, ''),
+        description: firstOf(row.name, row.description, ''),
+        quantity: row.quantity || 0,
+        cost_price: firstOf(row.cost_price, row.cost, 0),
+        selling_price: firstOf(row.selling_price, row.price, 0),
+        color: firstOf(row.color, ''),
+        diameter: firstOf(row.diameter, ''),
+        brand: firstOf(row.brand, ''),
+        dimensions: firstOf(row.dimensions, ''),
+        buying_price: row.buying_price || firstOf(row.cost_price, row.cost, 0),
+        alert_threshold: firstOf(row.alert_threshold, row.minimum_stock, 10),
+        created_at: firstOf(row.created_at, row.createdAt),
+        updated_at: firstOf(row.updated_at, row.lastUpdated, row.updatedAt),
+        created_by: firstOf(row.created_by, 'system'),
+        updated_by: firstOf(row.updated_by, row.created_by, 'system'),
+        additional_data: Object.keys(additionalData).length > 0 ? JSON.stringify(additionalData) : null
+      }
+    }];
+  },
+
+  // db/sqlite-db.js kept date/items/receipt_number; db/sales-db.js kept camelCase columns,
+  // a buyer JSON object and items JSON. Line items move to sale_items.
+  sales(row) {
+    const buyer = parseJson(row.buyer, {});
+    const items = parseJson(row.items, []);
+    const additionalData = parseJson(row.additional_data, {});
+    if (Object.keys(buyer).length > 0) additionalData.buyer = buyer;
+    if (row.date) additionalData.date = row.date;
+    if (firstOf(row.updatedAt, row.lastUpdated)) additionalData.updatedAt = firstOf(row.updatedAt, row.lastUpdated);
+
+    const converted = [{
+      table: 'sales',
+      row: {
+        id: row.id,
+        invoice_number: firstOf(row.invoice_number, row.invoiceNumber, row.receipt_number),
+        customer_name: firstOf(row.customer_name, buyer.name, ''),
+        customer_id: firstOf(row.customer_id, buyer.id),
+        customer_contact: firstOf(row.customer_contact, buyer.phone, buyer.email, ''),
+        total_amount: firstOf(row.total_amount, row.totalAmount, 0),
+        payment_method: firstOf(row.payment_method, row.paymentMethod, ''),
+        status: firstOf(row.status, 'completed'),
+        created_at: firstOf(row.created_at, row.createdAt, row.date),
+        created_by: firstOf(row.created_by, 'system'),
+        notes: firstOf(row.notes, ''),
+        additional_data: Object.keys(additionalData).length > 0 ? JSON.stringify(additionalData) : null
+      }
+    }];
+
+    (Array.isArray(items) ? items : []).forEach((item, index) => {
+      const quantity = parseFloat(firstOf(item.quantity, 0)) || 0;
+      const unitPrice = parseFloat(firstOf(item.unit_price, item.price, item.selling_price, 0)) || 0;
+      converted.push({
+        table: 'sale_items',
+        row: {
+          id: `${row.id}-${index + 1}`,
+          sale_id: row.id,
+          product_id: firstOf(item.product_id, item.itemId, item.id),
+          product_name: firstOf(item.product_name, item.description, item.name, ''),
+          quantity,
+          unit_price: unitPrice,
+          total_price: parseFloat(firstOf(item.total_price, item.total, quantity * unitPrice)) || 0,
+          cost_price: parseFloat(firstOf(item.cost_price, item.buyingPrice, item.buying_price, item.cost, 0)) || 0
+        }
+      });
+    });
+
+    return converted;
+  },
+
+  // db/sqlite-db.js kept lastUpdated instead of updatedAt
+  customers(row) {
+    return [{
+      table: 'customers',
+      row: {
+        id: row.id,
+        name: firstOf(row.name, ''),
+        business: row.business || '',
+        email: row.email || '',
+        phone: row.phone || '',
+        address: row.address || '',
+        tin: row.tin || '',
+        type: firstOf(row.type, 'regular'),
+        notes: row.notes || '',
+        totalPurchases: parseFloat(row.totalPurchases) || 0,
+        purchaseCount: parseInt(row.purchaseCount, 10) || 0,
+        lastPurchaseDate: firstOf(row.lastPurchaseDate),
+        createdAt: firstOf(row.createdAt, row.created_at),
+        updatedAt: firstOf(row.updatedAt, row.lastUpdated, row.updated_at)
+      }
+    }];
+  },
+
+  // db/sqlite-db.js had no description column
+  settings(row) {
+    return [{
+      table: 'settings',
+      row: {
+        key: row.key,
+        value: row.value,
+        description: firstOf(row.description),
+        updated_at: firstOf(row.updated_at)
+      }
+    }];
+  }
+};
+
+/**
+ * Convert rows with a row converter and insert them
+ * Sale invoice numbers must stay unique, so a clashing number is kept in additional_data instead
+ * @param {Object} conn - Database connection
+ * @param {string} table - Source table kind (inventory, sales, customers)
+ * @param {Array} rows - Rows in any historic layout
+ * @param {Object} [targets] - Map of table kind to the actual table name to write to
+ * @returns {Promise<number>} Number of source rows converted
+ */
+async function convertRows(conn, table, rows, targets = {}) {
+  const seenInvoices = new Set();
+
+  for (const sourceRow of rows) {
+    for (const { table: target, row } of ROW_CONVERTERS[table](sourceRow)) {
+      if (target === 'sales' && row.invoice_number) {
+        const clash = seenInvoices.has(row.invoice_number) ||
+          await conn.get(`SELECT id FROM ${targets.sales || 'sales'} WHERE invoice_number = ? AND id != ?`, [row.invoice_number, row.id]);
+        if (clash) {
+          const additionalData = parseJson(row.additional_data, {});
+          additionalData.legacy_invoice_number = row.invoice_number;
+          row.additional_data = JSON.stringify(additionalData);
+          row.invoice_number = null;
+        } else {
+          seenInvoices.add(row.invoice_number);
+        }
+      }
+
+      await insertRow(conn, targets[target] || target, row);
+    }
+  }
+
+  return rows.length;
+}
+
+/**
+ * Rebuild a table that was created with an older layout
+ * The new table is filled under a temporary name and then swapped in, so foreign keys
+ * pointing at the table name keep working.
+ * @param {Object} conn - Database connection
+ * @param {string} table - Table to rebuild
+ */
+async function rebuildLegacyTable(conn, table) {
+  const tempTable = `${table}_migrated`;
+  const rows = await conn.all(`SELECT * FROM ${table}`);
+
+  await conn.run(`DROP TABLE IF EXISTS ${tempTable}`);
+  await conn.run(`CREATE TABLE ${tempTable} (${BASE_TABLES[table]})`);
+  const count = await convertRows(conn, table, rows, { [table]: tempTable });
+  await conn.run(`DROP TABLE ${table}`);
+  await conn.run(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+
+  log.info(`Converted ${count} ${table} rows from an older table layout`);
+}
+
+/**
+ * Copy everything from the attached legacy database (db/sqlite-db.js used its own file)
+ * Rows whose IDs already exist are left alone.
+ * @param {Object} conn - Database connection with the old file attached as "legacy"
+ */
+async function importLegacyDatabase(conn) {
+  for (const table of ['customers', 'inventory', 'sales']) {
+    const columns = await getTableColumns(conn, table, 'legacy');
+    if (columns.length === 0) continue;
+
+    const rows = await conn.all(`SELECT * FROM legacy.${table}`);
+    const count = await convertRows(conn, table, rows);
+
+    // Line items written by the old module's addSale live in their own table
+    const legacyItemColumns = table === 'sales' ? await getTableColumns(conn, 'sale_items', 'legacy') : [];
+    if (SALE_ITEM_COLUMNS.every(column => legacyItemColumns.includes(column))) {
+      await conn.run(`
+        INSERT OR IGNORE INTO sale_items (${SALE_ITEM_COLUMNS.join(', ')})
+        SELECT ${SALE_ITEM_COLUMNS.join(', ')} FROM legacy.sale_items
+      `);
+    }
+
+    log.info(`Imported ${count} ${table} rows from the legacy database file`);
+  }
+
+  if ((await getTableColumns(conn, 'settings', 'legacy')).length > 0) {
+    await convertRows(conn, 'settings', await conn.all('SELECT * FROM legacy.settings'));
+  }
+}
+
+/**
+ * Numbered, forward-only migrations. user_version holds the last one applied.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Core tables, converting tables from older layouts',
+    async up(conn, context) {
+      const legacyTables = [];
+      for (const [table, definition] of Object.entries(BASE_TABLES)) {
+        const columns = await getTableColumns(conn, table);
+
+        if (columns.length === 0) {
+          await conn.run(`CREATE TABLE ${table} (${definition})`);
+        } else if (LAYOUT_MARKERS[table] && !columns.includes(LAYOUT_MARKERS[table])) {
+          legacyTables.push(table);
+        }
+      }
+
+      // Converted sales write their line items to sale_items, so every table must exist first
+      for (const table of legacyTables) {
+        await rebuildLegacyTable(conn, table);
+      }
+
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_inventory_type ON inventory(type)');
+      await conn.run('DROP INDEX IF EXISTS idx_sales_date');
+      await conn.run('CREATE INDEX idx_sales_date ON sales(created_at)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_sale_items_sale_id ON sale_items(sale_id)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_sale_items_product_id ON sale_items(product_id)');
+
+      if (context.legacyAttached) {
+        await importLegacyDatabase(conn);
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Stock movement ledger',
+    async up(conn) {
+      await conn.run(`CREATE TABLE IF NOT EXISTS stock_movements (
+        id TEXT PRIMARY KEY,
+        item_id TEXT NOT NULL,
+        item_description TEXT,
+        movement_type TEXT NOT NULL,
+        quantity_change REAL DEFAULT 0,
+        quantity_before REAL DEFAULT 0,
+        quantity_after REAL DEFAULT 0,
+        reason TEXT,
+        reference_type TEXT,
+        reference_id TEXT,
+        notes TEXT,
+        user TEXT,
+        created_at TEXT
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_stock_movements_item ON stock_movements(item_id, created_at)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_stock_movements_date ON stock_movements(created_at)');
+    }
+  },
+  {
+    version: 3,
+    description: 'Suppliers, purchase orders and goods-received notes',
+    async up(conn) {
+      await conn.run(`CREATE TABLE IF NOT EXISTS suppliers (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        contact_person TEXT,
+        phone TEXT,
+        email TEXT,
+        address TEXT,
+        tin TEXT,
+        notes TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      )`);
+      await conn.run(`CREATE TABLE IF NOT EXISTS purchase_orders (
+        id TEXT PRIMARY KEY,
+        po_number TEXT UNIQUE,
+        supplier_id TEXT,
+        supplier_name TEXT,
+        status TEXT DEFAULT 'draft',
+        expected_date TEXT,
+        total_amount REAL DEFAULT 0,
+        notes TEXT,
+        created_at TEXT,
+        created_by TEXT,
+        updated_at TEXT,
+        FOREIGN KEY(supplier_id) REFERENCES suppliers(id)
+      )`);
+      await conn.run(`CREATE TABLE IF NOT EXISTS purchase_order_items (
+        id TEXT PRIMARY KEY,
+        purchase_order_id TEXT,
+        item_id TEXT,
+        item_description TEXT,
+        quantity_ordered REAL DEFAULT 0,
+        quantity_received REAL DEFAULT 0,
+        expected_price REAL DEFAULT 0,
+        FOREIGN KEY(purchase_order_id) REFERENCES purchase_orders(id)
+      )`);
+      await conn.run(`CREATE TABLE IF NOT EXISTS goods_received_notes (
+        id TEXT PRIMARY KEY,
+        grn_number TEXT UNIQUE,
+        purchase_order_id TEXT,
+        supplier_id TEXT,
+        delivery_reference TEXT,
+        total_amount REAL DEFAULT 0,
+        notes TEXT,
+        received_at TEXT,
+        received_by TEXT,
+        FOREIGN KEY(purchase_order_id) REFERENCES purchase_orders(id)
+      )`);
+      await conn.run(`CREATE TABLE IF NOT EXISTS goods_received_items (
+        id TEXT PRIMARY KEY,
+        grn_id TEXT,
+        purchase_order_item_id TEXT,
+        item_id TEXT,
+        item_description TEXT,
+        quantity REAL DEFAULT 0,
+        unit_cost REAL DEFAULT 0,
+        FOREIGN KEY(grn_id) REFERENCES goods_received_notes(id)
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_purchase_order_items_po ON purchase_order_items(purchase_order_id)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_goods_received_notes_po ON goods_received_notes(purchase_order_id)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_goods_received_items_grn ON goods_received_items(grn_id)');
+    }
+  },
+  {
+    version: 4,
+    description: 'Sales returns and credit notes',
+    async up(conn) {
+      await conn.run(`CREATE TABLE IF NOT EXISTS sales_returns (
+        id TEXT PRIMARY KEY,
+        credit_note_number TEXT UNIQUE,
+        sale_id TEXT,
+        invoice_number TEXT,
+        customer_id TEXT,
+        customer_name TEXT,
+        total_amount REAL DEFAULT 0,
+        reason TEXT,
+        refund_method TEXT,
+        notes TEXT,
+        created_at TEXT,
+        created_by TEXT,
+        FOREIGN KEY(sale_id) REFERENCES sales(id)
+      )`);
+      await conn.run(`CREATE TABLE IF NOT EXISTS sales_return_items (
+        id TEXT PRIMARY KEY,
+        return_id TEXT,
+        line_index INTEGER,
+        product_id TEXT,
+        product_name TEXT,
+        quantity REAL DEFAULT 0,
+        unit_price REAL DEFAULT 0,
+        total_price REAL DEFAULT 0,
+        FOREIGN KEY(return_id) REFERENCES sales_returns(id)
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_sales_returns_sale ON sales_returns(sale_id)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_sales_returns_date ON sales_returns(created_at)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_sales_return_items_return ON sales_return_items(return_id)');
+    }
+  },
+  {
+    version: 5,
+    description: 'Customer account payments',
+    async up(conn) {
+      await conn.run(`CREATE TABLE IF NOT EXISTS customer_payments (
+        id TEXT PRIMARY KEY,
+        receipt_number TEXT,
+        customer_id TEXT NOT NULL,
+        sale_id TEXT,
+        invoice_number TEXT,
+        amount REAL DEFAULT 0,
+        payment_method TEXT,
+        reference TEXT,
+        notes TEXT,
+        payment_date TEXT,
+        created_at TEXT,
+        created_by TEXT,
+        FOREIGN KEY(customer_id) REFERENCES customers(id)
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_customer_payments_customer ON customer_payments(customer_id, payment_date)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_customer_payments_sale ON customer_payments(sale_id)');
+    }
+  },
+  {
+    version: 6,
+    description: 'User accounts',
+    async up(conn) {
+      await conn.run(`CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name TEXT,
+        role TEXT NOT NULL DEFAULT 'cashier',
+        password_hash TEXT NOT NULL,
+        password_salt TEXT NOT NULL,
+        active INTEGER DEFAULT 1,
+        last_login TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      )`);
+    }
+  },
+  {
+    version: 7,
+    description: 'Sale line discounts and cost snapshots',
+    async up(conn) {
+      await conn.run('ALTER TABLE sale_items ADD COLUMN discount REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales_return_items ADD COLUMN cost_price REAL DEFAULT 0');
+
+      // Lines written before costs were captured get today's buying price, which at least
+      // stops their margin moving with every later price change
+      await conn.run(`
+        UPDATE sale_items
+        SET cost_price = (SELECT buying_price FROM inventory WHERE inventory.id = sale_items.product_id)
+        WHERE (cost_price IS NULL OR cost_price = 0)
+          AND product_id IN (SELECT id FROM inventory)
+      `);
+      await conn.run(`
+        UPDATE sales_return_items
+        SET cost_price = COALESCE((
+          SELECT sale_items.cost_price FROM sale_items
+          JOIN sales_returns ON sales_returns.id = sales_return_items.return_id
+          WHERE sale_items.sale_id = sales_returns.sale_id AND sale_items.product_id = sales_return_items.product_id
+          LIMIT 1
+        ), 0)
+      `);
+    }
+  },
+  {
+    version: 8,
+    description: 'Sale voids',
+    async up(conn) {
+      await conn.run('ALTER TABLE sales ADD COLUMN voided_at TEXT');
+      await conn.run('ALTER TABLE sales ADD COLUMN voided_by TEXT');
+      await conn.run('ALTER TABLE sales ADD COLUMN void_reason TEXT');
+    }
+  },
+  {
+    version: 9,
+    description: 'Sale discounts',
+    async up(conn) {
+      await conn.run('ALTER TABLE sales ADD COLUMN gross_amount REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales ADD COLUMN invoice_discount_type TEXT');
+      await conn.run('ALTER TABLE sales ADD COLUMN invoice_discount_value REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales ADD COLUMN invoice_discount REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales ADD COLUMN discount_total REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales ADD COLUMN discount_reason TEXT');
+      await conn.run('ALTER TABLE sales ADD COLUMN discount_approved_by TEXT');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN discount_type TEXT');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN discount_value REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN invoice_discount REAL DEFAULT 0');
+    }
+  },
+  {
+    version: 10,
+    description: 'Tax classes and per-line tax',
+    async up(conn) {
+      await conn.run('ALTER TABLE inventory ADD COLUMN tax_class TEXT');
+      await conn.run('ALTER TABLE sales ADD COLUMN prices_include_tax INTEGER DEFAULT 1');
+      await conn.run('ALTER TABLE sales ADD COLUMN taxable_amount REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales ADD COLUMN exempt_amount REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales ADD COLUMN tax_amount REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN tax_class TEXT');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN tax_rate REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN tax_exempt INTEGER DEFAULT 0');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN taxable_amount REAL');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN tax_amount REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales_return_items ADD COLUMN tax_class TEXT');
+      await conn.run('ALTER TABLE sales_return_items ADD COLUMN tax_rate REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales_return_items ADD COLUMN tax_exempt INTEGER DEFAULT 0');
+      await conn.run('ALTER TABLE sales_return_items ADD COLUMN tax_amount REAL DEFAULT 0');
+    }
+  },
+  {
+    version: 11,
+    description: 'Split payments',
+    async up(conn) {
+      await conn.run('ALTER TABLE sales ADD COLUMN amount_tendered REAL DEFAULT 0');
+      await conn.run('ALTER TABLE sales ADD COLUMN change_due REAL DEFAULT 0');
+      await conn.run(`CREATE TABLE IF NOT EXISTS sale_payments (
+        id TEXT PRIMARY KEY,
+        sale_id TEXT NOT NULL,
+        method TEXT NOT NULL,
+        amount REAL DEFAULT 0,
+        tendered REAL DEFAULT 0,
+        reference TEXT,
+        created_at TEXT,
+        FOREIGN KEY(sale_id) REFERENCES sales(id)
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_sale_payments_sale ON sale_payments(sale_id)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_sale_payments_method ON sale_payments(method)');
+    }
+  },
+  {
+    version: 12,
+    description: 'Cash drawer sessions',
+    async up(conn) {
+      await conn.run(`CREATE TABLE IF NOT EXISTS cash_sessions (
+        id TEXT PRIMARY KEY,
+        z_report_number TEXT UNIQUE,
+        counter TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        opening_float REAL DEFAULT 0,
+        opened_by TEXT,
+        opened_at TEXT,
+        counted_cash REAL,
+        expected_cash REAL,
+        variance REAL,
+        closing_notes TEXT,
+        summary TEXT,
+        closed_by TEXT,
+        closed_at TEXT
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_cash_sessions_status ON cash_sessions(status, opened_by)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_cash_sessions_opened ON cash_sessions(opened_at)');
+      await conn.run('ALTER TABLE sales ADD COLUMN cash_session_id TEXT');
+      await conn.run('ALTER TABLE sales_returns ADD COLUMN cash_session_id TEXT');
+      await conn.run('ALTER TABLE customer_payments ADD COLUMN cash_session_id TEXT');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_sales_cash_session ON sales(cash_session_id)');
+    }
+  },
+  {
+    version: 13,
+    description: 'Quotations',
+    async up(conn) {
+      await conn.run(`CREATE TABLE IF NOT EXISTS quotations (
+        id TEXT PRIMARY KEY,
+        quote_number TEXT UNIQUE,
+        customer_id TEXT,
+        buyer TEXT,
+        status TEXT NOT NULL DEFAULT 'draft',
+        valid_until TEXT,
+        gross_amount REAL DEFAULT 0,
+        invoice_discount_type TEXT,
+        invoice_discount_value REAL DEFAULT 0,
+        invoice_discount REAL DEFAULT 0,
+        discount_total REAL DEFAULT 0,
+        discount_percent REAL DEFAULT 0,
+        discount_reason TEXT,
+        discount_approved_by TEXT,
+        prices_include_tax INTEGER DEFAULT 1,
+        tax_amount REAL DEFAULT 0,
+        total_amount REAL DEFAULT 0,
+        notes TEXT,
+        sale_id TEXT,
+        invoice_number TEXT,
+        created_at TEXT,
+        created_by TEXT,
+        sent_at TEXT,
+        accepted_at TEXT,
+        updated_at TEXT
+      )`);
+      await conn.run(`CREATE TABLE IF NOT EXISTS quotation_items (
+        id TEXT PRIMARY KEY,
+        quotation_id TEXT,
+        line_index INTEGER,
+        item_id TEXT,
+        description TEXT,
+        type TEXT,
+        dimension TEXT,
+        quantity REAL DEFAULT 0,
+        unit_price REAL DEFAULT 0,
+        discount_type TEXT,
+        discount_value REAL DEFAULT 0,
+        discount REAL DEFAULT 0,
+        total REAL DEFAULT 0,
+        invoice_discount REAL DEFAULT 0,
+        tax_class TEXT,
+        tax_rate REAL DEFAULT 0,
+        tax_exempt INTEGER DEFAULT 0,
+        taxable_amount REAL DEFAULT 0,
+        tax_amount REAL DEFAULT 0,
+        FOREIGN KEY(quotation_id) REFERENCES quotations(id)
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_quotations_customer ON quotations(customer_id)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_quotations_created ON quotations(created_at)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_quotation_items_quotation ON quotation_items(quotation_id)');
+      await conn.run('ALTER TABLE sales ADD COLUMN quotation_id TEXT');
+    }
+  },
+  {
+    version: 14,
+    description: 'Stock reservations',
+    async up(conn) {
+      await conn.run(`CREATE TABLE IF NOT EXISTS stock_reservations (
+        id TEXT PRIMARY KEY,
+        item_id TEXT,
+        item_description TEXT,
+        customer_id TEXT,
+        customer_name TEXT,
+        quantity REAL DEFAULT 0,
+        fulfilled_quantity REAL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'active',
+        expires_at TEXT,
+        reference TEXT,
+        notes TEXT,
+        sale_id TEXT,
+        created_at TEXT,
+        created_by TEXT,
+        released_at TEXT,
+        released_by TEXT,
+        release_reason TEXT,
+        updated_at TEXT
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_stock_reservations_item ON stock_reservations(item_id, status)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_stock_reservations_customer ON stock_reservations(customer_id)');
+    }
+  },
+  {
+    version: 15,
+    description: 'Units of measure',
+    async up(conn) {
+      // Lines written before units were recorded were sold in the item's base unit
+      await conn.run('ALTER TABLE sale_items ADD COLUMN unit TEXT');
+      await conn.run('ALTER TABLE sale_items ADD COLUMN unit_factor REAL DEFAULT 1');
+      await conn.run('ALTER TABLE quotation_items ADD COLUMN unit TEXT');
+      await conn.run('ALTER TABLE quotation_items ADD COLUMN unit_factor REAL DEFAULT 1');
+      await conn.run('ALTER TABLE sales_return_items ADD COLUMN unit TEXT');
+      await conn.run('ALTER TABLE sales_return_items ADD COLUMN unit_factor REAL DEFAULT 1');
+    }
+  },
+  {
+    version: 16,
+    description: 'Pipe offcuts',
+    async up(conn) {
+      // Length cut from each piece; empty for lines sold whole
+      await conn.run('ALTER TABLE sale_items ADD COLUMN cut_length REAL');
+      await conn.run('ALTER TABLE quotation_items ADD COLUMN cut_length REAL');
+      await conn.run('ALTER TABLE sales_return_items ADD COLUMN cut_length REAL');
+      await conn.run(`CREATE TABLE IF NOT EXISTS scrap_records (
+        id TEXT PRIMARY KEY,
+        item_id TEXT,
+        item_description TEXT,
+        length REAL DEFAULT 0,
+        quantity INTEGER DEFAULT 0,
+        total_length REAL DEFAULT 0,
+        cost REAL DEFAULT 0,
+        reason TEXT,
+        reference_type TEXT,
+        reference_id TEXT,
+        notes TEXT,
+        created_at TEXT,
+        created_by TEXT
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_scrap_records_created ON scrap_records(created_at)');
+    }
+  },
+  {
+    version: 17,
+    description: 'Stock locations',
+    async up(conn) {
+      // Stock at each location is kept in additional_data.locationStock; sales and movements
+      // written before locations existed belong to the default location
+      await conn.run('ALTER TABLE sales ADD COLUMN location_id TEXT');
+      await conn.run('ALTER TABLE stock_movements ADD COLUMN location_id TEXT');
+      await conn.run('ALTER TABLE goods_received_notes ADD COLUMN location_id TEXT');
+      await conn.run(`CREATE TABLE IF NOT EXISTS stock_transfers (
+        id TEXT PRIMARY KEY,
+        transfer_number TEXT UNIQUE,
+        from_location_id TEXT,
+        to_location_id TEXT,
+        status TEXT NOT NULL DEFAULT 'draft',
+        notes TEXT,
+        created_at TEXT,
+        created_by TEXT,
+        dispatched_at TEXT,
+        dispatched_by TEXT,
+        received_at TEXT,
+        received_by TEXT,
+        cancelled_at TEXT,
+        cancelled_by TEXT,
+        cancel_reason TEXT,
+        updated_at TEXT
+      )`);
+      await conn.run(`CREATE TABLE IF NOT EXISTS stock_transfer_items (
+        id TEXT PRIMARY KEY,
+        transfer_id TEXT,
+        line_index INTEGER,
+        item_id TEXT,
+        item_description TEXT,
+        quantity REAL DEFAULT 0,
+        FOREIGN KEY(transfer_id) REFERENCES stock_transfers(id)
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_stock_transfers_created ON stock_transfers(created_at)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id)');
+    }
+  },
+  {
+    version: 18,
+    description: 'Stock takes',
+    async up(conn) {
+      // Expected quantities are frozen when the stock take starts; counted_quantity stays
+      // NULL until the line is counted
+      await conn.run(`CREATE TABLE IF NOT EXISTS stock_takes (
+        id TEXT PRIMARY KEY,
+        stock_take_number TEXT UNIQUE,
+        location_id TEXT,
+        category TEXT,
+        group_by TEXT,
+        status TEXT NOT NULL DEFAULT 'counting',
+        notes TEXT,
+        created_at TEXT,
+        created_by TEXT,
+        posted_at TEXT,
+        posted_by TEXT,
+        cancelled_at TEXT,
+        cancelled_by TEXT,
+        updated_at TEXT
+      )`);
+      await conn.run(`CREATE TABLE IF NOT EXISTS stock_take_lines (
+        id TEXT PRIMARY KEY,
+        stock_take_id TEXT,
+        line_index INTEGER,
+        item_id TEXT,
+        location_id TEXT,
+        item_description TEXT,
+        item_type TEXT,
+        category TEXT,
+        dimension TEXT,
+        sku TEXT,
+        unit TEXT,
+        expected_quantity REAL DEFAULT 0,
+        counted_quantity REAL,
+        unit_cost REAL DEFAULT 0,
+        counted_at TEXT,
+        counted_by TEXT,
+        posted INTEGER DEFAULT 0,
+        FOREIGN KEY(stock_take_id) REFERENCES stock_takes(id)
+      )`);
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_stock_takes_created ON stock_takes(created_at)');
+      await conn.run('CREATE INDEX IF NOT EXISTS idx_stock_take_lines_stock_take ON stock_take_lines(stock_take_id)');
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the schema version of a database
+ * db/sqlite-db.js used to stamp user_version 1-4 on its own layout, so a database whose
+ * inventory table still has that layout is treated as unversioned.
+ * @param {Object} conn - Database connection
+ * @returns {Promise<number>} Last migration applied
+ */
+async function getSchemaVersion(conn) {
+  const row = await conn.get('PRAGMA user_version');
+  const version = row ? row.user_version : 0;
+
+  if (version > 0) {
+    const inventoryColumns = await getTableColumns(conn, 'inventory');
+    if (inventoryColumns.length > 0 && !inventoryColumns.includes(LAYOUT_MARKERS.inventory)) {
+      log.warn(`Database reports schema version ${version} but has the old inventory layout; migrating from scratch`);
+      return 0;
+    }
+  }
+
+  return version;
+}
+
+/**
+ * Bring a database up to the latest schema version
+ * Each migration runs in its own transaction together with its user_version bump.
+ * @param {Object} conn - Connection with run/get/all/executeTransaction
+ * @param {Object} [options]
+ * @param {string} [options.legacyDatabasePath] - Separate database file from db/sqlite-db.js to import once
+ * @returns {Promise<Object>} { from, to, applied }
+ */
+async function migrate(conn, options = {}) {
+  const from = await getSchemaVersion(conn);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Database schema version ${from} is newer than this application supports (${SCHEMA_VERSION})`);
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > from);
+  if (pending.length === 0) {
+    return { from, to: from, applied: [] };
+  }
+
+  // Tables are dropped and swapped during conversions, which SQLite only allows with foreign
+  // key enforcement off; like ATTACH, that cannot change inside a transaction
+  const foreignKeys = await conn.get('PRAGMA foreign_keys');
+  await conn.run('PRAGMA foreign_keys = OFF');
+
+  // ATTACH is not allowed inside a transaction, so the old file is attached around the whole run
+  const legacyAttached = from < 1 && !!options.legacyDatabasePath && fs.existsSync(options.legacyDatabasePath);
+  if (legacyAttached) {
+    await conn.run('ATTACH DATABASE ? AS legacy', [options.legacyDatabasePath]);
+  }
+
+  const applied = [];
+  try {
+    for (const migration of pending) {
+      log.info(`Applying database migration ${migration.version}: ${migration.description}`);
+
+      await conn.executeTransaction(async () => {
+        await migration.up(conn, { legacyAttached });
+
+        // Orphans carried over from older data are reported, not fatal
+        const violations = await conn.all('PRAGMA foreign_key_check');
+        if (violations.length > 0) {
+          log.warn(`Migration ${migration.version} left ${violations.length} rows with missing references:`, violations.slice(0, 20));
+        }
+
+        await conn.run(`PRAGMA user_version = ${migration.version}`);
+      });
+
+      applied.push(migration.version);
+    }
+  } finally {
+    if (legacyAttached) {
+      await conn.run('DETACH DATABASE legacy');
+    }
+    if (foreignKeys && foreignKeys.foreign_keys) {
+      await conn.run('PRAGMA foreign_keys = ON');
+    }
+  }
+
+  log.info(`Database schema migrated from version ${from} to ${SCHEMA_VERSION}`);
+  return { from, to: SCHEMA_VERSION, applied };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  getSchemaVersion,
+  getTableColumns,
+  migrate
+};
@@ -2,6 +2,7 @@ const path = require('path');
 const { app } = require('electron');
 const Database = require('better-sqlite3');
 const EventEmitter = require('events');
+const { SCHEMA_VERSION } = require('./schema');
 
 // Load SQLite module with better compatibility
 let sqlite3;
@@ -29,7 +30,7 @@ let db = null;
 // Get the path to the database file in the app's user data directory
 function getDatabasePath() {
   const userDataPath = app.getPath('userData');
-  return path.join(userDataPath, 'pipe-inventory.db');
+  return path.join(userDataPath, 'inventory.db');
 }
 
 /**
@@ -44,11 +45,11 @@ function initializeDatabase() {
     
     console.log('Connected to SQLite database successfully');
     
-    // Create tables if they don't exist
-    createTables();
-    
-    // Run database migrations
-    migrateDatabase();
+    // The schema is created and migrated by main/database.js (see db/schema.js)
+    const schemaVersion = db.pragma('user_version', { simple: true });
+    if (schemaVersion < SCHEMA_VERSION) {
+      throw new Error(`Database schema is at version ${schemaVersion}, expected ${SCHEMA_VERSION}. Open it through main/database.js to migrate it.`);
+    }
     
     // Force a check and fix of customer statistics specifically
     module.exports.forceMigrations();
@@ -63,373 +64,6 @@ function initializeDatabase() {
   }
 }
 
-/**
- * Migrate database schema and data
- * @returns {boolean} Success
- */
-function migrateDatabase() {
-  const db = getDatabase();
-  const hasMigrationRun = db.pragma('user_version');
-  
-  try {
-    console.log('Starting database migration. Current version:', hasMigrationRun);
-    
-    // Check tables first
-    const tableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='inventory'").get();
-    if (!tableExists) {
-      console.log('Inventory table does not exist, creating it...');
-      createTables();
-    }
-    
-    // Run in a transaction
-    db.transaction(() => {
-      // Version 1 migrations
-      if (hasMigrationRun < 1) {
-        console.log('Running migration to version 1...');
-        
-        // Ensure brand column exists if not already
-        const brandColumnExists = db.prepare("PRAGMA table_info(inventory)").all()
-          .some(col => col.name === 'brand');
-        
-        if (!brandColumnExists) {
-          console.log('Adding brand column to inventory table');
-          db.prepare('ALTER TABLE inventory ADD COLUMN brand TEXT DEFAULT ""').run();
-        } else {
-          console.log('brand column already exists');
-        }
-        
-        // Ensure dimensions column exists if not already
-        const dimensionsColumnExists = db.prepare("PRAGMA table_info(inventory)").all()
-          .some(col => col.name === 'dimensions');
-        
-        if (!dimensionsColumnExists) {
-          console.log('Adding dimensions column to inventory table');
-          db.prepare('ALTER TABLE inventory ADD COLUMN dimensions TEXT DEFAULT ""').run();
-        } else {
-          console.log('dimensions column already exists');
-        }
-        
-        // Ensure buying_price column exists if not already
-        const buyingPriceColumnExists = db.prepare("PRAGMA table_info(inventory)").all()
-          .some(col => col.name === 'buying_price');
-        
-        if (!buyingPriceColumnExists) {
-          console.log('Adding buying_price column to inventory table');
-          db.prepare('ALTER TABLE inventory ADD COLUMN buying_price REAL DEFAULT 0').run();
-        } else {
-          console.log('buying_price column already exists');
-        }
-        
-        // Copy cost_price to buying_price if buying_price is empty
-        db.prepare(`
-          UPDATE inventory 
-          SET buying_price = cost_price 
-          WHERE buying_price = 0 AND cost_price > 0
-        `).run();
-        
-        // Extract brand and dimensions from additional_data if they're empty
-        const items = db.prepare('SELECT id, additional_data FROM inventory WHERE brand = "" OR dimensions = ""').all();
-        items.forEach(item => {
-          if (item.additional_data) {
-            try {
-              const additionalData = JSON.parse(item.additional_data);
-              
-              // Update brand if empty and exists in additional_data
-              if (additionalData.brand) {
-                db.prepare('UPDATE inventory SET brand = ? WHERE id = ?').run(additionalData.brand, item.id);
-              }
-              
-              // Update dimensions if empty and exists in additional_data
-              if (additionalData.dimensions || additionalData.dimension) {
-                const dimensionValue = additionalData.dimensions || additionalData.dimension;
-                db.prepare('UPDATE inventory SET dimensions = ? WHERE id = ?').run(dimensionValue, item.id);
-              }
-            } catch (e) {
-              console.error('Error parsing additional_data for item:', item.id, e);
-            }
-          }
-        });
-        
-        // Ensure type column exists if not already
-        const typeColumnExists = db.prepare("PRAGMA table_info(inventory)").all()
-          .some(col => col.name === 'type');
-        
-        if (!typeColumnExists) {
-          console.log('Adding type column to inventory table');
-          db.prepare('ALTER TABLE inventory ADD COLUMN type TEXT DEFAULT ""').run();
-        } else {
-          console.log('type column already exists');
-        }
-      }
-      
-      // Version 2 migrations (future migrations can be added here)
-      if (hasMigrationRun < 2) {
-        console.log('Running migration to version 2...');
-        // Future migrations can be added here
-      }
-      
-      // Check if customer_id column exists in sales table
-      const salesColumns = db.prepare('PRAGMA table_info(sales)').all();
-      const hasCustomerId = salesColumns.some(col => col.name === 'customer_id');
-      
-      if (!hasCustomerId) {
-        console.log('Adding customer_id column to sales table');
-        db.prepare('ALTER TABLE sales ADD COLUMN customer_id TEXT').run();
-      }
-      
-      // Check if payment_method column exists in sales table
-      const hasPaymentMethod = salesColumns.some(col => col.name === 'payment_method');
-      
-      if (!hasPaymentMethod) {
-        console.log('Adding payment_method column to sales table');
-        db.prepare('ALTER TABLE sales ADD COLUMN payment_method TEXT').run();
-      }
-      
-      // VERSION 3: Check and fix customer purchase statistics columns
-      if (hasMigrationRun < 3) {
-        console.log('Running migration to version 3 - Customer Purchase Statistics');
-        const customerColumns = db.prepare('PRAGMA table_info(customers)').all();
-        console.log('Customer table columns:', customerColumns);
-        
-        // Check if totalPurchases and purchaseCount columns exist and have proper types
-        const hasTotalPurchases = customerColumns.some(col => col.name === 'totalPurchases');
-        const hasPurchaseCount = customerColumns.some(col => col.name === 'purchaseCount');
-        const hasLastPurchaseDate = customerColumns.some(col => col.name === 'lastPurchaseDate');
-        
-        if (!hasTotalPurchases) {
-          console.log('Adding totalPurchases column to customers table');
-          db.prepare('ALTER TABLE customers ADD COLUMN totalPurchases REAL DEFAULT 0').run();
-        }
-        
-        if (!hasPurchaseCount) {
-          console.log('Adding purchaseCount column to customers table');
-          db.prepare('ALTER TABLE customers ADD COLUMN purchaseCount INTEGER DEFAULT 0').run();
-        }
-        
-        if (!hasLastPurchaseDate) {
-          console.log('Adding lastPurchaseDate column to customers table');
-          db.prepare('ALTER TABLE customers ADD COLUMN lastPurchaseDate TEXT').run();
-        }
-        
-        // Fix existing customers with missing or invalid purchase stats
-        console.log('Checking and fixing customer purchase statistics');
-        const customersWithInvalidStats = db.prepare(`
-          SELECT id, totalPurchases, purchaseCount, lastPurchaseDate
-          FROM customers 
-          WHERE totalPurchases IS NULL OR purchaseCount IS NULL OR 
-                totalPurchases = '' OR purchaseCount = '' OR
-                totalPurchases < 0 OR purchaseCount < 0
-        `).all();
-        
-        if (customersWithInvalidStats.length > 0) {
-          console.log(`Found ${customersWithInvalidStats.length} customers with invalid purchase statistics, fixing...`);
-          
-  db.prepare(`
-            UPDATE customers
-            SET 
-              totalPurchases = COALESCE(totalPurchases, 0),
-              purchaseCount = COALESCE(purchaseCount, 0)
-            WHERE totalPurchases IS NULL OR purchaseCount IS NULL OR 
-                  totalPurchases = '' OR purchaseCount = '' OR
-                  totalPurchases < 0 OR purchaseCount < 0
-  `).run();
-        }
-        
-        // Recalculate purchase statistics for all customers based on sales data
-        console.log('Recalculating purchase statistics for all customers from sales data');
-        
-        const customers = db.prepare('SELECT id, name FROM customers').all();
-        let customersUpdated = 0;
-        
-        customers.forEach(customer => {
-          try {
-            // Get all sales for this customer
-            const sales = db.prepare(`
-              SELECT id, total_amount, created_at 
-              FROM sales
-              WHERE customer_id = ? OR customer_name = ?
-              ORDER BY created_at DESC
-            `).all(customer.id, customer.name);
-            
-            if (sales.length > 0) {
-              // Calculate statistics
-              let totalPurchases = 0;
-              let lastPurchaseDate = null;
-              
-              sales.forEach(sale => {
-                const saleAmount = parseFloat(sale.total_amount) || 0;
-                totalPurchases += saleAmount;
-                
-                // Keep track of most recent purchase
-                if (!lastPurchaseDate || new Date(sale.created_at) > new Date(lastPurchaseDate)) {
-                  lastPurchaseDate = sale.created_at;
-                }
-              });
-              
-              // Update customer record with calculated stats
-  db.prepare(`
-                UPDATE customers
-                SET 
-                  totalPurchases = ?,
-                  purchaseCount = ?,
-                  lastPurchaseDate = ?
-                WHERE id = ?
-              `).run(
-                totalPurchases,
-                sales.length,
-                lastPurchaseDate || null,
-                customer.id
-              );
-              
-              customersUpdated++;
-            }
-          } catch (error) {
-            console.error(`Error recalculating stats for customer ${customer.id}:`, error);
-          }
-        });
-        
-        console.log(`Updated purchase statistics for ${customersUpdated} customers`);
-      }
-      
-      // VERSION 4: Fix any customers with future dates and ensure correct data types
-      if (hasMigrationRun < 4) {
-        console.log('Running migration to version 4 - Fix dates and data types');
-        
-        // Fix any future dates in createdAt or lastPurchaseDate
-        const now = new Date().toISOString();
-        
-  db.prepare(`
-          UPDATE customers
-          SET createdAt = ?
-          WHERE createdAt > ? OR createdAt IS NULL OR createdAt = ''
-        `).run(now, now);
-        
-        db.prepare(`
-          UPDATE customers
-          SET lastPurchaseDate = NULL
-          WHERE lastPurchaseDate > ? OR lastPurchaseDate = ''
-        `).run(now);
-        
-        // Convert string values to proper numeric types
-        db.prepare(`
-          UPDATE customers
-          SET 
-            totalPurchases = CAST(totalPurchases AS REAL),
-            purchaseCount = CAST(purchaseCount AS INTEGER)
-  `).run();
-  
-        // Set default values for any NULLs or invalid values
-  db.prepare(`
-          UPDATE customers
-          SET 
-            totalPurchases = 0
-          WHERE totalPurchases IS NULL OR totalPurchases = '' OR 
-                CAST(totalPurchases AS REAL) < 0 OR 
-                CAST(totalPurchases AS REAL) IS NULL
-  `).run();
-  
-  db.prepare(`
-          UPDATE customers
-          SET 
-            purchaseCount = 0
-          WHERE purchaseCount IS NULL OR purchaseCount = '' OR 
-                CAST(purchaseCount AS INTEGER) < 0 OR 
-                CAST(purchaseCount AS INTEGER) IS NULL
-        `).run();
-      }
-      
-      // Update user_version to latest migration version
-      db.pragma('user_version = 4');
-    })();
-    
-    console.log('Database migration completed successfully');
-    return true;
-  } catch (error) {
-    console.error('Error migrating database:', error);
-    throw error;
-  }
-}
-
-/**
- * Create all required database tables
- */
-function createTables() {
-  console.log('Creating tables if needed...');
-  const db = getDatabase();
-  
-  // Create customers table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS customers (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      business TEXT,
-      email TEXT,
-      phone TEXT,
-      address TEXT,
-      tin TEXT,
-      type TEXT DEFAULT 'regular',
-      notes TEXT,
-      totalPurchases REAL DEFAULT 0,
-      purchaseCount INTEGER DEFAULT 0,
-      lastPurchaseDate TEXT,
-      createdAt TEXT,
-      lastUpdated TEXT
-    )
-  `);
-  
-  // Create inventory table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS inventory (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      category TEXT,
-      description TEXT,
-      price REAL NOT NULL,
-      cost REAL,
-      quantity INTEGER DEFAULT 0,
-      unit TEXT,
-      sku TEXT,
-      minimum_stock INTEGER DEFAULT 0,
-      supplier TEXT,
-      location TEXT,
-      image TEXT,
-      createdAt TEXT,
-      lastUpdated TEXT
-    )
-  `);
-  
-  // Create sales table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS sales (
-      id TEXT PRIMARY KEY,
-      date TEXT NOT NULL,
-      customer_id TEXT,
-      customer_name TEXT,
-      items TEXT NOT NULL,
-      total_amount REAL NOT NULL,
-      payment_method TEXT,
-      status TEXT DEFAULT 'completed',
-      notes TEXT,
-      receipt_number TEXT,
-      created_by TEXT,
-      createdAt TEXT,
-      lastUpdated TEXT,
-      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
-    )
-  `);
-  
-  // Create indexes for better query performance
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_inventory_category ON inventory(category);
-    CREATE INDEX IF NOT EXISTS idx_inventory_name ON inventory(name);
-    CREATE INDEX IF NOT EXISTS idx_sales_date ON sales(date);
-    CREATE INDEX IF NOT EXISTS idx_sales_customer_id ON sales(customer_id);
-    CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(name);
-  `);
-  
-  console.log('Database tables and indexes created or verified');
-}
-
 /**
  * Initialize default application settings
  */
@@ -449,7 +83,8 @@ function initializeDefaultSettings() {
     })
   };
   
-  const stmt = db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, ?)');
+  // Only fill in missing keys so saved settings are kept
+  const stmt = db.prepare('INSERT OR IGNORE INTO settings (key, value, updated_at) VALUES (?, ?, ?)');
   const now = new Date().toISOString();
   
   // Begin a transaction
@@ -917,7 +552,7 @@ function getAllSales() {
     
     // Get items for each sale
     return sales.map(sale => {
-      const items = db.prepare('SELECT * FROM sale_items WHERE sale_id = ?').all(sale.id);
+      const items = db.prepare('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY rowid').all(sale.id);
       return { ...sale, items };
     });
   } catch (error) {
@@ -941,7 +576,7 @@ function getSaleById(saleId) {
     }
     
     // Get items for this sale
-    const items = db.prepare('SELECT * FROM sale_items WHERE sale_id = ?').all(saleId);
+    const items = db.prepare('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY rowid').all(saleId);
     
     // Parse additional_data if it exists
     if (sale.additional_data) {
@@ -1001,90 +636,85 @@ module.exports = {
       // Extract sale date
       const saleDate = sale.date || sale.createdAt || now;
       
-      // Format the items as JSON if they're an array
-      let itemsJson = sale.items;
-      if (Array.isArray(sale.items)) {
-        itemsJson = JSON.stringify(sale.items);
-      }
+      const items = Array.isArray(sale.items) ? sale.items : [];
       
-      // Insert into sales table
       const insertSaleStmt = db.prepare(`
         INSERT INTO sales (
           id, 
-          date, 
-          customer_id, 
+          invoice_number, 
           customer_name, 
-          items, 
+          customer_id, 
+          customer_contact, 
           total_amount, 
           payment_method, 
           status, 
-          notes, 
-          receipt_number, 
+          created_at, 
           created_by, 
-          createdAt, 
-          lastUpdated
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          notes, 
+          additional_data
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
-      insertSaleStmt.run(
-        sale.id,
-        saleDate,
-        customerId,
-        customerName,
-        itemsJson,
-        sale.totalAmount || sale.total_amount || 0,
-        sale.paymentMethod || sale.payment_method || 'cash',
-        sale.status || 'completed',
-        sale.notes || '',
-        sale.invoiceNumber || sale.invoice_number || sale.receipt_number || '',
-        sale.createdBy || sale.created_by || '',
-        now,
-        now
-      );
-      
-      console.log(`Sale with ID ${sale.id} added successfully`);
-      
-      // For backward compatibility with older schema, also insert into sale_items table if it exists
-      try {
-        if (Array.isArray(sale.items) && sale.items.length > 0) {
-          // Check if sale_items table exists
-          const tableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sale_items'").get();
+      const insertItemStmt = db.prepare(`
+        INSERT INTO sale_items (
+          id, 
+          sale_id, 
+          product_id, 
+          product_name, 
+          quantity, 
+          unit_price, 
+          discount, 
+          total_price, 
+          cost_price
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const buyingPriceStmt = db.prepare('SELECT buying_price FROM inventory WHERE id = ?');
+      
+      // Write the sale and its items together
+      db.transaction(() => {
+        insertSaleStmt.run(
+          sale.id,
+          sale.invoiceNumber || sale.invoice_number || sale.receipt_number || null,
+          customerName,
+          customerId,
+          customerContact,
+          sale.totalAmount || sale.total_amount || 0,
+          sale.paymentMethod || sale.payment_method || 'cash',
+          sale.status || 'completed',
+          saleDate,
+          sale.createdBy || sale.created_by || '',
+          sale.notes || '',
+          JSON.stringify({ updatedAt: now })
+        );
+        
+        items.forEach((item, index) => {
+          const productId = item.productId || item.product_id || item.id || '';
+          const quantity = item.quantity || 0;
+          const unitPrice = item.unitPrice || item.unit_price || item.price || 0;
+          const discount = item.discount || 0;
           
-          if (tableExists) {
-            // Insert each item
-            const insertItemStmt = db.prepare(`
-              INSERT INTO sale_items (
-                id, 
-                sale_id, 
-                product_id, 
-                product_name, 
-                quantity, 
-                unit_price, 
-                total_price
-              ) VALUES (?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            sale.items.forEach(item => {
-              const itemId = item.id || `item-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-              
-              insertItemStmt.run(
-                itemId,
-                sale.id,
-                item.productId || item.product_id || '',
-                item.productName || item.product_name || '',
-                item.quantity || 0,
-                item.unitPrice || item.unit_price || 0,
-                item.totalPrice || item.total_price || 0
-              );
-            });
-            
-            console.log(`Added ${sale.items.length} items to sale_items table`);
+          // Snapshot the buying price at the moment of sale for margin reporting
+          let costPrice = item.costPrice || item.cost_price || item.buyingPrice || 0;
+          if (!costPrice && productId) {
+            const stockRow = buyingPriceStmt.get(productId);
+            costPrice = stockRow ? stockRow.buying_price || 0 : 0;
           }
-        }
-      } catch (itemsError) {
-        console.warn('Error inserting sale items:', itemsError.message);
-        // Continue despite error, as we already have items in the main sales record
-      }
+          
+          insertItemStmt.run(
+            `${sale.id}-${index + 1}`,
+            sale.id,
+            productId,
+            item.productName || item.product_name || item.description || item.name || '',
+            quantity,
+            unitPrice,
+            discount,
+            item.totalPrice || item.total_price || item.total || quantity * unitPrice - discount,
+            costPrice
+          );
+        });
+      })();
+      
+      console.log(`Sale with ID ${sale.id} added successfully with ${items.length} items`);
       
       // Update customer purchase statistics
       if (customerId) {
@@ -1134,7 +764,7 @@ module.exports = {
           status = COALESCE(?, status),
           payment_method = COALESCE(?, payment_method),
           notes = COALESCE(?, notes),
-          lastUpdated = ?
+          additional_data = json_set(COALESCE(additional_data, '{}'), '$.updatedAt', ?)
         WHERE id = ?
       `).run(
         updates.status || null,
@@ -1160,21 +790,16 @@ module.exports = {
       console.log(`Deleting sale with ID: ${saleId}`);
       const db = getDatabase();
       
-      // Delete from sales table
-      const result = db.prepare('DELETE FROM sales WHERE id = ?').run(saleId);
+      // Delete the items first so no sale_items row is left pointing at a missing sale
+      const result = db.transaction(() => {
+        db.prepare('DELETE FROM sale_items WHERE sale_id = ?').run(saleId);
+        return db.prepare('DELETE FROM sales WHERE id = ?').run(saleId);
+      })();
       
       if (result.changes === 0) {
         throw new Error(`Sale with ID ${saleId} not found`);
       }
       
-      // Try to delete from sale_items if the table exists
-      try {
-        db.prepare('DELETE FROM sale_items WHERE sale_id = ?').run(saleId);
-      } catch (error) {
-        // It's okay if this fails - table might not exist
-        console.warn(`Could not delete from sale_items: ${error.message}`);
-      }
-      
       return { success: true, id: saleId };
     } catch (error) {
       console.error(`Error deleting sale ${saleId}:`, error);
@@ -1188,7 +813,7 @@ module.exports = {
       const formattedDate = new Date(date).toISOString().split('T')[0] + '%';
       
       const sales = getDatabase().prepare(
-        'SELECT * FROM sales WHERE date LIKE ? ORDER BY date DESC'
+        'SELECT * FROM sales WHERE created_at LIKE ? ORDER BY created_at DESC'
       ).all(formattedDate);
       
       return sales;
@@ -1204,8 +829,8 @@ module.exports = {
       
       const sales = getDatabase().prepare(`
         SELECT * FROM sales 
-        WHERE date >= ? AND date <= ?
-        ORDER BY date DESC
+        WHERE created_at >= ? AND created_at <= ?
+        ORDER BY created_at DESC
       `).all(startDate, endDate);
       
       return sales;
@@ -1220,32 +845,7 @@ module.exports = {
       console.log(`Getting items for sale with ID: ${saleId}`);
       const db = getDatabase();
       
-      // First try to get from sale_items table if it exists
-      try {
-        const items = db.prepare('SELECT * FROM sale_items WHERE sale_id = ?').all(saleId);
-        if (items.length > 0) {
-          return items;
-        }
-      } catch (error) {
-        // Table might not exist, continue to alternate method
-        console.warn(`Could not get items from sale_items table: ${error.message}`);
-      }
-      
-      // Try to get from sales.items JSON field instead
-      const sale = db.prepare('SELECT items FROM sales WHERE id = ?').get(saleId);
-      if (sale && sale.items) {
-        try {
-          if (typeof sale.items === 'string') {
-            return JSON.parse(sale.items);
-          }
-          return sale.items;
-        } catch (error) {
-          console.error(`Error parsing items JSON for sale ${saleId}:`, error);
-          return [];
-        }
-      }
-      
-      return [];
+      return db.prepare('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY rowid').all(saleId);
     } catch (error) {
       console.error(`Error getting items for sale ${saleId}:`, error);
       throw error;
@@ -1261,20 +861,20 @@ module.exports = {
         SELECT 
           COUNT(*) as totalSales,
           SUM(total_amount) as totalRevenue,
-          MIN(date) as firstSaleDate,
-          MAX(date) as lastSaleDate
+          MIN(created_at) as firstSaleDate,
+          MAX(created_at) as lastSaleDate
         FROM sales
-        WHERE date >= ? AND date <= ?
+        WHERE created_at >= ? AND created_at <= ?
       `).get(startDate, endDate);
       
       // Get sales by day
       const dailySales = db.prepare(`
         SELECT
-          DATE(date) as day,
+          DATE(created_at) as day,
           COUNT(*) as count,
           SUM(total_amount) as revenue
         FROM sales
-        WHERE date >= ? AND date <= ?
+        WHERE created_at >= ? AND created_at <= ?
         GROUP BY day
         ORDER BY day
       `).all(startDate, endDate);
@@ -1364,45 +964,29 @@ module.exports = {
         // Get purchase history from sales table
         let purchaseHistory = [];
         try {
-          const sales = db.prepare('SELECT * FROM sales WHERE customer_id = ? ORDER BY date DESC').all(customerId);
+          const sales = db.prepare('SELECT * FROM sales WHERE customer_id = ? ORDER BY created_at DESC').all(customerId);
           
           // Process each sale
           purchaseHistory = sales.map(sale => {
-            // Parse JSON items if stored as string
             let items = [];
-            if (sale.items) {
-              try {
-                if (typeof sale.items === 'string') {
-                  items = JSON.parse(sale.items);
-                } else {
-                  items = sale.items;
-                }
-              } catch (error) {
-                console.warn(`Error parsing items for sale ${sale.id}: ${error.message}`);
-              }
-            }
-            
-            // Process sale items if we have item details in a separate table
-            if (!items.length) {
-              try {
-                const saleItems = db.prepare('SELECT * FROM sale_items WHERE sale_id = ?').all(sale.id);
-                items = saleItems.map(item => ({
-                  productId: item.product_id,
-                  productName: item.product_name,
-                  quantity: item.quantity,
-                  unitPrice: item.unit_price,
-                  totalPrice: item.total_price
-                }));
-              } catch (error) {
-                console.warn(`Error fetching sale_items for sale ${sale.id}: ${error.message}`);
-              }
+            try {
+              const saleItems = db.prepare('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY rowid').all(sale.id);
+              items = saleItems.map(item => ({
+                productId: item.product_id,
+                productName: item.product_name,
+                quantity: item.quantity,
+                unitPrice: item.unit_price,
+                totalPrice: item.total_price
+              }));
+            } catch (error) {
+              console.warn(`Error fetching sale_items for sale ${sale.id}: ${error.message}`);
             }
             
             // Create sale object with consistent property names
             return {
               id: sale.id,
-              date: sale.date || sale.created_at || sale.createdAt,
-              invoiceNumber: sale.invoice_number || sale.receipt_number,
+              date: sale.created_at,
+              invoiceNumber: sale.invoice_number,
               customerId: sale.customer_id,
               customerName: sale.customer_name,
               items: items,
@@ -1449,7 +1033,7 @@ module.exports = {
               SET totalPurchases = ?, 
                   purchaseCount = ?, 
                   lastPurchaseDate = ?,
-                  lastUpdated = ?
+                  updatedAt = ?
               WHERE id = ?
             `).run(
               totalPurchases, 
@@ -1669,7 +1253,7 @@ module.exports = {
         SET totalPurchases = ?, 
           purchaseCount = ?,
           lastPurchaseDate = ?,
-            lastUpdated = ?
+            updatedAt = ?
         WHERE id = ?
       `).run(
         newTotal, 
@@ -1755,13 +1339,13 @@ module.exports = {
           const sales = db.prepare(`
             SELECT * FROM sales
             WHERE customer_id = ?
-            ORDER BY date DESC
+            ORDER BY created_at DESC
           `).all(customer.id);
           
           if (sales.length > 0) {
             // Calculate statistics
             const totalPurchases = sales.reduce((sum, sale) => sum + parseFloat(sale.total_amount || 0), 0);
-            const lastPurchaseDate = sales[0].date;
+            const lastPurchaseDate = sales[0].created_at;
             
             // Update the customer record
             db.prepare(`
@@ -1770,7 +1354,7 @@ module.exports = {
                 totalPurchases = ?,
                 purchaseCount = ?, 
                 lastPurchaseDate = ?,
-                lastUpdated = ?
+                updatedAt = ?
         WHERE id = ?
             `).run(
               totalPurchases,
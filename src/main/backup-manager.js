@@ -0,0 +1,322 @@
+/**
+ * Backup Manager
+ * Takes scheduled snapshots of the SQLite database and the electron-store data,
+ * rotates old ones and restores a chosen snapshot
+ */
+
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+const EventEmitter = require('events');
+
+const SETTINGS_KEY = 'backupSettings';
+const MANIFEST_FILE = 'manifest.json';
+const DATABASE_FILE = 'inventory.db';
+const STORE_FILE = 'store.json';
+
+// Only automatic backups are rotated; manual and pre-restore backups are kept until deleted by hand
+const ROTATED_REASONS = ['scheduled', 'quit'];
+
+// Tables whose row counts are recorded in each backup's manifest
+const COUNTED_TABLES = [
+  'inventory', 'sales', 'customers', 'suppliers', 'purchase_orders',
+  'sales_returns', 'customer_payments', 'stock_movements', 'users'
+];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  intervalHours: 1,
+  backupOnQuit: true,
+  directory: '',
+  keepDaily: 7,
+  keepWeekly: 4
+};
+
+/**
+ * Date key of the Monday starting the week of a date
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD of that Monday
+ */
+function getWeekKey(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return getDayKey(monday);
+}
+
+/**
+ * Local date key of a date
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+function getDayKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+class BackupManager extends EventEmitter {
+  constructor() {
+    super();
+    this.store = null;
+    this.getDatabase = () => null;
+    this.databasePath = null;
+    this.timer = null;
+    this.inProgress = null;
+  }
+
+  /**
+   * Connect the manager to the app's data and start the schedule
+   * @param {Object} options - store (electron-store), getDatabase (returns the live Database) and databasePath
+   */
+  init({ store, getDatabase, databasePath }) {
+    this.store = store;
+    this.getDatabase = getDatabase || (() => null);
+    this.databasePath = databasePath;
+    this.schedule();
+  }
+
+  /**
+   * Get backup settings merged with defaults
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    const saved = (this.store && this.store.get(SETTINGS_KEY)) || {};
+    return { ...DEFAULT_SETTINGS, ...saved };
+  }
+
+  /**
+   * Save backup settings and restart the schedule
+   * @param {Object} newSettings - Settings to change
+   * @returns {Object} Saved settings
+   */
+  updateSettings(newSettings) {
+    const settings = { ...this.getSettings(), ...newSettings };
+    settings.intervalHours = Math.max(1, parseInt(settings.intervalHours) || DEFAULT_SETTINGS.intervalHours);
+    settings.keepDaily = Math.max(1, parseInt(settings.keepDaily) || DEFAULT_SETTINGS.keepDaily);
+    settings.keepWeekly = Math.max(0, parseInt(settings.keepWeekly) || 0);
+
+    this.store.set(SETTINGS_KEY, settings);
+    this.schedule();
+    return settings;
+  }
+
+  /**
+   * Folder backups are written to
+   * @returns {string} Absolute path
+   */
+  getBackupDirectory() {
+    return this.getSettings().directory || path.join(app.getPath('userData'), 'backups');
+  }
+
+  /**
+   * (Re)start the periodic backup timer from the current settings
+   */
+  schedule() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      log.info('Scheduled backups are disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.createBackup('scheduled').catch(error => {
+        log.error('Scheduled backup failed:', error);
+      });
+    }, settings.intervalHours * 60 * 60 * 1000);
+
+    log.info(`Scheduled backups every ${settings.intervalHours} hour(s) to ${this.getBackupDirectory()}`);
+  }
+
+  /**
+   * Stop the periodic backup timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Take a backup, waiting for one already running instead of starting a second
+   * @param {string} reason - scheduled, quit, manual or pre-restore
+   * @returns {Promise<Object>} Manifest of the new backup
+   */
+  createBackup(reason = 'manual') {
+    if (this.inProgress) {
+      return this.inProgress;
+    }
+
+    this.inProgress = this._createBackup(reason).finally(() => {
+      this.inProgress = null;
+    });
+    return this.inProgress;
+  }
+
+  async _createBackup(reason) {
+    const createdAt = new Date();
+    const id = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    const directory = path.join(this.getBackupDirectory(), id);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const manifest = {
+      id,
+      reason,
+      createdAt: createdAt.toISOString(),
+      appVersion: app.getVersion(),
+      files: [],
+      counts: {},
+      size: 0
+    };
+
+    try {
+      // SQLite: VACUUM INTO gives a consistent copy even while the app is writing
+      const db = this.getDatabase();
+      if (db && typeof db.backupTo === 'function') {
+        await db.backupTo(path.join(directory, DATABASE_FILE));
+        manifest.files.push(DATABASE_FILE);
+        manifest.counts = await db.getTableCounts(COUNTED_TABLES);
+      }
+
+      // electron-store holds everything the app keeps outside SQLite
+      if (this.store) {
+        const data = this.store.store;
+        fs.writeFileSync(path.join(directory, STORE_FILE), JSON.stringify(data));
+        manifest.files.push(STORE_FILE);
+
+        // A collection can live in either place, so record the larger count
+        Object.entries(data).forEach(([key, value]) => {
+          if (Array.isArray(value)) {
+            manifest.counts[key] = Math.max(manifest.counts[key] || 0, value.length);
+          }
+        });
+      }
+
+      manifest.size = manifest.files.reduce((total, file) => total + fs.statSync(path.join(directory, file)).size, 0);
+      fs.writeFileSync(path.join(directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    } catch (error) {
+      fs.rmSync(directory, { recursive: true, force: true });
+      throw error;
+    }
+
+    log.info(`Created ${reason} backup ${id} (${manifest.size} bytes)`);
+    this.emit('backup-created', manifest);
+
+    if (ROTATED_REASONS.includes(reason)) {
+      this.applyRetention();
+    }
+
+    return manifest;
+  }
+
+  /**
+   * List backups in the backup folder, newest first
+   * @returns {Array<Object>} Manifests with their folder path
+   */
+  listBackups() {
+    const root = this.getBackupDirectory();
+    if (!fs.existsSync(root)) {
+      return [];
+    }
+
+    const backups = [];
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+      const manifestPath = path.join(root, entry.name, MANIFEST_FILE);
+      if (!entry.isDirectory() || !fs.existsSync(manifestPath)) continue;
+
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        backups.push({ ...manifest, path: path.join(root, entry.name) });
+      } catch (error) {
+        log.warn(`Skipping unreadable backup manifest ${manifestPath}:`, error.message);
+      }
+    }
+
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Delete automatic backups beyond the newest one per day for keepDaily days
+   * and the newest one per week for keepWeekly weeks
+   * @returns {Array<string>} IDs of deleted backups
+   */
+  applyRetention() {
+    const { keepDaily, keepWeekly } = this.getSettings();
+    const days = new Set();
+    const weeks = new Set();
+    const deleted = [];
+
+    for (const backup of this.listBackups()) {
+      if (!ROTATED_REASONS.includes(backup.reason)) continue;
+
+      const date = new Date(backup.createdAt);
+      const dayKey = getDayKey(date);
+      const weekKey = getWeekKey(date);
+      let keep = false;
+
+      if (!days.has(dayKey) && days.size < keepDaily) {
+        days.add(dayKey);
+        keep = true;
+      }
+      if (!weeks.has(weekKey) && weeks.size < keepWeekly) {
+        weeks.add(weekKey);
+        keep = true;
+      }
+
+      if (!keep) {
+        fs.rmSync(backup.path, { recursive: true, force: true });
+        deleted.push(backup.id);
+      }
+    }
+
+    if (deleted.length > 0) {
+      log.info(`Backup rotation removed ${deleted.length} old backup(s)`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Replace the current data with a backup
+   * A pre-restore backup is taken first; the caller must restart the app afterwards
+   * @param {string} backupId - Backup to restore
+   * @param {Function} closeDatabase - Closes the live database connection before its file is replaced
+   * @returns {Promise<Object>} Manifest of the restored backup
+   */
+  async restoreBackup(backupId, closeDatabase) {
+    const backup = this.listBackups().find(entry => entry.id === backupId);
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+
+    await this.createBackup('pre-restore');
+    this.stop();
+
+    if (backup.files.includes(DATABASE_FILE) && this.databasePath) {
+      if (closeDatabase) {
+        await closeDatabase();
+      }
+
+      fs.copyFileSync(path.join(backup.path, DATABASE_FILE), this.databasePath);
+      for (const suffix of ['-wal', '-shm', '-journal']) {
+        fs.rmSync(`${this.databasePath}${suffix}`, { force: true });
+      }
+    }
+
+    if (backup.files.includes(STORE_FILE) && this.store) {
+      const data = JSON.parse(fs.readFileSync(path.join(backup.path, STORE_FILE), 'utf8'));
+
+      // Keep the current backup settings so the backup folder is not lost
+      data[SETTINGS_KEY] = this.getSettings();
+      this.store.store = data;
+    }
+
+    log.info(`Restored backup ${backup.id} from ${backup.createdAt}`);
+    return backup;
+  }
+}
+
+module.exports = new BackupManager();
@@ -0,0 +1,73 @@
+/**
+ * Cash Drawer
+ * Works out the cash a drawer session should hold: the opening float plus cash taken on
+ * sales and account payments, less cash refunds. The counted cash entered at close is
+ * compared with it for the Z-report.
+ */
+
+const { roundMoney } = require('./discounts');
+const { getSaleTenders, summarizeTenders } = require('./payments');
+
+const CASH_SESSION_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+// Tender that goes in the drawer
+const CASH_METHOD = 'Cash';
+
+// Voided sales hand the money back, so they are not counted
+const VOID_SALE_STATUS = 'void';
+
+/**
+ * Read the drawer session a sale, return or payment was taken in
+ * @param {Object} record - Sale, sales return or customer payment in either storage shape
+ * @returns {string|null} Session ID
+ */
+function getCashSessionId(record) {
+  return record.cashSessionId || record.cash_session_id || null;
+}
+
+/**
+ * Total what went through a drawer session
+ * @param {Object} session - Session with id and opening_float
+ * @param {Object} records - sales, returns and payments, of any session; only this session's are counted
+ * @returns {Object} openingFloat, salesCount, salesTotal, voidedCount, tenders, cashSales, cashRefunds,
+ *   refundCount, cashPayments, paymentCount and expectedCash
+ */
+function summarizeCashSession(session, { sales = [], returns = [], payments = [] }) {
+  const inSession = record => getCashSessionId(record) === session.id;
+  const sessionSales = sales.filter(inSession);
+  const counted = sessionSales.filter(sale => sale.status !== VOID_SALE_STATUS);
+  const cashReturns = returns.filter(salesReturn => inSession(salesReturn) && salesReturn.refund_method === CASH_METHOD);
+  const cashPayments = payments.filter(payment => inSession(payment) && payment.payment_method === CASH_METHOD);
+  const sum = (values) => roundMoney(values.reduce((total, value) => total + (parseFloat(value) || 0), 0));
+
+  const openingFloat = roundMoney(parseFloat(session.opening_float) || 0);
+  const cashSales = sum(counted.map(sale =>
+    sum(getSaleTenders(sale).filter(tender => tender.method === CASH_METHOD).map(tender => tender.amount))
+  ));
+  const cashRefunds = sum(cashReturns.map(salesReturn => salesReturn.total_amount));
+  const cashPaymentsTotal = sum(cashPayments.map(payment => payment.amount));
+
+  return {
+    openingFloat,
+    salesCount: counted.length,
+    salesTotal: sum(counted.map(sale => sale.totalAmount !== undefined ? sale.totalAmount : sale.total_amount)),
+    voidedCount: sessionSales.length - counted.length,
+    tenders: summarizeTenders(counted),
+    cashSales,
+    cashRefunds,
+    refundCount: cashReturns.length,
+    cashPayments: cashPaymentsTotal,
+    paymentCount: cashPayments.length,
+    expectedCash: roundMoney(openingFloat + cashSales + cashPaymentsTotal - cashRefunds)
+  };
+}
+
+module.exports = {
+  CASH_SESSION_STATUS,
+  CASH_METHOD,
+  getCashSessionId,
+  summarizeCashSession
+};
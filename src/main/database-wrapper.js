@@ -9,6 +9,7 @@ const { app } = require('electron');
 const electron = require('electron');
 const Store = require('electron-store');
 const log = require('electron-log');
+const { PRODUCT_TYPES_KEY, DEFAULT_PRODUCT_TYPES, getProductTypes } = require('./product-types');
 
 // Initialize persistent storage for fallback
 const store = new Store();
@@ -102,7 +103,7 @@ class DatabaseWrapper {
         if (!store.has('customers')) {
           store.set('customers', []);
         }
-        if (!store.has('product_types')) {
+        if (!store.has(PRODUCT_TYPES_KEY)) {
           this.setupDefaultProductTypes();
         }
         if (!store.has('settings')) {
@@ -128,40 +129,9 @@ class DatabaseWrapper {
    * Set up default product types
    */
   setupDefaultProductTypes() {
-    const defaultProductTypes = [
-      {
-        id: 'pipe',
-        name: 'Pipes',
-        attributes: ['diameter', 'length', 'material', 'brand'],
-        defaultUnit: 'piece'
-      },
-      {
-        id: 'fitting',
-        name: 'Fittings',
-        attributes: ['type', 'diameter', 'material', 'brand'],
-        defaultUnit: 'piece'
-      },
-      {
-        id: 'valve',
-        name: 'Valves',
-        attributes: ['type', 'diameter', 'material', 'brand'],
-        defaultUnit: 'piece'
-      },
-      {
-        id: 'tool',
-        name: 'Tools',
-        attributes: ['brand', 'model', 'condition'],
-        defaultUnit: 'piece'
-      },
-      {
-        id: 'accessory',
-        name: 'Accessories',
-        attributes: ['type', 'brand', 'material'],
-        defaultUnit: 'piece'
-      }
-    ];
+    const defaultProductTypes = DEFAULT_PRODUCT_TYPES.map(type => ({ ...type }));
     
-    store.set('product_types', defaultProductTypes);
+    store.set(PRODUCT_TYPES_KEY, defaultProductTypes);
     this.log.info('Default product types set up in electron-store');
     return defaultProductTypes;
   }
@@ -175,10 +145,10 @@ class DatabaseWrapper {
       let productTypes = [];
       
       // Check if product types exist in electron-store
-      const storeProductTypes = store.get('product_types') || [];
+      const storeProductTypes = store.get(PRODUCT_TYPES_KEY) || [];
       
-      if (storeProductTypes.length === 0) {
-        // If not in store, set up defaults
+      if (!storeProductTypes.some(type => Array.isArray(type.subtypes))) {
+        // If not in store, or only the early types without a schema, set up defaults
         productTypes = this.setupDefaultProductTypes();
       } else {
         productTypes = storeProductTypes;
@@ -235,51 +205,13 @@ class DatabaseWrapper {
         }
       }
       
-      // Otherwise get from electron-store
-      const storeProductTypes = store.get('product_types') || [];
-      
-      // If still no product types, set up defaults
-      if (storeProductTypes.length === 0) {
-        return this.setupDefaultProductTypes();
-      }
-      
-      return storeProductTypes;
+      // Otherwise get from electron-store, falling back to the defaults
+      return getProductTypes(store.get(PRODUCT_TYPES_KEY));
     } catch (error) {
       this.log.error('Error getting product types:', error);
       
       // Return defaults if all else fails
-      return [
-        {
-          id: 'pipe',
-          name: 'Pipes',
-          attributes: ['diameter', 'length', 'material', 'brand'],
-          defaultUnit: 'piece'
-        },
-        {
-          id: 'fitting',
-          name: 'Fittings',
-          attributes: ['type', 'diameter', 'material', 'brand'],
-          defaultUnit: 'piece'
-        },
-        {
-          id: 'valve',
-          name: 'Valves',
-          attributes: ['type', 'diameter', 'material', 'brand'],
-          defaultUnit: 'piece'
-        },
-        {
-          id: 'tool',
-          name: 'Tools',
-          attributes: ['brand', 'model', 'condition'],
-          defaultUnit: 'piece'
-        },
-        {
-          id: 'accessory',
-          name: 'Accessories',
-          attributes: ['type', 'brand', 'material'],
-          defaultUnit: 'piece'
-        }
-      ];
+      return DEFAULT_PRODUCT_TYPES.map(type => ({ ...type }));
     }
   }
   
@@ -4,6 +4,10 @@
  */
 
 const { sqlite3 } = require('../db/sqlite-adapter');
+const schema = require('../db/schema');
+const { getBaseQuantity } = require('./units');
+const { getCutLength } = require('./offcuts');
+const { getLocationStock, changeLocationStock } = require('./locations');
 const path = require('path');
 const fs = require('fs');
 const { app } = require('electron');
@@ -15,6 +19,31 @@ const EventEmitter = require('events');
 class DBEvents extends EventEmitter {}
 const dbEvents = new DBEvents();
 
+// Stock an inventory row holds for active, unexpired reservations
+const RESERVED_QUANTITY_SQL = `COALESCE((
+  SELECT SUM(MAX(r.quantity - COALESCE(r.fulfilled_quantity, 0), 0))
+  FROM stock_reservations r
+  WHERE r.item_id = inventory.id AND r.status = 'active' AND r.expires_at >= date('now', 'localtime')
+), 0)`;
+
+/**
+ * Additional data of an inventory row after stock is added or taken at one location
+ * @param {Object} stockRow - Row with quantity and additional_data
+ * @param {number} change - Quantity added (positive) or taken (negative)
+ * @param {string} [locationId] - Location the change is made at
+ * @returns {string} additional_data as JSON
+ */
+function changeRowLocationStock(stockRow, change, locationId) {
+  let extra = {};
+  try {
+    extra = JSON.parse(stockRow.additional_data || '{}') || {};
+  } catch (error) {
+    log.warn('Ignoring unreadable additional_data on inventory row');
+  }
+  extra.locationStock = changeLocationStock(getLocationStock(stockRow), change, locationId);
+  return JSON.stringify(extra);
+}
+
 class Database {
   constructor() {
     this.db = null;
@@ -29,23 +58,38 @@ class Database {
         fs.mkdirSync(dir, { recursive: true });
       }
       
-      // Open the database (will create if it doesn't exist)
+      // Open the database (will create if it doesn't exist); ready once migrations have run
+      this.open();
+      
+      // initialize() reports failures; avoid an unhandled rejection before it is called
+      this.ready.catch(() => {});
+    } catch (error) {
+      log.error('Error initializing database:', error);
+      throw new Error(`Database initialization failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Open the connection (creating the file if needed) and run pending migrations
+   * @returns {Promise<Object>} Resolves with the migration result once the database is ready
+   */
+  open() {
+    this.ready = new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(
         this.dbPath, 
         sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, 
         (err) => {
-        if (err) {
+          if (err) {
             log.error('Error opening database:', err.message);
-          throw err;
-        }
+            reject(err);
+            return;
+          }
           log.info('Connected to the SQLite database');
-          this.createTables();
+          this.createTables().then(resolve, reject);
         }
       );
-    } catch (error) {
-      log.error('Error initializing database:', error);
-      throw new Error(`Database initialization failed: ${error.message}`);
-    }
+    });
+    return this.ready;
   }
   
   /**
@@ -155,145 +199,85 @@ class Database {
     }
   }
   
+  /**
+   * Run a write statement
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<Object>} Object with changes and lastID
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ changes: this.changes, lastID: this.lastID });
+        }
+      });
+    });
+  }
+
+  /**
+   * Fetch a single row
+   * @param {string} sql - SQL query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object|null>} Row or null
+   */
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Fetch all matching rows
+   * @param {string} sql - SQL query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Array>} Rows
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+  
   /**
    * Initialize the database - called from the database wrapper
    * @returns {Promise<boolean>} Success status
    */
-  initialize() {
-    return new Promise((resolve) => {
-      // Database is already initialized in constructor
-      resolve(true);
-    });
+  async initialize() {
+    // The connection is opened and migrated in the constructor
+    await this.ready;
+    return true;
   }
   
   /**
-   * Create database tables if they don't exist
-   */
-  createTables() {
-    log.info('Creating tables if needed...');
-    
-    const tables = [
-      `CREATE TABLE IF NOT EXISTS inventory (
-        id TEXT PRIMARY KEY,
-        type TEXT,
-        description TEXT,
-        quantity INTEGER DEFAULT 0,
-        cost_price REAL DEFAULT 0,
-        selling_price REAL DEFAULT 0,
-        color TEXT,
-        diameter TEXT,
-        brand TEXT,
-        dimensions TEXT,
-        buying_price REAL DEFAULT 0,
-        alert_threshold INTEGER DEFAULT 10,
-        created_at TEXT,
-        updated_at TEXT,
-        created_by TEXT,
-        updated_by TEXT,
-        additional_data TEXT
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS sales (
-        id TEXT PRIMARY KEY,
-        invoice_number TEXT UNIQUE,
-        customer_name TEXT,
-        customer_id TEXT,
-        customer_contact TEXT,
-        total_amount REAL DEFAULT 0,
-        payment_method TEXT,
-        status TEXT DEFAULT 'completed',
-        created_at TEXT,
-        created_by TEXT,
-        notes TEXT,
-        additional_data TEXT
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS sale_items (
-        id TEXT PRIMARY KEY,
-        sale_id TEXT,
-        product_id TEXT,
-        product_name TEXT,
-        quantity INTEGER,
-        unit_price REAL,
-        total_price REAL,
-        cost_price REAL,
-        FOREIGN KEY(sale_id) REFERENCES sales(id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS categories (
-        id TEXT PRIMARY KEY,
-        name TEXT UNIQUE,
-        description TEXT,
-        created_at TEXT,
-        updated_at TEXT
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS customers (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        business TEXT,
-        email TEXT,
-        phone TEXT,
-        address TEXT,
-        tin TEXT,
-        type TEXT DEFAULT 'regular',
-        notes TEXT,
-        totalPurchases REAL DEFAULT 0,
-        purchaseCount INTEGER DEFAULT 0,
-        lastPurchaseDate TEXT,
-        createdAt TEXT,
-        updatedAt TEXT
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS reports (
-        id TEXT PRIMARY KEY,
-        type TEXT NOT NULL,
-        name TEXT,
-        description TEXT,
-        data TEXT,
-        parameters TEXT,
-        charts TEXT,
-        createdAt TEXT,
-        updatedAt TEXT
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT,
-        description TEXT,
-        updated_at TEXT
-      )`
-    ];
-    
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_inventory_type ON inventory(type)',
-      'CREATE INDEX IF NOT EXISTS idx_sales_date ON sales(created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_sale_items_sale_id ON sale_items(sale_id)',
-      'CREATE INDEX IF NOT EXISTS idx_sale_items_product_id ON sale_items(product_id)'
-    ];
+   * Create or upgrade the database tables
+   * The schema itself lives in db/schema.js as numbered migrations
+   * @returns {Promise<Object>} Migration result with from/to versions
+   */
+  async createTables() {
+    await this.run('PRAGMA foreign_keys = ON');
     
-    // Enable foreign keys
-    this.db.run('PRAGMA foreign_keys = ON', (err) => {
-      if (err) log.error('Error enabling foreign keys:', err.message);
+    const result = await schema.migrate(this, {
+      // db/sqlite-db.js used to keep its own database file next to this one
+      legacyDatabasePath: path.join(path.dirname(this.dbPath), 'pipe-inventory.db')
     });
     
-    // Create tables
-    this.db.serialize(() => {
-      tables.forEach(sql => {
-        this.db.run(sql, (err) => {
-          if (err) log.error('Error creating table:', err.message);
-        });
-      });
-      
-      // Create indexes
-      indexes.forEach(sql => {
-        this.db.run(sql, (err) => {
-          if (err) log.error('Error creating index:', err.message);
-        });
-      });
-      
-      log.info('Database tables and indexes created or verified');
-    });
+    log.info(`Database schema at version ${result.to} (applied: ${result.applied.join(', ') || 'none'})`);
+    return result;
   }
   
   /**
@@ -369,8 +353,8 @@ class Database {
         INSERT INTO inventory (
           id, type, description, quantity, cost_price, selling_price,
           color, diameter, brand, dimensions, buying_price, alert_threshold,
-          created_at, updated_at, created_by, updated_by, additional_data
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          created_at, updated_at, created_by, updated_by, additional_data, tax_class
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       const params = [
@@ -390,7 +374,8 @@ class Database {
         item.updated_at,
         item.created_by || 'system',
         item.updated_by || 'system',
-        item.additional_data ? JSON.stringify(item.additional_data) : null
+        item.additional_data ? JSON.stringify(item.additional_data) : null,
+        item.tax_class || item.taxClass || null
       ];
       
       this.db.run(sql, params, function(err) {
@@ -447,7 +432,8 @@ class Database {
               alert_threshold = ?,
               updated_at = ?,
               updated_by = ?,
-              additional_data = ?
+              additional_data = ?,
+              tax_class = ?
       WHERE id = ?
     `;
     
@@ -467,6 +453,10 @@ class Database {
             item.updated_by || 'system',
             item.additional_data ? JSON.stringify(item.additional_data) : 
               (originalItem.additional_data ? originalItem.additional_data : null),
+            // An empty class puts the item back on its product type's class
+            item.taxClass !== undefined || item.tax_class !== undefined
+              ? item.taxClass || item.tax_class || null
+              : originalItem.tax_class || null,
             item.id
           ];
           
@@ -536,15 +526,16 @@ class Database {
   }
   
   /**
-   * Get low stock items
+   * Get low stock items: those whose quantity available to sell, after active
+   * reservations, is at or below their alert threshold
    * @param {number} threshold - Optional override threshold
-   * @returns {Promise<Array>} Array of low stock items
+   * @returns {Promise<Array>} Array of low stock items with reserved_quantity
    */
   getLowStockItems(threshold) {
     return new Promise((resolve, reject) => {
       const sql = `
-        SELECT * FROM inventory
-        WHERE quantity <= COALESCE(alert_threshold, ?)
+        SELECT *, ${RESERVED_QUANTITY_SQL} AS reserved_quantity FROM inventory
+        WHERE quantity - ${RESERVED_QUANTITY_SQL} <= COALESCE(alert_threshold, ?)
       `;
       
       this.db.all(sql, [threshold || 10], (err, rows) => {
@@ -559,26 +550,41 @@ class Database {
   }
   
   /**
-   * Get all sales
+   * Get all sales with their items and tenders
    * @returns {Promise<Array>} Array of sales
    */
-  getSales() {
-    return new Promise((resolve, reject) => {
-      this.db.all('SELECT * FROM sales ORDER BY created_at DESC', (err, rows) => {
-        if (err) {
-          log.error('Error getting sales:', err.message);
-          reject(err);
-        } else {
-          resolve(rows || []);
-        }
-      });
-    });
+  async getSales() {
+    try {
+      const sales = await this.all('SELECT * FROM sales ORDER BY created_at DESC');
+      const items = await this.all('SELECT * FROM sale_items ORDER BY sale_id, rowid');
+      const payments = await this.all('SELECT * FROM sale_payments ORDER BY sale_id, rowid');
+      
+      const groupBySale = rows => {
+        const bySale = new Map();
+        rows.forEach(row => {
+          if (!bySale.has(row.sale_id)) bySale.set(row.sale_id, []);
+          bySale.get(row.sale_id).push(row);
+        });
+        return bySale;
+      };
+      const itemsBySale = groupBySale(items);
+      const paymentsBySale = groupBySale(payments);
+      
+      return sales.map(sale => ({
+        ...sale,
+        items: itemsBySale.get(sale.id) || [],
+        payments: paymentsBySale.get(sale.id) || []
+      }));
+    } catch (err) {
+      log.error('Error getting sales:', err.message);
+      throw err;
+    }
   }
   
   /**
-   * Get a sale by ID with its items
+   * Get a sale by ID with its items and tenders
    * @param {string} id - Sale ID
-   * @returns {Promise<Object>} Sale with items
+   * @returns {Promise<Object>} Sale with items and payments
    */
   getSaleById(id) {
     return new Promise((resolve, reject) => {
@@ -596,21 +602,177 @@ class Database {
         }
         
         // Get the sale items
-        this.db.all('SELECT * FROM sale_items WHERE sale_id = ?', [id], (err, items) => {
+        this.db.all('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY rowid', [id], (err, items) => {
           if (err) {
             log.error(`Error getting items for sale ${id}:`, err.message);
             reject(err);
             return;
           }
           
-          // Attach items to sale
+          // Attach items and tenders to sale
           sale.items = items || [];
-          resolve(sale);
+          this.db.all('SELECT * FROM sale_payments WHERE sale_id = ? ORDER BY rowid', [id], (err, payments) => {
+            if (err) {
+              log.error(`Error getting payments for sale ${id}:`, err.message);
+              reject(err);
+              return;
+            }
+            
+            sale.payments = payments || [];
+            resolve(sale);
+          });
         });
       });
     });
   }
   
+  /**
+   * Insert a sale's row and one row per tender, inside the caller's transaction
+   * @param {Object} sale - Sale with created_at set
+   * @returns {Promise<void>}
+   */
+  async insertSaleRows(sale) {
+    const saleSql = `
+      INSERT INTO sales (
+        id, invoice_number, customer_name, customer_id, customer_contact,
+        total_amount, payment_method, status, created_at, created_by, notes, additional_data,
+        gross_amount, invoice_discount_type, invoice_discount_value, invoice_discount,
+        discount_total, discount_reason, discount_approved_by,
+        prices_include_tax, taxable_amount, exempt_amount, tax_amount,
+        amount_tendered, change_due, cash_session_id, quotation_id, location_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const buyer = sale.buyer || {};
+    const saleParams = [
+      sale.id,
+      sale.invoice_number || sale.invoiceNumber || null,
+      sale.customer_name || buyer.name || '',
+      sale.customer_id || buyer.id || null,
+      sale.customer_contact || buyer.phone || buyer.email || '',
+      sale.total_amount || sale.totalAmount || 0,
+      sale.payment_method || sale.paymentMethod || '',
+      sale.status || 'completed',
+      sale.created_at,
+      sale.created_by || sale.createdBy || 'system',
+      sale.notes || '',
+      sale.additional_data ? JSON.stringify(sale.additional_data) : null,
+      sale.grossAmount || sale.total_amount || sale.totalAmount || 0,
+      sale.invoiceDiscountType || null,
+      sale.invoiceDiscountValue || 0,
+      sale.invoiceDiscountAmount || 0,
+      sale.discountTotal || 0,
+      sale.discountReason || null,
+      sale.discountApprovedBy || null,
+      sale.pricesIncludeTax === false ? 0 : 1,
+      sale.taxableAmount || 0,
+      sale.exemptAmount || 0,
+      sale.taxAmount || sale.vatAmount || 0,
+      sale.amountTendered || 0,
+      sale.changeDue || 0,
+      sale.cashSessionId || sale.cash_session_id || null,
+      sale.quotationId || sale.quotation_id || null,
+      sale.locationId || sale.location_id || null
+    ];
+    
+    await new Promise((resolveSale, rejectSale) => {
+      this.db.run(saleSql, saleParams, function(err) {
+        if (err) {
+          log.error('Error adding sale:', err.message);
+          rejectSale(err);
+        } else {
+          resolveSale();
+        }
+      });
+    });
+    
+    // One row per tender, so reports can total cash, mobile money and the rest separately
+    for (const [index, payment] of (sale.payments || []).entries()) {
+      await this.run(`
+        INSERT INTO sale_payments (id, sale_id, method, amount, tendered, reference, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        `${sale.id}-p${index + 1}`,
+        sale.id,
+        payment.method,
+        parseFloat(payment.amount) || 0,
+        parseFloat(payment.tendered !== undefined ? payment.tendered : payment.amount) || 0,
+        payment.reference || null,
+        sale.created_at
+      ]);
+    }
+  }
+  
+  /**
+   * Insert one sale line into sale_items, inside the caller's transaction
+   * @param {Object} sale - Sale the line belongs to
+   * @param {Object} item - Line with the cost price captured when it was sold
+   * @param {number} index - Position of the line in the sale
+   * @returns {Promise<void>}
+   */
+  async insertSaleItem(sale, item, index) {
+    const quantity = parseFloat(item.quantity) || 0;
+    const unitPrice = parseFloat(item.unit_price !== undefined ? item.unit_price : item.price) || 0;
+    const discount = parseFloat(item.discount) || 0;
+    
+    await this.run(`
+      INSERT INTO sale_items (
+        id, sale_id, product_id, product_name, quantity, unit_price, discount, total_price, cost_price,
+        discount_type, discount_value, invoice_discount,
+        tax_class, tax_rate, tax_exempt, taxable_amount, tax_amount, unit, unit_factor, cut_length
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      `${sale.id}-${index + 1}`,
+      sale.id,
+      item.product_id || item.itemId || item.id || null,
+      item.product_name || item.description || '',
+      quantity,
+      unitPrice,
+      discount,
+      parseFloat(item.total_price !== undefined ? item.total_price : item.total) || quantity * unitPrice - discount,
+      parseFloat(item.cost_price !== undefined ? item.cost_price : item.costPrice) || 0,
+      item.discountType || item.discount_type || null,
+      parseFloat(item.discountValue !== undefined ? item.discountValue : item.discount_value) || 0,
+      parseFloat(item.invoiceDiscount !== undefined ? item.invoiceDiscount : item.invoice_discount) || 0,
+      item.taxClass || item.tax_class || null,
+      parseFloat(item.taxRate !== undefined ? item.taxRate : item.tax_rate) || 0,
+      item.taxExempt || item.tax_exempt ? 1 : 0,
+      item.taxableAmount !== undefined ? item.taxableAmount : (item.taxable_amount !== undefined ? item.taxable_amount : null),
+      parseFloat(item.taxAmount !== undefined ? item.taxAmount : item.tax_amount) || 0,
+      item.unit || null,
+      parseFloat(item.unitFactor !== undefined ? item.unitFactor : item.unit_factor) || 1,
+      getCutLength(item) || null
+    ]);
+  }
+  
+  /**
+   * Record a sale already taken from stock elsewhere: its row, its tenders, one sale_items row per
+   * line with the cost price captured at the moment of sale, and its stock movements, in one
+   * transaction. Inventory is not touched.
+   * @param {Object} sale - Sale with its lines priced and costed
+   * @param {Array} [movements] - Ledger entries of the stock the sale took
+   * @returns {Promise<Object>} Result object with the movements recorded
+   */
+  async recordSale(sale, movements = []) {
+    const row = { ...sale, created_at: sale.created_at || sale.createdAt || new Date().toISOString() };
+    
+    const recorded = await this.executeTransaction(async () => {
+      await this.insertSaleRows(row);
+      for (const [index, item] of (row.items || []).entries()) {
+        await this.insertSaleItem(row, item, index);
+      }
+      
+      const entries = [];
+      for (const movement of movements) {
+        entries.push((await this.addStockMovement(movement)).movement);
+      }
+      return entries;
+    });
+    
+    dbEvents.emit('sale-created', row);
+    return { success: true, id: row.id, movements: recorded };
+  }
+  
   /**
    * Add a new sale
    * @param {Object} sale - Sale object with items
@@ -634,39 +796,7 @@ class Database {
       // Begin transaction with our transaction management
       this.executeTransaction(async () => {
         try {
-          // Insert sale
-          const saleSql = `
-        INSERT INTO sales (
-              id, invoice_number, customer_name, customer_id, customer_contact,
-              total_amount, payment_method, status, created_at, created_by, notes, additional_data
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `;
-          
-          const saleParams = [
-        sale.id,
-            sale.invoice_number || '',
-            sale.customer_name || '',
-            sale.customer_id || null,
-            sale.customer_contact || '',
-            sale.total_amount || 0,
-            sale.payment_method || '',
-        sale.status || 'completed',
-            sale.created_at,
-            sale.created_by || 'system',
-            sale.notes || '',
-            sale.additional_data ? JSON.stringify(sale.additional_data) : null
-          ];
-          
-          await new Promise((resolveSale, rejectSale) => {
-            this.db.run(saleSql, saleParams, function(err) {
-              if (err) {
-                log.error('Error adding sale:', err.message);
-                rejectSale(err);
-              } else {
-                resolveSale();
-              }
-            });
-          });
+          await this.insertSaleRows(sale);
           
           // If no items, return early
           if (!sale.items || sale.items.length === 0) {
@@ -676,50 +806,37 @@ class Database {
           }
           
           // Process each sale item and update inventory
-        for (const item of sale.items) {
-            // Insert sale item
-            const itemId = item.id || uuidv4();
-            const itemSql = `
-              INSERT INTO sale_items (
-                id, sale_id, product_id, product_name, quantity, unit_price, total_price, cost_price
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `;
+        for (const [index, item] of sale.items.entries()) {
+            const productId = item.product_id || item.itemId || item.id || null;
+            const stockRow = productId
+              ? await this.get('SELECT quantity, description, buying_price, additional_data FROM inventory WHERE id = ?', [productId])
+              : null;
+            const baseQuantity = getBaseQuantity(item);
             
-            const itemParams = [
-              itemId,
-              sale.id,
-              item.product_id || item.itemId,
-              item.product_name || '',
-              item.quantity || 0,
-              item.unit_price || 0,
-              item.total_price || 0,
-              item.cost_price || 0
-            ];
+            // Keep the buying price as it is now so later price changes do not rewrite this sale's margin
+            const costPrice = parseFloat(item.cost_price !== undefined ? item.cost_price : item.costPrice) ||
+              (stockRow ? parseFloat(stockRow.buying_price) || 0 : 0);
             
-            await new Promise((resolveItem, rejectItem) => {
-              this.db.run(itemSql, itemParams, function(err) {
-                if (err) {
-                  log.error(`Error adding sale item for sale ${sale.id}:`, err.message);
-                  rejectItem(err);
-                } else {
-                  resolveItem();
-                }
-              });
-            });
+            await this.insertSaleItem(sale, {
+              ...item,
+              description: item.description || (stockRow && stockRow.description) || '',
+              cost_price: costPrice
+            }, index);
             
-            // Update inventory quantity
-            if (item.product_id || item.itemId) {
-              const productId = item.product_id || item.itemId;
+            // Update inventory quantity in the item's base unit, taken from the selling location
+            if (stockRow) {
               const updateSql = `
                 UPDATE inventory 
                 SET quantity = MAX(0, quantity - ?), 
+                    additional_data = ?,
                     updated_at = ? 
         WHERE id = ?
       `;
       
               await new Promise((resolveUpdate, rejectUpdate) => {
                 this.db.run(updateSql, [
-                  item.quantity || 0,
+                  baseQuantity,
+                  changeRowLocationStock(stockRow, -baseQuantity, sale.locationId || sale.location_id),
                   now,
                   productId
                 ], function(err) {
@@ -731,6 +848,24 @@ class Database {
                   }
                 });
               });
+              
+              // Record the sale in the stock movement ledger
+              const quantityBefore = stockRow.quantity || 0;
+              const quantityAfter = Math.max(0, quantityBefore - baseQuantity);
+              await this.addStockMovement({
+                item_id: productId,
+                item_description: stockRow.description || item.product_name || '',
+                movement_type: 'sale',
+                quantity_change: quantityAfter - quantityBefore,
+                quantity_before: quantityBefore,
+                quantity_after: quantityAfter,
+                reason: 'Sale',
+                reference_type: 'sale',
+                reference_id: sale.id,
+                location_id: sale.locationId || sale.location_id || null,
+                user: sale.created_by || 'system',
+                created_at: now
+              });
             }
           }
           
@@ -752,66 +887,1286 @@ class Database {
   }
 
   /**
-   * Get all reports
-   * @returns {Promise<Array>} Array of reports
+   * Record an entry in the stock movement ledger
+   * @param {Object} movement - Movement with item_id, movement_type, before/after quantities, reason and user
+   * @returns {Promise<Object>} Result object
    */
-  getReports() {
-    return new Promise((resolve, reject) => {
-      this.db.all('SELECT * FROM reports ORDER BY createdAt DESC', (err, rows) => {
-        if (err) {
-          log.error('Error getting reports:', err.message);
-          reject(err);
-        } else {
-          resolve(rows || []);
-        }
-      });
-    });
+  async addStockMovement(movement) {
+    if (!movement || !movement.item_id || !movement.movement_type) {
+      throw new Error('Stock movement requires an item ID and movement type');
+    }
+    
+    const entry = {
+      id: movement.id || uuidv4(),
+      item_id: movement.item_id,
+      item_description: movement.item_description || '',
+      movement_type: movement.movement_type,
+      quantity_change: movement.quantity_change || 0,
+      quantity_before: movement.quantity_before || 0,
+      quantity_after: movement.quantity_after || 0,
+      reason: movement.reason || '',
+      reference_type: movement.reference_type || null,
+      reference_id: movement.reference_id || null,
+      notes: movement.notes || '',
+      location_id: movement.location_id || null,
+      user: movement.user || 'system',
+      created_at: movement.created_at || new Date().toISOString()
+    };
+    
+    try {
+      await this.run(`
+        INSERT INTO stock_movements (
+          id, item_id, item_description, movement_type, quantity_change, quantity_before,
+          quantity_after, reason, reference_type, reference_id, notes, location_id, user, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        entry.id,
+        entry.item_id,
+        entry.item_description,
+        entry.movement_type,
+        entry.quantity_change,
+        entry.quantity_before,
+        entry.quantity_after,
+        entry.reason,
+        entry.reference_type,
+        entry.reference_id,
+        entry.notes,
+        entry.location_id,
+        entry.user,
+        entry.created_at
+      ]);
+    } catch (err) {
+      log.error(`Error recording stock movement for item ${entry.item_id}:`, err.message);
+      throw err;
+    }
+    
+    dbEvents.emit('stock-movement-created', entry);
+    return { success: true, id: entry.id, movement: entry };
   }
 
   /**
-   * Get a report by ID
-   * @param {string} id - Report ID
-   * @returns {Promise<Object>} Report
+   * Record stock movements and scrap records in one transaction, so either all of them are kept or none
+   * @param {Array} movements - Ledger entries
+   * @param {Array} [scrapRecords] - Scrap records
+   * @returns {Promise<Object>} Result object with the movements recorded
    */
-  getReportById(id) {
-    return new Promise((resolve, reject) => {
-      this.db.get('SELECT * FROM reports WHERE id = ?', [id], (err, row) => {
-        if (err) {
-          log.error(`Error getting report ${id}:`, err.message);
-          reject(err);
-        } else {
-          resolve(row || null);
-        }
-      });
+  async recordStockChanges(movements, scrapRecords = []) {
+    const recorded = await this.executeTransaction(async () => {
+      const entries = [];
+      for (const movement of movements) {
+        entries.push((await this.addStockMovement(movement)).movement);
+      }
+      for (const record of scrapRecords) {
+        await this.addScrapRecord(record);
+      }
+      return entries;
     });
+    
+    return { success: true, movements: recorded };
   }
 
   /**
-   * Add a new report
-   * @param {Object} report - Report object
+   * Get stock movements, newest first
+   * @param {Object} filters - Optional itemId, movementType, locationId, startDate, endDate and limit
+   * @returns {Promise<Array>} Array of stock movements
+   */
+  async getStockMovements(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.itemId) {
+      conditions.push('item_id = ?');
+      params.push(filters.itemId);
+    }
+    if (filters.movementType) {
+      conditions.push('movement_type = ?');
+      params.push(filters.movementType);
+    }
+    if (filters.locationId) {
+      conditions.push('location_id = ?');
+      params.push(filters.locationId);
+    }
+    if (filters.startDate) {
+      conditions.push('created_at >= ?');
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      conditions.push('created_at <= ?');
+      params.push(filters.endDate);
+    }
+    
+    let sql = 'SELECT * FROM stock_movements';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(parseInt(filters.limit, 10));
+    }
+    
+    try {
+      return await this.all(sql, params);
+    } catch (err) {
+      log.error('Error getting stock movements:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Get all suppliers, ordered by name
+   * @returns {Promise<Array>} Array of suppliers
+   */
+  async getSuppliers() {
+    try {
+      return await this.all('SELECT * FROM suppliers ORDER BY name COLLATE NOCASE');
+    } catch (err) {
+      log.error('Error getting suppliers:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Insert or update a supplier record
+   * @param {Object} supplier - Supplier with id and name
    * @returns {Promise<Object>} Result object
    */
-  addReport(report) {
-    return new Promise((resolve, reject) => {
-      if (!report) {
-        reject(new Error('Invalid report data'));
-        return;
+  async saveSupplier(supplier) {
+    if (!supplier || !supplier.id || !supplier.name) {
+      throw new Error('Supplier requires an ID and name');
+    }
+    
+    try {
+      await this.run(`
+        INSERT INTO suppliers (
+          id, name, contact_person, phone, email, address, tin, notes, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          contact_person = excluded.contact_person,
+          phone = excluded.phone,
+          email = excluded.email,
+          address = excluded.address,
+          tin = excluded.tin,
+          notes = excluded.notes,
+          updated_at = excluded.updated_at
+      `, [
+        supplier.id,
+        supplier.name,
+        supplier.contact_person || '',
+        supplier.phone || '',
+        supplier.email || '',
+        supplier.address || '',
+        supplier.tin || '',
+        supplier.notes || '',
+        supplier.created_at,
+        supplier.updated_at
+      ]);
+    } catch (err) {
+      log.error(`Error saving supplier ${supplier.id}:`, err.message);
+      throw err;
+    }
+    
+    dbEvents.emit('supplier-saved', supplier);
+    return { success: true, supplier };
+  }
+
+  /**
+   * Get purchase orders with their line items, newest first
+   * @param {Object} filters - Optional status and supplierId
+   * @returns {Promise<Array>} Array of purchase orders
+   */
+  async getPurchaseOrders(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.supplierId) {
+      conditions.push('supplier_id = ?');
+      params.push(filters.supplierId);
+    }
+    
+    let sql = 'SELECT * FROM purchase_orders';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    
+    try {
+      const orders = await this.all(sql, params);
+      for (const order of orders) {
+        order.items = await this.all(
+          'SELECT * FROM purchase_order_items WHERE purchase_order_id = ?',
+          [order.id]
+        );
       }
+      return orders;
+    } catch (err) {
+      log.error('Error getting purchase orders:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a purchase order with its line items and goods-received notes
+   * @param {string} id - Purchase order ID
+   * @returns {Promise<Object|null>} The purchase order or null
+   */
+  async getPurchaseOrderById(id) {
+    try {
+      const order = await this.get('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+      if (!order) return null;
       
-      // Ensure report has an ID
-      if (!report.id) {
-        report.id = `report-${Date.now()}`;
+      order.items = await this.all(
+        'SELECT * FROM purchase_order_items WHERE purchase_order_id = ?',
+        [id]
+      );
+      order.receipts = await this.all(
+        'SELECT * FROM goods_received_notes WHERE purchase_order_id = ? ORDER BY received_at',
+        [id]
+      );
+      for (const receipt of order.receipts) {
+        receipt.items = await this.all(
+          'SELECT * FROM goods_received_items WHERE grn_id = ?',
+          [receipt.id]
+        );
       }
+      return order;
+    } catch (err) {
+      log.error(`Error getting purchase order ${id}:`, err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Insert or replace a purchase order and its line items
+   * @param {Object} order - Purchase order with items array
+   * @returns {Promise<Object>} Result object
+   */
+  async savePurchaseOrder(order) {
+    if (!order || !order.id || !Array.isArray(order.items)) {
+      throw new Error('Purchase order requires an ID and line items');
+    }
+    
+    await this.executeTransaction(async () => {
+      await this.run(`
+        INSERT OR REPLACE INTO purchase_orders (
+          id, po_number, supplier_id, supplier_name, status, expected_date,
+          total_amount, notes, created_at, created_by, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        order.id,
+        order.po_number,
+        order.supplier_id,
+        order.supplier_name,
+        order.status,
+        order.expected_date || null,
+        order.total_amount || 0,
+        order.notes || '',
+        order.created_at,
+        order.created_by,
+        order.updated_at
+      ]);
       
-      const now = new Date().toISOString();
-      report.createdAt = report.createdAt || now;
-      report.updatedAt = now;
+      await this.run('DELETE FROM purchase_order_items WHERE purchase_order_id = ?', [order.id]);
+      for (const line of order.items) {
+        await this.run(`
+          INSERT INTO purchase_order_items (
+            id, purchase_order_id, item_id, item_description,
+            quantity_ordered, quantity_received, expected_price
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          line.id,
+          order.id,
+          line.item_id,
+          line.item_description || '',
+          line.quantity_ordered || 0,
+          line.quantity_received || 0,
+          line.expected_price || 0
+        ]);
+      }
+    });
+    
+    dbEvents.emit('purchase-order-saved', order);
+    return { success: true, order };
+  }
 
-      const sql = `
-        INSERT INTO reports (
-          id, type, name, description, data, parameters, charts, createdAt, updatedAt
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
+  /**
+   * Record a goods-received note and its lines
+   * @param {Object} grn - Goods-received note with items array
+   * @returns {Promise<Object>} Result object
+   */
+  async addGoodsReceivedNote(grn) {
+    if (!grn || !grn.id || !grn.purchase_order_id || !Array.isArray(grn.items)) {
+      throw new Error('Goods-received note requires an ID, purchase order and line items');
+    }
+    
+    await this.executeTransaction(async () => {
+      await this.run(`
+        INSERT INTO goods_received_notes (
+          id, grn_number, purchase_order_id, supplier_id, delivery_reference,
+          total_amount, notes, location_id, received_at, received_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        grn.id,
+        grn.grn_number,
+        grn.purchase_order_id,
+        grn.supplier_id,
+        grn.delivery_reference || '',
+        grn.total_amount || 0,
+        grn.notes || '',
+        grn.location_id || null,
+        grn.received_at,
+        grn.received_by
+      ]);
+      
+      for (const line of grn.items) {
+        await this.run(`
+          INSERT INTO goods_received_items (
+            id, grn_id, purchase_order_item_id, item_id, item_description, quantity, unit_cost
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          line.id,
+          grn.id,
+          line.purchase_order_item_id,
+          line.item_id,
+          line.item_description || '',
+          line.quantity,
+          line.unit_cost
+        ]);
+      }
+    });
+    
+    dbEvents.emit('goods-received', grn);
+    return { success: true, grn };
+  }
+
+  /**
+   * Get goods-received notes, newest first
+   * @param {Object} filters - Optional purchaseOrderId, supplierId, startDate and endDate
+   * @returns {Promise<Array>} Array of goods-received notes with their lines
+   */
+  async getGoodsReceivedNotes(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.purchaseOrderId) {
+      conditions.push('purchase_order_id = ?');
+      params.push(filters.purchaseOrderId);
+    }
+    if (filters.supplierId) {
+      conditions.push('supplier_id = ?');
+      params.push(filters.supplierId);
+    }
+    if (filters.startDate) {
+      conditions.push('received_at >= ?');
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      conditions.push('received_at <= ?');
+      params.push(filters.endDate);
+    }
+    
+    let sql = 'SELECT * FROM goods_received_notes';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY received_at DESC';
+    
+    try {
+      const notes = await this.all(sql, params);
+      for (const note of notes) {
+        note.items = await this.all('SELECT * FROM goods_received_items WHERE grn_id = ?', [note.id]);
+      }
+      return notes;
+    } catch (err) {
+      log.error('Error getting goods-received notes:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Record a sales return (credit note) and its lines
+   * @param {Object} salesReturn - Return with items array
+   * @returns {Promise<Object>} Result object
+   */
+  async addSalesReturn(salesReturn) {
+    if (!salesReturn || !salesReturn.id || !salesReturn.sale_id || !Array.isArray(salesReturn.items)) {
+      throw new Error('Sales return requires an ID, sale and line items');
+    }
+    
+    await this.executeTransaction(async () => {
+      await this.run(`
+        INSERT INTO sales_returns (
+          id, credit_note_number, sale_id, invoice_number, customer_id, customer_name,
+          total_amount, reason, refund_method, notes, created_at, created_by, cash_session_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        salesReturn.id,
+        salesReturn.credit_note_number,
+        salesReturn.sale_id,
+        salesReturn.invoice_number || '',
+        salesReturn.customer_id || null,
+        salesReturn.customer_name || '',
+        salesReturn.total_amount || 0,
+        salesReturn.reason || '',
+        salesReturn.refund_method || '',
+        salesReturn.notes || '',
+        salesReturn.created_at,
+        salesReturn.created_by,
+        salesReturn.cash_session_id || null
+      ]);
+      
+      for (const line of salesReturn.items) {
+        await this.run(`
+          INSERT INTO sales_return_items (
+            id, return_id, line_index, product_id, product_name, quantity, unit_price, total_price, cost_price,
+            tax_class, tax_rate, tax_exempt, tax_amount, unit, unit_factor, cut_length
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          line.id,
+          salesReturn.id,
+          line.line_index,
+          line.product_id,
+          line.product_name || '',
+          line.quantity,
+          line.unit_price,
+          line.total_price,
+          line.cost_price || 0,
+          line.tax_class || null,
+          line.tax_rate || 0,
+          line.tax_exempt ? 1 : 0,
+          line.tax_amount || 0,
+          line.unit || null,
+          line.unit_factor || 1,
+          line.cut_length || null
+        ]);
+      }
+    });
+    
+    dbEvents.emit('sales-return-created', salesReturn);
+    return { success: true, salesReturn };
+  }
+
+  /**
+   * Get sales returns with their lines, newest first
+   * @param {Object} filters - Optional saleId, startDate and endDate
+   * @returns {Promise<Array>} Array of sales returns
+   */
+  async getSalesReturns(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.saleId) {
+      conditions.push('sale_id = ?');
+      params.push(filters.saleId);
+    }
+    if (filters.startDate) {
+      conditions.push('created_at >= ?');
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      conditions.push('created_at <= ?');
+      params.push(filters.endDate);
+    }
+    
+    let sql = 'SELECT * FROM sales_returns';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    
+    try {
+      const returns = await this.all(sql, params);
+      for (const salesReturn of returns) {
+        salesReturn.items = await this.all(
+          'SELECT * FROM sales_return_items WHERE return_id = ? ORDER BY line_index',
+          [salesReturn.id]
+        );
+      }
+      return returns;
+    } catch (err) {
+      log.error('Error getting sales returns:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Get all user accounts, including their password hashes
+   * @returns {Promise<Array>} Array of users
+   */
+  async getUsers() {
+    try {
+      const users = await this.all('SELECT * FROM users ORDER BY username COLLATE NOCASE');
+      return users.map(user => ({ ...user, active: !!user.active }));
+    } catch (err) {
+      log.error('Error getting users:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Insert or update a user account
+   * @param {Object} user - User with id, username, role and password hash
+   * @returns {Promise<Object>} Result object
+   */
+  async saveUser(user) {
+    if (!user || !user.id || !user.username || !user.password_hash) {
+      throw new Error('User requires an ID, username and password');
+    }
+    
+    try {
+      await this.run(`
+        INSERT INTO users (
+          id, username, name, role, password_hash, password_salt, active, last_login, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          role = excluded.role,
+          password_hash = excluded.password_hash,
+          password_salt = excluded.password_salt,
+          active = excluded.active,
+          last_login = excluded.last_login,
+          updated_at = excluded.updated_at
+      `, [
+        user.id,
+        user.username,
+        user.name || '',
+        user.role,
+        user.password_hash,
+        user.password_salt,
+        user.active ? 1 : 0,
+        user.last_login || null,
+        user.created_at,
+        user.updated_at
+      ]);
+    } catch (err) {
+      log.error(`Error saving user ${user.username}:`, err.message);
+      throw err;
+    }
+    
+    return { success: true, id: user.id };
+  }
+
+  /**
+   * Record a payment received from a customer against an invoice
+   * @param {Object} payment - Payment object
+   * @returns {Promise<Object>} Result object
+   */
+  async addCustomerPayment(payment) {
+    if (!payment || !payment.id || !payment.customer_id) {
+      throw new Error('Customer payment requires an ID and a customer');
+    }
+    
+    try {
+      await this.run(`
+        INSERT INTO customer_payments (
+          id, receipt_number, customer_id, sale_id, invoice_number, amount,
+          payment_method, reference, notes, payment_date, created_at, created_by, cash_session_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        payment.id,
+        payment.receipt_number || '',
+        payment.customer_id,
+        payment.sale_id || null,
+        payment.invoice_number || '',
+        payment.amount || 0,
+        payment.payment_method || '',
+        payment.reference || '',
+        payment.notes || '',
+        payment.payment_date,
+        payment.created_at,
+        payment.created_by,
+        payment.cash_session_id || null
+      ]);
+    } catch (err) {
+      log.error('Error adding customer payment:', err.message);
+      throw err;
+    }
+    
+    dbEvents.emit('customer-payment-recorded', payment);
+    return { success: true, payment };
+  }
+
+  /**
+   * Get customer payments, oldest first
+   * @param {Object} filters - Optional customerId, saleId, startDate and endDate
+   * @returns {Promise<Array>} Array of payments
+   */
+  async getCustomerPayments(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.customerId) {
+      conditions.push('customer_id = ?');
+      params.push(filters.customerId);
+    }
+    if (filters.saleId) {
+      conditions.push('sale_id = ?');
+      params.push(filters.saleId);
+    }
+    if (filters.startDate) {
+      conditions.push('payment_date >= ?');
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      conditions.push('payment_date <= ?');
+      params.push(filters.endDate);
+    }
+    
+    let sql = 'SELECT * FROM customer_payments';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY payment_date ASC';
+    
+    try {
+      return await this.all(sql, params);
+    } catch (err) {
+      log.error('Error getting customer payments:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Insert or update a cash drawer session
+   * @param {Object} session - Session row
+   * @returns {Promise<Object>} Result object
+   */
+  async saveCashSession(session) {
+    if (!session || !session.id || !session.counter) {
+      throw new Error('Cash session requires an ID and a counter');
+    }
+    
+    try {
+      await this.run(`
+        INSERT INTO cash_sessions (
+          id, z_report_number, counter, status, opening_float, opened_by, opened_at,
+          counted_cash, expected_cash, variance, closing_notes, summary, closed_by, closed_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          z_report_number = excluded.z_report_number,
+          status = excluded.status,
+          counted_cash = excluded.counted_cash,
+          expected_cash = excluded.expected_cash,
+          variance = excluded.variance,
+          closing_notes = excluded.closing_notes,
+          summary = excluded.summary,
+          closed_by = excluded.closed_by,
+          closed_at = excluded.closed_at
+      `, [
+        session.id,
+        session.z_report_number || null,
+        session.counter,
+        session.status,
+        session.opening_float || 0,
+        session.opened_by,
+        session.opened_at,
+        session.counted_cash !== undefined ? session.counted_cash : null,
+        session.expected_cash !== undefined ? session.expected_cash : null,
+        session.variance !== undefined ? session.variance : null,
+        session.closing_notes || null,
+        session.summary ? JSON.stringify(session.summary) : null,
+        session.closed_by || null,
+        session.closed_at || null
+      ]);
+    } catch (err) {
+      log.error(`Error saving cash session ${session.id}:`, err.message);
+      throw err;
+    }
+    
+    return { success: true, id: session.id };
+  }
+
+  /**
+   * Get cash drawer sessions, newest first
+   * @param {Object} filters - Optional status, openedBy, startDate and endDate
+   * @returns {Promise<Array>} Array of sessions
+   */
+  async getCashSessions(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.openedBy) {
+      conditions.push('opened_by = ?');
+      params.push(filters.openedBy);
+    }
+    if (filters.startDate) {
+      conditions.push('opened_at >= ?');
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      conditions.push('opened_at <= ?');
+      params.push(filters.endDate);
+    }
+    
+    let sql = 'SELECT * FROM cash_sessions';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY opened_at DESC';
+    
+    try {
+      const sessions = await this.all(sql, params);
+      return sessions.map(session => ({ ...session, summary: session.summary ? JSON.parse(session.summary) : null }));
+    } catch (err) {
+      log.error('Error getting cash sessions:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Get quotations with their lines, newest first
+   * @param {Object} filters - Optional customerId
+   * @returns {Promise<Array>} Array of quotations
+   */
+  async getQuotations(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.customerId) {
+      conditions.push('customer_id = ?');
+      params.push(filters.customerId);
+    }
+    
+    let sql = 'SELECT * FROM quotations';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    
+    try {
+      const quotations = await this.all(sql, params);
+      for (const quotation of quotations) {
+        quotation.buyer = quotation.buyer ? JSON.parse(quotation.buyer) : {};
+        quotation.prices_include_tax = !!quotation.prices_include_tax;
+        quotation.items = (await this.all(
+          'SELECT * FROM quotation_items WHERE quotation_id = ? ORDER BY line_index',
+          [quotation.id]
+        )).map(line => ({ ...line, tax_exempt: !!line.tax_exempt }));
+      }
+      return quotations;
+    } catch (err) {
+      log.error('Error getting quotations:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Insert or replace a quotation and its lines
+   * @param {Object} quotation - Quotation with items array
+   * @returns {Promise<Object>} Result object
+   */
+  async saveQuotation(quotation) {
+    if (!quotation || !quotation.id || !Array.isArray(quotation.items)) {
+      throw new Error('Quotation requires an ID and line items');
+    }
+    
+    await this.executeTransaction(async () => {
+      await this.run(`
+        INSERT OR REPLACE INTO quotations (
+          id, quote_number, customer_id, buyer, status, valid_until,
+          gross_amount, invoice_discount_type, invoice_discount_value, invoice_discount,
+          discount_total, discount_percent, discount_reason, discount_approved_by,
+          prices_include_tax, tax_amount, total_amount, notes, sale_id, invoice_number,
+          created_at, created_by, sent_at, accepted_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        quotation.id,
+        quotation.quote_number,
+        quotation.customer_id || null,
+        JSON.stringify(quotation.buyer || {}),
+        quotation.status,
+        quotation.valid_until || null,
+        quotation.gross_amount || 0,
+        quotation.invoice_discount_type || null,
+        quotation.invoice_discount_value || 0,
+        quotation.invoice_discount || 0,
+        quotation.discount_total || 0,
+        quotation.discount_percent || 0,
+        quotation.discount_reason || null,
+        quotation.discount_approved_by || null,
+        quotation.prices_include_tax === false ? 0 : 1,
+        quotation.tax_amount || 0,
+        quotation.total_amount || 0,
+        quotation.notes || '',
+        quotation.sale_id || null,
+        quotation.invoice_number || null,
+        quotation.created_at,
+        quotation.created_by,
+        quotation.sent_at || null,
+        quotation.accepted_at || null,
+        quotation.updated_at
+      ]);
+      
+      await this.run('DELETE FROM quotation_items WHERE quotation_id = ?', [quotation.id]);
+      for (const [index, line] of quotation.items.entries()) {
+        await this.run(`
+          INSERT INTO quotation_items (
+            id, quotation_id, line_index, item_id, description, type, dimension, quantity, unit_price,
+            discount_type, discount_value, discount, total, invoice_discount,
+            tax_class, tax_rate, tax_exempt, taxable_amount, tax_amount, unit, unit_factor, cut_length
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          `${quotation.id}-${index}`,
+          quotation.id,
+          index,
+          line.item_id,
+          line.description || '',
+          line.type || '',
+          line.dimension || '',
+          line.quantity || 0,
+          line.unit_price || 0,
+          line.discount_type || null,
+          line.discount_value || 0,
+          line.discount || 0,
+          line.total || 0,
+          line.invoice_discount || 0,
+          line.tax_class || null,
+          line.tax_rate || 0,
+          line.tax_exempt ? 1 : 0,
+          line.taxable_amount || 0,
+          line.tax_amount || 0,
+          line.unit || null,
+          line.unit_factor || 1,
+          line.cut_length || null
+        ]);
+      }
+    });
+    
+    dbEvents.emit('quotation-saved', quotation);
+    return { success: true, quotation };
+  }
+
+  /**
+   * Get stock reservations, newest first
+   * @param {Object} filters - Optional itemId, customerId and status (as stored)
+   * @returns {Promise<Array>} Array of reservations
+   */
+  async getReservations(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.itemId) {
+      conditions.push('item_id = ?');
+      params.push(filters.itemId);
+    }
+    if (filters.customerId) {
+      conditions.push('customer_id = ?');
+      params.push(filters.customerId);
+    }
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    
+    let sql = 'SELECT * FROM stock_reservations';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    
+    try {
+      return await this.all(sql, params);
+    } catch (err) {
+      log.error('Error getting stock reservations:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Insert or replace a stock reservation
+   * @param {Object} reservation - Reservation
+   * @returns {Promise<Object>} Result object
+   */
+  async saveReservation(reservation) {
+    if (!reservation || !reservation.id || !reservation.item_id) {
+      throw new Error('Reservation requires an ID and an item');
+    }
+    
+    try {
+      await this.run(`
+        INSERT OR REPLACE INTO stock_reservations (
+          id, item_id, item_description, customer_id, customer_name, quantity, fulfilled_quantity,
+          status, expires_at, reference, notes, sale_id, created_at, created_by,
+          released_at, released_by, release_reason, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        reservation.id,
+        reservation.item_id,
+        reservation.item_description || '',
+        reservation.customer_id || null,
+        reservation.customer_name || '',
+        reservation.quantity || 0,
+        reservation.fulfilled_quantity || 0,
+        reservation.status,
+        reservation.expires_at || null,
+        reservation.reference || '',
+        reservation.notes || '',
+        reservation.sale_id || null,
+        reservation.created_at,
+        reservation.created_by,
+        reservation.released_at || null,
+        reservation.released_by || null,
+        reservation.release_reason || null,
+        reservation.updated_at
+      ]);
+    } catch (err) {
+      log.error(`Error saving stock reservation ${reservation.id}:`, err.message);
+      throw err;
+    }
+    
+    dbEvents.emit('reservation-saved', reservation);
+    return { success: true, reservation };
+  }
+
+  /**
+   * Get offcuts written off as scrap, newest first
+   * @param {Object} filters - Optional itemId, startDate and endDate
+   * @returns {Promise<Array>} Array of scrap records
+   */
+  async getScrapRecords(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.itemId) {
+      conditions.push('item_id = ?');
+      params.push(filters.itemId);
+    }
+    if (filters.startDate) {
+      conditions.push('created_at >= ?');
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      conditions.push('created_at <= ?');
+      params.push(filters.endDate);
+    }
+    
+    let sql = 'SELECT * FROM scrap_records';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    
+    try {
+      return await this.all(sql, params);
+    } catch (err) {
+      log.error('Error getting scrap records:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Record offcuts written off as scrap
+   * @param {Object} record - Scrap record
+   * @returns {Promise<Object>} Result object
+   */
+  async addScrapRecord(record) {
+    if (!record || !record.id) {
+      throw new Error('Scrap record requires an ID');
+    }
+    
+    try {
+      await this.run(`
+        INSERT INTO scrap_records (
+          id, item_id, item_description, length, quantity, total_length, cost,
+          reason, reference_type, reference_id, notes, created_at, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        record.id,
+        record.item_id || null,
+        record.item_description || '',
+        record.length || 0,
+        record.quantity || 0,
+        record.total_length || 0,
+        record.cost || 0,
+        record.reason || '',
+        record.reference_type || null,
+        record.reference_id || null,
+        record.notes || '',
+        record.created_at,
+        record.created_by
+      ]);
+    } catch (err) {
+      log.error(`Error saving scrap record ${record.id}:`, err.message);
+      throw err;
+    }
+    
+    dbEvents.emit('scrap-recorded', record);
+    return { success: true, record };
+  }
+
+  /**
+   * Get stock transfers with their lines, newest first
+   * @param {Object} filters - Optional status and locationId (either end of the transfer)
+   * @returns {Promise<Array>} Array of transfers
+   */
+  async getStockTransfers(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.locationId) {
+      conditions.push('(from_location_id = ? OR to_location_id = ?)');
+      params.push(filters.locationId, filters.locationId);
+    }
+    
+    let sql = 'SELECT * FROM stock_transfers';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    
+    try {
+      const transfers = await this.all(sql, params);
+      for (const transfer of transfers) {
+        transfer.items = await this.all(
+          'SELECT * FROM stock_transfer_items WHERE transfer_id = ? ORDER BY line_index',
+          [transfer.id]
+        );
+      }
+      return transfers;
+    } catch (err) {
+      log.error('Error getting stock transfers:', err.message);
+      throw err;
+    }
+  }
+  
+  /**
+   * Insert or replace a stock transfer and its lines
+   * @param {Object} transfer - Transfer with items array
+   * @returns {Promise<Object>} Result object
+   */
+  async saveStockTransfer(transfer) {
+    if (!transfer || !transfer.id || !Array.isArray(transfer.items)) {
+      throw new Error('Stock transfer requires an ID and line items');
+    }
+    
+    await this.executeTransaction(async () => {
+      await this.run(`
+        INSERT OR REPLACE INTO stock_transfers (
+          id, transfer_number, from_location_id, to_location_id, status, notes,
+          created_at, created_by, dispatched_at, dispatched_by, received_at, received_by,
+          cancelled_at, cancelled_by, cancel_reason, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        transfer.id,
+        transfer.transfer_number,
+        transfer.from_location_id,
+        transfer.to_location_id,
+        transfer.status,
+        transfer.notes || '',
+        transfer.created_at,
+        transfer.created_by,
+        transfer.dispatched_at || null,
+        transfer.dispatched_by || null,
+        transfer.received_at || null,
+        transfer.received_by || null,
+        transfer.cancelled_at || null,
+        transfer.cancelled_by || null,
+        transfer.cancel_reason || null,
+        transfer.updated_at
+      ]);
+      
+      await this.run('DELETE FROM stock_transfer_items WHERE transfer_id = ?', [transfer.id]);
+      for (const [index, line] of transfer.items.entries()) {
+        await this.run(`
+          INSERT INTO stock_transfer_items (id, transfer_id, line_index, item_id, item_description, quantity)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+          `${transfer.id}-${index}`,
+          transfer.id,
+          index,
+          line.item_id,
+          line.item_description || '',
+          line.quantity || 0
+        ]);
+      }
+    });
+    
+    dbEvents.emit('stock-transfer-saved', transfer);
+    return { success: true, transfer };
+  }
+
+  /**
+   * Get stock takes with their lines, newest first
+   * @param {Object} filters - Optional status and locationId
+   * @returns {Promise<Array>} Array of stock takes
+   */
+  async getStockTakes(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.locationId) {
+      conditions.push('location_id = ?');
+      params.push(filters.locationId);
+    }
+    
+    let sql = 'SELECT * FROM stock_takes';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    
+    try {
+      const stockTakes = await this.all(sql, params);
+      for (const stockTake of stockTakes) {
+        const lines = await this.all(
+          'SELECT * FROM stock_take_lines WHERE stock_take_id = ? ORDER BY line_index',
+          [stockTake.id]
+        );
+        stockTake.lines = lines.map(line => ({ ...line, posted: !!line.posted }));
+      }
+      return stockTakes;
+    } catch (err) {
+      log.error('Error getting stock takes:', err.message);
+      throw err;
+    }
+  }
+  
+  /**
+   * Insert or replace a stock take and its lines
+   * @param {Object} stockTake - Stock take with lines array
+   * @returns {Promise<Object>} Result object
+   */
+  async saveStockTake(stockTake) {
+    if (!stockTake || !stockTake.id || !Array.isArray(stockTake.lines)) {
+      throw new Error('Stock take requires an ID and lines');
+    }
+    
+    await this.executeTransaction(async () => {
+      await this.run(`
+        INSERT OR REPLACE INTO stock_takes (
+          id, stock_take_number, location_id, category, group_by, status, notes,
+          created_at, created_by, posted_at, posted_by, cancelled_at, cancelled_by, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        stockTake.id,
+        stockTake.stock_take_number,
+        stockTake.location_id || null,
+        stockTake.category || null,
+        stockTake.group_by,
+        stockTake.status,
+        stockTake.notes || '',
+        stockTake.created_at,
+        stockTake.created_by,
+        stockTake.posted_at || null,
+        stockTake.posted_by || null,
+        stockTake.cancelled_at || null,
+        stockTake.cancelled_by || null,
+        stockTake.updated_at
+      ]);
+      
+      await this.run('DELETE FROM stock_take_lines WHERE stock_take_id = ?', [stockTake.id]);
+      for (const [index, line] of stockTake.lines.entries()) {
+        await this.run(`
+          INSERT INTO stock_take_lines (
+            id, stock_take_id, line_index, item_id, location_id, item_description, item_type,
+            category, dimension, sku, unit, expected_quantity, counted_quantity, unit_cost,
+            counted_at, counted_by, posted
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          `${stockTake.id}-${index}`,
+          stockTake.id,
+          index,
+          line.item_id,
+          line.location_id,
+          line.item_description || '',
+          line.item_type || '',
+          line.category || '',
+          line.dimension || '',
+          line.sku || '',
+          line.unit || '',
+          line.expected_quantity || 0,
+          line.counted_quantity === null || line.counted_quantity === undefined ? null : line.counted_quantity,
+          line.unit_cost || 0,
+          line.counted_at || null,
+          line.counted_by || null,
+          line.posted ? 1 : 0
+        ]);
+      }
+    });
+    
+    dbEvents.emit('stock-take-saved', stockTake);
+    return { success: true, stockTake };
+  }
+
+  /**
+   * Get all reports
+   * @returns {Promise<Array>} Array of reports
+   */
+  getReports() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM reports ORDER BY createdAt DESC', (err, rows) => {
+        if (err) {
+          log.error('Error getting reports:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get a report by ID
+   * @param {string} id - Report ID
+   * @returns {Promise<Object>} Report
+   */
+  getReportById(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM reports WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          log.error(`Error getting report ${id}:`, err.message);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Add a new report
+   * @param {Object} report - Report object
+   * @returns {Promise<Object>} Result object
+   */
+  addReport(report) {
+    return new Promise((resolve, reject) => {
+      if (!report) {
+        reject(new Error('Invalid report data'));
+        return;
+      }
+      
+      // Ensure report has an ID
+      if (!report.id) {
+        report.id = `report-${Date.now()}`;
+      }
+      
+      const now = new Date().toISOString();
+      report.createdAt = report.createdAt || now;
+      report.updatedAt = now;
+
+      const sql = `
+        INSERT INTO reports (
+          id, type, name, description, data, parameters, charts, createdAt, updatedAt
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
       
       const params = [
         report.id,
@@ -841,6 +2196,194 @@ class Database {
     });
   }
   
+  /**
+   * Write a consistent copy of the database to a new file
+   * @param {string} filePath - Destination, which must not exist yet
+   * @returns {Promise<void>}
+   */
+  async backupTo(filePath) {
+    await this.ready;
+    await this.run('VACUUM INTO ?', [filePath]);
+  }
+
+  /**
+   * Count the rows of each table
+   * @param {Array<string>} tables - Table names
+   * @returns {Promise<Object>} Row count per table, skipping tables that do not exist
+   */
+  async getTableCounts(tables) {
+    const counts = {};
+    for (const table of tables) {
+      try {
+        const row = await this.get(`SELECT COUNT(*) AS count FROM ${table}`);
+        counts[table] = row ? row.count : 0;
+      } catch (error) {
+        log.warn(`Could not count rows in ${table}:`, error.message);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Names of all user tables in the database
+   * @returns {Promise<Array<string>>} Table names
+   */
+  async getTableNames() {
+    const rows = await this.all(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Size of the database file on disk, including its write-ahead log
+   * @returns {number} Size in bytes
+   */
+  getFileSize() {
+    return ['', '-wal'].reduce((total, suffix) => {
+      const file = `${this.dbPath}${suffix}`;
+      return total + (fs.existsSync(file) ? fs.statSync(file).size : 0);
+    }, 0);
+  }
+
+  /**
+   * Report table row counts, file size and fragmentation
+   * @returns {Promise<Object>} Database metrics
+   */
+  async getMetrics() {
+    await this.ready;
+    
+    const pageSize = (await this.get('PRAGMA page_size')).page_size;
+    const pageCount = (await this.get('PRAGMA page_count')).page_count;
+    const freePages = (await this.get('PRAGMA freelist_count')).freelist_count;
+    const schemaVersion = await schema.getSchemaVersion(this);
+    
+    return {
+      path: this.dbPath,
+      fileSize: this.getFileSize(),
+      pageSize,
+      pageCount,
+      freePages,
+      // Share of the file taken by free pages that VACUUM would reclaim
+      fragmentation: pageCount > 0 ? Math.round((freePages / pageCount) * 10000) / 100 : 0,
+      schemaVersion,
+      tables: await this.getTableCounts(await this.getTableNames())
+    };
+  }
+
+  /**
+   * Reclaim free space and refresh the query planner statistics
+   * @returns {Promise<Object>} File size before and after
+   */
+  async optimize() {
+    await this.ready;
+    
+    const sizeBefore = this.getFileSize();
+    await this.run('VACUUM');
+    await this.run('ANALYZE');
+    await this.run('PRAGMA optimize');
+    const sizeAfter = this.getFileSize();
+    
+    log.info(`Database optimized: ${sizeBefore} -> ${sizeAfter} bytes`);
+    return { sizeBefore, sizeAfter };
+  }
+
+  /**
+   * Run the integrity and foreign key checks
+   * @returns {Promise<Object>} ok flag with any problems found
+   */
+  async checkIntegrity() {
+    await this.ready;
+    
+    const integrity = (await this.all('PRAGMA integrity_check'))
+      .map(row => row.integrity_check)
+      .filter(message => message !== 'ok');
+    const foreignKeyViolations = await this.all('PRAGMA foreign_key_check');
+    
+    return {
+      ok: integrity.length === 0 && foreignKeyViolations.length === 0,
+      integrity,
+      foreignKeyViolations
+    };
+  }
+
+  /**
+   * Rebuild all indexes and re-run the integrity checks
+   * @returns {Promise<Object>} Check results from before and after the rebuild
+   */
+  async repair() {
+    await this.ready;
+    
+    const before = await this.checkIntegrity();
+    await this.run('REINDEX');
+    const after = await this.checkIntegrity();
+    
+    log.info(`Database repair: indexes rebuilt, integrity ${after.ok ? 'ok' : 'still failing'}`);
+    return { before, after };
+  }
+
+  /**
+   * Replace the database file with a copy of another SQLite file and reopen it
+   * The file is checked before anything is touched, and older schemas are migrated on reopen
+   * @param {string} sourcePath - SQLite file to restore
+   * @returns {Promise<Object>} Migration result of the reopened database
+   */
+  async restoreFrom(sourcePath) {
+    await this.verifyDatabaseFile(sourcePath);
+    
+    // Copy next to the live file first so the swap itself is a single rename
+    const stagingPath = `${this.dbPath}.restore`;
+    fs.copyFileSync(sourcePath, stagingPath);
+    
+    await this.close();
+    this.db = null;
+    this.inTransaction = false;
+    
+    try {
+      fs.renameSync(stagingPath, this.dbPath);
+      for (const suffix of ['-wal', '-shm', '-journal']) {
+        fs.rmSync(`${this.dbPath}${suffix}`, { force: true });
+      }
+    } finally {
+      fs.rmSync(stagingPath, { force: true });
+    }
+    
+    log.info(`Database restored from ${sourcePath}`);
+    return this.open();
+  }
+
+  /**
+   * Check that a file is a readable SQLite database this version of the app can open
+   * @param {string} filePath - File to check
+   * @returns {Promise<void>} Rejects with the reason the file cannot be used
+   */
+  verifyDatabaseFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const source = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (openError) => {
+        if (openError) {
+          reject(new Error(`Cannot open ${path.basename(filePath)}: ${openError.message}`));
+          return;
+        }
+        
+        source.get('PRAGMA quick_check', (checkError, check) => {
+          source.get('PRAGMA user_version', (versionError, version) => {
+            source.close();
+            
+            if (checkError || versionError) {
+              reject(new Error(`${path.basename(filePath)} is not a valid database`));
+            } else if (check.quick_check !== 'ok') {
+              reject(new Error(`${path.basename(filePath)} is damaged: ${check.quick_check}`));
+            } else if (version.user_version > schema.SCHEMA_VERSION) {
+              reject(new Error('The database was created by a newer version of the app'));
+            } else {
+              resolve();
+            }
+          });
+        });
+      });
+    });
+  }
+
   /**
    * Close the database connection
    */
@@ -1071,10 +2614,11 @@ class Database {
   /**
    * Update customer purchase statistics
    * @param {string} customerId - Customer ID
-   * @param {number} purchaseAmount - Amount of the purchase
+   * @param {number} purchaseAmount - Amount of the purchase (negative for a refund)
+   * @param {number} [purchaseCountChange] - Change to the purchase count (-1 when a sale is fully returned)
    * @returns {Promise<Object>} Updated customer
    */
-  updateCustomerPurchaseStats(customerId, purchaseAmount) {
+  updateCustomerPurchaseStats(customerId, purchaseAmount, purchaseCountChange = 1) {
     return new Promise((resolve, reject) => {
       if (!customerId) {
         reject(new Error('Customer ID is required'));
@@ -1083,16 +2627,17 @@ class Database {
       
       const now = new Date().toISOString();
       
+      // Returns pass a negative amount and must not move the last purchase date
       const sql = `
         UPDATE customers SET
           totalPurchases = totalPurchases + ?,
-          purchaseCount = purchaseCount + 1,
-          lastPurchaseDate = ?,
+          purchaseCount = MAX(0, purchaseCount + ?),
+          lastPurchaseDate = CASE WHEN ? > 0 THEN ? ELSE lastPurchaseDate END,
           updatedAt = ?
         WHERE id = ?
       `;
       
-      this.db.run(sql, [purchaseAmount, now, now, customerId], function(err) {
+      this.db.run(sql, [purchaseAmount, purchaseCountChange, purchaseAmount, now, now, customerId], function(err) {
         if (err) {
           log.error(`Error updating purchase stats for customer ${customerId}:`, err.message);
           reject(err);
@@ -1103,7 +2648,7 @@ class Database {
             return;
           }
           
-          log.info(`Updated purchase stats for customer ${customerId}: +${purchaseAmount}`);
+          log.info(`Updated purchase stats for customer ${customerId}: ${purchaseAmount >= 0 ? '+' : ''}${purchaseAmount}`);
           
           // Emit event for real-time updates
           dbEvents.emit('customer-stats-updated', { customerId, purchaseAmount });
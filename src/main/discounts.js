@@ -0,0 +1,123 @@
+/**
+ * Discounts
+ * Works out line and invoice discounts on a sale. The renderer only proposes them;
+ * the main process recalculates every amount here before the sale is saved.
+ */
+
+const DISCOUNT_TYPES = {
+  PERCENT: 'percent',
+  FIXED: 'fixed'
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Read a discount as entered, treating a bare amount as a fixed discount
+ * @param {string} type - percent or fixed
+ * @param {*} value - Percentage or amount
+ * @param {string} label - What the discount applies to, for error messages
+ * @returns {{type: string, value: number}} Discount
+ * @throws {Error} When the discount is negative or over 100%
+ */
+function readDiscount(type, value, label) {
+  const discountType = type === DISCOUNT_TYPES.PERCENT ? DISCOUNT_TYPES.PERCENT : DISCOUNT_TYPES.FIXED;
+  const discountValue = parseFloat(value) || 0;
+
+  if (discountValue < 0) {
+    throw new Error(`Discount on ${label} cannot be negative`);
+  }
+  if (discountType === DISCOUNT_TYPES.PERCENT && discountValue > 100) {
+    throw new Error(`Discount on ${label} cannot be more than 100%`);
+  }
+
+  return { type: discountType, value: discountValue };
+}
+
+/**
+ * Amount taken off a price by a discount, never more than the price itself
+ * @param {number} base - Amount the discount applies to
+ * @param {Object} discount - type and value
+ * @returns {number} Discount amount
+ */
+function calculateDiscountAmount(base, discount) {
+  const amount = discount.type === DISCOUNT_TYPES.PERCENT ? base * discount.value / 100 : discount.value;
+  return roundMoney(Math.min(Math.max(amount, 0), Math.max(base, 0)));
+}
+
+/**
+ * Recalculate the discounts and totals of a sale.
+ * Line discounts come off each line; the invoice discount comes off the subtotal and is
+ * shared across the lines by value, so returns refund what was actually paid.
+ * @param {Object} sale - Sale with items (price, quantity, discountType, discountValue)
+ *   and optional invoiceDiscountType and invoiceDiscountValue
+ * @returns {Object} items, grossAmount, lineDiscountTotal, invoiceDiscountType, invoiceDiscountValue,
+ *   invoiceDiscountAmount, discountTotal, discountPercent and totalAmount
+ */
+function applySaleDiscounts(sale) {
+  let grossAmount = 0;
+  const items = (sale.items || []).map(item => {
+    const quantity = parseFloat(item.quantity) || 0;
+    const price = parseFloat(item.price !== undefined ? item.price : item.unit_price) || 0;
+    const gross = roundMoney(quantity * price);
+    const label = item.description || item.product_name || 'item';
+    const discount = item.discountType
+      ? readDiscount(item.discountType, item.discountValue, label)
+      : readDiscount(DISCOUNT_TYPES.FIXED, item.discount, label);
+    const amount = calculateDiscountAmount(gross, discount);
+    grossAmount += gross;
+
+    return {
+      ...item,
+      discountType: discount.type,
+      discountValue: discount.value,
+      discount: amount,
+      total: roundMoney(gross - amount),
+      invoiceDiscount: 0
+    };
+  });
+
+  grossAmount = roundMoney(grossAmount);
+  const lineDiscountTotal = roundMoney(items.reduce((sum, item) => sum + item.discount, 0));
+  const subtotal = roundMoney(grossAmount - lineDiscountTotal);
+
+  const invoiceDiscount = readDiscount(sale.invoiceDiscountType, sale.invoiceDiscountValue, 'the invoice');
+  const invoiceDiscountAmount = calculateDiscountAmount(subtotal, invoiceDiscount);
+
+  // Share the invoice discount by line value; the last line takes the rounding difference
+  let unshared = invoiceDiscountAmount;
+  items.forEach((item, index) => {
+    const share = index === items.length - 1 || subtotal === 0
+      ? unshared
+      : roundMoney(invoiceDiscountAmount * item.total / subtotal);
+    item.invoiceDiscount = Math.min(share, unshared);
+    unshared = roundMoney(unshared - item.invoiceDiscount);
+  });
+
+  const discountTotal = roundMoney(lineDiscountTotal + invoiceDiscountAmount);
+
+  return {
+    items,
+    grossAmount,
+    lineDiscountTotal,
+    invoiceDiscountType: invoiceDiscount.type,
+    invoiceDiscountValue: invoiceDiscount.value,
+    invoiceDiscountAmount,
+    discountTotal,
+    discountPercent: grossAmount > 0 ? roundMoney(discountTotal / grossAmount * 100) : 0,
+    totalAmount: roundMoney(subtotal - invoiceDiscountAmount)
+  };
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  roundMoney,
+  calculateDiscountAmount,
+  applySaleDiscounts
+};
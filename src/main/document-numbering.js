@@ -0,0 +1,245 @@
+/**
+ * Document Numbering
+ * Allocates sequential numbers for invoices, receipts, credit notes, Z-reports, quotations, stock transfers,
+ * stock takes, purchase orders and goods received notes, e.g. INV-2026-0001.
+ * Each sequence restarts at 1 every fiscal year; the counters are kept in electron-store.
+ */
+
+const log = require('electron-log');
+
+const SETTINGS_KEY = 'documentNumbering';
+const COUNTERS_KEY = 'documentSequences';
+
+// Counters of the earlier per-calendar-year numbering, keyed PREFIX-YEAR
+const LEGACY_COUNTERS_KEY = 'document_counters';
+
+// Numbered documents and their default prefixes
+const SEQUENCES = {
+  invoice: { label: 'Invoices', prefix: 'INV' },
+  receipt: { label: 'Receipts', prefix: 'RCT' },
+  credit_note: { label: 'Credit Notes', prefix: 'CN' },
+  z_report: { label: 'Z-Reports', prefix: 'Z' },
+  quotation: { label: 'Quotations', prefix: 'QT' },
+  transfer: { label: 'Stock Transfers', prefix: 'TRF' },
+  stock_take: { label: 'Stock Takes', prefix: 'STK' },
+  purchase_order: { label: 'Purchase Orders', prefix: 'PO' },
+  goods_received: { label: 'Goods Received Notes', prefix: 'GRN' }
+};
+
+const DEFAULT_SETTINGS = {
+  // Month the fiscal year starts in (1 = January); numbers carry the year it starts in
+  fiscalYearStartMonth: 1,
+  // The length the earlier numbering used, so documents numbered by it keep their format
+  padding: 4,
+  prefixes: Object.fromEntries(Object.entries(SEQUENCES).map(([sequence, { prefix }]) => [sequence, prefix]))
+};
+
+class DocumentNumbering {
+  constructor() {
+    this.store = null;
+  }
+
+  /**
+   * Connect to the store holding the settings and counters
+   * @param {Object} options - store (electron-store)
+   */
+  init({ store }) {
+    this.store = store;
+    this.migrateLegacyCounters();
+  }
+
+  /**
+   * Carry the counters of the earlier numbering into the sequences once, so numbers continue
+   * where it stopped instead of restarting at 1. Its years were calendar years, which are the
+   * fiscal years until the fiscal year start is changed. The old counters are removed after.
+   */
+  migrateLegacyCounters() {
+    const legacy = this.store.get(LEGACY_COUNTERS_KEY);
+    if (!legacy) return;
+
+    const counters = this.store.get(COUNTERS_KEY) || {};
+    Object.entries(legacy).forEach(([key, counter]) => {
+      const [, prefix, year] = key.match(/^(.+)-(\d{4})$/) || [];
+      const sequence = Object.keys(SEQUENCES).find(name => SEQUENCES[name].prefix === prefix);
+      if (!sequence) {
+        log.warn(`Document counter ${key} matches no sequence and was not carried over`);
+        return;
+      }
+      counters[`${sequence}:${year}`] = Math.max(counters[`${sequence}:${year}`] || 0, parseInt(counter) || 0);
+    });
+
+    this.store.set(COUNTERS_KEY, counters);
+    this.store.delete(LEGACY_COUNTERS_KEY);
+    log.info('Document counters carried over from the earlier numbering');
+  }
+
+  /**
+   * Get numbering settings merged with defaults
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    const saved = this.store.get(SETTINGS_KEY) || {};
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      prefixes: { ...DEFAULT_SETTINGS.prefixes, ...(saved.prefixes || {}) }
+    };
+  }
+
+  /**
+   * Validate and save numbering settings
+   * Numbers already issued keep their format; the counters are not touched
+   * @param {Object} newSettings - fiscalYearStartMonth, padding and prefixes to change
+   * @returns {Object} Saved settings
+   */
+  updateSettings(newSettings = {}) {
+    const current = this.getSettings();
+    const settings = {
+      fiscalYearStartMonth: parseInt(newSettings.fiscalYearStartMonth) || current.fiscalYearStartMonth,
+      padding: parseInt(newSettings.padding) || current.padding,
+      prefixes: { ...current.prefixes }
+    };
+
+    if (settings.fiscalYearStartMonth < 1 || settings.fiscalYearStartMonth > 12) {
+      throw new Error('Fiscal year start month must be between 1 and 12');
+    }
+    if (settings.padding < 1 || settings.padding > 10) {
+      throw new Error('Number length must be between 1 and 10 digits');
+    }
+
+    Object.entries(newSettings.prefixes || {}).forEach(([sequence, prefix]) => {
+      if (!SEQUENCES[sequence]) return;
+      const value = String(prefix || '').trim().toUpperCase();
+      if (!/^[A-Z0-9]{1,10}$/.test(value)) {
+        throw new Error(`${SEQUENCES[sequence].label} prefix must be 1 to 10 letters or digits`);
+      }
+      settings.prefixes[sequence] = value;
+    });
+
+    this.store.set(SETTINGS_KEY, settings);
+    return settings;
+  }
+
+  /**
+   * Fiscal year a date falls in, named by the calendar year it starts in
+   * @param {Date} [date] - Date
+   * @returns {number} Fiscal year
+   */
+  getFiscalYear(date = new Date()) {
+    const { fiscalYearStartMonth } = this.getSettings();
+    return date.getMonth() + 1 >= fiscalYearStartMonth ? date.getFullYear() : date.getFullYear() - 1;
+  }
+
+  /**
+   * Format a document number
+   * @param {string} sequence - Sequence name, one of the SEQUENCES keys
+   * @param {number} fiscalYear - Fiscal year
+   * @param {number} counter - Position in the sequence
+   * @returns {string} Document number
+   */
+  format(sequence, fiscalYear, counter) {
+    const { prefixes, padding } = this.getSettings();
+    return `${prefixes[sequence]}-${fiscalYear}-${String(counter).padStart(padding, '0')}`;
+  }
+
+  /**
+   * Last counter issued in a sequence for a fiscal year
+   * @param {string} sequence - Sequence name, one of the SEQUENCES keys
+   * @param {number} fiscalYear - Fiscal year
+   * @returns {number} Counter, 0 if none issued
+   */
+  getLastCounter(sequence, fiscalYear) {
+    const counters = this.store.get(COUNTERS_KEY) || {};
+    return counters[`${sequence}:${fiscalYear}`] || 0;
+  }
+
+  /**
+   * Take the next number in a sequence
+   * The read and write happen without yielding, so no other request in the main
+   * process can be handed the same number
+   * @param {string} sequence - Sequence name, one of the SEQUENCES keys
+   * @param {Date} [date] - Document date, deciding the fiscal year
+   * @returns {Object} sequence, fiscalYear, counter and number
+   */
+  allocate(sequence, date = new Date()) {
+    if (!SEQUENCES[sequence]) {
+      throw new Error(`Unknown document sequence: ${sequence}`);
+    }
+
+    const fiscalYear = this.getFiscalYear(date);
+    const key = `${sequence}:${fiscalYear}`;
+    const counters = this.store.get(COUNTERS_KEY) || {};
+    counters[key] = (counters[key] || 0) + 1;
+    this.store.set(COUNTERS_KEY, counters);
+
+    return { sequence, fiscalYear, counter: counters[key], number: this.format(sequence, fiscalYear, counters[key]) };
+  }
+
+  /**
+   * Give back a number whose document could not be saved, so the sequence has no gap.
+   * Only the latest number can be given back; once a later one is issued the gap stays
+   * and is logged for the auditors.
+   * @param {Object} allocation - Result of allocate()
+   * @returns {boolean} True if the number was returned to the sequence
+   */
+  release(allocation) {
+    if (!allocation) return false;
+
+    const key = `${allocation.sequence}:${allocation.fiscalYear}`;
+    const counters = this.store.get(COUNTERS_KEY) || {};
+    if (counters[key] !== allocation.counter) {
+      log.warn(`Document number ${allocation.number} was not used and could not be returned to its sequence`);
+      return false;
+    }
+
+    counters[key] = allocation.counter - 1;
+    this.store.set(COUNTERS_KEY, counters);
+    return true;
+  }
+
+  /**
+   * Start the current fiscal year's sequence at a higher number, e.g. to continue
+   * from a previous system. Sequences can only move forward so no number is reused.
+   * @param {string} sequence - Sequence name, one of the SEQUENCES keys
+   * @param {number} nextCounter - Counter the next document should get
+   */
+  setNextCounter(sequence, nextCounter) {
+    if (!SEQUENCES[sequence]) {
+      throw new Error(`Unknown document sequence: ${sequence}`);
+    }
+
+    const fiscalYear = this.getFiscalYear();
+    const last = this.getLastCounter(sequence, fiscalYear);
+    const next = parseInt(nextCounter);
+    if (!next || next <= last) {
+      throw new Error(`${SEQUENCES[sequence].label} can only continue from ${last + 1} or higher`);
+    }
+
+    const counters = this.store.get(COUNTERS_KEY) || {};
+    counters[`${sequence}:${fiscalYear}`] = next - 1;
+    this.store.set(COUNTERS_KEY, counters);
+  }
+
+  /**
+   * Describe every sequence for the current fiscal year
+   * @returns {Array<Object>} sequence, label, prefix, fiscalYear, lastCounter and the next number
+   */
+  getSequences() {
+    const fiscalYear = this.getFiscalYear();
+    const { prefixes } = this.getSettings();
+
+    return Object.entries(SEQUENCES).map(([sequence, { label }]) => {
+      const lastCounter = this.getLastCounter(sequence, fiscalYear);
+      return {
+        sequence,
+        label,
+        prefix: prefixes[sequence],
+        fiscalYear,
+        lastCounter,
+        nextNumber: this.format(sequence, fiscalYear, lastCounter + 1)
+      };
+    });
+  }
+}
+
+module.exports = new DocumentNumbering();
@@ -0,0 +1,278 @@
+/**
+ * Stock Locations
+ * The places stock is kept (the shop front, the yard warehouse) and how much of each item
+ * is at each of them. An item's quantity is the sum of its stock at every location; stock
+ * the item had before locations existed is at the default location. Transfers move stock
+ * between locations in two confirmed steps: the sender dispatches it and the receiver
+ * receives it. While in transit it is on neither location's shelf.
+ */
+
+const { getAdditionalData, roundQuantity } = require('./units');
+
+const LOCATIONS_KEY = 'stock_locations';
+const STOCK_TRANSFERS_KEY = 'stock_transfers';
+
+// Location holding stock that was never placed anywhere else; it cannot be deactivated
+const DEFAULT_LOCATION_ID = 'shop';
+
+const DEFAULT_LOCATIONS = [
+  { id: DEFAULT_LOCATION_ID, name: 'Shop Front', address: '', active: true },
+  { id: 'warehouse', name: 'Yard Warehouse', address: '', active: true }
+];
+
+const TRANSFER_STATUS = {
+  DRAFT: 'draft',
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Read the saved locations, falling back to the defaults
+ * @param {Array} [saved] - Locations from the store
+ * @returns {Array<Object>} Locations, the default location first
+ */
+function getLocations(saved) {
+  const locations = (saved || []).filter(location => location && location.id);
+  if (locations.length === 0) {
+    return DEFAULT_LOCATIONS.map(location => ({ ...location }));
+  }
+  if (!locations.some(location => location.id === DEFAULT_LOCATION_ID)) {
+    locations.unshift({ ...DEFAULT_LOCATIONS[0] });
+  }
+  return locations;
+}
+
+/**
+ * Find a location by ID
+ * @param {Array} locations - Locations
+ * @param {string} locationId - Location ID
+ * @returns {Object|null} Location
+ */
+function findLocation(locations, locationId) {
+  return locations.find(location => location.id === locationId) || null;
+}
+
+/**
+ * Validate a location from the locations manager
+ * @param {Object} newLocation - name, address and active; id when editing
+ * @param {Array} locations - Existing locations
+ * @returns {Object} Clean location
+ * @throws {Error} When the name is missing or taken, or the default location is deactivated
+ */
+function validateLocation(newLocation = {}, locations = []) {
+  const existing = newLocation.id ? findLocation(locations, newLocation.id) : null;
+  if (newLocation.id && !existing) {
+    throw new Error('Location not found');
+  }
+
+  const name = String(newLocation.name || '').trim();
+  if (!name) {
+    throw new Error('Location name is required');
+  }
+  if (locations.some(location => location !== existing && location.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`There is already a location called ${name}`);
+  }
+
+  const active = newLocation.active === undefined ? true : !!newLocation.active;
+  if (!active && existing && existing.id === DEFAULT_LOCATION_ID) {
+    throw new Error(`${existing.name} holds stock that has not been placed anywhere else and cannot be closed`);
+  }
+
+  const key = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'location';
+  let id = existing ? existing.id : key;
+  for (let suffix = 2; !existing && findLocation(locations, id); suffix++) {
+    id = `${key}_${suffix}`;
+  }
+
+  return {
+    id,
+    name,
+    address: String(newLocation.address || '').trim(),
+    active
+  };
+}
+
+/**
+ * Stock of an item at each location
+ * @param {Object} item - Inventory item in either storage shape
+ * @returns {Object} Quantities keyed by location ID
+ */
+function getLocationStock(item) {
+  const saved = item.locationStock || getAdditionalData(item).locationStock;
+  if (!saved) {
+    return { [DEFAULT_LOCATION_ID]: roundQuantity(item.quantity) };
+  }
+  return Object.fromEntries(Object.entries(saved).map(([locationId, quantity]) => [locationId, roundQuantity(quantity)]));
+}
+
+/**
+ * Keep an item's stock at each location in both storage shapes: on the item for
+ * electron-store and in additional_data for SQLite
+ * @param {Object} item - Inventory item about to be saved
+ * @param {Object} locationStock - Quantities keyed by location ID
+ * @param {Object} [original] - The item as saved now, whose other additional data is kept
+ * @returns {Object} The item
+ */
+function setLocationStock(item, locationStock, original = {}) {
+  item.locationStock = locationStock;
+  item.additional_data = { ...getAdditionalData(original), ...getAdditionalData(item), locationStock };
+  return item;
+}
+
+/**
+ * Stock of an item at one location
+ * @param {Object} item - Inventory item
+ * @param {string} locationId - Location ID
+ * @returns {number} Quantity at the location
+ */
+function getStockAt(item, locationId) {
+  return getLocationStock(item)[locationId] || 0;
+}
+
+/**
+ * Total of a location stock map
+ * @param {Object} locationStock - Quantities keyed by location ID
+ * @returns {number} Total quantity
+ */
+function getTotalStock(locationStock) {
+  return roundQuantity(Object.values(locationStock).reduce((sum, quantity) => sum + (parseFloat(quantity) || 0), 0));
+}
+
+/**
+ * Add stock at a location, or take it away. Stock taken comes from the location first and
+ * then from the other locations, most stocked first, and never goes below zero.
+ * @param {Object} locationStock - Quantities keyed by location ID
+ * @param {number} change - Quantity to add (positive) or take (negative)
+ * @param {string} [locationId] - Location the change is made at; the default location if not given
+ * @returns {Object} New quantities keyed by location ID
+ */
+function changeLocationStock(locationStock, change, locationId) {
+  const stock = { ...locationStock };
+  const at = locationId || DEFAULT_LOCATION_ID;
+  const quantity = roundQuantity(change);
+
+  if (quantity >= 0) {
+    stock[at] = roundQuantity((stock[at] || 0) + quantity);
+    return stock;
+  }
+
+  let remaining = -quantity;
+  const order = [at, ...Object.keys(stock).filter(id => id !== at).sort((a, b) => stock[b] - stock[a])];
+  for (const id of order) {
+    const taken = Math.min(remaining, Math.max(stock[id] || 0, 0));
+    if (taken > 0) {
+      stock[id] = roundQuantity(stock[id] - taken);
+      remaining = roundQuantity(remaining - taken);
+    }
+  }
+  return stock;
+}
+
+/**
+ * Bring an item's location stock in line with a new total quantity, making the difference
+ * at one location
+ * @param {Object} locationStock - Quantities keyed by location ID before the change
+ * @param {number} quantity - The item's new quantity
+ * @param {string} [locationId] - Location the change is made at; the default location if not given
+ * @returns {Object} New quantities keyed by location ID
+ */
+function reconcileLocationStock(locationStock, quantity, locationId) {
+  return changeLocationStock(locationStock, roundQuantity(quantity) - getTotalStock(locationStock), locationId);
+}
+
+/**
+ * An item as seen from one location: its quantity is the stock there, and no more of it
+ * is available than is there or than reservations leave free overall
+ * @param {Object} item - Inventory item, with availableQuantity when reservations are counted
+ * @param {string} locationId - Location ID
+ * @returns {Object} Item with quantity, availableQuantity and totalQuantity
+ */
+function toLocationView(item, locationId) {
+  const quantity = getStockAt(item, locationId);
+  const available = item.availableQuantity === undefined ? quantity : Math.min(quantity, item.availableQuantity);
+  return {
+    ...item,
+    quantity,
+    availableQuantity: available,
+    totalQuantity: parseFloat(item.quantity) || 0
+  };
+}
+
+/**
+ * The items stocked at a location, each seen from there. An item is stocked at a location
+ * once stock has been put there, even if it has since sold out.
+ * @param {Array} items - Inventory items
+ * @param {string} locationId - Location ID
+ * @returns {Array<Object>} Items from toLocationView()
+ */
+function getItemsAtLocation(items, locationId) {
+  return items
+    .filter(item => getLocationStock(item)[locationId] !== undefined)
+    .map(item => toLocationView(item, locationId));
+}
+
+/**
+ * Validate a transfer from the transfer form. Items are checked against inventory by the caller.
+ * @param {Object} transfer - from_location_id, to_location_id, notes and items (item_id, quantity)
+ * @param {Array} locations - Locations
+ * @returns {Object} Clean transfer; lines for the same item are added together
+ * @throws {Error} When a location is missing, closed or the same, or a line is invalid
+ */
+function validateTransfer(transfer = {}, locations = []) {
+  const from = findLocation(locations, transfer.from_location_id);
+  const to = findLocation(locations, transfer.to_location_id);
+  if (!from || !to) {
+    throw new Error('Choose the location the stock leaves and the one it goes to');
+  }
+  if (from.id === to.id) {
+    throw new Error('Stock must be transferred to a different location');
+  }
+  if (!from.active || !to.active) {
+    throw new Error(`${!from.active ? from.name : to.name} is closed`);
+  }
+  if (!Array.isArray(transfer.items) || transfer.items.length === 0) {
+    throw new Error('Add at least one item to the transfer');
+  }
+
+  const items = [];
+  transfer.items.forEach(line => {
+    const quantity = parseFloat(line.quantity);
+    if (!line.item_id || isNaN(quantity) || quantity <= 0) {
+      throw new Error('Each line needs an item and a quantity greater than zero');
+    }
+    const existing = items.find(item => item.item_id === line.item_id);
+    if (existing) {
+      existing.quantity = roundQuantity(existing.quantity + quantity);
+    } else {
+      items.push({ item_id: line.item_id, quantity: roundQuantity(quantity) });
+    }
+  });
+
+  return {
+    from_location_id: from.id,
+    to_location_id: to.id,
+    notes: String(transfer.notes || '').trim(),
+    items
+  };
+}
+
+module.exports = {
+  LOCATIONS_KEY,
+  STOCK_TRANSFERS_KEY,
+  DEFAULT_LOCATION_ID,
+  DEFAULT_LOCATIONS,
+  TRANSFER_STATUS,
+  getLocations,
+  findLocation,
+  validateLocation,
+  getLocationStock,
+  setLocationStock,
+  getStockAt,
+  getTotalStock,
+  changeLocationStock,
+  reconcileLocationStock,
+  toLocationView,
+  getItemsAtLocation,
+  validateTransfer
+};
@@ -98,6 +98,10 @@ class Logger extends EventEmitter {
    * @param {string} logEntry.description - Description of the activity
    * @param {string} logEntry.user - User who performed the action
    * @param {Object} [logEntry.data] - Additional data related to the log
+   * @param {string} [logEntry.entityType] - Kind of record changed (inventory, sale, customer, settings...)
+   * @param {string} [logEntry.entityId] - ID of the record changed
+   * @param {string} [logEntry.action] - What was done to the record (create, update, delete...)
+   * @param {Object} [logEntry.changes] - Field-level diff as produced by getObjectChanges()
    * @returns {string} Log ID
    */
   log(logEntry) {
@@ -119,6 +123,14 @@ class Logger extends EventEmitter {
       data: logEntry.data || null
     };
     
+    // Audit fields are only stored when the entry describes a change to a record
+    if (logEntry.entityType) {
+      log.entityType = logEntry.entityType;
+      log.entityId = logEntry.entityId != null ? String(logEntry.entityId) : null;
+      log.action = logEntry.action || null;
+      log.changes = logEntry.changes || null;
+    }
+    
     // If not initialized yet, buffer the log
     if (!this.initialized) {
       this.logBuffer.push(log);
@@ -189,6 +201,10 @@ class Logger extends EventEmitter {
    * @param {string} [filters.type] - Filter by log type
    * @param {string} [filters.category] - Filter by category
    * @param {string} [filters.user] - Filter by user
+   * @param {string} [filters.entityType] - Filter by kind of record changed
+   * @param {string} [filters.entityId] - Filter by ID of the record changed
+   * @param {string} [filters.action] - Filter by audit action
+   * @param {boolean} [filters.auditOnly] - Only return entries that record a change to a record
    * @param {Date|string} [filters.startDate] - Filter logs after this date
    * @param {Date|string} [filters.endDate] - Filter logs before this date
    * @param {string} [filters.search] - Search term to filter by
@@ -221,6 +237,23 @@ class Logger extends EventEmitter {
           return false;
         }
         
+        // Audit filters
+        if (filters.auditOnly && !log.entityType) {
+          return false;
+        }
+        
+        if (filters.entityType && log.entityType !== filters.entityType) {
+          return false;
+        }
+        
+        if (filters.entityId && log.entityId !== String(filters.entityId)) {
+          return false;
+        }
+        
+        if (filters.action && log.action !== filters.action) {
+          return false;
+        }
+        
         // Date range filter
         if (filters.startDate) {
           const startDate = new Date(filters.startDate);
@@ -246,6 +279,8 @@ class Logger extends EventEmitter {
             log.category.toLowerCase().includes(searchLower) ||
             log.user.toLowerCase().includes(searchLower) ||
             log.type.toLowerCase().includes(searchLower) ||
+            (log.entityId && log.entityId.toLowerCase().includes(searchLower)) ||
+            (log.changes && JSON.stringify(log.changes).toLowerCase().includes(searchLower)) ||
             (log.data && JSON.stringify(log.data).toLowerCase().includes(searchLower))
           );
         }
@@ -369,11 +404,12 @@ class Logger extends EventEmitter {
       // Export based on format
       if (format === 'csv') {
         // Create CSV content
-        const headers = ['ID', 'Timestamp', 'Type', 'Category', 'Description', 'User', 'Data'];
+        const headers = ['ID', 'Timestamp', 'Type', 'Category', 'Description', 'User', 'Entity', 'Entity ID', 'Action', 'Changes', 'Data'];
         const rows = [headers.join(',')];
         
         logs.forEach(log => {
           const data = log.data ? JSON.stringify(log.data).replace(/"/g, '""') : '';
+          const changes = log.changes ? JSON.stringify(log.changes).replace(/"/g, '""') : '';
           const row = [
             log.id,
             log.timestamp,
@@ -381,6 +417,10 @@ class Logger extends EventEmitter {
             log.category,
             `"${log.description.replace(/"/g, '""')}"`,
             log.user,
+            log.entityType || '',
+            log.entityId ? `"${log.entityId.replace(/"/g, '""')}"` : '',
+            log.action || '',
+            `"${changes}"`,
             `"${data}"`
           ];
           rows.push(row.join(','));
@@ -11,13 +11,104 @@ const log = require('electron-log');
 const remote = require('@electron/remote/main');
 const EventEmitter = require('events');
 const pdfGenerator = require('../utils/pdfGenerator');
+const { readSpreadsheet } = require('../utils/spreadsheet-reader');
 // Import the logger module
 const logger = require('./logger');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const Store = require('electron-store');
 const isPackaged = require('electron-is-packaged');
 const moment = require('moment');
+const { USER_ROLES, PERMISSIONS, DEFAULT_DISCOUNT_LIMITS, getPermissions, hasPermission } = require('./permissions');
+const backupManager = require('./backup-manager');
+const documentNumbering = require('./document-numbering');
+const { searchInventoryRecords, searchSaleRecords, searchCustomerRecords } = require('./search');
+const { applySaleDiscounts, roundMoney } = require('./discounts');
+const { TAX_SETTINGS_KEY, LEGACY_TAX_CLASS, getTaxSettings, validateTaxSettings, resolveTaxClass, applySaleTax } = require('./tax');
+const { applySaleTenders, getSaleTenders } = require('./payments');
+const { CASH_SESSION_STATUS, CASH_METHOD, summarizeCashSession } = require('./cash-drawer');
+const {
+  QUOTATION_STATUS,
+  getDefaultValidUntil,
+  getQuotationStatus,
+  toQuotationLines,
+  checkQuotationStock
+} = require('./quotations');
+const {
+  PRODUCT_TYPES_KEY,
+  DEFAULT_PRODUCT_TYPES,
+  getProductTypes,
+  findProductType,
+  validateProductType,
+  validateItemAttributes
+} = require('./product-types');
+const {
+  RESERVATION_STATUS,
+  getDefaultExpiresAt,
+  getReservationStatus,
+  getRemainingQuantity,
+  getReservedQuantities,
+  withStockLevels,
+  fulfilReservations
+} = require('./reservations');
+const {
+  normalizeUnit,
+  describeUnit,
+  allowsDecimal,
+  getBaseUnit,
+  getItemUnits,
+  validateUnitConversions,
+  resolveLineUnit,
+  getBaseQuantity,
+  roundQuantity
+} = require('./units');
+const {
+  OFFCUT_SETTINGS_KEY,
+  SCRAP_RECORDS_KEY,
+  getOffcutSettings,
+  validateOffcutSettings,
+  getItemLength,
+  getOffcutSource,
+  getCutLength,
+  getCutPrice,
+  resolveCutLine,
+  isScrapLength,
+  findOffcutItem,
+  buildOffcutItem,
+  buildScrapRecord
+} = require('./offcuts');
+const {
+  LOCATIONS_KEY,
+  STOCK_TRANSFERS_KEY,
+  DEFAULT_LOCATION_ID,
+  TRANSFER_STATUS,
+  getLocations,
+  findLocation,
+  validateLocation,
+  getLocationStock,
+  getStockAt,
+  setLocationStock,
+  reconcileLocationStock,
+  getItemsAtLocation,
+  validateTransfer
+} = require('./locations');
+const {
+  STOCK_TAKES_KEY,
+  STOCK_TAKE_REASON,
+  STOCK_TAKE_STATUS,
+  validateStockTakeScope,
+  isInStockTakeScope,
+  stockTakesOverlap,
+  buildStockTakeLine,
+  buildStockTakeLines,
+  findStockTakeLine,
+  findItemByCode,
+  recordCount,
+  getLineVariance,
+  summarizeStockTake,
+  groupCountSheet
+} = require('./stock-takes');
 
 // Add global error handlers to prevent crashes
 process.on('uncaughtException', (error) => {
@@ -112,6 +203,60 @@ const DAILY_REPORT_KEY = 'daily_report_settings';
 const SESSION_KEY = 'user_session';
 const DEFAULT_REPORT_DIR = path.join(app.getPath('documents'), 'Pipe Inventory Reports');
 const SESSION_DURATION = 8 * 60 * 60 * 1000; // 8 hours
+const STOCK_MOVEMENTS_KEY = 'stock_movements';
+const SUPPLIERS_KEY = 'suppliers';
+const PURCHASE_ORDERS_KEY = 'purchase_orders';
+const GOODS_RECEIVED_KEY = 'goods_received_notes';
+const SALES_RETURNS_KEY = 'sales_returns';
+const CUSTOMER_PAYMENTS_KEY = 'customer_payments';
+const CASH_SESSIONS_KEY = 'cash_sessions';
+const QUOTATIONS_KEY = 'quotations';
+const RESERVATIONS_KEY = 'stock_reservations';
+const USERS_KEY = 'users';
+const DISCOUNT_LIMITS_KEY = 'discount_limits';
+const MIN_PASSWORD_LENGTH = 6;
+
+// Stock movement types recorded in the ledger
+const STOCK_MOVEMENT_TYPES = {
+  ADJUSTMENT: 'adjustment',
+  SALE: 'sale',
+  DELETION: 'deletion',
+  IMPORT: 'import',
+  INITIAL: 'initial',
+  EDIT: 'edit',
+  PURCHASE: 'purchase',
+  RETURN: 'return',
+  VOID: 'void',
+  OFFCUT: 'offcut',
+  TRANSFER: 'transfer'
+};
+
+// Purchase order lifecycle
+const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'draft',
+  ORDERED: 'ordered',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+// Payment state of a sale; credit and partially paid sales are carried on the customer's account
+const PAYMENT_STATUS = {
+  PAID: 'paid',
+  PARTIALLY_PAID: 'partially_paid',
+  CREDIT: 'credit'
+};
+
+// Status of a voided sale: kept on record for the audit trail but never counted as revenue
+const SALE_VOID_STATUS = 'void';
+
+// Aged receivables buckets, by days since the invoice date
+const AGING_BUCKETS = [
+  { key: 'current', label: '0-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: '90+ days', maxDays: Infinity }
+];
 
 // Window references
 let mainWindow = null;
@@ -344,6 +489,112 @@ function broadcastToAllWindows(channel, data) {
   });
 }
 
+/**
+ * Get the username of the logged-in user from the synced session
+ * @returns {string} Username, or 'system' when nobody is logged in
+ */
+function getCurrentUsername() {
+  try {
+    const session = store.get('userSession');
+    return (session && session.username) || 'system';
+  } catch (error) {
+    log.error('Error reading user session:', error);
+    return 'system';
+  }
+}
+
+/**
+ * Get the signed-in user's session, clearing it once it has been idle longer than SESSION_DURATION
+ * @returns {Object|null} The session, or null when nobody is signed in or the session expired
+ */
+function getActiveSession() {
+  const session = store.get('userSession');
+  if (!session || !session.userId) {
+    return null;
+  }
+  
+  const lastActivity = new Date(session.lastActivity || session.loginTime).getTime();
+  if (!(Date.now() - lastActivity < SESSION_DURATION)) {
+    store.delete('userSession');
+    log.info(`Session for ${session.username} expired`);
+    return null;
+  }
+  
+  return session;
+}
+
+/**
+ * Check whether the signed-in user's role allows an action, without refusing it
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} True if someone is signed in and their role allows it
+ */
+function sessionHasPermission(permission) {
+  const session = getActiveSession();
+  return Boolean(session) && hasPermission(session.role, permission);
+}
+
+/**
+ * Make sure the logged-in user's role allows an action
+ * @param {string} permission - One of PERMISSIONS
+ * @throws {Error} When nobody is logged in, the session expired or the role does not allow it
+ */
+function requirePermission(permission) {
+  const session = getActiveSession();
+  if (!session) {
+    throw new Error('You must be signed in to do this');
+  }
+  
+  if (!hasPermission(session.role, permission)) {
+    log.warn(`Permission ${permission} denied for ${session.username} (${session.role})`);
+    throw new Error('Your role does not allow this action');
+  }
+}
+
+/**
+ * Stamp the logged-in user on a record about to be written
+ * Sets both the camelCase fields used in electron-store and the snake_case SQLite columns
+ * @param {Object} record - Record to stamp
+ * @param {boolean} [isNew=false] - Whether the record is being created
+ * @returns {Object} The same record
+ */
+function stampActingUser(record, isNew = false) {
+  const user = getCurrentUsername();
+  if (isNew) {
+    record.createdBy = user;
+    record.created_by = user;
+  }
+  record.updatedBy = user;
+  record.updated_by = user;
+  return record;
+}
+
+/**
+ * Record a change to a business record in the audit log
+ * @param {Object} entry - Audit details
+ * @param {string} entry.category - Logger category (inventory, sales, customer, system...)
+ * @param {string} entry.entityType - Kind of record (inventory, sale, customer, settings...)
+ * @param {string} entry.entityId - ID of the record
+ * @param {string} entry.action - create, update, delete, void...
+ * @param {string} entry.description - Human readable summary
+ * @param {Object} [entry.before] - Record before the change
+ * @param {Object} [entry.after] - Record after the change
+ * @param {string} [entry.type='info'] - Log type
+ * @param {Object} [entry.data] - Extra data to keep with the entry
+ */
+function logAudit({ category, entityType, entityId, action, description, before = null, after = null, type = 'info', data = {} }) {
+  logger.log({
+    type,
+    category,
+    description,
+    user: getCurrentUsername(),
+    entityType,
+    entityId,
+    action,
+    changes: before && after ? getObjectChanges(before, after) : null,
+    data: { ...data, before, after }
+  });
+}
+
 /**
  * Execute a function with retry mechanism
  * @param {Function} fn - Function to execute
@@ -383,8 +634,21 @@ app.on('ready', async () => {
     // Initialize the logger
     logger.init();
     
+    // Sessions do not outlive the app; everyone signs in again after a restart
+    store.delete('userSession');
+    
     // Initialize the database
     await initDatabaseAndSync();
+    
+    // Invoice, receipt and credit note sequences
+    documentNumbering.init({ store });
+    
+    // Start scheduled backups of the database and store
+    backupManager.init({
+      store,
+      getDatabase: () => db,
+      databasePath: path.join(app.getPath('userData'), 'inventory.db')
+    });
 
     // Create the main window
     createMainWindow();
@@ -404,6 +668,21 @@ app.on('ready', async () => {
   }
 });
 
+// Take a last backup before quitting; quitting resumes once it has been written
+let quitBackupDone = false;
+app.on('before-quit', (event) => {
+  if (quitBackupDone || !backupManager.getSettings().backupOnQuit) {
+    return;
+  }
+  
+  event.preventDefault();
+  quitBackupDone = true;
+  backupManager.stop();
+  backupManager.createBackup('quit')
+    .catch(error => log.error('Backup on quit failed:', error))
+    .finally(() => app.quit());
+});
+
 // Quit when all windows are closed, except on macOS
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -495,8 +774,19 @@ ipcMain.handle('get-all-sales', async () => {
 // DATABASE OPERATIONS - INVENTORY
 //====================================================================
 
-// Get all inventory items
-ipcMain.handle('get-inventory', async () => {
+// Get all inventory items with their reserved and available quantities
+ipcMain.handle('get-inventory', async () => (await getInventoryWithStockLevels()).map(item => ({
+  ...item,
+  // Units the item can be sold in, with the price of each
+  units: getItemUnits(item),
+  locationStock: getLocationStock(item)
+})));
+
+/**
+ * Load all inventory items, trying SQLite first and then electron-store
+ * @returns {Promise<Array>} Inventory items
+ */
+async function getInventoryItems() {
   try {
     // Try SQLite first if available
     if (sqliteAvailable && db && db.usingSqlite) {
@@ -516,10 +806,44 @@ ipcMain.handle('get-inventory', async () => {
     log.error('Error in get-inventory handler:', error);
     return [];
   }
-});
+}
 
 // Get a single inventory item by ID
 ipcMain.handle('get-inventory-item', async (event, itemId) => {
+  const item = await getInventoryItemById(itemId);
+  return item ? {
+    ...withStockLevels(item, getReservedQuantities(await loadReservations({ itemId }))),
+    locationStock: getLocationStock(item)
+  } : null;
+});
+
+// Search inventory with filters, sorting and paging; with a locationId, only the items stocked
+// there are searched and quantities and stock status are those at the location
+ipcMain.handle('search-inventory', async (event, criteria = {}) => {
+  try {
+    const reserved = getReservedQuantities(await loadReservations());
+    
+    if (criteria && criteria.locationId) {
+      const items = (await getInventoryItems()).map(item => withStockLevels(item, reserved));
+      return { success: true, ...searchInventoryRecords(getItemsAtLocation(items, criteria.locationId), criteria) };
+    }
+    
+    // Stock status filters go by the quantity available to sell
+    const inventory = (store.get('inventory') || [])
+      .map(item => ({ ...withStockLevels(item, reserved), locationStock: getLocationStock(item) }));
+    return { success: true, ...searchInventoryRecords(inventory, criteria) };
+  } catch (error) {
+    log.error('Error in search-inventory handler:', error);
+    return { success: false, error: error.message, items: [], total: 0 };
+  }
+});
+
+/**
+ * Look up an inventory item, trying SQLite first and then electron-store
+ * @param {string} itemId - Item ID
+ * @returns {Promise<Object|null>} The item or null
+ */
+async function getInventoryItemById(itemId) {
   try {
     if (!itemId) {
       log.error('Invalid ID in get-inventory-item');
@@ -555,10 +879,30 @@ ipcMain.handle('get-inventory-item', async (event, itemId) => {
     log.error(`Error in get-inventory-item handler for ID ${itemId}:`, error);
     return null;
   }
-});
+}
 
 // Add inventory item
 ipcMain.handle('add-inventory-item', async (event, newItem) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    applyItemAttributes(newItem);
+    applyItemUnits(newItem);
+    requireOpenLocation(newItem && newItem.locationId);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  
+  return addInventoryItem(newItem);
+});
+
+/**
+ * Create an inventory item and record its opening stock in the ledger
+ * @param {Object} newItem - The new item, with the locationId its opening stock is at
+ *   (the default location when not given)
+ * @param {string} [movementType] - Ledger movement type for the opening quantity
+ * @returns {Promise<Object>} Result object
+ */
+async function addInventoryItem(newItem, movementType = STOCK_MOVEMENT_TYPES.INITIAL) {
   try {
     if (!newItem) {
       log.error('Invalid data in add-inventory-item');
@@ -573,6 +917,12 @@ ipcMain.handle('add-inventory-item', async (event, newItem) => {
     const now = new Date().toISOString();
     newItem.createdAt = newItem.createdAt || now;
     newItem.updatedAt = now;
+    stampActingUser(newItem, true);
+    
+    // The opening stock is all at one location
+    const locationId = newItem.locationId || DEFAULT_LOCATION_ID;
+    delete newItem.locationId;
+    setLocationStock(newItem, { [locationId]: roundQuantity(newItem.quantity) });
     
     // Try SQLite first if available
     if (sqliteAvailable && db && db.usingSqlite) {
@@ -582,17 +932,18 @@ ipcMain.handle('add-inventory-item', async (event, newItem) => {
           broadcastToAllWindows('inventory-created', newItem);
           
           // Log the new item creation
-          logger.log({
+          logAudit({
             type: 'success',
             category: 'inventory',
+            entityType: 'inventory',
+            entityId: newItem.id,
+            action: 'create',
             description: `New item "${newItem.description}" (ID: ${newItem.id}) added to inventory`,
-            user: newItem.createdBy || 'system',
-            data: {
-              itemId: newItem.id,
-              item: newItem
-            }
+            after: newItem
           });
           
+          await recordOpeningStock(newItem, movementType, locationId);
+          
           return result;
         }
         // Fall back to electron-store if failed
@@ -626,56 +977,89 @@ ipcMain.handle('add-inventory-item', async (event, newItem) => {
     broadcastToAllWindows('inventory-created', newItem);
     
     // Log the new item creation
-    logger.log({
+    logAudit({
       type: 'success',
       category: 'inventory',
+      entityType: 'inventory',
+      entityId: newItem.id,
+      action: 'create',
       description: `New item "${newItem.description}" (ID: ${newItem.id}) added to inventory`,
-      user: newItem.createdBy || 'system',
-      data: {
-        itemId: newItem.id,
-        item: newItem
-      }
+      after: newItem
     });
     
+    await recordOpeningStock(newItem, movementType, locationId);
+    
     return { success: true, item: newItem };
   } catch (error) {
     log.error('Error in add-inventory-item handler:', error);
     return { success: false, error: error.message };
   }
-});
+}
 
 // Update inventory item
 ipcMain.handle('update-inventory-item', async (event, updatedItem) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    applyItemAttributes(updatedItem);
+    applyItemUnits(updatedItem);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  
+  return updateInventoryItem(updatedItem);
+});
+
+/**
+ * Save changes to an inventory item and record any quantity change in the stock ledger
+ * @param {Object} updatedItem - The full updated item
+ * @param {Object} [movement] - Ledger details for the quantity change (type, reason, notes, reference
+ *   and location_id, the location the quantity changed at; the default location when not given)
+ * @returns {Promise<Object>} Result object
+ */
+async function updateInventoryItem(updatedItem, movement = {}) {
   try {
   if (!updatedItem || !updatedItem.id) {
       log.error('Invalid data in update-inventory-item');
       return { success: false, error: 'Invalid item data' };
     }
     
+    // Reserved and available quantities are worked out from the reservations and the
+    // sellable units from the item's conversions; none of them are stored
+    delete updatedItem.reservedQuantity;
+    delete updatedItem.availableQuantity;
+    delete updatedItem.totalQuantity;
+    delete updatedItem.units;
+    stampActingUser(updatedItem);
+    
+    // Stock at each location is only changed through the quantity, at the movement's location
+    movement = { ...movement, location_id: movement.location_id || DEFAULT_LOCATION_ID };
+    
     // Try SQLite first if available
     if (sqliteAvailable && db && db.usingSqlite) {
       try {
         // Get original item for logging purposes
         const originalItem = await db.getItemById(updatedItem.id);
+        if (originalItem) {
+          applyLocationStock(updatedItem, originalItem, movement.location_id);
+        }
         
         const result = await db.updateItem(updatedItem);
         if (result.success) {
           broadcastToAllWindows('inventory-updated', updatedItem);
           
           // Log the inventory update with details of what changed
-          logger.log({
-            type: 'info',
+          logAudit({
             category: 'inventory',
+            entityType: 'inventory',
+            entityId: updatedItem.id,
+            action: 'update',
             description: `Item "${updatedItem.description}" (ID: ${updatedItem.id}) updated`,
-            user: updatedItem.updatedBy || 'system',
-            data: {
-              itemId: updatedItem.id,
-              changes: getObjectChanges(originalItem, updatedItem),
-              before: originalItem,
-              after: updatedItem
-            }
+            before: originalItem,
+            after: updatedItem
           });
           
+          await recordQuantityChange(originalItem, updatedItem, movement);
+          
         return result;
         }
         // Fall back to electron-store if failed
@@ -696,6 +1080,7 @@ ipcMain.handle('update-inventory-item', async (event, updatedItem) => {
     
     // Get original item for logging
     const originalItem = { ...inventory[index] };
+    applyLocationStock(updatedItem, originalItem, movement.location_id);
     
     // Update the item
     updatedItem.updatedAt = new Date().toISOString();
@@ -706,29 +1091,30 @@ ipcMain.handle('update-inventory-item', async (event, updatedItem) => {
     broadcastToAllWindows('inventory-updated', updatedItem);
     
     // Log the inventory update with details of what changed
-    logger.log({
-      type: 'info',
+    logAudit({
       category: 'inventory',
+      entityType: 'inventory',
+      entityId: updatedItem.id,
+      action: 'update',
       description: `Item "${updatedItem.description}" (ID: ${updatedItem.id}) updated`,
-      user: updatedItem.updatedBy || 'system',
-      data: {
-        itemId: updatedItem.id,
-        changes: getObjectChanges(originalItem, updatedItem),
-        before: originalItem,
-        after: updatedItem
-      }
+      before: originalItem,
+      after: updatedItem
     });
     
+    await recordQuantityChange(originalItem, updatedItem, movement);
+    
     return { success: true, item: updatedItem };
   } catch (error) {
     log.error('Error in update-inventory-item handler:', error);
     return { success: false, error: error.message };
   }
-});
+}
 
 // Delete inventory item
 ipcMain.handle('delete-inventory-item', async (event, itemId) => {
   try {
+    requirePermission(PERMISSIONS.INVENTORY_DELETE);
+    
   if (!itemId) {
     log.error('Invalid ID in delete-inventory-item');
       return { success: false, error: 'Invalid item ID' };
@@ -748,16 +1134,17 @@ ipcMain.handle('delete-inventory-item', async (event, itemId) => {
           
           // Log the deletion
           if (deletedItem) {
-            logger.log({
+            logAudit({
               type: 'warning',
               category: 'inventory',
+              entityType: 'inventory',
+              entityId: itemId,
+              action: 'delete',
               description: `Item "${deletedItem.description}" (ID: ${itemId}) deleted from inventory`,
-              user: 'system',
-              data: {
-                itemId: itemId,
-                deletedItem: deletedItem
-              }
+              before: deletedItem
             });
+            
+            await recordStockRemoval(deletedItem);
           }
           
           return result;
@@ -790,16 +1177,17 @@ ipcMain.handle('delete-inventory-item', async (event, itemId) => {
     
     // Log the deletion
     if (deletedItem) {
-      logger.log({
+      logAudit({
         type: 'warning',
         category: 'inventory',
+        entityType: 'inventory',
+        entityId: itemId,
+        action: 'delete',
         description: `Item "${deletedItem.description}" (ID: ${itemId}) deleted from inventory`,
-        user: 'system',
-        data: {
-          itemId: itemId,
-          deletedItem: deletedItem
-        }
+        before: deletedItem
       });
+      
+      await recordStockRemoval(deletedItem);
     }
     
     return { success: true, id: itemId };
@@ -810,618 +1198,6002 @@ ipcMain.handle('delete-inventory-item', async (event, itemId) => {
 });
 
 //====================================================================
-// SETTINGS HANDLERS
+// UNITS OF MEASURE
 //====================================================================
 
-// Get settings
-ipcMain.handle('get-settings', async () => {
-  // Default settings
-  const defaultSettings = {
-    companyName: 'Pipe Inventory Management',
-    currency: 'TZS',
-    taxRate: 0.18, // 18% VAT for Tanzania
-    lowStockThreshold: 10,
-    dailyReportEnabled: false,
-    dailyReportTime: '00:00',
-    dailyReportDirectory: '',
-    showNotifications: true
+/**
+ * Check the base unit, quantity and alternate units of an item from the add or edit form,
+ * replacing the alternate units with the clean values. Items without alternate units are left as they are.
+ * @param {Object} item - Inventory item with unit, quantity and unitConversions
+ * @throws {Error} When the quantity has decimals the base unit does not allow or an alternate unit is invalid
+ */
+function applyItemUnits(item) {
+  if (!item || item.unitConversions === undefined) {
+    return;
+  }
+  
+  item.unit = normalizeUnit(item.unit);
+  if (!allowsDecimal(item.unit) && !Number.isInteger(parseFloat(item.quantity) || 0)) {
+    throw new Error(`${item.description || 'This item'} is counted in whole ${describeUnit(item.unit, true)}`);
+  }
+  
+  item.unitConversions = validateUnitConversions(item.unit, item.unitConversions);
+  if (item.additional_data) {
+    item.additional_data.unit = item.unit;
+    item.additional_data.unitConversions = item.unitConversions;
+  }
+}
+
+//====================================================================
+// PIPE OFFCUTS
+//====================================================================
+
+/**
+ * Build the scrap record for pieces too short to keep
+ * @param {Object} source - The item the pieces were cut from
+ * @param {number} length - Length of each piece in metres
+ * @param {number} quantity - Number of pieces
+ * @param {Object} reference - reference_type, reference_id and notes of the sale or return
+ * @returns {Object} Scrap record
+ */
+function buildScrapWriteOff(source, length, quantity, reference) {
+  return {
+    id: uuidv4(),
+    ...buildScrapRecord(source, length, quantity),
+    reason: `Shorter than the ${getOffcutSettings(store.get(OFFCUT_SETTINGS_KEY)).minimumLength} m minimum offcut`,
+    reference_type: reference.reference_type || null,
+    reference_id: reference.reference_id || null,
+    notes: reference.notes || '',
+    created_at: new Date().toISOString(),
+    created_by: getCurrentUsername()
   };
+}
+
+/**
+ * Audit pieces written off as scrap
+ * @param {Object} source - The item the pieces were cut from
+ * @param {Object} record - Scrap record
+ */
+function logScrapWriteOff(source, record) {
+  logAudit({
+    type: 'warning',
+    category: 'inventory',
+    entityType: 'inventory',
+    entityId: source.id,
+    action: 'scrap',
+    description: `${record.quantity} × ${record.length} m of "${source.description}" written off as scrap`,
+    after: record
+  });
+}
+
+/**
+ * Record pieces written off as scrap (SQLite, or electron-store as fallback)
+ * @param {Object} source - The item the pieces were cut from
+ * @param {number} length - Length of each piece in metres
+ * @param {number} quantity - Number of pieces
+ * @param {Object} reference - reference_type, reference_id and notes of the sale or return
+ * @returns {Promise<Object>} The scrap record
+ */
+async function writeOffScrap(source, length, quantity, reference) {
+  const record = buildScrapWriteOff(source, length, quantity, reference);
   
-  // Try SQLite first if available
-  if (sqliteAvailable && db && db.usingSqlite && db.getSettings) {
+  let saved = false;
+  if (sqliteAvailable && db && db.addScrapRecord) {
     try {
-      const settings = await db.getSettings();
-      return settings || defaultSettings;
+      await db.addScrapRecord(record);
+      saved = true;
     } catch (sqliteError) {
-      log.error('SQLite get-settings error:', sqliteError);
+      log.error('SQLite add-scrap-record error:', sqliteError);
       // Fall back to electron-store
     }
   }
+  if (!saved) {
+    const records = store.get(SCRAP_RECORDS_KEY) || [];
+    records.push(record);
+    store.set(SCRAP_RECORDS_KEY, records);
+  }
   
-  // Fallback to electron-store
-  return store.get('settings') || defaultSettings;
-});
+  logScrapWriteOff(source, record);
+  return record;
+}
 
-// Update settings
-ipcMain.handle('update-settings', async (event, newSettings) => {
-  try {
-    const currentSettings = await executeWithRetry(
-      async () => {
-        if (sqliteAvailable && db && db.usingSqlite && db.getSettings) {
-          try {
-            return await db.getSettings();
-          } catch (error) {
-            return store.get('settings') || {};
-          }
-        }
-        return store.get('settings') || {};
-      },
-      {},
-      'Get current settings for update'
-    );
-    
-    const updatedSettings = { ...currentSettings, ...newSettings };
-    
-    // Try SQLite first if available
-    if (sqliteAvailable && db && db.usingSqlite && db.updateSettings) {
-      try {
-        await db.updateSettings(updatedSettings);
-      } catch (sqliteError) {
-        log.error('SQLite update-settings error:', sqliteError);
-        // Fall back to electron-store
-      }
+/**
+ * Put offcuts of an item into stock, on the record holding offcuts of that length cut from
+ * the same full-length item, creating the record the first time
+ * @param {Object} source - The item the offcuts were cut from
+ * @param {number} length - Offcut length in metres
+ * @param {number} quantity - Number of offcuts
+ * @param {Object} reference - reference_type, reference_id, notes and location_id of the sale or return
+ * @returns {Promise<Object|null>} The offcut item, or null if it could not be saved
+ */
+async function addOffcutStock(source, length, quantity, reference) {
+  const parent = getOffcutSource(source);
+  let offcutItem = findOffcutItem(await getInventoryItems(), parent ? parent.parentId : source.id, length);
+  
+  if (!offcutItem) {
+    offcutItem = buildOffcutItem(source, length);
+    const created = await addInventoryItem(offcutItem);
+    if (!created || !created.success) {
+      log.warn(`Could not create offcut "${offcutItem.description}": ${created && created.error}`);
+      return null;
     }
+  }
+  
+  const result = await updateInventoryItem({
+    ...offcutItem,
+    quantity: roundQuantity((parseFloat(offcutItem.quantity) || 0) + quantity),
+    updatedBy: getCurrentUsername(),
+    updatedAt: new Date().toISOString()
+  }, {
+    movement_type: STOCK_MOVEMENT_TYPES.OFFCUT,
+    reason: 'Offcut',
+    ...reference
+  });
+  
+  if (!result || !result.success) {
+    log.warn(`Could not add stock to offcut "${offcutItem.description}": ${result && result.error}`);
+    return null;
+  }
+  return offcutItem;
+}
+
+/**
+ * Keep pieces cut from an item as offcuts, or write them off when they are too short
+ * @param {Object} source - The item the pieces were cut from
+ * @param {number} length - Length of each piece in metres
+ * @param {number} quantity - Number of pieces
+ * @param {Object} reference - reference_type, reference_id and notes of the sale or return
+ */
+async function keepOffcuts(source, length, quantity, reference) {
+  if (length <= 0 || quantity <= 0) return;
+  
+  if (isScrapLength(length, store.get(OFFCUT_SETTINGS_KEY))) {
+    await writeOffScrap(source, length, quantity, reference);
+  } else {
+    await addOffcutStock(source, length, quantity, reference);
+  }
+}
+
+/**
+ * Stock what is left of each length cut for a sale. Its stock has already been taken.
+ * @param {Object} sale - Saved sale with lines from captureSaleLineCosts()
+ */
+async function stockSaleOffcuts(sale) {
+  const reference = {
+    reference_type: 'sale',
+    reference_id: sale.id,
+    notes: sale.invoiceNumber ? `Invoice ${sale.invoiceNumber}` : '',
+    // Offcuts stay where the pipe was cut
+    location_id: getSaleLocationId(sale)
+  };
+  
+  for (const line of (sale.items || []).map(normalizeSaleLine)) {
+    if (!line.cutLength || !line.itemId) continue;
     
-    // Always update electron-store (as backup)
-    store.set('settings', updatedSettings);
-    
-    // Notify renderer about settings update
-    broadcastToAllWindows('settings-updated', updatedSettings);
+    const source = await getInventoryItemById(line.itemId);
+    if (!source) continue;
     
-    return updatedSettings;
-  } catch (error) {
-    log.error('Error in update-settings handler:', error);
-    return null;
+    await keepOffcuts(source, roundQuantity(getItemLength(source) - line.cutLength), line.baseQuantity, reference);
   }
-});
+}
 
-//====================================================================
-// SESSION MANAGEMENT HANDLERS
-//====================================================================
+/**
+ * Stock pieces cut to length that come back from a voided sale or a return. The lengths they
+ * were cut from are gone, so each piece is kept as an offcut of its own length.
+ * @param {Array} lines - Lines from normalizeSaleLine() with the number of pieces as quantity
+ * @param {Object} reference - reference_type, reference_id and notes of the void or return
+ */
+async function restockCutPieces(lines, reference) {
+  for (const line of lines) {
+    if (!line.cutLength) continue;
+    
+    const source = line.itemId ? await getInventoryItemById(line.itemId) : null;
+    if (!source) {
+      log.warn(`Cut item "${line.description}" is no longer in inventory; pieces not restocked`);
+      continue;
+    }
+    
+    await keepOffcuts(source, line.cutLength, line.quantity, reference);
+  }
+}
 
-// Get user session
-ipcMain.handle('get-user-session', async () => {
+// Get the minimum length an offcut is kept in stock at
+ipcMain.handle('get-offcut-settings', async () => {
   try {
-    const session = store.get('userSession');
-    return session || null;
+    return { success: true, settings: getOffcutSettings(store.get(OFFCUT_SETTINGS_KEY)) };
   } catch (error) {
-    log.error('Error getting user session:', error);
-    return null;
+    log.error('Error in get-offcut-settings handler:', error);
+    return { success: false, error: error.message };
   }
 });
 
-// Set user session
-ipcMain.handle('set-user-session', async (event, session) => {
+// Update the minimum offcut length; shorter offcuts are written off as scrap from then on
+ipcMain.handle('update-offcut-settings', async (event, settings = {}) => {
   try {
-    store.set('userSession', session);
-    log.info('User session set for:', session.username);
-    return { success: true };
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE);
+    
+    const before = getOffcutSettings(store.get(OFFCUT_SETTINGS_KEY));
+    const updated = validateOffcutSettings(settings);
+    
+    store.set(OFFCUT_SETTINGS_KEY, updated);
+    logAudit({
+      type: 'info',
+      category: 'system',
+      entityType: 'settings',
+      entityId: 'offcutSettings',
+      action: 'update',
+      description: `Minimum offcut length set to ${updated.minimumLength} m`,
+      before,
+      after: updated
+    });
+    
+    return { success: true, settings: updated };
   } catch (error) {
-    log.error('Error setting user session:', error);
-    return { success: false, error: error.message };
-  }
-});
-
-// Clear user session
-ipcMain.handle('clear-user-session', async () => {
-  try {
-    store.delete('userSession');
-    log.info('User session cleared');
-    return { success: true };
-  } catch (error) {
-    log.error('Error clearing user session:', error);
+    log.error('Error in update-offcut-settings handler:', error);
     return { success: false, error: error.message };
   }
 });
 
 //====================================================================
-// SALES HANDLERS
+// PRODUCT TYPES
 //====================================================================
 
-// Get all sales
-ipcMain.handle('get-sales', async () => {
+/**
+ * Load the product types with their attribute schemas
+ * @returns {Array<Object>} Product types
+ */
+function loadProductTypes() {
+  return getProductTypes(store.get(PRODUCT_TYPES_KEY));
+}
+
+/**
+ * Check the attribute values of an item from the add or edit form against the product type
+ * of its category, replacing them with the clean values. Items without attributes are left as they are.
+ * @param {Object} item - Inventory item with category and attributes
+ * @throws {Error} When a required value is missing or a value does not fit the schema
+ */
+function applyItemAttributes(item) {
+  if (!item || item.attributes === undefined) {
+    return;
+  }
+  
+  const productType = findProductType(loadProductTypes(), item.category);
+  item.attributes = productType ? validateItemAttributes(productType, item.attributes) : {};
+  if (item.additional_data) {
+    item.additional_data.attributes = item.attributes;
+  }
+}
+
+// Get the product types and their attribute schemas
+ipcMain.handle('get-product-types', async () => {
   try {
-    // Try SQLite first if available
-    if (sqliteAvailable && db && db.usingSqlite) {
-      try {
-        return await db.getSales();
-      } catch (sqliteError) {
-        log.error('SQLite get-sales error:', sqliteError);
-        // Fall back to electron-store
-      }
-    }
-    
-    // Fallback to electron-store
-    return store.get('sales') || [];
+    return { success: true, productTypes: loadProductTypes() };
   } catch (error) {
-    log.error('Error in get-sales handler:', error);
-    return [];
+    log.error('Error in get-product-types handler:', error);
+    return { success: false, error: error.message, productTypes: [] };
   }
 });
 
-// Get sale by ID
-ipcMain.handle('get-sale-by-id', async (event, saleId) => {
+// Create or update a product type; items keep the values of attributes that are removed
+ipcMain.handle('save-product-type', async (event, productType = {}) => {
   try {
-    // Try SQLite first if available
-    if (sqliteAvailable && db && db.usingSqlite && db.getSaleById) {
-      try {
-        const sale = await db.getSaleById(saleId);
-        return sale;
-      } catch (sqliteError) {
-        log.error(`SQLite get-sale-by-id error for ID ${saleId}:`, sqliteError);
-        // Fall back to electron-store
-      }
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE);
+    
+    const productTypes = loadProductTypes();
+    const saved = validateProductType(productType, productTypes);
+    const index = productTypes.findIndex(existing => existing.id === saved.id);
+    const before = index === -1 ? null : productTypes[index];
+    
+    if (index === -1) {
+      productTypes.push(saved);
+    } else {
+      productTypes[index] = saved;
     }
+    store.set(PRODUCT_TYPES_KEY, productTypes);
     
-    // Fallback to electron-store
-    const sales = store.get('sales') || [];
-    return sales.find(sale => sale.id === saleId) || null;
+    logAudit({
+      type: 'info',
+      category: 'inventory',
+      entityType: 'productType',
+      entityId: saved.id,
+      action: before ? 'update' : 'create',
+      description: `Product type "${saved.label}" ${before ? 'updated' : 'created'}`,
+      before,
+      after: saved
+    });
+    
+    broadcastToAllWindows('product-types-updated', productTypes);
+    return { success: true, productType: saved, productTypes };
   } catch (error) {
-    log.error(`Error in get-sale-by-id handler for ID ${saleId}:`, error);
-    return null;
+    log.error('Error in save-product-type handler:', error);
+    return { success: false, error: error.message };
   }
 });
 
-// Add sale
-ipcMain.handle('add-sale', async (event, sale) => {
+// Delete a product type that no inventory item belongs to
+ipcMain.handle('delete-product-type', async (event, productTypeId) => {
   try {
-    const newSale = {
-      id: Date.now().toString(),
-      ...sale,
-      createdAt: new Date().toISOString()
-    };
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE);
     
-    // Try SQLite first if available
-    if (sqliteAvailable && db && db.usingSqlite && db.addSale) {
-      try {
-        const result = await db.addSale(newSale);
-        // Update inventory will be handled by SQLite in a transaction
-        return result;
-      } catch (sqliteError) {
-        log.error('SQLite add-sale error:', sqliteError);
-        // Fall back to electron-store
-      }
+    const productTypes = loadProductTypes();
+    const productType = productTypes.find(existing => existing.id === productTypeId);
+    if (!productType) {
+      return { success: false, error: 'Product type not found' };
     }
     
-    // Fallback to electron-store
-    const sales = store.get('sales') || [];
-    sales.push(newSale);
-    store.set('sales', sales);
+    const itemCount = (await getInventoryItems())
+      .filter(item => String(item.category || '').toLowerCase() === productType.name.toLowerCase())
+      .length;
+    if (itemCount > 0) {
+      return { success: false, error: `${itemCount} inventory item(s) belong to ${productType.label}; move them to another category first` };
+    }
     
-    // Update inventory quantities
-    await updateInventoryAfterSale(newSale.items);
+    const remaining = productTypes.filter(existing => existing.id !== productTypeId);
+    if (remaining.length === 0) {
+      return { success: false, error: 'At least one product type is required' };
+    }
+    store.set(PRODUCT_TYPES_KEY, remaining);
     
-    // Notify other windows about the new sale
-    broadcastToAllWindows('sale-created', newSale);
+    logAudit({
+      type: 'warning',
+      category: 'inventory',
+      entityType: 'productType',
+      entityId: productType.id,
+      action: 'delete',
+      description: `Product type "${productType.label}" deleted`,
+      before: productType
+    });
     
-    return newSale;
+    broadcastToAllWindows('product-types-updated', remaining);
+    return { success: true, productTypes: remaining };
   } catch (error) {
-    log.error('Error in add-sale handler:', error);
-    return null;
+    log.error('Error in delete-product-type handler:', error);
+    return { success: false, error: error.message };
   }
 });
 
-// Generate Receipt
-ipcMain.handle('generate-receipt', async (event, saleId) => {
-  try {
-    log.info(`Generating receipt for sale ID: ${saleId}`);
-    
-    // Get the sale data
-    const sale = await executeWithRetry(
-      async () => {
-        if (sqliteAvailable && db && db.usingSqlite && db.getSaleById) {
-          try {
-            return await db.getSaleById(saleId);
-          } catch (error) {
-            // Fallback to electron-store
-            const sales = store.get('sales') || [];
-            return sales.find(s => s.id === saleId);
-          }
+//====================================================================
+// INVENTORY IMPORT
+//====================================================================
+
+// Inventory fields a spreadsheet column can be mapped to, with header names used to suggest a mapping
+const IMPORT_FIELDS = {
+  sku: { label: 'SKU', aliases: ['sku', 'code', 'item code', 'product code'] },
+  description: { label: 'Description', aliases: ['description', 'name', 'item', 'item name', 'product'] },
+  type: { label: 'Type', aliases: ['type', 'pipe type', 'material'] },
+  category: { label: 'Category', aliases: ['category', 'group'] },
+  diameter: { label: 'Diameter', aliases: ['diameter', 'size', 'dia'] },
+  dimension: { label: 'Dimensions', aliases: ['dimensions', 'dimension', 'length'] },
+  color: { label: 'Color', aliases: ['color', 'colour'] },
+  brand: { label: 'Brand', aliases: ['brand', 'manufacturer', 'make'] },
+  unit: { label: 'Unit', aliases: ['unit', 'uom'] },
+  buyingPrice: { label: 'Buying Price', aliases: ['buying price', 'cost', 'cost price', 'buy price'], numeric: true },
+  price: { label: 'Selling Price', aliases: ['selling price', 'price', 'sell price', 'unit price'], numeric: true },
+  quantity: { label: 'Quantity', aliases: ['quantity', 'qty', 'stock'], numeric: true },
+  alertThreshold: { label: 'Alert Threshold', aliases: ['alert threshold', 'reorder level', 'min stock'], numeric: true }
+};
+
+/**
+ * Suggest a field-to-column mapping from the file's header row
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object} Column index per field, for the fields that could be matched
+ */
+function suggestImportMapping(headers) {
+  const normalized = headers.map(header => header.toLowerCase().replace(/[_\s]+/g, ' ').trim());
+  const mapping = {};
+  
+  Object.entries(IMPORT_FIELDS).forEach(([field, definition]) => {
+    const index = normalized.findIndex((header, column) =>
+      definition.aliases.includes(header) && !Object.values(mapping).includes(column));
+    if (index !== -1) {
+      mapping[field] = index;
+    }
+  });
+  
+  return mapping;
+}
+
+/**
+ * Parse a number cell, accepting thousands separators
+ * @param {string} value - Cell text
+ * @returns {number} Parsed number, NaN if not a number
+ */
+function parseImportNumber(value) {
+  const cleaned = String(value).replace(/,/g, '').replace(/^TZsh\s*/i, '').trim();
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+/**
+ * Work out what importing each row would do, without changing anything
+ * @param {string} filePath - CSV or XLSX file
+ * @param {Object} mapping - Column index per field
+ * @param {Object} [options] - upsertBySku: update items whose SKU already exists instead of rejecting the row
+ * @returns {Promise<Object>} Planned rows and a summary
+ */
+async function planInventoryImport(filePath, mapping, options = {}) {
+  const { rows } = readSpreadsheet(filePath);
+  const inventory = await getInventoryItems();
+  const upsertBySku = options.upsertBySku !== false;
+  
+  const itemsBySku = new Map();
+  inventory.forEach(item => {
+    if (item.sku) itemsBySku.set(String(item.sku).trim().toLowerCase(), item);
+  });
+  const seenSkus = new Map();
+  
+  const plannedRows = rows.map(({ rowNumber, cells }) => {
+    const values = {};
+    const errors = [];
+    const invalidFields = [];
+    
+    Object.entries(mapping || {}).forEach(([field, column]) => {
+      const definition = IMPORT_FIELDS[field];
+      const cell = cells[column];
+      if (!definition || column === null || column === '' || cell === undefined || cell === '') return;
+      
+      if (definition.numeric) {
+        const number = parseImportNumber(cell);
+        if (isNaN(number)) {
+          errors.push(`${definition.label} "${cell}" is not a number`);
+          invalidFields.push(field);
+        } else if (number < 0) {
+          errors.push(`${definition.label} cannot be negative`);
+          invalidFields.push(field);
+        } else {
+          values[field] = number;
         }
-        const sales = store.get('sales') || [];
-        return sales.find(s => s.id === saleId);
-      },
-      null,
-      'Get sale data for receipt'
-    );
+      } else {
+        values[field] = cell;
+      }
+    });
     
-    if (!sale) {
-      log.error(`Sale with ID ${saleId} not found for receipt generation`);
-      return { success: false, error: 'Sale not found' };
+    const skuKey = values.sku ? values.sku.toLowerCase() : '';
+    if (skuKey) {
+      if (seenSkus.has(skuKey)) {
+        errors.push(`SKU ${values.sku} already appears on row ${seenSkus.get(skuKey)}`);
+      } else {
+        seenSkus.set(skuKey, rowNumber);
+      }
     }
     
-    // Show save dialog
-    const { canceled, filePath } = await dialog.showSaveDialog({
-      title: 'Save Receipt',
-      defaultPath: path.join(app.getPath('documents'), `Receipt_${sale.invoiceNumber || 'INV-' + saleId}.pdf`),
-      filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+    const existing = skuKey ? itemsBySku.get(skuKey) : null;
+    if (existing && !upsertBySku) {
+      errors.push(`SKU ${values.sku} already exists`);
+    }
+    
+    const action = existing ? 'update' : 'create';
+    const item = existing ? { ...existing, ...values } : { ...values };
+    
+    if (action === 'create') {
+      if (!item.description) {
+        // Pipes are usually listed as type and size, so build a description from those when none is given
+        item.description = [item.type, item.diameter, item.dimension].filter(Boolean).join(' ');
+      }
+      if (!item.description) errors.push('Description is required (or a type and size to build one from)');
+      if (item.price === undefined && !invalidFields.includes('price')) errors.push('Selling price is required');
+      if (item.buyingPrice === undefined && !invalidFields.includes('buyingPrice')) errors.push('Buying price is required');
+      
+      const isDuplicate = inventory.some(other =>
+        other.description === item.description &&
+        other.category === item.category &&
+        other.brand === item.brand);
+      if (item.description && isDuplicate) {
+        errors.push(`An item "${item.description}" with the same category and brand already exists`);
+      }
+    }
+    
+    // Only check prices the file sets, so stock-only updates are not blocked by existing prices
+    const buyingPrice = parseFloat(item.buyingPrice) || 0;
+    const price = parseFloat(item.price) || 0;
+    const pricesChanged = values.price !== undefined || values.buyingPrice !== undefined;
+    if (pricesChanged && price > 0 && buyingPrice > price) {
+      errors.push('Buying price is greater than selling price');
+    }
+    
+    return {
+      rowNumber,
+      action: errors.length > 0 ? 'error' : action,
+      itemId: existing ? existing.id : null,
+      sku: values.sku || '',
+      description: item.description || '',
+      quantityBefore: existing ? parseFloat(existing.quantity) || 0 : null,
+      quantity: item.quantity !== undefined ? parseFloat(item.quantity) || 0 : 0,
+      values,
+      errors
+    };
+  });
+  
+  return {
+    rows: plannedRows,
+    summary: {
+      total: plannedRows.length,
+      create: plannedRows.filter(row => row.action === 'create').length,
+      update: plannedRows.filter(row => row.action === 'update').length,
+      error: plannedRows.filter(row => row.action === 'error').length
+    }
+  };
+}
+
+// Pick a file and read its header row so the user can map columns
+ipcMain.handle('choose-import-file', async () => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      title: 'Import Inventory',
+      properties: ['openFile'],
+      filters: [
+        { name: 'Spreadsheets', extensions: ['csv', 'xlsx'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
     });
     
-    if (canceled || !filePath) {
-      log.info('Receipt generation cancelled by user');
+    if (canceled || !filePaths || filePaths.length === 0) {
       return { success: false, error: 'Cancelled by user' };
     }
     
-    try {
-      // Import the PDF generator utility
-      const pdfGenerator = require('../utils/pdfGenerator');
-      
-      // Generate the receipt
-      const outputPath = await pdfGenerator.generateSalesReceipt(filePath, sale);
-      
-      log.info(`Receipt successfully generated at ${outputPath}`);
-      
-      // We'll let the renderer handle opening the file using the open-file handler
-      // This provides better error handling and fallback options
-      
-      return { 
-        success: true, 
-        filePath: outputPath,
-        message: 'Receipt was generated successfully'
-      };
-    } catch (pdfError) {
-      log.error(`Error in PDF generation: ${pdfError.message}`);
-      return { 
-        success: false, 
-        error: `PDF generation failed: ${pdfError.message}`,
-        details: pdfError.stack
-      };
-    }
-  } catch (error) {
-    log.error('Error generating receipt:', error);
-    return { 
-      success: false, 
-      error: error.message || 'Unknown error occurred',
-      details: error.stack
+    const { headers, rows } = readSpreadsheet(filePaths[0]);
+    
+    return {
+      success: true,
+      filePath: filePaths[0],
+      fileName: path.basename(filePaths[0]),
+      headers,
+      sampleRows: rows.slice(0, 5).map(row => row.cells),
+      rowCount: rows.length,
+      fields: Object.entries(IMPORT_FIELDS).map(([field, definition]) => ({ field, label: definition.label })),
+      mapping: suggestImportMapping(headers)
     };
+  } catch (error) {
+    log.error('Error in choose-import-file handler:', error);
+    return { success: false, error: error.message };
   }
 });
 
-// Generate Invoice
-ipcMain.handle('generate-invoice', async (event, filePath, sale) => {
+// Dry run: validate every row and report what would be created or updated
+ipcMain.handle('preview-inventory-import', async (event, { filePath, mapping, upsertBySku } = {}) => {
   try {
-    log.info(`Generating invoice for sale ID: ${sale.id} to ${filePath}`);
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
     
-    // Verify the file path and sale data
     if (!filePath) {
-      log.error('No file path provided for invoice generation');
-      return { success: false, error: 'No file path provided' };
-    }
-    
-    if (!sale || !sale.id) {
-      log.error('Invalid sale data provided for invoice generation');
-      return { success: false, error: 'Invalid sale data' };
+      return { success: false, error: 'No file selected' };
     }
     
-    try {
-      // Import the PDF generator utility
-      const pdfGenerator = require('../utils/pdfGenerator');
-      
-      // Generate the invoice
-      const outputPath = await pdfGenerator.generateInvoicePDF(filePath, sale);
-      
-      log.info(`Invoice successfully generated at ${outputPath}`);
-      
-      // We'll let the renderer handle opening the file using the open-file handler
-      // This provides better error handling and fallback options
-      
-      return { 
-        success: true, 
-        filePath: outputPath,
-        message: 'Invoice was generated successfully'
-      };
-    } catch (pdfError) {
-      log.error(`Error in PDF generation: ${pdfError.message}`);
-      return { 
-        success: false, 
-        error: `PDF generation failed: ${pdfError.message}`,
-        details: pdfError.stack
-      };
-    }
+    const plan = await planInventoryImport(filePath, mapping, { upsertBySku });
+    return { success: true, ...plan };
   } catch (error) {
-    log.error('Error generating invoice:', error);
-    return { 
-      success: false, 
-      error: error.message || 'Unknown error occurred',
-      details: error.stack
-    };
+    log.error('Error in preview-inventory-import handler:', error);
+    return { success: false, error: error.message };
   }
 });
 
-// Open file with improved handling and user feedback
-ipcMain.handle('open-file', async (event, filePath) => {
+// Import the valid rows; rows with errors are skipped
+ipcMain.handle('import-inventory', async (event, { filePath, mapping, upsertBySku } = {}) => {
   try {
-    log.info(`Opening file: ${filePath}`);
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
     
-    if (!fs.existsSync(filePath)) {
-      log.error(`File not found: ${filePath}`);
-      throw new Error(`File not found: ${filePath}`);
+    if (!filePath) {
+      return { success: false, error: 'No file selected' };
     }
     
-    // Check file extension to customize dialog based on file type
-    const fileExt = path.extname(filePath).toLowerCase();
-    const isPdf = fileExt === '.pdf';
-    const fileType = isPdf ? 'PDF' : 'file';
+    // Re-plan from the file so what is written matches what is validated now
+    const plan = await planInventoryImport(filePath, mapping, { upsertBySku });
+    const fileName = path.basename(filePath);
+    const failed = [];
+    let created = 0;
+    let updated = 0;
     
-    // Create a more attractive dialog with additional options
-    const { response } = await dialog.showMessageBox({
-      type: 'info',
-      title: `${fileType} Generated Successfully`,
-      message: `Your ${fileType} has been generated successfully!`,
-      detail: `Location: ${filePath}`,
-      buttons: [
-        `Open ${fileType}`,
-        `Show in ${process.platform === 'darwin' ? 'Finder' : 'Explorer'}`, 
-        'Close'
-      ],
-      defaultId: 0,
-      cancelId: 2,
-      icon: isPdf ? path.join(__dirname, '../../public/assets/images/pdf-icon.png') : undefined
-    });
-    
-    // Handle user's choice
-    if (response === 0) {
-      // User chose to open the file
-      const result = await shell.openPath(filePath);
+    for (const row of plan.rows) {
+      if (row.action === 'error') continue;
       
-      if (result) {
-        log.warn(`Warning opening file: ${result}`);
-        
-        // Show a follow-up dialog if there was an issue
-        const { response: followUpResponse } = await dialog.showMessageBox({
-          type: 'warning',
-          title: 'Could Not Open File Directly',
-          message: `There was an issue opening the ${fileType} directly.`,
-          detail: `Would you like to see the file location instead?`,
-          buttons: ['Show File Location', 'Cancel'],
-          defaultId: 0,
-          cancelId: 1
-        });
-        
-        if (followUpResponse === 0) {
-          // Show in folder instead
-          await shell.showItemInFolder(filePath);
-          return { 
-            success: true, 
-            action: 'shown_in_folder',
-            message: `Could not open directly, but ${fileType} location was shown`
-          };
+      const values = { ...row.values };
+      if (values.dimension !== undefined) values.dimensions = values.dimension;
+      
+      let result;
+      if (row.action === 'update') {
+        const existing = await getInventoryItemById(row.itemId);
+        if (!existing) {
+          failed.push({ rowNumber: row.rowNumber, error: 'Item no longer exists' });
+          continue;
         }
         
-        return { 
-          success: false, 
-          action: 'failed_to_open',
-          error: result,
-          message: `Could not open the ${fileType}: ${result}` 
-        };
+        result = await updateInventoryItem({ ...existing, ...values }, {
+          movement_type: STOCK_MOVEMENT_TYPES.IMPORT,
+          reason: 'Import',
+          notes: `${fileName} row ${row.rowNumber}`
+        });
+      } else {
+        result = await addInventoryItem({
+          category: '',
+          type: '',
+          brand: '',
+          color: '',
+          unit: '',
+          sku: '',
+          quantity: 0,
+          alertThreshold: 10,
+          notes: '',
+          ...values,
+          description: row.description
+        }, STOCK_MOVEMENT_TYPES.IMPORT);
       }
       
-      return { 
-        success: true, 
-        action: 'opened',
-        message: `${fileType} opened successfully` 
-      };
-    } 
-    else if (response === 1) {
-      // User chose to show in finder/explorer
-      const success = await shell.showItemInFolder(filePath);
-      
-      if (!success) {
-        log.error('Failed to show item in folder');
-        return { 
-          success: false, 
-          error: 'Failed to show item in folder' 
-        };
+      if (result && result.success && row.action === 'update') {
+        updated++;
+      } else if (result && result.success) {
+        created++;
+      } else {
+        failed.push({ rowNumber: row.rowNumber, error: (result && result.error) || 'Unknown error' });
       }
-      
-      return { 
-        success: true, 
-        action: 'shown_in_folder',
-        message: `${fileType} location shown in folder` 
-      };
     }
     
-    // User chose to close or dismiss the dialog
-    return { 
-      success: true, 
-      action: 'dismissed',
-      message: 'Dialog dismissed' 
+    const skipped = plan.summary.error;
+    
+    logger.log({
+      type: failed.length > 0 ? 'warning' : 'success',
+      category: 'inventory',
+      description: `Imported ${fileName}: ${created} created, ${updated} updated, ${skipped} skipped, ${failed.length} failed`,
+      user: getCurrentUsername(),
+      data: { fileName, created, updated, skipped, failed }
+    });
+    
+    return { success: true, created, updated, skipped, failed };
+  } catch (error) {
+    log.error('Error in import-inventory handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// STOCK MOVEMENT LEDGER
+//====================================================================
+
+/**
+ * Fill in a stock movement ledger entry with its ID, defaults and quantity change
+ * @param {Object} movement - Movement with item_id, movement_type, before/after quantities and reason
+ * @returns {Object} Ledger entry
+ */
+function buildStockMovementEntry(movement) {
+  const entry = {
+    id: uuidv4(),
+    item_description: '',
+    reason: '',
+    reference_type: null,
+    reference_id: null,
+    notes: '',
+    user: getCurrentUsername(),
+    created_at: new Date().toISOString(),
+    ...movement
+  };
+  entry.quantity_change = entry.quantity_after - entry.quantity_before;
+  return entry;
+}
+
+/**
+ * Write an entry to the stock movement ledger (SQLite, or electron-store as fallback)
+ * @param {Object} movement - Movement with item_id, movement_type, before/after quantities and reason
+ * @returns {Promise<Object|null>} The recorded movement, or null if it could not be saved
+ */
+async function recordStockMovement(movement) {
+  const entry = buildStockMovementEntry(movement);
+  
+  try {
+    if (sqliteAvailable && db && db.addStockMovement) {
+      try {
+        const result = await db.addStockMovement(entry);
+        broadcastToAllWindows('stock-movement-created', result.movement);
+        return result.movement;
+      } catch (sqliteError) {
+        log.error('SQLite stock movement error:', sqliteError);
+        // Fall back to electron-store
+      }
+    }
+    
+    const movements = store.get(STOCK_MOVEMENTS_KEY) || [];
+    movements.push(entry);
+    store.set(STOCK_MOVEMENTS_KEY, movements);
+    broadcastToAllWindows('stock-movement-created', entry);
+    return entry;
+  } catch (error) {
+    log.error(`Error recording stock movement for item ${entry.item_id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Record the quantity difference between two versions of an item, if any
+ * @param {Object} originalItem - Item before the change
+ * @param {Object} updatedItem - Item after the change
+ * @param {Object} [movement] - Ledger details overriding the default 'edit' entry
+ */
+async function recordQuantityChange(originalItem, updatedItem, movement = {}) {
+  if (!originalItem || !updatedItem) return;
+  
+  const quantityBefore = parseFloat(originalItem.quantity) || 0;
+  const quantityAfter = parseFloat(updatedItem.quantity) || 0;
+  if (quantityBefore === quantityAfter) return;
+  
+  await recordStockMovement({
+    item_id: updatedItem.id,
+    item_description: updatedItem.description || originalItem.description || '',
+    movement_type: STOCK_MOVEMENT_TYPES.EDIT,
+    reason: 'Manual Edit',
+    user: updatedItem.updatedBy || getCurrentUsername(),
+    ...movement,
+    quantity_before: quantityBefore,
+    quantity_after: quantityAfter
+  });
+}
+
+/**
+ * Record the opening quantity of a newly created item
+ * @param {Object} item - The new inventory item
+ * @param {string} [movementType] - 'initial' for manual entry, 'import' for bulk loads
+ * @param {string} [locationId] - Location the opening stock is at
+ */
+async function recordOpeningStock(item, movementType = STOCK_MOVEMENT_TYPES.INITIAL, locationId = DEFAULT_LOCATION_ID) {
+  const quantity = parseFloat(item && item.quantity) || 0;
+  if (quantity === 0) return;
+  
+  await recordStockMovement({
+    item_id: item.id,
+    item_description: item.description || '',
+    movement_type: movementType,
+    quantity_before: 0,
+    quantity_after: quantity,
+    reason: movementType === STOCK_MOVEMENT_TYPES.IMPORT ? 'Import' : 'Opening Stock',
+    location_id: locationId,
+    user: item.createdBy || getCurrentUsername()
+  });
+}
+
+/**
+ * Record the stock written off when an item is deleted
+ * @param {Object} item - The deleted inventory item
+ */
+async function recordStockRemoval(item) {
+  const quantity = parseFloat(item && item.quantity) || 0;
+  if (quantity === 0) return;
+  
+  await recordStockMovement({
+    item_id: item.id,
+    item_description: item.description || '',
+    movement_type: STOCK_MOVEMENT_TYPES.DELETION,
+    quantity_before: quantity,
+    quantity_after: 0,
+    reason: 'Item Deleted'
+  });
+}
+
+// Adjust stock for an item at one location and record the adjustment in the ledger
+ipcMain.handle('adjust-inventory-stock', async (event, adjustment) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    if (!adjustment || !adjustment.itemId) {
+      return { success: false, error: 'Missing item ID for stock adjustment' };
+    }
+    
+    const adjustQty = parseFloat(adjustment.quantity);
+    if (isNaN(adjustQty) || adjustQty < 0) {
+      return { success: false, error: 'Invalid adjustment quantity' };
+    }
+    
+    if (!adjustment.reason) {
+      return { success: false, error: 'A reason is required for stock adjustments' };
+    }
+    
+    const currentItem = await getInventoryItemById(adjustment.itemId);
+    if (!currentItem) {
+      return { success: false, error: 'Item not found' };
+    }
+    
+    const unit = getBaseUnit(currentItem);
+    if (!allowsDecimal(unit) && !Number.isInteger(adjustQty)) {
+      return { success: false, error: `${currentItem.description || 'This item'} is counted in whole ${describeUnit(unit, true)}` };
+    }
+    
+    // Counts and write-offs are of the stock at one location; the others are left as they are
+    const location = requireOpenLocation(adjustment.locationId);
+    const currentQuantity = parseFloat(currentItem.quantity) || 0;
+    const quantityAtLocation = getStockAt(currentItem, location.id);
+    let newQuantity;
+    
+    switch (adjustment.type) {
+      case 'add':
+        newQuantity = roundQuantity(currentQuantity + adjustQty);
+        break;
+      case 'remove':
+        newQuantity = roundQuantity(currentQuantity - Math.min(adjustQty, quantityAtLocation));
+        break;
+      case 'set':
+        newQuantity = roundQuantity(currentQuantity - quantityAtLocation + adjustQty);
+        break;
+      default:
+        return { success: false, error: 'Invalid adjustment type' };
+    }
+    
+    const user = getCurrentUsername();
+    const updatedItem = {
+      ...currentItem,
+      quantity: newQuantity,
+      updatedBy: user,
+      updatedAt: new Date().toISOString()
     };
+    
+    const result = await updateInventoryItem(updatedItem, {
+      movement_type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+      reason: adjustment.reason,
+      notes: adjustment.notes || '',
+      location_id: location.id,
+      user
+    });
+    
+    if (!result || !result.success) {
+      return { success: false, error: (result && result.error) || 'Failed to save the updated quantity' };
+    }
+    
+    return { success: true, item: result.item || updatedItem };
+  } catch (error) {
+    log.error('Error in adjust-inventory-stock handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get stock movement history, optionally filtered by item, type, location or date range
+ipcMain.handle('get-stock-movements', async (event, filters = {}) => {
+  try {
+    if (sqliteAvailable && db && db.getStockMovements) {
+      try {
+        return await db.getStockMovements(filters);
+      } catch (sqliteError) {
+        log.error('SQLite get-stock-movements error:', sqliteError);
+        // Fall back to electron-store
+      }
+    }
+    
+    let movements = (store.get(STOCK_MOVEMENTS_KEY) || []).filter(movement =>
+      (!filters.itemId || movement.item_id === filters.itemId) &&
+      (!filters.movementType || movement.movement_type === filters.movementType) &&
+      (!filters.locationId || movement.location_id === filters.locationId) &&
+      (!filters.startDate || movement.created_at >= filters.startDate) &&
+      (!filters.endDate || movement.created_at <= filters.endDate)
+    );
+    
+    movements.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+    
+    if (filters.limit) {
+      movements = movements.slice(0, parseInt(filters.limit, 10));
+    }
+    
+    return movements;
+  } catch (error) {
+    log.error('Error in get-stock-movements handler:', error);
+    return [];
+  }
+});
+
+//====================================================================
+// STOCK LOCATIONS AND TRANSFERS
+//====================================================================
+
+/**
+ * Load the stock locations
+ * @returns {Array<Object>} Locations, the default location first
+ */
+function loadLocations() {
+  return getLocations(store.get(LOCATIONS_KEY));
+}
+
+/**
+ * Look up a location stock can be put at or taken from
+ * @param {string} [locationId] - Location ID; the default location when not given
+ * @returns {Object} The location
+ * @throws {Error} When the location does not exist or is closed
+ */
+function requireOpenLocation(locationId) {
+  const location = findLocation(loadLocations(), locationId || DEFAULT_LOCATION_ID);
+  if (!location) {
+    throw new Error('Location not found');
+  }
+  if (!location.active) {
+    throw new Error(`${location.name} is closed`);
+  }
+  return location;
+}
+
+/**
+ * Location a sale was made at; sales from before locations were made at the default location
+ * @param {Object} sale - Sale in either storage shape
+ * @returns {string} Location ID
+ */
+function getSaleLocationId(sale) {
+  return sale.locationId || sale.location_id || DEFAULT_LOCATION_ID;
+}
+
+/**
+ * Bring an item's stock at each location in line with its new quantity before it is saved
+ * @param {Object} updatedItem - Item about to be saved
+ * @param {Object} originalItem - Item as saved now
+ * @param {string} locationId - Location the quantity changed at
+ */
+function applyLocationStock(updatedItem, originalItem, locationId) {
+  const locationStock = reconcileLocationStock(getLocationStock(originalItem), updatedItem.quantity, locationId);
+  setLocationStock(updatedItem, locationStock, originalItem);
+}
+
+/**
+ * Make sure the location a sale is made at holds the stock it takes
+ * @param {Object} sale - New sale with locationId
+ * @param {Array} inventory - Inventory as it is about to be saved with the sale
+ * @returns {string|null} Error message, or null when the stock is there
+ */
+function checkLocationStock(sale, inventory) {
+  const location = findLocation(loadLocations(), sale.locationId);
+  const requested = {};
+  (sale.items || []).forEach(line => {
+    const itemId = line.itemId || line.id;
+    requested[itemId] = roundQuantity((requested[itemId] || 0) + getBaseQuantity(line));
+  });
+  
+  for (const itemId of Object.keys(requested)) {
+    const item = inventory.find(stockItem => stockItem.id === itemId);
+    if (!item) continue;
+    
+    const atLocation = getStockAt(item, sale.locationId);
+    if (requested[itemId] > atLocation) {
+      return `Only ${atLocation} of ${item.description || itemId} ${atLocation === 1 ? 'is' : 'are'} at ${location.name}; transfer stock there first`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load stock transfers, newest first
+ * @param {Object} [filters] - Optional status and locationId (either end of the transfer)
+ * @returns {Promise<Array>} Array of transfers with their lines
+ */
+async function loadStockTransfers(filters = {}) {
+  if (sqliteAvailable && db && db.getStockTransfers) {
+    try {
+      return await db.getStockTransfers(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-stock-transfers error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const transfers = (store.get(STOCK_TRANSFERS_KEY) || []).filter(transfer =>
+    (!filters.status || transfer.status === filters.status) &&
+    (!filters.locationId || transfer.from_location_id === filters.locationId || transfer.to_location_id === filters.locationId)
+  );
+  return transfers.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+/**
+ * Save a stock transfer (SQLite, or electron-store as fallback) and notify windows
+ * @param {Object} transfer - Transfer with its lines
+ * @returns {Promise<Object>} The saved transfer
+ */
+async function persistStockTransfer(transfer) {
+  let saved = false;
+  if (sqliteAvailable && db && db.saveStockTransfer) {
+    try {
+      await db.saveStockTransfer(transfer);
+      saved = true;
+    } catch (sqliteError) {
+      log.error('SQLite save-stock-transfer error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  if (!saved) {
+    const transfers = store.get(STOCK_TRANSFERS_KEY) || [];
+    const index = transfers.findIndex(existing => existing.id === transfer.id);
+    if (index === -1) {
+      transfers.push(transfer);
+    } else {
+      transfers[index] = transfer;
+    }
+    store.set(STOCK_TRANSFERS_KEY, transfers);
+  }
+  
+  broadcastToAllWindows('stock-transfer-updated', transfer);
+  return transfer;
+}
+
+/**
+ * Take the lines of a transfer out of stock at one location or put them in at another,
+ * through the same path as update-inventory-item. If a line fails, the lines already moved
+ * are put back so the transfer is never half applied.
+ * @param {Object} transfer - Transfer with its lines
+ * @param {string} locationId - Location the stock leaves or arrives at
+ * @param {number} direction - -1 to take the stock, 1 to put it in
+ * @param {string} reason - Ledger reason
+ * @param {string} user - User confirming the step
+ * @returns {Promise<string|null>} Error message, or null when every line was moved
+ */
+async function moveTransferStock(transfer, locationId, direction, reason, user) {
+  const moved = [];
+  const locations = loadLocations();
+  const route = `${transfer.transfer_number}: ${findLocation(locations, transfer.from_location_id).name} to ${findLocation(locations, transfer.to_location_id).name}`;
+  
+  const move = async (line, sign, lineReason) => {
+    const currentItem = await getInventoryItemById(line.item_id);
+    if (!currentItem) {
+      return { success: false, error: `Item "${line.item_description}" no longer exists in inventory` };
+    }
+    return updateInventoryItem({
+      ...currentItem,
+      quantity: roundQuantity((parseFloat(currentItem.quantity) || 0) + sign * line.quantity),
+      updatedBy: user,
+      updatedAt: new Date().toISOString()
+    }, {
+      movement_type: STOCK_MOVEMENT_TYPES.TRANSFER,
+      reason: lineReason,
+      reference_type: 'stock_transfer',
+      reference_id: transfer.id,
+      notes: route,
+      location_id: locationId,
+      user
+    });
+  };
+  
+  for (const line of transfer.items) {
+    const result = await move(line, direction, reason);
+    if (!result || !result.success) {
+      for (const done of moved.reverse()) {
+        await move(done, -direction, `${reason} Reversed`);
+      }
+      return (result && result.error) || `Failed to move stock for "${line.item_description}"`;
+    }
+    moved.push(line);
+  }
+  return null;
+}
+
+// Get the stock locations
+ipcMain.handle('get-locations', async () => {
+  try {
+    return { success: true, locations: loadLocations() };
+  } catch (error) {
+    log.error('Error in get-locations handler:', error);
+    return { success: false, error: error.message, locations: [] };
+  }
+});
+
+// Add or rename a location, or close one that no longer holds stock
+ipcMain.handle('save-location', async (event, location = {}) => {
+  try {
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE);
+    
+    const locations = loadLocations();
+    const saved = validateLocation(location, locations);
+    const index = locations.findIndex(existing => existing.id === saved.id);
+    const before = index === -1 ? null : locations[index];
+    
+    if (before && before.active && !saved.active) {
+      const stocked = (await getInventoryItems()).filter(item => getStockAt(item, saved.id) > 0).length;
+      if (stocked > 0) {
+        return { success: false, error: `${stocked} item(s) are still in stock at ${before.name}; transfer them out first` };
+      }
+      const open = (await loadStockTransfers({ locationId: saved.id }))
+        .filter(transfer => [TRANSFER_STATUS.DRAFT, TRANSFER_STATUS.IN_TRANSIT].includes(transfer.status));
+      if (open.length > 0) {
+        return { success: false, error: `${before.name} has ${open.length} open transfer(s); receive or cancel them first` };
+      }
+    }
+    
+    if (index === -1) {
+      locations.push(saved);
+    } else {
+      locations[index] = saved;
+    }
+    store.set(LOCATIONS_KEY, locations);
+    
+    logAudit({
+      type: 'info',
+      category: 'inventory',
+      entityType: 'location',
+      entityId: saved.id,
+      action: before ? 'update' : 'create',
+      description: `Location "${saved.name}" ${before ? (before.active && !saved.active ? 'closed' : 'updated') : 'added'}`,
+      before,
+      after: saved
+    });
+    
+    broadcastToAllWindows('locations-updated', locations);
+    return { success: true, location: saved, locations };
+  } catch (error) {
+    log.error('Error in save-location handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get stock transfers, optionally filtered by status or location
+ipcMain.handle('get-stock-transfers', async (event, filters = {}) => {
+  try {
+    return await loadStockTransfers(filters || {});
+  } catch (error) {
+    log.error('Error in get-stock-transfers handler:', error);
+    return [];
+  }
+});
+
+// Create or edit a transfer that has not been dispatched yet
+ipcMain.handle('save-stock-transfer', async (event, transfer = {}) => {
+  let pendingNumber = null;
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const existing = transfer.id ? (await loadStockTransfers()).find(saved => saved.id === transfer.id) : null;
+    if (transfer.id && !existing) {
+      return { success: false, error: 'Stock transfer not found' };
+    }
+    if (existing && existing.status !== TRANSFER_STATUS.DRAFT) {
+      return { success: false, error: `A ${existing.status.replace('_', ' ')} transfer cannot be edited` };
+    }
+    
+    const clean = validateTransfer(transfer, loadLocations());
+    const items = [];
+    for (const line of clean.items) {
+      const inventoryItem = await getInventoryItemById(line.item_id);
+      if (!inventoryItem) {
+        return { success: false, error: `Item ${line.item_id} not found in inventory` };
+      }
+      items.push({ ...line, item_description: inventoryItem.description || '' });
+    }
+    
+    if (!existing) {
+      pendingNumber = documentNumbering.allocate('transfer');
+    }
+    
+    const user = getCurrentUsername();
+    const now = new Date().toISOString();
+    const saved = await persistStockTransfer({
+      ...existing,
+      ...clean,
+      id: (existing && existing.id) || uuidv4(),
+      transfer_number: existing ? existing.transfer_number : pendingNumber.number,
+      status: TRANSFER_STATUS.DRAFT,
+      items,
+      created_at: (existing && existing.created_at) || now,
+      created_by: (existing && existing.created_by) || user,
+      updated_at: now
+    });
+    pendingNumber = null;
+    
+    logAudit({
+      type: 'info',
+      category: 'inventory',
+      entityType: 'stockTransfer',
+      entityId: saved.id,
+      action: existing ? 'update' : 'create',
+      description: `Stock transfer ${saved.transfer_number} ${existing ? 'updated' : 'created'}`,
+      before: existing,
+      after: saved
+    });
+    
+    return { success: true, transfer: saved };
+  } catch (error) {
+    log.error('Error in save-stock-transfer handler:', error);
+    documentNumbering.release(pendingNumber);
+    return { success: false, error: error.message };
+  }
+});
+
+// The sender confirms the stock has left: it comes off the shelf at the sending location
+ipcMain.handle('dispatch-stock-transfer', async (event, transferId) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const transfer = (await loadStockTransfers()).find(saved => saved.id === transferId);
+    if (!transfer) {
+      return { success: false, error: 'Stock transfer not found' };
+    }
+    if (transfer.status !== TRANSFER_STATUS.DRAFT) {
+      return { success: false, error: `A ${transfer.status.replace('_', ' ')} transfer cannot be dispatched` };
+    }
+    
+    const from = requireOpenLocation(transfer.from_location_id);
+    requireOpenLocation(transfer.to_location_id);
+    
+    // Check every line before touching stock
+    for (const line of transfer.items) {
+      const item = await getInventoryItemById(line.item_id);
+      const atSource = item ? getStockAt(item, from.id) : 0;
+      if (line.quantity > atSource) {
+        return { success: false, error: `Only ${atSource} of ${line.item_description} ${atSource === 1 ? 'is' : 'are'} at ${from.name}` };
+      }
+    }
+    
+    const user = getCurrentUsername();
+    const failure = await moveTransferStock(transfer, from.id, -1, 'Transfer Out', user);
+    if (failure) {
+      return { success: false, error: failure };
+    }
+    
+    const now = new Date().toISOString();
+    const saved = await persistStockTransfer({
+      ...transfer,
+      status: TRANSFER_STATUS.IN_TRANSIT,
+      dispatched_at: now,
+      dispatched_by: user,
+      updated_at: now
+    });
+    
+    logAudit({
+      type: 'info',
+      category: 'inventory',
+      entityType: 'stockTransfer',
+      entityId: transfer.id,
+      action: 'dispatch',
+      description: `Stock transfer ${transfer.transfer_number} dispatched from ${from.name} by ${user}`,
+      before: transfer,
+      after: saved
+    });
+    
+    return { success: true, transfer: saved };
+  } catch (error) {
+    log.error('Error in dispatch-stock-transfer handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// The receiver confirms the stock has arrived: it goes on the shelf at the receiving location
+ipcMain.handle('receive-stock-transfer', async (event, transferId) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const transfer = (await loadStockTransfers()).find(saved => saved.id === transferId);
+    if (!transfer) {
+      return { success: false, error: 'Stock transfer not found' };
+    }
+    if (transfer.status !== TRANSFER_STATUS.IN_TRANSIT) {
+      return { success: false, error: `A ${transfer.status.replace('_', ' ')} transfer cannot be received` };
+    }
+    
+    const to = requireOpenLocation(transfer.to_location_id);
+    const user = getCurrentUsername();
+    const failure = await moveTransferStock(transfer, to.id, 1, 'Transfer In', user);
+    if (failure) {
+      return { success: false, error: failure };
+    }
+    
+    const now = new Date().toISOString();
+    const saved = await persistStockTransfer({
+      ...transfer,
+      status: TRANSFER_STATUS.RECEIVED,
+      received_at: now,
+      received_by: user,
+      updated_at: now
+    });
+    
+    logAudit({
+      type: 'success',
+      category: 'inventory',
+      entityType: 'stockTransfer',
+      entityId: transfer.id,
+      action: 'receive',
+      description: `Stock transfer ${transfer.transfer_number} received at ${to.name} by ${user}`,
+      before: transfer,
+      after: saved
+    });
+    
+    return { success: true, transfer: saved };
+  } catch (error) {
+    log.error('Error in receive-stock-transfer handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Cancel a transfer; stock already dispatched goes back to the sending location
+ipcMain.handle('cancel-stock-transfer', async (event, { transferId, reason } = {}) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const transfer = (await loadStockTransfers()).find(saved => saved.id === transferId);
+    if (!transfer) {
+      return { success: false, error: 'Stock transfer not found' };
+    }
+    if (![TRANSFER_STATUS.DRAFT, TRANSFER_STATUS.IN_TRANSIT].includes(transfer.status)) {
+      return { success: false, error: `A ${transfer.status} transfer cannot be cancelled` };
+    }
+    
+    const cancelReason = String(reason || '').trim();
+    if (transfer.status === TRANSFER_STATUS.IN_TRANSIT && !cancelReason) {
+      return { success: false, error: 'A reason is required to cancel a transfer that has been dispatched' };
+    }
+    
+    const user = getCurrentUsername();
+    if (transfer.status === TRANSFER_STATUS.IN_TRANSIT) {
+      const failure = await moveTransferStock(transfer, transfer.from_location_id, 1, 'Transfer Cancelled', user);
+      if (failure) {
+        return { success: false, error: failure };
+      }
+    }
+    
+    const now = new Date().toISOString();
+    const saved = await persistStockTransfer({
+      ...transfer,
+      status: TRANSFER_STATUS.CANCELLED,
+      cancelled_at: now,
+      cancelled_by: user,
+      cancel_reason: cancelReason,
+      updated_at: now
+    });
+    
+    logAudit({
+      type: 'warning',
+      category: 'inventory',
+      entityType: 'stockTransfer',
+      entityId: transfer.id,
+      action: 'cancel',
+      description: `Stock transfer ${transfer.transfer_number} cancelled${cancelReason ? `: ${cancelReason}` : ''}`,
+      before: transfer,
+      after: saved
+    });
+    
+    return { success: true, transfer: saved };
+  } catch (error) {
+    log.error('Error in cancel-stock-transfer handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// STOCK TAKES
+//====================================================================
+
+/**
+ * Load stock takes, newest first
+ * @param {Object} [filters] - Optional status and locationId
+ * @returns {Promise<Array>} Array of stock takes with their lines
+ */
+async function loadStockTakes(filters = {}) {
+  if (sqliteAvailable && db && db.getStockTakes) {
+    try {
+      return await db.getStockTakes(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-stock-takes error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const stockTakes = (store.get(STOCK_TAKES_KEY) || []).filter(stockTake =>
+    (!filters.status || stockTake.status === filters.status) &&
+    (!filters.locationId || stockTake.location_id === filters.locationId)
+  );
+  return stockTakes.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+/**
+ * Save a stock take (SQLite, or electron-store as fallback) and notify windows
+ * @param {Object} stockTake - Stock take with its lines
+ * @returns {Promise<Object>} The saved stock take
+ */
+async function persistStockTake(stockTake) {
+  let saved = false;
+  if (sqliteAvailable && db && db.saveStockTake) {
+    try {
+      await db.saveStockTake(stockTake);
+      saved = true;
+    } catch (sqliteError) {
+      log.error('SQLite save-stock-take error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  if (!saved) {
+    const stockTakes = store.get(STOCK_TAKES_KEY) || [];
+    const index = stockTakes.findIndex(existing => existing.id === stockTake.id);
+    if (index === -1) {
+      stockTakes.push(stockTake);
+    } else {
+      stockTakes[index] = stockTake;
+    }
+    store.set(STOCK_TAKES_KEY, stockTakes);
+  }
+  
+  broadcastToAllWindows('stock-take-updated', stockTake);
+  return stockTake;
+}
+
+/**
+ * Look up a stock take that is still being counted
+ * @param {string} stockTakeId - Stock take ID
+ * @returns {Promise<Object>} The stock take
+ * @throws {Error} When it does not exist or has been posted or cancelled
+ */
+async function requireCountingStockTake(stockTakeId) {
+  const stockTake = (await loadStockTakes()).find(saved => saved.id === stockTakeId);
+  if (!stockTake) {
+    throw new Error('Stock take not found');
+  }
+  if (stockTake.status !== STOCK_TAKE_STATUS.COUNTING) {
+    throw new Error(`${stockTake.stock_take_number} has been ${stockTake.status}`);
+  }
+  return stockTake;
+}
+
+/**
+ * Adjust the stock of one counted line by its variance, through the same path as
+ * update-inventory-item. Stock at the line's location never goes below zero.
+ * @param {Object} stockTake - Stock take being posted
+ * @param {Object} line - Counted line
+ * @param {string} user - User posting the stock take
+ * @returns {Promise<Object>} Result of updateInventoryItem()
+ */
+async function postStockTakeLine(stockTake, line, user) {
+  const currentItem = await getInventoryItemById(line.item_id);
+  if (!currentItem) {
+    return { success: false, error: `Item "${line.item_description}" no longer exists in inventory` };
+  }
+  
+  const change = Math.max(getLineVariance(line), -getStockAt(currentItem, line.location_id));
+  return updateInventoryItem({
+    ...currentItem,
+    quantity: roundQuantity((parseFloat(currentItem.quantity) || 0) + change),
+    updatedBy: user,
+    updatedAt: new Date().toISOString()
+  }, {
+    movement_type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+    reason: STOCK_TAKE_REASON,
+    reference_type: 'stock_take',
+    reference_id: stockTake.id,
+    notes: `${stockTake.stock_take_number}: counted ${line.counted_quantity}, expected ${line.expected_quantity}`,
+    location_id: line.location_id,
+    user
+  });
+}
+
+// Get stock takes, each with its variance totals
+ipcMain.handle('get-stock-takes', async (event, filters = {}) => {
+  try {
+    const stockTakes = await loadStockTakes(filters || {});
+    return stockTakes.map(stockTake => {
+      const { lines, ...summary } = summarizeStockTake(stockTake);
+      return { ...stockTake, summary };
+    });
+  } catch (error) {
+    log.error('Error in get-stock-takes handler:', error);
+    return [];
+  }
+});
+
+// Get a stock take with its lines, their variances and the variance totals
+ipcMain.handle('get-stock-take', async (event, stockTakeId) => {
+  try {
+    const stockTake = (await loadStockTakes()).find(saved => saved.id === stockTakeId);
+    if (!stockTake) {
+      return { success: false, error: 'Stock take not found' };
+    }
+    return { success: true, stockTake, summary: summarizeStockTake(stockTake) };
+  } catch (error) {
+    log.error('Error in get-stock-take handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Start a stock take, freezing the expected quantity of everything it counts
+ipcMain.handle('start-stock-take', async (event, scope = {}) => {
+  let pendingNumber = null;
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const clean = validateStockTakeScope(scope, loadLocations());
+    const open = (await loadStockTakes({ status: STOCK_TAKE_STATUS.COUNTING })).find(existing => stockTakesOverlap(existing, clean));
+    if (open) {
+      return { success: false, error: `${open.stock_take_number} is already counting some of this stock; post or cancel it first` };
+    }
+    
+    const lines = buildStockTakeLines(await getInventoryItems(), clean);
+    if (lines.length === 0) {
+      return { success: false, error: 'There is nothing to count for this location and category' };
+    }
+    
+    pendingNumber = documentNumbering.allocate('stock_take');
+    
+    const user = getCurrentUsername();
+    const now = new Date().toISOString();
+    const stockTake = await persistStockTake({
+      ...clean,
+      id: uuidv4(),
+      stock_take_number: pendingNumber.number,
+      status: STOCK_TAKE_STATUS.COUNTING,
+      lines,
+      created_at: now,
+      created_by: user,
+      updated_at: now
+    });
+    pendingNumber = null;
+    
+    logAudit({
+      type: 'info',
+      category: 'inventory',
+      entityType: 'stockTake',
+      entityId: stockTake.id,
+      action: 'create',
+      description: `Stock take ${stockTake.stock_take_number} started with ${lines.length} line(s)`
+    });
+    
+    return { success: true, stockTake, summary: summarizeStockTake(stockTake) };
+  } catch (error) {
+    log.error('Error in start-stock-take handler:', error);
+    documentNumbering.release(pendingNumber);
+    return { success: false, error: error.message };
+  }
+});
+
+// Record a count by scanned or typed code, or for an item; items found that are not on the
+// sheet are added to it
+ipcMain.handle('record-stock-take-count', async (event, count = {}) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const stockTake = await requireCountingStockTake(count.stockTakeId);
+    const locationId = stockTake.location_id || count.locationId;
+    if (!findLocation(loadLocations(), locationId)) {
+      return { success: false, error: 'Choose the location being counted' };
+    }
+    
+    let index = count.code
+      ? stockTake.lines.indexOf(findStockTakeLine(stockTake, count.code, locationId))
+      : stockTake.lines.findIndex(line => line.item_id === count.itemId && line.location_id === locationId);
+    
+    if (index === -1) {
+      const item = count.code ? findItemByCode(await getInventoryItems(), count.code) : await getInventoryItemById(count.itemId);
+      if (!item) {
+        return { success: false, error: `No item has the code ${count.code || count.itemId}` };
+      }
+      if (!isInStockTakeScope(item, stockTake.category)) {
+        return { success: false, error: `${item.description} is not in ${stockTake.category} and is not part of this stock take` };
+      }
+      stockTake.lines.push(buildStockTakeLine(item, locationId));
+      index = stockTake.lines.length - 1;
+    }
+    
+    const line = recordCount(stockTake.lines[index], count.quantity, { add: !!count.add, user: getCurrentUsername() });
+    stockTake.lines[index] = line;
+    stockTake.updated_at = new Date().toISOString();
+    await persistStockTake(stockTake);
+    
+    return { success: true, line, summary: summarizeStockTake(stockTake) };
+  } catch (error) {
+    log.error('Error in record-stock-take-count handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Post the variances of every counted line as stock adjustments. Lines already posted are
+// skipped, so a stock take that stopped part way can be posted again.
+ipcMain.handle('post-stock-take', async (event, stockTakeId) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const stockTake = await requireCountingStockTake(stockTakeId);
+    const user = getCurrentUsername();
+    let adjusted = 0;
+    
+    for (const [index, line] of stockTake.lines.entries()) {
+      const variance = getLineVariance(line);
+      if (line.posted || variance === null) continue;
+      
+      if (variance !== 0) {
+        const result = await postStockTakeLine(stockTake, line, user);
+        if (!result || !result.success) {
+          stockTake.updated_at = new Date().toISOString();
+          await persistStockTake(stockTake);
+          const error = (result && result.error) || `Failed to adjust "${line.item_description}"`;
+          return { success: false, error: `${error}. ${adjusted} adjustment(s) were posted; post again to finish.` };
+        }
+        adjusted++;
+      }
+      stockTake.lines[index] = { ...line, posted: true };
+    }
+    
+    const now = new Date().toISOString();
+    const summary = summarizeStockTake(stockTake);
+    const saved = await persistStockTake({
+      ...stockTake,
+      status: STOCK_TAKE_STATUS.POSTED,
+      posted_at: now,
+      posted_by: user,
+      updated_at: now
+    });
+    
+    logAudit({
+      type: 'info',
+      category: 'inventory',
+      entityType: 'stockTake',
+      entityId: saved.id,
+      action: 'post',
+      description: `Stock take ${saved.stock_take_number} posted: ${adjusted} adjustment(s), net variance ${summary.netValue}`
+    });
+    
+    return { success: true, stockTake: saved, summary, adjusted };
+  } catch (error) {
+    log.error('Error in post-stock-take handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Cancel a stock take that has not posted anything
+ipcMain.handle('cancel-stock-take', async (event, stockTakeId) => {
+  try {
+    requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    
+    const stockTake = await requireCountingStockTake(stockTakeId);
+    if (stockTake.lines.some(line => line.posted)) {
+      return { success: false, error: `Some of ${stockTake.stock_take_number} has been posted; post the rest instead` };
+    }
+    
+    const user = getCurrentUsername();
+    const now = new Date().toISOString();
+    const saved = await persistStockTake({
+      ...stockTake,
+      status: STOCK_TAKE_STATUS.CANCELLED,
+      cancelled_at: now,
+      cancelled_by: user,
+      updated_at: now
+    });
+    
+    logAudit({
+      type: 'warning',
+      category: 'inventory',
+      entityType: 'stockTake',
+      entityId: saved.id,
+      action: 'cancel',
+      description: `Stock take ${saved.stock_take_number} cancelled`
+    });
+    
+    return { success: true, stockTake: saved };
+  } catch (error) {
+    log.error('Error in cancel-stock-take handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Save the count sheets of a stock take as a PDF to print
+ipcMain.handle('generate-count-sheets', async (event, stockTakeId) => {
+  try {
+    const stockTake = (await loadStockTakes()).find(saved => saved.id === stockTakeId);
+    if (!stockTake) {
+      return { success: false, error: 'Stock take not found' };
+    }
+    
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Save Count Sheets',
+      defaultPath: path.join(app.getPath('documents'), `Count_Sheets_${stockTake.stock_take_number}.pdf`),
+      filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+    });
+    
+    if (canceled || !filePath) {
+      return { success: false, error: 'Cancelled by user' };
+    }
+    
+    const locations = loadLocations();
+    const groups = groupCountSheet(stockTake.lines, stockTake.group_by, locations);
+    const outputPath = await pdfGenerator.generateCountSheetsPDF(filePath, stockTake, groups, locations);
+    log.info(`Count sheets for ${stockTake.stock_take_number} generated at ${outputPath}`);
+    
+    return { success: true, filePath: outputPath };
+  } catch (error) {
+    log.error('Error generating count sheets:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// PURCHASE ORDERS AND GOODS RECEIVED
+//====================================================================
+
+/**
+ * Load all suppliers (SQLite, or electron-store as fallback)
+ * @returns {Promise<Array>} Array of suppliers
+ */
+async function loadSuppliers() {
+  if (sqliteAvailable && db && db.getSuppliers) {
+    try {
+      return await db.getSuppliers();
+    } catch (sqliteError) {
+      log.error('SQLite get-suppliers error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  return store.get(SUPPLIERS_KEY) || [];
+}
+
+/**
+ * Load purchase orders, newest first
+ * @param {Object} [filters] - Optional status and supplierId
+ * @returns {Promise<Array>} Array of purchase orders with line items
+ */
+async function loadPurchaseOrders(filters = {}) {
+  if (sqliteAvailable && db && db.getPurchaseOrders) {
+    try {
+      return await db.getPurchaseOrders(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-purchase-orders error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const orders = (store.get(PURCHASE_ORDERS_KEY) || []).filter(order =>
+    (!filters.status || order.status === filters.status) &&
+    (!filters.supplierId || order.supplier_id === filters.supplierId)
+  );
+  return orders.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+/**
+ * Load goods-received notes, newest first
+ * @param {Object} [filters] - Optional purchaseOrderId, supplierId, startDate and endDate
+ * @returns {Promise<Array>} Array of goods-received notes with their lines
+ */
+async function loadGoodsReceivedNotes(filters = {}) {
+  if (sqliteAvailable && db && db.getGoodsReceivedNotes) {
+    try {
+      return await db.getGoodsReceivedNotes(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-goods-received-notes error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const notes = (store.get(GOODS_RECEIVED_KEY) || []).filter(note =>
+    (!filters.purchaseOrderId || note.purchase_order_id === filters.purchaseOrderId) &&
+    (!filters.supplierId || note.supplier_id === filters.supplierId) &&
+    (!filters.startDate || note.received_at >= filters.startDate) &&
+    (!filters.endDate || note.received_at <= filters.endDate)
+  );
+  return notes.sort((a, b) => (b.received_at || '').localeCompare(a.received_at || ''));
+}
+
+/**
+ * Look up a purchase order together with its goods-received notes
+ * @param {string} orderId - Purchase order ID
+ * @returns {Promise<Object|null>} The purchase order or null
+ */
+async function getPurchaseOrderById(orderId) {
+  if (sqliteAvailable && db && db.getPurchaseOrderById) {
+    try {
+      return await db.getPurchaseOrderById(orderId);
+    } catch (sqliteError) {
+      log.error(`SQLite get-purchase-order error for ID ${orderId}:`, sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const order = (store.get(PURCHASE_ORDERS_KEY) || []).find(order => order.id === orderId);
+  if (!order) return null;
+  
+  const receipts = await loadGoodsReceivedNotes({ purchaseOrderId: orderId });
+  return { ...order, receipts: receipts.reverse() };
+}
+
+/**
+ * Save a purchase order (SQLite, or electron-store as fallback) and notify windows
+ * @param {Object} order - Purchase order with line items
+ * @returns {Promise<Object>} The saved purchase order
+ */
+async function persistPurchaseOrder(order) {
+  const { receipts, ...record } = order;
+  record.total_amount = record.items.reduce(
+    (sum, line) => sum + (parseFloat(line.quantity_ordered) || 0) * (parseFloat(line.expected_price) || 0), 0
+  );
+  
+  let saved = false;
+  if (sqliteAvailable && db && db.savePurchaseOrder) {
+    try {
+      await db.savePurchaseOrder(record);
+      saved = true;
+    } catch (sqliteError) {
+      log.error('SQLite save-purchase-order error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  if (!saved) {
+    const orders = store.get(PURCHASE_ORDERS_KEY) || [];
+    const index = orders.findIndex(existing => existing.id === record.id);
+    if (index === -1) {
+      orders.push(record);
+    } else {
+      orders[index] = record;
+    }
+    store.set(PURCHASE_ORDERS_KEY, orders);
+  }
+  
+  broadcastToAllWindows('purchase-order-updated', record);
+  return record;
+}
+
+/**
+ * Work out the receiving status of a purchase order from its lines
+ * @param {Array} items - Purchase order lines
+ * @returns {string} 'received', 'partially_received' or 'ordered'
+ */
+function getReceivingStatus(items) {
+  const fullyReceived = items.every(line =>
+    (parseFloat(line.quantity_received) || 0) >= (parseFloat(line.quantity_ordered) || 0)
+  );
+  if (fullyReceived) return PURCHASE_ORDER_STATUS.RECEIVED;
+  
+  const anyReceived = items.some(line => (parseFloat(line.quantity_received) || 0) > 0);
+  return anyReceived ? PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED : PURCHASE_ORDER_STATUS.ORDERED;
+}
+
+// Get all suppliers
+ipcMain.handle('get-suppliers', async () => {
+  try {
+    return await loadSuppliers();
+  } catch (error) {
+    log.error('Error in get-suppliers handler:', error);
+    return [];
+  }
+});
+
+// Add or update a supplier
+ipcMain.handle('save-supplier', async (event, supplier) => {
+  try {
+    requirePermission(PERMISSIONS.PURCHASING);
+    
+    if (!supplier || !supplier.name || !supplier.name.trim()) {
+      return { success: false, error: 'Supplier name is required' };
+    }
+    
+    const suppliers = await loadSuppliers();
+    const existing = supplier.id ? suppliers.find(s => s.id === supplier.id) : null;
+    const duplicate = suppliers.find(s =>
+      s.id !== supplier.id && s.name.toLowerCase() === supplier.name.trim().toLowerCase()
+    );
+    if (duplicate) {
+      return { success: false, error: `A supplier named "${duplicate.name}" already exists` };
+    }
+    
+    const now = new Date().toISOString();
+    const record = {
+      ...existing,
+      ...supplier,
+      id: supplier.id || `sup-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      name: supplier.name.trim(),
+      created_at: (existing && existing.created_at) || now,
+      updated_at: now
+    };
+    
+    let saved = false;
+    if (sqliteAvailable && db && db.saveSupplier) {
+      try {
+        await db.saveSupplier(record);
+        saved = true;
+      } catch (sqliteError) {
+        log.error('SQLite save-supplier error:', sqliteError);
+        // Fall back to electron-store
+      }
+    }
+    
+    if (!saved) {
+      const stored = store.get(SUPPLIERS_KEY) || [];
+      const index = stored.findIndex(s => s.id === record.id);
+      if (index === -1) {
+        stored.push(record);
+      } else {
+        stored[index] = record;
+      }
+      store.set(SUPPLIERS_KEY, stored);
+    }
+    
+    logger.log({
+      type: 'info',
+      category: 'purchasing',
+      description: `Supplier "${record.name}" ${existing ? 'updated' : 'added'}`,
+      user: getCurrentUsername(),
+      data: {
+        supplierId: record.id,
+        changes: existing ? getObjectChanges(existing, record) : null
+      }
+    });
+    
+    broadcastToAllWindows('supplier-updated', record);
+    return { success: true, supplier: record };
+  } catch (error) {
+    log.error('Error in save-supplier handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get purchase orders, optionally filtered by status or supplier
+ipcMain.handle('get-purchase-orders', async (event, filters = {}) => {
+  try {
+    return await loadPurchaseOrders(filters || {});
+  } catch (error) {
+    log.error('Error in get-purchase-orders handler:', error);
+    return [];
+  }
+});
+
+// Get a single purchase order with its goods-received notes
+ipcMain.handle('get-purchase-order', async (event, orderId) => {
+  try {
+    return await getPurchaseOrderById(orderId);
+  } catch (error) {
+    log.error(`Error in get-purchase-order handler for ID ${orderId}:`, error);
+    return null;
+  }
+});
+
+// Create or edit a purchase order that has not been received against yet
+ipcMain.handle('save-purchase-order', async (event, order) => {
+  let pendingNumber = null;
+  try {
+    requirePermission(PERMISSIONS.PURCHASING);
+    
+    if (!order || !order.supplier_id) {
+      return { success: false, error: 'A supplier is required' };
+    }
+    if (!Array.isArray(order.items) || order.items.length === 0) {
+      return { success: false, error: 'Add at least one item to the purchase order' };
+    }
+    
+    const supplier = (await loadSuppliers()).find(s => s.id === order.supplier_id);
+    if (!supplier) {
+      return { success: false, error: 'Supplier not found' };
+    }
+    
+    const existing = order.id ? await getPurchaseOrderById(order.id) : null;
+    if (order.id && !existing) {
+      return { success: false, error: 'Purchase order not found' };
+    }
+    if (existing && ![PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.ORDERED].includes(existing.status)) {
+      return { success: false, error: `A ${existing.status.replace('_', ' ')} purchase order cannot be edited` };
+    }
+    
+    const items = [];
+    for (const line of order.items) {
+      const quantity = parseFloat(line.quantity_ordered);
+      const expectedPrice = parseFloat(line.expected_price);
+      if (!line.item_id || isNaN(quantity) || quantity <= 0) {
+        return { success: false, error: 'Each line needs an item and a quantity greater than zero' };
+      }
+      if (isNaN(expectedPrice) || expectedPrice < 0) {
+        return { success: false, error: 'Each line needs a valid expected price' };
+      }
+      
+      const inventoryItem = await getInventoryItemById(line.item_id);
+      if (!inventoryItem) {
+        return { success: false, error: `Item ${line.item_id} not found in inventory` };
+      }
+      
+      items.push({
+        id: line.id || uuidv4(),
+        item_id: line.item_id,
+        item_description: inventoryItem.description || line.item_description || '',
+        quantity_ordered: quantity,
+        quantity_received: 0,
+        expected_price: expectedPrice
+      });
+    }
+    
+    if (!existing) {
+      pendingNumber = documentNumbering.allocate('purchase_order');
+    }
+    
+    const user = getCurrentUsername();
+    const now = new Date().toISOString();
+    const record = {
+      ...existing,
+      id: (existing && existing.id) || uuidv4(),
+      po_number: existing ? existing.po_number : pendingNumber.number,
+      supplier_id: supplier.id,
+      supplier_name: supplier.name,
+      status: order.status === PURCHASE_ORDER_STATUS.ORDERED ? PURCHASE_ORDER_STATUS.ORDERED : ((existing && existing.status) || PURCHASE_ORDER_STATUS.DRAFT),
+      expected_date: order.expected_date || null,
+      notes: order.notes || '',
+      items,
+      created_at: (existing && existing.created_at) || now,
+      created_by: (existing && existing.created_by) || user,
+      updated_at: now
+    };
+    
+    const saved = await persistPurchaseOrder(record);
+    pendingNumber = null;
+    
+    logger.log({
+      type: 'info',
+      category: 'purchasing',
+      description: `Purchase order ${saved.po_number} ${existing ? 'updated' : 'created'} for ${supplier.name}`,
+      user,
+      data: {
+        purchaseOrderId: saved.id,
+        changes: existing ? getObjectChanges(existing, saved) : null
+      }
+    });
+    
+    return { success: true, order: saved };
+  } catch (error) {
+    log.error('Error in save-purchase-order handler:', error);
+    documentNumbering.release(pendingNumber);
+    return { success: false, error: error.message };
+  }
+});
+
+// Mark a purchase order as ordered or cancel it
+ipcMain.handle('update-purchase-order-status', async (event, { orderId, status } = {}) => {
+  try {
+    requirePermission(PERMISSIONS.PURCHASING);
+    
+    if (![PURCHASE_ORDER_STATUS.ORDERED, PURCHASE_ORDER_STATUS.CANCELLED].includes(status)) {
+      return { success: false, error: 'Invalid purchase order status' };
+    }
+    
+    const order = await getPurchaseOrderById(orderId);
+    if (!order) {
+      return { success: false, error: 'Purchase order not found' };
+    }
+    if (![PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.ORDERED].includes(order.status)) {
+      return { success: false, error: `A ${order.status.replace('_', ' ')} purchase order cannot be changed` };
+    }
+    
+    const saved = await persistPurchaseOrder({ ...order, status, updated_at: new Date().toISOString() });
+    
+    logger.log({
+      type: status === PURCHASE_ORDER_STATUS.CANCELLED ? 'warning' : 'info',
+      category: 'purchasing',
+      description: `Purchase order ${order.po_number} marked as ${status}`,
+      user: getCurrentUsername(),
+      data: { purchaseOrderId: order.id, from: order.status, to: status }
+    });
+    
+    return { success: true, order: saved };
+  } catch (error) {
+    log.error('Error in update-purchase-order-status handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Receive goods against a purchase order, in full or in part
+ipcMain.handle('receive-purchase-order', async (event, receipt) => {
+  let pendingNumber = null;
+  try {
+    requirePermission(PERMISSIONS.PURCHASING);
+    
+    if (!receipt || !receipt.purchaseOrderId || !Array.isArray(receipt.lines)) {
+      return { success: false, error: 'Invalid goods-received data' };
+    }
+    
+    const order = await getPurchaseOrderById(receipt.purchaseOrderId);
+    if (!order) {
+      return { success: false, error: 'Purchase order not found' };
+    }
+    if (![PURCHASE_ORDER_STATUS.ORDERED, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED].includes(order.status)) {
+      return { success: false, error: `Goods cannot be received against a ${order.status.replace('_', ' ')} purchase order` };
+    }
+    
+    // Where the delivery is unloaded
+    const location = requireOpenLocation(receipt.locationId);
+    
+    // Validate every line before touching stock
+    const lines = [];
+    for (const received of receipt.lines) {
+      const quantity = parseFloat(received.quantity) || 0;
+      if (quantity === 0) continue;
+      
+      const orderLine = order.items.find(line => line.id === received.lineId);
+      if (!orderLine) {
+        return { success: false, error: 'Received line does not belong to this purchase order' };
+      }
+      
+      const outstanding = orderLine.quantity_ordered - (orderLine.quantity_received || 0);
+      if (quantity < 0 || quantity > outstanding) {
+        return { success: false, error: `Quantity for "${orderLine.item_description}" must be between 0 and ${outstanding}` };
+      }
+      
+      const unitCost = received.unitCost !== undefined && received.unitCost !== ''
+        ? parseFloat(received.unitCost)
+        : orderLine.expected_price;
+      if (isNaN(unitCost) || unitCost < 0) {
+        return { success: false, error: `Invalid unit cost for "${orderLine.item_description}"` };
+      }
+      
+      lines.push({ orderLine, quantity, unitCost });
+    }
+    
+    if (lines.length === 0) {
+      return { success: false, error: 'Enter a received quantity for at least one line' };
+    }
+    
+    const user = getCurrentUsername();
+    pendingNumber = documentNumbering.allocate('goods_received');
+    const grn = {
+      id: uuidv4(),
+      grn_number: pendingNumber.number,
+      purchase_order_id: order.id,
+      supplier_id: order.supplier_id,
+      supplier_name: order.supplier_name,
+      delivery_reference: receipt.deliveryReference || '',
+      notes: receipt.notes || '',
+      location_id: location.id,
+      received_at: new Date().toISOString(),
+      received_by: user,
+      items: []
+    };
+    
+    // Raise stock and buying price through the same path as update-inventory-item
+    let failure = null;
+    for (const { orderLine, quantity, unitCost } of lines) {
+      const currentItem = await getInventoryItemById(orderLine.item_id);
+      if (!currentItem) {
+        failure = `Item "${orderLine.item_description}" no longer exists in inventory`;
+        break;
+      }
+      
+      const updatedItem = {
+        ...currentItem,
+        quantity: (parseFloat(currentItem.quantity) || 0) + quantity,
+        buyingPrice: unitCost,
+        buying_price: unitCost,
+        supplier: order.supplier_name,
+        updatedBy: user,
+        updatedAt: new Date().toISOString()
+      };
+      
+      const result = await updateInventoryItem(updatedItem, {
+        movement_type: STOCK_MOVEMENT_TYPES.PURCHASE,
+        reason: 'Goods Received',
+        reference_type: 'purchase_order',
+        reference_id: order.id,
+        notes: `${order.po_number} / ${grn.grn_number}`,
+        location_id: location.id,
+        user
+      });
+      
+      if (!result || !result.success) {
+        failure = (result && result.error) || `Failed to update stock for "${orderLine.item_description}"`;
+        break;
+      }
+      
+      orderLine.quantity_received = (orderLine.quantity_received || 0) + quantity;
+      grn.items.push({
+        id: uuidv4(),
+        purchase_order_item_id: orderLine.id,
+        item_id: orderLine.item_id,
+        item_description: orderLine.item_description,
+        quantity,
+        unit_cost: unitCost
+      });
+    }
+    
+    // Whatever was applied to stock must be on the goods-received note
+    if (grn.items.length > 0) {
+      grn.total_amount = grn.items.reduce((sum, line) => sum + line.quantity * line.unit_cost, 0);
+      
+      let saved = false;
+      if (sqliteAvailable && db && db.addGoodsReceivedNote) {
+        try {
+          await db.addGoodsReceivedNote(grn);
+          saved = true;
+        } catch (sqliteError) {
+          log.error('SQLite add-goods-received-note error:', sqliteError);
+          // Fall back to electron-store
+        }
+      }
+      if (!saved) {
+        const notes = store.get(GOODS_RECEIVED_KEY) || [];
+        notes.push(grn);
+        store.set(GOODS_RECEIVED_KEY, notes);
+      }
+      pendingNumber = null;
+      
+      await persistPurchaseOrder({
+        ...order,
+        status: getReceivingStatus(order.items),
+        updated_at: new Date().toISOString()
+      });
+      
+      logger.log({
+        type: 'success',
+        category: 'purchasing',
+        description: `Goods received note ${grn.grn_number} recorded against ${order.po_number} (${grn.items.length} line(s))`,
+        user,
+        data: { purchaseOrderId: order.id, grn }
+      });
+      
+      broadcastToAllWindows('goods-received', grn);
+    }
+    
+    if (failure) {
+      // When nothing was received, no note carries the number
+      documentNumbering.release(pendingNumber);
+      return { success: false, error: failure, grn: grn.items.length > 0 ? grn : null };
+    }
+    
+    return { success: true, grn, order: await getPurchaseOrderById(order.id) };
+  } catch (error) {
+    log.error('Error in receive-purchase-order handler:', error);
+    documentNumbering.release(pendingNumber);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get goods-received notes, optionally filtered by purchase order, supplier or date range
+ipcMain.handle('get-goods-received-notes', async (event, filters = {}) => {
+  try {
+    return await loadGoodsReceivedNotes(filters || {});
+  } catch (error) {
+    log.error('Error in get-goods-received-notes handler:', error);
+    return [];
+  }
+});
+
+//====================================================================
+// SETTINGS HANDLERS
+//====================================================================
+
+// Get settings
+ipcMain.handle('get-settings', async () => {
+  // Default settings
+  const defaultSettings = {
+    companyName: 'Pipe Inventory Management',
+    currency: 'TZS',
+    taxRate: 0.18, // 18% VAT for Tanzania
+    lowStockThreshold: 10,
+    dailyReportEnabled: false,
+    dailyReportTime: '00:00',
+    dailyReportDirectory: '',
+    showNotifications: true
+  };
+  
+  // Try SQLite first if available
+  if (sqliteAvailable && db && db.usingSqlite && db.getSettings) {
+    try {
+      const settings = await db.getSettings();
+      return settings || defaultSettings;
+    } catch (sqliteError) {
+      log.error('SQLite get-settings error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  // Fallback to electron-store
+  return store.get('settings') || defaultSettings;
+});
+
+// Update settings
+ipcMain.handle('update-settings', async (event, newSettings) => {
+  try {
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE);
+    
+    const currentSettings = await executeWithRetry(
+      async () => {
+        if (sqliteAvailable && db && db.usingSqlite && db.getSettings) {
+          try {
+            return await db.getSettings();
+          } catch (error) {
+            return store.get('settings') || {};
+          }
+        }
+        return store.get('settings') || {};
+      },
+      {},
+      'Get current settings for update'
+    );
+    
+    const updatedSettings = { ...currentSettings, ...newSettings };
+    
+    // Try SQLite first if available
+    if (sqliteAvailable && db && db.usingSqlite && db.updateSettings) {
+      try {
+        await db.updateSettings(updatedSettings);
+      } catch (sqliteError) {
+        log.error('SQLite update-settings error:', sqliteError);
+        // Fall back to electron-store
+      }
+    }
+    
+    // Always update electron-store (as backup)
+    store.set('settings', updatedSettings);
+    
+    logAudit({
+      category: 'system',
+      entityType: 'settings',
+      entityId: 'settings',
+      action: 'update',
+      description: 'Application settings updated',
+      before: currentSettings,
+      after: updatedSettings
+    });
+    
+    // Notify renderer about settings update
+    broadcastToAllWindows('settings-updated', updatedSettings);
+    
+    return updatedSettings;
+  } catch (error) {
+    log.error('Error in update-settings handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get document numbering settings and where each sequence stands this fiscal year
+ipcMain.handle('get-document-numbering', async () => {
+  try {
+    return {
+      success: true,
+      settings: documentNumbering.getSettings(),
+      sequences: documentNumbering.getSequences()
+    };
+  } catch (error) {
+    log.error('Error in get-document-numbering handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Update the numbering format and, optionally, the next number of each sequence
+ipcMain.handle('update-document-numbering', async (event, request = {}) => {
+  try {
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE);
+    
+    const before = {
+      settings: documentNumbering.getSettings(),
+      sequences: documentNumbering.getSequences()
+    };
+    
+    const settings = documentNumbering.updateSettings(request.settings || {});
+    Object.entries(request.nextNumbers || {}).forEach(([sequence, next]) => {
+      const current = documentNumbering.getSequences().find(s => s.sequence === sequence);
+      if (current && parseInt(next) !== current.lastCounter + 1) {
+        documentNumbering.setNextCounter(sequence, next);
+      }
+    });
+    
+    const sequences = documentNumbering.getSequences();
+    logAudit({
+      type: 'info',
+      category: 'system',
+      entityType: 'settings',
+      entityId: 'documentNumbering',
+      action: 'update',
+      description: 'Document numbering updated',
+      before,
+      after: { settings, sequences }
+    });
+    
+    return { success: true, settings, sequences };
+  } catch (error) {
+    log.error('Error in update-document-numbering handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get the discount limit of each role and of the signed-in user
+ipcMain.handle('get-discount-limits', async () => {
+  try {
+    const limits = getDiscountLimits();
+    const session = getActiveSession() || {};
+    return { success: true, limits, currentLimit: parseFloat(limits[session.role]) || 0 };
+  } catch (error) {
+    log.error('Error in get-discount-limits handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Update the discount limit of each role
+ipcMain.handle('update-discount-limits', async (event, limits = {}) => {
+  try {
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE);
+    
+    const before = getDiscountLimits();
+    const updated = { ...before };
+    for (const role of Object.values(USER_ROLES)) {
+      if (limits[role] === undefined) continue;
+      
+      const limit = parseFloat(limits[role]);
+      if (isNaN(limit) || limit < 0 || limit > 100) {
+        return { success: false, error: `The ${role} discount limit must be between 0 and 100%` };
+      }
+      updated[role] = limit;
+    }
+    
+    store.set(DISCOUNT_LIMITS_KEY, updated);
+    logAudit({
+      type: 'info',
+      category: 'system',
+      entityType: 'settings',
+      entityId: 'discountLimits',
+      action: 'update',
+      description: 'Discount limits updated',
+      before,
+      after: updated
+    });
+    
+    return { success: true, limits: updated };
+  } catch (error) {
+    log.error('Error in update-discount-limits handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get tax classes, how prices are entered and the class of each product type
+ipcMain.handle('get-tax-settings', async () => {
+  try {
+    return { success: true, settings: getTaxSettings(store.get(TAX_SETTINGS_KEY)) };
+  } catch (error) {
+    log.error('Error in get-tax-settings handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Update the tax classes; sales already made keep the tax they were charged
+ipcMain.handle('update-tax-settings', async (event, newSettings = {}) => {
+  try {
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE);
+
+    const before = getTaxSettings(store.get(TAX_SETTINGS_KEY));
+    const settings = validateTaxSettings(newSettings);
+    store.set(TAX_SETTINGS_KEY, settings);
+
+    logAudit({
+      type: 'info',
+      category: 'system',
+      entityType: 'settings',
+      entityId: 'taxSettings',
+      action: 'update',
+      description: 'Tax settings updated',
+      before,
+      after: settings
+    });
+
+    return { success: true, settings };
+  } catch (error) {
+    log.error('Error in update-tax-settings handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// SESSION MANAGEMENT HANDLERS
+//====================================================================
+
+// Get user session
+ipcMain.handle('get-user-session', async () => {
+  try {
+    return getActiveSession();
+  } catch (error) {
+    log.error('Error getting user session:', error);
+    return null;
+  }
+});
+
+// Refresh the activity time of the signed-in user's session. Sessions are only
+// created by the login handler, so a renderer cannot pick its own user or role.
+ipcMain.handle('set-user-session', async (event, session) => {
+  try {
+    const current = getActiveSession();
+    if (!current || !session || current.username !== session.username) {
+      return { success: false, error: 'No signed-in user for this session' };
+    }
+    
+    store.set('userSession', { ...current, lastActivity: new Date().toISOString() });
+    return { success: true, session: store.get('userSession') };
+  } catch (error) {
+    log.error('Error setting user session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Clear user session
+ipcMain.handle('clear-user-session', async () => {
+  try {
+    store.delete('userSession');
+    log.info('User session cleared');
+    return { success: true };
+  } catch (error) {
+    log.error('Error clearing user session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// AUDIT LOG HANDLERS
+//====================================================================
+
+// Get audit log entries (changes to inventory, sales, customers, settings...)
+ipcMain.handle('get-logs', async (event, filters = {}) => {
+  try {
+    requirePermission(PERMISSIONS.AUDIT_VIEW);
+    
+    const logs = logger.getLogs(filters);
+    return { success: true, logs };
+  } catch (error) {
+    log.error('Error in get-logs handler:', error);
+    return { success: false, error: error.message, logs: [] };
+  }
+});
+
+// Export audit log entries to CSV or JSON
+ipcMain.handle('export-logs', async (event, options = {}) => {
+  try {
+    requirePermission(PERMISSIONS.AUDIT_VIEW);
+    
+    const format = options.format === 'json' ? 'json' : 'csv';
+    let filePath = options.filePath;
+    
+    if (!filePath) {
+      const { canceled, filePath: selectedPath } = await dialog.showSaveDialog({
+        title: 'Export Audit Log',
+        defaultPath: path.join(app.getPath('documents'), `Audit_Log_${new Date().toISOString().split('T')[0]}.${format}`),
+        filters: [format === 'json'
+          ? { name: 'JSON Files', extensions: ['json'] }
+          : { name: 'CSV Files', extensions: ['csv'] }]
+      });
+      
+      if (canceled || !selectedPath) {
+        return { success: false, error: 'Cancelled by user' };
+      }
+      
+      filePath = selectedPath;
+    }
+    
+    return logger.exportLogs(filePath, format, options.filters || {});
+  } catch (error) {
+    log.error('Error in export-logs handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// BACKUP AND RESTORE
+//====================================================================
+
+// Get scheduled backup settings and the folder backups are written to
+ipcMain.handle('get-backup-settings', async () => {
+  try {
+    return { success: true, settings: backupManager.getSettings(), directory: backupManager.getBackupDirectory() };
+  } catch (error) {
+    log.error('Error in get-backup-settings handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Update scheduled backup settings
+ipcMain.handle('update-backup-settings', async (event, settings = {}) => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    
+    const before = backupManager.getSettings();
+    const saved = backupManager.updateSettings(settings);
+    logAudit({
+      type: 'info',
+      category: 'system',
+      entityType: 'settings',
+      entityId: 'backup',
+      action: 'update',
+      description: 'Backup settings updated',
+      before,
+      after: saved
+    });
+    
+    return { success: true, settings: saved, directory: backupManager.getBackupDirectory() };
+  } catch (error) {
+    log.error('Error in update-backup-settings handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Pick the folder backups are written to
+ipcMain.handle('choose-backup-directory', async () => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      title: 'Choose Backup Folder',
+      defaultPath: backupManager.getBackupDirectory(),
+      properties: ['openDirectory', 'createDirectory']
+    });
+    
+    if (canceled || !filePaths || filePaths.length === 0) {
+      return { success: false, error: 'Cancelled by user' };
+    }
+    
+    return { success: true, directory: filePaths[0] };
+  } catch (error) {
+    log.error('Error in choose-backup-directory handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Take a backup now
+ipcMain.handle('create-backup', async () => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    
+    const backup = await backupManager.createBackup('manual');
+    logger.log({
+      type: 'info',
+      category: 'system',
+      description: `Manual backup ${backup.id} created`,
+      user: getCurrentUsername()
+    });
+    
+    return { success: true, backup };
+  } catch (error) {
+    log.error('Error in create-backup handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List backups with their record counts, newest first
+ipcMain.handle('list-backups', async () => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    return { success: true, backups: backupManager.listBackups() };
+  } catch (error) {
+    log.error('Error in list-backups handler:', error);
+    return { success: false, error: error.message, backups: [] };
+  }
+});
+
+// Restore a backup, then restart so every window reloads the restored data
+ipcMain.handle('restore-backup', async (event, backupId) => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    
+    const backup = await backupManager.restoreBackup(backupId, async () => {
+      if (db && typeof db.close === 'function') {
+        await db.close();
+      }
+    });
+    
+    logger.log({
+      type: 'warning',
+      category: 'system',
+      description: `Restored backup ${backup.id} taken ${backup.createdAt}`,
+      user: getCurrentUsername()
+    });
+    
+    // The restored data is already in place, so skip the backup on quit
+    quitBackupDone = true;
+    setTimeout(() => {
+      app.relaunch();
+      app.exit(0);
+    }, 1000);
+    
+    return { success: true, backup };
+  } catch (error) {
+    log.error('Error in restore-backup handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// DATABASE MAINTENANCE
+//====================================================================
+
+/**
+ * Get the live SQLite database for maintenance operations
+ * @returns {Object} Database instance
+ * @throws {Error} When the app is running on electron-store only
+ */
+function getMaintainableDatabase() {
+  if (!sqliteAvailable || !db || typeof db.getMetrics !== 'function') {
+    throw new Error('The SQLite database is not available');
+  }
+  return db;
+}
+
+// Save a consistent copy of the SQLite file to a path of the user's choosing
+ipcMain.handle('backup-database', async (event, backupPath) => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    const database = getMaintainableDatabase();
+    
+    let targetPath = backupPath;
+    if (!targetPath) {
+      const { canceled, filePath } = await dialog.showSaveDialog({
+        title: 'Save Database Copy',
+        defaultPath: path.join(backupManager.getBackupDirectory(), `inventory-${moment().format('YYYY-MM-DD-HHmm')}.db`),
+        filters: [{ name: 'SQLite Database', extensions: ['db'] }]
+      });
+      
+      if (canceled || !filePath) {
+        return { success: false, error: 'Cancelled by user' };
+      }
+      targetPath = filePath;
+    }
+    
+    // VACUUM INTO refuses to overwrite, so write beside the target and move it into place
+    const tempPath = `${targetPath}.${Date.now()}.tmp`;
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    try {
+      await database.backupTo(tempPath);
+      fs.renameSync(tempPath, targetPath);
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+    
+    const size = fs.statSync(targetPath).size;
+    logger.log({
+      type: 'info',
+      category: 'system',
+      description: `Database copied to ${targetPath}`,
+      user: getCurrentUsername()
+    });
+    
+    return { success: true, path: targetPath, size };
+  } catch (error) {
+    log.error('Error in backup-database handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Replace the SQLite file with a chosen copy and reopen the connections
+ipcMain.handle('restore-database', async (event, restorePath) => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    const database = getMaintainableDatabase();
+    
+    let sourcePath = restorePath;
+    if (!sourcePath) {
+      const { canceled, filePaths } = await dialog.showOpenDialog({
+        title: 'Restore Database',
+        defaultPath: backupManager.getBackupDirectory(),
+        properties: ['openFile'],
+        filters: [{ name: 'SQLite Database', extensions: ['db', 'sqlite', 'sqlite3'] }]
+      });
+      
+      if (canceled || !filePaths || filePaths.length === 0) {
+        return { success: false, error: 'Cancelled by user' };
+      }
+      sourcePath = filePaths[0];
+    }
+    
+    // Reject unusable files before taking the safety backup or touching the live file
+    await database.verifyDatabaseFile(sourcePath);
+    const safetyBackup = await backupManager.createBackup('pre-restore');
+    
+    await database.restoreFrom(sourcePath);
+    if (salesDb && typeof salesDb.reconnect === 'function') {
+      await salesDb.reconnect();
+    }
+    
+    logger.log({
+      type: 'warning',
+      category: 'system',
+      description: `Database restored from ${sourcePath}`,
+      user: getCurrentUsername(),
+      data: { sourcePath, safetyBackup: safetyBackup.id }
+    });
+    
+    // Reload every window so no screen keeps showing data from the replaced file
+    setTimeout(() => {
+      BrowserWindow.getAllWindows().forEach(win => {
+        if (!win.isDestroyed()) win.webContents.reload();
+      });
+    }, 1000);
+    
+    return { success: true, safetyBackup: safetyBackup.id, metrics: await database.getMetrics() };
+  } catch (error) {
+    log.error('Error in restore-database handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// VACUUM and ANALYZE the database
+ipcMain.handle('optimize-database', async () => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    
+    const result = await getMaintainableDatabase().optimize();
+    logger.log({
+      type: 'info',
+      category: 'system',
+      description: `Database optimized (${result.sizeBefore} bytes to ${result.sizeAfter} bytes)`,
+      user: getCurrentUsername()
+    });
+    
+    return { success: true, ...result };
+  } catch (error) {
+    log.error('Error in optimize-database handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Check integrity and rebuild the indexes
+ipcMain.handle('repair-database', async () => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    
+    const result = await getMaintainableDatabase().repair();
+    logger.log({
+      type: result.after.ok ? 'info' : 'error',
+      category: 'system',
+      description: result.after.ok
+        ? 'Database indexes rebuilt; integrity check passed'
+        : `Database integrity check found ${result.after.integrity.length + result.after.foreignKeyViolations.length} problem(s) after rebuilding indexes`,
+      user: getCurrentUsername(),
+      data: result
+    });
+    
+    return { success: true, ...result };
+  } catch (error) {
+    log.error('Error in repair-database handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Table row counts, file size and fragmentation
+ipcMain.handle('get-database-metrics', async () => {
+  try {
+    requirePermission(PERMISSIONS.BACKUP_MANAGE);
+    return { success: true, metrics: await getMaintainableDatabase().getMetrics() };
+  } catch (error) {
+    log.error('Error in get-database-metrics handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// USER ACCOUNTS AND ROLES
+//====================================================================
+
+/**
+ * Hash a password with scrypt and a per-user random salt
+ * @param {string} password - Plaintext password
+ * @param {string} [salt] - Existing salt (hex); a new one is generated when omitted
+ * @returns {Promise<Object>} Hash and salt, both hex encoded
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve({ hash: derivedKey.toString('hex'), salt });
+    });
+  });
+}
+
+/**
+ * Check a password against a user's stored hash
+ * @param {string} password - Plaintext password
+ * @param {Object} user - User with password_hash and password_salt
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, user) {
+  const { hash } = await hashPassword(password || '', user.password_salt);
+  const expected = Buffer.from(user.password_hash, 'hex');
+  const actual = Buffer.from(hash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Strip the password hash before a user leaves the main process
+ * @param {Object} user - User account
+ * @returns {Object} User without credentials
+ */
+function toPublicUser(user) {
+  const { password_hash, password_salt, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * Load all user accounts
+ * @returns {Promise<Array>} Array of users
+ */
+async function loadUsers() {
+  if (sqliteAvailable && db && db.getUsers) {
+    try {
+      return await db.getUsers();
+    } catch (sqliteError) {
+      log.error('SQLite get-users error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  return store.get(USERS_KEY) || [];
+}
+
+/**
+ * Find an account by username, ignoring case
+ * @param {string} username - Username
+ * @returns {Promise<Object|undefined>} The user
+ */
+async function findUserByUsername(username) {
+  const wanted = (username || '').trim().toLowerCase();
+  return (await loadUsers()).find(user => user.username.toLowerCase() === wanted);
+}
+
+/**
+ * Insert or update a user account
+ * @param {Object} user - User account
+ */
+async function saveUserAccount(user) {
+  if (sqliteAvailable && db && db.saveUser) {
+    try {
+      await db.saveUser(user);
+      return;
+    } catch (sqliteError) {
+      log.error('SQLite save-user error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const users = store.get(USERS_KEY) || [];
+  const index = users.findIndex(u => u.id === user.id);
+  if (index === -1) {
+    users.push(user);
+  } else {
+    users[index] = user;
+  }
+  store.set(USERS_KEY, users);
+}
+
+/**
+ * Validate and build a new account
+ * @param {Object} details - username, name, role and password
+ * @returns {Promise<Object>} The new user, with its password hashed
+ */
+async function buildUserAccount({ username, name, role, password } = {}) {
+  const cleanUsername = (username || '').trim();
+  if (!/^[\w.-]{3,32}$/.test(cleanUsername)) {
+    throw new Error('Username must be 3-32 letters, numbers, dots, dashes or underscores');
+  }
+  if (!Object.values(USER_ROLES).includes(role)) {
+    throw new Error('Invalid role');
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  if (await findUserByUsername(cleanUsername)) {
+    throw new Error(`Username "${cleanUsername}" is already taken`);
+  }
+  
+  const now = new Date().toISOString();
+  const { hash, salt } = await hashPassword(password);
+  
+  return {
+    id: uuidv4(),
+    username: cleanUsername,
+    name: (name || '').trim() || cleanUsername,
+    role,
+    password_hash: hash,
+    password_salt: salt,
+    active: true,
+    last_login: null,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+// Active accounts for the login screen; needsSetup is true until the first owner is created
+ipcMain.handle('get-login-users', async () => {
+  try {
+    const users = await loadUsers();
+    return {
+      needsSetup: users.length === 0,
+      users: users
+        .filter(user => user.active)
+        .map(({ username, name, role }) => ({ username, name, role }))
+    };
+  } catch (error) {
+    log.error('Error in get-login-users handler:', error);
+    return { needsSetup: false, users: [] };
+  }
+});
+
+// Create the first owner account; only allowed while there are no users at all
+ipcMain.handle('setup-owner-account', async (event, details) => {
+  try {
+    if ((await loadUsers()).length > 0) {
+      return { success: false, error: 'An owner account already exists' };
+    }
+    
+    const user = await buildUserAccount({ ...details, role: USER_ROLES.OWNER });
+    await saveUserAccount(user);
+    
+    logger.log({
+      type: 'info',
+      category: 'user',
+      description: `Owner account ${user.username} created`,
+      user: user.username
+    });
+    
+    return { success: true, user: toPublicUser(user) };
+  } catch (error) {
+    log.error('Error in setup-owner-account handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Check credentials and start a main-process session for the user
+ipcMain.handle('login', async (event, { username, password } = {}) => {
+  try {
+    const user = await findUserByUsername(username);
+    
+    if (!user || !user.active || !(await verifyPassword(password, user))) {
+      logger.log({
+        type: 'warning',
+        category: 'user',
+        description: `Failed sign-in for ${username || 'unknown user'}`,
+        user: username || 'unknown'
+      });
+      return { success: false, error: 'Incorrect username or password' };
+    }
+    
+    const now = new Date().toISOString();
+    await saveUserAccount({ ...user, last_login: now, updated_at: now });
+    
+    const session = {
+      userId: user.id,
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      permissions: getPermissions(user.role),
+      loginTime: now,
+      lastActivity: now
+    };
+    store.set('userSession', session);
+    
+    logger.log({
+      type: 'info',
+      category: 'user',
+      description: `${user.username} signed in`,
+      user: user.username
+    });
+    
+    return { success: true, user: session };
+  } catch (error) {
+    log.error('Error in login handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List user accounts (owners only)
+ipcMain.handle('get-users', async () => {
+  try {
+    requirePermission(PERMISSIONS.USERS_MANAGE);
+    return { success: true, users: (await loadUsers()).map(toPublicUser) };
+  } catch (error) {
+    log.error('Error in get-users handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Create a user account (owners only)
+ipcMain.handle('create-user', async (event, details) => {
+  try {
+    requirePermission(PERMISSIONS.USERS_MANAGE);
+    
+    const user = await buildUserAccount(details);
+    await saveUserAccount(user);
+    
+    logger.log({
+      type: 'info',
+      category: 'user',
+      description: `User ${user.username} created with role ${user.role}`,
+      user: getCurrentUsername()
+    });
+    
+    return { success: true, user: toPublicUser(user) };
+  } catch (error) {
+    log.error('Error in create-user handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Change a password. Users change their own with the current password; owners can reset anyone's.
+ipcMain.handle('change-password', async (event, { username, currentPassword, newPassword } = {}) => {
+  try {
+    const session = getActiveSession();
+    if (!session) {
+      return { success: false, error: 'You must be signed in to change a password' };
+    }
+    
+    const user = await findUserByUsername(username || session.username);
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    if (user.id === session.userId) {
+      if (!(await verifyPassword(currentPassword, user))) {
+        return { success: false, error: 'Current password is incorrect' };
+      }
+    } else {
+      requirePermission(PERMISSIONS.USERS_MANAGE);
+    }
+    
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return { success: false, error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long` };
+    }
+    
+    const { hash, salt } = await hashPassword(newPassword);
+    await saveUserAccount({
+      ...user,
+      password_hash: hash,
+      password_salt: salt,
+      updated_at: new Date().toISOString()
+    });
+    
+    logger.log({
+      type: 'info',
+      category: 'user',
+      description: `Password changed for ${user.username}`,
+      user: session.username
+    });
+    
+    return { success: true, message: 'Password changed successfully' };
+  } catch (error) {
+    log.error('Error in change-password handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Deactivate a user account so it can no longer sign in (owners only)
+ipcMain.handle('deactivate-user', async (event, userId) => {
+  try {
+    requirePermission(PERMISSIONS.USERS_MANAGE);
+    
+    const users = await loadUsers();
+    const user = users.find(u => u.id === userId);
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+    if (user.id === store.get('userSession').userId) {
+      return { success: false, error: 'You cannot deactivate your own account' };
+    }
+    if (user.role === USER_ROLES.OWNER &&
+        users.filter(u => u.active && u.role === USER_ROLES.OWNER).length <= 1) {
+      return { success: false, error: 'At least one active owner account is required' };
+    }
+    
+    await saveUserAccount({ ...user, active: false, updated_at: new Date().toISOString() });
+    
+    logger.log({
+      type: 'warning',
+      category: 'user',
+      description: `User ${user.username} deactivated`,
+      user: getCurrentUsername()
+    });
+    
+    return { success: true };
+  } catch (error) {
+    log.error('Error in deactivate-user handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// SALES HANDLERS
+//====================================================================
+
+// Get all sales
+ipcMain.handle('get-sales', async () => {
+  try {
+    // Try SQLite first if available
+    if (sqliteAvailable && db && db.usingSqlite) {
+      try {
+        return await db.getSales();
+      } catch (sqliteError) {
+        log.error('SQLite get-sales error:', sqliteError);
+        // Fall back to electron-store
+      }
+    }
+    
+    // Fallback to electron-store
+    return store.get('sales') || [];
+  } catch (error) {
+    log.error('Error in get-sales handler:', error);
+    return [];
+  }
+});
+
+// Search sales with filters, sorting and paging, in memory over every sale in electron-store
+ipcMain.handle('search-sales', async (event, criteria) => {
+  try {
+    return { success: true, ...searchSaleRecords(store.get('sales') || [], criteria) };
+  } catch (error) {
+    log.error('Error in search-sales handler:', error);
+    return { success: false, error: error.message, items: [], total: 0 };
+  }
+});
+
+// Get sale by ID
+ipcMain.handle('get-sale-by-id', async (event, saleId) => findSaleById(saleId));
+
+/**
+ * Look up a sale, trying SQLite first and then electron-store
+ * @param {string} saleId - Sale ID
+ * @returns {Promise<Object|null>} The sale or null
+ */
+async function findSaleById(saleId) {
+  try {
+    // Try SQLite first if available
+    if (sqliteAvailable && db && db.usingSqlite && db.getSaleById) {
+      try {
+        const sale = await db.getSaleById(saleId);
+        return sale;
+      } catch (sqliteError) {
+        log.error(`SQLite get-sale-by-id error for ID ${saleId}:`, sqliteError);
+        // Fall back to electron-store
+      }
+    }
+    
+    // Fallback to electron-store
+    const sales = store.get('sales') || [];
+    return sales.find(sale => sale.id === saleId) || null;
+  } catch (error) {
+    log.error(`Error in get-sale-by-id handler for ID ${saleId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fill in each line's discount, net total, tax class, unit, cut and the buying price at the moment of sale,
+ * so profit reports keep the margin the sale was actually made at
+ * @param {Array} items - Sale lines from the renderer
+ * @param {Object} taxSettings - Tax settings deciding each line's tax class
+ * @returns {Promise<Array>} Lines with discount, total, taxClass, unit, unitFactor, baseQuantity, cutLength and cost_price
+ */
+async function captureSaleLineCosts(items, taxSettings) {
+  const lines = [];
+  
+  for (const item of items || []) {
+    const line = normalizeSaleLine(item);
+    const inventoryItem = line.itemId ? await getInventoryItemById(line.itemId) : null;
+    // Throws when the item is not sold in the line's unit or the quantity does not fit it
+    const unit = inventoryItem ? resolveLineUnit(item, inventoryItem) : {};
+    // Each cut piece takes a full length from stock; what is left over becomes an offcut
+    const cut = inventoryItem ? resolveCutLine(item, inventoryItem, unit) : null;
+    let costPrice = line.costPrice;
+    
+    if (!costPrice && inventoryItem) {
+      // The buying price is per base unit, and a cut piece costs its share of the length
+      const baseCost = parseFloat(inventoryItem.buyingPrice || inventoryItem.buying_price || inventoryItem.cost_price) || 0;
+      costPrice = cut ? getCutPrice(baseCost, cut.cutLength, cut.pieceLength) : roundMoney(baseCost * unit.unitFactor);
+    }
+    
+    lines.push({
+      ...item,
+      ...unit,
+      cutLength: cut ? cut.cutLength : null,
+      discount: line.discount,
+      total: line.total,
+      // The class comes from the item or its product type, never from the form
+      taxClass: resolveTaxClass(taxSettings, inventoryItem || { type: line.type }).id,
+      cost_price: costPrice
+    });
+  }
+  
+  return lines;
+}
+
+/**
+ * Discount limits per role, as a percentage of the sale before discounts
+ * @returns {Object} Limits keyed by role
+ */
+function getDiscountLimits() {
+  return { ...DEFAULT_DISCOUNT_LIMITS, ...(store.get(DISCOUNT_LIMITS_KEY) || {}) };
+}
+
+/**
+ * Check the discounts on a sale against the seller's limit. Above it, a user allowed to
+ * override discounts must approve with their own username and password, and the
+ * discount must be within that user's limit.
+ * @param {Object} sale - Sale with its discounts recalculated
+ * @param {Object} [approval] - username and password of the approving user
+ * @returns {Promise<Object>} allowed and approvedBy, or error and approvalRequired
+ */
+async function authorizeSaleDiscount(sale, approval) {
+  if (sale.discountTotal <= 0) {
+    return { allowed: true, approvedBy: null };
+  }
+  if (!sale.discountReason) {
+    return { allowed: false, error: 'Enter a reason for the discount' };
+  }
+  
+  const session = getActiveSession() || {};
+  const limits = getDiscountLimits();
+  const sellerLimit = parseFloat(limits[session.role]) || 0;
+  if (sale.discountPercent <= sellerLimit) {
+    return { allowed: true, approvedBy: null };
+  }
+  
+  if (!approval || !approval.username) {
+    return {
+      allowed: false,
+      approvalRequired: true,
+      error: `A discount of ${sale.discountPercent}% is above your limit of ${sellerLimit}% and needs a manager's approval`
+    };
+  }
+  
+  const approver = await findUserByUsername(approval.username);
+  if (!approver || !approver.active || !(await verifyPassword(approval.password, approver))) {
+    logger.log({
+      type: 'warning',
+      category: 'sales',
+      description: `Failed discount approval as ${approval.username}`,
+      user: getCurrentUsername()
+    });
+    return { allowed: false, approvalRequired: true, error: 'Incorrect approver username or password' };
+  }
+  
+  const approverLimit = parseFloat(limits[approver.role]) || 0;
+  if (!hasPermission(approver.role, PERMISSIONS.DISCOUNT_OVERRIDE) || sale.discountPercent > approverLimit) {
+    return {
+      allowed: false,
+      approvalRequired: true,
+      error: `${approver.username} cannot approve a discount of ${sale.discountPercent}%`
+    };
+  }
+  
+  return { allowed: true, approvedBy: approver.username };
+}
+
+/**
+ * Record in the audit trail who let a discount above the seller's limit through
+ * @param {Object} sale - Saved sale
+ */
+function logDiscountOverride(sale) {
+  if (!sale.discountApprovedBy) return;
+  
+  logAudit({
+    type: 'warning',
+    category: 'sales',
+    entityType: 'sale',
+    entityId: sale.id,
+    action: 'discount_override',
+    description: `${sale.discountApprovedBy} approved a ${sale.discountPercent}% discount on ${sale.invoiceNumber}: ${sale.discountReason}`,
+    data: {
+      discountTotal: sale.discountTotal,
+      discountPercent: sale.discountPercent,
+      soldBy: sale.createdBy
+    }
+  });
+}
+
+/**
+ * Recalculate the discounts, tax and totals of a sale or quotation from its lines
+ * rather than trusting the amounts sent by the form
+ * @param {Object} saleData - Sale with items and the invoice discount
+ * @returns {Promise<Object>} discounted (from applySaleDiscounts) and taxed (from applySaleTax)
+ */
+async function priceSale(saleData) {
+  const taxSettings = getTaxSettings(store.get(TAX_SETTINGS_KEY));
+  const discounted = applySaleDiscounts({ ...saleData, items: await captureSaleLineCosts(saleData.items, taxSettings) });
+  return { discounted, taxed: applySaleTax(discounted, taxSettings) };
+}
+
+// Add sale
+ipcMain.handle('add-sale', async (event, sale) => createSale(sale));
+
+/**
+ * Record a sale: price it, check its tenders and discount, number it and take its stock
+ * @param {Object} sale - Sale from the sale form or a converted quotation
+ * @param {Object} [options]
+ * @param {string} [options.discountApprovedBy] - Manager who already approved the discount
+ *   on the quotation the sale comes from, up to that quotation's discount percentage
+ * @param {number} [options.approvedDiscountPercent] - Discount percentage that was approved
+ * @returns {Promise<Object>} success with the saved sale, or error
+ */
+async function createSale(sale, options = {}) {
+  // Invoice number taken for this sale and not yet saved with it
+  let pendingInvoice = null;
+  
+  try {
+    // The approver's password is only used to check the override and is never stored
+    const { discountApproval, ...saleData } = sale;
+    
+    const { discounted, taxed } = await priceSale(saleData);
+    const taxRates = [...new Set(taxed.items.filter(item => !item.taxExempt).map(item => item.taxRate))];
+    
+    // Tenders taken at the till: a paid sale must be covered, a deposit is whatever was tendered
+    // and nothing is taken on a credit sale. Callers that send no tenders keep a single payment method.
+    const tenders = Array.isArray(saleData.payments)
+      ? applySaleTenders(
+        saleData.paymentStatus === PAYMENT_STATUS.CREDIT ? [] : saleData.payments,
+        taxed.totalAmount,
+        !Object.values(PAYMENT_STATUS).includes(saleData.paymentStatus) || saleData.paymentStatus === PAYMENT_STATUS.PAID
+      )
+      : {};
+    
+    const newSale = applySalePaymentTerms({
+      ...saleData,
+      ...discounted,
+      ...taxed,
+      ...tenders,
+      paymentMethod: tenders.paymentMethod || saleData.paymentMethod,
+      discountReason: discounted.discountTotal > 0 ? String(saleData.discountReason || '').trim() : '',
+      // Kept for receipts and screens that show a single VAT line
+      vatRate: taxRates.length === 1 ? taxRates[0] : null,
+      vatAmount: taxed.taxAmount,
+      netAmount: roundMoney(taxed.totalAmount - taxed.taxAmount),
+      totalWithVat: taxed.totalAmount,
+      id: uuidv4(),
+      createdAt: new Date().toISOString()
+    });
+    stampActingUser(newSale, true);
+    
+    // Stock is taken from the location the sale is made at
+    newSale.locationId = requireOpenLocation(saleData.locationId).id;
+    
+    if (newSale.onAccount && !getSaleCustomerId(newSale)) {
+      log.error('Credit sale rejected: no customer selected');
+      return { success: false, error: 'Select a saved customer to sell on credit' };
+    }
+    
+    // The sale belongs to the cashier's open drawer session, which must be open to take cash
+    const cashSession = await requireCashSession(getSaleTenders(newSale).some(tender => tender.method === CASH_METHOD));
+    newSale.cashSessionId = cashSession ? cashSession.id : null;
+    
+    const authorization = options.discountApprovedBy && newSale.discountPercent <= options.approvedDiscountPercent
+      ? { allowed: true, approvedBy: options.discountApprovedBy }
+      : await authorizeSaleDiscount(newSale, discountApproval);
+    if (!authorization.allowed) {
+      return { success: false, error: authorization.error, approvalRequired: !!authorization.approvalRequired };
+    }
+    newSale.discountApprovedBy = authorization.approvedBy;
+    
+    const reservations = await loadReservations();
+    
+    // From the stock check to the store write nothing is awaited, so no other sale can take
+    // the same stock in between
+    const inventory = store.get('inventory') || [];
+    const stockError = checkReservedStock(newSale, reservations, inventory) || checkLocationStock(newSale, inventory);
+    if (stockError) {
+      return { success: false, error: stockError };
+    }
+    
+    // Numbered only once the sale is known to be valid, so rejected sales leave no gap
+    pendingInvoice = documentNumbering.allocate('invoice', new Date(newSale.createdAt));
+    newSale.invoiceNumber = pendingInvoice.number;
+    
+    const auditEntry = {
+      type: 'success',
+      category: 'sales',
+      entityType: 'sale',
+      entityId: newSale.id,
+      action: 'create',
+      description: `Sale ${newSale.invoiceNumber || newSale.id} recorded for ${getSaleTotal(newSale).toLocaleString()}`,
+      after: newSale
+    };
+    
+    // No invoice number is used twice
+    const sales = store.get('sales') || [];
+    if (sales.some(existing => existing.invoiceNumber === newSale.invoiceNumber)) {
+      throw new Error(`Invoice number ${newSale.invoiceNumber} has already been used`);
+    }
+    
+    // The sale and the stock it takes are saved together. With SQLite, the sale's row, its lines in
+    // sale_items with the cost price captured by captureSaleLineCosts() and its stock movements are
+    // written in one transaction straight after; if that fails the sale is taken back out of the store.
+    const movements = takeSaleStock(inventory, newSale).map(buildStockMovementEntry);
+    const saleInSqlite = Boolean(sqliteAvailable && db && db.recordSale);
+    sales.push(newSale);
+    store.set({
+      sales,
+      inventory,
+      ...(saleInSqlite ? {} : { [STOCK_MOVEMENTS_KEY]: [...(store.get(STOCK_MOVEMENTS_KEY) || []), ...movements] })
+    });
+    
+    let recorded = movements;
+    if (saleInSqlite) {
+      try {
+        recorded = (await db.recordSale(newSale, movements)).movements;
+      } catch (sqliteError) {
+        log.error('SQLite add-sale error:', sqliteError);
+        store.set({
+          sales: (store.get('sales') || []).filter(existing => existing.id !== newSale.id),
+          inventory: undoStockChanges(movements)
+        });
+        throw new Error(`The sale could not be saved: ${sqliteError.message}`);
+      }
+    }
+    pendingInvoice = null;
+    
+    const changedIds = new Set(recorded.map(movement => movement.item_id));
+    recorded.forEach(movement => broadcastToAllWindows('stock-movement-created', movement));
+    inventory.filter(item => changedIds.has(item.id)).forEach(item => broadcastToAllWindows('inventory-updated', item));
+    if (recorded.length > 0) {
+      scheduleLowStockAlerts();
+    }
+    
+    // The sale is recorded from here on. A step below that fails is reported with the sale
+    // so it can be put right by hand, rather than the sale being reported as not saved.
+    const incomplete = [];
+    const followUp = async (description, step) => {
+      try {
+        await step(newSale);
+      } catch (error) {
+        log.error(`Error ${description} for sale ${newSale.id}:`, error);
+        incomplete.push(description);
+      }
+    };
+    
+    // What is left of pipe cut to length goes back on the shelf or on the scrap pile
+    await followUp('stocking offcuts', stockSaleOffcuts);
+    
+    // A deposit on a credit sale is the first installment on the account
+    await followUp('recording the deposit', recordSaleDeposit);
+    
+    // Stock the buyer had reserved is now sold to them
+    await followUp('fulfilling reservations', fulfilSaleReservations);
+    logAudit(auditEntry);
+    logDiscountOverride(newSale);
+    
+    // Notify other windows about the new sale
+    broadcastToAllWindows('sale-created', newSale);
+    
+    if (incomplete.length > 0) {
+      return {
+        success: true,
+        id: newSale.id,
+        sale: newSale,
+        warning: `Sale ${newSale.invoiceNumber} was recorded, but ${incomplete.join(' and ')} failed; check it and correct it by hand`
+      };
+    }
+    return { success: true, id: newSale.id, sale: newSale };
+  } catch (error) {
+    log.error('Error in add-sale handler:', error);
+    documentNumbering.release(pendingInvoice);
+    return { success: false, error: error.message };
+  }
+}
+
+// Generate Receipt
+ipcMain.handle('generate-receipt', async (event, saleId) => {
+  try {
+    log.info(`Generating receipt for sale ID: ${saleId}`);
+    
+    // Get the sale data
+    const sale = await executeWithRetry(
+      async () => {
+        if (sqliteAvailable && db && db.usingSqlite && db.getSaleById) {
+          try {
+            return await db.getSaleById(saleId);
+          } catch (error) {
+            // Fallback to electron-store
+            const sales = store.get('sales') || [];
+            return sales.find(s => s.id === saleId);
+          }
+        }
+        const sales = store.get('sales') || [];
+        return sales.find(s => s.id === saleId);
+      },
+      null,
+      'Get sale data for receipt'
+    );
+    
+    if (!sale) {
+      log.error(`Sale with ID ${saleId} not found for receipt generation`);
+      return { success: false, error: 'Sale not found' };
+    }
+    
+    // Show save dialog
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Save Receipt',
+      defaultPath: path.join(app.getPath('documents'), `Receipt_${sale.invoiceNumber || 'INV-' + saleId}.pdf`),
+      filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+    });
+    
+    if (canceled || !filePath) {
+      log.info('Receipt generation cancelled by user');
+      return { success: false, error: 'Cancelled by user' };
+    }
+    
+    try {
+      // Import the PDF generator utility
+      const pdfGenerator = require('../utils/pdfGenerator');
+      
+      // Generate the receipt
+      const outputPath = await pdfGenerator.generateSalesReceipt(filePath, sale);
+      
+      log.info(`Receipt successfully generated at ${outputPath}`);
+      
+      // We'll let the renderer handle opening the file using the open-file handler
+      // This provides better error handling and fallback options
+      
+      return { 
+        success: true, 
+        filePath: outputPath,
+        message: 'Receipt was generated successfully'
+      };
+    } catch (pdfError) {
+      log.error(`Error in PDF generation: ${pdfError.message}`);
+      return { 
+        success: false, 
+        error: `PDF generation failed: ${pdfError.message}`,
+        details: pdfError.stack
+      };
+    }
+  } catch (error) {
+    log.error('Error generating receipt:', error);
+    return { 
+      success: false, 
+      error: error.message || 'Unknown error occurred',
+      details: error.stack
+    };
+  }
+});
+
+// Generate Invoice
+ipcMain.handle('generate-invoice', async (event, filePath, sale) => {
+  try {
+    log.info(`Generating invoice for sale ID: ${sale.id} to ${filePath}`);
+    
+    // Verify the file path and sale data
+    if (!filePath) {
+      log.error('No file path provided for invoice generation');
+      return { success: false, error: 'No file path provided' };
+    }
+    
+    if (!sale || !sale.id) {
+      log.error('Invalid sale data provided for invoice generation');
+      return { success: false, error: 'Invalid sale data' };
+    }
+    
+    try {
+      // Import the PDF generator utility
+      const pdfGenerator = require('../utils/pdfGenerator');
+      
+      // Generate the invoice
+      const outputPath = await pdfGenerator.generateInvoicePDF(filePath, sale);
+      
+      log.info(`Invoice successfully generated at ${outputPath}`);
+      
+      // We'll let the renderer handle opening the file using the open-file handler
+      // This provides better error handling and fallback options
+      
+      return { 
+        success: true, 
+        filePath: outputPath,
+        message: 'Invoice was generated successfully'
+      };
+    } catch (pdfError) {
+      log.error(`Error in PDF generation: ${pdfError.message}`);
+      return { 
+        success: false, 
+        error: `PDF generation failed: ${pdfError.message}`,
+        details: pdfError.stack
+      };
+    }
+  } catch (error) {
+    log.error('Error generating invoice:', error);
+    return { 
+      success: false, 
+      error: error.message || 'Unknown error occurred',
+      details: error.stack
+    };
+  }
+});
+
+// Open file with improved handling and user feedback
+ipcMain.handle('open-file', async (event, filePath) => {
+  try {
+    log.info(`Opening file: ${filePath}`);
+    
+    if (!fs.existsSync(filePath)) {
+      log.error(`File not found: ${filePath}`);
+      throw new Error(`File not found: ${filePath}`);
+    }
+    
+    // Check file extension to customize dialog based on file type
+    const fileExt = path.extname(filePath).toLowerCase();
+    const isPdf = fileExt === '.pdf';
+    const fileType = isPdf ? 'PDF' : 'file';
+    
+    // Create a more attractive dialog with additional options
+    const { response } = await dialog.showMessageBox({
+      type: 'info',
+      title: `${fileType} Generated Successfully`,
+      message: `Your ${fileType} has been generated successfully!`,
+      detail: `Location: ${filePath}`,
+      buttons: [
+        `Open ${fileType}`,
+        `Show in ${process.platform === 'darwin' ? 'Finder' : 'Explorer'}`, 
+        'Close'
+      ],
+      defaultId: 0,
+      cancelId: 2,
+      icon: isPdf ? path.join(__dirname, '../../public/assets/images/pdf-icon.png') : undefined
+    });
+    
+    // Handle user's choice
+    if (response === 0) {
+      // User chose to open the file
+      const result = await shell.openPath(filePath);
+      
+      if (result) {
+        log.warn(`Warning opening file: ${result}`);
+        
+        // Show a follow-up dialog if there was an issue
+        const { response: followUpResponse } = await dialog.showMessageBox({
+          type: 'warning',
+          title: 'Could Not Open File Directly',
+          message: `There was an issue opening the ${fileType} directly.`,
+          detail: `Would you like to see the file location instead?`,
+          buttons: ['Show File Location', 'Cancel'],
+          defaultId: 0,
+          cancelId: 1
+        });
+        
+        if (followUpResponse === 0) {
+          // Show in folder instead
+          await shell.showItemInFolder(filePath);
+          return { 
+            success: true, 
+            action: 'shown_in_folder',
+            message: `Could not open directly, but ${fileType} location was shown`
+          };
+        }
+        
+        return { 
+          success: false, 
+          action: 'failed_to_open',
+          error: result,
+          message: `Could not open the ${fileType}: ${result}` 
+        };
+      }
+      
+      return { 
+        success: true, 
+        action: 'opened',
+        message: `${fileType} opened successfully` 
+      };
+    } 
+    else if (response === 1) {
+      // User chose to show in finder/explorer
+      const success = await shell.showItemInFolder(filePath);
+      
+      if (!success) {
+        log.error('Failed to show item in folder');
+        return { 
+          success: false, 
+          error: 'Failed to show item in folder' 
+        };
+      }
+      
+      return { 
+        success: true, 
+        action: 'shown_in_folder',
+        message: `${fileType} location shown in folder` 
+      };
+    }
+    
+    // User chose to close or dismiss the dialog
+    return { 
+      success: true, 
+      action: 'dismissed',
+      message: 'Dialog dismissed' 
+    };
+  } catch (error) {
+    log.error(`Error opening file: ${error.message}`);
+    return { 
+      success: false, 
+      error: error.message 
+    };
+  }
+});
+
+// Show save dialog
+ipcMain.handle('show-save-dialog', async (event, options) => {
+  try {
+    log.info('Showing save dialog with options:', options);
+    
+    // Set default path to Documents folder if not provided
+    if (!options.defaultPath) {
+      options.defaultPath = path.join(app.getPath('documents'), options.defaultPath || 'untitled');
+    }
+    
+    const result = await dialog.showSaveDialog(options);
+    log.info(`Save dialog result: ${result.canceled ? 'canceled' : `path: ${result.filePath}`}`);
+    
+    return result;
+  } catch (error) {
+    log.error('Error showing save dialog:', error);
+    throw error;
+  }
+});
+
+/**
+ * Take a sale's stock from the inventory given, from the location the sale was made at
+ * @param {Array} inventory - Inventory items, updated in place
+ * @param {Object} sale - Sale with its lines and locationId
+ * @returns {Array} Stock movements for the ledger
+ */
+function takeSaleStock(inventory, sale) {
+  const movements = [];
+  
+  for (const saleItem of sale.items || []) {
+    // The property might be either id or itemId depending on how it's passed
+    const itemId = saleItem.itemId || saleItem.id;
+    
+    if (!itemId) {
+      log.warn('Sale item missing itemId:', saleItem);
+      continue;
+    }
+    
+    const index = inventory.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      log.warn(`Item with ID ${itemId} not found in inventory`);
+      continue;
+    }
+    
+    // Stock is held in the item's base unit, whatever unit the line was sold in
+    const saleQuantity = getBaseQuantity(saleItem);
+    if (saleQuantity <= 0) continue;
+    
+    const quantityBefore = parseFloat(inventory[index].quantity) || 0;
+    const quantityAfter = Math.max(0, roundQuantity(quantityBefore - saleQuantity));
+    inventory[index] = setLocationStock({
+      ...inventory[index],
+      quantity: quantityAfter,
+      updatedAt: sale.createdAt
+    }, reconcileLocationStock(getLocationStock(inventory[index]), quantityAfter, getSaleLocationId(sale)));
+    
+    movements.push({
+      item_id: itemId,
+      item_description: inventory[index].description || '',
+      movement_type: STOCK_MOVEMENT_TYPES.SALE,
+      quantity_before: quantityBefore,
+      quantity_after: quantityAfter,
+      reason: 'Sale',
+      reference_type: 'sale',
+      reference_id: sale.id || null,
+      notes: sale.invoiceNumber ? `Invoice ${sale.invoiceNumber}` : '',
+      location_id: getSaleLocationId(sale)
+    });
+  }
+  
+  return movements;
+}
+
+//====================================================================
+// SALES RETURNS AND CREDIT NOTES
+//====================================================================
+
+/**
+ * Read a sale line in either the electron-store or the SQLite sale_items shape
+ * @param {Object} item - Sale line
+ * @returns {Object} Line with itemId, description, quantity, price, discount, net total, tax,
+ *   unit, cut length, amount due and cost price
+ */
+function normalizeSaleLine(item) {
+  const quantity = parseFloat(item.quantity) || 0;
+  const price = parseFloat(item.price !== undefined ? item.price : item.unit_price) || 0;
+  const discount = parseFloat(item.discount) || 0;
+  const total = parseFloat(item.total !== undefined ? item.total : item.total_price);
+  const lineTotal = isNaN(total) ? quantity * price - discount : total;
+  // Share of the invoice discount, on top of the line's own discount
+  const invoiceDiscount = parseFloat(item.invoiceDiscount !== undefined ? item.invoiceDiscount : item.invoice_discount) || 0;
+  const taxableAmount = parseFloat(item.taxableAmount !== undefined ? item.taxableAmount : item.taxable_amount);
+  const taxAmount = parseFloat(item.taxAmount !== undefined ? item.taxAmount : item.tax_amount) || 0;
+  
+  return {
+    itemId: item.itemId || item.product_id || item.id,
+    description: item.description || item.product_name || 'Item',
+    type: item.type || '',
+    dimension: item.dimension || item.size || '',
+    quantity,
+    price,
+    discount,
+    total: lineTotal,
+    invoiceDiscount,
+    taxClass: item.taxClass || item.tax_class || null,
+    taxRate: parseFloat(item.taxRate !== undefined ? item.taxRate : item.tax_rate) || 0,
+    taxExempt: !!(item.taxExempt || item.tax_exempt),
+    taxAmount,
+    // Unit the line was sold in and the quantity it took from stock in the item's base unit
+    unit: item.unit || null,
+    unitFactor: parseFloat(item.unitFactor !== undefined ? item.unitFactor : item.unit_factor) || 1,
+    baseQuantity: getBaseQuantity(item),
+    // Length cut from each piece, for lines that cut pipe to length
+    cutLength: getCutLength(item),
+    // What the customer paid for the line; lines saved before tax was stored had it in the total
+    amountDue: isNaN(taxableAmount) ? lineTotal - invoiceDiscount : taxableAmount + taxAmount,
+    costPrice: parseFloat(item.cost_price !== undefined ? item.cost_price : item.costPrice) || 0
+  };
+}
+
+/**
+ * Load sales returns, newest first
+ * @param {Object} [filters] - Optional saleId, startDate and endDate
+ * @returns {Promise<Array>} Array of sales returns with their lines
+ */
+async function loadSalesReturns(filters = {}) {
+  if (sqliteAvailable && db && db.getSalesReturns) {
+    try {
+      return await db.getSalesReturns(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-sales-returns error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const returns = (store.get(SALES_RETURNS_KEY) || []).filter(salesReturn =>
+    (!filters.saleId || salesReturn.sale_id === filters.saleId) &&
+    (!filters.startDate || salesReturn.created_at >= filters.startDate) &&
+    (!filters.endDate || salesReturn.created_at <= filters.endDate)
+  );
+  return returns.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+/**
+ * Work out how much of each sale line has already been returned
+ * @param {string} saleId - Sale ID
+ * @returns {Promise<Object>} Map of line index to returned quantity
+ */
+async function getReturnedQuantities(saleId) {
+  const returned = {};
+  const returns = await loadSalesReturns({ saleId });
+  returns.forEach(salesReturn => {
+    (salesReturn.items || []).forEach(line => {
+      returned[line.line_index] = (returned[line.line_index] || 0) + (parseFloat(line.quantity) || 0);
+    });
+  });
+  return returned;
+}
+
+/**
+ * Save the new status of a sale after a return
+ * @param {Object} sale - The sale
+ * @param {Object} changes - Fields to update (status, returnedAmount)
+ */
+async function updateSaleAfterReturn(sale, changes) {
+  const sales = store.get('sales') || [];
+  const index = sales.findIndex(s => s.id === sale.id);
+  if (index !== -1) {
+    sales[index] = { ...sales[index], ...changes, updatedAt: new Date().toISOString() };
+    store.set('sales', sales);
+    broadcastToAllWindows('sale-updated', sales[index]);
+  }
+}
+
+// Get sales returns, optionally filtered by sale or date range
+ipcMain.handle('get-sales-returns', async (event, filters = {}) => {
+  try {
+    return await loadSalesReturns(filters || {});
+  } catch (error) {
+    log.error('Error in get-sales-returns handler:', error);
+    return [];
+  }
+});
+
+// Return some or all lines of a sale, restore stock and issue a credit note
+ipcMain.handle('process-sale-return', async (event, request) => {
+  // Credit note number taken for this return and not yet saved with it
+  let pendingCreditNote = null;
+  
+  try {
+    requirePermission(PERMISSIONS.SALES_RETURN);
+    
+    if (!request || !request.saleId || !Array.isArray(request.lines)) {
+      return { success: false, error: 'Invalid return data' };
+    }
+    if (!request.reason) {
+      return { success: false, error: 'A reason is required for returns' };
+    }
+    
+    const sale = await findSaleById(request.saleId);
+    if (!sale) {
+      return { success: false, error: 'Sale not found' };
+    }
+    if (sale.status === 'returned') {
+      return { success: false, error: 'This sale has already been fully returned' };
+    }
+    
+    const saleItems = typeof sale.items === 'string' ? JSON.parse(sale.items) : (sale.items || []);
+    const alreadyReturned = await getReturnedQuantities(sale.id);
+    
+    // Validate every line before touching stock
+    const lines = [];
+    for (const requested of request.lines) {
+      const quantity = parseFloat(requested.quantity) || 0;
+      if (quantity === 0) continue;
+      
+      const saleItem = saleItems[requested.lineIndex];
+      if (!saleItem) {
+        return { success: false, error: 'Returned line does not belong to this sale' };
+      }
+      
+      const line = normalizeSaleLine(saleItem);
+      const returnable = line.quantity - (alreadyReturned[requested.lineIndex] || 0);
+      if (quantity < 0 || quantity > returnable) {
+        return { success: false, error: `Return quantity for "${line.description}" must be between 0 and ${returnable}` };
+      }
+      if (line.unit && !allowsDecimal(line.unit) && !Number.isInteger(quantity)) {
+        return { success: false, error: `"${line.description}" was sold in whole ${describeUnit(line.unit, true)}` };
+      }
+      
+      lines.push({ lineIndex: requested.lineIndex, line, quantity });
+    }
+    
+    if (lines.length === 0) {
+      return { success: false, error: 'Select at least one line to return' };
+    }
+    
+    // Cash refunds come out of the cashier's open drawer session
+    const refundMethod = request.refundMethod || sale.paymentMethod || sale.payment_method || 'Cash';
+    const cashSession = await requireCashSession(refundMethod === CASH_METHOD);
+    
+    const user = getCurrentUsername();
+    pendingCreditNote = documentNumbering.allocate('credit_note');
+    const salesReturn = {
+      id: uuidv4(),
+      credit_note_number: pendingCreditNote.number,
+      sale_id: sale.id,
+      invoice_number: sale.invoiceNumber || sale.invoice_number || '',
+      customer_id: getSaleCustomerId(sale),
+      customer_name: (sale.buyer && sale.buyer.name) || sale.customerName || sale.customer_name || '',
+      reason: request.reason,
+      refund_method: refundMethod,
+      cash_session_id: cashSession ? cashSession.id : null,
+      notes: request.notes || '',
+      created_at: new Date().toISOString(),
+      created_by: user,
+      items: []
+    };
+    
+    // Sales from before tax classes had VAT at one rate inside their prices
+    const legacyVatRate = parseFloat(sale.vatRate) || 0;
+    
+    // Put the goods back through the same path as update-inventory-item
+    for (const { lineIndex, line, quantity } of lines) {
+      const netPrice = line.quantity > 0 ? line.amountDue / line.quantity : line.price;
+      const refund = quantity * netPrice;
+      const currentItem = line.itemId ? await getInventoryItemById(line.itemId) : null;
+      if (line.cutLength > 0) {
+        // Pieces cut to length come back as offcuts, not as the lengths they were cut from
+        await restockCutPieces([{ ...line, quantity }], {
+          reference_type: 'sales_return',
+          reference_id: salesReturn.id,
+          notes: `${salesReturn.credit_note_number} for ${salesReturn.invoice_number || sale.id}`,
+          location_id: getSaleLocationId(sale)
+        });
+      } else if (currentItem) {
+        // Returned in the unit the line was sold in; stock is held in the base unit
+        const result = await updateInventoryItem({
+          ...currentItem,
+          quantity: roundQuantity((parseFloat(currentItem.quantity) || 0) + quantity * line.unitFactor),
+          updatedBy: user,
+          updatedAt: new Date().toISOString()
+        }, {
+          movement_type: STOCK_MOVEMENT_TYPES.RETURN,
+          reason: 'Sales Return',
+          reference_type: 'sales_return',
+          reference_id: salesReturn.id,
+          notes: `${salesReturn.credit_note_number} for ${salesReturn.invoice_number || sale.id}`,
+          // Returned goods go back to the location they were sold from
+          location_id: getSaleLocationId(sale),
+          user
+        });
+        
+        if (!result || !result.success) {
+          log.warn(`Could not restore stock for returned item ${line.itemId}: ${result && result.error}`);
+        }
+      } else {
+        log.warn(`Returned item "${line.description}" is no longer in inventory; stock not restored`);
+      }
+      
+      salesReturn.items.push({
+        id: uuidv4(),
+        line_index: lineIndex,
+        product_id: line.itemId || null,
+        product_name: line.description,
+        quantity,
+        unit: line.unit,
+        unit_factor: line.unitFactor,
+        cut_length: line.cutLength || null,
+        // Refund at the price actually charged, after line and invoice discounts and with tax
+        unit_price: netPrice,
+        total_price: refund,
+        cost_price: line.costPrice,
+        // The sale's output tax on the returned goods, reversed in the VAT report
+        tax_class: line.taxClass || LEGACY_TAX_CLASS,
+        tax_rate: line.taxClass ? line.taxRate : legacyVatRate,
+        tax_exempt: line.taxExempt,
+        tax_amount: line.taxClass
+          ? (line.quantity > 0 ? roundMoney(line.taxAmount * quantity / line.quantity) : 0)
+          : roundMoney(refund * legacyVatRate / (100 + legacyVatRate))
+      });
+    }
+    
+    salesReturn.total_amount = salesReturn.items.reduce((sum, line) => sum + line.total_price, 0);
+    
+    let saved = false;
+    if (sqliteAvailable && db && db.addSalesReturn) {
+      try {
+        await db.addSalesReturn(salesReturn);
+        saved = true;
+      } catch (sqliteError) {
+        log.error('SQLite add-sales-return error:', sqliteError);
+        // Fall back to electron-store
+      }
+    }
+    if (!saved) {
+      const returns = store.get(SALES_RETURNS_KEY) || [];
+      returns.push(salesReturn);
+      store.set(SALES_RETURNS_KEY, returns);
+    }
+    pendingCreditNote = null;
+    
+    // A sale is fully returned once every line has come back
+    salesReturn.items.forEach(line => {
+      alreadyReturned[line.line_index] = (alreadyReturned[line.line_index] || 0) + line.quantity;
+    });
+    const fullyReturned = saleItems.every((item, index) =>
+      (alreadyReturned[index] || 0) >= normalizeSaleLine(item).quantity
+    );
+    
+    await updateSaleAfterReturn(sale, {
+      status: fullyReturned ? 'returned' : 'partially_returned',
+      returnedAmount: (parseFloat(sale.returnedAmount) || 0) + salesReturn.total_amount
+    });
+    
+    if (salesReturn.customer_id) {
+      try {
+        await updateCustomerPurchaseStats(salesReturn.customer_id, -salesReturn.total_amount, fullyReturned ? -1 : 0);
+      } catch (statsError) {
+        log.error(`Error reversing purchase stats for customer ${salesReturn.customer_id}:`, statsError);
+      }
+    }
+    
+    // A return against a credit sale reduces what the customer owes on that invoice
+    if (sale.onAccount && salesReturn.customer_id) {
+      const account = await getCustomerAccount(salesReturn.customer_id);
+      const invoice = account.invoices.find(i => i.saleId === sale.id);
+      if (invoice) {
+        updateSalePaymentState(sale.id, invoice);
+      }
+    }
+    
+    logger.log({
+      type: 'warning',
+      category: 'sales',
+      description: `Credit note ${salesReturn.credit_note_number} issued against ${salesReturn.invoice_number || sale.id} for ${salesReturn.total_amount}`,
+      user,
+      data: { saleId: sale.id, salesReturn }
+    });
+    
+    broadcastToAllWindows('sales-return-created', salesReturn);
+    
+    return { success: true, salesReturn, fullyReturned };
+  } catch (error) {
+    log.error('Error in process-sale-return handler:', error);
+    documentNumbering.release(pendingCreditNote);
+    return { success: false, error: error.message };
+  }
+});
+
+// Generate a credit note PDF for a sales return
+ipcMain.handle('generate-credit-note', async (event, returnId) => {
+  try {
+    const salesReturn = (await loadSalesReturns()).find(r => r.id === returnId);
+    if (!salesReturn) {
+      return { success: false, error: 'Sales return not found' };
+    }
+    
+    const sale = await findSaleById(salesReturn.sale_id);
+    
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Save Credit Note',
+      defaultPath: path.join(app.getPath('documents'), `CreditNote_${salesReturn.credit_note_number}.pdf`),
+      filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+    });
+    
+    if (canceled || !filePath) {
+      return { success: false, error: 'Cancelled by user' };
+    }
+    
+    const outputPath = await pdfGenerator.generateCreditNotePDF(filePath, salesReturn, sale);
+    log.info(`Credit note ${salesReturn.credit_note_number} generated at ${outputPath}`);
+    
+    return { success: true, filePath: outputPath };
+  } catch (error) {
+    log.error('Error generating credit note:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// SALE VOIDS
+//====================================================================
+
+/**
+ * Take back stock changes saved to electron-store when the ledger write that goes with them
+ * fails. Each movement is reversed on the item as it is now, so stock saved meanwhile is kept.
+ * @param {Array} movements - Ledger entries of the changes
+ * @param {Array} [createdItemIds] - Items the changes added, which are removed again
+ * @returns {Array} Inventory to save
+ */
+function undoStockChanges(movements, createdItemIds = []) {
+  const inventory = (store.get('inventory') || []).filter(item => !createdItemIds.includes(item.id));
+  
+  movements.forEach(movement => {
+    const index = inventory.findIndex(item => item.id === movement.item_id);
+    if (index === -1) return;
+    
+    const quantity = roundQuantity((parseFloat(inventory[index].quantity) || 0) - movement.quantity_change);
+    inventory[index] = setLocationStock({
+      ...inventory[index],
+      quantity
+    }, reconcileLocationStock(getLocationStock(inventory[index]), quantity, movement.location_id));
+  });
+  
+  return inventory;
+}
+
+/**
+ * Plan putting the pieces cut for a voided sale line back into stock: each piece is kept as an
+ * offcut of its own length, or written off as scrap when too short. Offcut records are changed
+ * or added in the inventory array given.
+ * @param {Array} inventory - Inventory items, updated in place
+ * @param {Object} line - Line from normalizeSaleLine() with the number of pieces as quantity
+ * @param {Object} reference - reference_type, reference_id, notes and location_id of the void
+ * @param {Object} details - user and voided_at
+ * @returns {Object} movement and createdItem for an offcut, or scrapRecord, or nothing when the source is gone
+ */
+function planCutPieceRestock(inventory, line, reference, details) {
+  const source = inventory.find(item => item.id === line.itemId);
+  if (!source || line.quantity <= 0) {
+    if (!source) {
+      log.warn(`Cut item "${line.description}" is no longer in inventory; pieces not restocked`);
+    }
+    return {};
+  }
+  
+  if (isScrapLength(line.cutLength, store.get(OFFCUT_SETTINGS_KEY))) {
+    return { source, scrapRecord: buildScrapWriteOff(source, line.cutLength, line.quantity, reference) };
+  }
+  
+  const parent = getOffcutSource(source);
+  let offcutItem = findOffcutItem(inventory, parent ? parent.parentId : source.id, line.cutLength);
+  let createdItem = null;
+  if (!offcutItem) {
+    createdItem = stampActingUser({
+      ...buildOffcutItem(source, line.cutLength),
+      id: `item_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      createdAt: details.voided_at,
+      updatedAt: details.voided_at
+    }, true);
+    inventory.push(createdItem);
+    offcutItem = createdItem;
+  }
+  
+  const index = inventory.indexOf(offcutItem);
+  const quantityBefore = parseFloat(offcutItem.quantity) || 0;
+  const quantityAfter = roundQuantity(quantityBefore + line.quantity);
+  inventory[index] = setLocationStock({
+    ...offcutItem,
+    quantity: quantityAfter,
+    updatedAt: details.voided_at,
+    updatedBy: details.user
+  }, reconcileLocationStock(getLocationStock(offcutItem), quantityAfter, reference.location_id));
+  
+  return {
+    createdItem: createdItem ? inventory[index] : null,
+    movement: {
+      ...reference,
+      item_id: offcutItem.id,
+      item_description: offcutItem.description,
+      movement_type: STOCK_MOVEMENT_TYPES.OFFCUT,
+      quantity_before: quantityBefore,
+      quantity_after: quantityAfter,
+      reason: 'Offcut',
+      user: details.user,
+      created_at: details.voided_at
+    }
+  };
+}
+
+/**
+ * Void a sale held in electron-store. The sale, stock and customer changes are worked out from
+ * one read and saved in a single store write. The stock movements and scrap records go into
+ * that write too, or, when the ledger is in SQLite, into one transaction straight after it; if
+ * that fails, the void is taken back off the sale, stock and customer so stock and ledger agree.
+ * @param {string} saleId - Sale ID
+ * @param {Object} details - reason, user and voided_at
+ * @returns {Promise<Object>} The voided sale, the stock movements recorded, the scrap records
+ *   with their source items, and the inventory items changed or added
+ */
+async function voidStoredSale(saleId, details) {
+  const sales = store.get('sales') || [];
+  const index = sales.findIndex(sale => sale.id === saleId);
+  if (index === -1) {
+    throw new Error('Sale not found');
+  }
+  if (sales[index].status === SALE_VOID_STATUS) {
+    throw new Error('This sale has already been voided');
+  }
+  
+  const inventory = store.get('inventory') || [];
+  const customers = store.get('customers') || [];
+  const originalSale = sales[index];
+  const createdItemIds = [];
+  const sale = {
+    ...originalSale,
+    status: SALE_VOID_STATUS,
+    voidedAt: details.voided_at,
+    voidedBy: details.user,
+    voidReason: details.reason,
+    updatedAt: details.voided_at
+  };
+  const reference = {
+    reference_type: 'sale',
+    reference_id: sale.id,
+    notes: sale.invoiceNumber ? `Invoice ${sale.invoiceNumber}` : '',
+    location_id: getSaleLocationId(sale)
+  };
+  const movements = [];
+  const scrapWriteOffs = [];
+  
+  (sale.items || []).forEach(item => {
+    const line = normalizeSaleLine(item);
+    
+    // The lengths cut for the sale do not come back whole; each piece is kept as an offcut
+    if (line.cutLength > 0) {
+      const planned = planCutPieceRestock(inventory, line, reference, details);
+      if (planned.createdItem) createdItemIds.push(planned.createdItem.id);
+      if (planned.movement) movements.push(planned.movement);
+      if (planned.scrapRecord) scrapWriteOffs.push({ source: planned.source, record: planned.scrapRecord });
+      return;
+    }
+    
+    const itemIndex = line.itemId ? inventory.findIndex(stockItem => stockItem.id === line.itemId) : -1;
+    if (itemIndex === -1 || line.baseQuantity === 0) {
+      if (line.baseQuantity !== 0) {
+        log.warn(`Voided item "${line.description}" is no longer in inventory; stock not restored`);
+      }
+      return;
+    }
+    
+    // The stock goes back to the location it was sold from
+    const quantityBefore = parseFloat(inventory[itemIndex].quantity) || 0;
+    const quantityAfter = roundQuantity(quantityBefore + line.baseQuantity);
+    inventory[itemIndex] = setLocationStock({
+      ...inventory[itemIndex],
+      quantity: quantityAfter,
+      updatedAt: details.voided_at,
+      updatedBy: details.user
+    }, reconcileLocationStock(getLocationStock(inventory[itemIndex]), quantityAfter, reference.location_id));
+    
+    movements.push({
+      ...reference,
+      item_id: line.itemId,
+      item_description: inventory[itemIndex].description || line.description,
+      movement_type: STOCK_MOVEMENT_TYPES.VOID,
+      quantity_before: quantityBefore,
+      quantity_after: quantityAfter,
+      reason: 'Sale Voided',
+      user: details.user,
+      created_at: details.voided_at
+    });
+  });
+  
+  const customerId = getSaleCustomerId(sale);
+  const customerIndex = customerId ? customers.findIndex(customer => customer.id === customerId) : -1;
+  if (customerIndex !== -1) {
+    const customer = customers[customerIndex];
+    customers[customerIndex] = {
+      ...customer,
+      totalPurchases: (customer.totalPurchases || 0) - getSaleTotal(sale),
+      purchaseCount: Math.max(0, (customer.purchaseCount || 0) - 1),
+      updatedAt: details.voided_at
+    };
+  }
+  
+  const entries = movements.map(buildStockMovementEntry);
+  const scrapRecords = scrapWriteOffs.map(writeOff => writeOff.record);
+  const ledgerInSqlite = Boolean(sqliteAvailable && db && db.recordStockChanges);
+  
+  sales[index] = sale;
+  store.set({
+    sales,
+    inventory,
+    customers,
+    ...(ledgerInSqlite ? {} : {
+      [STOCK_MOVEMENTS_KEY]: [...(store.get(STOCK_MOVEMENTS_KEY) || []), ...entries],
+      [SCRAP_RECORDS_KEY]: [...(store.get(SCRAP_RECORDS_KEY) || []), ...scrapRecords]
+    })
+  });
+  
+  let recorded = entries;
+  if (ledgerInSqlite) {
+    try {
+      recorded = (await db.recordStockChanges(entries, scrapRecords)).movements;
+    } catch (sqliteError) {
+      log.error('SQLite void-sale ledger error:', sqliteError);
+      
+      // Take the void back off the records it changed, leaving anything saved meanwhile alone
+      store.set({
+        sales: (store.get('sales') || []).map(existing => existing.id === originalSale.id ? originalSale : existing),
+        inventory: undoStockChanges(entries, createdItemIds),
+        customers: (store.get('customers') || []).map(customer => customer.id !== customerId ? customer : {
+          ...customer,
+          totalPurchases: (customer.totalPurchases || 0) + getSaleTotal(sale),
+          purchaseCount: (customer.purchaseCount || 0) + 1
+        })
+      });
+      throw new Error(`The sale could not be voided: ${sqliteError.message}`);
+    }
+  }
+  
+  const changedIds = new Set(entries.map(entry => entry.item_id));
+  return {
+    sale,
+    movements: recorded,
+    scrapWriteOffs,
+    items: inventory.filter(item => changedIds.has(item.id)),
+    createdItemIds
+  };
+}
+
+// Void a sale: it stays on record marked void, its stock goes back and it leaves revenue
+ipcMain.handle('void-sale', async (event, request) => {
+  try {
+    requirePermission(PERMISSIONS.SALES_VOID);
+    
+    if (!request || !request.saleId) {
+      return { success: false, error: 'Invalid void request' };
+    }
+    
+    const reason = String(request.reason || '').trim();
+    if (!reason) {
+      return { success: false, error: 'A reason is required to void a sale' };
+    }
+    
+    const sale = await findSaleById(request.saleId);
+    if (!sale) {
+      return { success: false, error: 'Sale not found' };
+    }
+    if (sale.status === SALE_VOID_STATUS) {
+      return { success: false, error: 'This sale has already been voided' };
+    }
+    
+    // Returned goods are already back in stock and on a credit note, so voiding would count them twice
+    const returns = await loadSalesReturns({ saleId: sale.id });
+    if (returns.length > 0) {
+      return { success: false, error: 'This sale has returns against it; return the remaining items instead of voiding it' };
+    }
+    
+    // Payments taken on account stay credited to the customer, so a void would leave them unrefunded
+    const payments = await loadCustomerPayments({ saleId: sale.id });
+    if (payments.length > 0) {
+      return { success: false, error: 'Payments have been taken against this sale on account; return its items instead of voiding it' };
+    }
+    
+    const details = {
+      reason,
+      user: getCurrentUsername(),
+      voided_at: new Date().toISOString()
+    };
+    
+    const result = await voidStoredSale(sale.id, details);
+    
+    result.movements.forEach(movement => broadcastToAllWindows('stock-movement-created', movement));
+    result.items.forEach(item =>
+      broadcastToAllWindows(result.createdItemIds.includes(item.id) ? 'inventory-created' : 'inventory-updated', item));
+    result.scrapWriteOffs.forEach(({ source, record }) => logScrapWriteOff(source, record));
+    
+    logAudit({
+      type: 'warning',
+      category: 'sales',
+      entityType: 'sale',
+      entityId: sale.id,
+      action: 'void',
+      description: `Sale ${sale.invoiceNumber || sale.invoice_number || sale.id} voided: ${reason}`,
+      before: sale,
+      after: result.sale,
+      data: { reason, restoredItems: result.movements.length }
+    });
+    
+    broadcastToAllWindows('sale-updated', result.sale);
+    
+    const customerId = getSaleCustomerId(sale);
+    if (customerId) {
+      broadcastToAllWindows('customer-stats-updated', { customerId, purchaseAmount: -getSaleTotal(sale) });
+    }
+    
+    return { success: true, sale: result.sale, restoredItems: result.movements.length };
+  } catch (error) {
+    log.error('Error in void-sale handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// CUSTOMER CREDIT ACCOUNTS
+//====================================================================
+
+/**
+ * Find the customer a sale was made to, whichever shape the sale is stored in
+ * @param {Object} sale - The sale
+ * @returns {string|null} Customer ID
+ */
+function getSaleCustomerId(sale) {
+  return (sale.buyer && sale.buyer.id) || sale.customerId || sale.customer_id || null;
+}
+
+/**
+ * Read the invoice total of a sale
+ * @param {Object} sale - The sale
+ * @returns {number} Total amount
+ */
+function getSaleTotal(sale) {
+  return parseFloat(sale.totalAmount !== undefined ? sale.totalAmount : sale.total_amount) || 0;
+}
+
+/**
+ * Fill in the payment fields of a new sale. Sales without payment terms are paid in full;
+ * credit and partially paid sales are carried on the customer's account.
+ * @param {Object} sale - The new sale
+ * @returns {Object} Sale with paymentStatus, onAccount, amountPaid and balanceDue
+ */
+function applySalePaymentTerms(sale) {
+  const total = getSaleTotal(sale);
+  const requested = Object.values(PAYMENT_STATUS).includes(sale.paymentStatus) ? sale.paymentStatus : PAYMENT_STATUS.PAID;
+  const deposit = requested === PAYMENT_STATUS.PARTIALLY_PAID ? Math.max(parseFloat(sale.amountPaid) || 0, 0) : 0;
+  
+  if (requested === PAYMENT_STATUS.PAID || deposit >= total) {
+    return { ...sale, paymentStatus: PAYMENT_STATUS.PAID, onAccount: false, amountPaid: total, balanceDue: 0 };
+  }
+  
+  return {
+    ...sale,
+    paymentStatus: deposit > 0 ? PAYMENT_STATUS.PARTIALLY_PAID : PAYMENT_STATUS.CREDIT,
+    onAccount: true,
+    amountPaid: deposit,
+    balanceDue: total - deposit
+  };
+}
+
+/**
+ * Load every sale, trying SQLite first and then electron-store
+ * @returns {Promise<Array>} Array of sales
+ */
+async function loadAllSales() {
+  if (sqliteAvailable && db && db.usingSqlite) {
+    try {
+      return await db.getSales();
+    } catch (sqliteError) {
+      log.error('SQLite get-sales error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  return store.get('sales') || [];
+}
+
+/**
+ * Load customer payments, oldest first
+ * @param {Object} [filters] - Optional customerId, saleId, startDate and endDate
+ * @returns {Promise<Array>} Array of payments
+ */
+async function loadCustomerPayments(filters = {}) {
+  if (sqliteAvailable && db && db.getCustomerPayments) {
+    try {
+      return await db.getCustomerPayments(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-customer-payments error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const payments = (store.get(CUSTOMER_PAYMENTS_KEY) || []).filter(payment =>
+    (!filters.customerId || payment.customer_id === filters.customerId) &&
+    (!filters.saleId || payment.sale_id === filters.saleId) &&
+    (!filters.startDate || payment.payment_date >= filters.startDate) &&
+    (!filters.endDate || payment.payment_date <= filters.endDate)
+  );
+  return payments.sort((a, b) => (a.payment_date || '').localeCompare(b.payment_date || ''));
+}
+
+/**
+ * Save a customer payment
+ * @param {Object} payment - Payment row
+ */
+async function saveCustomerPayment(payment) {
+  if (sqliteAvailable && db && db.addCustomerPayment) {
+    try {
+      await db.addCustomerPayment(payment);
+      return;
+    } catch (sqliteError) {
+      log.error('SQLite add-customer-payment error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const payments = store.get(CUSTOMER_PAYMENTS_KEY) || [];
+  payments.push(payment);
+  store.set(CUSTOMER_PAYMENTS_KEY, payments);
+}
+
+/**
+ * Record the deposit taken on a partially paid sale as the first payment on the account.
+ * A deposit paid with several tenders is one payment; its reference lists the tenders.
+ * The cash drawer counts the deposit through the sale's tenders, so the payment is not
+ * attached to the drawer session.
+ * @param {Object} sale - The new sale
+ */
+async function recordSaleDeposit(sale) {
+  if (!sale.onAccount || !(sale.amountPaid > 0)) {
+    return;
+  }
+  
+  let receipt = null;
+  try {
+    const now = new Date().toISOString();
+    receipt = documentNumbering.allocate('receipt');
+    await saveCustomerPayment({
+      id: uuidv4(),
+      receipt_number: receipt.number,
+      customer_id: getSaleCustomerId(sale),
+      sale_id: sale.id,
+      invoice_number: sale.invoiceNumber || sale.invoice_number || '',
+      amount: sale.amountPaid,
+      payment_method: sale.paymentMethod || sale.payment_method || 'Cash',
+      reference: ['Deposit', ...(sale.payments || []).map(payment =>
+        `${payment.method} ${payment.amount.toLocaleString()}${payment.reference ? ` ref ${payment.reference}` : ''}`
+      )].join('; '),
+      notes: '',
+      payment_date: sale.date || now,
+      created_at: now,
+      created_by: getCurrentUsername()
+    });
+  } catch (error) {
+    documentNumbering.release(receipt);
+    throw error;
+  }
+}
+
+/**
+ * Work out which aged receivables bucket an invoice falls in
+ * @param {number} ageDays - Days since the invoice date
+ * @returns {string} Bucket key
+ */
+function getAgingBucket(ageDays) {
+  return AGING_BUCKETS.find(bucket => ageDays <= bucket.maxDays).key;
+}
+
+/**
+ * Build a customer's account: credit invoices with their balances, and statement lines
+ * (invoices as debits, payments and credit notes as credits) with a running balance
+ * @param {string} customerId - Customer ID
+ * @param {Object} [options] - Optional startDate and endDate for the statement period
+ * @returns {Promise<Object>} The account
+ */
+async function getCustomerAccount(customerId, options = {}) {
+  const now = new Date();
+  const sales = (await loadAllSales()).filter(sale =>
+    sale.onAccount && sale.status !== SALE_VOID_STATUS && getSaleCustomerId(sale) === customerId
+  );
+  const saleIds = new Set(sales.map(sale => sale.id));
+  const payments = await loadCustomerPayments({ customerId });
+  const returns = (await loadSalesReturns()).filter(salesReturn => saleIds.has(salesReturn.sale_id));
+  
+  const invoices = sales.map(sale => {
+    const date = sale.date || sale.createdAt || sale.created_at;
+    const total = getSaleTotal(sale);
+    const returned = returns
+      .filter(salesReturn => salesReturn.sale_id === sale.id)
+      .reduce((sum, salesReturn) => sum + (parseFloat(salesReturn.total_amount) || 0), 0);
+    const paid = payments
+      .filter(payment => payment.sale_id === sale.id)
+      .reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
+    const ageDays = Math.max(0, Math.floor((now - new Date(date)) / (24 * 60 * 60 * 1000)));
+    
+    return {
+      saleId: sale.id,
+      invoiceNumber: sale.invoiceNumber || sale.invoice_number || sale.id,
+      date,
+      total,
+      returned,
+      paid,
+      balance: Math.max(0, total - returned - paid),
+      ageDays,
+      bucket: getAgingBucket(ageDays)
+    };
+  }).sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  const entries = [
+    ...invoices.map(invoice => ({
+      date: invoice.date,
+      type: 'invoice',
+      reference: invoice.invoiceNumber,
+      description: 'Invoice',
+      debit: invoice.total,
+      credit: 0
+    })),
+    ...payments.map(payment => ({
+      date: payment.payment_date,
+      type: 'payment',
+      reference: payment.receipt_number,
+      description: `Payment (${payment.payment_method || 'Cash'})${payment.invoice_number ? ` - ${payment.invoice_number}` : ''}`,
+      debit: 0,
+      credit: parseFloat(payment.amount) || 0
+    })),
+    ...returns.map(salesReturn => ({
+      date: salesReturn.created_at,
+      type: 'credit_note',
+      reference: salesReturn.credit_note_number,
+      description: `Credit note - ${salesReturn.invoice_number || salesReturn.sale_id}`,
+      debit: 0,
+      credit: parseFloat(salesReturn.total_amount) || 0
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  let balance = 0;
+  entries.forEach(entry => {
+    balance += entry.debit - entry.credit;
+    entry.balance = balance;
+  });
+  
+  // Lines before the statement period roll up into the opening balance
+  const startDate = options.startDate ? new Date(options.startDate) : null;
+  const endDate = options.endDate ? new Date(options.endDate) : null;
+  let openingBalance = 0;
+  const statementEntries = [];
+  entries.forEach(entry => {
+    const entryDate = new Date(entry.date);
+    if (startDate && entryDate < startDate) {
+      openingBalance = entry.balance;
+    } else if (!endDate || entryDate <= endDate) {
+      statementEntries.push(entry);
+    }
+  });
+  
+  const openInvoices = invoices.filter(invoice => invoice.balance > 0.005);
+  const aging = {};
+  AGING_BUCKETS.forEach(bucket => { aging[bucket.key] = 0; });
+  openInvoices.forEach(invoice => { aging[invoice.bucket] += invoice.balance; });
+  
+  return {
+    customerId,
+    invoices,
+    openInvoices,
+    entries: statementEntries,
+    openingBalance,
+    closingBalance: statementEntries.length > 0 ? statementEntries[statementEntries.length - 1].balance : openingBalance,
+    balance,
+    aging
+  };
+}
+
+/**
+ * Refresh the cached payment fields of a sale from its payments and credit notes
+ * @param {string} saleId - Sale ID
+ * @param {Object} invoice - The invoice line from getCustomerAccount
+ */
+function updateSalePaymentState(saleId, invoice) {
+  // Payment fields live on the electron-store sale; the SQLite sales table has no columns for them
+  const sales = store.get('sales') || [];
+  const index = sales.findIndex(s => s.id === saleId);
+  if (index === -1) {
+    return;
+  }
+  
+  sales[index] = {
+    ...sales[index],
+    amountPaid: invoice.paid,
+    balanceDue: invoice.balance,
+    paymentStatus: invoice.balance <= 0.005 ? PAYMENT_STATUS.PAID :
+      (invoice.paid > 0 ? PAYMENT_STATUS.PARTIALLY_PAID : PAYMENT_STATUS.CREDIT),
+    updatedAt: new Date().toISOString()
+  };
+  store.set('sales', sales);
+  broadcastToAllWindows('sale-updated', sales[index]);
+}
+
+// Get a customer's account with balances and statement lines
+ipcMain.handle('get-customer-account', async (event, customerId, options = {}) => {
+  try {
+    if (!customerId) {
+      return { success: false, error: 'Customer ID is required' };
+    }
+    
+    return { success: true, account: await getCustomerAccount(customerId, options || {}) };
+  } catch (error) {
+    log.error(`Error in get-customer-account handler for ${customerId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get customer payments, optionally filtered by customer, invoice or date range
+ipcMain.handle('get-customer-payments', async (event, filters = {}) => {
+  try {
+    return await loadCustomerPayments(filters || {});
+  } catch (error) {
+    log.error('Error in get-customer-payments handler:', error);
+    return [];
+  }
+});
+
+// Record a payment from a customer, against one invoice or the oldest open invoices first
+ipcMain.handle('record-customer-payment', async (event, payment) => {
+  // Receipt number taken for this payment and not yet saved with it
+  let pendingReceipt = null;
+  
+  try {
+    const amount = parseFloat(payment && payment.amount);
+    if (!payment || !payment.customerId) {
+      return { success: false, error: 'Customer ID is required' };
+    }
+    if (isNaN(amount) || amount <= 0) {
+      return { success: false, error: 'Payment amount must be greater than zero' };
+    }
+    
+    const account = await getCustomerAccount(payment.customerId);
+    let targets = account.openInvoices;
+    
+    if (payment.saleId) {
+      targets = account.openInvoices.filter(invoice => invoice.saleId === payment.saleId);
+      if (targets.length === 0) {
+        return { success: false, error: 'This invoice has no outstanding balance' };
+      }
+    }
+    
+    const outstanding = targets.reduce((sum, invoice) => sum + invoice.balance, 0);
+    if (amount > outstanding + 0.005) {
+      return { success: false, error: `Payment exceeds the outstanding balance of ${outstanding.toFixed(2)}` };
+    }
+    
+    // Cash paid on account goes into the cashier's open drawer session
+    const paymentMethod = payment.paymentMethod || 'Cash';
+    const cashSession = await requireCashSession(paymentMethod === CASH_METHOD);
+    
+    const user = getCurrentUsername();
+    const now = new Date().toISOString();
+    pendingReceipt = documentNumbering.allocate('receipt');
+    const receiptNumber = pendingReceipt.number;
+    const recorded = [];
+    let remaining = amount;
+    
+    for (const invoice of targets) {
+      if (remaining <= 0.005) break;
+      
+      const applied = Math.min(remaining, invoice.balance);
+      const row = {
+        id: uuidv4(),
+        receipt_number: receiptNumber,
+        customer_id: payment.customerId,
+        sale_id: invoice.saleId,
+        invoice_number: invoice.invoiceNumber,
+        amount: applied,
+        payment_method: paymentMethod,
+        reference: payment.reference || '',
+        notes: payment.notes || '',
+        payment_date: payment.paymentDate || now,
+        created_at: now,
+        created_by: user,
+        cash_session_id: cashSession ? cashSession.id : null
+      };
+      
+      await saveCustomerPayment(row);
+      // The receipt number is in use once any part of the payment is saved
+      pendingReceipt = null;
+      updateSalePaymentState(invoice.saleId, {
+        ...invoice,
+        paid: invoice.paid + applied,
+        balance: invoice.balance - applied
+      });
+      
+      recorded.push(row);
+      remaining -= applied;
+    }
+    
+    const updatedAccount = await getCustomerAccount(payment.customerId);
+    
+    logger.log({
+      type: 'info',
+      category: 'customer',
+      description: `Payment ${receiptNumber} of ${amount} received from customer ${payment.customerId}`,
+      user,
+      data: { payments: recorded, balance: updatedAccount.balance }
+    });
+    
+    broadcastToAllWindows('customer-payment-recorded', {
+      customerId: payment.customerId,
+      receiptNumber,
+      payments: recorded,
+      balance: updatedAccount.balance
+    });
+    
+    return { success: true, receiptNumber, payments: recorded, account: updatedAccount };
+  } catch (error) {
+    log.error('Error in record-customer-payment handler:', error);
+    documentNumbering.release(pendingReceipt);
+    return { success: false, error: error.message };
+  }
+});
+
+// Aged receivables: outstanding invoice balances per customer, by age bucket
+ipcMain.handle('get-aged-receivables', async () => {
+  try {
+    const customers = store.get('customers') || [];
+    const customerIds = new Set(
+      (await loadAllSales()).filter(sale => sale.onAccount).map(getSaleCustomerId).filter(Boolean)
+    );
+    
+    const totals = { total: 0 };
+    AGING_BUCKETS.forEach(bucket => { totals[bucket.key] = 0; });
+    
+    const rows = [];
+    for (const customerId of customerIds) {
+      const account = await getCustomerAccount(customerId);
+      const total = account.openInvoices.reduce((sum, invoice) => sum + invoice.balance, 0);
+      if (total <= 0.005) continue;
+      
+      const customer = customers.find(c => c.id === customerId) || {};
+      rows.push({
+        customerId,
+        customerName: customer.name || customerId,
+        phone: customer.phone || '',
+        openInvoices: account.openInvoices.length,
+        ...account.aging,
+        total
+      });
+      
+      AGING_BUCKETS.forEach(bucket => { totals[bucket.key] += account.aging[bucket.key]; });
+      totals.total += total;
+    }
+    
+    rows.sort((a, b) => b.total - a.total);
+    
+    return {
+      success: true,
+      asOf: new Date().toISOString(),
+      buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+      rows,
+      totals
+    };
+  } catch (error) {
+    log.error('Error in get-aged-receivables handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Generate a customer statement PDF
+ipcMain.handle('generate-customer-statement', async (event, customerId, options = {}) => {
+  try {
+    const customer = (store.get('customers') || []).find(c => c.id === customerId);
+    if (!customer) {
+      return { success: false, error: 'Customer not found' };
+    }
+    
+    const account = await getCustomerAccount(customerId, options || {});
+    
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Save Customer Statement',
+      defaultPath: path.join(app.getPath('documents'), `Statement_${(customer.name || customerId).replace(/[^\w-]+/g, '_')}_${moment().format('YYYY-MM-DD')}.pdf`),
+      filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+    });
+    
+    if (canceled || !filePath) {
+      return { success: false, error: 'Cancelled by user' };
+    }
+    
+    const outputPath = await pdfGenerator.generateCustomerStatementPDF(filePath, customer, account, {
+      ...options,
+      buckets: AGING_BUCKETS
+    });
+    log.info(`Statement for customer ${customerId} generated at ${outputPath}`);
+    
+    return { success: true, filePath: outputPath };
+  } catch (error) {
+    log.error('Error generating customer statement:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Schedule low stock alerts
+function scheduleLowStockAlerts() {
+  const checkAndNotifyLowStock = async () => {
+    try {
+      // Low stock goes by what can still be sold, so reserved stock does not count
+      const inventory = await getLowStockInventory();
+      
+      if (inventory.length === 0) return;
+      
+      // Get detailed notification information
+      const criticalItems = inventory.slice(0, 3); // Get top 3 most critical items
+      const itemDetails = criticalItems.map(item => {
+        const dimension = item.dimension || item.size || '';
+        const displayName = dimension ? `${item.description} (${dimension})` : item.description;
+        const reserved = item.reservedQuantity > 0 ? ` (${item.quantity} on hand, ${item.reservedQuantity} reserved)` : '';
+        return `${displayName}: ${item.availableQuantity} available${reserved}`;
+      }).join(', ');
+      
+      const notificationTitle = 'Low Stock Alert';
+      let notificationBody = `${inventory.length} item(s) are low in stock.`;
+      
+      // Add item details if available
+      if (itemDetails) {
+        notificationBody += ` Most critical: ${itemDetails}`;
+      }
+      
+      // Send notification if supported
+      if (Notification.isSupported()) {
+        const notification = new Notification({
+          title: notificationTitle,
+          body: notificationBody,
+          icon: path.join(process.resourcesPath, 'logo.png'),
+          silent: true // Set silent to true to disable sound
+        });
+        
+        notification.show();
+        
+        // Add click handler to focus the app window
+        notification.on('click', () => {
+          if (mainWindow) {
+            if (mainWindow.isMinimized()) mainWindow.restore();
+            mainWindow.focus();
+            // Navigate to inventory page
+            mainWindow.webContents.send('navigate-to', 'inventory');
+          }
+        });
+      }
+      
+      // Also send to renderer process to display in-app alerts
+      if (mainWindow) {
+        mainWindow.webContents.send('low-stock-alert', inventory);
+      }
+      
+      log.info(`Low stock notification sent: ${notificationTitle} - ${notificationBody}`);
+    } catch (error) {
+      log.error('Error checking low stock items:', error);
+    }
+  };
+  
+  // Set interval to 15 minutes
+  const intervalMs = 15 * 60 * 1000; 
+  
+  log.info('Scheduling low stock alerts every 15 minutes');
+  
+  // Clear any existing timer
+  if (lowStockAlertTimer) {
+    clearInterval(lowStockAlertTimer);
+  }
+  
+  // Initial check
+  checkAndNotifyLowStock();
+  
+  // Set interval timer
+  lowStockAlertTimer = setInterval(() => {
+    checkAndNotifyLowStock();
+  }, intervalMs);
+}
+
+//====================================================================
+// CASH DRAWER SESSIONS
+//====================================================================
+
+/**
+ * Load cash drawer sessions, newest first
+ * @param {Object} [filters] - Optional status, openedBy, startDate and endDate
+ * @returns {Promise<Array>} Array of sessions
+ */
+async function loadCashSessions(filters = {}) {
+  if (sqliteAvailable && db && db.getCashSessions) {
+    try {
+      return await db.getCashSessions(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-cash-sessions error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const sessions = (store.get(CASH_SESSIONS_KEY) || []).filter(session =>
+    (!filters.status || session.status === filters.status) &&
+    (!filters.openedBy || session.opened_by === filters.openedBy) &&
+    (!filters.startDate || session.opened_at >= filters.startDate) &&
+    (!filters.endDate || session.opened_at <= filters.endDate)
+  );
+  return sessions.sort((a, b) => (b.opened_at || '').localeCompare(a.opened_at || ''));
+}
+
+/**
+ * Save a new or closed cash drawer session
+ * @param {Object} session - Session row
+ */
+async function saveCashSession(session) {
+  if (sqliteAvailable && db && db.saveCashSession) {
+    try {
+      await db.saveCashSession(session);
+      return;
+    } catch (sqliteError) {
+      log.error('SQLite save-cash-session error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const sessions = store.get(CASH_SESSIONS_KEY) || [];
+  const index = sessions.findIndex(existing => existing.id === session.id);
+  if (index === -1) {
+    sessions.push(session);
+  } else {
+    sessions[index] = session;
+  }
+  store.set(CASH_SESSIONS_KEY, sessions);
+}
+
+/**
+ * Find the drawer session a user has open
+ * @param {string} [username] - User, the signed-in user by default
+ * @returns {Promise<Object|null>} Open session
+ */
+async function getOpenCashSession(username = getCurrentUsername()) {
+  const sessions = await loadCashSessions({ status: CASH_SESSION_STATUS.OPEN, openedBy: username });
+  return sessions[0] || null;
+}
+
+/**
+ * Find the drawer session for a sale, refund or payment by the signed-in user.
+ * Cash may only go in or out of a drawer while a session is open, so every cash
+ * movement is counted when the drawer is reconciled.
+ * @param {boolean} cashMoves - True when cash goes into or out of the drawer
+ * @returns {Promise<Object|null>} The open session, or null when none is open
+ * @throws {Error} When cash moves and the user has no open session
+ */
+async function requireCashSession(cashMoves) {
+  const session = await getOpenCashSession();
+  if (cashMoves && !session) {
+    throw new Error('Open a cash drawer session before taking or refunding cash');
+  }
+  return session;
+}
+
+/**
+ * Total the sales, refunds and account payments taken in a drawer session
+ * @param {Object} session - Session
+ * @returns {Promise<Object>} Summary from summarizeCashSession()
+ */
+async function getCashSessionSummary(session) {
+  return summarizeCashSession(session, {
+    sales: await loadAllSales(),
+    returns: await loadSalesReturns({ startDate: session.opened_at }),
+    payments: await loadCustomerPayments()
+  });
+}
+
+/**
+ * Check that the signed-in user may see the sessions of other cashiers
+ * @returns {boolean} True for roles that manage cash
+ */
+function canManageCash() {
+  return sessionHasPermission(PERMISSIONS.CASH_MANAGE);
+}
+
+// The signed-in user's open drawer session, with what it should hold so far
+ipcMain.handle('get-cash-session', async () => {
+  try {
+    const session = await getOpenCashSession();
+    return { success: true, session, summary: session ? await getCashSessionSummary(session) : null };
+  } catch (error) {
+    log.error('Error in get-cash-session handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Cash drawer sessions; cashiers only see their own
+ipcMain.handle('get-cash-sessions', async (event, filters = {}) => {
+  try {
+    const criteria = { ...(filters || {}) };
+    if (!canManageCash()) {
+      criteria.openedBy = getCurrentUsername();
+    }
+    return { success: true, sessions: await loadCashSessions(criteria) };
+  } catch (error) {
+    log.error('Error in get-cash-sessions handler:', error);
+    return { success: false, error: error.message, sessions: [] };
+  }
+});
+
+// Open a drawer session at a counter with the float put in the drawer
+ipcMain.handle('open-cash-session', async (event, request = {}) => {
+  try {
+    const counter = String(request.counter || '').trim();
+    const openingFloat = parseFloat(request.openingFloat);
+    if (!counter) {
+      return { success: false, error: 'Enter the counter this drawer belongs to' };
+    }
+    if (isNaN(openingFloat) || openingFloat < 0) {
+      return { success: false, error: 'Enter the opening float; it cannot be negative' };
+    }
+    
+    const user = getCurrentUsername();
+    const openSessions = await loadCashSessions({ status: CASH_SESSION_STATUS.OPEN });
+    if (openSessions.some(session => session.opened_by === user)) {
+      return { success: false, error: 'You already have a drawer session open; close it first' };
+    }
+    const busy = openSessions.find(session => session.counter.toLowerCase() === counter.toLowerCase());
+    if (busy) {
+      return { success: false, error: `${busy.counter} already has a session open by ${busy.opened_by}` };
+    }
+    
+    const session = {
+      id: uuidv4(),
+      z_report_number: null,
+      counter,
+      status: CASH_SESSION_STATUS.OPEN,
+      opening_float: roundMoney(openingFloat),
+      opened_by: user,
+      opened_at: new Date().toISOString()
+    };
+    await saveCashSession(session);
+    
+    logAudit({
+      category: 'sales',
+      entityType: 'cashSession',
+      entityId: session.id,
+      action: 'open',
+      description: `Cash drawer ${counter} opened by ${user} with a float of ${session.opening_float.toLocaleString()}`,
+      after: session
+    });
+    broadcastToAllWindows('cash-session-updated', session);
+    
+    return { success: true, session, summary: await getCashSessionSummary(session) };
+  } catch (error) {
+    log.error('Error in open-cash-session handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Close a drawer session with the cash counted and issue its Z-report number
+ipcMain.handle('close-cash-session', async (event, request = {}) => {
+  // Z-report number taken for this session and not yet saved with it
+  let pendingZReport = null;
+  
+  try {
+    const countedCash = parseFloat(request.countedCash);
+    if (isNaN(countedCash) || countedCash < 0) {
+      return { success: false, error: 'Enter the cash counted in the drawer' };
+    }
+    
+    const user = getCurrentUsername();
+    const session = (await loadCashSessions({ status: CASH_SESSION_STATUS.OPEN })).find(s => s.id === request.sessionId);
+    if (!session) {
+      return { success: false, error: 'This drawer session is not open' };
+    }
+    // Managers close a session a cashier left open
+    if (session.opened_by !== user) {
+      requirePermission(PERMISSIONS.CASH_MANAGE);
+    }
+    
+    const summary = await getCashSessionSummary(session);
+    pendingZReport = documentNumbering.allocate('z_report');
+    const closed = {
+      ...session,
+      z_report_number: pendingZReport.number,
+      status: CASH_SESSION_STATUS.CLOSED,
+      counted_cash: roundMoney(countedCash),
+      expected_cash: summary.expectedCash,
+      variance: roundMoney(countedCash - summary.expectedCash),
+      closing_notes: String(request.notes || '').trim(),
+      summary,
+      closed_by: user,
+      closed_at: new Date().toISOString()
+    };
+    await saveCashSession(closed);
+    pendingZReport = null;
+    
+    logAudit({
+      type: closed.variance === 0 ? 'success' : 'warning',
+      category: 'sales',
+      entityType: 'cashSession',
+      entityId: closed.id,
+      action: 'close',
+      description: `Cash drawer ${closed.counter} closed with ${closed.z_report_number}: expected ${closed.expected_cash.toLocaleString()}, ` +
+        `counted ${closed.counted_cash.toLocaleString()}, variance ${closed.variance.toLocaleString()}`,
+      before: session,
+      after: closed
+    });
+    broadcastToAllWindows('cash-session-updated', closed);
+    
+    return { success: true, session: closed };
+  } catch (error) {
+    log.error('Error in close-cash-session handler:', error);
+    documentNumbering.release(pendingZReport);
+    return { success: false, error: error.message };
+  }
+});
+
+// Generate the Z-report PDF of a closed drawer session
+ipcMain.handle('generate-z-report', async (event, sessionId) => {
+  try {
+    const session = (await loadCashSessions({ status: CASH_SESSION_STATUS.CLOSED })).find(s => s.id === sessionId);
+    if (!session) {
+      return { success: false, error: 'Z-reports are printed for closed drawer sessions only' };
+    }
+    if (session.opened_by !== getCurrentUsername()) {
+      requirePermission(PERMISSIONS.CASH_MANAGE);
+    }
+    
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Save Z-Report',
+      defaultPath: path.join(app.getPath('documents'), `ZReport_${session.z_report_number}.pdf`),
+      filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+    });
+    
+    if (canceled || !filePath) {
+      return { success: false, error: 'Cancelled by user' };
+    }
+    
+    const outputPath = await pdfGenerator.generateZReportPDF(filePath, session);
+    log.info(`Z-report ${session.z_report_number} generated at ${outputPath}`);
+    
+    return { success: true, filePath: outputPath };
+  } catch (error) {
+    log.error('Error generating Z-report:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// QUOTATIONS
+//====================================================================
+
+/**
+ * Load quotations, newest first. Statuses are as stored; use getQuotationStatus()
+ * to see whether an open quote has expired.
+ * @param {Object} [filters] - Optional customerId
+ * @returns {Promise<Array>} Array of quotations with their lines
+ */
+async function loadQuotations(filters = {}) {
+  if (sqliteAvailable && db && db.getQuotations) {
+    try {
+      return await db.getQuotations(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-quotations error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const quotations = (store.get(QUOTATIONS_KEY) || []).filter(quotation =>
+    !filters.customerId || quotation.customer_id === filters.customerId
+  );
+  return quotations.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+/**
+ * Look up a quotation
+ * @param {string} quotationId - Quotation ID
+ * @returns {Promise<Object|null>} The quotation or null
+ */
+async function getQuotationById(quotationId) {
+  return (await loadQuotations()).find(quotation => quotation.id === quotationId) || null;
+}
+
+/**
+ * Save a quotation (SQLite, or electron-store as fallback) and notify windows
+ * @param {Object} quotation - Quotation with its lines
+ * @returns {Promise<Object>} The saved quotation with its current status
+ */
+async function persistQuotation(quotation) {
+  let saved = false;
+  if (sqliteAvailable && db && db.saveQuotation) {
+    try {
+      await db.saveQuotation(quotation);
+      saved = true;
+    } catch (sqliteError) {
+      log.error('SQLite save-quotation error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  if (!saved) {
+    const quotations = store.get(QUOTATIONS_KEY) || [];
+    const index = quotations.findIndex(existing => existing.id === quotation.id);
+    if (index === -1) {
+      quotations.push(quotation);
+    } else {
+      quotations[index] = quotation;
+    }
+    store.set(QUOTATIONS_KEY, quotations);
+  }
+  
+  const current = { ...quotation, status: getQuotationStatus(quotation) };
+  broadcastToAllWindows('quotation-updated', current);
+  return current;
+}
+
+// Get quotations, optionally filtered by status or customer
+ipcMain.handle('get-quotations', async (event, filters = {}) => {
+  try {
+    const quotations = (await loadQuotations(filters || {}))
+      .map(quotation => ({ ...quotation, status: getQuotationStatus(quotation) }));
+    return (filters && filters.status) ? quotations.filter(quotation => quotation.status === filters.status) : quotations;
+  } catch (error) {
+    log.error('Error in get-quotations handler:', error);
+    return [];
+  }
+});
+
+// Get a single quotation
+ipcMain.handle('get-quotation', async (event, quotationId) => {
+  try {
+    const quotation = await getQuotationById(quotationId);
+    return quotation ? { ...quotation, status: getQuotationStatus(quotation) } : null;
+  } catch (error) {
+    log.error(`Error in get-quotation handler for ID ${quotationId}:`, error);
+    return null;
+  }
+});
+
+// Create a quotation from the sale form's lines, or edit one that has not been accepted
+ipcMain.handle('save-quotation', async (event, quotation) => {
+  // Quotation number taken for a new quotation and not yet saved with it
+  let pendingNumber = null;
+  
+  try {
+    if (!quotation || !Array.isArray(quotation.items) || quotation.items.length === 0) {
+      return { success: false, error: 'Add at least one item to the quotation' };
+    }
+    const buyer = quotation.buyer || {};
+    if (!String(buyer.name || '').trim()) {
+      return { success: false, error: 'Enter the name of the customer the quotation is for' };
+    }
+    
+    const validUntil = quotation.validUntil || getDefaultValidUntil();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(validUntil)) {
+      return { success: false, error: 'Enter a valid expiry date' };
+    }
+    if (getQuotationStatus({ status: QUOTATION_STATUS.DRAFT, valid_until: validUntil }) === QUOTATION_STATUS.EXPIRED) {
+      return { success: false, error: 'The expiry date has already passed' };
+    }
+    
+    const existing = quotation.id ? await getQuotationById(quotation.id) : null;
+    if (quotation.id && !existing) {
+      return { success: false, error: 'Quotation not found' };
+    }
+    if (existing && existing.status === QUOTATION_STATUS.ACCEPTED) {
+      return { success: false, error: `Quotation ${existing.quote_number} has been accepted and cannot be edited` };
+    }
+    
+    for (const line of quotation.items) {
+      if (!line.id || !(parseFloat(line.quantity) > 0)) {
+        return { success: false, error: 'Each line needs an item and a quantity greater than zero' };
+      }
+      if (!(await getInventoryItemById(line.id))) {
+        return { success: false, error: `${line.description || line.id} is no longer in inventory` };
+      }
+    }
+    
+    // Priced and discounted exactly as the sale would be, so the quote shows what the customer will pay
+    const { discountApproval, ...quoteData } = quotation;
+    const { discounted, taxed } = await priceSale(quoteData);
+    const discountReason = discounted.discountTotal > 0 ? String(quoteData.discountReason || '').trim() : '';
+    const authorization = await authorizeSaleDiscount({ ...discounted, discountReason }, discountApproval);
+    if (!authorization.allowed) {
+      return { success: false, error: authorization.error, approvalRequired: !!authorization.approvalRequired };
+    }
+    
+    if (!existing) {
+      pendingNumber = documentNumbering.allocate('quotation');
+    }
+    
+    const user = getCurrentUsername();
+    const now = new Date().toISOString();
+    const record = {
+      id: existing ? existing.id : uuidv4(),
+      quote_number: existing ? existing.quote_number : pendingNumber.number,
+      customer_id: buyer.id || null,
+      buyer: {
+        id: buyer.id || null,
+        name: String(buyer.name).trim(),
+        title: String(buyer.title || '').trim(),
+        tin: String(buyer.tin || '').trim(),
+        phone: String(buyer.phone || '').trim(),
+        email: String(buyer.email || '').trim()
+      },
+      status: existing ? existing.status : QUOTATION_STATUS.DRAFT,
+      valid_until: validUntil,
+      gross_amount: discounted.grossAmount,
+      invoice_discount_type: discounted.invoiceDiscountType,
+      invoice_discount_value: discounted.invoiceDiscountValue,
+      invoice_discount: discounted.invoiceDiscountAmount,
+      discount_total: discounted.discountTotal,
+      discount_percent: discounted.discountPercent,
+      discount_reason: discountReason,
+      discount_approved_by: authorization.approvedBy,
+      prices_include_tax: taxed.pricesIncludeTax,
+      tax_amount: taxed.taxAmount,
+      total_amount: taxed.totalAmount,
+      items: toQuotationLines(taxed.items),
+      notes: String(quotation.notes || '').trim(),
+      sale_id: null,
+      invoice_number: null,
+      created_at: existing ? existing.created_at : now,
+      created_by: existing ? existing.created_by : user,
+      sent_at: existing ? existing.sent_at : null,
+      accepted_at: null,
+      updated_at: now
+    };
+    
+    const saved = await persistQuotation(record);
+    pendingNumber = null;
+    
+    logAudit({
+      category: 'sales',
+      entityType: 'quotation',
+      entityId: saved.id,
+      action: existing ? 'update' : 'create',
+      description: `Quotation ${saved.quote_number} ${existing ? 'updated' : 'created'} for ${saved.buyer.name}: ` +
+        `${saved.total_amount.toLocaleString()}, valid until ${saved.valid_until}`,
+      before: existing,
+      after: saved
+    });
+    
+    return { success: true, quotation: saved };
+  } catch (error) {
+    log.error('Error in save-quotation handler:', error);
+    documentNumbering.release(pendingNumber);
+    return { success: false, error: error.message };
+  }
+});
+
+// Mark a quotation as sent to the customer, or back to draft
+ipcMain.handle('update-quotation-status', async (event, { quotationId, status } = {}) => {
+  try {
+    if (![QUOTATION_STATUS.DRAFT, QUOTATION_STATUS.SENT].includes(status)) {
+      return { success: false, error: 'Invalid quotation status' };
+    }
+    
+    const quotation = await getQuotationById(quotationId);
+    if (!quotation) {
+      return { success: false, error: 'Quotation not found' };
+    }
+    const current = getQuotationStatus(quotation);
+    if (![QUOTATION_STATUS.DRAFT, QUOTATION_STATUS.SENT].includes(current)) {
+      return { success: false, error: `An ${current} quotation cannot be changed` };
+    }
+    
+    const now = new Date().toISOString();
+    const saved = await persistQuotation({
+      ...quotation,
+      status,
+      sent_at: status === QUOTATION_STATUS.SENT ? now : quotation.sent_at,
+      updated_at: now
+    });
+    
+    logAudit({
+      category: 'sales',
+      entityType: 'quotation',
+      entityId: quotation.id,
+      action: 'status',
+      description: `Quotation ${quotation.quote_number} marked as ${status}`,
+      data: { from: current, to: status }
+    });
+    
+    return { success: true, quotation: saved };
+  } catch (error) {
+    log.error('Error in update-quotation-status handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Turn an accepted quotation into a sale at today's stock and prices
+ipcMain.handle('convert-quotation', async (event, request = {}) => {
+  try {
+    const quotation = await getQuotationById(request.quotationId);
+    if (!quotation) {
+      return { success: false, error: 'Quotation not found' };
+    }
+    const status = getQuotationStatus(quotation);
+    if (status === QUOTATION_STATUS.ACCEPTED) {
+      return { success: false, error: `Quotation ${quotation.quote_number} was already converted to sale ${quotation.invoice_number}` };
+    }
+    if (status === QUOTATION_STATUS.EXPIRED) {
+      return { success: false, error: `Quotation ${quotation.quote_number} expired on ${quotation.valid_until}; extend it before converting` };
+    }
+    
+    // Stock and prices may have moved since the quote was given
+    const inventoryItems = {};
+    for (const line of quotation.items) {
+      const item = await getInventoryItemById(line.item_id);
+      if (item) {
+        inventoryItems[line.item_id] = item;
+      }
+    }
+    const check = checkQuotationStock(quotation, inventoryItems);
+    if (check.missing.length > 0) {
+      return { success: false, error: `No longer in inventory: ${check.missing.join(', ')}` };
+    }
+    if (check.shortages.length > 0) {
+      return {
+        success: false,
+        shortages: check.shortages,
+        error: 'Not enough stock: ' + check.shortages
+          .map(shortage => `${shortage.description} (${shortage.quantity} quoted, ${shortage.available} in stock)`)
+          .join(', ')
+      };
+    }
+    if (check.priceChanges.length > 0 && !request.acceptPriceChanges) {
+      return {
+        success: false,
+        confirmRequired: true,
+        priceChanges: check.priceChanges,
+        error: 'Prices have changed since the quotation was given; the sale will be made at today\'s prices'
+      };
+    }
+    
+    // A paid sale taken in one tender without an amount is paid exactly
+    const paymentStatus = request.paymentStatus || PAYMENT_STATUS.PAID;
+    let payments = Array.isArray(request.payments) ? request.payments : [];
+    if (paymentStatus === PAYMENT_STATUS.PAID && payments.length === 1 && !(parseFloat(payments[0].amount) > 0)) {
+      const { taxed } = await priceSale({
+        items: check.items,
+        invoiceDiscountType: quotation.invoice_discount_type,
+        invoiceDiscountValue: quotation.invoice_discount_value
+      });
+      payments = [{ ...payments[0], amount: taxed.totalAmount }];
+    }
+    
+    const result = await createSale({
+      date: new Date().toISOString(),
+      items: check.items,
+      invoiceDiscountType: quotation.invoice_discount_type,
+      invoiceDiscountValue: quotation.invoice_discount_value,
+      discountReason: quotation.discount_reason,
+      discountApproval: request.discountApproval,
+      payments,
+      paymentStatus,
+      status: 'completed',
+      notes: [`Quotation ${quotation.quote_number}`, quotation.notes].filter(Boolean).join('\n'),
+      buyer: quotation.buyer,
+      quotationId: quotation.id,
+      locationId: request.locationId
+    }, {
+      discountApprovedBy: quotation.discount_approved_by,
+      approvedDiscountPercent: quotation.discount_percent
+    });
+    if (!result || !result.success) {
+      return result;
+    }
+    
+    const sale = result.sale;
+    const now = new Date().toISOString();
+    const accepted = await persistQuotation({
+      ...quotation,
+      status: QUOTATION_STATUS.ACCEPTED,
+      sale_id: sale.id,
+      invoice_number: sale.invoiceNumber,
+      accepted_at: now,
+      updated_at: now
+    });
+    
+    // The sale form updates the customer's purchases itself; a converted quote has no form
+    if (quotation.customer_id) {
+      try {
+        await updateCustomerPurchaseStats(quotation.customer_id, getSaleTotal(sale));
+      } catch (statsError) {
+        log.error(`Error updating purchase stats after converting ${quotation.quote_number}:`, statsError);
+      }
+    }
+    
+    logAudit({
+      type: 'success',
+      category: 'sales',
+      entityType: 'quotation',
+      entityId: quotation.id,
+      action: 'convert',
+      description: `Quotation ${quotation.quote_number} converted to sale ${sale.invoiceNumber}`,
+      data: { saleId: sale.id, priceChanges: check.priceChanges }
+    });
+    
+    return { success: true, sale, quotation: accepted, warning: result.warning };
+  } catch (error) {
+    log.error('Error in convert-quotation handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Generate the pro-forma invoice PDF of a quotation
+ipcMain.handle('generate-quotation-pdf', async (event, quotationId) => {
+  try {
+    const quotation = await getQuotationById(quotationId);
+    if (!quotation) {
+      return { success: false, error: 'Quotation not found' };
+    }
+    
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Save Quotation',
+      defaultPath: path.join(app.getPath('documents'), `Quotation_${quotation.quote_number}.pdf`),
+      filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+    });
+    
+    if (canceled || !filePath) {
+      return { success: false, error: 'Cancelled by user' };
+    }
+    
+    const outputPath = await pdfGenerator.generateQuotationPDF(filePath, { ...quotation, status: getQuotationStatus(quotation) });
+    log.info(`Quotation ${quotation.quote_number} generated at ${outputPath}`);
+    
+    return { success: true, filePath: outputPath };
+  } catch (error) {
+    log.error('Error generating quotation PDF:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+//====================================================================
+// STOCK RESERVATIONS
+//====================================================================
+
+/**
+ * Load stock reservations, newest first. Statuses are as stored; use getReservationStatus()
+ * to see whether an active reservation has expired.
+ * @param {Object} [filters] - Optional itemId and customerId
+ * @returns {Promise<Array>} Array of reservations
+ */
+async function loadReservations(filters = {}) {
+  if (sqliteAvailable && db && db.getReservations) {
+    try {
+      return await db.getReservations(filters);
+    } catch (sqliteError) {
+      log.error('SQLite get-reservations error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  const reservations = (store.get(RESERVATIONS_KEY) || []).filter(reservation =>
+    (!filters.itemId || reservation.item_id === filters.itemId) &&
+    (!filters.customerId || reservation.customer_id === filters.customerId)
+  );
+  return reservations.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+/**
+ * Save a stock reservation (SQLite, or electron-store as fallback) and notify windows
+ * @param {Object} reservation - Reservation
+ * @returns {Promise<Object>} The saved reservation with its current status
+ */
+async function persistReservation(reservation) {
+  let saved = false;
+  if (sqliteAvailable && db && db.saveReservation) {
+    try {
+      await db.saveReservation(reservation);
+      saved = true;
+    } catch (sqliteError) {
+      log.error('SQLite save-reservation error:', sqliteError);
+      // Fall back to electron-store
+    }
+  }
+  
+  if (!saved) {
+    const reservations = store.get(RESERVATIONS_KEY) || [];
+    const index = reservations.findIndex(existing => existing.id === reservation.id);
+    if (index === -1) {
+      reservations.push(reservation);
+    } else {
+      reservations[index] = reservation;
+    }
+    store.set(RESERVATIONS_KEY, reservations);
+  }
+  
+  const current = { ...reservation, status: getReservationStatus(reservation) };
+  broadcastToAllWindows('reservation-updated', current);
+  return current;
+}
+
+/**
+ * Load all inventory items with their on-hand, reserved and available quantities
+ * @returns {Promise<Array>} Inventory items with reservedQuantity and availableQuantity
+ */
+async function getInventoryWithStockLevels() {
+  const reserved = getReservedQuantities(await loadReservations());
+  return (await getInventoryItems()).map(item => withStockLevels(item, reserved));
+}
+
+/**
+ * Find the items whose stock available to sell, after reservations, is at or below their alert threshold
+ * @param {string} [locationId] - Only check the items stocked at this location, by the stock there
+ * @returns {Promise<Array>} Low stock items with reservedQuantity and availableQuantity, lowest first
+ */
+async function getLowStockInventory(locationId) {
+  const settings = store.get('settings') || { alertThreshold: 10 };
+  const inventory = await getInventoryWithStockLevels();
+  return (locationId ? getItemsAtLocation(inventory, locationId) : inventory)
+    .filter(item => {
+      const threshold = item.alertThreshold || item.alert_threshold || settings.alertThreshold || 10;
+      return item.availableQuantity <= threshold;
+    })
+    .sort((a, b) => a.availableQuantity - b.availableQuantity);
+}
+
+/**
+ * Make sure a sale does not take stock reserved for other customers. The buyer's own
+ * reservations are theirs to buy.
+ * @param {Object} sale - New sale
+ * @param {Array} reservations - Reservations from loadReservations()
+ * @param {Array} inventory - Inventory as it is about to be saved with the sale
+ * @returns {string|null} Error message, or null when the stock is free to sell
+ */
+function checkReservedStock(sale, reservations, inventory) {
+  const reserved = getReservedQuantities(reservations, { excludeCustomerId: getSaleCustomerId(sale) });
+  const requested = {};
+  (sale.items || []).forEach(line => {
+    const itemId = line.itemId || line.id;
+    requested[itemId] = roundQuantity((requested[itemId] || 0) + getBaseQuantity(line));
+  });
+  
+  for (const itemId of Object.keys(requested)) {
+    if (!reserved[itemId]) continue;
+    
+    const item = inventory.find(stockItem => stockItem.id === itemId);
+    const available = Math.max((parseFloat(item && item.quantity) || 0) - reserved[itemId], 0);
+    if (requested[itemId] > available) {
+      const description = (item && item.description) || itemId;
+      return `Only ${available} of ${description} can be sold; ${reserved[itemId]} are reserved for other customers`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Set a new sale against the buyer's reservations so the stock they bought is no longer held for them
+ * @param {Object} sale - Saved sale
+ */
+async function fulfilSaleReservations(sale) {
+  const customerId = getSaleCustomerId(sale);
+  if (!customerId) return;
+  
+  // Reservations are held in the item's base unit
+  const lines = (sale.items || []).map(line => ({ ...line, quantity: getBaseQuantity(line) }));
+  const fulfilled = fulfilReservations(await loadReservations({ customerId }), customerId, lines);
+  for (const reservation of fulfilled) {
+    await persistReservation({
+      ...reservation,
+      sale_id: sale.id,
+      updated_at: new Date().toISOString()
+    });
+    logAudit({
+      category: 'inventory',
+      entityType: 'reservation',
+      entityId: reservation.id,
+      action: 'fulfil',
+      description: `Sale ${sale.invoiceNumber || sale.id} took ${reservation.fulfilled_quantity} of ${reservation.quantity} ${reservation.item_description} reserved for ${reservation.customer_name}`,
+      after: reservation
+    });
+  }
+}
+
+// Get stock reservations, optionally filtered by item, customer or status
+ipcMain.handle('get-reservations', async (event, filters = {}) => {
+  try {
+    const reservations = (await loadReservations(filters || {}))
+      .map(reservation => ({ ...reservation, status: getReservationStatus(reservation) }));
+    return (filters && filters.status) ? reservations.filter(reservation => reservation.status === filters.status) : reservations;
   } catch (error) {
-    log.error(`Error opening file: ${error.message}`);
-    return { 
-      success: false, 
-      error: error.message 
-    };
+    log.error('Error in get-reservations handler:', error);
+    return [];
   }
 });
 
-// Show save dialog
-ipcMain.handle('show-save-dialog', async (event, options) => {
+// Get the items whose available stock is low, overall or at one location
+ipcMain.handle('get-low-stock-items', async (event, locationId) => {
   try {
-    log.info('Showing save dialog with options:', options);
-    
-    // Set default path to Documents folder if not provided
-    if (!options.defaultPath) {
-      options.defaultPath = path.join(app.getPath('documents'), options.defaultPath || 'untitled');
-    }
-    
-    const result = await dialog.showSaveDialog(options);
-    log.info(`Save dialog result: ${result.canceled ? 'canceled' : `path: ${result.filePath}`}`);
-    
-    return result;
+    return await getLowStockInventory(locationId);
   } catch (error) {
-    log.error('Error showing save dialog:', error);
-    throw error;
+    log.error('Error in get-low-stock-items handler:', error);
+    return [];
   }
 });
 
-// Update inventory after sale - used only with electron-store fallback
-async function updateInventoryAfterSale(saleItems) {
-  if (!saleItems || saleItems.length === 0) return;
-  
+// Reserve stock against a customer's order until an expiry date
+ipcMain.handle('create-reservation', async (event, reservation) => {
   try {
-    log.info(`Updating inventory for ${saleItems.length} items`);
+    const quantity = parseFloat(reservation && reservation.quantity);
+    if (!reservation || !reservation.itemId) {
+      return { success: false, error: 'Select the item to reserve' };
+    }
+    if (!reservation.customerId) {
+      return { success: false, error: 'Select the customer the stock is reserved for' };
+    }
+    if (isNaN(quantity) || quantity <= 0) {
+      return { success: false, error: 'Quantity must be greater than zero' };
+    }
     
-    // Get the current inventory
-    const inventory = store.get('inventory') || [];
-    let updated = false;
+    const expiresAt = reservation.expiresAt || getDefaultExpiresAt();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expiresAt)) {
+      return { success: false, error: 'Enter a valid expiry date' };
+    }
+    if (getReservationStatus({ status: RESERVATION_STATUS.ACTIVE, expires_at: expiresAt }) === RESERVATION_STATUS.EXPIRED) {
+      return { success: false, error: 'The expiry date has already passed' };
+    }
     
-    for (const saleItem of saleItems) {
-      // The property might be either id or itemId depending on how it's passed
-      const itemId = saleItem.itemId || saleItem.id;
-      
-      if (!itemId) {
-        log.warn('Sale item missing itemId:', saleItem);
-        continue;
-      }
-      
-      const index = inventory.findIndex(item => item.id === itemId);
-      
-      if (index !== -1) {
-        // Make sure quantity is a number
-        const saleQuantity = parseInt(saleItem.quantity) || 0;
-        if (saleQuantity <= 0) continue;
-        
-        // Update quantity
-        inventory[index].quantity = Math.max(0, inventory[index].quantity - saleQuantity);
-        inventory[index].updatedAt = new Date().toISOString();
-        log.info(`Updated inventory item ${itemId}, new quantity: ${inventory[index].quantity}`);
-        updated = true;
-      } else {
-        log.warn(`Item with ID ${itemId} not found in inventory`);
-      }
+    const item = await getInventoryItemById(reservation.itemId);
+    if (!item) {
+      return { success: false, error: 'Item not found in inventory' };
     }
     
-    if (updated) {
-      store.set('inventory', inventory);
-      log.info('Inventory updated successfully after sale');
-      
-      // Schedule low stock alerts after inventory update
-      scheduleLowStockAlerts();
+    const { availableQuantity } = withStockLevels(item, getReservedQuantities(await loadReservations({ itemId: item.id })));
+    if (quantity > availableQuantity) {
+      return { success: false, error: `Only ${availableQuantity} of ${item.description} are available to reserve` };
     }
+    
+    const now = new Date().toISOString();
+    const saved = await persistReservation({
+      id: uuidv4(),
+      item_id: item.id,
+      item_description: item.dimension ? `${item.description} (${item.dimension})` : item.description,
+      customer_id: reservation.customerId,
+      customer_name: String(reservation.customerName || '').trim(),
+      quantity,
+      fulfilled_quantity: 0,
+      status: RESERVATION_STATUS.ACTIVE,
+      expires_at: expiresAt,
+      reference: String(reservation.reference || '').trim(),
+      notes: String(reservation.notes || '').trim(),
+      sale_id: null,
+      created_at: now,
+      created_by: getCurrentUsername(),
+      updated_at: now
+    });
+    
+    logAudit({
+      type: 'success',
+      category: 'inventory',
+      entityType: 'reservation',
+      entityId: saved.id,
+      action: 'create',
+      description: `Reserved ${quantity} ${saved.item_description} for ${saved.customer_name} until ${expiresAt}`,
+      after: saved
+    });
+    
+    return { success: true, reservation: saved };
   } catch (error) {
-    log.error('Error updating inventory after sale:', error);
+    log.error('Error in create-reservation handler:', error);
+    return { success: false, error: error.message };
   }
-}
+});
 
-// Schedule low stock alerts
-function scheduleLowStockAlerts() {
-  const checkAndNotifyLowStock = async () => {
-    try {
-      // Get inventory - try SQLite first, then fall back to electron-store
-      let inventory = [];
-      if (sqliteAvailable && db && db.usingSqlite) {
-        try {
-          // Use db instead of SqliteDb
-          inventory = await db.getLowStockItems ? db.getLowStockItems() : [];
-          if (!inventory || inventory.length === 0) {
-            // If method doesn't exist or returns empty, do a manual check
-            const allItems = await db.getInventory();
-            const settings = store.get('settings') || { alertThreshold: 10 };
-            inventory = allItems.filter(item => {
-              const threshold = item.alertThreshold || settings.alertThreshold || 10;
-              return item.quantity <= threshold;
-            });
-          }
-        } catch (error) {
-          log.error('Error getting low stock items from SQLite:', error);
-          const allItems = store.get('inventory') || [];
-          const settings = store.get('settings') || { alertThreshold: 10 };
-          inventory = allItems.filter(item => {
-            const threshold = item.alertThreshold || settings.alertThreshold || 10;
-            return item.quantity <= threshold;
-          });
-        }
-      } else {
-        // Use electron-store
-        const allItems = store.get('inventory') || [];
-        const settings = store.get('settings') || { alertThreshold: 10 };
-        inventory = allItems.filter(item => {
-          const threshold = item.alertThreshold || settings.alertThreshold || 10;
-          return item.quantity <= threshold;
-        });
-      }
-      
-      if (inventory.length === 0) return;
-      
-      // Get detailed notification information
-      const criticalItems = inventory.slice(0, 3); // Get top 3 most critical items
-      const itemDetails = criticalItems.map(item => {
-        const dimension = item.dimension || item.size || '';
-        const displayName = dimension ? `${item.description} (${dimension})` : item.description;
-        return `${displayName}: ${item.quantity} left`;
-      }).join(', ');
-      
-      const notificationTitle = 'Low Stock Alert';
-      let notificationBody = `${inventory.length} item(s) are low in stock.`;
-      
-      // Add item details if available
-      if (itemDetails) {
-        notificationBody += ` Most critical: ${itemDetails}`;
-      }
-      
-      // Send notification if supported
-      if (Notification.isSupported()) {
-        const notification = new Notification({
-          title: notificationTitle,
-          body: notificationBody,
-          icon: path.join(process.resourcesPath, 'logo.png'),
-          silent: true // Set silent to true to disable sound
-        });
-        
-        notification.show();
-        
-        // Add click handler to focus the app window
-        notification.on('click', () => {
-          if (mainWindow) {
-            if (mainWindow.isMinimized()) mainWindow.restore();
-            mainWindow.focus();
-            // Navigate to inventory page
-            mainWindow.webContents.send('navigate-to', 'inventory');
-          }
-        });
-      }
-      
-      // Also send to renderer process to display in-app alerts
-      if (mainWindow) {
-        mainWindow.webContents.send('low-stock-alert', inventory);
-      }
-      
-      log.info(`Low stock notification sent: ${notificationTitle} - ${notificationBody}`);
-    } catch (error) {
-      log.error('Error checking low stock items:', error);
+// Release a reservation by hand, putting its stock back on sale
+ipcMain.handle('release-reservation', async (event, reservationId, reason) => {
+  try {
+    const reservation = (await loadReservations()).find(existing => existing.id === reservationId);
+    if (!reservation) {
+      return { success: false, error: 'Reservation not found' };
     }
-  };
-  
-  // Set interval to 15 minutes
-  const intervalMs = 15 * 60 * 1000; 
-  
-  log.info('Scheduling low stock alerts every 15 minutes');
-  
-  // Clear any existing timer
-  if (lowStockAlertTimer) {
-    clearInterval(lowStockAlertTimer);
+    if (reservation.status !== RESERVATION_STATUS.ACTIVE) {
+      return { success: false, error: `This reservation has already been ${reservation.status}` };
+    }
+    if (!String(reason || '').trim()) {
+      return { success: false, error: 'Enter the reason for releasing the reservation' };
+    }
+    
+    // Anyone may release their own reservation; releasing someone else's takes stock control rights
+    const user = getCurrentUsername();
+    if (reservation.created_by !== user) {
+      requirePermission(PERMISSIONS.INVENTORY_EDIT);
+    }
+    
+    const now = new Date().toISOString();
+    const released = await persistReservation({
+      ...reservation,
+      status: RESERVATION_STATUS.RELEASED,
+      released_at: now,
+      released_by: user,
+      release_reason: String(reason).trim(),
+      updated_at: now
+    });
+    
+    logAudit({
+      category: 'inventory',
+      entityType: 'reservation',
+      entityId: reservation.id,
+      action: 'release',
+      description: `Released ${getRemainingQuantity(reservation)} ${reservation.item_description} reserved for ${reservation.customer_name}: ${released.release_reason}`,
+      before: reservation,
+      after: released
+    });
+    
+    return { success: true, reservation: released };
+  } catch (error) {
+    log.error('Error in release-reservation handler:', error);
+    return { success: false, error: error.message };
   }
-  
-  // Initial check
-  checkAndNotifyLowStock();
-  
-  // Set interval timer
-  lowStockAlertTimer = setInterval(() => {
-    checkAndNotifyLowStock();
-  }, intervalMs);
-}
+});
 
 //====================================================================
 // REPORT HANDLERS
@@ -1456,6 +7228,11 @@ ipcMain.handle('get-reports', async () => {
       reports = reportsHandler.getReports();
     }
     
+    // Saved profit reports show margins, which only roles allowed to see profit may read
+    if (!sessionHasPermission(PERMISSIONS.REPORTS_PROFIT)) {
+      reports = reports.filter(report => report.type !== 'profit');
+    }
+    
     log.info(`Returning ${reports.length} reports`);
     return reports;
   } catch (error) {
@@ -1484,6 +7261,10 @@ ipcMain.handle('get-report-by-id', async (event, reportId) => {
       throw new Error(`Report with ID ${reportId} not found`);
     }
     
+    if (report.type === 'profit') {
+      requirePermission(PERMISSIONS.REPORTS_PROFIT);
+    }
+    
     log.info(`Retrieved report: ${report.title || report.type}`);
     return report;
   } catch (error) {
@@ -1505,6 +7286,10 @@ ipcMain.handle('add-report', async (event, report) => {
       throw new Error('Invalid report data: missing type');
     }
     
+    if (report.type === 'profit') {
+      requirePermission(PERMISSIONS.REPORTS_PROFIT);
+    }
+    
     log.info(`Generating ${report.type} report for period: ${report.period}`);
     console.log(`Generating ${report.type} report for period: ${report.period}`);
     
@@ -1633,6 +7418,8 @@ ipcMain.handle('generate-inventory-report', async () => {
 // Generate profit report with timeout handling
 ipcMain.handle('generate-profit-report', async (event, period = 'this_month') => {
   try {
+    requirePermission(PERMISSIONS.REPORTS_PROFIT);
+    
     log.info(`Processing generate-profit-report request for period: ${period}`);
     
     // Create a timeout promise
@@ -1661,6 +7448,11 @@ ipcMain.handle('generate-profit-report', async (event, period = 'this_month') =>
   } catch (error) {
     log.error('Error generating profit report:', error);
     
+    // A refusal is reported as one, not covered up by the fallback report
+    if (!sessionHasPermission(PERMISSIONS.REPORTS_PROFIT)) {
+      return { success: false, error: error.message };
+    }
+    
     // Return a fallback report instead of throwing
     return {
       metrics: {
@@ -2251,6 +8043,16 @@ ipcMain.handle('get-customers', async (event) => {
   }
 });
 
+// Search customers with filters, sorting and paging, in memory over every customer in electron-store
+ipcMain.handle('search-customers', async (event, criteria) => {
+  try {
+    return { success: true, ...searchCustomerRecords(store.get('customers') || [], criteria) };
+  } catch (error) {
+    log.error('Error in search-customers handler:', error);
+    return { success: false, error: error.message, items: [], total: 0 };
+  }
+});
+
 // Get a customer by ID
 ipcMain.handle('get-customer-by-id', async (event, customerId) => {
   try {
@@ -2381,6 +8183,7 @@ ipcMain.handle('add-customer', async (event, customer) => {
     if (!customer.id) {
       customer.id = `cust-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     }
+    stampActingUser(customer, true);
     
     let result = null;
     if (sqliteAvailable && db && db.usingSqlite) {
@@ -2405,6 +8208,16 @@ ipcMain.handle('add-customer', async (event, customer) => {
     
     log.info('Customer added successfully');
     
+    logAudit({
+      type: 'success',
+      category: 'customer',
+      entityType: 'customer',
+      entityId: customer.id,
+      action: 'create',
+      description: `Customer "${customer.name}" added`,
+      after: customer
+    });
+    
     // Broadcast the new customer to all windows
     broadcastToAllWindows('customer-created', result);
     
@@ -2423,6 +8236,17 @@ ipcMain.handle('update-customer', async (event, customer) => {
       throw new Error('Database not initialized');
     }
     
+    stampActingUser(customer);
+    
+    // Keep the previous version for the audit log
+    let originalCustomer = null;
+    if (sqliteAvailable && db && db.usingSqlite && db.getCustomerById) {
+      originalCustomer = await db.getCustomerById(customer.id).catch(() => null);
+    }
+    if (!originalCustomer) {
+      originalCustomer = (store.get('customers') || []).find(c => c.id === customer.id) || null;
+    }
+    
     let result = null;
     if (sqliteAvailable && db && db.usingSqlite && db.updateCustomer) {
       try {
@@ -2471,6 +8295,16 @@ ipcMain.handle('update-customer', async (event, customer) => {
     
     log.info(`Customer updated successfully: ${customer.id}`);
     
+    logAudit({
+      category: 'customer',
+      entityType: 'customer',
+      entityId: customer.id,
+      action: 'update',
+      description: `Customer "${customer.name || (originalCustomer && originalCustomer.name) || customer.id}" updated`,
+      before: originalCustomer,
+      after: { ...originalCustomer, ...customer }
+    });
+    
     // Broadcast the updated customer to all windows
     broadcastToAllWindows('customer-updated', result);
     
@@ -2484,11 +8318,15 @@ ipcMain.handle('update-customer', async (event, customer) => {
 // Delete a customer
 ipcMain.handle('delete-customer', async (event, customerId) => {
   try {
+    requirePermission(PERMISSIONS.CUSTOMERS_DELETE);
+    
     log.info(`Processing delete-customer request for ID: ${customerId}`);
     if (!dbInitialized) {
       throw new Error('Database not initialized');
     }
     
+    const deletedCustomer = (store.get('customers') || []).find(c => c.id === customerId) || null;
+    
     let result = { success: false };
     if (sqliteAvailable && db && db.usingSqlite) {
       result = await db.deleteCustomer(customerId);
@@ -2508,6 +8346,16 @@ ipcMain.handle('delete-customer', async (event, customerId) => {
     
     log.info(`Customer deleted successfully: ${customerId}`);
     
+    logAudit({
+      type: 'warning',
+      category: 'customer',
+      entityType: 'customer',
+      entityId: customerId,
+      action: 'delete',
+      description: `Customer "${deletedCustomer ? deletedCustomer.name : customerId}" deleted`,
+      before: deletedCustomer
+    });
+    
     // Broadcast the deleted customer to all windows
     broadcastToAllWindows('customer-deleted', customerId);
     
@@ -2536,75 +8384,68 @@ ipcMain.handle('update-customer-purchase-stats', async (event, data) => {
       throw new Error('Valid purchase amount is required');
     }
     
-    let result = null;
-    if (sqliteAvailable && db && db.usingSqlite && db.updateCustomerPurchaseStats) {
-      try {
-        result = await db.updateCustomerPurchaseStats(customerId, purchaseAmount);
-        log.info(`Updated purchase stats for customer ${customerId} in SQLite: +${purchaseAmount}`);
-      } catch (error) {
-        log.error(`Error updating customer purchase stats in SQLite:`, error);
-        // Fall back to electron-store
-        const customers = store.get('customers') || [];
-        const index = customers.findIndex(c => c.id === customerId);
-        
-        if (index === -1) {
-          throw new Error(`Customer with ID ${customerId} not found`);
-        }
-        
-        const now = new Date().toISOString();
-        const customer = customers[index];
-        
-        // Update purchase stats
-        customer.totalPurchases = (customer.totalPurchases || 0) + purchaseAmount;
-        customer.purchaseCount = (customer.purchaseCount || 0) + 1;
-        customer.lastPurchaseDate = now;
-        customer.updatedAt = now;
-        
-        // Update in store
-        customers[index] = customer;
-        store.set('customers', customers);
-        result = customer;
-        log.info(`Updated purchase stats for customer ${customerId} in electron-store: +${purchaseAmount}`);
-      }
-    } else {
-      // Fallback to electron-store
-      const customers = store.get('customers') || [];
-      const index = customers.findIndex(c => c.id === customerId);
-      
-      if (index === -1) {
-        throw new Error(`Customer with ID ${customerId} not found`);
-      }
-      
-      const now = new Date().toISOString();
-      const customer = customers[index];
-      
-      // Update purchase stats
-      customer.totalPurchases = (customer.totalPurchases || 0) + purchaseAmount;
-      customer.purchaseCount = (customer.purchaseCount || 0) + 1;
-      customer.lastPurchaseDate = now;
-      customer.updatedAt = now;
-      
-      // Update in store
-      customers[index] = customer;
-      store.set('customers', customers);
-      result = customer;
-      log.info(`Updated purchase stats for customer ${customerId} in electron-store: +${purchaseAmount}`);
-    }
-    
-    // Broadcast the updated customer to all windows
-    broadcastToAllWindows('customer-stats-updated', {
-      customerId,
-      purchaseAmount,
-      customer: result
-    });
-    
-    return result;
+    return await updateCustomerPurchaseStats(customerId, purchaseAmount);
   } catch (error) {
     log.error(`Error updating purchase stats for customer ${data?.customerId}:`, error);
     throw error;
   }
 });
 
+/**
+ * Apply a purchase (or a refund, with a negative amount) to a customer's statistics
+ * @param {string} customerId - Customer ID
+ * @param {number} purchaseAmount - Amount to add to totalPurchases
+ * @param {number} [purchaseCountChange] - Change to purchaseCount (-1 when a sale is fully returned)
+ * @returns {Promise<Object>} The updated customer
+ */
+async function updateCustomerPurchaseStats(customerId, purchaseAmount, purchaseCountChange = 1) {
+  let result = null;
+  if (sqliteAvailable && db && db.usingSqlite && db.updateCustomerPurchaseStats) {
+    try {
+      result = await db.updateCustomerPurchaseStats(customerId, purchaseAmount, purchaseCountChange);
+      log.info(`Updated purchase stats for customer ${customerId} in SQLite: ${purchaseAmount}`);
+    } catch (error) {
+      log.error(`Error updating customer purchase stats in SQLite:`, error);
+      // Fall back to electron-store
+    }
+  }
+  
+  if (!result) {
+    const customers = store.get('customers') || [];
+    const index = customers.findIndex(c => c.id === customerId);
+    
+    if (index === -1) {
+      throw new Error(`Customer with ID ${customerId} not found`);
+    }
+    
+    const now = new Date().toISOString();
+    const customer = customers[index];
+    
+    // Update purchase stats; refunds do not move the last purchase date
+    customer.totalPurchases = (customer.totalPurchases || 0) + purchaseAmount;
+    customer.purchaseCount = Math.max(0, (customer.purchaseCount || 0) + purchaseCountChange);
+    if (purchaseAmount > 0) {
+      customer.lastPurchaseDate = now;
+    }
+    customer.updatedAt = now;
+    
+    // Update in store
+    customers[index] = customer;
+    store.set('customers', customers);
+    result = customer;
+    log.info(`Updated purchase stats for customer ${customerId} in electron-store: ${purchaseAmount}`);
+  }
+  
+  // Broadcast the updated customer to all windows
+  broadcastToAllWindows('customer-stats-updated', {
+    customerId,
+    purchaseAmount,
+    customer: result
+  });
+  
+  return result;
+}
+
 // Display database error handling dialog when SQLite fails to load
 function showSqliteErrorDialog() {
   const options = {
@@ -2693,7 +8534,7 @@ async function initDatabaseAndSync() {
         log.info('Using electron-store for data persistence');
         // Create a simple db wrapper with methods that match what's expected in the IPC handlers
         db = {
-          getProductTypes: async () => store.get('product_types') || [],
+          getProductTypes: async () => getProductTypes(store.get(PRODUCT_TYPES_KEY)),
           getInventory: async () => store.get('inventory') || [],
           getItemById: async (id) => {
             const inventory = store.get('inventory') || [];
@@ -2823,39 +8664,8 @@ async function initDatabaseAndSync() {
         if (!store.has('customers')) {
           store.set('customers', []);
         }
-        if (!store.has('product_types')) {
-          store.set('product_types', [
-            {
-              id: 'pipe',
-              name: 'Pipes',
-              attributes: ['diameter', 'length', 'material', 'brand'],
-              defaultUnit: 'piece'
-            },
-            {
-              id: 'fitting',
-              name: 'Fittings',
-              attributes: ['type', 'diameter', 'material', 'brand'],
-              defaultUnit: 'piece'
-            },
-            {
-              id: 'valve',
-              name: 'Valves',
-              attributes: ['type', 'diameter', 'material', 'brand'],
-              defaultUnit: 'piece'
-            },
-            {
-              id: 'tool',
-              name: 'Tools',
-              attributes: ['brand', 'model', 'condition'],
-              defaultUnit: 'piece'
-            },
-            {
-              id: 'accessory',
-              name: 'Accessories',
-              attributes: ['type', 'brand', 'material'],
-              defaultUnit: 'piece'
-            }
-          ]);
+        if (!store.has(PRODUCT_TYPES_KEY)) {
+          store.set(PRODUCT_TYPES_KEY, DEFAULT_PRODUCT_TYPES);
         }
         
     dbInitialized = true;
@@ -3047,7 +8857,7 @@ function getObjectChanges(original, updated) {
   
   for (const key of allKeys) {
     // Skip internal properties and timestamps
-    if (key.startsWith('_') || key === 'updatedAt') continue;
+    if (key.startsWith('_') || ['updatedAt', 'updated_at', 'updatedBy', 'updated_by'].includes(key)) continue;
     
     // If property exists in both objects and values are different
     if (original.hasOwnProperty(key) && updated.hasOwnProperty(key)) {
@@ -3825,16 +9635,18 @@ function loadDataFromConfig() {
         });
         
         // Add config items that don't already exist
-        let addedCount = 0;
+        const importedItems = [];
         configInventory.forEach(item => {
           if (!existingItemsMap.has(item.id)) {
             currentInventory.push(item);
-            addedCount++;
+            importedItems.push(item);
           }
         });
+        const addedCount = importedItems.length;
         
         if (addedCount > 0) {
           store.set('inventory', currentInventory);
+          importedItems.forEach(item => recordOpeningStock(item, STOCK_MOVEMENT_TYPES.IMPORT));
           log.info(`Added ${addedCount} new inventory items from config.json (total: ${currentInventory.length})`);
           console.log(`📦 Added ${addedCount} new inventory items from config.json (total: ${currentInventory.length})`);
         } else {
@@ -0,0 +1,231 @@
+/**
+ * Pipe Offcuts
+ * A sale line can cut pieces from full lengths of an item whose product type has a length
+ * attribute (e.g. 2.5 m from a 6 m pipe). Each piece takes one length from stock and leaves
+ * an offcut, kept in stock as its own item to be sold later, or written off as scrap when
+ * it is shorter than the minimum offcut length.
+ */
+
+const { roundMoney } = require('./discounts');
+const { allowsDecimal, describeUnit, getAdditionalData, roundQuantity } = require('./units');
+
+const OFFCUT_SETTINGS_KEY = 'offcut_settings';
+const SCRAP_RECORDS_KEY = 'scrap_records';
+
+const DEFAULT_OFFCUT_SETTINGS = {
+  // Offcuts shorter than this many metres are not worth keeping
+  minimumLength: 0.5
+};
+
+/**
+ * Offcut settings with defaults for anything not saved
+ * @param {Object} [saved] - Settings as stored
+ * @returns {Object} minimumLength
+ */
+function getOffcutSettings(saved) {
+  return { ...DEFAULT_OFFCUT_SETTINGS, ...(saved || {}) };
+}
+
+/**
+ * Validate offcut settings from the settings form
+ * @param {Object} settings - minimumLength
+ * @returns {Object} Clean settings
+ * @throws {Error} When the minimum length is not a number of zero or more
+ */
+function validateOffcutSettings(settings = {}) {
+  const minimumLength = parseFloat(settings.minimumLength);
+  if (isNaN(minimumLength) || minimumLength < 0) {
+    throw new Error('The minimum offcut length must be zero or more metres');
+  }
+  return { minimumLength: roundQuantity(minimumLength) };
+}
+
+/**
+ * Length of one piece of an item, from its length attribute
+ * @param {Object} item - Inventory item in either storage shape
+ * @returns {number} Length in metres, or 0 when the item has none
+ */
+function getItemLength(item) {
+  const attributes = item.attributes || getAdditionalData(item).attributes || {};
+  return parseFloat(attributes.length) || 0;
+}
+
+/**
+ * Where an offcut item was cut from
+ * @param {Object} item - Inventory item in either storage shape
+ * @returns {Object|null} parentId and parentDescription of the full-length item, or null for items that are not offcuts
+ */
+function getOffcutSource(item) {
+  return item.offcut || getAdditionalData(item).offcut || null;
+}
+
+/**
+ * Length cut from each piece on a sale, quotation or return line
+ * @param {Object} line - Line in either storage shape
+ * @returns {number} Cut length in metres, or 0 for lines sold whole
+ */
+function getCutLength(line) {
+  return parseFloat(line.cutLength !== undefined ? line.cutLength : line.cut_length) || 0;
+}
+
+/**
+ * Price of one cut piece, in proportion to the length of the item it is cut from
+ * @param {number} price - Price of the full piece
+ * @param {number} cutLength - Length cut
+ * @param {number} pieceLength - Length of the full piece
+ * @returns {number} Price of the cut piece
+ */
+function getCutPrice(price, cutLength, pieceLength) {
+  return pieceLength > 0 ? roundMoney((parseFloat(price) || 0) * cutLength / pieceLength) : 0;
+}
+
+/**
+ * Check a cut on a sale line against the item it is cut from
+ * @param {Object} line - Line with cutLength and quantity (the number of pieces cut)
+ * @param {Object} item - Inventory item
+ * @param {Object} unit - unit and unitFactor from resolveLineUnit()
+ * @returns {Object|null} cutLength, pieceLength and offcutLength, or null for lines sold whole
+ * @throws {Error} When the item has no length or the cut does not fit in it
+ */
+function resolveCutLine(line, item, unit) {
+  const entered = line.cutLength !== undefined ? line.cutLength : line.cut_length;
+  if (entered === undefined || entered === null || entered === '') {
+    return null;
+  }
+
+  const cutLength = getCutLength(line);
+  const description = item.description || line.description || 'this item';
+  const pieceLength = getItemLength(item);
+  if (pieceLength <= 0) {
+    throw new Error(`${description} has no length to cut from`);
+  }
+  if (allowsDecimal(unit.unit)) {
+    throw new Error(`${description} is sold by the ${describeUnit(unit.unit)}; enter the length as the quantity instead of cutting`);
+  }
+  if (unit.unitFactor !== 1) {
+    throw new Error(`Cut ${description} from single pieces, not by the ${describeUnit(unit.unit)}`);
+  }
+  if (cutLength <= 0 || cutLength >= pieceLength) {
+    throw new Error(`The cut from ${description} must be more than 0 m and shorter than its ${pieceLength} m length`);
+  }
+
+  return {
+    cutLength: roundQuantity(cutLength),
+    pieceLength,
+    offcutLength: roundQuantity(pieceLength - cutLength)
+  };
+}
+
+/**
+ * Whether pieces of a length are too short to keep in stock
+ * @param {number} length - Length in metres
+ * @param {Object} settings - Offcut settings
+ * @returns {boolean} True when they are written off as scrap
+ */
+function isScrapLength(length, settings) {
+  return roundQuantity(length) < getOffcutSettings(settings).minimumLength;
+}
+
+/**
+ * Find the stock item holding offcuts of a given length cut from an item
+ * @param {Array} inventory - Inventory items
+ * @param {string} parentId - ID of the full-length item
+ * @param {number} length - Offcut length in metres
+ * @returns {Object|undefined} The offcut item
+ */
+function findOffcutItem(inventory, parentId, length) {
+  return inventory.find(item => {
+    const source = getOffcutSource(item);
+    return source && source.parentId === parentId && roundQuantity(getItemLength(item)) === roundQuantity(length);
+  });
+}
+
+/**
+ * Build a new stock item for offcuts of an item. Offcuts of an offcut belong to the same
+ * full-length item, so equal lengths always end up in one stock record.
+ * @param {Object} source - The item the offcut was cut from
+ * @param {number} length - Offcut length in metres
+ * @returns {Object} Inventory item with no stock yet
+ */
+function buildOffcutItem(source, length) {
+  const extra = getAdditionalData(source);
+  const parent = getOffcutSource(source) || { parentId: source.id, parentDescription: source.description };
+  const sourceLength = getItemLength(source);
+  const price = getCutPrice(source.price !== undefined ? source.price : source.selling_price, length, sourceLength);
+  const buyingPrice = getCutPrice(source.buyingPrice || source.buying_price || source.cost_price, length, sourceLength);
+  const category = source.category || extra.category || '';
+  const unit = source.unit || extra.unit || 'piece';
+  const attributes = { ...(source.attributes || extra.attributes || {}), length: roundQuantity(length) };
+  const offcut = { ...parent, length: roundQuantity(length) };
+  const description = `${parent.parentDescription} offcut ${roundQuantity(length)} m`;
+  const dimension = source.dimension || source.dimensions || '';
+  const taxClass = source.taxClass || source.tax_class || '';
+
+  return {
+    category,
+    type: source.type || '',
+    description,
+    brand: source.brand || '',
+    dimension,
+    dimensions: dimension,
+    color: source.color || '',
+    unit,
+    quantity: 0,
+    buyingPrice,
+    buying_price: buyingPrice,
+    cost_price: buyingPrice,
+    price,
+    selling_price: price,
+    // Offcuts are sold when they are there and never reordered
+    alertThreshold: 0,
+    alert_threshold: 0,
+    notes: `Offcut of ${parent.parentDescription}`,
+    taxClass,
+    attributes,
+    offcut,
+    additional_data: {
+      category,
+      unit,
+      notes: `Offcut of ${parent.parentDescription}`,
+      brand: source.brand || '',
+      attributes,
+      offcut
+    }
+  };
+}
+
+/**
+ * Build the record of pieces written off as scrap
+ * @param {Object} source - The item the scrap was cut from
+ * @param {number} length - Length of each piece in metres
+ * @param {number} quantity - Number of pieces
+ * @returns {Object} item_id, item_description, length, quantity, total_length and cost
+ */
+function buildScrapRecord(source, length, quantity) {
+  const buyingPrice = parseFloat(source.buyingPrice || source.buying_price || source.cost_price) || 0;
+  return {
+    item_id: source.id,
+    item_description: source.description || '',
+    length: roundQuantity(length),
+    quantity,
+    total_length: roundQuantity(length * quantity),
+    cost: roundMoney(getCutPrice(buyingPrice, length, getItemLength(source)) * quantity)
+  };
+}
+
+module.exports = {
+  OFFCUT_SETTINGS_KEY,
+  SCRAP_RECORDS_KEY,
+  DEFAULT_OFFCUT_SETTINGS,
+  getOffcutSettings,
+  validateOffcutSettings,
+  getItemLength,
+  getOffcutSource,
+  getCutLength,
+  getCutPrice,
+  resolveCutLine,
+  isScrapLength,
+  findOffcutItem,
+  buildOffcutItem,
+  buildScrapRecord
+};
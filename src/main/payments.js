@@ -0,0 +1,152 @@
+/**
+ * Payments
+ * Tenders taken on a sale: one or more payment methods with amounts and references.
+ * The renderer only proposes them; the main process checks them against the sale total here.
+ */
+
+const { roundMoney } = require('./discounts');
+
+// Payment methods offered at the till; a reference is the M-Pesa transaction ID, cheque number and so on
+const PAYMENT_METHODS = [
+  { id: 'Cash', givesChange: true, requiresReference: false },
+  { id: 'Mobile Money', givesChange: false, requiresReference: true },
+  { id: 'Bank Transfer', givesChange: false, requiresReference: true },
+  { id: 'Check', givesChange: false, requiresReference: true },
+  { id: 'Credit Card', givesChange: false, requiresReference: false },
+  { id: 'Other', givesChange: false, requiresReference: false }
+];
+
+// Payment method shown on a sale paid with more than one tender
+const SPLIT_PAYMENT_METHOD = 'Split';
+
+// Tender type for the part of a sale left on the customer's account
+const ON_ACCOUNT_TENDER = 'On Account';
+
+/**
+ * Check the tenders entered for a new sale and work out the change due.
+ * Only cash gives change, so the change comes off the cash tendered and never off
+ * a mobile money, card or bank payment.
+ * @param {Array} tenders - method, amount tendered and reference per tender
+ * @param {number} total - Sale total
+ * @param {boolean} paidInFull - True when the tenders must cover the total
+ * @returns {Object} payments (method, tendered, amount applied to the sale and reference),
+ *   amountTendered, changeDue, amountPaid and paymentMethod
+ * @throws {Error} When a tender is invalid or the tenders do not cover the sale
+ */
+function applySaleTenders(tenders, total, paidInFull) {
+  const payments = (tenders || []).map(tender => {
+    const method = PAYMENT_METHODS.find(paymentMethod => paymentMethod.id === tender.method);
+    const tendered = roundMoney(parseFloat(tender.tendered !== undefined ? tender.tendered : tender.amount) || 0);
+    const reference = String(tender.reference || '').trim();
+
+    if (!method) {
+      throw new Error(`"${tender.method || ''}" is not a payment method`);
+    }
+    if (tendered <= 0) {
+      throw new Error(`Enter the amount paid by ${method.id}`);
+    }
+    if (method.requiresReference && !reference) {
+      throw new Error(`Enter the reference for the ${method.id} payment`);
+    }
+
+    return { method: method.id, tendered, amount: tendered, reference };
+  });
+
+  const amountTendered = roundMoney(payments.reduce((sum, payment) => sum + payment.tendered, 0));
+  const changeDue = roundMoney(Math.max(amountTendered - total, 0));
+
+  if (paidInFull && amountTendered < total) {
+    throw new Error(`The payments come to ${amountTendered.toLocaleString()}, short of the ${total.toLocaleString()} due`);
+  }
+  if (!paidInFull && changeDue > 0) {
+    throw new Error('A part payment cannot be more than the sale total');
+  }
+
+  // Take the change off the cash tenders, last first
+  let change = changeDue;
+  payments.slice().reverse().forEach(payment => {
+    const method = PAYMENT_METHODS.find(paymentMethod => paymentMethod.id === payment.method);
+    if (change > 0 && method.givesChange) {
+      const given = Math.min(change, payment.tendered);
+      payment.amount = roundMoney(payment.tendered - given);
+      change = roundMoney(change - given);
+    }
+  });
+  if (change > 0) {
+    throw new Error('Change can only be given from cash; reduce the card, mobile money or bank payment');
+  }
+
+  // Cash handed straight back as change paid nothing towards the sale
+  const applied = payments.filter(payment => payment.amount > 0);
+
+  return {
+    payments: applied,
+    amountTendered,
+    changeDue,
+    amountPaid: roundMoney(amountTendered - changeDue),
+    paymentMethod: applied.length > 1 ? SPLIT_PAYMENT_METHOD : (applied.length === 1 ? applied[0].method : '')
+  };
+}
+
+/**
+ * Read the tenders of a saved sale. Sales from before split payments have one
+ * tender in their payment method for the amount paid at the till.
+ * @param {Object} sale - Sale from the store or the sales table
+ * @returns {Array<Object>} method, amount and reference per tender
+ */
+function getSaleTenders(sale) {
+  if (Array.isArray(sale.payments) && sale.payments.length > 0) {
+    return sale.payments.map(payment => ({
+      method: payment.method,
+      amount: parseFloat(payment.amount) || 0,
+      reference: payment.reference || ''
+    }));
+  }
+
+  const total = parseFloat(sale.totalAmount !== undefined ? sale.totalAmount : sale.total_amount) || 0;
+  const amount = sale.onAccount ? parseFloat(sale.amountPaid) || 0 : total;
+  if (amount <= 0) {
+    return [];
+  }
+  return [{ method: sale.paymentMethod || sale.payment_method || 'Cash', amount, reference: '' }];
+}
+
+/**
+ * Total the money taken on a set of sales by tender type. Cash is counted net of the
+ * change given, and whatever was not paid at the till is shown as on account, so the
+ * tender totals add up to the sales total.
+ * @param {Array} sales - Sales
+ * @returns {Array<Object>} method, count of sales and amount per tender type, largest first
+ */
+function summarizeTenders(sales) {
+  const totals = {};
+  const add = (method, amount) => {
+    if (!totals[method]) {
+      totals[method] = { method, count: 0, amount: 0 };
+    }
+    totals[method].count += 1;
+    totals[method].amount = roundMoney(totals[method].amount + amount);
+  };
+
+  sales.forEach(sale => {
+    const total = parseFloat(sale.totalAmount !== undefined ? sale.totalAmount : sale.total_amount) || 0;
+    const tenders = getSaleTenders(sale);
+    tenders.forEach(tender => add(tender.method, tender.amount));
+
+    const unpaid = roundMoney(total - tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    if (unpaid > 0) {
+      add(ON_ACCOUNT_TENDER, unpaid);
+    }
+  });
+
+  return Object.values(totals).sort((a, b) => b.amount - a.amount);
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  SPLIT_PAYMENT_METHOD,
+  ON_ACCOUNT_TENDER,
+  applySaleTenders,
+  getSaleTenders,
+  summarizeTenders
+};
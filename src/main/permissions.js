@@ -0,0 +1,76 @@
+/**
+ * User roles and permissions
+ * Owners can do everything, managers run the shop day to day, cashiers only sell
+ */
+
+const USER_ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  CASHIER: 'cashier'
+};
+
+const PERMISSIONS = {
+  INVENTORY_EDIT: 'inventory.edit',
+  INVENTORY_DELETE: 'inventory.delete',
+  PURCHASING: 'purchasing',
+  SALES_RETURN: 'sales.return',
+  SALES_VOID: 'sales.void',
+  CASH_MANAGE: 'sales.cash_manage',
+  DISCOUNT_OVERRIDE: 'sales.discount_override',
+  CUSTOMERS_DELETE: 'customers.delete',
+  REPORTS_PROFIT: 'reports.profit',
+  AUDIT_VIEW: 'audit.view',
+  USERS_MANAGE: 'users.manage',
+  BACKUP_MANAGE: 'backup.manage',
+  SETTINGS_MANAGE: 'settings.manage'
+};
+
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.OWNER]: Object.values(PERMISSIONS),
+  [USER_ROLES.MANAGER]: [
+    PERMISSIONS.INVENTORY_EDIT,
+    PERMISSIONS.INVENTORY_DELETE,
+    PERMISSIONS.PURCHASING,
+    PERMISSIONS.SALES_RETURN,
+    PERMISSIONS.SALES_VOID,
+    PERMISSIONS.CASH_MANAGE,
+    PERMISSIONS.DISCOUNT_OVERRIDE,
+    PERMISSIONS.CUSTOMERS_DELETE,
+    PERMISSIONS.REPORTS_PROFIT
+  ],
+  [USER_ROLES.CASHIER]: []
+};
+
+// Largest discount, as a percentage of the sale before discounts, each role may give on its own
+const DEFAULT_DISCOUNT_LIMITS = {
+  [USER_ROLES.OWNER]: 100,
+  [USER_ROLES.MANAGER]: 15,
+  [USER_ROLES.CASHIER]: 5
+};
+
+/**
+ * List the permissions granted to a role
+ * @param {string} role - User role
+ * @returns {Array<string>} Permissions
+ */
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+module.exports = {
+  USER_ROLES,
+  PERMISSIONS,
+  DEFAULT_DISCOUNT_LIMITS,
+  getPermissions,
+  hasPermission
+};
@@ -33,6 +33,14 @@ contextBridge.exposeInMainWorld(
     backupDatabase: (backupPath) => safeIpc('backup-database', backupPath),
     restoreDatabase: (restorePath) => safeIpc('restore-database', restorePath),
     
+    // Scheduled backups and restore
+    getBackupSettings: () => safeIpc('get-backup-settings'),
+    updateBackupSettings: (settings) => safeIpc('update-backup-settings', settings),
+    chooseBackupDirectory: () => safeIpc('choose-backup-directory'),
+    createBackup: () => safeIpc('create-backup'),
+    listBackups: () => safeIpc('list-backups'),
+    restoreBackup: (backupId) => safeIpc('restore-backup', backupId),
+    
     // SQLite specific functions
     optimizeDatabase: () => safeIpc('optimize-database'),
     repairDatabase: () => safeIpc('repair-database'),
@@ -76,8 +84,49 @@ contextBridge.exposeInMainWorld(
       return safeIpc('delete-inventory-item', itemId);
     },
     searchInventory: (criteria) => safeIpc('search-inventory', criteria),
-    getLowStockItems: () => safeIpc('get-low-stock-items'),
+    getLowStockItems: (locationId) => safeIpc('get-low-stock-items', locationId),
     bulkUpdateInventory: (items) => safeIpc('bulk-update-inventory', items),
+    adjustInventoryStock: (adjustment) => safeIpc('adjust-inventory-stock', adjustment),
+    getStockMovements: (filters) => safeIpc('get-stock-movements', filters),
+    getReservations: (filters) => safeIpc('get-reservations', filters),
+    createReservation: (reservation) => safeIpc('create-reservation', reservation),
+    releaseReservation: (reservationId, reason) => safeIpc('release-reservation', reservationId, reason),
+    getProductTypes: () => safeIpc('get-product-types'),
+    saveProductType: (productType) => safeIpc('save-product-type', productType),
+    deleteProductType: (productTypeId) => safeIpc('delete-product-type', productTypeId),
+    
+    // Stock locations and transfers between them
+    getLocations: () => safeIpc('get-locations'),
+    saveLocation: (location) => safeIpc('save-location', location),
+    getStockTransfers: (filters) => safeIpc('get-stock-transfers', filters),
+    saveStockTransfer: (transfer) => safeIpc('save-stock-transfer', transfer),
+    dispatchStockTransfer: (transferId) => safeIpc('dispatch-stock-transfer', transferId),
+    receiveStockTransfer: (transferId) => safeIpc('receive-stock-transfer', transferId),
+    cancelStockTransfer: (request) => safeIpc('cancel-stock-transfer', request),
+    
+    // Stock takes
+    getStockTakes: (filters) => safeIpc('get-stock-takes', filters),
+    getStockTake: (stockTakeId) => safeIpc('get-stock-take', stockTakeId),
+    startStockTake: (scope) => safeIpc('start-stock-take', scope),
+    recordStockTakeCount: (count) => safeIpc('record-stock-take-count', count),
+    postStockTake: (stockTakeId) => safeIpc('post-stock-take', stockTakeId),
+    cancelStockTake: (stockTakeId) => safeIpc('cancel-stock-take', stockTakeId),
+    generateCountSheets: (stockTakeId) => safeIpc('generate-count-sheets', stockTakeId),
+    
+    // Bulk inventory import
+    chooseImportFile: () => safeIpc('choose-import-file'),
+    previewInventoryImport: (options) => safeIpc('preview-inventory-import', options),
+    importInventory: (options) => safeIpc('import-inventory', options),
+    
+    // Suppliers and purchase orders
+    getSuppliers: () => safeIpc('get-suppliers'),
+    saveSupplier: (supplier) => safeIpc('save-supplier', supplier),
+    getPurchaseOrders: (filters) => safeIpc('get-purchase-orders', filters),
+    getPurchaseOrder: (orderId) => safeIpc('get-purchase-order', orderId),
+    savePurchaseOrder: (order) => safeIpc('save-purchase-order', order),
+    updatePurchaseOrderStatus: (orderId, status) => safeIpc('update-purchase-order-status', { orderId, status }),
+    receivePurchaseOrder: (receipt) => safeIpc('receive-purchase-order', receipt),
+    getGoodsReceivedNotes: (filters) => safeIpc('get-goods-received-notes', filters),
     
     // Sales operations
     getSales: () => ipcRenderer.invoke('get-sales'),
@@ -86,6 +135,21 @@ contextBridge.exposeInMainWorld(
     searchSales: (criteria) => safeIpc('search-sales', criteria),
     getSalesByPeriod: (period, customRange) => safeIpc('get-sales-by-period', period, customRange),
     getSaleItems: (saleId) => safeIpc('get-sale-items', saleId),
+    processSaleReturn: (request) => safeIpc('process-sale-return', request),
+    getSalesReturns: (filters) => safeIpc('get-sales-returns', filters),
+    voidSale: (request) => safeIpc('void-sale', request),
+    generateCreditNote: (returnId) => safeIpc('generate-credit-note', returnId),
+    getCashSession: () => safeIpc('get-cash-session'),
+    getCashSessions: (filters) => safeIpc('get-cash-sessions', filters),
+    openCashSession: (request) => safeIpc('open-cash-session', request),
+    closeCashSession: (request) => safeIpc('close-cash-session', request),
+    generateZReport: (sessionId) => safeIpc('generate-z-report', sessionId),
+    getQuotations: (filters) => safeIpc('get-quotations', filters),
+    getQuotation: (quotationId) => safeIpc('get-quotation', quotationId),
+    saveQuotation: (quotation) => safeIpc('save-quotation', quotation),
+    updateQuotationStatus: (quotationId, status) => safeIpc('update-quotation-status', { quotationId, status }),
+    convertQuotation: (request) => safeIpc('convert-quotation', request),
+    generateQuotationPDF: (quotationId) => safeIpc('generate-quotation-pdf', quotationId),
     
     // Customer operations
     getCustomers: () => {
@@ -113,6 +177,11 @@ contextBridge.exposeInMainWorld(
       return safeIpc('update-customer-purchase-stats', { customerId, purchaseAmount });
     },
     searchCustomers: (criteria) => safeIpc('search-customers', criteria),
+    getCustomerAccount: (customerId, options) => safeIpc('get-customer-account', customerId, options),
+    getCustomerPayments: (filters) => safeIpc('get-customer-payments', filters),
+    recordCustomerPayment: (payment) => safeIpc('record-customer-payment', payment),
+    getAgedReceivables: () => safeIpc('get-aged-receivables'),
+    generateCustomerStatement: (customerId, options) => safeIpc('generate-customer-statement', customerId, options),
     
   // Reports operations
     getReports: () => ipcRenderer.invoke('get-reports'),
@@ -130,6 +199,14 @@ contextBridge.exposeInMainWorld(
     // Settings operations
     getSettings: () => safeIpc('get-settings'),
     updateSettings: (settings) => safeIpc('update-settings', settings),
+    getDocumentNumbering: () => safeIpc('get-document-numbering'),
+    updateDocumentNumbering: (request) => safeIpc('update-document-numbering', request),
+    getDiscountLimits: () => safeIpc('get-discount-limits'),
+    updateDiscountLimits: (limits) => safeIpc('update-discount-limits', limits),
+    getTaxSettings: () => safeIpc('get-tax-settings'),
+    updateTaxSettings: (settings) => safeIpc('update-tax-settings', settings),
+    getOffcutSettings: () => safeIpc('get-offcut-settings'),
+    updateOffcutSettings: (settings) => safeIpc('update-offcut-settings', settings),
     getSettingByKey: (key) => safeIpc('get-setting-by-key', key),
     setSettingValue: (key, value) => safeIpc('set-setting-value', key, value),
   
@@ -161,6 +238,66 @@ contextBridge.exposeInMainWorld(
     return () => ipcRenderer.removeListener('sale-created', callback);
   },
   
+  onSaleUpdated: (callback) => {
+    ipcRenderer.on('sale-updated', (_, sale) => callback(sale));
+    return () => ipcRenderer.removeListener('sale-updated', callback);
+  },
+  
+  onSalesReturnCreated: (callback) => {
+    ipcRenderer.on('sales-return-created', (_, salesReturn) => callback(salesReturn));
+    return () => ipcRenderer.removeListener('sales-return-created', callback);
+  },
+  
+  onCustomerPaymentRecorded: (callback) => {
+    ipcRenderer.on('customer-payment-recorded', (_, payment) => callback(payment));
+    return () => ipcRenderer.removeListener('customer-payment-recorded', callback);
+  },
+  
+  onStockMovementCreated: (callback) => {
+    ipcRenderer.on('stock-movement-created', (_, movement) => callback(movement));
+    return () => ipcRenderer.removeListener('stock-movement-created', callback);
+  },
+  
+  onReservationUpdated: (callback) => {
+    ipcRenderer.on('reservation-updated', (_, reservation) => callback(reservation));
+    return () => ipcRenderer.removeListener('reservation-updated', callback);
+  },
+  
+  onProductTypesUpdated: (callback) => {
+    ipcRenderer.on('product-types-updated', (_, productTypes) => callback(productTypes));
+    return () => ipcRenderer.removeListener('product-types-updated', callback);
+  },
+  
+  onLocationsUpdated: (callback) => {
+    ipcRenderer.on('locations-updated', (_, locations) => callback(locations));
+    return () => ipcRenderer.removeListener('locations-updated', callback);
+  },
+  
+  onStockTransferUpdated: (callback) => {
+    ipcRenderer.on('stock-transfer-updated', (_, transfer) => callback(transfer));
+    return () => ipcRenderer.removeListener('stock-transfer-updated', callback);
+  },
+  
+  onStockTakeUpdated: (callback) => {
+    ipcRenderer.on('stock-take-updated', (_, stockTake) => callback(stockTake));
+    return () => ipcRenderer.removeListener('stock-take-updated', callback);
+  },
+  
+  onQuotationUpdated: (callback) => {
+    ipcRenderer.on('quotation-updated', (_, quotation) => callback(quotation));
+    return () => ipcRenderer.removeListener('quotation-updated', callback);
+  },
+  
+  onPurchaseOrderUpdated: (callback) => {
+    ipcRenderer.on('purchase-order-updated', (_, order) => callback(order));
+    return () => ipcRenderer.removeListener('purchase-order-updated', callback);
+  },
+  
+  onGoodsReceived: (callback) => {
+    ipcRenderer.on('goods-received', (_, grn) => callback(grn));
+    return () => ipcRenderer.removeListener('goods-received', callback);
+  },
+  
   onDatabaseError: (callback) => {
     ipcRenderer.on('database-error', (_, error) => callback(error));
     return () => ipcRenderer.removeListener('database-error', callback);
@@ -261,6 +398,15 @@ contextBridge.exposeInMainWorld(
   getUserSession: () => safeIpc('get-user-session'),
   setUserSession: (session) => safeIpc('set-user-session', session),
   clearUserSession: () => safeIpc('clear-user-session'),
+  
+  // User accounts; credentials go straight to invoke so they are never logged
+  getLoginUsers: () => safeIpc('get-login-users'),
+  setupOwnerAccount: (details) => ipcRenderer.invoke('setup-owner-account', details),
+  login: (username, password) => ipcRenderer.invoke('login', { username, password }),
+  getUsers: () => safeIpc('get-users'),
+  createUser: (details) => ipcRenderer.invoke('create-user', details),
+  changePassword: (details) => ipcRenderer.invoke('change-password', details),
+  deactivateUser: (userId) => safeIpc('deactivate-user', userId),
   }
 );
 
@@ -284,8 +430,9 @@ contextBridge.exposeInMainWorld('SalesHandlers', {
     getSalesSummary: async (sales) => {
         return await ipcRenderer.invoke('get-sales-summary', sales);
     },
-    deleteSale: async (saleId) => {
-        return await ipcRenderer.invoke('delete-sale', saleId);
+    // Sales are never deleted; they are voided with a reason and stay in the audit trail
+    deleteSale: async (saleId, reason) => {
+        return await ipcRenderer.invoke('void-sale', { saleId, reason });
     }
 });
 
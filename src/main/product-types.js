@@ -0,0 +1,343 @@
+/**
+ * Product Types
+ * The product categories the shop stocks, the product types in each and the attributes an
+ * item of the category carries (e.g. the pressure class of a pipe or the capacity of a tank).
+ * Items keep the category name and their attribute values; forms and search filters are
+ * built from the schema here.
+ */
+
+const PRODUCT_TYPES_KEY = 'product_types';
+
+// Category for one-off items typed in by hand; it has no schema
+const CUSTOM_CATEGORY = 'Custom';
+
+const ATTRIBUTE_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  ENUM: 'enum'
+};
+
+const DEFAULT_PRODUCT_TYPES = [
+  {
+    id: 'pipes',
+    name: 'Pipes',
+    label: 'Pipes & Plumbing',
+    subtypes: ['PVC Pipe', 'HDPE Pipe', 'Steel Pipe', 'Copper Pipe', 'PPR Pipe', 'UPVC Pipe', 'GI Pipe', 'Pipe Fittings', 'Pipe Valves'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'material', label: 'Material', type: 'enum', required: true, options: ['PVC', 'UPVC', 'HDPE', 'PPR', 'GI', 'Steel', 'Copper'] },
+      { key: 'pressure_class', label: 'Pressure Class', type: 'enum', required: false, options: ['PN6', 'PN10', 'PN16', 'PN20', 'PN25'] },
+      { key: 'length', label: 'Length', type: 'number', required: false, unit: 'm' }
+    ]
+  },
+  {
+    id: 'tanks',
+    name: 'Tanks',
+    label: 'Water Tanks',
+    subtypes: ['Plastic Tank', 'Steel Tank', 'Underground Tank', 'Tank Stand', 'Tank Fittings'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'capacity', label: 'Capacity', type: 'number', required: true, unit: 'L' },
+      { key: 'material', label: 'Material', type: 'enum', required: false, options: ['Plastic', 'Steel', 'Concrete'] },
+      { key: 'orientation', label: 'Orientation', type: 'enum', required: false, options: ['Vertical', 'Horizontal', 'Underground'] }
+    ]
+  },
+  {
+    id: 'pumps',
+    name: 'Pumps',
+    label: 'Pumps',
+    subtypes: ['Surface Pump', 'Submersible Pump', 'Booster Pump', 'Borehole Pump', 'Pressure Controller', 'Pump Spares'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'power', label: 'Power', type: 'number', required: true, unit: 'kW' },
+      { key: 'voltage', label: 'Voltage', type: 'enum', required: false, options: ['230V AC', '400V AC', '12V DC', '24V DC', '48V DC'] },
+      { key: 'max_head', label: 'Maximum Head', type: 'number', required: false, unit: 'm' },
+      { key: 'flow_rate', label: 'Flow Rate', type: 'number', required: false, unit: 'L/min' }
+    ]
+  },
+  {
+    id: 'solar',
+    name: 'Solar',
+    label: 'Solar & Fittings',
+    subtypes: ['Solar Panels', 'Solar Water Heaters', 'Charge Controllers', 'Inverters', 'Batteries', 'Solar Pump Kits', 'Mounting Fittings', 'Solar Cables'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'power_rating', label: 'Power Rating', type: 'number', required: false, unit: 'W' },
+      { key: 'system_voltage', label: 'System Voltage', type: 'enum', required: false, options: ['12V', '24V', '48V'] },
+      { key: 'fitting_size', label: 'Fitting Size', type: 'text', required: false }
+    ]
+  },
+  {
+    id: 'paint',
+    name: 'Paint',
+    label: 'Paint & Accessories',
+    subtypes: ['Emulsion Paint', 'Enamel Paint', 'Primer', 'Varnish', 'Wood Stain', 'Spray Paint', 'Textured Paint', 'Ceiling Paint'],
+    defaultUnit: 'liter',
+    attributes: [
+      { key: 'volume', label: 'Volume', type: 'number', required: false, unit: 'L' },
+      { key: 'finish', label: 'Finish', type: 'enum', required: false, options: ['Matt', 'Silk', 'Satin', 'Gloss'] }
+    ]
+  },
+  {
+    id: 'building',
+    name: 'Building',
+    label: 'Building Materials',
+    subtypes: ['Cement', 'Sand', 'Gravel', 'Bricks', 'Blocks', 'Concrete', 'Reinforcement', 'Wood', 'Plywood', 'Gypsum'],
+    defaultUnit: 'bag',
+    attributes: [
+      { key: 'weight', label: 'Weight', type: 'number', required: false, unit: 'kg' },
+      { key: 'grade', label: 'Grade', type: 'text', required: false }
+    ]
+  },
+  {
+    id: 'electrical',
+    name: 'Electrical',
+    label: 'Electrical Supplies',
+    subtypes: ['Cables', 'Switches', 'Sockets', 'Circuit Breakers', 'Distribution Boards', 'Conduits', 'Electrical Boxes'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'current_rating', label: 'Current Rating', type: 'number', required: false, unit: 'A' },
+      { key: 'cable_size', label: 'Cable Size', type: 'text', required: false }
+    ]
+  },
+  {
+    id: 'hardware',
+    name: 'Hardware',
+    label: 'Hardware & Fasteners',
+    subtypes: ['Nails', 'Screws', 'Bolts', 'Nuts', 'Washers', 'Hinges', 'Locks', 'Handles', 'Brackets', 'Chains'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'material', label: 'Material', type: 'enum', required: false, options: ['Steel', 'Stainless Steel', 'Galvanized', 'Brass'] }
+    ]
+  },
+  {
+    id: 'tools',
+    name: 'Tools',
+    label: 'Tools & Equipment',
+    subtypes: ['Hand Tools', 'Power Tools', 'Measuring Tools', 'Cutting Tools', 'Drilling Tools', 'Safety Equipment'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'power_source', label: 'Power Source', type: 'enum', required: false, options: ['Manual', 'Corded', 'Cordless'] },
+      { key: 'model', label: 'Model', type: 'text', required: false }
+    ]
+  },
+  {
+    id: 'roofing',
+    name: 'Roofing',
+    label: 'Roofing Materials',
+    subtypes: ['Metal Sheets', 'Roof Tiles', 'Roof Panels', 'Waterproofing', 'Gutters', 'Roof Fasteners'],
+    defaultUnit: 'sheet',
+    attributes: [
+      { key: 'gauge', label: 'Gauge', type: 'text', required: false },
+      { key: 'length', label: 'Length', type: 'number', required: false, unit: 'm' }
+    ]
+  },
+  {
+    id: 'flooring',
+    name: 'Flooring',
+    label: 'Flooring Materials',
+    subtypes: ['Tiles', 'Wooden Flooring', 'Laminate Flooring', 'Vinyl Flooring', 'Carpet', 'Floor Adhesives'],
+    defaultUnit: 'square_meter',
+    attributes: [
+      { key: 'coverage', label: 'Coverage', type: 'number', required: false, unit: 'm²' }
+    ]
+  },
+  {
+    id: 'lighting',
+    name: 'Lighting',
+    label: 'Lighting Fixtures',
+    subtypes: ['Bulbs', 'LED Lights', 'Tubes', 'Lamps', 'Fixtures', 'Emergency Lights', 'Decorative Lights'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'wattage', label: 'Wattage', type: 'number', required: false, unit: 'W' },
+      { key: 'colour_temperature', label: 'Colour Temperature', type: 'enum', required: false, options: ['Warm White', 'Cool White', 'Daylight'] }
+    ]
+  },
+  {
+    id: 'bath',
+    name: 'Bath',
+    label: 'Bath & Kitchen',
+    subtypes: ['Taps', 'Showers', 'Basins', 'Toilets', 'Bathtubs', 'Bathroom Accessories', 'Kitchen Sinks', 'Faucets'],
+    defaultUnit: 'piece',
+    attributes: [
+      { key: 'material', label: 'Material', type: 'enum', required: false, options: ['Ceramic', 'Stainless Steel', 'Brass', 'Plastic'] }
+    ]
+  }
+];
+
+/**
+ * Turn a name into an ID or attribute key
+ * @param {string} value - Name
+ * @returns {string} Lower-case letters, digits and underscores
+ */
+function toKey(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Read the saved product types, falling back to the defaults. Early versions stored five
+ * types with plain attribute names and no product types; those are replaced by the defaults.
+ * @param {Array} [saved] - Product types from the store
+ * @returns {Array<Object>} Product types
+ */
+function getProductTypes(saved) {
+  const types = (saved || []).filter(type => type && Array.isArray(type.subtypes));
+  return types.length > 0 ? types : DEFAULT_PRODUCT_TYPES.map(type => ({ ...type }));
+}
+
+/**
+ * Find the product type of an item's category
+ * @param {Array} productTypes - Product types
+ * @param {string} category - Category name stored on the item
+ * @returns {Object|null} Product type
+ */
+function findProductType(productTypes, category) {
+  const name = String(category || '').toLowerCase();
+  return productTypes.find(type => type.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Validate one attribute definition
+ * @param {Object} attribute - key, label, type, required, options and unit
+ * @param {string} typeLabel - Product type label for error messages
+ * @returns {Object} Clean attribute
+ * @throws {Error} When the attribute is invalid
+ */
+function validateAttribute(attribute, typeLabel) {
+  const label = String(attribute.label || '').trim();
+  const key = toKey(attribute.key || label);
+  const type = String(attribute.type || ATTRIBUTE_TYPES.TEXT).toLowerCase();
+
+  if (!label) {
+    throw new Error(`Every attribute of ${typeLabel} needs a name`);
+  }
+  if (!/^[a-z][a-z0-9_]{0,29}$/.test(key)) {
+    throw new Error(`"${label}" cannot be used as an attribute name; start it with a letter`);
+  }
+  if (!Object.values(ATTRIBUTE_TYPES).includes(type)) {
+    throw new Error(`Attribute ${label} must be text, a number or a list of values`);
+  }
+
+  const clean = { key, label, type, required: !!attribute.required };
+
+  if (type === ATTRIBUTE_TYPES.ENUM) {
+    const options = (Array.isArray(attribute.options) ? attribute.options : String(attribute.options || '').split(','))
+      .map(option => String(option).trim())
+      .filter(Boolean);
+    const unique = options.filter((option, index) =>
+      options.findIndex(other => other.toLowerCase() === option.toLowerCase()) === index);
+    if (unique.length === 0) {
+      throw new Error(`List the allowed values of ${label}, e.g. PN10, PN16`);
+    }
+    clean.options = unique;
+  }
+  if (type === ATTRIBUTE_TYPES.NUMBER && String(attribute.unit || '').trim()) {
+    clean.unit = String(attribute.unit).trim();
+  }
+
+  return clean;
+}
+
+/**
+ * Validate a product type from the product type manager
+ * @param {Object} newType - name, label, subtypes, defaultUnit and attributes; id when editing
+ * @param {Array} productTypes - Existing product types
+ * @returns {Object} Clean product type
+ * @throws {Error} When the type or one of its attributes is invalid
+ */
+function validateProductType(newType = {}, productTypes = []) {
+  const existing = newType.id ? productTypes.find(type => type.id === newType.id) : null;
+  if (newType.id && !existing) {
+    throw new Error('Product type not found');
+  }
+
+  // Items store the category name, so it stays fixed once the type exists
+  const name = existing ? existing.name : String(newType.name || '').trim();
+  const label = String(newType.label || '').trim() || name;
+
+  if (!name) {
+    throw new Error('Product category name is required');
+  }
+  if (name.toLowerCase() === CUSTOM_CATEGORY.toLowerCase()) {
+    throw new Error(`${CUSTOM_CATEGORY} is reserved for items without a product type`);
+  }
+  if (!existing && productTypes.some(type => type.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`Product category ${name} already exists`);
+  }
+
+  const subtypes = (Array.isArray(newType.subtypes) ? newType.subtypes : String(newType.subtypes || '').split(','))
+    .map(subtype => String(subtype).trim())
+    .filter((subtype, index, all) => subtype && all.indexOf(subtype) === index);
+  if (subtypes.length === 0) {
+    throw new Error(`Add at least one product type to ${label}`);
+  }
+
+  const attributes = (newType.attributes || []).map(attribute => validateAttribute(attribute, label));
+  const keys = attributes.map(attribute => attribute.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw new Error(`${label} has more than one attribute called ${duplicate}`);
+  }
+
+  return {
+    id: existing ? existing.id : toKey(name),
+    name,
+    label,
+    subtypes,
+    defaultUnit: String(newType.defaultUnit || '').trim() || 'piece',
+    attributes
+  };
+}
+
+/**
+ * Check an item's attribute values against its product type. Values for attributes the
+ * type does not define are dropped.
+ * @param {Object} productType - Product type of the item's category
+ * @param {Object} [values] - Attribute values keyed by attribute key
+ * @returns {Object} Clean values: numbers parsed, list values in their listed spelling
+ * @throws {Error} When a required value is missing or a value is not allowed
+ */
+function validateItemAttributes(productType, values = {}) {
+  const clean = {};
+
+  productType.attributes.forEach(attribute => {
+    const raw = values[attribute.key];
+    const text = raw === undefined || raw === null ? '' : String(raw).trim();
+
+    if (!text) {
+      if (attribute.required) {
+        throw new Error(`${attribute.label} is required for ${productType.label}`);
+      }
+      return;
+    }
+
+    if (attribute.type === ATTRIBUTE_TYPES.NUMBER) {
+      const number = Number(text);
+      if (isNaN(number)) {
+        throw new Error(`${attribute.label} must be a number`);
+      }
+      clean[attribute.key] = number;
+    } else if (attribute.type === ATTRIBUTE_TYPES.ENUM) {
+      const option = attribute.options.find(allowed => allowed.toLowerCase() === text.toLowerCase());
+      if (!option) {
+        throw new Error(`${attribute.label} must be one of ${attribute.options.join(', ')}`);
+      }
+      clean[attribute.key] = option;
+    } else {
+      clean[attribute.key] = text;
+    }
+  });
+
+  return clean;
+}
+
+module.exports = {
+  PRODUCT_TYPES_KEY,
+  CUSTOM_CATEGORY,
+  ATTRIBUTE_TYPES,
+  DEFAULT_PRODUCT_TYPES,
+  getProductTypes,
+  findProductType,
+  validateProductType,
+  validateItemAttributes
+};
@@ -0,0 +1,163 @@
+/**
+ * Quotations
+ * Pro-forma quotes for customers, priced like a sale but taking no stock or money.
+ * A quote is valid until its expiry date; accepting it turns it into a sale at the
+ * prices and stock of the day.
+ */
+
+const { roundMoney } = require('./discounts');
+const { normalizeUnit, describeUnit, getBaseUnit, getItemUnits, roundQuantity } = require('./units');
+const { getItemLength, getCutLength, getCutPrice } = require('./offcuts');
+
+const QUOTATION_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  ACCEPTED: 'accepted',
+  EXPIRED: 'expired'
+};
+
+// Days a new quotation stays valid unless another expiry date is entered
+const DEFAULT_VALIDITY_DAYS = 14;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Expiry date of a quotation issued today
+ * @param {Date} [from] - Issue date
+ * @returns {string} YYYY-MM-DD
+ */
+function getDefaultValidUntil(from = new Date()) {
+  const date = new Date(from);
+  date.setDate(date.getDate() + DEFAULT_VALIDITY_DAYS);
+  return toDateString(date);
+}
+
+/**
+ * Work out the status of a quotation. A draft or sent quote still open after its
+ * expiry date is expired; the stored status only changes when the quote is saved again.
+ * @param {Object} quotation - Quotation with status and valid_until (YYYY-MM-DD)
+ * @param {Date} [now] - Current time
+ * @returns {string} One of QUOTATION_STATUS
+ */
+function getQuotationStatus(quotation, now = new Date()) {
+  const open = [QUOTATION_STATUS.DRAFT, QUOTATION_STATUS.SENT].includes(quotation.status);
+  if (open && quotation.valid_until && quotation.valid_until < toDateString(now)) {
+    return QUOTATION_STATUS.EXPIRED;
+  }
+  return quotation.status;
+}
+
+/**
+ * Turn priced sale lines into quotation lines
+ * @param {Array} items - Lines from applySaleTax()
+ * @returns {Array<Object>} Quotation lines
+ */
+function toQuotationLines(items) {
+  return items.map(item => ({
+    item_id: item.itemId || item.id,
+    description: item.description || '',
+    type: item.type || '',
+    dimension: item.dimension || '',
+    quantity: parseFloat(item.quantity) || 0,
+    unit: item.unit || null,
+    unit_factor: parseFloat(item.unitFactor) || 1,
+    cut_length: getCutLength(item) || null,
+    unit_price: parseFloat(item.price) || 0,
+    discount_type: item.discountType,
+    discount_value: item.discountValue,
+    discount: item.discount,
+    total: item.total,
+    invoice_discount: item.invoiceDiscount,
+    tax_class: item.taxClass,
+    tax_rate: item.taxRate,
+    tax_exempt: !!item.taxExempt,
+    taxable_amount: item.taxableAmount,
+    tax_amount: item.taxAmount
+  }));
+}
+
+/**
+ * Turn quotation lines back into sale lines, as the sale form would send them
+ * @param {Array} lines - Quotation lines
+ * @returns {Array<Object>} Sale lines with id, description, quantity, unit, cut length, price and discount
+ */
+function toSaleItems(lines) {
+  return lines.map(line => ({
+    id: line.item_id,
+    description: line.description,
+    type: line.type,
+    dimension: line.dimension,
+    quantity: parseFloat(line.quantity) || 0,
+    unit: line.unit || null,
+    cutLength: getCutLength(line) || null,
+    price: parseFloat(line.unit_price) || 0,
+    discountType: line.discount_type,
+    discountValue: line.discount_value
+  }));
+}
+
+/**
+ * Check a quotation against the stock and prices of the day before it becomes a sale
+ * @param {Object} quotation - Quotation with items
+ * @param {Object} inventoryItems - Current inventory items keyed by ID
+ * @returns {Object} items (sale lines at today's prices), missing (descriptions of items no longer
+ *   stocked), shortages (description, quantity, available) and priceChanges (description, quotedPrice, currentPrice)
+ */
+function checkQuotationStock(quotation, inventoryItems) {
+  const missing = [];
+  const priceChanges = [];
+  const requested = {};
+
+  const items = toSaleItems(quotation.items || []).map(item => {
+    const inventoryItem = inventoryItems[item.id];
+    if (!inventoryItem) {
+      missing.push(item.description || item.id);
+      return item;
+    }
+
+    // Priced and counted in the unit it was quoted in, at today's conversion
+    const unit = getItemUnits(inventoryItem).find(option => option.unit === normalizeUnit(item.unit || getBaseUnit(inventoryItem)));
+    if (!unit) {
+      missing.push(`${item.description || item.id} by the ${describeUnit(item.unit)}`);
+      return item;
+    }
+
+    requested[item.id] = roundQuantity((requested[item.id] || 0) + item.quantity * unit.factor);
+    // A piece cut to length is priced as its share of the full length
+    const currentPrice = item.cutLength
+      ? getCutPrice(unit.price, item.cutLength, getItemLength(inventoryItem))
+      : roundMoney(unit.price);
+    if (currentPrice !== roundMoney(item.price)) {
+      priceChanges.push({ description: item.description, quotedPrice: item.price, currentPrice });
+    }
+    return { ...item, price: currentPrice };
+  });
+
+  const shortages = Object.keys(requested)
+    .filter(itemId => requested[itemId] > (parseFloat(inventoryItems[itemId].quantity) || 0))
+    .map(itemId => ({
+      description: inventoryItems[itemId].description,
+      quantity: requested[itemId],
+      available: parseFloat(inventoryItems[itemId].quantity) || 0
+    }));
+
+  return { items, missing, shortages, priceChanges };
+}
+
+module.exports = {
+  QUOTATION_STATUS,
+  DEFAULT_VALIDITY_DAYS,
+  getDefaultValidUntil,
+  getQuotationStatus,
+  toQuotationLines,
+  toSaleItems,
+  checkQuotationStock
+};
@@ -10,6 +10,9 @@ const log = require('electron-log');
 const Store = require('electron-store');
 const moment = require('moment');
 const { v4: uuidv4 } = require('uuid');
+const { roundMoney } = require('./discounts');
+const { TAX_SETTINGS_KEY, LEGACY_TAX_CLASS, getTaxSettings, summarizeTax } = require('./tax');
+const { getSaleTenders, summarizeTenders } = require('./payments');
 
 // Import database modules - these will be injected from main process
 let db = null;
@@ -157,21 +160,32 @@ async function addReport(reportData) {
       case 'supplier':
         reportContent = await generateSupplierReport(reportData.period);
         break;
+      case 'vat':
+        reportContent = await generateVatReport(reportData.period);
+        break;
+      case 'cash':
+        reportContent = await generateCashReport(reportData.period);
+        break;
+      case 'scrap':
+        reportContent = await generateScrapReport(reportData.period);
+        break;
       default:
         reportContent = await generateInventoryReport(reportData.period);
     }
     
     // Create report object with real data
+    const typeLabels = { vat: 'VAT', cash: 'Cash Drawer', scrap: 'Offcut Scrap' };
+    const typeLabel = typeLabels[reportData.type] || reportData.type.charAt(0).toUpperCase() + reportData.type.slice(1);
     const report = {
       id: `report-${uuidv4()}`,
-      title: `${reportData.type.charAt(0).toUpperCase() + reportData.type.slice(1)} Report - ${getPeriodDescription(reportData.period)}`,
+      title: `${typeLabel} Report - ${getPeriodDescription(reportData.period)}`,
       type: reportData.type,
       date: now.toLocaleDateString('en-US', {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
       }),
-      description: `${reportData.type.charAt(0).toUpperCase() + reportData.type.slice(1)} report for ${getPeriodDescription(reportData.period)}`,
+      description: `${typeLabel} report for ${getPeriodDescription(reportData.period)}`,
       createdAt: now.toISOString(),
       period: reportData.period,
       format: reportData.format,
@@ -615,11 +629,12 @@ async function generateSalesReport(period = 'this_month') {
     const { startDate, endDate } = getPeriodDates(period);
     const filteredSales = sales.filter(sale => {
       const saleDate = new Date(sale.date || sale.createdAt);
-      return saleDate >= startDate && saleDate <= endDate;
+      return !isVoidedSale(sale) && saleDate >= startDate && saleDate <= endDate;
     });
     
     // Calculate sales statistics
     let totalRevenue = 0;
+    let totalDiscounts = 0;
     let totalItems = 0;
     let totalTransactions = filteredSales.length;
     const dailyRevenue = {};
@@ -628,13 +643,12 @@ async function generateSalesReport(period = 'this_month') {
     filteredSales.forEach(sale => {
       const revenue = parseFloat(sale.totalAmount || sale.total_amount) || 0;
       totalRevenue += revenue;
+      totalDiscounts += getSaleDiscount(sale);
       
       // Count items
-      if (sale.items && Array.isArray(sale.items)) {
-        sale.items.forEach(item => {
-          totalItems += parseInt(item.quantity) || 0;
-        });
-      }
+      getSaleLines(sale).forEach(item => {
+        totalItems += item.quantity;
+      });
       
       // Daily revenue tracking
       const saleDate = moment(sale.date || sale.createdAt).format('YYYY-MM-DD');
@@ -663,26 +677,46 @@ async function generateSalesReport(period = 'this_month') {
       'Date': moment(sale.date || sale.createdAt).format('DD/MM/YYYY'),
       'Invoice #': sale.invoiceNumber || sale.receipt_number || sale.id,
       'Customer': sale.buyer?.name || sale.customer_name || 'Walk-in Customer',
-      'Items': sale.items ? sale.items.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0) : 0,
+      'Items': getSaleLines(sale).reduce((sum, item) => sum + item.quantity, 0),
+      'Discount': getSaleDiscount(sale) > 0 ? `${currencySymbol} ${getSaleDiscount(sale).toLocaleString()}` : '-',
       'Total': `${currencySymbol} ${parseFloat(sale.totalAmount || sale.total_amount || 0).toLocaleString()}`,
-      'Payment Method': sale.paymentMethod || sale.payment_method || 'Cash',
+      'Payment Method': getSaleTenders(sale).length > 1
+        ? getSaleTenders(sale).map(tender => `${tender.method} ${tender.amount.toLocaleString()}`).join(' + ')
+        : sale.paymentMethod || sale.payment_method || 'Cash',
       'Status': sale.status || 'Completed'
     }));
     
+    // Money taken by tender type, cash net of change, for cashing up at the end of the day
+    const tenderTotals = summarizeTenders(filteredSales);
+    const paymentsByTender = tenderTotals.map(tender => ({
+      'Tender': tender.method,
+      'Sales': tender.count,
+      'Amount': `${currencySymbol} ${tender.amount.toLocaleString()}`
+    }));
+    if (paymentsByTender.length > 0) {
+      paymentsByTender.push({
+        'Tender': 'Total',
+        'Sales': totalTransactions,
+        'Amount': `${currencySymbol} ${roundMoney(tenderTotals.reduce((sum, tender) => sum + tender.amount, 0)).toLocaleString()}`
+      });
+    }
+    
     return {
       // New format for compatibility with renderer
       metrics: {
         'Total Revenue': `${currencySymbol} ${totalRevenue.toLocaleString()}`,
         'Total Transactions': totalTransactions.toString(),
         'Items Sold': totalItems.toString(),
-        'Average Order': `${currencySymbol} ${averageOrder.toLocaleString()}`
+        'Average Order': `${currencySymbol} ${averageOrder.toLocaleString()}`,
+        'Discounts Given': `${currencySymbol} ${totalDiscounts.toLocaleString()}`
       },
       // Old format for backward compatibility
       stats: {
         totalSales: `${currencySymbol} ${totalRevenue.toLocaleString()}`,
         profitMargin: '0%', // Will be calculated in profit report
         unitsSold: totalItems.toString(),
-        avgOrder: `${currencySymbol} ${averageOrder.toLocaleString()}`
+        avgOrder: `${currencySymbol} ${averageOrder.toLocaleString()}`,
+        totalDiscounts: `${currencySymbol} ${totalDiscounts.toLocaleString()}`
       },
       charts: [{
         type: 'line',
@@ -727,6 +761,7 @@ async function generateSalesReport(period = 'this_month') {
       }],
       data: tableData,
       tableData: tableData, // Duplicate for backward compatibility
+      paymentsByTender,
       chartData: {
         labels: dailyLabels.map(date => moment(date).format('DD/MM')),
         datasets: [{
@@ -951,11 +986,12 @@ async function generateProfitReport(period = 'this_month') {
     const { startDate, endDate } = getPeriodDates(period);
     const filteredSales = sales.filter(sale => {
       const saleDate = new Date(sale.date || sale.createdAt);
-      return saleDate >= startDate && saleDate <= endDate;
+      return !isVoidedSale(sale) && saleDate >= startDate && saleDate <= endDate;
     });
     
     // Calculate profit statistics
     let totalRevenue = 0;
+    let totalDiscounts = 0;
     let totalCost = 0;
     let totalProfit = 0;
     const profitByCategory = {};
@@ -967,11 +1003,12 @@ async function generateProfitReport(period = 'this_month') {
     filteredSales.forEach(sale => {
       const revenue = parseFloat(sale.totalAmount || sale.total_amount) || 0;
       totalRevenue += revenue;
+      totalDiscounts += getSaleDiscount(sale);
       
-      if (sale.items && Array.isArray(sale.items)) {
-        sale.items.forEach(saleItem => {
-          const quantity = parseInt(saleItem.quantity) || 0;
-          const sellingPrice = parseFloat(saleItem.unit_price || saleItem.price || saleItem.selling_price) || 0;
+      const saleLines = getSaleLines(sale);
+      if (saleLines.length > 0) {
+        saleLines.forEach(saleItem => {
+          const quantity = saleItem.quantity;
           
           // Find the inventory item to get cost - try multiple matching strategies
           let inventoryItem = null;
@@ -1029,11 +1066,12 @@ async function generateProfitReport(period = 'this_month') {
             inventoryItem = inventory.find(item => item.id === saleItem.id);
           }
           
-          const costPrice = inventoryItem ? 
-            (parseFloat(inventoryItem.cost || inventoryItem.cost_price || inventoryItem.buying_price) || 0) : 0;
+          // Use the cost captured at the time of sale; only older lines without one fall back to today's price
+          const costPrice = saleItem.costPrice > 0 ? saleItem.costPrice : (inventoryItem ?
+            (parseFloat(inventoryItem.cost || inventoryItem.cost_price || inventoryItem.buying_price) || 0) : 0);
           
           const itemCost = quantity * costPrice;
-          const itemRevenue = quantity * sellingPrice;
+          const itemRevenue = saleItem.total - saleItem.invoiceDiscount;
           const itemProfit = itemRevenue - itemCost;
           
           totalCost += itemCost;
@@ -1066,6 +1104,47 @@ async function generateProfitReport(period = 'this_month') {
       }
     });
     
+    // Net out goods returned in the period: refunded revenue and the cost of stock put back
+    const salesReturns = (await getSalesReturnsData()).filter(salesReturn => {
+      const returnDate = new Date(salesReturn.created_at);
+      return returnDate >= startDate && returnDate <= endDate;
+    });
+    let totalReturns = 0;
+    
+    salesReturns.forEach(salesReturn => {
+      (salesReturn.items || []).forEach(line => {
+        const quantity = parseFloat(line.quantity) || 0;
+        const refund = parseFloat(line.total_price) || 0;
+        const inventoryItem = inventory.find(item => item.id === line.product_id) ||
+          inventory.find(item => item.description === line.product_name || item.name === line.product_name);
+        const costPrice = parseFloat(line.cost_price) > 0 ? parseFloat(line.cost_price) : (inventoryItem ?
+          (parseFloat(inventoryItem.cost || inventoryItem.cost_price || inventoryItem.buying_price) || 0) : 0);
+        const returnCost = quantity * costPrice;
+        
+        totalReturns += refund;
+        totalRevenue -= refund;
+        totalCost -= returnCost;
+        totalProfit -= refund - returnCost;
+        
+        const category = inventoryItem?.category || inventoryItem?.type || 'Pipes';
+        if (!profitByCategory[category]) {
+          profitByCategory[category] = { revenue: 0, cost: 0, profit: 0 };
+        }
+        profitByCategory[category].revenue -= refund;
+        profitByCategory[category].cost -= returnCost;
+        profitByCategory[category].profit -= refund - returnCost;
+        
+        productProfitDetails.push({
+          'Product': `${inventoryItem?.description || line.product_name || 'Unknown Product'} (returned, ${salesReturn.credit_note_number})`,
+          'Quantity': -quantity,
+          'Revenue': `${currencySymbol} ${(-refund).toLocaleString()}`,
+          'Cost': `${currencySymbol} ${(-returnCost).toLocaleString()}`,
+          'Profit': `${currencySymbol} ${(returnCost - refund).toLocaleString()}`,
+          'Margin': '-'
+        });
+      });
+    });
+    
     const profitMargin = totalRevenue > 0 ? ((totalProfit / totalRevenue) * 100) : 0;
     
     // Prepare chart data
@@ -1087,7 +1166,10 @@ async function generateProfitReport(period = 'this_month') {
         'Total Revenue': `${currencySymbol} ${totalRevenue.toLocaleString()}`,
         'Total Cost': `${currencySymbol} ${totalCost.toLocaleString()}`,
         'Total Profit': `${currencySymbol} ${totalProfit.toLocaleString()}`,
-        'Profit Margin': `${profitMargin.toFixed(1)}%`
+        'Profit Margin': `${profitMargin.toFixed(1)}%`,
+        'Returns': `${currencySymbol} ${totalReturns.toLocaleString()}`,
+        // Revenue above is already net of these
+        'Discounts Given': `${currencySymbol} ${totalDiscounts.toLocaleString()}`
       },
       charts: [{
         type: 'bar',
@@ -1275,7 +1357,7 @@ async function generateCustomerReport(period = 'this_month') {
     const { startDate, endDate } = getPeriodDates(period);
     const filteredSales = sales.filter(sale => {
       const saleDate = new Date(sale.date || sale.createdAt);
-      return saleDate >= startDate && saleDate <= endDate;
+      return !isVoidedSale(sale) && saleDate >= startDate && saleDate <= endDate;
     });
     
     // Calculate customer statistics
@@ -1305,11 +1387,9 @@ async function generateCustomerReport(period = 'this_month') {
       customerStats[customerId].revenue += revenue;
       
       // Count items
-      if (sale.items && Array.isArray(sale.items)) {
-        sale.items.forEach(item => {
-          customerStats[customerId].items += parseInt(item.quantity) || 0;
-        });
-      }
+      getSaleLines(sale).forEach(item => {
+        customerStats[customerId].items += item.quantity;
+      });
       
       // Track last purchase
       const saleDate = new Date(sale.date || sale.createdAt);
@@ -1467,6 +1547,13 @@ async function generateSupplierReport(period = 'all_time') {
     } else if (db && db.InventoryManager) {
       inventory = db.InventoryManager.getAllItems();
     }
+    if ((!inventory || inventory.length === 0) && store) {
+      inventory = store.get('inventory') || [];
+    }
+    
+    // Get supplier records, purchase orders and goods-received notes
+    const { suppliers, purchaseOrders, goodsReceived } = await getPurchasingData();
+    const { startDate, endDate } = getPeriodDates(period);
     
     // Get settings for currency
     if (db && db.getSettings) {
@@ -1486,25 +1573,37 @@ async function generateSupplierReport(period = 'all_time') {
     const supplierStats = {};
     let totalSuppliers = 0;
     let totalValue = 0;
+    let totalReceived = 0;
+    let totalOutstanding = 0;
     
-    inventory.forEach(item => {
-      const quantity = parseInt(item.quantity) || 0;
-      const cost = parseFloat(item.cost || item.cost_price || item.buying_price) || 0;
-      const itemValue = quantity * cost;
-      totalValue += itemValue;
-      
-      const supplier = item.supplier || item.brand || 'Unknown Supplier';
-      
-      if (!supplierStats[supplier]) {
-        supplierStats[supplier] = {
-          name: supplier,
+    const getSupplierStats = (name) => {
+      if (!supplierStats[name]) {
+        supplierStats[name] = {
+          name,
           items: 0,
           totalQuantity: 0,
           totalValue: 0,
-          categories: new Set()
+          categories: new Set(),
+          orders: 0,
+          receivedValue: 0,
+          outstandingValue: 0
         };
         totalSuppliers++;
       }
+      return supplierStats[name];
+    };
+    
+    // Registered suppliers appear even when nothing of theirs is in stock
+    suppliers.forEach(supplier => getSupplierStats(supplier.name));
+    
+    inventory.forEach(item => {
+      const quantity = parseInt(item.quantity) || 0;
+      const cost = parseFloat(item.cost || item.cost_price || item.buying_price || item.buyingPrice) || 0;
+      const itemValue = quantity * cost;
+      totalValue += itemValue;
+      
+      const supplier = item.supplier || item.brand || 'Unknown Supplier';
+      getSupplierStats(supplier);
       
       supplierStats[supplier].items++;
       supplierStats[supplier].totalQuantity += quantity;
@@ -1512,6 +1611,38 @@ async function generateSupplierReport(period = 'all_time') {
       supplierStats[supplier].categories.add(item.category || item.type || 'Uncategorized');
     });
     
+    // Orders placed and value still outstanding on open orders
+    const supplierNames = {};
+    suppliers.forEach(supplier => { supplierNames[supplier.id] = supplier.name; });
+    
+    purchaseOrders.forEach(order => {
+      if (order.status === 'cancelled' || order.status === 'draft') return;
+      
+      const orderDate = new Date(order.created_at);
+      const stats = getSupplierStats(supplierNames[order.supplier_id] || order.supplier_name || 'Unknown Supplier');
+      if (orderDate >= startDate && orderDate <= endDate) {
+        stats.orders++;
+      }
+      
+      (order.items || []).forEach(line => {
+        const outstanding = Math.max(0, (parseFloat(line.quantity_ordered) || 0) - (parseFloat(line.quantity_received) || 0));
+        const value = outstanding * (parseFloat(line.expected_price) || 0);
+        stats.outstandingValue += value;
+        totalOutstanding += value;
+      });
+    });
+    
+    // Value actually received in the period
+    goodsReceived.forEach(note => {
+      const receivedDate = new Date(note.received_at);
+      if (receivedDate < startDate || receivedDate > endDate) return;
+      
+      const stats = getSupplierStats(supplierNames[note.supplier_id] || note.supplier_name || 'Unknown Supplier');
+      const value = parseFloat(note.total_amount) || 0;
+      stats.receivedValue += value;
+      totalReceived += value;
+    });
+    
     // Convert Set to array length for categories
     Object.values(supplierStats).forEach(supplier => {
       supplier.categories = supplier.categories.size;
@@ -1534,7 +1665,10 @@ async function generateSupplierReport(period = 'all_time') {
       'Total Quantity': supplier.totalQuantity.toString(),
       'Total Value': `${currencySymbol} ${supplier.totalValue.toLocaleString()}`,
       'Categories': supplier.categories.toString(),
-      'Average Item Value': `${currencySymbol} ${(supplier.totalValue / supplier.items).toLocaleString()}`
+      'Average Item Value': `${currencySymbol} ${supplier.items > 0 ? (supplier.totalValue / supplier.items).toLocaleString() : '0'}`,
+      'Purchase Orders': supplier.orders.toString(),
+      'Received Value': `${currencySymbol} ${supplier.receivedValue.toLocaleString()}`,
+      'Outstanding on Order': `${currencySymbol} ${supplier.outstandingValue.toLocaleString()}`
     }));
     
     return {
@@ -1543,7 +1677,9 @@ async function generateSupplierReport(period = 'all_time') {
         'Total Inventory Value': `${currencySymbol} ${totalValue.toLocaleString()}`,
         'Average per Supplier': `${currencySymbol} ${totalSuppliers > 0 ? (totalValue / totalSuppliers).toLocaleString() : '0'}`,
         'Top Supplier Share': totalValue > 0 && sortedSuppliers.length > 0 ? 
-          `${((sortedSuppliers[0].totalValue / totalValue) * 100).toFixed(1)}%` : '0%'
+          `${((sortedSuppliers[0].totalValue / totalValue) * 100).toFixed(1)}%` : '0%',
+        'Goods Received': `${currencySymbol} ${totalReceived.toLocaleString()}`,
+        'Outstanding on Order': `${currencySymbol} ${totalOutstanding.toLocaleString()}`
       },
       charts: [{
         type: 'doughnut',
@@ -1590,6 +1726,468 @@ async function generateSupplierReport(period = 'all_time') {
   }
 }
 
+/**
+ * Generate a VAT summary for filing: taxable and exempt sales and the output VAT on them,
+ * less credit notes issued in the same period
+ * @param {string} period - The time period for the report
+ * @returns {Object} The generated report data
+ */
+async function generateVatReport(period = 'last_month') {
+  try {
+    initializeDatabases();
+    
+    const sales = await getSalesData();
+    const salesReturns = await getSalesReturnsData();
+    const taxSettings = getTaxSettings(store && store.get(TAX_SETTINGS_KEY));
+    const currencySymbol = 'TSh';
+    const format = amount => `${currencySymbol} ${roundMoney(amount).toLocaleString()}`;
+    
+    const { startDate, endDate } = getPeriodDates(period);
+    const inPeriod = date => {
+      const value = new Date(date);
+      return value >= startDate && value <= endDate;
+    };
+    
+    const periodSales = sales.filter(sale => !isVoidedSale(sale) && inPeriod(sale.date || sale.createdAt || sale.created_at));
+    const periodReturns = salesReturns.filter(salesReturn => inPeriod(salesReturn.created_at || salesReturn.createdAt));
+    
+    const saleLines = [];
+    periodSales.forEach(sale => saleLines.push(...getSaleTaxLines(sale)));
+    const returnLines = [];
+    periodReturns.forEach(salesReturn => returnLines.push(...getReturnTaxLines(salesReturn)));
+    
+    // Credit notes reverse the value and the VAT of the goods returned
+    const groups = {};
+    const addGroups = (lines, field) => summarizeTax(lines, taxSettings).forEach(group => {
+      const key = `${group.taxClass}:${group.rate}`;
+      groups[key] = groups[key] || { ...group, sales: 0, returns: 0, salesTax: 0, returnsTax: 0 };
+      groups[key][field] = group.taxableAmount;
+      groups[key][`${field}Tax`] = group.taxAmount;
+    });
+    addGroups(saleLines, 'sales');
+    addGroups(returnLines, 'returns');
+    
+    const rows = Object.values(groups)
+      .map(group => ({
+        ...group,
+        netAmount: roundMoney(group.sales - group.returns),
+        outputTax: roundMoney(group.salesTax - group.returnsTax)
+      }))
+      .sort((a, b) => a.exempt - b.exempt || b.rate - a.rate);
+    
+    const sum = (list, field) => roundMoney(list.reduce((total, row) => total + row[field], 0));
+    const taxable = rows.filter(row => !row.exempt);
+    const exempt = rows.filter(row => row.exempt);
+    const summary = {
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      invoices: periodSales.length,
+      creditNotes: periodReturns.length,
+      taxableSales: sum(taxable, 'netAmount'),
+      exemptSales: sum(exempt, 'netAmount'),
+      outputVat: sum(rows, 'outputTax'),
+      creditNoteVat: sum(rows, 'returnsTax')
+    };
+    
+    const tableData = rows.map(row => ({
+      'Tax Class': row.name,
+      'Rate': row.exempt ? 'Exempt' : `${row.rate}%`,
+      'Sales (excl. VAT)': format(row.sales),
+      'Credit Notes (excl. VAT)': row.returns > 0 ? `-${format(row.returns)}` : '-',
+      'Net Value': format(row.netAmount),
+      'Output VAT': format(row.outputTax)
+    }));
+    if (rows.length > 0) {
+      tableData.push({
+        'Tax Class': 'Total',
+        'Rate': '',
+        'Sales (excl. VAT)': format(sum(rows, 'sales')),
+        'Credit Notes (excl. VAT)': sum(rows, 'returns') > 0 ? `-${format(sum(rows, 'returns'))}` : '-',
+        'Net Value': format(sum(rows, 'netAmount')),
+        'Output VAT': format(summary.outputVat)
+      });
+    }
+    
+    return {
+      metrics: {
+        'Taxable Sales': format(summary.taxableSales),
+        'Exempt Sales': format(summary.exemptSales),
+        'Output VAT': format(summary.outputVat),
+        'Invoices': summary.invoices.toString(),
+        'Credit Notes': summary.creditNotes.toString()
+      },
+      vatSummary: summary,
+      charts: [],
+      data: tableData,
+      tableData
+    };
+  } catch (error) {
+    log.error('Error generating VAT report:', error);
+    return {
+      metrics: {
+        'Taxable Sales': 'TSh 0',
+        'Exempt Sales': 'TSh 0',
+        'Output VAT': 'TSh 0'
+      },
+      charts: [],
+      data: [],
+      tableData: []
+    };
+  }
+}
+
+/**
+ * Generate the cash drawer variance report: each drawer session closed in the period
+ * with the cash it should have held, the cash counted and the difference
+ * @param {string} period - The time period for the report
+ * @returns {Object} The generated report data
+ */
+async function generateCashReport(period = 'this_week') {
+  try {
+    initializeDatabases();
+    
+    const sessions = await getCashSessionsData();
+    const currencySymbol = 'TSh';
+    const format = amount => `${currencySymbol} ${roundMoney(amount).toLocaleString()}`;
+    
+    const { startDate, endDate } = getPeriodDates(period);
+    const closed = sessions
+      .filter(session => {
+        const openedAt = new Date(session.opened_at);
+        return session.status === 'closed' && openedAt >= startDate && openedAt <= endDate;
+      })
+      .sort((a, b) => (a.opened_at || '').localeCompare(b.opened_at || ''));
+    
+    const sum = (list, field) => roundMoney(list.reduce((total, session) => total + (parseFloat(session[field]) || 0), 0));
+    const shortages = closed.filter(session => session.variance < 0);
+    const overages = closed.filter(session => session.variance > 0);
+    const formatVariance = amount => amount > 0 ? `+${format(amount)}` : format(amount);
+    
+    const tableData = closed.map(session => ({
+      'Z-Report': session.z_report_number,
+      'Counter': session.counter,
+      'Cashier': session.opened_by,
+      'Opened': moment(session.opened_at).format('DD/MM/YYYY HH:mm'),
+      'Closed': moment(session.closed_at).format('DD/MM/YYYY HH:mm'),
+      'Float': format(session.opening_float),
+      'Expected': format(session.expected_cash),
+      'Counted': format(session.counted_cash),
+      'Variance': formatVariance(session.variance)
+    }));
+    if (closed.length > 0) {
+      tableData.push({
+        'Z-Report': 'Total',
+        'Counter': '',
+        'Cashier': '',
+        'Opened': '',
+        'Closed': '',
+        'Float': format(sum(closed, 'opening_float')),
+        'Expected': format(sum(closed, 'expected_cash')),
+        'Counted': format(sum(closed, 'counted_cash')),
+        'Variance': formatVariance(sum(closed, 'variance'))
+      });
+    }
+    
+    return {
+      metrics: {
+        'Sessions': closed.length.toString(),
+        'Total Variance': formatVariance(sum(closed, 'variance')),
+        'Shortages': `${shortages.length} (${format(sum(shortages, 'variance'))})`,
+        'Overages': `${overages.length} (${format(sum(overages, 'variance'))})`
+      },
+      charts: [],
+      data: tableData,
+      tableData
+    };
+  } catch (error) {
+    log.error('Error generating cash drawer report:', error);
+    return {
+      metrics: {
+        'Sessions': '0',
+        'Total Variance': 'TSh 0'
+      },
+      charts: [],
+      data: [],
+      tableData: []
+    };
+  }
+}
+
+/**
+ * Generate the offcut scrap report: pipe offcuts written off in the period because they
+ * were shorter than the minimum offcut length, with the length and buying cost lost
+ * @param {string} period - The time period for the report
+ * @returns {Object} The generated report data
+ */
+async function generateScrapReport(period = 'this_week') {
+  try {
+    initializeDatabases();
+    
+    const { startDate, endDate } = getPeriodDates(period);
+    const records = (await getScrapRecordsData())
+      .filter(record => {
+        const createdAt = new Date(record.created_at);
+        return createdAt >= startDate && createdAt <= endDate;
+      })
+      .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+    
+    const currencySymbol = 'TSh';
+    const format = amount => `${currencySymbol} ${roundMoney(amount).toLocaleString()}`;
+    const sum = field => records.reduce((total, record) => total + (parseFloat(record[field]) || 0), 0);
+    const totalLength = Math.round(sum('total_length') * 1000) / 1000;
+    
+    // Scrap per item, so the pipes that waste the most show first
+    const byItem = {};
+    records.forEach(record => {
+      const key = record.item_id || record.item_description;
+      if (!byItem[key]) {
+        byItem[key] = { description: record.item_description, length: 0 };
+      }
+      byItem[key].length += parseFloat(record.total_length) || 0;
+    });
+    const mostScrapped = Object.values(byItem).sort((a, b) => b.length - a.length)[0];
+    
+    const tableData = records.map(record => ({
+      'Date': moment(record.created_at).format('DD/MM/YYYY HH:mm'),
+      'Item': record.item_description,
+      'Pieces': record.quantity,
+      'Length Each (m)': record.length,
+      'Total Length (m)': record.total_length,
+      'Cost': format(record.cost),
+      'Reference': record.notes || '',
+      'By': record.created_by || ''
+    }));
+    if (records.length > 0) {
+      tableData.push({
+        'Date': 'Total',
+        'Item': '',
+        'Pieces': sum('quantity'),
+        'Length Each (m)': '',
+        'Total Length (m)': totalLength,
+        'Cost': format(sum('cost')),
+        'Reference': '',
+        'By': ''
+      });
+    }
+    
+    return {
+      metrics: {
+        'Total Length': `${totalLength} m`,
+        'Pieces': sum('quantity').toString(),
+        'Cost Written Off': format(sum('cost')),
+        'Most Scrapped': mostScrapped ? mostScrapped.description : '-'
+      },
+      charts: [],
+      data: tableData,
+      tableData
+    };
+  } catch (error) {
+    log.error('Error generating offcut scrap report:', error);
+    return {
+      metrics: {
+        'Total Length': '0 m',
+        'Pieces': '0'
+      },
+      charts: [],
+      data: [],
+      tableData: []
+    };
+  }
+}
+
+/**
+ * Tax lines of a sale. Sales made before tax classes only carry a VAT amount
+ * included in the total, which is reported as one line at the sale's VAT rate.
+ * @param {Object} sale - Sale
+ * @returns {Array} Lines with taxClass, taxRate, taxExempt, taxableAmount and taxAmount
+ */
+function getSaleTaxLines(sale) {
+  const lines = getSaleLines(sale);
+  if (lines.length > 0 && lines.every(line => line.taxableAmount !== null)) {
+    return lines;
+  }
+  
+  const total = parseFloat(sale.totalAmount !== undefined ? sale.totalAmount : sale.total_amount) || 0;
+  const taxAmount = parseFloat(sale.vatAmount !== undefined ? sale.vatAmount : sale.tax_amount) || 0;
+  return [{
+    taxClass: LEGACY_TAX_CLASS,
+    taxRate: parseFloat(sale.vatRate) || 0,
+    taxExempt: false,
+    taxableAmount: roundMoney(total - taxAmount),
+    taxAmount
+  }];
+}
+
+/**
+ * Tax lines of a credit note, at the tax class and rate of the sale it reverses
+ * @param {Object} salesReturn - Sales return with its lines
+ * @returns {Array} Lines with taxClass, taxRate, taxExempt, taxableAmount and taxAmount
+ */
+function getReturnTaxLines(salesReturn) {
+  return (salesReturn.items || []).map(line => {
+    const taxAmount = parseFloat(line.tax_amount) || 0;
+    return {
+      taxClass: line.tax_class || LEGACY_TAX_CLASS,
+      taxRate: parseFloat(line.tax_rate) || 0,
+      taxExempt: !!line.tax_exempt,
+      taxableAmount: roundMoney((parseFloat(line.total_price) || 0) - taxAmount),
+      taxAmount
+    };
+  });
+}
+
+/**
+ * Voided sales stay on record for the audit trail but never count as revenue
+ * @param {Object} sale - Sale
+ * @returns {boolean} True if the sale was voided
+ */
+function isVoidedSale(sale) {
+  return sale.status === 'void';
+}
+
+/**
+ * Discounts given on a sale, in either shape
+ * @param {Object} sale - Sale
+ * @returns {number} Line and invoice discounts together
+ */
+function getSaleDiscount(sale) {
+  return parseFloat(sale.discountTotal !== undefined ? sale.discountTotal : sale.discount_total) || 0;
+}
+
+/**
+ * Read the lines of a sale in either the sale_items or the electron-store shape
+ * @param {Object} sale - Sale with items as rows, objects or a legacy JSON string
+ * @returns {Array} Lines with quantity, unitPrice, discount, net total, invoice discount share, tax and the cost price captured at sale time
+ */
+function getSaleLines(sale) {
+  let items = sale.items || [];
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (error) {
+      log.warn(`Could not parse items of sale ${sale.id}:`, error.message);
+      items = [];
+    }
+  }
+  if (!Array.isArray(items)) return [];
+  
+  return items.map(item => {
+    const quantity = parseFloat(item.quantity) || 0;
+    const unitPrice = parseFloat(item.unit_price || item.price || item.selling_price) || 0;
+    const discount = parseFloat(item.discount) || 0;
+    const total = parseFloat(item.total_price !== undefined ? item.total_price : item.total);
+    const taxableAmount = parseFloat(item.taxableAmount !== undefined ? item.taxableAmount : item.taxable_amount);
+    
+    return {
+      ...item,
+      quantity,
+      unitPrice,
+      discount,
+      total: isNaN(total) ? quantity * unitPrice - discount : total,
+      // Share of the invoice discount, still to come off the line total
+      invoiceDiscount: parseFloat(item.invoiceDiscount !== undefined ? item.invoiceDiscount : item.invoice_discount) || 0,
+      taxClass: item.taxClass || item.tax_class || null,
+      taxRate: parseFloat(item.taxRate !== undefined ? item.taxRate : item.tax_rate) || 0,
+      taxExempt: !!(item.taxExempt || item.tax_exempt),
+      // Null on lines saved before tax was stored per line
+      taxableAmount: isNaN(taxableAmount) ? null : taxableAmount,
+      taxAmount: parseFloat(item.taxAmount !== undefined ? item.taxAmount : item.tax_amount) || 0,
+      costPrice: parseFloat(item.cost_price !== undefined ? item.cost_price : item.costPrice) || 0
+    };
+  });
+}
+
+/**
+ * Load every sale from the first source that has them
+ * @returns {Promise<Array>} Array of sales
+ */
+async function getSalesData() {
+  for (const source of [salesDb, db]) {
+    if (source && typeof source.getAllSales === 'function') {
+      try {
+        const sales = await source.getAllSales();
+        if (sales && sales.length > 0) return sales;
+      } catch (error) {
+        log.warn('Error getting sales from database:', error.message);
+      }
+    }
+  }
+  
+  return (store && store.get('sales')) || [];
+}
+
+/**
+ * Load sales returns (credit notes) with their lines
+ * @returns {Promise<Array>} Array of sales returns
+ */
+async function getSalesReturnsData() {
+  if (db && typeof db.getSalesReturns === 'function') {
+    try {
+      return await db.getSalesReturns();
+    } catch (error) {
+      log.warn('Error getting sales returns from database:', error.message);
+    }
+  }
+  
+  return (store && store.get('sales_returns')) || [];
+}
+
+/**
+ * Load cash drawer sessions
+ * @returns {Promise<Array>} Array of sessions
+ */
+async function getCashSessionsData() {
+  if (db && typeof db.getCashSessions === 'function') {
+    try {
+      return await db.getCashSessions();
+    } catch (error) {
+      log.warn('Error getting cash sessions from database:', error.message);
+    }
+  }
+  
+  return (store && store.get('cash_sessions')) || [];
+}
+
+/**
+ * Load the offcuts written off as scrap
+ * @returns {Promise<Array>} Scrap records
+ */
+async function getScrapRecordsData() {
+  if (db && typeof db.getScrapRecords === 'function') {
+    try {
+      return await db.getScrapRecords();
+    } catch (error) {
+      log.warn('Error getting scrap records from database:', error.message);
+    }
+  }
+  
+  return (store && store.get('scrap_records')) || [];
+}
+
+/**
+ * Load suppliers, purchase orders and goods-received notes
+ * @returns {Promise<Object>} Object with suppliers, purchaseOrders and goodsReceived arrays
+ */
+async function getPurchasingData() {
+  if (db && typeof db.getSuppliers === 'function') {
+    try {
+      return {
+        suppliers: await db.getSuppliers(),
+        purchaseOrders: await db.getPurchaseOrders(),
+        goodsReceived: await db.getGoodsReceivedNotes()
+      };
+    } catch (error) {
+      log.warn('Error getting purchasing data from database:', error.message);
+    }
+  }
+  
+  return {
+    suppliers: (store && store.get('suppliers')) || [],
+    purchaseOrders: (store && store.get('purchase_orders')) || [],
+    goodsReceived: (store && store.get('goods_received_notes')) || []
+  };
+}
+
 /**
  * Get start and end dates for a specified period
  * @param {string} period - Period identifier (today, this_week, etc.)
@@ -1748,6 +2346,8 @@ module.exports = {
   generateProfitReport,
   generateCustomerReport,
   generateSupplierReport,
+  generateVatReport,
+  generateCashReport,
   getPeriodDates,
   initializeDatabases,
   debugDataAccess
@@ -0,0 +1,153 @@
+/**
+ * Stock Reservations
+ * Stock held for a customer's order so it cannot be sold to someone else. Reserved stock
+ * stays on hand until the customer buys it; until then it is not available to sell.
+ * A reservation lapses at the end of its expiry date or when it is released by hand.
+ */
+
+const RESERVATION_STATUS = {
+  ACTIVE: 'active',
+  RELEASED: 'released',
+  FULFILLED: 'fulfilled',
+  EXPIRED: 'expired'
+};
+
+// Days stock stays reserved unless another expiry date is entered
+const DEFAULT_RESERVATION_DAYS = 7;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Expiry date of a reservation made today
+ * @param {Date} [from] - Reservation date
+ * @returns {string} YYYY-MM-DD
+ */
+function getDefaultExpiresAt(from = new Date()) {
+  const date = new Date(from);
+  date.setDate(date.getDate() + DEFAULT_RESERVATION_DAYS);
+  return toDateString(date);
+}
+
+/**
+ * Work out the status of a reservation. An active reservation past its expiry date is
+ * expired; the stored status only changes when the reservation is saved again.
+ * @param {Object} reservation - Reservation with status and expires_at (YYYY-MM-DD)
+ * @param {Date} [now] - Current time
+ * @returns {string} One of RESERVATION_STATUS
+ */
+function getReservationStatus(reservation, now = new Date()) {
+  if (reservation.status === RESERVATION_STATUS.ACTIVE &&
+      reservation.expires_at && reservation.expires_at < toDateString(now)) {
+    return RESERVATION_STATUS.EXPIRED;
+  }
+  return reservation.status;
+}
+
+/**
+ * Quantity a reservation still holds back, after what the customer has already bought
+ * @param {Object} reservation - Reservation
+ * @returns {number} Quantity still reserved
+ */
+function getRemainingQuantity(reservation) {
+  const remaining = (parseFloat(reservation.quantity) || 0) - (parseFloat(reservation.fulfilled_quantity) || 0);
+  return Math.max(remaining, 0);
+}
+
+/**
+ * Total the stock held by active reservations for each item
+ * @param {Array} reservations - Reservations
+ * @param {Object} [options] - excludeCustomerId leaves out the reservations of that customer
+ * @param {Date} [now] - Current time
+ * @returns {Object} Reserved quantity keyed by item ID
+ */
+function getReservedQuantities(reservations, { excludeCustomerId = null } = {}, now = new Date()) {
+  const reserved = {};
+  (reservations || []).forEach(reservation => {
+    if (getReservationStatus(reservation, now) !== RESERVATION_STATUS.ACTIVE) {
+      return;
+    }
+    if (excludeCustomerId && reservation.customer_id === excludeCustomerId) {
+      return;
+    }
+    reserved[reservation.item_id] = (reserved[reservation.item_id] || 0) + getRemainingQuantity(reservation);
+  });
+  return reserved;
+}
+
+/**
+ * Add on-hand, reserved and available quantities to an inventory item
+ * @param {Object} item - Inventory item
+ * @param {Object} reserved - Reserved quantity keyed by item ID
+ * @returns {Object} The item with reservedQuantity and availableQuantity
+ */
+function withStockLevels(item, reserved) {
+  const onHand = parseFloat(item.quantity) || 0;
+  const reservedQuantity = reserved[item.id] || 0;
+  return {
+    ...item,
+    reservedQuantity,
+    availableQuantity: Math.max(onHand - reservedQuantity, 0)
+  };
+}
+
+/**
+ * Set a sale against the customer's own reservations, oldest first, so stock the
+ * customer has now bought is no longer held for them
+ * @param {Array} reservations - Reservations
+ * @param {string} customerId - Customer on the sale
+ * @param {Array} items - Sale lines with id (or itemId) and quantity
+ * @param {Date} [now] - Current time
+ * @returns {Array<Object>} Reservations that changed, with fulfilled_quantity and status updated
+ */
+function fulfilReservations(reservations, customerId, items, now = new Date()) {
+  if (!customerId) {
+    return [];
+  }
+
+  const sold = {};
+  (items || []).forEach(item => {
+    const itemId = item.itemId || item.id;
+    sold[itemId] = (sold[itemId] || 0) + (parseFloat(item.quantity) || 0);
+  });
+
+  const changed = [];
+  (reservations || [])
+    .filter(reservation => reservation.customer_id === customerId &&
+      getReservationStatus(reservation, now) === RESERVATION_STATUS.ACTIVE)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(reservation => {
+      const taken = Math.min(getRemainingQuantity(reservation), sold[reservation.item_id] || 0);
+      if (taken <= 0) {
+        return;
+      }
+      sold[reservation.item_id] -= taken;
+      const fulfilledQuantity = (parseFloat(reservation.fulfilled_quantity) || 0) + taken;
+      changed.push({
+        ...reservation,
+        fulfilled_quantity: fulfilledQuantity,
+        status: fulfilledQuantity >= (parseFloat(reservation.quantity) || 0)
+          ? RESERVATION_STATUS.FULFILLED
+          : RESERVATION_STATUS.ACTIVE
+      });
+    });
+  return changed;
+}
+
+module.exports = {
+  RESERVATION_STATUS,
+  DEFAULT_RESERVATION_DAYS,
+  getDefaultExpiresAt,
+  getReservationStatus,
+  getRemainingQuantity,
+  getReservedQuantities,
+  withStockLevels,
+  fulfilReservations
+};
@@ -0,0 +1,304 @@
+/**
+ * Search
+ * Typed search criteria for inventory, sales and customers, run in memory over the
+ * records kept in electron-store. Every search reads, filters and sorts all the records
+ * of its entity; no database index is involved, so the cost grows with the number of
+ * records. Paging limits what is sent to the window, not what is scanned.
+ */
+
+const { getSaleTenders } = require('./payments');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_ALERT_THRESHOLD = 10;
+
+// Voided sales are listed but left out of the totals
+const VOID_SALE_STATUS = 'void';
+
+/**
+ * Sortable fields per entity: how to read the value from a record in either
+ * the camelCase or the snake_case shape
+ */
+const SORT_FIELDS = {
+  inventory: {
+    description: item => item.description,
+    type: item => item.type,
+    brand: item => item.brand,
+    diameter: item => item.diameter,
+    color: item => item.color,
+    quantity: item => parseFloat(item.quantity) || 0,
+    price: item => getItemPrice(item),
+    buyingPrice: item => parseFloat(item.buyingPrice !== undefined ? item.buyingPrice : item.buying_price) || 0,
+    updatedAt: item => item.updatedAt || item.updated_at || ''
+  },
+  sales: {
+    date: sale => getSaleDate(sale),
+    total: sale => getSaleAmount(sale),
+    invoiceNumber: sale => sale.invoiceNumber || sale.invoice_number || '',
+    customer: sale => getSaleCustomerName(sale)
+  },
+  customers: {
+    name: customer => customer.name,
+    totalPurchases: customer => parseFloat(customer.totalPurchases) || 0,
+    lastPurchaseDate: customer => customer.lastPurchaseDate || '',
+    createdAt: customer => customer.createdAt || ''
+  }
+};
+
+// Sort used when the criteria do not name a valid field
+const DEFAULT_SORT = {
+  inventory: { sortBy: 'description', sortDir: 'asc' },
+  sales: { sortBy: 'date', sortDir: 'desc' },
+  customers: { sortBy: 'name', sortDir: 'asc' }
+};
+
+/**
+ * Selling price of an inventory item in either shape
+ * @param {Object} item - Inventory item
+ * @returns {number} Price
+ */
+function getItemPrice(item) {
+  return parseFloat(item.price !== undefined ? item.price : item.selling_price) || 0;
+}
+
+/**
+ * Creation date of a sale in either shape
+ * @param {Object} sale - Sale
+ * @returns {string} ISO date
+ */
+function getSaleDate(sale) {
+  return sale.createdAt || sale.created_at || sale.date || '';
+}
+
+/**
+ * Invoice total of a sale in either shape
+ * @param {Object} sale - Sale
+ * @returns {number} Total amount
+ */
+function getSaleAmount(sale) {
+  return parseFloat(sale.totalAmount !== undefined ? sale.totalAmount : sale.total_amount) || 0;
+}
+
+/**
+ * Customer name on a sale in either shape
+ * @param {Object} sale - Sale
+ * @returns {string} Customer name
+ */
+function getSaleCustomerName(sale) {
+  return (sale.buyer && sale.buyer.name) || sale.customerName || sale.customer_name || '';
+}
+
+/**
+ * Parse an optional number criterion
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null when not set
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Clean up search criteria: trim text, parse numbers and clamp paging and sorting
+ * @param {string} entity - inventory, sales or customers
+ * @param {Object} criteria - Criteria from the renderer
+ * @returns {Object} Normalized criteria with page, pageSize, offset, sortBy and sortDir
+ */
+function normalizeCriteria(entity, criteria = {}) {
+  const normalized = {};
+
+  Object.entries(criteria || {}).forEach(([key, value]) => {
+    normalized[key] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  ['minPrice', 'maxPrice', 'minTotal', 'maxTotal'].forEach(key => {
+    normalized[key] = optionalNumber(normalized[key]);
+  });
+
+  const defaults = DEFAULT_SORT[entity];
+  normalized.sortBy = SORT_FIELDS[entity][normalized.sortBy] ? normalized.sortBy : defaults.sortBy;
+  normalized.sortDir = ['asc', 'desc'].includes(String(normalized.sortDir).toLowerCase())
+    ? String(normalized.sortDir).toLowerCase()
+    : defaults.sortDir;
+
+  normalized.pageSize = Math.min(Math.max(parseInt(normalized.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  normalized.page = Math.max(parseInt(normalized.page) || 1, 1);
+  normalized.offset = (normalized.page - 1) * normalized.pageSize;
+
+  return normalized;
+}
+
+/**
+ * Wrap one page of results with the paging details
+ * @param {Array} items - Records on the page
+ * @param {number} total - Number of records matching the criteria
+ * @param {Object} criteria - Normalized criteria
+ * @returns {Object} items, total, page, pageSize and totalPages
+ */
+function buildPage(items, total, criteria) {
+  return {
+    items,
+    total,
+    page: criteria.page,
+    pageSize: criteria.pageSize,
+    totalPages: Math.max(Math.ceil(total / criteria.pageSize), 1)
+  };
+}
+
+/**
+ * Case-insensitive substring match against any of the given values
+ * @param {string} query - Text to find
+ * @param {Array} values - Values to search
+ * @returns {boolean} True if the query is empty or found
+ */
+function matchesText(query, values) {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  return values.some(value => value !== undefined && value !== null && String(value).toLowerCase().includes(needle));
+}
+
+/**
+ * Case-insensitive equality for exact-match filters
+ * @param {string} filter - Filter value; empty matches everything
+ * @param {*} value - Record value
+ * @returns {boolean} True if the filter is empty or equal
+ */
+function matchesExact(filter, value) {
+  return !filter || String(value || '').toLowerCase() === String(filter).toLowerCase();
+}
+
+/**
+ * Attribute filters that have a value, with keys limited to attribute key characters
+ * @param {Object} [attributes] - Filter values keyed by attribute key
+ * @returns {Array<Array>} [key, value] pairs
+ */
+function getAttributeFilters(attributes) {
+  return Object.entries(attributes || {})
+    .map(([key, value]) => [key, value === undefined || value === null ? '' : String(value).trim()])
+    .filter(([key, value]) => /^[a-z][a-z0-9_]*$/.test(key) && value !== '');
+}
+
+/**
+ * Stock status of an inventory item, by the quantity available to sell when reservations are known
+ * @param {Object} item - Inventory item, optionally with availableQuantity
+ * @returns {string} 'out', 'low' or 'in'
+ */
+function getStockStatus(item) {
+  const quantity = parseFloat(item.availableQuantity !== undefined ? item.availableQuantity : item.quantity) || 0;
+  const threshold = parseFloat(item.alertThreshold !== undefined ? item.alertThreshold : item.alert_threshold) || DEFAULT_ALERT_THRESHOLD;
+  if (quantity <= 0) return 'out';
+  if (quantity <= threshold) return 'low';
+  return 'in';
+}
+
+/**
+ * Sort and page records in memory
+ * @param {string} entity - inventory, sales or customers
+ * @param {Array} records - Matching records
+ * @param {Object} criteria - Normalized criteria
+ * @returns {Object} Page of results
+ */
+function sortAndPage(entity, records, criteria) {
+  const readValue = SORT_FIELDS[entity][criteria.sortBy];
+  const direction = criteria.sortDir === 'desc' ? -1 : 1;
+
+  const sorted = [...records].sort((a, b) => {
+    const valueA = readValue(a);
+    const valueB = readValue(b);
+    const comparison = typeof valueA === 'number' && typeof valueB === 'number'
+      ? valueA - valueB
+      : String(valueA || '').localeCompare(String(valueB || ''), undefined, { sensitivity: 'base', numeric: true });
+    return comparison * direction || String(a.id).localeCompare(String(b.id)) * direction;
+  });
+
+  return buildPage(sorted.slice(criteria.offset, criteria.offset + criteria.pageSize), sorted.length, criteria);
+}
+
+/**
+ * Search inventory records held in memory
+ * @param {Array} items - All inventory items
+ * @param {Object} criteria - query, type, category, diameter, color, brand, stockStatus, minPrice, maxPrice
+ *   and attributes (values keyed by attribute key)
+ * @returns {Object} Page of results
+ */
+function searchInventoryRecords(items, criteria) {
+  const filters = normalizeCriteria('inventory', criteria);
+  const attributeFilters = getAttributeFilters(filters.attributes);
+
+  const matches = items.filter(item => {
+    const price = getItemPrice(item);
+    return matchesText(filters.query, [item.description, item.type, item.brand, item.category, item.sku, item.id]) &&
+      matchesExact(filters.type, item.type) &&
+      matchesExact(filters.category, item.category) &&
+      matchesExact(filters.diameter, item.diameter) &&
+      matchesExact(filters.color, item.color) &&
+      matchesExact(filters.brand, item.brand) &&
+      (!filters.stockStatus || getStockStatus(item) === filters.stockStatus) &&
+      (filters.minPrice === null || price >= filters.minPrice) &&
+      (filters.maxPrice === null || price <= filters.maxPrice) &&
+      attributeFilters.every(([key, value]) => matchesExact(value, (item.attributes || {})[key]));
+  });
+
+  return sortAndPage('inventory', matches, filters);
+}
+
+/**
+ * Search sales held in memory
+ * @param {Array} sales - All sales
+ * @param {Object} criteria - query, startDate, endDate, customerId, paymentMethod, paymentStatus, status, minTotal, maxTotal
+ * @returns {Object} Page of results plus salesCount, totalAmount and totalQuantity across all matches that are not void
+ */
+function searchSaleRecords(sales, criteria) {
+  const filters = normalizeCriteria('sales', criteria);
+
+  const matches = sales.filter(sale => {
+    const date = getSaleDate(sale);
+    const amount = getSaleAmount(sale);
+    const customerId = (sale.buyer && sale.buyer.id) || sale.customerId || sale.customer_id;
+    const tenders = getSaleTenders(sale);
+    return matchesText(filters.query, [sale.invoiceNumber, sale.invoice_number, getSaleCustomerName(sale), sale.notes,
+      ...tenders.map(tender => tender.reference)]) &&
+      (!filters.startDate || date >= filters.startDate) &&
+      (!filters.endDate || date <= filters.endDate) &&
+      (!filters.customerId || customerId === filters.customerId) &&
+      (matchesExact(filters.paymentMethod, sale.paymentMethod || sale.payment_method) ||
+        tenders.some(tender => matchesExact(filters.paymentMethod, tender.method))) &&
+      matchesExact(filters.paymentStatus, sale.paymentStatus) &&
+      matchesExact(filters.status, sale.status) &&
+      (filters.minTotal === null || amount >= filters.minTotal) &&
+      (filters.maxTotal === null || amount <= filters.maxTotal);
+  });
+
+  const counted = matches.filter(sale => sale.status !== VOID_SALE_STATUS);
+  
+  return {
+    ...sortAndPage('sales', matches, filters),
+    salesCount: counted.length,
+    totalAmount: counted.reduce((sum, sale) => sum + getSaleAmount(sale), 0),
+    totalQuantity: counted.reduce((sum, sale) =>
+      sum + (Array.isArray(sale.items) ? sale.items.reduce((lines, item) => lines + (parseFloat(item.quantity) || 0), 0) : 0), 0)
+  };
+}
+
+/**
+ * Search customers held in memory
+ * @param {Array} customers - All customers
+ * @param {Object} criteria - query, type
+ * @returns {Object} Page of results
+ */
+function searchCustomerRecords(customers, criteria) {
+  const filters = normalizeCriteria('customers', criteria);
+
+  const matches = customers.filter(customer =>
+    matchesText(filters.query, [customer.name, customer.business, customer.phone, customer.email, customer.tin]) &&
+    matchesExact(filters.type, customer.type));
+
+  return sortAndPage('customers', matches, filters);
+}
+
+module.exports = {
+  searchInventoryRecords,
+  searchSaleRecords,
+  searchCustomerRecords
+};
@@ -0,0 +1,304 @@
+/**
+ * Stock Takes
+ * A stock take counts what is on the shelves and corrects the books to match. Starting one
+ * freezes the expected quantity of each line (an item at a location) for one location or
+ * all of them, and for every category or just one when it is a cycle count. Counts are
+ * entered against the lines by scanning an item's code or by hand. Posting adjusts each
+ * counted line by the difference between its count and the frozen expected quantity, so
+ * sales made while counting are not undone. Lines that were not counted are left as they are.
+ */
+
+const { roundMoney } = require('./discounts');
+const { allowsDecimal, describeUnit, getAdditionalData, getBaseUnit, roundQuantity } = require('./units');
+const { findLocation, getLocationStock } = require('./locations');
+
+const STOCK_TAKES_KEY = 'stock_takes';
+
+// Ledger reason of the adjustments a stock take posts
+const STOCK_TAKE_REASON = 'Stock Take';
+
+const STOCK_TAKE_STATUS = {
+  COUNTING: 'counting',
+  POSTED: 'posted',
+  CANCELLED: 'cancelled'
+};
+
+// How count sheets can be grouped
+const COUNT_SHEET_GROUPS = ['type', 'location'];
+
+/**
+ * Validate what a new stock take covers
+ * @param {Object} scope - locationId (empty for every location), category (empty for every category), groupBy and notes
+ * @param {Array} locations - Locations
+ * @returns {Object} location_id, category, group_by and notes
+ * @throws {Error} When the location does not exist or is closed, or the grouping is unknown
+ */
+function validateStockTakeScope(scope = {}, locations = []) {
+  let locationId = null;
+  if (scope.locationId) {
+    const location = findLocation(locations, scope.locationId);
+    if (!location) {
+      throw new Error('Location not found');
+    }
+    if (!location.active) {
+      throw new Error(`${location.name} is closed`);
+    }
+    locationId = location.id;
+  }
+
+  const groupBy = scope.groupBy || 'type';
+  if (!COUNT_SHEET_GROUPS.includes(groupBy)) {
+    throw new Error('Count sheets can be grouped by type or by location');
+  }
+
+  return {
+    location_id: locationId,
+    category: String(scope.category || '').trim() || null,
+    group_by: groupBy,
+    notes: String(scope.notes || '').trim()
+  };
+}
+
+/**
+ * Whether an item is counted by a stock take of a category
+ * @param {Object} item - Inventory item in either storage shape
+ * @param {string|null} category - Category counted, or null for every category
+ * @returns {boolean} True when the item is in scope
+ */
+function isInStockTakeScope(item, category) {
+  if (!category) return true;
+  const itemCategory = item.category || getAdditionalData(item).category || '';
+  return String(itemCategory).toLowerCase() === category.toLowerCase();
+}
+
+/**
+ * Whether two stock takes count any of the same stock. Posting both would correct the
+ * same variance twice.
+ * @param {Object} a - Stock take or scope with location_id and category
+ * @param {Object} b - Stock take or scope with location_id and category
+ * @returns {boolean} True when they overlap
+ */
+function stockTakesOverlap(a, b) {
+  const sameLocation = !a.location_id || !b.location_id || a.location_id === b.location_id;
+  const sameCategory = !a.category || !b.category || a.category.toLowerCase() === b.category.toLowerCase();
+  return sameLocation && sameCategory;
+}
+
+/**
+ * Build the line counting an item at a location, with its expected quantity frozen
+ * @param {Object} item - Inventory item in either storage shape
+ * @param {string} locationId - Location ID
+ * @returns {Object} Stock take line, not yet counted
+ */
+function buildStockTakeLine(item, locationId) {
+  const extra = getAdditionalData(item);
+  return {
+    item_id: item.id,
+    location_id: locationId,
+    item_description: item.description || '',
+    item_type: item.type || '',
+    category: item.category || extra.category || '',
+    dimension: item.dimension || item.dimensions || '',
+    sku: item.sku || extra.sku || '',
+    unit: getBaseUnit(item),
+    expected_quantity: getLocationStock(item)[locationId] || 0,
+    counted_quantity: null,
+    unit_cost: parseFloat(item.buyingPrice || item.buying_price || item.cost_price) || 0,
+    counted_at: null,
+    counted_by: null,
+    posted: false
+  };
+}
+
+/**
+ * Build the lines of a new stock take: one per item in scope at each location counted.
+ * A stock take of one location counts the items stocked there; a stock take of every
+ * location counts each item wherever it is stocked.
+ * @param {Array} items - Inventory items
+ * @param {Object} scope - location_id and category from validateStockTakeScope()
+ * @returns {Array<Object>} Lines sorted by location, type and description
+ */
+function buildStockTakeLines(items, scope) {
+  const lines = [];
+  items.filter(item => isInStockTakeScope(item, scope.category)).forEach(item => {
+    const locationStock = getLocationStock(item);
+    const locationIds = scope.location_id ? [scope.location_id] : Object.keys(locationStock);
+    locationIds
+      .filter(locationId => locationStock[locationId] !== undefined)
+      .forEach(locationId => lines.push(buildStockTakeLine(item, locationId)));
+  });
+
+  return lines.sort((a, b) =>
+    a.location_id.localeCompare(b.location_id) ||
+    a.item_type.localeCompare(b.item_type) ||
+    a.item_description.localeCompare(b.item_description));
+}
+
+/**
+ * Find the line a scanned or typed code is for. Codes are matched against each item's
+ * SKU, the code printed on its barcode label, and then its ID.
+ * @param {Object} stockTake - Stock take with lines
+ * @param {string} code - Scanned or typed code
+ * @param {string} locationId - Location being counted
+ * @returns {Object|undefined} The line
+ */
+function findStockTakeLine(stockTake, code, locationId) {
+  const value = String(code || '').trim().toLowerCase();
+  if (!value) return undefined;
+
+  const lines = stockTake.lines.filter(line => line.location_id === locationId);
+  return lines.find(line => line.sku && line.sku.toLowerCase() === value) ||
+    lines.find(line => String(line.item_id).toLowerCase() === value);
+}
+
+/**
+ * Find the item a scanned or typed code is for when it is not on the stock take yet, by
+ * SKU and then by ID
+ * @param {Array} items - Inventory items in either storage shape
+ * @param {string} code - Scanned or typed code
+ * @returns {Object|undefined} The item
+ */
+function findItemByCode(items, code) {
+  const value = String(code || '').trim().toLowerCase();
+  if (!value) return undefined;
+
+  return items.find(item => {
+    const sku = item.sku || getAdditionalData(item).sku;
+    return sku && String(sku).toLowerCase() === value;
+  }) || items.find(item => String(item.id).toLowerCase() === value);
+}
+
+/**
+ * Record a count against a line
+ * @param {Object} line - Stock take line
+ * @param {number} quantity - Quantity counted
+ * @param {Object} options - add (true to add to the count so far, as when scanning piece by piece) and user
+ * @returns {Object} The counted line
+ * @throws {Error} When the quantity is negative or has decimals the item's unit does not allow
+ */
+function recordCount(line, quantity, { add = false, user = null } = {}) {
+  const value = parseFloat(quantity);
+  if (isNaN(value) || value < 0) {
+    throw new Error(`Enter a count of zero or more for ${line.item_description}`);
+  }
+  if (!allowsDecimal(line.unit) && !Number.isInteger(value)) {
+    throw new Error(`${line.item_description} is counted in whole ${describeUnit(line.unit, true)}`);
+  }
+
+  const counted = add ? (parseFloat(line.counted_quantity) || 0) + value : value;
+  return {
+    ...line,
+    counted_quantity: roundQuantity(counted),
+    counted_at: new Date().toISOString(),
+    counted_by: user
+  };
+}
+
+/**
+ * Difference between a line's count and its expected quantity
+ * @param {Object} line - Stock take line
+ * @returns {number|null} Positive when more was counted than expected, or null when not counted
+ */
+function getLineVariance(line) {
+  if (line.counted_quantity === null || line.counted_quantity === undefined) {
+    return null;
+  }
+  return roundQuantity(line.counted_quantity - line.expected_quantity);
+}
+
+/**
+ * Lines with their variances and what the variances are worth at buying price, and totals
+ * @param {Object} stockTake - Stock take with lines
+ * @returns {Object} lines (each with variance and variance_value), lineCount, countedCount,
+ *   uncountedCount, varianceCount, expectedValue, countedValue, overValue, shortValue and netValue
+ */
+function summarizeStockTake(stockTake) {
+  const summary = {
+    lines: [],
+    lineCount: stockTake.lines.length,
+    countedCount: 0,
+    uncountedCount: 0,
+    varianceCount: 0,
+    expectedValue: 0,
+    countedValue: 0,
+    overValue: 0,
+    shortValue: 0,
+    netValue: 0
+  };
+
+  stockTake.lines.forEach(line => {
+    const variance = getLineVariance(line);
+    const varianceValue = variance === null ? null : roundMoney(variance * line.unit_cost);
+    summary.lines.push({ ...line, variance, variance_value: varianceValue });
+
+    if (variance === null) {
+      summary.uncountedCount++;
+      return;
+    }
+
+    summary.countedCount++;
+    summary.expectedValue += line.expected_quantity * line.unit_cost;
+    summary.countedValue += line.counted_quantity * line.unit_cost;
+    if (variance !== 0) {
+      summary.varianceCount++;
+    }
+    if (varianceValue > 0) {
+      summary.overValue += varianceValue;
+    } else {
+      summary.shortValue -= varianceValue;
+    }
+  });
+
+  summary.expectedValue = roundMoney(summary.expectedValue);
+  summary.countedValue = roundMoney(summary.countedValue);
+  summary.overValue = roundMoney(summary.overValue);
+  summary.shortValue = roundMoney(summary.shortValue);
+  summary.netValue = roundMoney(summary.overValue - summary.shortValue);
+  return summary;
+}
+
+/**
+ * Group lines for the count sheets
+ * @param {Array} lines - Stock take lines
+ * @param {string} groupBy - 'type' or 'location'
+ * @param {Array} locations - Locations, for their names
+ * @returns {Array<Object>} Groups of title and lines, in the order the lines are in
+ */
+function groupCountSheet(lines, groupBy, locations = []) {
+  const groups = [];
+  lines.forEach(line => {
+    let title;
+    if (groupBy === 'location') {
+      const location = findLocation(locations, line.location_id);
+      title = location ? location.name : line.location_id;
+    } else {
+      title = line.item_type || 'No Type';
+    }
+
+    let group = groups.find(existing => existing.title === title);
+    if (!group) {
+      group = { title, lines: [] };
+      groups.push(group);
+    }
+    group.lines.push(line);
+  });
+  return groups;
+}
+
+module.exports = {
+  STOCK_TAKES_KEY,
+  STOCK_TAKE_REASON,
+  STOCK_TAKE_STATUS,
+  COUNT_SHEET_GROUPS,
+  validateStockTakeScope,
+  isInStockTakeScope,
+  stockTakesOverlap,
+  buildStockTakeLine,
+  buildStockTakeLines,
+  findStockTakeLine,
+  findItemByCode,
+  recordCount,
+  getLineVariance,
+  summarizeStockTake,
+  groupCountSheet
+};
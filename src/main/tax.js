@@ -0,0 +1,209 @@
+/**
+ * Tax
+ * Tax classes, tax-inclusive or tax-exclusive pricing and the tax on each sale line.
+ * The renderer only previews tax; the main process works it out here before a sale is saved.
+ */
+
+const { roundMoney } = require('./discounts');
+
+const TAX_SETTINGS_KEY = 'tax_settings';
+
+// Class used for sales made before tax classes existed, which only carry a VAT amount
+const LEGACY_TAX_CLASS = 'legacy';
+
+const DEFAULT_TAX_SETTINGS = {
+  // Selling prices already include tax; when false, tax is added on top of them
+  pricesIncludeTax: true,
+  defaultClass: 'standard',
+  classes: [
+    { id: 'standard', name: 'Standard rate', rate: 18, exempt: false },
+    { id: 'zero', name: 'Zero rated', rate: 0, exempt: false },
+    { id: 'exempt', name: 'Exempt', rate: 0, exempt: true }
+  ],
+  // Tax class per product type, e.g. { 'PVC Pipe': 'standard' }
+  typeClasses: {}
+};
+
+/**
+ * Merge saved tax settings with the defaults
+ * @param {Object} [saved] - Settings from the store
+ * @returns {Object} Settings
+ */
+function getTaxSettings(saved) {
+  const settings = saved || {};
+  return {
+    ...DEFAULT_TAX_SETTINGS,
+    ...settings,
+    classes: Array.isArray(settings.classes) && settings.classes.length > 0 ? settings.classes : DEFAULT_TAX_SETTINGS.classes,
+    typeClasses: { ...(settings.typeClasses || {}) }
+  };
+}
+
+/**
+ * Validate tax settings from the settings page
+ * Classes already used on sales keep their rate on those sales; only new sales use the change.
+ * @param {Object} newSettings - pricesIncludeTax, defaultClass, classes and typeClasses
+ * @returns {Object} Clean settings
+ * @throws {Error} When a class or assignment is invalid
+ */
+function validateTaxSettings(newSettings = {}) {
+  const classes = (newSettings.classes || []).map(taxClass => {
+    const id = String(taxClass.id || '').trim().toLowerCase();
+    const name = String(taxClass.name || '').trim();
+    const exempt = !!taxClass.exempt;
+    const rate = exempt ? 0 : parseFloat(taxClass.rate);
+
+    if (!/^[a-z0-9_-]{1,30}$/.test(id) || id === LEGACY_TAX_CLASS) {
+      throw new Error(`"${taxClass.id || ''}" is not a valid tax class code; use up to 30 letters, digits, - or _`);
+    }
+    if (!name) {
+      throw new Error(`Tax class ${id} needs a name`);
+    }
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      throw new Error(`The rate of tax class ${name} must be between 0 and 100%`);
+    }
+
+    return { id, name, rate, exempt };
+  });
+
+  if (classes.length === 0) {
+    throw new Error('At least one tax class is required');
+  }
+  const ids = classes.map(taxClass => taxClass.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Tax class ${duplicate} is listed more than once`);
+  }
+  const defaultClass = String(newSettings.defaultClass || '').trim().toLowerCase();
+  if (!ids.includes(defaultClass)) {
+    throw new Error('Choose a default tax class from the list');
+  }
+
+  const typeClasses = {};
+  Object.entries(newSettings.typeClasses || {}).forEach(([type, value]) => {
+    const classId = String(value || '').trim().toLowerCase();
+    if (!classId) return;
+    if (!ids.includes(classId)) {
+      throw new Error(`Product type ${type} is assigned to an unknown tax class`);
+    }
+    typeClasses[type] = classId;
+  });
+
+  return {
+    pricesIncludeTax: newSettings.pricesIncludeTax !== false,
+    defaultClass,
+    classes,
+    typeClasses
+  };
+}
+
+/**
+ * Tax class of an inventory item: its own class, else its product type's, else the default
+ * @param {Object} settings - Tax settings
+ * @param {Object} [item] - Inventory item or sale line with type and taxClass
+ * @returns {Object} Tax class
+ */
+function resolveTaxClass(settings, item = {}) {
+  const find = id => id && settings.classes.find(taxClass => taxClass.id === id);
+  const itemClass = item.taxClass !== undefined ? item.taxClass : item.tax_class;
+  return find(itemClass) || find(settings.typeClasses[item.type]) || find(settings.defaultClass) || settings.classes[0];
+}
+
+/**
+ * Split an amount into its taxable value and tax
+ * @param {number} amount - Amount charged for the line after discounts, at selling prices
+ * @param {Object} taxClass - Tax class with rate and exempt
+ * @param {boolean} pricesIncludeTax - True when the amount already contains the tax
+ * @returns {{taxableAmount: number, taxAmount: number}} Value before tax and the tax on it
+ */
+function calculateLineTax(amount, taxClass, pricesIncludeTax) {
+  const rate = taxClass.exempt ? 0 : parseFloat(taxClass.rate) || 0;
+
+  if (pricesIncludeTax) {
+    const taxAmount = roundMoney(amount * rate / (100 + rate));
+    return { taxableAmount: roundMoney(amount - taxAmount), taxAmount };
+  }
+  return { taxableAmount: roundMoney(amount), taxAmount: roundMoney(amount * rate / 100) };
+}
+
+/**
+ * Work out the tax on every line of a sale whose discounts are already applied.
+ * Tax is rounded per line and the sale totals are the sum of the lines, so the
+ * VAT report adds up to the invoices.
+ * @param {Object} sale - Sale from applySaleDiscounts(), each line with its taxClass ID
+ * @param {Object} settings - Tax settings
+ * @returns {Object} items, pricesIncludeTax, taxableAmount, exemptAmount, taxAmount, taxSummary and totalAmount
+ */
+function applySaleTax(sale, settings) {
+  const items = (sale.items || []).map(item => {
+    const taxClass = resolveTaxClass(settings, { taxClass: item.taxClass });
+    const amount = (parseFloat(item.total) || 0) - (parseFloat(item.invoiceDiscount) || 0);
+    const { taxableAmount, taxAmount } = calculateLineTax(amount, taxClass, settings.pricesIncludeTax);
+
+    return {
+      ...item,
+      taxClass: taxClass.id,
+      taxRate: taxClass.exempt ? 0 : taxClass.rate,
+      taxExempt: !!taxClass.exempt,
+      taxableAmount,
+      taxAmount
+    };
+  });
+
+  const sum = (lines, field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+  const taxed = items.filter(item => !item.taxExempt);
+
+  return {
+    items,
+    pricesIncludeTax: !!settings.pricesIncludeTax,
+    taxableAmount: sum(taxed, 'taxableAmount'),
+    exemptAmount: sum(items.filter(item => item.taxExempt), 'taxableAmount'),
+    taxAmount: sum(items, 'taxAmount'),
+    taxSummary: summarizeTax(items, settings),
+    totalAmount: roundMoney(sum(items, 'taxableAmount') + sum(items, 'taxAmount'))
+  };
+}
+
+/**
+ * Group sale or credit note lines by tax class
+ * @param {Array} lines - Lines with taxClass, taxRate, taxExempt, taxableAmount and taxAmount
+ * @param {Object} settings - Tax settings, for the class names
+ * @returns {Array<Object>} taxClass, name, rate, exempt, taxableAmount and taxAmount per class and rate
+ */
+function summarizeTax(lines, settings) {
+  const groups = {};
+
+  lines.forEach(line => {
+    const rate = parseFloat(line.taxRate) || 0;
+    const key = `${line.taxClass}:${rate}`;
+    if (!groups[key]) {
+      const taxClass = settings.classes.find(c => c.id === line.taxClass);
+      groups[key] = {
+        taxClass: line.taxClass,
+        name: line.taxClass === LEGACY_TAX_CLASS
+          ? 'VAT before tax classes'
+          : (taxClass ? taxClass.name : line.taxClass),
+        rate,
+        exempt: !!line.taxExempt,
+        taxableAmount: 0,
+        taxAmount: 0
+      };
+    }
+    groups[key].taxableAmount = roundMoney(groups[key].taxableAmount + line.taxableAmount);
+    groups[key].taxAmount = roundMoney(groups[key].taxAmount + line.taxAmount);
+  });
+
+  return Object.values(groups);
+}
+
+module.exports = {
+  TAX_SETTINGS_KEY,
+  LEGACY_TAX_CLASS,
+  DEFAULT_TAX_SETTINGS,
+  getTaxSettings,
+  validateTaxSettings,
+  resolveTaxClass,
+  calculateLineTax,
+  applySaleTax,
+  summarizeTax
+};
@@ -0,0 +1,262 @@
+/**
+ * Units of Measure
+ * Stock is counted in each item's base unit (e.g. metres of pipe). An item can also be sold
+ * in alternate units, each holding a fixed number of base units (a 6 m length, a bundle of
+ * ten lengths, a box of 50 fittings). Sale lines keep the unit they were sold in and the
+ * base quantity they took from stock.
+ */
+
+const { roundMoney } = require('./discounts');
+
+const UNITS = {
+  piece: { label: 'Piece', plural: 'pieces', decimal: false },
+  meter: { label: 'Meter', plural: 'meters', decimal: true },
+  length: { label: 'Length', plural: 'lengths', decimal: false },
+  bundle: { label: 'Bundle', plural: 'bundles', decimal: false },
+  box: { label: 'Box', plural: 'boxes', decimal: false },
+  kg: { label: 'Kilogram', plural: 'kilograms', decimal: true },
+  liter: { label: 'Liter', plural: 'liters', decimal: true },
+  square_meter: { label: 'Square Meter', plural: 'square meters', decimal: true },
+  set: { label: 'Set', plural: 'sets', decimal: false },
+  roll: { label: 'Roll', plural: 'rolls', decimal: false },
+  pair: { label: 'Pair', plural: 'pairs', decimal: false },
+  bag: { label: 'Bag', plural: 'bags', decimal: false },
+  sheet: { label: 'Sheet', plural: 'sheets', decimal: false }
+};
+
+const DEFAULT_UNIT = 'piece';
+
+// Plural spellings saved by older versions of the edit form
+const UNIT_ALIASES = {
+  pieces: 'piece',
+  meters: 'meter',
+  metres: 'meter',
+  kilograms: 'kg',
+  liters: 'liter',
+  boxes: 'box',
+  pairs: 'pair',
+  sets: 'set'
+};
+
+// Base quantities are kept to this many decimal places
+const QUANTITY_DECIMALS = 3;
+
+/**
+ * Round a quantity so repeated conversions do not leave floating point noise
+ * @param {number} quantity - Quantity
+ * @returns {number} Rounded quantity
+ */
+function roundQuantity(quantity) {
+  const factor = Math.pow(10, QUANTITY_DECIMALS);
+  return Math.round((parseFloat(quantity) || 0) * factor) / factor;
+}
+
+/**
+ * Read a unit in its canonical spelling
+ * @param {string} unit - Unit as saved
+ * @returns {string} Unit key
+ */
+function normalizeUnit(unit) {
+  const key = String(unit || '').trim().toLowerCase();
+  return UNIT_ALIASES[key] || key || DEFAULT_UNIT;
+}
+
+/**
+ * Name of a unit for messages
+ * @param {string} unit - Unit key
+ * @param {boolean} [plural] - Whether to use the plural
+ * @returns {string} Lower-case unit name
+ */
+function describeUnit(unit, plural = false) {
+  const known = UNITS[normalizeUnit(unit)];
+  if (!known) {
+    return unit;
+  }
+  return plural ? known.plural : known.label.toLowerCase();
+}
+
+/**
+ * Whether quantities in a unit can have decimals
+ * @param {string} unit - Unit
+ * @returns {boolean} True for units measured rather than counted
+ */
+function allowsDecimal(unit) {
+  const known = UNITS[normalizeUnit(unit)];
+  return known ? known.decimal : false;
+}
+
+/**
+ * Extra fields SQLite rows keep in additional_data
+ * @param {Object} item - Inventory item
+ * @returns {Object} Parsed additional data
+ */
+function getAdditionalData(item) {
+  let extra = item.additional_data;
+  if (typeof extra === 'string') {
+    try {
+      extra = JSON.parse(extra);
+    } catch (error) {
+      extra = null;
+    }
+  }
+  return extra || {};
+}
+
+/**
+ * Base unit of an inventory item in either storage shape
+ * @param {Object} item - Inventory item
+ * @returns {string} Unit key
+ */
+function getBaseUnit(item) {
+  return normalizeUnit(item.unit || getAdditionalData(item).unit);
+}
+
+/**
+ * Alternate units of an inventory item in either storage shape
+ * @param {Object} item - Inventory item
+ * @returns {Array<Object>} Conversions with unit, factor and optional price
+ */
+function getUnitConversions(item) {
+  if (Array.isArray(item.unitConversions)) {
+    return item.unitConversions;
+  }
+  const extra = getAdditionalData(item);
+  return Array.isArray(extra.unitConversions) ? extra.unitConversions : [];
+}
+
+/**
+ * Units an item can be sold in, base unit first
+ * @param {Object} item - Inventory item
+ * @returns {Array<Object>} unit, label, factor (base units per unit), price per unit and decimal
+ */
+function getItemUnits(item) {
+  const baseUnit = getBaseUnit(item);
+  const basePrice = parseFloat(item.price !== undefined && item.price !== null ? item.price : item.selling_price) || 0;
+  const describe = unit => (UNITS[unit] ? UNITS[unit].label : unit);
+
+  return [
+    { unit: baseUnit, label: describe(baseUnit), factor: 1, price: basePrice, decimal: allowsDecimal(baseUnit) },
+    ...getUnitConversions(item).map(conversion => {
+      const unit = normalizeUnit(conversion.unit);
+      const factor = parseFloat(conversion.factor) || 1;
+      const price = parseFloat(conversion.price);
+      return {
+        unit,
+        label: describe(unit),
+        factor,
+        price: isNaN(price) ? roundMoney(basePrice * factor) : price,
+        decimal: allowsDecimal(unit)
+      };
+    })
+  ];
+}
+
+/**
+ * Validate the alternate units entered for an item
+ * @param {string} baseUnit - The item's base unit
+ * @param {Array} conversions - unit, factor and optional price of each alternate unit
+ * @returns {Array<Object>} Clean conversions
+ * @throws {Error} When a unit is unknown, repeated or has no valid factor
+ */
+function validateUnitConversions(baseUnit, conversions = []) {
+  const base = normalizeUnit(baseUnit);
+  const seen = new Set([base]);
+
+  return (conversions || []).map(conversion => {
+    const unit = normalizeUnit(conversion.unit);
+    const factor = parseFloat(conversion.factor);
+    const priceText = conversion.price === undefined || conversion.price === null ? '' : String(conversion.price).trim();
+    const price = parseFloat(priceText);
+
+    if (!UNITS[unit]) {
+      throw new Error(`${conversion.unit} is not a known unit`);
+    }
+    if (seen.has(unit)) {
+      throw new Error(unit === base
+        ? `${UNITS[unit].label} is already the base unit`
+        : `${UNITS[unit].label} is listed more than once`);
+    }
+    if (isNaN(factor) || factor <= 0) {
+      throw new Error(`Enter how many ${describeUnit(base, true)} make one ${describeUnit(unit)}`);
+    }
+    if (priceText && (isNaN(price) || price < 0)) {
+      throw new Error(`The price per ${describeUnit(unit)} must be zero or more`);
+    }
+    seen.add(unit);
+
+    const clean = { unit, factor: roundQuantity(factor) };
+    if (priceText) {
+      clean.price = roundMoney(price);
+    }
+    return clean;
+  });
+}
+
+/**
+ * Check a quantity entered in a unit
+ * @param {Object} unit - Unit from getItemUnits()
+ * @param {number} quantity - Quantity in that unit
+ * @param {string} description - Item description for the error message
+ * @throws {Error} When the quantity is not positive or has decimals the unit does not allow
+ */
+function checkUnitQuantity(unit, quantity, description) {
+  const value = parseFloat(quantity);
+  if (isNaN(value) || value <= 0) {
+    throw new Error(`Enter a quantity above zero for ${description}`);
+  }
+  if (!unit.decimal && !Number.isInteger(value)) {
+    throw new Error(`${description} is sold in whole ${describeUnit(unit.unit, true)}`);
+  }
+}
+
+/**
+ * Work out the unit of a sale or quotation line against its inventory item
+ * @param {Object} line - Line with quantity and optional unit
+ * @param {Object} item - Inventory item
+ * @returns {Object} unit, unitFactor and baseQuantity for the line
+ * @throws {Error} When the item is not sold in the line's unit or the quantity does not fit it
+ */
+function resolveLineUnit(line, item) {
+  const units = getItemUnits(item);
+  const unit = line.unit ? units.find(option => option.unit === normalizeUnit(line.unit)) : units[0];
+  const description = item.description || line.description || 'this item';
+
+  if (!unit) {
+    throw new Error(`${description} is not sold by the ${describeUnit(line.unit)}`);
+  }
+  checkUnitQuantity(unit, line.quantity, description);
+
+  return {
+    unit: unit.unit,
+    unitFactor: unit.factor,
+    baseQuantity: roundQuantity((parseFloat(line.quantity) || 0) * unit.factor)
+  };
+}
+
+/**
+ * Quantity a sale or quotation line takes from stock, in the item's base unit. Lines saved
+ * before units of measure were sold in the base unit.
+ * @param {Object} line - Line in either storage shape
+ * @returns {number} Base quantity
+ */
+function getBaseQuantity(line) {
+  const factor = parseFloat(line.unitFactor !== undefined ? line.unitFactor : line.unit_factor) || 1;
+  return roundQuantity((parseFloat(line.quantity) || 0) * factor);
+}
+
+module.exports = {
+  UNITS,
+  DEFAULT_UNIT,
+  roundQuantity,
+  normalizeUnit,
+  describeUnit,
+  allowsDecimal,
+  getAdditionalData,
+  getBaseUnit,
+  getUnitConversions,
+  getItemUnits,
+  validateUnitConversions,
+  checkUnitQuantity,
+  resolveLineUnit,
+  getBaseQuantity
+};
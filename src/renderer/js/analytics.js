@@ -57,7 +57,7 @@ async function initializeAnalytics() {
         
         try {
             console.log('Attempting to fetch inventory data with timeout');
-            inventoryData = await Promise.race([fetchInventoryData(), inventoryTimeoutPromise]);
+            inventoryData = await Promise.race([fetchInventoryData(getQuantitiesSold(salesData)), inventoryTimeoutPromise]);
             console.log('Successfully fetched inventory data:', inventoryData ? inventoryData.length : 0, 'items');
         } catch (inventoryError) {
             console.warn('Error or timeout fetching inventory data:', inventoryError.message);
@@ -262,8 +262,8 @@ async function fetchSalesData() {
         
         console.log('Sample sales data structure:', sales[0]);
         
-        // Process the sales data for analytics
-        return processSalesData(sales);
+        // Process the sales data for analytics; voided sales are not revenue
+        return processSalesData(sales.filter(sale => sale.status !== 'void'));
     } catch (error) {
         console.error('Error fetching sales data:', error);
         // Return mock data as fallback in case of error
@@ -273,7 +273,7 @@ async function fetchSalesData() {
 }
 
 // Fetch inventory data from database
-async function fetchInventoryData() {
+async function fetchInventoryData(quantitiesSold) {
     try {
         console.log('Fetching inventory data from database...');
         
@@ -307,7 +307,7 @@ async function fetchInventoryData() {
         console.log('Sample inventory data structure:', inventory[0]);
         
         // Process the inventory data for analytics
-        return processInventoryData(inventory);
+        return processInventoryData(inventory, quantitiesSold);
     } catch (error) {
         console.error('Error fetching inventory data:', error);
         // Return mock data as fallback in case of error
@@ -316,6 +316,57 @@ async function fetchInventoryData() {
     }
 }
 
+// Read the lines of a sale, whether they come as sale_items rows, renderer items or a legacy JSON string
+function getSaleLines(sale) {
+    let items = sale.items || [];
+    if (typeof items === 'string') {
+        try {
+            items = JSON.parse(items);
+        } catch (e) {
+            console.warn('Error parsing sale items:', e);
+            items = [];
+        }
+    }
+    if (!Array.isArray(items)) return [];
+    
+    return items.map(item => {
+        const quantity = parseFloat(item.quantity || 1);
+        const price = parseFloat(item.price !== undefined ? item.price : item.unit_price) || 0;
+        const discount = parseFloat(item.discount) || 0;
+        const total = parseFloat(item.total !== undefined ? item.total : item.total_price);
+        
+        // cost_price is the buying price captured when the sale was made
+        const cost = parseFloat(item.cost_price !== undefined ? item.cost_price : (item.cost || item.buyingPrice));
+        
+        return {
+            id: item.itemId || item.product_id || item.id,
+            description: item.description || item.product_name || 'Unknown Item',
+            dimension: item.dimension || item.size || '',
+            type: item.type || item.category || 'Uncategorized',
+            quantity,
+            price,
+            discount,
+            total: isNaN(total) ? quantity * price - discount : total,
+            cost: cost > 0 ? cost : null
+        };
+    });
+}
+
+// Total quantity sold per inventory item across the processed daily sales,
+// or null when no sale lines were recorded (e.g. sample data)
+function getQuantitiesSold(salesData) {
+    const sold = {};
+    let hasLines = false;
+    (salesData || []).forEach(day => {
+        (day.soldItems || []).forEach(item => {
+            if (!item.id) return;
+            sold[item.id] = (sold[item.id] || 0) + item.quantity;
+            hasLines = true;
+        });
+    });
+    return hasLines ? sold : null;
+}
+
 // Process sales data for analytics
 function processSalesData(sales) {
     if (!sales || !Array.isArray(sales) || sales.length === 0) {
@@ -359,61 +410,36 @@ function processSalesData(sales) {
             // Estimate profit as 30% of revenue if not available
             profit = saleAmount * 0.3;
             
-            // If items array is available, calculate more accurate profit
-            if (sale.items && Array.isArray(sale.items)) {
-                // Check if items is a string that needs parsing
-                let items = sale.items;
-                if (typeof items === 'string') {
-                    try {
-                        items = JSON.parse(items);
-                    } catch (e) {
-                        console.warn('Error parsing sale items:', e);
-                    }
-                }
-                
-                if (Array.isArray(items)) {
-                    // Calculate profit based on item prices and costs
-                    profit = items.reduce((total, item) => {
-                        const quantity = parseFloat(item.quantity || 1);
-                        const price = parseFloat(item.price || 0);
-                        const cost = parseFloat(item.cost || item.buyingPrice || (price * 0.7)); // Estimate cost as 70% of price if not available
-                        
-                        // Track item information for better analytics
-                        acc[saleDate].soldItems.push({
-                            id: item.id || item.itemId,
-                            description: item.description || 'Unknown Item',
-                            dimension: item.dimension || item.size || '',
-                            type: item.type || item.category || 'Uncategorized',
-                            quantity: quantity,
-                            price: price,
-                            cost: cost,
-                            profit: (price - cost) * quantity
-                        });
-                        
-                        return total + ((price - cost) * quantity);
-                    }, 0);
-                }
+            // Calculate profit from the sale lines when they are available
+            const lines = getSaleLines(sale);
+            if (lines.length > 0) {
+                profit = lines.reduce((total, line) => {
+                    // Lines recorded before cost snapshots fall back to an estimate of 70% of price
+                    const unitCost = line.cost !== null ? line.cost : line.price * 0.7;
+                    const lineProfit = line.total - unitCost * line.quantity;
+                    
+                    // Track item information for better analytics
+                    acc[saleDate].soldItems.push({
+                        id: line.id,
+                        description: line.description,
+                        dimension: line.dimension,
+                        type: line.type,
+                        quantity: line.quantity,
+                        price: line.price,
+                        cost: unitCost,
+                        profit: lineProfit
+                    });
+                    
+                    return total + lineProfit;
+                }, 0);
             }
         }
         
         // Count items in the sale
+        const saleLines = getSaleLines(sale);
         let itemCount = 0;
-        if (sale.items) {
-            if (Array.isArray(sale.items)) {
-                itemCount = sale.items.reduce((count, item) => count + (parseInt(item.quantity) || 1), 0);
-            } else if (typeof sale.items === 'string') {
-                try {
-                    const parsedItems = JSON.parse(sale.items);
-                    if (Array.isArray(parsedItems)) {
-                        itemCount = parsedItems.reduce((count, item) => count + (parseInt(item.quantity) || 1), 0);
-                    } else {
-                        itemCount = 0;
-                    }
-                } catch (e) {
-                    console.warn('Error parsing sale items count:', e);
-                    itemCount = 0;
-                }
-            }
+        if (saleLines.length > 0) {
+            itemCount = saleLines.reduce((count, line) => count + (parseInt(line.quantity) || 1), 0);
         } else if (typeof sale.itemCount === 'number') {
             itemCount = sale.itemCount;
         }
@@ -445,7 +471,7 @@ function processSalesData(sales) {
 }
 
 // Process inventory data for analytics
-function processInventoryData(inventory) {
+function processInventoryData(inventory, quantitiesSold) {
     if (!inventory || !Array.isArray(inventory) || inventory.length === 0) {
         console.warn('No inventory data to process, returning empty array');
         return [];
@@ -504,7 +530,7 @@ function processInventoryData(inventory) {
             maxQuantity,
             minQuantity: alertThreshold,
             healthPercentage,
-            turnover: calculateTurnoverRate(item, maxQuantity),
+            turnover: calculateTurnoverRate(item, maxQuantity, quantitiesSold ? quantitiesSold[item.id] || 0 : undefined),
             isLowStock,
             isOptimalStock,
             isOverStock,
@@ -516,7 +542,14 @@ function processInventoryData(inventory) {
 }
 
 // Calculate turnover rate for an item
-function calculateTurnoverRate(item, maxQuantity) {
+function calculateTurnoverRate(item, maxQuantity, quantitySold) {
+    // With recorded sale lines, turnover is the share of stock that has sold through
+    if (quantitySold !== undefined) {
+        const onHand = Math.max(0, parseFloat(item.quantity || 0));
+        const available = quantitySold + onHand;
+        return available > 0 ? (quantitySold / available) * 100 : 0;
+    }
+    
     // If max quantity is not provided, calculate it
     if (maxQuantity === undefined) {
         const alertThreshold = parseFloat(item.alertThreshold || item.threshold || 10);
@@ -1173,7 +1206,7 @@ async function updateChartsForTimeRange(days) {
                 setTimeout(() => reject(new Error('Inventory data loading timed out')), TIMEOUT_MS);
             });
             
-            inventoryData = await Promise.race([fetchInventoryData(), inventoryTimeoutPromise]);
+            inventoryData = await Promise.race([fetchInventoryData(getQuantitiesSold(salesData)), inventoryTimeoutPromise]);
         } catch (error) {
             console.warn('Error or timeout fetching inventory data:', error.message);
             inventoryData = getMockInventoryData();
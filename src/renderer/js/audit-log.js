@@ -0,0 +1,175 @@
+/**
+ * audit-log.js
+ * Shows who changed what and when on the reports page (owners only)
+ */
+
+/**
+ * Labels and badge colours for audit actions
+ */
+const AUDIT_ACTION_LABELS = {
+  create: { text: 'Created', badge: 'bg-success' },
+  update: { text: 'Updated', badge: 'bg-info' },
+  delete: { text: 'Deleted', badge: 'bg-danger' }
+};
+
+// Only the most recent entries are drawn; the export contains everything that matches
+const AUDIT_MAX_ROWS = 500;
+
+/**
+ * Format a changed value for display
+ * @param {*} value - Value before or after the change
+ * @returns {string} Display text
+ */
+function formatAuditValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Read the filter form into logger filters
+ * @returns {Object} Filters for getLogs/exportLogs
+ */
+function getAuditFilters() {
+  const filters = { auditOnly: true };
+
+  const user = document.getElementById('audit-user').value;
+  const entityType = document.getElementById('audit-entity').value;
+  const startDate = document.getElementById('audit-start-date').value;
+  const endDate = document.getElementById('audit-end-date').value;
+  const search = document.getElementById('audit-search').value.trim();
+
+  if (user) filters.user = user;
+  if (entityType) filters.entityType = entityType;
+  if (startDate) filters.startDate = new Date(`${startDate}T00:00:00`).toISOString();
+  if (endDate) filters.endDate = new Date(`${endDate}T23:59:59.999`).toISOString();
+  if (search) filters.search = search;
+
+  return filters;
+}
+
+/**
+ * Fill the user filter from the users seen in the audit log
+ * @param {Array} logs - Unfiltered audit entries
+ */
+function populateAuditUsers(logs) {
+  const select = document.getElementById('audit-user');
+  const selected = select.value;
+  const users = [...new Set(logs.map(entry => entry.user).filter(Boolean))].sort();
+
+  select.innerHTML = '<option value="">All Users</option>' +
+    users.map(user => `<option value="${Utils.escapeHTML(user)}">${Utils.escapeHTML(user)}</option>`).join('');
+  select.value = users.includes(selected) ? selected : '';
+}
+
+/**
+ * Render the field-level changes of an entry
+ * @param {Object} entry - Audit entry
+ * @returns {string} HTML
+ */
+function renderAuditChanges(entry) {
+  const changes = entry.changes || {};
+  const fields = Object.keys(changes);
+
+  if (fields.length === 0) {
+    return `<span class="text-secondary">${Utils.escapeHTML(entry.description)}</span>`;
+  }
+
+  return fields.map(field => `
+    <div>
+      <strong>${Utils.escapeHTML(field)}</strong>:
+      <span class="text-danger">${Utils.escapeHTML(formatAuditValue(changes[field].from))}</span>
+      &rarr;
+      <span class="text-success">${Utils.escapeHTML(formatAuditValue(changes[field].to))}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Load audit entries matching the filters into the table
+ */
+async function loadAuditLog() {
+  const tableBody = document.getElementById('audit-log-body');
+  const countLabel = document.getElementById('audit-log-count');
+
+  try {
+    const filters = getAuditFilters();
+    const result = await window.electronAPI.getLogs(filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    // Refresh the user list from everything that has been audited
+    if (document.getElementById('audit-user').options.length <= 1) {
+      const allResult = await window.electronAPI.getLogs({ auditOnly: true });
+      populateAuditUsers(allResult.logs || []);
+    }
+
+    const logs = result.logs;
+    if (logs.length === 0) {
+      tableBody.innerHTML = '<tr><td colspan="5" class="text-center text-secondary">No changes found</td></tr>';
+      countLabel.textContent = '';
+      return;
+    }
+
+    tableBody.innerHTML = logs.slice(0, AUDIT_MAX_ROWS).map(entry => {
+      const action = AUDIT_ACTION_LABELS[entry.action] || { text: entry.action || 'Changed', badge: 'bg-secondary' };
+      return `
+        <tr>
+          <td class="text-nowrap">${new Date(entry.timestamp).toLocaleString()}</td>
+          <td>${Utils.escapeHTML(entry.user)}</td>
+          <td><span class="badge ${action.badge}">${Utils.escapeHTML(action.text)}</span></td>
+          <td>
+            <div class="text-capitalize">${Utils.escapeHTML(entry.entityType)}</div>
+            <small class="text-secondary">${Utils.escapeHTML(entry.entityId)}</small>
+          </td>
+          <td>${renderAuditChanges(entry)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    countLabel.textContent = logs.length > AUDIT_MAX_ROWS
+      ? `Showing the latest ${AUDIT_MAX_ROWS} of ${logs.length} changes. Export to see them all.`
+      : `${logs.length} change${logs.length === 1 ? '' : 's'}`;
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    tableBody.innerHTML = `<tr><td colspan="5" class="text-danger">${Utils.escapeHTML(error.message)}</td></tr>`;
+  }
+}
+
+/**
+ * Export the entries matching the filters to CSV
+ */
+async function exportAuditLog() {
+  try {
+    const result = await window.electronAPI.exportLogs({ format: 'csv', filters: getAuditFilters() });
+
+    if (result.success) {
+      showNotification(`Exported ${result.count} audit entries`, 'success');
+    } else if (result.error !== 'Cancelled by user') {
+      showNotification(result.error, 'error');
+    }
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    showNotification(error.message, 'error');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  const container = document.getElementById('audit-log-container');
+  const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
+
+  if (!container || !(userSession.permissions || []).includes('audit.view')) {
+    return;
+  }
+
+  container.style.display = '';
+
+  document.getElementById('audit-filter-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    loadAuditLog();
+  });
+  document.getElementById('export-audit-log-btn').addEventListener('click', exportAuditLog);
+
+  loadAuditLog();
+});
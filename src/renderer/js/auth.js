@@ -8,6 +8,10 @@ let SESSION_TIMEOUT = 3 * 60 * 60 * 1000; // 3 hours
 let activityTimer;
 let warningTimer;
 
+// How often activity is passed on to the main process, which expires idle sessions too
+const SESSION_SYNC_INTERVAL = 5 * 60 * 1000; // 5 minutes
+let lastSessionSync = 0;
+
 // Load session timeout setting
 function loadSessionTimeout() {
   const savedTimeout = localStorage.getItem('sessionTimeoutHours');
@@ -34,6 +38,13 @@ function updateLastActivity() {
     if (userSession.username) {
       userSession.lastActivity = new Date().toISOString();
       localStorage.setItem('userSession', JSON.stringify(userSession));
+      
+      if (window.electronAPI && window.electronAPI.setUserSession && Date.now() - lastSessionSync > SESSION_SYNC_INTERVAL) {
+        lastSessionSync = Date.now();
+        window.electronAPI.setUserSession(userSession).catch(error => {
+          console.warn('Failed to sync session activity:', error);
+        });
+      }
     }
   } catch (error) {
     console.error('Error updating last activity:', error);
@@ -104,8 +115,8 @@ function checkAuthentication() {
       if (backupSession.username && backupSession.loggedIn) {
         userSession = {
           username: backupSession.username,
-          role: backupSession.username === 'festomanolo' ? 'admin' : 'user',
-          name: backupSession.username === 'festomanolo' ? 'System Administrator' : 'Hardware Manager',
+          role: backupSession.role,
+          name: backupSession.name || backupSession.username,
           loginTime: backupSession.loginTime,
           lastActivity: new Date().toISOString()
         };
@@ -126,14 +137,27 @@ function checkAuthentication() {
     
     console.log('User authenticated:', userSession.username);
     updateUIForUser(userSession);
+    
+    // The session is confirmed with the main process just below
+    lastSessionSync = Date.now();
     setupActivityTracking();
     
-    // Try to sync with Electron API in the background (non-blocking)
+    // Confirm with the main process in the background (non-blocking); only its login
+    // handler creates sessions, so a page session it does not know about is signed out
     if (typeof window.electronAPI !== 'undefined' && window.electronAPI.setUserSession) {
-      window.electronAPI.setUserSession(userSession).catch(error => {
-        console.warn('Failed to sync session with Electron API:', error);
-        // Don't redirect on this error, just log it
-      });
+      window.electronAPI.setUserSession(userSession)
+        .then(result => {
+          if (result && result.success === false) {
+            console.log('Session not recognised by main process:', result.error);
+            localStorage.removeItem('userSession');
+            localStorage.removeItem('eliva_session');
+            redirectToLogin();
+          }
+        })
+        .catch(error => {
+          console.warn('Failed to sync session with Electron API:', error);
+          // Don't redirect on this error, just log it
+        });
     }
     
   } catch (error) {
@@ -156,21 +180,21 @@ function updateUIForUser(userSession) {
     element.textContent = userSession.name || userSession.username;
   });
 
-  // Hide admin-only features for regular users
-  if (userSession.role !== 'admin') {
+  // Hide owner-only features (such as user management) from other roles
+  if (userSession.role !== 'owner') {
     const adminElements = document.querySelectorAll('.admin-only');
     adminElements.forEach(element => {
       element.style.display = 'none';
     });
   }
 
-  // Hide password tab for admin users
-  if (userSession.role === 'admin') {
-    const passwordTab = document.getElementById('password-tab-item');
-    if (passwordTab) {
-      passwordTab.style.display = 'none';
+  // Hide features the role's permissions do not cover, e.g. data-permission="reports.profit"
+  const permissions = userSession.permissions || [];
+  document.querySelectorAll('[data-permission]').forEach(element => {
+    if (!permissions.includes(element.dataset.permission)) {
+      element.style.display = 'none';
     }
-  }
+  });
 }
 
 // Logout function
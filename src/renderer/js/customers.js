@@ -9,6 +9,8 @@ let currentPage = 1;
 let itemsPerPage = 10;
 let filteredCustomers = [];
 let selectedCustomerId = null;
+// Total and page count from the last server-side search; null when paging in memory
+let customerPageInfo = null;
 
 // Initialize the customers module
 window.initializeCustomers = function() {
@@ -61,6 +63,12 @@ function setupEventListeners() {
     confirmDeleteBtn.addEventListener('click', handleDeleteCustomer);
   }
   
+  // Aged receivables
+  const agedReceivablesBtn = document.getElementById('aged-receivables-btn');
+  if (agedReceivablesBtn) {
+    agedReceivablesBtn.addEventListener('click', showAgedReceivables);
+  }
+  
   // Listen for customer-stats-updated event from main process
   if (window.electronAPI && typeof window.electronAPI.onCustomerStatsUpdated === 'function') {
     console.log('Setting up listener for customer-stats-updated events');
@@ -99,14 +107,8 @@ async function loadCustomersData() {
       customersData = [];
     }
     
-    // Reset filter
-    filteredCustomers = [...customersData];
-    
-    // Update customer count
-    updateCustomerCount(filteredCustomers.length);
-    
-    // Render customers
-    renderCustomers(filteredCustomers);
+    // Show the current page with any search and filter applied
+    await loadCustomerPage();
   } catch (error) {
     console.error('Error loading customers data:', error);
     
@@ -140,9 +142,9 @@ function renderCustomers(customers) {
     return;
   }
   
-  // Calculate pagination
-  const totalPages = Math.ceil(customers.length / itemsPerPage);
-  const startIndex = (currentPage - 1) * itemsPerPage;
+  // Calculate pagination; server-side results are already a single page
+  const totalPages = customerPageInfo ? customerPageInfo.totalPages : Math.ceil(customers.length / itemsPerPage);
+  const startIndex = customerPageInfo ? 0 : (currentPage - 1) * itemsPerPage;
   const endIndex = Math.min(startIndex + itemsPerPage, customers.length);
   const currentCustomers = customers.slice(startIndex, endIndex);
   
@@ -290,7 +292,11 @@ function generatePagination(totalPages) {
       
       if (page && page !== currentPage && page >= 1 && page <= totalPages) {
         currentPage = page;
-        renderCustomers(filteredCustomers);
+        if (customerPageInfo) {
+          loadCustomerPage();
+        } else {
+          renderCustomers(filteredCustomers);
+        }
         
         // Scroll to top of customers container
         document.getElementById('customers-container').scrollIntoView({ behavior: 'smooth' });
@@ -301,16 +307,41 @@ function generatePagination(totalPages) {
 
 // Filter customers based on search and filter criteria
 function filterCustomers() {
-  const searchTerm = document.getElementById('search-customer').value.toLowerCase();
-  const filterType = document.getElementById('filter-type').value;
-  
   // Reset to first page when filtering
   currentPage = 1;
+  loadCustomerPage();
+}
+
+// Load the current page of customers matching the search and filter
+async function loadCustomerPage() {
+  const query = document.getElementById('search-customer').value.trim();
+  const type = document.getElementById('filter-type').value;
+  
+  // Search in the main process when available so large customer lists are not filtered here
+  if (window.electronAPI && typeof window.electronAPI.searchCustomers === 'function') {
+    try {
+      const result = await window.electronAPI.searchCustomers({ query, type, page: currentPage, pageSize: itemsPerPage });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      
+      customerPageInfo = { total: result.total, totalPages: result.totalPages };
+      filteredCustomers = result.items;
+      updateCustomerCount(result.total);
+      renderCustomers(filteredCustomers);
+      return;
+    } catch (error) {
+      console.error('Customer search failed, filtering in memory:', error);
+    }
+  }
+  
+  customerPageInfo = null;
+  const searchTerm = query.toLowerCase();
   
   // Apply filters
   filteredCustomers = customersData.filter(customer => {
     // Filter by type
-    if (filterType && customer.type !== filterType && filterType !== '') {
+    if (type && customer.type !== type) {
       return false;
     }
     
@@ -381,13 +412,9 @@ async function handleAddCustomer(event) {
       const result = await window.electronAPI.addCustomer(customerData);
       
       if (result) {
-        // Add to local data arrays
+        // Add to local data and reload the current page
         customersData.push(customerData);
-        filteredCustomers.push(customerData);
-        
-        // Update UI
-        updateCustomerCount(customersData.length);
-        renderCustomers(filteredCustomers);
+        await loadCustomerPage();
         
         // Close the modal
         const addCustomerModal = bootstrap.Modal.getInstance(document.getElementById('addCustomerModal'));
@@ -573,6 +600,14 @@ async function showCustomerDetails(customerId) {
       throw new Error(`Customer with ID ${customerId} not found`);
     }
     
+    // Get the customer's credit account (invoices on credit, payments and credit notes)
+    let account = null;
+    if (window.electronAPI && typeof window.electronAPI.getCustomerAccount === 'function') {
+      const accountResult = await window.electronAPI.getCustomerAccount(customerId);
+      account = accountResult && accountResult.success ? accountResult.account : null;
+    }
+    const accountBalance = account ? account.balance : 0;
+    
     // Generate initials for avatar
     const nameParts = (customer.name || '').split(' ');
     const initials = nameParts.length > 1 
@@ -774,6 +809,12 @@ async function showCustomerDetails(customerId) {
               ${customer.purchaseCount > 0 ? `<span class="badge bg-primary ms-1">${customer.purchaseCount}</span>` : ''}
             </button>
                 </li>
+          <li class="nav-item" role="presentation">
+            <button class="nav-link" id="account-tab" data-bs-toggle="tab" data-bs-target="#account" type="button" role="tab" aria-controls="account" aria-selected="false">
+              <i class="fas fa-file-invoice-dollar me-2"></i>Account
+              ${accountBalance > 0.005 ? '<span class="badge bg-danger ms-1">Due</span>' : ''}
+            </button>
+                </li>
           <li class="nav-item" role="presentation">
             <button class="nav-link" id="notes-tab" data-bs-toggle="tab" data-bs-target="#notes" type="button" role="tab" aria-controls="notes" aria-selected="false">
               <i class="fas fa-sticky-note me-2"></i>Notes
@@ -855,6 +896,14 @@ async function showCustomerDetails(customerId) {
                       </div>
                     </div>
                   </div>
+                  <div class="col-12 mb-3">
+                    <div class="card ${accountBalance > 0.005 ? 'bg-danger' : 'bg-success'} text-white">
+                      <div class="card-body text-center">
+                        <h6 class="card-subtitle mb-2">Account Balance</h6>
+                        <h4 class="card-title">${formatCurrency(accountBalance)}</h4>
+                      </div>
+                    </div>
+                  </div>
                   <div class="col-12 mb-3">
                     <div class="card bg-primary text-white">
                       <div class="card-body text-center">
@@ -880,6 +929,11 @@ async function showCustomerDetails(customerId) {
             ${mostPurchasedItemsHTML}
           </div>
           
+          <!-- Account Tab -->
+          <div class="tab-pane fade" id="account" role="tabpanel" aria-labelledby="account-tab">
+            ${renderCustomerAccount(account)}
+          </div>
+          
           <!-- Notes Tab -->
           <div class="tab-pane fade" id="notes" role="tabpanel" aria-labelledby="notes-tab">
             <h5 class="border-bottom pb-2 mb-3"><i class="fas fa-sticky-note me-2"></i>Notes</h5>
@@ -891,6 +945,8 @@ async function showCustomerDetails(customerId) {
       </div>
     `;
 
+    setupCustomerAccountListeners(customerId);
+    
     // Add event listeners to purchase history rows for additional details
     if (customer.purchaseHistory && customer.purchaseHistory.length > 0) {
       document.querySelectorAll('.purchase-row').forEach(row => {
@@ -919,6 +975,244 @@ async function showCustomerDetails(customerId) {
   }
 }
 
+// Build the Account tab: balance, statement lines with running balance and the payment form
+function renderCustomerAccount(account) {
+  if (!account) {
+    return `
+      <div class="text-center p-5">
+        <i class="fas fa-file-invoice-dollar fa-3x mb-3 text-secondary"></i>
+        <h5 class="text-secondary">Account Not Available</h5>
+      </div>
+    `;
+  }
+  
+  const ledgerRows = account.entries.length > 0
+    ? account.entries.map(entry => `
+        <tr>
+          <td>${new Date(entry.date).toLocaleDateString()}</td>
+          <td>${entry.reference || ''}</td>
+          <td>${entry.description}</td>
+          <td class="text-end">${entry.debit ? formatCurrency(entry.debit) : ''}</td>
+          <td class="text-end">${entry.credit ? formatCurrency(entry.credit) : ''}</td>
+          <td class="text-end fw-bold">${formatCurrency(entry.balance)}</td>
+        </tr>
+      `).join('')
+    : '<tr><td colspan="6" class="text-center text-muted">No credit sales for this customer</td></tr>';
+  
+  const invoiceOptions = account.openInvoices.map(invoice =>
+    `<option value="${invoice.saleId}">${invoice.invoiceNumber} - ${formatCurrency(invoice.balance)} due (${invoice.ageDays} days)</option>`
+  ).join('');
+  
+  return `
+    <div class="d-flex justify-content-between align-items-center border-bottom pb-2 mb-3">
+      <h5 class="mb-0"><i class="fas fa-balance-scale me-2"></i>Balance: ${formatCurrency(account.balance)}</h5>
+      <div class="d-flex align-items-center">
+        <input type="date" class="form-control form-control-sm me-2" id="statement-start-date" title="Statement from">
+        <input type="date" class="form-control form-control-sm me-2" id="statement-end-date" title="Statement to">
+        <button type="button" class="btn btn-sm btn-outline-primary text-nowrap" id="customer-statement-btn">
+          <i class="fas fa-file-pdf me-1"></i> Statement
+        </button>
+      </div>
+    </div>
+    <div class="table-responsive mb-4">
+      <table class="table table-sm table-striped">
+        <thead class="table-primary">
+          <tr>
+            <th>Date</th>
+            <th>Reference</th>
+            <th>Description</th>
+            <th class="text-end">Debit</th>
+            <th class="text-end">Credit</th>
+            <th class="text-end">Balance</th>
+          </tr>
+        </thead>
+        <tbody>${ledgerRows}</tbody>
+      </table>
+    </div>
+    ${account.openInvoices.length > 0 ? `
+      <h5 class="border-bottom pb-2 mb-3"><i class="fas fa-hand-holding-usd me-2"></i>Record Payment</h5>
+      <div class="row g-2 align-items-end">
+        <div class="col-md-4">
+          <label for="payment-invoice" class="form-label">Apply To</label>
+          <select class="form-select" id="payment-invoice">
+            <option value="">Oldest invoices first</option>
+            ${invoiceOptions}
+          </select>
+        </div>
+        <div class="col-md-2">
+          <label for="payment-amount" class="form-label">Amount</label>
+          <input type="number" class="form-control" id="payment-amount" min="0" step="0.01">
+        </div>
+        <div class="col-md-2">
+          <label for="payment-method-select" class="form-label">Method</label>
+          <select class="form-select" id="payment-method-select">
+            <option value="Cash">Cash</option>
+            <option value="Check">Check</option>
+            <option value="Bank Transfer">Bank Transfer</option>
+            <option value="Mobile Money">Mobile Money</option>
+            <option value="Credit Card">Credit Card</option>
+          </select>
+        </div>
+        <div class="col-md-2">
+          <label for="payment-reference" class="form-label">Reference</label>
+          <input type="text" class="form-control" id="payment-reference" placeholder="Cheque/Txn #">
+        </div>
+        <div class="col-md-2">
+          <button type="button" class="btn btn-success w-100" id="record-payment-btn">
+            <i class="fas fa-check me-1"></i> Record
+          </button>
+        </div>
+      </div>
+    ` : ''}
+  `;
+}
+
+// Wire up the payment form and statement button in the Account tab
+function setupCustomerAccountListeners(customerId) {
+  const recordPaymentBtn = document.getElementById('record-payment-btn');
+  if (recordPaymentBtn) {
+    recordPaymentBtn.addEventListener('click', () => handleRecordPayment(customerId));
+  }
+  
+  const statementBtn = document.getElementById('customer-statement-btn');
+  if (statementBtn) {
+    statementBtn.addEventListener('click', () => {
+      const startDate = document.getElementById('statement-start-date').value;
+      const endDate = document.getElementById('statement-end-date').value;
+      const options = {};
+      if (startDate) options.startDate = new Date(`${startDate}T00:00:00`).toISOString();
+      if (endDate) options.endDate = new Date(`${endDate}T23:59:59`).toISOString();
+      downloadCustomerStatement(customerId, options);
+    });
+  }
+}
+
+// Record a payment from the Account tab
+async function handleRecordPayment(customerId) {
+  try {
+    const amount = parseFloat(document.getElementById('payment-amount').value);
+    if (isNaN(amount) || amount <= 0) {
+      throw new Error('Enter a payment amount greater than zero');
+    }
+    
+    const result = await window.electronAPI.recordCustomerPayment({
+      customerId,
+      saleId: document.getElementById('payment-invoice').value || null,
+      amount,
+      paymentMethod: document.getElementById('payment-method-select').value,
+      reference: document.getElementById('payment-reference').value.trim()
+    });
+    
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to record payment');
+    }
+    
+    if (window.NotificationSystem) {
+      window.NotificationSystem.show(`Payment ${result.receiptNumber} recorded`, {
+        type: 'success',
+        title: 'Payment Recorded'
+      });
+    }
+    
+    // Reload the details so the balance and statement lines are current
+    await showCustomerDetails(customerId);
+    const accountTab = document.getElementById('account-tab');
+    if (accountTab) {
+      bootstrap.Tab.getOrCreateInstance(accountTab).show();
+    }
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    if (window.NotificationSystem) {
+      window.NotificationSystem.show(`Error recording payment: ${error.message}`, {
+        type: 'error',
+        title: 'Error'
+      });
+    }
+  }
+}
+
+// Generate a statement PDF, optionally limited to a period
+async function downloadCustomerStatement(customerId, options = {}) {
+  try {
+    const result = await window.electronAPI.generateCustomerStatement(customerId, options);
+    if (result && result.success) {
+      if (typeof window.electronAPI.openFile === 'function') {
+        await window.electronAPI.openFile(result.filePath);
+      }
+    } else if (result && result.error !== 'Cancelled by user') {
+      throw new Error(result.error || 'Failed to generate statement');
+    }
+  } catch (error) {
+    console.error('Error generating statement:', error);
+    if (window.NotificationSystem) {
+      window.NotificationSystem.show(`Error generating statement: ${error.message}`, {
+        type: 'error',
+        title: 'Error'
+      });
+    }
+  }
+}
+
+// Show outstanding balances per customer by age
+async function showAgedReceivables() {
+  const modal = new bootstrap.Modal(document.getElementById('agedReceivablesModal'));
+  const body = document.getElementById('aged-receivables-body');
+  const totals = document.getElementById('aged-receivables-totals');
+  body.innerHTML = '<tr><td colspan="8" class="text-center">Loading...</td></tr>';
+  totals.innerHTML = '';
+  modal.show();
+  
+  try {
+    const result = await window.electronAPI.getAgedReceivables();
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to load aged receivables');
+    }
+    
+    document.getElementById('aged-receivables-date').textContent = `As of ${new Date(result.asOf).toLocaleString()}`;
+    
+    if (result.rows.length === 0) {
+      body.innerHTML = '<tr><td colspan="8" class="text-center">No outstanding balances</td></tr>';
+      return;
+    }
+    
+    body.innerHTML = result.rows.map(row => `
+      <tr>
+        <td>${row.customerName}</td>
+        <td>${row.phone || 'N/A'}</td>
+        <td class="text-end">${formatCurrency(row.current)}</td>
+        <td class="text-end">${formatCurrency(row.days31to60)}</td>
+        <td class="text-end">${formatCurrency(row.days61to90)}</td>
+        <td class="text-end ${row.over90 > 0 ? 'text-danger fw-bold' : ''}">${formatCurrency(row.over90)}</td>
+        <td class="text-end fw-bold">${formatCurrency(row.total)}</td>
+        <td class="text-end">
+          <button class="btn btn-sm btn-outline-primary aged-statement-btn" data-id="${row.customerId}" title="Statement">
+            <i class="fas fa-file-pdf"></i>
+          </button>
+        </td>
+      </tr>
+    `).join('');
+    
+    totals.innerHTML = `
+      <tr class="fw-bold">
+        <td colspan="2">Total</td>
+        <td class="text-end">${formatCurrency(result.totals.current)}</td>
+        <td class="text-end">${formatCurrency(result.totals.days31to60)}</td>
+        <td class="text-end">${formatCurrency(result.totals.days61to90)}</td>
+        <td class="text-end">${formatCurrency(result.totals.over90)}</td>
+        <td class="text-end">${formatCurrency(result.totals.total)}</td>
+        <td></td>
+      </tr>
+    `;
+    
+    body.querySelectorAll('.aged-statement-btn').forEach(button => {
+      button.addEventListener('click', () => downloadCustomerStatement(button.dataset.id));
+    });
+  } catch (error) {
+    console.error('Error loading aged receivables:', error);
+    body.innerHTML = `<tr><td colspan="8" class="text-center text-danger">${error.message}</td></tr>`;
+  }
+}
+
 // Handle customer deletion
 async function handleDeleteCustomer() {
   try {
@@ -934,13 +1228,9 @@ async function handleDeleteCustomer() {
       const result = await window.electronAPI.deleteCustomer(customerId);
       
       if (result) {
-        // Remove from local data arrays
+        // Remove from local data and reload the current page
         customersData = customersData.filter(c => c.id !== customerId);
-        filteredCustomers = filteredCustomers.filter(c => c.id !== customerId);
-        
-        // Update UI
-        updateCustomerCount(customersData.length);
-        renderCustomers(filteredCustomers);
+        await loadCustomerPage();
         
         // Close the modal
         const deleteCustomerModal = bootstrap.Modal.getInstance(document.getElementById('deleteCustomerModal'));
@@ -1475,18 +1475,21 @@ window.loadDashboardData = async function() {
       console.log('Using fallback settings data');
     }
     
+    // Voided sales still show in recent sales but are not revenue
+    const countedSales = sales.filter(sale => sale.status !== 'void');
+    
     // Get today's sales
-    const todaySales = sales.filter(sale => {
+    const todaySales = countedSales.filter(sale => {
       const today = new Date();
       const saleDate = new Date(sale.date || sale.createdAt);
       return saleDate.setHours(0,0,0,0) === today.setHours(0,0,0,0);
     });
     
     // Update dashboard stats
-    Dashboard.updateDashboardStats(inventory, todaySales, sales);
+    Dashboard.updateDashboardStats(inventory, todaySales, countedSales);
     
     // Update charts
-    Dashboard.updateCharts(inventory, sales);
+    Dashboard.updateCharts(inventory, countedSales);
     
     // Update recent sales table
     Dashboard.updateRecentSales(sales, settings.currency);
@@ -1806,11 +1809,14 @@ function initializePage() {
           const alertThreshold = parseInt(document.getElementById('alert-threshold').value);
           const currency = document.getElementById('currency').value;
 
-          await window.electronAPI.updateSettings({
+          const saved = await window.electronAPI.updateSettings({
             companyName,
             alertThreshold,
             currency
           });
+          if (saved && saved.success === false) {
+            throw new Error(saved.error);
+          }
         
           // Save daily report settings
           await saveDailyReportSettings();
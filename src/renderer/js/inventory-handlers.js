@@ -3,22 +3,6 @@
  * Handles inventory item operations with robust error handling and fallback mechanisms
  */
 
-// Define product types if not already defined in window
-if (!window.productTypes) {
-  window.productTypes = {
-    'Pipes': ['PVC Pipe', 'HDPE Pipe', 'Steel Pipe', 'Copper Pipe', 'PPR Pipe', 'UPVC Pipe', 'GI Pipe', 'Pipe Fittings', 'Pipe Valves'],
-    'Paint': ['Emulsion Paint', 'Enamel Paint', 'Primer', 'Varnish', 'Wood Stain', 'Spray Paint', 'Textured Paint', 'Ceiling Paint'],
-    'Building': ['Cement', 'Sand', 'Gravel', 'Bricks', 'Blocks', 'Concrete', 'Reinforcement', 'Wood', 'Plywood', 'Gypsum'],
-    'Electrical': ['Cables', 'Switches', 'Sockets', 'Circuit Breakers', 'Distribution Boards', 'Conduits', 'Electrical Boxes'],
-    'Hardware': ['Nails', 'Screws', 'Bolts', 'Nuts', 'Washers', 'Hinges', 'Locks', 'Handles', 'Brackets', 'Chains'],
-    'Tools': ['Hand Tools', 'Power Tools', 'Measuring Tools', 'Cutting Tools', 'Drilling Tools', 'Safety Equipment'],
-    'Roofing': ['Metal Sheets', 'Roof Tiles', 'Roof Panels', 'Waterproofing', 'Gutters', 'Roof Fasteners'],
-    'Flooring': ['Tiles', 'Wooden Flooring', 'Laminate Flooring', 'Vinyl Flooring', 'Carpet', 'Floor Adhesives'],
-    'Lighting': ['Bulbs', 'LED Lights', 'Tubes', 'Lamps', 'Fixtures', 'Emergency Lights', 'Decorative Lights'],
-    'Bath': ['Taps', 'Showers', 'Basins', 'Toilets', 'Bathtubs', 'Bathroom Accessories', 'Kitchen Sinks', 'Faucets']
-  };
-}
-
 // Function to update an inventory item with proper error handling
 async function updateInventoryItem(updatedItem) {
   try {
@@ -182,12 +166,17 @@ async function handleUpdateItem(event) {
       color: document.getElementById('edit-item-color').value || '',
       unit: document.getElementById('edit-item-unit').value || 'piece',
       sku: document.getElementById('edit-item-sku').value || '',
-      quantity: parseInt(document.getElementById('edit-item-quantity').value) || 0,
+      quantity: parseFloat(document.getElementById('edit-item-quantity').value) || 0,
       price: parseFloat(document.getElementById('edit-item-price').value) || 0,
       buyingPrice: buyingPrice,
       buying_price: buyingPrice, // Include both formats for compatibility
       alertThreshold: parseInt(document.getElementById('edit-item-alert').value) || 10,
       notes: document.getElementById('edit-item-notes').value || '',
+      taxClass: document.getElementById('edit-item-tax-class').value,
+      // Checked against the category's product type by the main process
+      attributes: window.ProductTypes ? window.ProductTypes.readAttributeFields('edit-item-attributes') : undefined,
+      // Other units it is sold in, checked against the base unit by the main process
+      unitConversions: window.ItemUnits ? window.ItemUnits.readUnitConversions('edit-item-unit-conversions') : undefined,
       updatedAt: new Date().toISOString()
     };
     
@@ -208,6 +197,9 @@ async function handleUpdateItem(event) {
     try {
       // Update the item
       const result = await updateInventoryItem(updatedItem);
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Failed to update item');
+      }
       console.log('Item updated successfully:', result);
       
       // Close modal
@@ -428,12 +420,16 @@ async function handleAddItem(event) {
     const color = document.getElementById('item-color')?.value || '';
     const unit = document.getElementById('item-unit')?.value || 'piece';
     const sku = document.getElementById('item-sku')?.value || '';
-    const quantity = parseInt(document.getElementById('item-quantity')?.value || '0', 10) || 0;
+    const quantity = parseFloat(document.getElementById('item-quantity')?.value || '0') || 0;
     const buyingPrice = parseFloat(document.getElementById('item-buying-price')?.value || '0') || 0;
     console.log('Buying price value from form:', buyingPrice);
     const price = parseFloat(document.getElementById('item-price')?.value || '0') || 0;
     const alertThreshold = parseInt(document.getElementById('item-alert')?.value || '10', 10) || 10;
     const notes = document.getElementById('item-notes')?.value || '';
+    const taxClass = document.getElementById('item-tax-class')?.value || '';
+    const locationId = document.getElementById('item-location')?.value || undefined;
+    const attributes = window.ProductTypes ? window.ProductTypes.readAttributeFields('item-attributes') : undefined;
+    const unitConversions = window.ItemUnits ? window.ItemUnits.readUnitConversions('item-unit-conversions') : undefined;
     
     // Create new item object with all fields consistently named
     const newItem = {
@@ -456,6 +452,10 @@ async function handleAddItem(event) {
       alertThreshold,
       alert_threshold: alertThreshold, // Include both for compatibility
       notes,
+      taxClass,
+      locationId, // Where the opening stock is put; the main process defaults to the shop
+      attributes, // Checked against the category's product type by the main process
+      unitConversions, // Checked against the base unit by the main process
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       created_at: new Date().toISOString(), // Include both for compatibility
@@ -466,7 +466,9 @@ async function handleAddItem(event) {
         unit,
         sku,
         notes,
-        brand // Also include brand in additional_data for backward compatibility
+        brand, // Also include brand in additional_data for backward compatibility
+        attributes,
+        unitConversions
       }
     };
     
@@ -499,6 +501,9 @@ async function handleAddItem(event) {
     console.log('Calling addInventoryItem with:', newItem);
     try {
       const addedItem = await addInventoryItem(newItem);
+      if (addedItem && addedItem.success === false) {
+        throw new Error(addedItem.error || 'Failed to add item');
+      }
       console.log('Item added successfully:', addedItem);
       
       // Close modal
@@ -758,7 +763,8 @@ async function handleDeleteItemClick(itemId, itemName) {
 }
 
 // Stock adjustment functionality
-window.adjustmentHistory = {};
+// Adjustments and their history live in the main-process stock movement ledger;
+// stock-adjustment.js owns the implementation and these wrappers delegate to it.
 
 /**
  * Function to handle stock adjustment
@@ -766,168 +772,22 @@ window.adjustmentHistory = {};
  * @returns {Promise<Object>} The updated item
  */
 async function adjustInventoryStock(adjustmentData) {
-  try {
-    if (!adjustmentData || !adjustmentData.itemId) {
-      throw new Error('Missing item ID for stock adjustment');
-    }
-    
-    console.log('Processing stock adjustment:', adjustmentData);
-    
-    // First, get the current item data
-    let currentItem;
-    if (window.electronAPI && typeof window.electronAPI.getInventoryItem === 'function') {
-      try {
-        currentItem = await window.electronAPI.getInventoryItem(adjustmentData.itemId);
-      } catch (apiError) {
-        console.error('Error getting item from API:', apiError);
-        
-        // Try local data as fallback
-        if (window.inventoryData) {
-          currentItem = window.inventoryData.find(item => item.id === adjustmentData.itemId);
-        }
-        
-        if (!currentItem) {
-          throw new Error('Failed to retrieve current item data');
-        }
-      }
-    } else {
-      // Use local data if API not available
-      if (window.inventoryData) {
-        currentItem = window.inventoryData.find(item => item.id === adjustmentData.itemId);
-      }
-      
-      if (!currentItem) {
-        throw new Error('Failed to retrieve current item data');
-      }
-    }
-    
-    // Calculate new quantity based on adjustment type
-    let newQuantity = currentItem.quantity;
-    const adjustQty = parseInt(adjustmentData.quantity) || 0;
-    
-    switch (adjustmentData.type) {
-      case 'add':
-        newQuantity += adjustQty;
-        break;
-      case 'remove':
-        newQuantity = Math.max(0, newQuantity - adjustQty);
-        break;
-      case 'set':
-        newQuantity = Math.max(0, adjustQty);
-        break;
-      default:
-        throw new Error('Invalid adjustment type');
-    }
-    
-    // Create the adjustment record
-    const adjustmentRecord = {
-      id: Date.now().toString(),
-      itemId: adjustmentData.itemId,
-      date: new Date().toISOString(),
-      type: adjustmentData.type,
-      quantityBefore: currentItem.quantity,
-      quantityAfter: newQuantity,
-      adjustmentQuantity: adjustQty,
-      reason: adjustmentData.reason,
-      notes: adjustmentData.notes,
-      user: 'Current User' // In a real app, this would be the logged-in user
-    };
-    
-    // Store the adjustment record
-    if (!window.adjustmentHistory[adjustmentData.itemId]) {
-      window.adjustmentHistory[adjustmentData.itemId] = [];
-    }
-    window.adjustmentHistory[adjustmentData.itemId].unshift(adjustmentRecord);
-    
-    // Save to localStorage for persistence
-    try {
-      localStorage.setItem('adjustment_history', JSON.stringify(window.adjustmentHistory));
-    } catch (storageError) {
-      console.warn('Could not save adjustment history to localStorage:', storageError);
-    }
-    
-    // Update the item with new quantity
-    const updatedItem = { ...currentItem, quantity: newQuantity, updatedAt: new Date().toISOString() };
-    
-    // Save the updated item
-    if (window.electronAPI && typeof window.electronAPI.updateInventoryItem === 'function') {
-      try {
-        const result = await window.electronAPI.updateInventoryItem(updatedItem);
-        console.log('Item updated successfully with new quantity:', result);
-        return result;
-      } catch (apiError) {
-        console.error('Error updating item via API:', apiError);
-        
-        // Perform local update if API fails
-        if (window.inventoryData) {
-          const index = window.inventoryData.findIndex(item => item.id === updatedItem.id);
-          if (index !== -1) {
-            window.inventoryData[index] = updatedItem;
-          }
-        }
-        
-        // Also update in localStorage
-        try {
-          const inventory = JSON.parse(localStorage.getItem('inventory_items') || '[]');
-          const index = inventory.findIndex(item => item.id === updatedItem.id);
-          if (index !== -1) {
-            inventory[index] = updatedItem;
-            localStorage.setItem('inventory_items', JSON.stringify(inventory));
-          }
-        } catch (localError) {
-          console.error('Error updating localStorage:', localError);
-        }
-        
-        return updatedItem;
-      }
-    } else {
-      // Use local update if API not available
-      if (window.inventoryData) {
-        const index = window.inventoryData.findIndex(item => item.id === updatedItem.id);
-        if (index !== -1) {
-          window.inventoryData[index] = updatedItem;
-        }
-      }
-      
-      // Also update in localStorage
-      try {
-        const inventory = JSON.parse(localStorage.getItem('inventory_items') || '[]');
-        const index = inventory.findIndex(item => item.id === updatedItem.id);
-        if (index !== -1) {
-          inventory[index] = updatedItem;
-          localStorage.setItem('inventory_items', JSON.stringify(inventory));
-        }
-      } catch (localError) {
-        console.error('Error updating localStorage:', localError);
-      }
-      
-      return updatedItem;
-    }
-  } catch (error) {
-    console.error('Error adjusting inventory stock:', error);
-    throw error;
+  if (!window.StockAdjustment) {
+    throw new Error('Stock adjustment module not loaded');
   }
+  return window.StockAdjustment.adjustInventoryStock(adjustmentData);
 }
 
 /**
- * Get adjustment history for an item
+ * Get stock movement history for an item
  * @param {string} itemId - The item ID
- * @returns {Array} Array of adjustment records
+ * @returns {Promise<Array>} Array of stock movements
  */
-function getAdjustmentHistory(itemId) {
-  // Load history from localStorage if not already loaded
-  if (Object.keys(window.adjustmentHistory).length === 0) {
-    try {
-      const savedHistory = localStorage.getItem('adjustment_history');
-      if (savedHistory) {
-        window.adjustmentHistory = JSON.parse(savedHistory);
-      }
-    } catch (error) {
-      console.error('Error loading adjustment history from localStorage:', error);
-    }
+async function getAdjustmentHistory(itemId) {
+  if (!window.StockAdjustment) {
+    return [];
   }
-  
-  return (window.adjustmentHistory[itemId] || []);
+  return window.StockAdjustment.getAdjustmentHistory(itemId);
 }
 
 /**
@@ -957,6 +817,7 @@ async function handleSaveAdjustment(event) {
     const quantity = parseInt(document.getElementById('adjustment-quantity').value);
     const reason = document.getElementById('adjustment-reason').value;
     const notes = document.getElementById('adjustment-notes').value;
+    const locationId = document.getElementById('adjustment-location')?.value || undefined;
     
     // Validate inputs
     if (!itemId) {
@@ -985,6 +846,7 @@ async function handleSaveAdjustment(event) {
         quantity,
         reason,
         notes,
+        locationId,
         date: new Date().toISOString()
       };
       
@@ -1096,40 +958,13 @@ function updateStockStatusBadge(quantity, threshold) {
 }
 
 /**
- * Load adjustment history for an item into the history table
+ * Load stock movement history for an item into the history table
  * @param {string} itemId - The item ID
  */
-function loadAdjustmentHistory(itemId) {
-  const historyTable = document.getElementById('adjustment-history-tbody');
-  const history = getAdjustmentHistory(itemId);
-  
-  if (!history || history.length === 0) {
-    historyTable.innerHTML = `<tr><td colspan="6" class="text-center">No adjustment history found</td></tr>`;
-    return;
+async function loadAdjustmentHistory(itemId) {
+  if (window.StockAdjustment) {
+    await window.StockAdjustment.loadAdjustmentHistory(itemId);
   }
-  
-  // Sort by date (newest first)
-  history.sort((a, b) => new Date(b.date) - new Date(a.date));
-  
-  // Create table rows
-  let html = '';
-  history.forEach(record => {
-    const typeText = record.type === 'add' ? 'Added' : (record.type === 'remove' ? 'Removed' : 'Set to');
-    const typeClass = record.type === 'add' ? 'text-success' : (record.type === 'remove' ? 'text-danger' : 'text-primary');
-    
-    html += `
-      <tr>
-        <td>${formatDate(record.date)}</td>
-        <td class="${typeClass}">${typeText}</td>
-        <td>${record.adjustmentQuantity} (${record.quantityBefore} → ${record.quantityAfter})</td>
-        <td>${record.reason}</td>
-        <td>${record.notes || '-'}</td>
-        <td>${record.user || 'System'}</td>
-      </tr>
-    `;
-  });
-  
-  historyTable.innerHTML = html;
 }
 
 /**
@@ -1188,6 +1023,15 @@ function showEditModal(item) {
     document.getElementById('edit-item-price').value = item.price || 0;
     document.getElementById('edit-item-alert').value = item.alertThreshold || 10;
     document.getElementById('edit-item-notes').value = item.notes || '';
+    document.getElementById('edit-item-tax-class').value = item.taxClass || item.tax_class || '';
+    
+    // Attribute fields of the item's category, with its values
+    if (window.ProductTypes) {
+      window.ProductTypes.renderAttributeFields('edit-item-attributes', item.category, item.attributes || {});
+    }
+    if (window.ItemUnits) {
+      window.ItemUnits.renderUnitConversions('edit-item-unit-conversions', window.ItemUnits.getUnitConversions(item));
+    }
     
     // Update stock adjustment info
     document.getElementById('current-quantity').textContent = item.quantity || 0;
@@ -1214,6 +1058,29 @@ function showEditModal(item) {
   }
 }
 
+// Fill the tax class dropdowns of the add and edit forms
+async function populateTaxClassSelects() {
+  try {
+    const result = await window.electronAPI.getTaxSettings();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    ['item-tax-class', 'edit-item-tax-class'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.replaceChildren(
+          new Option('Product type default', ''),
+          ...result.settings.classes.map(taxClass =>
+            new Option(`${taxClass.name}${taxClass.exempt ? '' : ` (${taxClass.rate}%)`}`, taxClass.id))
+        );
+      }
+    });
+  } catch (error) {
+    console.warn('Error loading tax classes:', error);
+  }
+}
+
 // Export the new functions
 window.InventoryHandlers = {
   ...(window.InventoryHandlers || {}),
@@ -1235,6 +1102,11 @@ window.InventoryHandlers = {
 document.addEventListener('DOMContentLoaded', function() {
   console.log('Initializing inventory handlers');
   
+  // Tax classes an item can be given instead of its product type's class
+  if (window.electronAPI && typeof window.electronAPI.getTaxSettings === 'function') {
+    populateTaxClassSelects();
+  }
+  
   // Set up the edit form submission handler
   const editForm = document.getElementById('edit-item-form');
   if (editForm) {
@@ -1259,24 +1131,8 @@ document.addEventListener('DOMContentLoaded', function() {
       } else {
         customTypeContainer.style.display = 'none';
         
-        // Make sure productTypes is defined
-        if (!window.productTypes) {
-          window.productTypes = {
-            'Pipes': ['PVC Pipe', 'HDPE Pipe', 'Steel Pipe', 'Copper Pipe', 'PPR Pipe', 'UPVC Pipe', 'GI Pipe', 'Pipe Fittings', 'Pipe Valves'],
-            'Paint': ['Emulsion Paint', 'Enamel Paint', 'Primer', 'Varnish', 'Wood Stain', 'Spray Paint', 'Textured Paint', 'Ceiling Paint'],
-            'Building': ['Cement', 'Sand', 'Gravel', 'Bricks', 'Blocks', 'Concrete', 'Reinforcement', 'Wood', 'Plywood', 'Gypsum'],
-            'Electrical': ['Cables', 'Switches', 'Sockets', 'Circuit Breakers', 'Distribution Boards', 'Conduits', 'Electrical Boxes'],
-            'Hardware': ['Nails', 'Screws', 'Bolts', 'Nuts', 'Washers', 'Hinges', 'Locks', 'Handles', 'Brackets', 'Chains'],
-            'Tools': ['Hand Tools', 'Power Tools', 'Measuring Tools', 'Cutting Tools', 'Drilling Tools', 'Safety Equipment'],
-            'Roofing': ['Metal Sheets', 'Roof Tiles', 'Roof Panels', 'Waterproofing', 'Gutters', 'Roof Fasteners'],
-            'Flooring': ['Tiles', 'Wooden Flooring', 'Laminate Flooring', 'Vinyl Flooring', 'Carpet', 'Floor Adhesives'],
-            'Lighting': ['Bulbs', 'LED Lights', 'Tubes', 'Lamps', 'Fixtures', 'Emergency Lights', 'Decorative Lights'],
-            'Bath': ['Taps', 'Showers', 'Basins', 'Toilets', 'Bathtubs', 'Bathroom Accessories', 'Kitchen Sinks', 'Faucets']
-          };
-        }
-        
         // Get product types for this category (safely)
-        const categoryTypes = window.productTypes[category] || [];
+        const categoryTypes = (window.productTypes || {})[category] || [];
         console.log('Category:', category, 'Types available:', categoryTypes.length);
         
         // Add options
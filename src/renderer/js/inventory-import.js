@@ -0,0 +1,215 @@
+/**
+ * inventory-import.js
+ * Bulk import of inventory from CSV or Excel files with column mapping and a dry-run preview
+ */
+
+/**
+ * Labels and badge colours for planned import actions
+ */
+const IMPORT_ACTION_LABELS = {
+  create: { text: 'Create', badge: 'bg-success' },
+  update: { text: 'Update', badge: 'bg-info' },
+  error: { text: 'Skip', badge: 'bg-danger' }
+};
+
+// File chosen in the current import, with its headers and suggested mapping
+let importFile = null;
+
+/**
+ * Show a notification, falling back to alert()
+ * @param {string} message - Message text
+ * @param {string} type - 'success', 'error', 'warning' or 'info'
+ */
+function showImportMessage(message, type) {
+  if (window.NotificationSystem) {
+    window.NotificationSystem.show(message, { type, title: 'Import Inventory' });
+  } else {
+    alert(message);
+  }
+}
+
+/**
+ * Clear the wizard back to its first step
+ */
+function resetInventoryImport() {
+  importFile = null;
+  document.getElementById('import-file-name').textContent = 'No file selected';
+  document.getElementById('import-mapping-section').style.display = 'none';
+  document.getElementById('import-preview-section').style.display = 'none';
+  document.getElementById('import-mapping-fields').innerHTML = '';
+  document.getElementById('import-preview-body').innerHTML = '';
+  document.getElementById('confirm-import-btn').disabled = true;
+}
+
+/**
+ * Let the user pick a file and show a column selector for each field
+ */
+async function chooseImportFile() {
+  try {
+    const result = await window.electronAPI.chooseImportFile();
+    if (!result.success) {
+      if (result.error !== 'Cancelled by user') {
+        showImportMessage(result.error, 'error');
+      }
+      return;
+    }
+
+    resetInventoryImport();
+    importFile = result;
+    document.getElementById('import-file-name').textContent = `${result.fileName} (${result.rowCount} rows)`;
+
+    const columnOptions = result.headers.map((header, index) => {
+      const sample = result.sampleRows.map(row => row[index]).find(Boolean);
+      const label = header || `Column ${index + 1}`;
+      return `<option value="${index}">${Utils.escapeHTML(sample ? `${label} (e.g. ${sample})` : label)}</option>`;
+    }).join('');
+
+    document.getElementById('import-mapping-fields').innerHTML = result.fields.map(({ field, label }) => `
+      <div class="col-md-3">
+        <label for="import-map-${field}" class="form-label small">${Utils.escapeHTML(label)}</label>
+        <select class="form-select form-select-sm import-mapping" id="import-map-${field}" data-field="${field}">
+          <option value="">Not imported</option>
+          ${columnOptions}
+        </select>
+      </div>
+    `).join('');
+
+    Object.entries(result.mapping).forEach(([field, column]) => {
+      document.getElementById(`import-map-${field}`).value = String(column);
+    });
+
+    document.getElementById('import-mapping-section').style.display = '';
+  } catch (error) {
+    console.error('Error choosing import file:', error);
+    showImportMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Read the mapping selectors and options into an import request
+ * @returns {Object} filePath, mapping and upsertBySku
+ */
+function getImportRequest() {
+  const mapping = {};
+  document.querySelectorAll('.import-mapping').forEach(select => {
+    if (select.value !== '') {
+      mapping[select.dataset.field] = parseInt(select.value, 10);
+    }
+  });
+
+  return {
+    filePath: importFile.filePath,
+    mapping,
+    upsertBySku: document.getElementById('import-upsert-sku').checked
+  };
+}
+
+/**
+ * Validate every row without saving and show what would happen
+ */
+async function previewInventoryImport() {
+  if (!importFile) return;
+
+  const confirmButton = document.getElementById('confirm-import-btn');
+  confirmButton.disabled = true;
+
+  try {
+    const result = await window.electronAPI.previewInventoryImport(getImportRequest());
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const { summary, rows } = result;
+    document.getElementById('import-preview-summary').innerHTML = `
+      <span class="badge bg-success">${summary.create} new</span>
+      <span class="badge bg-info">${summary.update} updated</span>
+      <span class="badge bg-danger">${summary.error} with errors</span>
+      <span class="ms-2 text-secondary">of ${summary.total} rows</span>
+    `;
+
+    document.getElementById('import-preview-body').innerHTML = rows.length === 0
+      ? '<tr><td colspan="6" class="text-center">No data rows found</td></tr>'
+      : rows.map(row => {
+        const action = IMPORT_ACTION_LABELS[row.action];
+        const quantity = row.quantityBefore !== null && row.values.quantity !== undefined
+          ? `${row.quantityBefore} &rarr; ${row.quantity}`
+          : row.quantity;
+        return `
+          <tr class="${row.action === 'error' ? 'table-danger' : ''}">
+            <td>${row.rowNumber}</td>
+            <td><span class="badge ${action.badge}">${action.text}</span></td>
+            <td>${Utils.escapeHTML(row.sku || '-')}</td>
+            <td>${Utils.escapeHTML(row.description || '-')}</td>
+            <td>${quantity}</td>
+            <td>${row.errors.map(error => `<div class="text-danger">${Utils.escapeHTML(error)}</div>`).join('')}</td>
+          </tr>
+        `;
+      }).join('');
+
+    document.getElementById('import-preview-section').style.display = '';
+    confirmButton.disabled = summary.create + summary.update === 0;
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    showImportMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Import the rows that passed validation
+ */
+async function confirmInventoryImport() {
+  if (!importFile) return;
+
+  const button = document.getElementById('confirm-import-btn');
+  const originalText = button.innerHTML;
+  button.disabled = true;
+  button.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i> Importing...';
+
+  try {
+    const result = await window.electronAPI.importInventory(getImportRequest());
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    bootstrap.Modal.getInstance(document.getElementById('importInventoryModal')).hide();
+
+    if (typeof window.refreshInventoryData === 'function') {
+      await window.refreshInventoryData(false);
+    }
+
+    let message = `${result.created} items created, ${result.updated} updated`;
+    if (result.skipped > 0) message += `, ${result.skipped} rows skipped`;
+    if (result.failed.length > 0) {
+      message += `. Failed rows: ${result.failed.map(row => `${row.rowNumber} (${row.error})`).join(', ')}`;
+    }
+    showImportMessage(message, result.failed.length > 0 ? 'warning' : 'success');
+  } catch (error) {
+    console.error('Error importing inventory:', error);
+    showImportMessage(`Error: ${error.message}`, 'error');
+    button.disabled = false;
+  } finally {
+    button.innerHTML = originalText;
+  }
+}
+
+// Initialize the import wizard when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  const importModal = document.getElementById('importInventoryModal');
+  if (!importModal || !window.electronAPI || typeof window.electronAPI.chooseImportFile !== 'function') {
+    return;
+  }
+
+  importModal.addEventListener('show.bs.modal', resetInventoryImport);
+
+  document.getElementById('import-choose-file-btn').addEventListener('click', chooseImportFile);
+  document.getElementById('import-preview-btn').addEventListener('click', previewInventoryImport);
+  document.getElementById('confirm-import-btn').addEventListener('click', confirmInventoryImport);
+
+  // A changed mapping invalidates the preview
+  document.getElementById('import-mapping-fields').addEventListener('change', () => {
+    document.getElementById('confirm-import-btn').disabled = true;
+  });
+  document.getElementById('import-upsert-sku').addEventListener('change', () => {
+    document.getElementById('confirm-import-btn').disabled = true;
+  });
+});
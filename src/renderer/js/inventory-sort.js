@@ -198,9 +198,14 @@ function sortData(data, column, direction) {
         valueB = String(b.id || '');
         break;
       case 'status':
-        // Sort by quantity (which determines status)
-        valueA = parseInt(a.quantity) || 0;
-        valueB = parseInt(b.quantity) || 0;
+        // Sort by available quantity (which determines status)
+        valueA = parseFloat(a.availableQuantity !== undefined ? a.availableQuantity : a.quantity) || 0;
+        valueB = parseFloat(b.availableQuantity !== undefined ? b.availableQuantity : b.quantity) || 0;
+        break;
+      case 'reservedQuantity':
+      case 'availableQuantity':
+        valueA = parseFloat(a[column]) || 0;
+        valueB = parseFloat(b[column]) || 0;
         break;
       case 'quantity':
         valueA = parseInt(a.quantity) || 0;
@@ -7,18 +7,8 @@
 let inventoryData = [];
 let filteredInventory = []; // Store filtered inventory items
 let isDbInitialized = false; // Track if SQLite database is initialized
-let productTypes = {
-  'Pipes': ['PVC Pipe', 'HDPE Pipe', 'Steel Pipe', 'Copper Pipe', 'PPR Pipe', 'UPVC Pipe', 'GI Pipe', 'Pipe Fittings', 'Pipe Valves'],
-  'Paint': ['Emulsion Paint', 'Enamel Paint', 'Primer', 'Varnish', 'Wood Stain', 'Spray Paint', 'Textured Paint', 'Ceiling Paint'],
-  'Building': ['Cement', 'Sand', 'Gravel', 'Bricks', 'Blocks', 'Concrete', 'Reinforcement', 'Wood', 'Plywood', 'Gypsum'],
-  'Electrical': ['Cables', 'Switches', 'Sockets', 'Circuit Breakers', 'Distribution Boards', 'Conduits', 'Electrical Boxes'],
-  'Hardware': ['Nails', 'Screws', 'Bolts', 'Nuts', 'Washers', 'Hinges', 'Locks', 'Handles', 'Brackets', 'Chains'],
-  'Tools': ['Hand Tools', 'Power Tools', 'Measuring Tools', 'Cutting Tools', 'Drilling Tools', 'Safety Equipment'],
-  'Roofing': ['Metal Sheets', 'Roof Tiles', 'Roof Panels', 'Waterproofing', 'Gutters', 'Roof Fasteners'],
-  'Flooring': ['Tiles', 'Wooden Flooring', 'Laminate Flooring', 'Vinyl Flooring', 'Carpet', 'Floor Adhesives'],
-  'Lighting': ['Bulbs', 'LED Lights', 'Tubes', 'Lamps', 'Fixtures', 'Emergency Lights', 'Decorative Lights'],
-  'Bath': ['Taps', 'Showers', 'Basins', 'Toilets', 'Bathtubs', 'Bathroom Accessories', 'Kitchen Sinks', 'Faucets']
-};
+// Category -> product types, filled from the product type schema by product-types.js
+let productTypes = {};
 
 // Expose inventory data globally for sorting functionality
 window.inventoryData = inventoryData;
@@ -132,12 +122,18 @@ function setupDatabaseEventListeners() {
       // Find and update the item in our local data
       const index = inventoryData.findIndex(item => item.id === updatedItem.id);
       if (index !== -1) {
-        inventoryData[index] = updatedItem;
+        // The update carries the stored item only; reservations on it are unchanged
+        const reservedQuantity = inventoryData[index].reservedQuantity || 0;
+        inventoryData[index] = {
+          ...updatedItem,
+          reservedQuantity,
+          availableQuantity: Math.max((parseFloat(updatedItem.quantity) || 0) - reservedQuantity, 0)
+        };
         renderInventoryTable(inventoryData);
         
         // Check if this is a low stock item after update
-        if (updatedItem.quantity <= (updatedItem.alertThreshold || 10)) {
-          checkLowStockItems([updatedItem]);
+        if (inventoryData[index].availableQuantity <= (updatedItem.alertThreshold || 10)) {
+          checkLowStockItems([inventoryData[index]]);
         }
         
         // Show notification
@@ -177,6 +173,13 @@ function setupDatabaseEventListeners() {
     });
   }
   
+  // Reserving, releasing or selling reserved stock changes what is available
+  if (typeof window.electronAPI.onReservationUpdated === 'function') {
+    window.unsubscribeReservationUpdated = window.electronAPI.onReservationUpdated(() => {
+      refreshInventoryData(false).catch(error => console.error('Error refreshing inventory after reservation change:', error));
+    });
+  }
+  
   // Handle database errors
   if (typeof window.electronAPI.onDatabaseError === 'function') {
     window.unsubscribeDatabaseError = window.electronAPI.onDatabaseError((error) => {
@@ -197,6 +200,7 @@ function setupDatabaseEventListeners() {
     if (window.unsubscribeInventoryItemAdded) window.unsubscribeInventoryItemAdded();
     if (window.unsubscribeInventoryUpdate) window.unsubscribeInventoryUpdate();
     if (window.unsubscribeInventoryItemDeleted) window.unsubscribeInventoryItemDeleted();
+    if (window.unsubscribeReservationUpdated) window.unsubscribeReservationUpdated();
     if (window.unsubscribeDatabaseError) window.unsubscribeDatabaseError();
   });
 }
@@ -207,7 +211,7 @@ async function loadInventoryData() {
     const loadingIndicator = document.getElementById('inventory-table');
     loadingIndicator.innerHTML = `
       <tr>
-        <td colspan="11" class="text-center">
+        <td colspan="14" class="text-center">
           <div class="d-flex align-items-center justify-content-center">
             <div class="spinner-border text-primary me-2" role="status">
               <span class="visually-hidden">Loading...</span>
@@ -496,7 +500,7 @@ function renderInventoryTable(data) {
   if (!data || data.length === 0) {
     tableBody.innerHTML = `
       <tr>
-        <td colspan="12" class="text-center">
+        <td colspan="14" class="text-center">
           <i class="fas fa-info-circle me-2"></i>
           No inventory items found. Add your first item to get started.
         </td>
@@ -522,7 +526,11 @@ function renderInventoryTable(data) {
     
     for (let i = startIndex; i < endIndex; i++) {
       const item = data[i];
-      const stockStatus = getStockStatus(item.quantity, item.alertThreshold || 10);
+      
+      // Status goes by what can still be sold; reserved stock is on hand but spoken for
+      const reserved = item.reservedQuantity || 0;
+      const available = item.availableQuantity !== undefined ? item.availableQuantity : item.quantity;
+      const stockStatus = getStockStatus(available, item.alertThreshold || 10);
       
       // Format ID for display (shortened)
       const displayId = item.id?.substring(0, 8) + '...' || '';
@@ -534,14 +542,17 @@ function renderInventoryTable(data) {
       // Get color with fallback
       const colorDisplay = item.color || 'N/A';
       
+      // Hovering the quantity shows where the stock is
+      const locationStock = window.StockLocations ? window.StockLocations.describeLocationStock(item).replace(/"/g, '&quot;') : '';
+      
       // Get buying price with fallbacks
       const buyingPrice = item.buyingPrice || item.buying_price || item.cost_price || 0;
       
       // Add appropriate row class based on stock status
       let rowClass = '';
-      const isOutOfStock = item.quantity <= 0;
-      const isLowStock = item.quantity <= (item.alertThreshold || 10) && item.quantity > 0;
-      const isGoodStock = item.quantity > (item.alertThreshold || 10);
+      const isOutOfStock = available <= 0;
+      const isLowStock = available <= (item.alertThreshold || 10) && available > 0;
+      const isGoodStock = available > (item.alertThreshold || 10);
       
       if (isOutOfStock) {
         rowClass = 'out-of-stock-row';
@@ -560,7 +571,9 @@ function renderInventoryTable(data) {
           <td>${brandDisplay}</td>
           <td>${dimensionDisplay}</td>
           <td>${colorDisplay}</td>
-          <td class="quantity-cell ${isOutOfStock ? 'out-of-stock-qty' : (isLowStock ? 'low-stock-qty' : 'good-stock-qty')}">${item.quantity}</td>
+          <td title="${locationStock}">${item.quantity}</td>
+          <td>${reserved}</td>
+          <td class="quantity-cell ${isOutOfStock ? 'out-of-stock-qty' : (isLowStock ? 'low-stock-qty' : 'good-stock-qty')}">${available}</td>
           <td>TZsh ${buyingPrice.toFixed(2)}</td>
           <td>TZsh ${item.price?.toFixed(2) || '0.00'}</td>
           <td><span class="status-badge ${stockStatus.class}">${stockStatus.text}</span></td>
@@ -569,6 +582,9 @@ function renderInventoryTable(data) {
               <button class="btn btn-sm btn-outline-primary edit-btn" title="Edit Item">
                 <i class="fas fa-edit"></i>
               </button>
+              <button class="btn btn-sm btn-outline-secondary reserve-btn" title="Reserve Stock">
+                <i class="fas fa-bookmark"></i>
+              </button>
               <button class="btn btn-sm btn-outline-danger delete-btn" title="Delete Item">
                 <i class="fas fa-trash"></i>
               </button>
@@ -655,6 +671,12 @@ function setupEventListeners() {
     filterType.addEventListener('change', filterInventory);
   }
   
+  // Location filter, filled by stock-locations.js
+  const filterLocation = document.getElementById('filter-location');
+  if (filterLocation) {
+    filterLocation.addEventListener('change', filterInventory);
+  }
+  
   // Refresh button
   const refreshBtn = document.getElementById('refresh-btn');
   if (refreshBtn) {
@@ -953,6 +975,19 @@ function addTableEventListeners() {
     });
   });
   
+  // Add event listeners to reserve buttons
+  document.querySelectorAll('.reserve-btn').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      
+      const row = event.target.closest('tr');
+      const itemToReserve = (window.filteredInventory || inventoryData).find(item => item.id === row.dataset.id);
+      if (itemToReserve && window.StockReservations) {
+        window.StockReservations.openReserveStock(itemToReserve);
+      }
+    });
+  });
+  
   // Add event listeners to delete buttons
   document.querySelectorAll('.delete-btn').forEach(button => {
     button.addEventListener('click', (event) => {
@@ -979,13 +1014,51 @@ function addTableEventListeners() {
   });
 }
 
+// Incremented per search so a slow response cannot overwrite a newer one
+let inventorySearchId = 0;
+
 // Filter inventory based on search term and filter
-function filterInventory() {
+async function filterInventory() {
+  const searchId = ++inventorySearchId;
   const searchTerm = document.getElementById('search-input').value.toLowerCase();
   const filterType = document.getElementById('filter-type').value;
+  const locationId = document.getElementById('filter-location')?.value || '';
+  const { category, attributes } = window.ProductTypes
+    ? window.ProductTypes.readInventoryFilters()
+    : { category: '', attributes: {} };
+  const attributeFilters = Object.entries(attributes).filter(([, value]) => value !== '');
+  
+  // Let the main process search when it can, so the filter covers every stored item
+  if (window.electronAPI && typeof window.electronAPI.searchInventory === 'function') {
+    try {
+      const result = await window.electronAPI.searchInventory({
+        query: searchTerm,
+        type: filterType,
+        category,
+        attributes,
+        locationId,
+        pageSize: 500
+      });
+      
+      if (searchId !== inventorySearchId) return;
+      
+      if (result && result.success) {
+        window.filteredInventory = result.items;
+        filteredInventory = window.filteredInventory;
+        renderInventoryTable(window.filteredInventory);
+        return;
+      }
+      console.warn('Inventory search failed, filtering in memory:', result && result.error);
+    } catch (error) {
+      console.error('Error searching inventory, filtering in memory:', error);
+    }
+  }
   
-  // Apply filters
-  window.filteredInventory = inventoryData.filter(item => {
+  // Apply filters; with a location chosen, quantities are the stock at that location
+  const searched = locationId && window.StockLocations
+    ? window.StockLocations.viewItemsAtLocation(inventoryData, locationId)
+    : inventoryData;
+  window.filteredInventory = searched.filter(item => {
     const matchesSearch = 
       item.description?.toLowerCase().includes(searchTerm) || 
       item.type?.toLowerCase().includes(searchTerm) ||
@@ -994,7 +1067,12 @@ function filterInventory() {
     
     const matchesType = !filterType || item.type === filterType;
     
-    return matchesSearch && matchesType;
+    const matchesCategory = !category || String(item.category || '').toLowerCase() === category.toLowerCase();
+    
+    const matchesAttributes = attributeFilters.every(([key, value]) =>
+      String((item.attributes || {})[key] ?? '').toLowerCase() === value.toLowerCase());
+    
+    return matchesSearch && matchesType && matchesCategory && matchesAttributes;
   });
   
   // Sync the filtered inventory with local variable
@@ -1174,7 +1252,6 @@ async function handleEditItem(event) {
     buyingPrice: parseFloat(formData.get('buyingPrice')) || 0,
     price: parseFloat(formData.get('price')) || 0,
     alertThreshold: parseInt(formData.get('alertThreshold'), 10) || 10,
-    updatedBy: 'admin', // Can be dynamically set based on logged-in user
     updatedAt: new Date().toISOString()
   };
   
@@ -1414,13 +1491,16 @@ async function handleDeleteItem(event) {
 function checkLowStockItems(items) {
   if (!items || !items.length) return;
   
+  // Stock reserved for customers cannot be sold, so alerts go by the available quantity
+  const getAvailable = item => item.availableQuantity !== undefined ? item.availableQuantity : item.quantity;
+  
   // Find low stock items
   const lowStockItems = items.filter(item => 
-    item.quantity <= (item.alertThreshold || 10) && item.quantity > 0
+    getAvailable(item) <= (item.alertThreshold || 10) && getAvailable(item) > 0
   );
   
   // Find out of stock items
-  const outOfStockItems = items.filter(item => item.quantity <= 0);
+  const outOfStockItems = items.filter(item => getAvailable(item) <= 0);
   
   // Show low stock notification if any are found
   if (lowStockItems.length > 0 && window.NotificationSystem) {
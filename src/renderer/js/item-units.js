@@ -0,0 +1,97 @@
+/**
+ * item-units.js
+ * Edits the other units an inventory item is sold in on the add and edit forms. Each unit
+ * holds a number of the item's base units, in which its stock is counted.
+ */
+
+/**
+ * Add a unit row to a conversions table
+ * @param {string} containerId - ID of the conversions tbody
+ * @param {Object} [conversion] - Existing unit, factor and price
+ */
+function addUnitConversionRow(containerId, conversion = {}) {
+  const tbody = document.getElementById(containerId);
+  if (!tbody) return;
+
+  // The units on offer are the ones of the base unit dropdown
+  const unitOptions = Array.from(document.getElementById('item-unit').options)
+    .map(option => `<option value="${option.value}" ${option.value === conversion.unit ? 'selected' : ''}>${Utils.escapeHTML(option.textContent)}</option>`)
+    .join('');
+
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><select class="form-select form-select-sm unit-conversion-unit">${unitOptions}</select></td>
+    <td><input type="number" class="form-control form-control-sm unit-conversion-factor" min="0" step="any" value="${Utils.escapeHTML(conversion.factor || '')}" placeholder="e.g. 6" required></td>
+    <td><input type="number" class="form-control form-control-sm unit-conversion-price" min="0" step="0.01" value="${Utils.escapeHTML(conversion.price !== undefined ? conversion.price : '')}" placeholder="Base price × units"></td>
+    <td><button type="button" class="btn btn-sm btn-icon btn-danger" title="Remove unit"><i class="fas fa-times"></i></button></td>
+  `;
+  row.querySelector('button').addEventListener('click', () => row.remove());
+  tbody.appendChild(row);
+}
+
+/**
+ * Show the other units of an item in a conversions table
+ * @param {string} containerId - ID of the conversions tbody
+ * @param {Array} [conversions] - Units with factor and optional price
+ */
+function renderUnitConversions(containerId, conversions = []) {
+  const tbody = document.getElementById(containerId);
+  if (!tbody) return;
+
+  tbody.innerHTML = '';
+  conversions.forEach(conversion => addUnitConversionRow(containerId, conversion));
+}
+
+/**
+ * Read the other units entered in a conversions table
+ * @param {string} containerId - ID of the conversions tbody
+ * @returns {Array<Object>|undefined} Units for the main process to check, or undefined without the table
+ */
+function readUnitConversions(containerId) {
+  const tbody = document.getElementById(containerId);
+  if (!tbody) return undefined;
+
+  return Array.from(tbody.querySelectorAll('tr')).map(row => ({
+    unit: row.querySelector('.unit-conversion-unit').value,
+    factor: row.querySelector('.unit-conversion-factor').value,
+    price: row.querySelector('.unit-conversion-price').value
+  }));
+}
+
+/**
+ * Other units saved on an item in either storage shape
+ * @param {Object} item - Inventory item
+ * @returns {Array<Object>} Units with factor and optional price
+ */
+function getUnitConversions(item) {
+  if (Array.isArray(item.unitConversions)) return item.unitConversions;
+
+  let extra = item.additional_data;
+  if (typeof extra === 'string') {
+    try {
+      extra = JSON.parse(extra);
+    } catch (error) {
+      extra = null;
+    }
+  }
+  return extra && Array.isArray(extra.unitConversions) ? extra.unitConversions : [];
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('.add-unit-conversion-btn').forEach(button => {
+    button.addEventListener('click', () => addUnitConversionRow(button.dataset.target));
+  });
+
+  // A new item starts with no other units
+  const addItemModal = document.getElementById('addItemModal');
+  if (addItemModal) {
+    addItemModal.addEventListener('show.bs.modal', () => renderUnitConversions('item-unit-conversions'));
+  }
+});
+
+// Export functions to global scope
+window.ItemUnits = {
+  renderUnitConversions,
+  readUnitConversions,
+  getUnitConversions
+};
@@ -0,0 +1,423 @@
+/**
+ * product-types.js
+ * Loads the product types and their attribute schemas, builds the category dropdowns,
+ * attribute fields and search filters from them, and manages the types on the inventory page
+ */
+
+// Category for one-off items typed in by hand; the main process keeps it free of a schema
+const CUSTOM_CATEGORY = 'Custom';
+
+const ATTRIBUTE_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  enum: 'List of values'
+};
+
+// Product types with their attribute schemas, as loaded from the main process
+let productTypeSchemas = [];
+
+/**
+ * Show a notification, falling back to alert()
+ * @param {string} message - Message text
+ * @param {string} type - 'success', 'error', 'warning' or 'info'
+ * @param {string} title - Notification title
+ */
+function showProductTypeMessage(message, type, title) {
+  if (window.NotificationSystem) {
+    window.NotificationSystem.show(message, { type, title });
+  } else {
+    alert(message);
+  }
+}
+
+/**
+ * Find the product type of a category
+ * @param {string} category - Category name stored on items
+ * @returns {Object|null} Product type
+ */
+function getProductType(category) {
+  const name = String(category || '').toLowerCase();
+  return productTypeSchemas.find(type => type.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Load the product types and rebuild everything generated from them
+ */
+async function loadProductTypes() {
+  const result = await window.electronAPI.getProductTypes();
+  if (!result || !result.success) {
+    throw new Error((result && result.error) || 'Failed to load product types');
+  }
+  applyProductTypes(result.productTypes);
+}
+
+/**
+ * Use a new list of product types: refresh the category to product type map used by the
+ * type dropdowns, the category dropdowns and the attribute filters
+ * @param {Array} productTypes - Product types
+ */
+function applyProductTypes(productTypes) {
+  productTypeSchemas = productTypes || [];
+
+  // inventory.js holds on to this object, so it is refilled rather than replaced
+  const categoryTypes = window.productTypes || (window.productTypes = {});
+  Object.keys(categoryTypes).forEach(category => delete categoryTypes[category]);
+  productTypeSchemas.forEach(type => {
+    categoryTypes[type.name] = [...type.subtypes];
+  });
+
+  populateCategorySelects();
+  renderAttributeFilters();
+  if (typeof window.populateProductTypes === 'function') {
+    window.populateProductTypes();
+  }
+}
+
+/**
+ * Fill the category dropdowns of the add and edit forms and the category filter,
+ * keeping the current selections
+ */
+function populateCategorySelects() {
+  const options = productTypeSchemas
+    .map(type => `<option value="${Utils.escapeHTML(type.name)}">${Utils.escapeHTML(type.label)}</option>`)
+    .join('');
+
+  ['item-category', 'edit-item-category'].forEach(id => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = `<option value="">Select Category</option>${options}<option value="${CUSTOM_CATEGORY}">Custom Product</option>`;
+    select.value = selected;
+  });
+
+  const filterSelect = document.getElementById('filter-category');
+  if (filterSelect) {
+    const selected = filterSelect.value;
+    filterSelect.innerHTML = `<option value="">All Categories</option>${options}`;
+    filterSelect.value = getProductType(selected) ? selected : '';
+  }
+}
+
+/**
+ * Build the attribute fields of a category in a form
+ * @param {string} containerId - Element the fields go in
+ * @param {string} category - Selected category
+ * @param {Object} [values] - Current attribute values keyed by attribute key
+ */
+function renderAttributeFields(containerId, category, values = {}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const productType = getProductType(category);
+  if (!productType || productType.attributes.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = productType.attributes.map(attribute => {
+    const id = `${containerId}-${attribute.key}`;
+    const value = values[attribute.key] === undefined || values[attribute.key] === null ? '' : values[attribute.key];
+    const required = attribute.required ? 'required' : '';
+    const label = `${Utils.escapeHTML(attribute.label)}${attribute.unit ? ` (${Utils.escapeHTML(attribute.unit)})` : ''}${attribute.required ? ' *' : ''}`;
+
+    let input;
+    if (attribute.type === 'enum') {
+      input = `
+        <select class="form-select" id="${id}" data-attribute-key="${attribute.key}" ${required}>
+          <option value="">Select ${Utils.escapeHTML(attribute.label)}</option>
+          ${attribute.options.map(option => `<option value="${Utils.escapeHTML(option)}" ${option === value ? 'selected' : ''}>${Utils.escapeHTML(option)}</option>`).join('')}
+        </select>`;
+    } else {
+      const inputType = attribute.type === 'number' ? 'number" step="any' : 'text';
+      input = `<input type="${inputType}" class="form-control" id="${id}" data-attribute-key="${attribute.key}" value="${Utils.escapeHTML(value)}" ${required}>`;
+    }
+
+    return `
+      <div class="col-md-4">
+        <label for="${id}" class="form-label">${label}</label>
+        ${input}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Read the attribute values entered in a form
+ * @param {string} containerId - Element holding the attribute fields
+ * @returns {Object} Values keyed by attribute key
+ */
+function readAttributeFields(containerId) {
+  const values = {};
+  document.querySelectorAll(`#${containerId} [data-attribute-key]`).forEach(field => {
+    values[field.dataset.attributeKey] = field.value.trim();
+  });
+  return values;
+}
+
+/**
+ * Build the search filters of the category chosen in the category filter
+ */
+function renderAttributeFilters() {
+  const container = document.getElementById('attribute-filters');
+  const filterSelect = document.getElementById('filter-category');
+  if (!container || !filterSelect) return;
+
+  const productType = getProductType(filterSelect.value);
+  if (!productType) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = productType.attributes.map(attribute => {
+    const name = `${Utils.escapeHTML(attribute.label)}${attribute.unit ? ` (${Utils.escapeHTML(attribute.unit)})` : ''}`;
+    const field = attribute.type === 'enum'
+      ? `<select class="form-select form-select-sm" data-attribute-key="${attribute.key}">
+          <option value="">Any ${name}</option>
+          ${attribute.options.map(option => `<option value="${Utils.escapeHTML(option)}">${Utils.escapeHTML(option)}</option>`).join('')}
+        </select>`
+      : `<input type="${attribute.type === 'number' ? 'number' : 'text'}" class="form-control form-control-sm" data-attribute-key="${attribute.key}" placeholder="${name}">`;
+    return `<div class="col-6 col-md-3 col-lg-2">${field}</div>`;
+  }).join('');
+
+  container.querySelectorAll('[data-attribute-key]').forEach(field => {
+    field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', runInventoryFilter);
+  });
+}
+
+/**
+ * Read the category and attribute filters for an inventory search
+ * @returns {Object} category and attributes
+ */
+function readInventoryFilters() {
+  const filterSelect = document.getElementById('filter-category');
+  return {
+    category: filterSelect ? filterSelect.value : '',
+    attributes: readAttributeFields('attribute-filters')
+  };
+}
+
+/**
+ * Re-run the inventory search after a category or attribute filter changes
+ */
+function runInventoryFilter() {
+  if (typeof filterInventory === 'function') {
+    filterInventory();
+  }
+}
+
+/**
+ * List the product types in the manager
+ * @param {string} [selectedId] - Type shown in the form
+ */
+function renderProductTypeList(selectedId) {
+  const list = document.getElementById('product-types-list');
+  if (!list) return;
+
+  list.innerHTML = productTypeSchemas.map(type => `
+    <button type="button" class="list-group-item list-group-item-action ${type.id === selectedId ? 'active' : ''}" data-product-type-id="${type.id}">
+      ${Utils.escapeHTML(type.label)}
+      <small class="d-block ${type.id === selectedId ? '' : 'text-muted'}">${type.subtypes.length} types &middot; ${type.attributes.length} attributes</small>
+    </button>
+  `).join('');
+
+  list.querySelectorAll('[data-product-type-id]').forEach(button => {
+    button.addEventListener('click', () => editProductType(button.dataset.productTypeId));
+  });
+}
+
+/**
+ * Add an attribute row to the manager form
+ * @param {Object} [attribute] - Existing attribute
+ */
+function addAttributeRow(attribute = {}) {
+  const tbody = document.getElementById('product-type-attributes');
+  const row = document.createElement('tr');
+  const type = attribute.type || 'text';
+  const detail = type === 'enum' ? (attribute.options || []).join(', ') : (attribute.unit || '');
+
+  row.dataset.attributeKey = attribute.key || '';
+  row.innerHTML = `
+    <td><input type="text" class="form-control form-control-sm attribute-label" value="${Utils.escapeHTML(attribute.label || '')}" placeholder="e.g. Pressure Class" required></td>
+    <td>
+      <select class="form-select form-select-sm attribute-type">
+        ${Object.entries(ATTRIBUTE_TYPE_LABELS).map(([value, text]) => `<option value="${value}" ${value === type ? 'selected' : ''}>${text}</option>`).join('')}
+      </select>
+    </td>
+    <td><input type="text" class="form-control form-control-sm attribute-detail" value="${Utils.escapeHTML(detail)}"></td>
+    <td class="text-center"><input type="checkbox" class="form-check-input attribute-required" ${attribute.required ? 'checked' : ''}></td>
+    <td><button type="button" class="btn btn-sm btn-icon btn-danger" title="Remove attribute"><i class="fas fa-times"></i></button></td>
+  `;
+
+  const typeSelect = row.querySelector('.attribute-type');
+  const detailInput = row.querySelector('.attribute-detail');
+  const updatePlaceholder = () => {
+    detailInput.disabled = typeSelect.value === 'text';
+    detailInput.placeholder = typeSelect.value === 'enum' ? 'e.g. PN10, PN16' : typeSelect.value === 'number' ? 'Unit, e.g. L' : '';
+  };
+  typeSelect.addEventListener('change', updatePlaceholder);
+  updatePlaceholder();
+
+  row.querySelector('button').addEventListener('click', () => row.remove());
+  tbody.appendChild(row);
+}
+
+/**
+ * Show a product type in the manager form, or an empty form for a new one
+ * @param {string} [productTypeId] - Product type ID
+ */
+function editProductType(productTypeId) {
+  const productType = productTypeSchemas.find(type => type.id === productTypeId) || null;
+
+  document.getElementById('product-type-form').reset();
+  document.getElementById('product-type-id').value = productType ? productType.id : '';
+  document.getElementById('product-type-name').value = productType ? productType.name : '';
+  document.getElementById('product-type-name').disabled = !!productType;
+  document.getElementById('product-type-label').value = productType ? productType.label : '';
+  document.getElementById('product-type-subtypes').value = productType ? productType.subtypes.join(', ') : '';
+  document.getElementById('product-type-unit').value = productType ? productType.defaultUnit : 'piece';
+  document.getElementById('delete-product-type-btn').disabled = !productType;
+
+  document.getElementById('product-type-attributes').innerHTML = '';
+  (productType ? productType.attributes : []).forEach(attribute => addAttributeRow(attribute));
+
+  renderProductTypeList(productType ? productType.id : null);
+}
+
+/**
+ * Read the product type entered in the manager form
+ * @returns {Object} Product type for save-product-type
+ */
+function readProductTypeForm() {
+  const attributes = Array.from(document.querySelectorAll('#product-type-attributes tr')).map(row => {
+    const type = row.querySelector('.attribute-type').value;
+    const detail = row.querySelector('.attribute-detail').value;
+    return {
+      key: row.dataset.attributeKey || undefined,
+      label: row.querySelector('.attribute-label').value,
+      type,
+      required: row.querySelector('.attribute-required').checked,
+      options: type === 'enum' ? detail.split(',') : undefined,
+      unit: type === 'number' ? detail : undefined
+    };
+  });
+
+  return {
+    id: document.getElementById('product-type-id').value || undefined,
+    name: document.getElementById('product-type-name').value,
+    label: document.getElementById('product-type-label').value,
+    subtypes: document.getElementById('product-type-subtypes').value.split(','),
+    defaultUnit: document.getElementById('product-type-unit').value,
+    attributes
+  };
+}
+
+/**
+ * Save the product type in the manager form
+ * @param {Event} event - The submit event
+ */
+async function handleSaveProductType(event) {
+  event.preventDefault();
+
+  const button = document.getElementById('save-product-type-btn');
+  const originalText = button.innerHTML;
+
+  try {
+    button.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Saving...';
+    button.disabled = true;
+
+    const result = await window.electronAPI.saveProductType(readProductTypeForm());
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to save the product type');
+    }
+
+    applyProductTypes(result.productTypes);
+    editProductType(result.productType.id);
+    showProductTypeMessage(`${result.productType.label} saved`, 'success', 'Product Types');
+  } catch (error) {
+    console.error('Error saving product type:', error);
+    showProductTypeMessage(`Error: ${error.message}`, 'error', 'Product Types');
+  } finally {
+    button.innerHTML = originalText;
+    button.disabled = false;
+  }
+}
+
+/**
+ * Delete the product type shown in the manager form
+ */
+async function handleDeleteProductType() {
+  const productTypeId = document.getElementById('product-type-id').value;
+  const productType = productTypeSchemas.find(type => type.id === productTypeId);
+  if (!productType || !confirm(`Delete the ${productType.label} category?`)) return;
+
+  try {
+    const result = await window.electronAPI.deleteProductType(productTypeId);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to delete the product type');
+    }
+
+    applyProductTypes(result.productTypes);
+    editProductType();
+    showProductTypeMessage(`${productType.label} deleted`, 'success', 'Product Types');
+  } catch (error) {
+    console.error('Error deleting product type:', error);
+    showProductTypeMessage(`Error: ${error.message}`, 'error', 'Product Types');
+  }
+}
+
+// Initialize the product types module when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  if (!window.electronAPI || typeof window.electronAPI.getProductTypes !== 'function') {
+    return;
+  }
+
+  loadProductTypes().catch(error => console.error('Error loading product types:', error));
+
+  // Attribute fields follow the category chosen in the add and edit forms. The listener sits on
+  // the document because fix-dropdown.js replaces the category selects to drop their listeners.
+  const categoryForms = { 'item-category': 'item-attributes', 'edit-item-category': 'edit-item-attributes' };
+  document.addEventListener('change', event => {
+    const containerId = categoryForms[event.target.id];
+    if (containerId) {
+      renderAttributeFields(containerId, event.target.value);
+    }
+  });
+
+  const addItemModal = document.getElementById('addItemModal');
+  if (addItemModal) {
+    addItemModal.addEventListener('show.bs.modal', () => {
+      renderAttributeFields('item-attributes', document.getElementById('item-category').value);
+    });
+  }
+
+  const filterSelect = document.getElementById('filter-category');
+  if (filterSelect) {
+    filterSelect.addEventListener('change', () => {
+      renderAttributeFilters();
+      runInventoryFilter();
+    });
+  }
+
+  const productTypesModal = document.getElementById('productTypesModal');
+  if (productTypesModal) {
+    productTypesModal.addEventListener('show.bs.modal', () => editProductType());
+    document.getElementById('new-product-type-btn').addEventListener('click', () => editProductType());
+    document.getElementById('add-attribute-btn').addEventListener('click', () => addAttributeRow());
+    document.getElementById('product-type-form').addEventListener('submit', handleSaveProductType);
+    document.getElementById('delete-product-type-btn').addEventListener('click', handleDeleteProductType);
+  }
+
+  // Types changed in another window
+  if (typeof window.electronAPI.onProductTypesUpdated === 'function') {
+    window.electronAPI.onProductTypesUpdated(applyProductTypes);
+  }
+});
+
+// Export functions to global scope
+window.ProductTypes = {
+  loadProductTypes,
+  getProductType,
+  renderAttributeFields,
+  readAttributeFields,
+  readInventoryFilters
+};
@@ -0,0 +1,473 @@
+/**
+ * purchase-orders.js
+ * Handles suppliers, purchase orders and goods-received notes on the inventory page
+ */
+
+/**
+ * Labels and badge colours for purchase order statuses
+ */
+const PO_STATUS_LABELS = {
+  draft: { text: 'Draft', badge: 'bg-secondary' },
+  ordered: { text: 'Ordered', badge: 'bg-info' },
+  partially_received: { text: 'Partially Received', badge: 'bg-warning' },
+  received: { text: 'Received', badge: 'bg-success' },
+  cancelled: { text: 'Cancelled', badge: 'bg-danger' }
+};
+
+// Cached lookups for the editor dropdowns
+let purchasingSuppliers = [];
+let purchasingInventory = [];
+
+/**
+ * Show a notification, falling back to alert()
+ * @param {string} message - Message text
+ * @param {string} type - 'success', 'error', 'warning' or 'info'
+ * @param {string} title - Notification title
+ */
+function showPurchasingMessage(message, type, title) {
+  if (window.NotificationSystem) {
+    window.NotificationSystem.show(message, { type, title });
+  } else {
+    alert(message);
+  }
+}
+
+/**
+ * Format an amount for display
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted amount
+ */
+function formatPurchaseAmount(amount) {
+  return `TZsh ${(parseFloat(amount) || 0).toFixed(2)}`;
+}
+
+/**
+ * Load suppliers into the suppliers table and the PO supplier dropdown
+ */
+async function loadSupplierList() {
+  purchasingSuppliers = await window.electronAPI.getSuppliers() || [];
+
+  const tbody = document.getElementById('suppliers-table-body');
+  if (tbody) {
+    if (purchasingSuppliers.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="text-center">No suppliers found</td></tr>';
+    } else {
+      tbody.innerHTML = purchasingSuppliers.map(supplier => `
+        <tr>
+          <td>${Utils.escapeHTML(supplier.name)}</td>
+          <td>${Utils.escapeHTML(supplier.contact_person || '-')}</td>
+          <td>${Utils.escapeHTML(supplier.phone || '-')}</td>
+          <td>${Utils.escapeHTML(supplier.email || '-')}</td>
+          <td>${Utils.escapeHTML(supplier.tin || '-')}</td>
+          <td class="actions">
+            <button class="btn btn-sm btn-icon btn-primary" onclick="editSupplier('${supplier.id}')" title="Edit supplier">
+              <i class="fas fa-edit"></i>
+            </button>
+          </td>
+        </tr>
+      `).join('');
+    }
+  }
+
+  const select = document.getElementById('po-supplier');
+  if (select) {
+    const current = select.value;
+    select.innerHTML = '<option value="">Select Supplier</option>' + purchasingSuppliers
+      .map(supplier => `<option value="${supplier.id}">${Utils.escapeHTML(supplier.name)}</option>`)
+      .join('');
+    select.value = current;
+  }
+}
+
+/**
+ * Fill the supplier form with an existing supplier for editing
+ * @param {string} supplierId - Supplier ID
+ */
+function editSupplier(supplierId) {
+  const supplier = purchasingSuppliers.find(s => s.id === supplierId);
+  if (!supplier) return;
+
+  document.getElementById('supplier-id').value = supplier.id;
+  document.getElementById('supplier-name').value = supplier.name || '';
+  document.getElementById('supplier-contact').value = supplier.contact_person || '';
+  document.getElementById('supplier-phone').value = supplier.phone || '';
+  document.getElementById('supplier-email').value = supplier.email || '';
+  document.getElementById('supplier-tin').value = supplier.tin || '';
+  document.getElementById('supplier-address').value = supplier.address || '';
+  document.getElementById('supplier-name').focus();
+}
+
+/**
+ * Handle supplier form submission
+ * @param {Event} event - The submit event
+ */
+async function handleSaveSupplier(event) {
+  event.preventDefault();
+
+  try {
+    const result = await window.electronAPI.saveSupplier({
+      id: document.getElementById('supplier-id').value || undefined,
+      name: document.getElementById('supplier-name').value,
+      contact_person: document.getElementById('supplier-contact').value,
+      phone: document.getElementById('supplier-phone').value,
+      email: document.getElementById('supplier-email').value,
+      tin: document.getElementById('supplier-tin').value,
+      address: document.getElementById('supplier-address').value
+    });
+
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to save supplier');
+    }
+
+    document.getElementById('supplier-form').reset();
+    document.getElementById('supplier-id').value = '';
+    await loadSupplierList();
+    showPurchasingMessage(`Supplier "${result.supplier.name}" saved`, 'success', 'Supplier Saved');
+  } catch (error) {
+    console.error('Error saving supplier:', error);
+    showPurchasingMessage(`Error: ${error.message}`, 'error', 'Supplier Not Saved');
+  }
+}
+
+/**
+ * Load purchase orders into the list, applying the status filter
+ */
+async function loadPurchaseOrderList() {
+  const tbody = document.getElementById('po-table-body');
+  if (!tbody) return;
+
+  const status = document.getElementById('po-status-filter').value;
+  const orders = await window.electronAPI.getPurchaseOrders(status ? { status } : {}) || [];
+
+  if (orders.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" class="text-center">No purchase orders found</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = orders.map(order => {
+    const statusInfo = PO_STATUS_LABELS[order.status] || { text: order.status, badge: 'bg-secondary' };
+    const editable = order.status === 'draft' || order.status === 'ordered';
+    const receivable = order.status === 'ordered' || order.status === 'partially_received';
+
+    return `
+      <tr>
+        <td>${Utils.escapeHTML(order.po_number)}</td>
+        <td>${Utils.escapeHTML(order.supplier_name)}</td>
+        <td>${new Date(order.created_at).toLocaleDateString()}</td>
+        <td>${order.expected_date ? new Date(order.expected_date).toLocaleDateString() : '-'}</td>
+        <td>${(order.items || []).length}</td>
+        <td>${formatPurchaseAmount(order.total_amount)}</td>
+        <td><span class="badge ${statusInfo.badge}">${statusInfo.text}</span></td>
+        <td class="actions">
+          ${editable ? `<button class="btn btn-sm btn-icon btn-primary" onclick="openPurchaseOrderEditor('${order.id}')" title="Edit"><i class="fas fa-edit"></i></button>` : ''}
+          ${order.status === 'draft' ? `<button class="btn btn-sm btn-icon btn-info" onclick="changePurchaseOrderStatus('${order.id}', 'ordered')" title="Mark as ordered"><i class="fas fa-paper-plane"></i></button>` : ''}
+          ${receivable ? `<button class="btn btn-sm btn-icon btn-success" onclick="openReceiveGoods('${order.id}')" title="Receive goods"><i class="fas fa-dolly"></i></button>` : ''}
+          ${editable ? `<button class="btn btn-sm btn-icon btn-danger" onclick="changePurchaseOrderStatus('${order.id}', 'cancelled')" title="Cancel order"><i class="fas fa-ban"></i></button>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Add a line to the purchase order editor
+ * @param {Object} [line] - Existing line to populate
+ */
+function addPurchaseOrderLine(line = {}) {
+  const tbody = document.getElementById('po-lines-body');
+  const row = document.createElement('tr');
+  row.dataset.lineId = line.id || '';
+
+  const options = purchasingInventory.map(item => {
+    const selected = item.id === line.item_id ? 'selected' : '';
+    return `<option value="${item.id}" ${selected}>${Utils.escapeHTML(item.description)}${item.brand ? ` (${Utils.escapeHTML(item.brand)})` : ''}</option>`;
+  }).join('');
+
+  row.innerHTML = `
+    <td>
+      <select class="form-select po-line-item" required>
+        <option value="">Select Item</option>
+        ${options}
+      </select>
+    </td>
+    <td><input type="number" class="form-control po-line-quantity" min="1" step="any" value="${line.quantity_ordered || ''}" required></td>
+    <td><input type="number" class="form-control po-line-price" min="0" step="0.01" value="${line.expected_price !== undefined ? line.expected_price : ''}" required></td>
+    <td class="po-line-total">${formatPurchaseAmount(0)}</td>
+    <td>
+      <button type="button" class="btn btn-sm btn-icon btn-danger po-line-remove" title="Remove line">
+        <i class="fas fa-times"></i>
+      </button>
+    </td>
+  `;
+
+  // Default the expected price to the item's current buying price
+  row.querySelector('.po-line-item').addEventListener('change', function() {
+    const item = purchasingInventory.find(i => i.id === this.value);
+    const priceInput = row.querySelector('.po-line-price');
+    if (item && !priceInput.value) {
+      priceInput.value = item.buyingPrice || item.buying_price || item.cost_price || 0;
+    }
+    updatePurchaseOrderTotal();
+  });
+  row.querySelector('.po-line-quantity').addEventListener('input', updatePurchaseOrderTotal);
+  row.querySelector('.po-line-price').addEventListener('input', updatePurchaseOrderTotal);
+  row.querySelector('.po-line-remove').addEventListener('click', () => {
+    row.remove();
+    updatePurchaseOrderTotal();
+  });
+
+  tbody.appendChild(row);
+  updatePurchaseOrderTotal();
+}
+
+/**
+ * Recalculate line totals and the order total in the editor
+ */
+function updatePurchaseOrderTotal() {
+  let total = 0;
+  document.querySelectorAll('#po-lines-body tr').forEach(row => {
+    const quantity = parseFloat(row.querySelector('.po-line-quantity').value) || 0;
+    const price = parseFloat(row.querySelector('.po-line-price').value) || 0;
+    row.querySelector('.po-line-total').textContent = formatPurchaseAmount(quantity * price);
+    total += quantity * price;
+  });
+  document.getElementById('po-total').textContent = formatPurchaseAmount(total);
+}
+
+/**
+ * Open the purchase order editor, blank or for an existing order
+ * @param {string} [orderId] - Purchase order to edit
+ */
+async function openPurchaseOrderEditor(orderId) {
+  try {
+    purchasingInventory = await window.electronAPI.getInventory() || [];
+    await loadSupplierList();
+
+    const order = orderId ? await window.electronAPI.getPurchaseOrder(orderId) : null;
+
+    document.getElementById('po-editor-form').reset();
+    document.getElementById('po-id').value = order ? order.id : '';
+    document.getElementById('po-editor-title').textContent = order ? `Edit ${order.po_number}` : 'New Purchase Order';
+    document.getElementById('po-supplier').value = order ? order.supplier_id : '';
+    document.getElementById('po-expected-date').value = order && order.expected_date ? order.expected_date.substring(0, 10) : '';
+    document.getElementById('po-notes').value = order ? order.notes || '' : '';
+    document.getElementById('save-po-draft').style.display = order && order.status === 'ordered' ? 'none' : '';
+
+    document.getElementById('po-lines-body').innerHTML = '';
+    if (order && order.items) {
+      order.items.forEach(line => addPurchaseOrderLine(line));
+    } else {
+      addPurchaseOrderLine();
+    }
+
+    const modal = new bootstrap.Modal(document.getElementById('poEditorModal'));
+    modal.show();
+  } catch (error) {
+    console.error('Error opening purchase order editor:', error);
+    showPurchasingMessage(`Error: ${error.message}`, 'error', 'Purchase Order');
+  }
+}
+
+/**
+ * Save the purchase order in the editor
+ * @param {string} status - 'draft' or 'ordered'
+ */
+async function savePurchaseOrderFromEditor(status) {
+  try {
+    const items = Array.from(document.querySelectorAll('#po-lines-body tr')).map(row => ({
+      id: row.dataset.lineId || undefined,
+      item_id: row.querySelector('.po-line-item').value,
+      quantity_ordered: row.querySelector('.po-line-quantity').value,
+      expected_price: row.querySelector('.po-line-price').value
+    }));
+
+    const result = await window.electronAPI.savePurchaseOrder({
+      id: document.getElementById('po-id').value || undefined,
+      supplier_id: document.getElementById('po-supplier').value,
+      expected_date: document.getElementById('po-expected-date').value || null,
+      notes: document.getElementById('po-notes').value,
+      status,
+      items
+    });
+
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to save purchase order');
+    }
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('poEditorModal'));
+    if (modal) modal.hide();
+
+    await loadPurchaseOrderList();
+    showPurchasingMessage(`Purchase order ${result.order.po_number} saved`, 'success', 'Purchase Order Saved');
+  } catch (error) {
+    console.error('Error saving purchase order:', error);
+    showPurchasingMessage(`Error: ${error.message}`, 'error', 'Purchase Order Not Saved');
+  }
+}
+
+/**
+ * Mark a purchase order as ordered or cancel it
+ * @param {string} orderId - Purchase order ID
+ * @param {string} status - 'ordered' or 'cancelled'
+ */
+async function changePurchaseOrderStatus(orderId, status) {
+  if (status === 'cancelled' && !confirm('Cancel this purchase order?')) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.updatePurchaseOrderStatus(orderId, status);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to update purchase order');
+    }
+
+    await loadPurchaseOrderList();
+    showPurchasingMessage(`Purchase order ${result.order.po_number} is now ${PO_STATUS_LABELS[status].text.toLowerCase()}`, 'success', 'Purchase Order Updated');
+  } catch (error) {
+    console.error('Error updating purchase order status:', error);
+    showPurchasingMessage(`Error: ${error.message}`, 'error', 'Purchase Order');
+  }
+}
+
+/**
+ * Open the receive goods dialog for a purchase order
+ * @param {string} orderId - Purchase order ID
+ */
+async function openReceiveGoods(orderId) {
+  try {
+    const order = await window.electronAPI.getPurchaseOrder(orderId);
+    if (!order) {
+      throw new Error('Purchase order not found');
+    }
+
+    document.getElementById('receive-po-id').value = order.id;
+    document.getElementById('receive-po-number').textContent = order.po_number;
+    document.getElementById('receive-supplier-name').textContent = order.supplier_name;
+    document.getElementById('receive-delivery-ref').value = '';
+    document.getElementById('receive-notes').value = '';
+
+    document.getElementById('receive-lines-body').innerHTML = order.items.map(line => {
+      const outstanding = line.quantity_ordered - (line.quantity_received || 0);
+      return `
+        <tr data-line-id="${line.id}" data-outstanding="${outstanding}">
+          <td>${Utils.escapeHTML(line.item_description)}</td>
+          <td>${line.quantity_ordered}</td>
+          <td>${line.quantity_received || 0}</td>
+          <td>${outstanding}</td>
+          <td><input type="number" class="form-control receive-quantity" min="0" max="${outstanding}" step="any" value="0" ${outstanding <= 0 ? 'disabled' : ''}></td>
+          <td><input type="number" class="form-control receive-unit-cost" min="0" step="0.01" value="${line.expected_price}" ${outstanding <= 0 ? 'disabled' : ''}></td>
+        </tr>
+      `;
+    }).join('');
+
+    const history = document.getElementById('receive-history');
+    const receipts = order.receipts || [];
+    history.innerHTML = receipts.length === 0
+      ? '<li class="list-group-item">No goods received yet</li>'
+      : receipts.map(receipt => `
+        <li class="list-group-item">
+          <strong>${Utils.escapeHTML(receipt.grn_number)}</strong> &mdash;
+          ${new Date(receipt.received_at).toLocaleString()} by ${Utils.escapeHTML(receipt.received_by || 'System')}
+          &mdash; ${formatPurchaseAmount(receipt.total_amount)}
+          ${receipt.delivery_reference ? `(Ref: ${Utils.escapeHTML(receipt.delivery_reference)})` : ''}
+        </li>
+      `).join('');
+
+    const modal = new bootstrap.Modal(document.getElementById('receiveGoodsModal'));
+    modal.show();
+  } catch (error) {
+    console.error('Error opening receive goods dialog:', error);
+    showPurchasingMessage(`Error: ${error.message}`, 'error', 'Receive Goods');
+  }
+}
+
+/**
+ * Submit the goods-received note and refresh inventory
+ */
+async function confirmReceiveGoods() {
+  const button = document.getElementById('confirm-receive-btn');
+  const originalText = button.innerHTML;
+
+  try {
+    const lines = Array.from(document.querySelectorAll('#receive-lines-body tr')).map(row => ({
+      lineId: row.dataset.lineId,
+      quantity: row.querySelector('.receive-quantity').value,
+      unitCost: row.querySelector('.receive-unit-cost').value
+    }));
+
+    button.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Saving...';
+    button.disabled = true;
+
+    const result = await window.electronAPI.receivePurchaseOrder({
+      purchaseOrderId: document.getElementById('receive-po-id').value,
+      locationId: document.getElementById('receive-location').value || undefined,
+      deliveryReference: document.getElementById('receive-delivery-ref').value,
+      notes: document.getElementById('receive-notes').value,
+      lines
+    });
+
+    if (!result || !result.success) {
+      // Lines applied before a failure are still recorded, so refresh regardless
+      await loadPurchaseOrderList();
+      throw new Error((result && result.error) || 'Failed to record goods received');
+    }
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('receiveGoodsModal'));
+    if (modal) modal.hide();
+
+    await loadPurchaseOrderList();
+    if (typeof window.refreshInventoryData === 'function') {
+      await window.refreshInventoryData(false);
+    }
+
+    showPurchasingMessage(`${result.grn.grn_number} recorded. Stock and buying prices updated.`, 'success', 'Goods Received');
+  } catch (error) {
+    console.error('Error receiving goods:', error);
+    showPurchasingMessage(`Error: ${error.message}`, 'error', 'Receive Goods');
+  } finally {
+    button.innerHTML = originalText;
+    button.disabled = false;
+  }
+}
+
+// Initialize purchasing module when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  const purchasingModal = document.getElementById('purchaseOrdersModal');
+  if (!purchasingModal || !window.electronAPI || typeof window.electronAPI.getPurchaseOrders !== 'function') {
+    return;
+  }
+
+  purchasingModal.addEventListener('show.bs.modal', () => {
+    loadSupplierList();
+    loadPurchaseOrderList();
+  });
+
+  document.getElementById('po-status-filter').addEventListener('change', loadPurchaseOrderList);
+  document.getElementById('new-po-btn').addEventListener('click', () => openPurchaseOrderEditor());
+  document.getElementById('add-po-line').addEventListener('click', () => addPurchaseOrderLine());
+  document.getElementById('save-po-draft').addEventListener('click', () => savePurchaseOrderFromEditor('draft'));
+  document.getElementById('save-po-ordered').addEventListener('click', () => savePurchaseOrderFromEditor('ordered'));
+  document.getElementById('supplier-form').addEventListener('submit', handleSaveSupplier);
+  document.getElementById('reset-supplier-form').addEventListener('click', () => {
+    document.getElementById('supplier-form').reset();
+    document.getElementById('supplier-id').value = '';
+  });
+
+  document.getElementById('receive-all-btn').addEventListener('click', () => {
+    document.querySelectorAll('#receive-lines-body tr').forEach(row => {
+      const input = row.querySelector('.receive-quantity');
+      if (!input.disabled) input.value = row.dataset.outstanding;
+    });
+  });
+  document.getElementById('confirm-receive-btn').addEventListener('click', confirmReceiveGoods);
+});
+
+// Export functions to global scope
+window.PurchaseOrders = {
+  loadSupplierList,
+  loadPurchaseOrderList,
+  openPurchaseOrderEditor,
+  openReceiveGoods,
+  changePurchaseOrderStatus,
+  editSupplier
+};
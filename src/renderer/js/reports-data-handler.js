@@ -215,6 +215,9 @@ async function fetchReportsData() {
     
     // Process sales data if available
     if (salesData.length > 0) {
+      // Voided sales are kept on record but are not revenue
+      salesData = salesData.filter(sale => sale.status !== 'void');
+      
       // Ensure all sales have a date
       salesData = salesData.map(sale => {
         if (!sale.date && !sale.created_at) {
@@ -873,6 +873,21 @@ function generateReportContent(report) {
     return generateProfitReportContent(report);
   }
   
+  // VAT summary for filing
+  if (report.type === 'vat') {
+    return generateVatReportContent(report);
+  }
+  
+  // Cash drawer reconciliation by session
+  if (report.type === 'cash') {
+    return generateCashReportContent(report);
+  }
+  
+  // Pipe offcuts written off as scrap
+  if (report.type === 'scrap') {
+    return generateScrapReportContent(report);
+  }
+  
   // Default report layout for other report types
   return `
     <div class="row mb-4" id="report-metrics">
@@ -1223,6 +1238,8 @@ function generateSalesReportContent(report) {
         </div>
       </div>
     </div>
+    ${report.stats?.totalDiscounts ? `
+    <p class="text-muted mb-4">Discounts given: ${report.stats.totalDiscounts} (already deducted from total sales)</p>` : ''}
     
     <div class="row mb-4">
       <div class="col-md-8">
@@ -1246,6 +1263,22 @@ function generateSalesReportContent(report) {
         </div>
       </div>
     </div>
+    ${report.paymentsByTender && report.paymentsByTender.length > 0 ? `
+    <div class="row mb-4">
+      <div class="col-md-6">
+        <div class="card dark-card">
+          <div class="card-body">
+            <h6 class="card-title mb-3">Payments by Tender</h6>
+            <div class="table-responsive">
+              <table class="table table-dark table-sm">
+                ${generateReportTable(report.paymentsByTender)}
+              </table>
+            </div>
+            <p class="text-muted small mb-0">Cash is shown after change given. On Account is the part of credit and deposit sales still owed.</p>
+          </div>
+        </div>
+      </div>
+    </div>` : ''}
     
     <div class="row">
       <div class="col-12">
@@ -1297,6 +1330,8 @@ function generateProfitReportContent(report) {
         </div>
       </div>
     </div>
+    ${report.metrics?.['Discounts Given'] ? `
+    <p class="text-muted mb-4">Discounts given: ${report.metrics['Discounts Given']} (already deducted from revenue)</p>` : ''}
     
     <div class="row mb-4">
       <div class="col-md-8">
@@ -1404,6 +1439,138 @@ function generateProfitReportContent(report) {
   `;
 }
 
+// Generate specialized content for VAT summary reports
+function generateVatReportContent(report) {
+  const metrics = report.metrics || {};
+  const summary = report.vatSummary;
+  const period = summary
+    ? `${new Date(summary.startDate).toLocaleDateString()} - ${new Date(summary.endDate).toLocaleDateString()}`
+    : '';
+  
+  return `
+    <div class="row mb-4" id="report-metrics">
+      <div class="col-md-4">
+        <div class="stat-card">
+          <h3>${metrics['Taxable Sales'] || '0'}</h3>
+          <p>Taxable Sales (excl. VAT)</p>
+          <i class="fas fa-file-invoice-dollar icon"></i>
+        </div>
+      </div>
+      <div class="col-md-4">
+        <div class="stat-card">
+          <h3>${metrics['Exempt Sales'] || '0'}</h3>
+          <p>Exempt Sales</p>
+          <i class="fas fa-ban icon"></i>
+        </div>
+      </div>
+      <div class="col-md-4">
+        <div class="stat-card">
+          <h3>${metrics['Output VAT'] || '0'}</h3>
+          <p>Output VAT</p>
+          <i class="fas fa-percentage icon"></i>
+        </div>
+      </div>
+    </div>
+    ${summary ? `
+    <p class="text-muted mb-4">Period ${period}: ${summary.invoices} invoices and ${summary.creditNotes} credit notes. Credit notes are deducted from the sales and VAT of the class they were issued against.</p>` : ''}
+    
+    <div class="row">
+      <div class="col-12">
+        <div class="card dark-card">
+          <div class="card-body">
+            <h6 class="card-title mb-3">VAT by Tax Class</h6>
+            <div class="table-responsive">
+              <table class="table table-dark table-hover" id="report-data-table">
+                ${generateReportTable(report.tableData)}
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Generate content for the cash drawer variance report
+function generateCashReportContent(report) {
+  const metrics = report.metrics || {};
+  const cards = [
+    { key: 'Sessions', label: 'Sessions Closed', icon: 'cash-register' },
+    { key: 'Total Variance', label: 'Net Variance', icon: 'balance-scale' },
+    { key: 'Shortages', label: 'Short Drawers', icon: 'arrow-down' },
+    { key: 'Overages', label: 'Over Drawers', icon: 'arrow-up' }
+  ];
+  
+  return `
+    <div class="row mb-4" id="report-metrics">
+      ${cards.map(card => `
+      <div class="col-md-3">
+        <div class="stat-card">
+          <h3>${metrics[card.key] || '0'}</h3>
+          <p>${card.label}</p>
+          <i class="fas fa-${card.icon} icon"></i>
+        </div>
+      </div>`).join('')}
+    </div>
+    <p class="text-muted mb-4">Expected cash is the opening float plus cash sales and account payments, less cash refunds. A negative variance means the drawer was short.</p>
+    
+    <div class="row">
+      <div class="col-12">
+        <div class="card dark-card">
+          <div class="card-body">
+            <h6 class="card-title mb-3">Closed Drawer Sessions</h6>
+            <div class="table-responsive">
+              <table class="table table-dark table-hover" id="report-data-table">
+                ${generateReportTable(report.tableData)}
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Generate content for the offcut scrap report
+function generateScrapReportContent(report) {
+  const metrics = report.metrics || {};
+  const cards = [
+    { key: 'Total Length', label: 'Length Scrapped', icon: 'ruler-horizontal' },
+    { key: 'Pieces', label: 'Offcuts Scrapped', icon: 'cut' },
+    { key: 'Cost Written Off', label: 'Cost Written Off', icon: 'trash-alt' },
+    { key: 'Most Scrapped', label: 'Most Scrapped Item', icon: 'exclamation-triangle' }
+  ];
+  
+  return `
+    <div class="row mb-4" id="report-metrics">
+      ${cards.map(card => `
+      <div class="col-md-3">
+        <div class="stat-card">
+          <h3>${metrics[card.key] || '0'}</h3>
+          <p>${card.label}</p>
+          <i class="fas fa-${card.icon} icon"></i>
+        </div>
+      </div>`).join('')}
+    </div>
+    <p class="text-muted mb-4">Offcuts shorter than the minimum offcut length in Settings are written off when pipe is cut to length. Cost is the buying price of the length lost.</p>
+    
+    <div class="row">
+      <div class="col-12">
+        <div class="card dark-card">
+          <div class="card-body">
+            <h6 class="card-title mb-3">Offcuts Written Off</h6>
+            <div class="table-responsive">
+              <table class="table table-dark table-hover" id="report-data-table">
+                ${generateReportTable(report.tableData)}
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
 // Generate table HTML for report data
 function generateReportTable(tableData) {
   if (!tableData || tableData.length === 0) {
@@ -1539,6 +1706,9 @@ async function generateProfitReport(reportData) {
     // Call the backend profit report generation function
     console.log('📡 Calling backend generateProfitReport...');
     const profitReportData = await window.electronAPI.generateProfitReport(reportData.period);
+    if (profitReportData && profitReportData.success === false) {
+      throw new Error(profitReportData.error);
+    }
     
     console.log('📊 Retrieved profit report data:', profitReportData);
     
@@ -2292,7 +2462,10 @@ function getTableTitle(reportType) {
     profit: 'Detailed Profit Analysis',
     sales: 'Sales Transactions',
     inventory: 'Inventory Details',
-    customer: 'Customer Information'
+    customer: 'Customer Information',
+    vat: 'VAT by Tax Class',
+    cash: 'Closed Drawer Sessions',
+    scrap: 'Offcuts Written Off'
   };
   
   return titles[reportType] || 'Data Table';
@@ -3375,12 +3548,14 @@ function initializeSettingsModal() {
     passwordForm.addEventListener('submit', handlePasswordChange);
   }
 
-  // Hide password tab for admin users
+  // User management is for owners only
   const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
-  if (userSession.role === 'admin') {
-    const passwordTab = document.getElementById('password-tab-item');
-    if (passwordTab) {
-      passwordTab.style.display = 'none';
+  const usersTab = document.getElementById('users-tab-item');
+  if (usersTab) {
+    usersTab.style.display = userSession.role === 'owner' ? '' : 'none';
+    if (userSession.role === 'owner') {
+      document.getElementById('users-tab').addEventListener('shown.bs.tab', loadUserAccounts);
+      document.getElementById('create-user-form').addEventListener('submit', handleCreateUser);
     }
   }
 }
@@ -3446,7 +3621,7 @@ function saveSettings() {
   }
 }
 
-function handlePasswordChange(event) {
+async function handlePasswordChange(event) {
   event.preventDefault();
   
   const currentPassword = document.getElementById('current-password')?.value;
@@ -3477,22 +3652,106 @@ function handlePasswordChange(event) {
     return;
   }
   
-  // Use SessionManager to change password
-  if (window.SessionManager) {
-    const result = window.SessionManager.changePassword(currentPassword, newPassword);
-    
-    if (result.success) {
-      showPasswordSuccess('Password changed successfully!');
-      // Clear form
-      document.getElementById('password-change-form').reset();
-    } else {
-      showPasswordError(result.message);
+  // Passwords are checked and stored by the main process
+  if (window.electronAPI && typeof window.electronAPI.changePassword === 'function') {
+    try {
+      const result = await window.electronAPI.changePassword({ currentPassword, newPassword });
+      
+      if (result.success) {
+        showPasswordSuccess('Password changed successfully!');
+        // Clear form
+        document.getElementById('password-change-form').reset();
+      } else {
+        showPasswordError(result.error);
+      }
+    } catch (error) {
+      console.error('Error changing password:', error);
+      showPasswordError(error.message);
     }
   } else {
     showPasswordError('Password change functionality not available');
   }
 }
 
+async function loadUserAccounts() {
+  const tableBody = document.getElementById('users-table-body');
+  if (!tableBody) return;
+  
+  try {
+    const result = await window.electronAPI.getUsers();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    const currentUsername = JSON.parse(localStorage.getItem('userSession') || '{}').username;
+    tableBody.innerHTML = result.users.map(user => `
+      <tr>
+        <td>${user.username}</td>
+        <td>${user.name || ''}</td>
+        <td class="text-capitalize">${user.role}</td>
+        <td>${user.active ? '<span class="badge bg-success">Active</span>' : '<span class="badge bg-secondary">Inactive</span>'}</td>
+        <td>${user.last_login ? new Date(user.last_login).toLocaleString() : 'Never'}</td>
+        <td class="text-end">
+          ${user.active && user.username !== currentUsername ? `
+            <button class="btn btn-sm btn-outline-danger deactivate-user-btn" data-id="${user.id}" data-username="${user.username}">
+              <i class="fas fa-user-slash"></i>
+            </button>` : ''}
+        </td>
+      </tr>
+    `).join('');
+    
+    tableBody.querySelectorAll('.deactivate-user-btn').forEach(button => {
+      button.addEventListener('click', () => handleDeactivateUser(button.dataset.id, button.dataset.username));
+    });
+  } catch (error) {
+    console.error('Error loading users:', error);
+    tableBody.innerHTML = `<tr><td colspan="6" class="text-danger">${error.message}</td></tr>`;
+  }
+}
+
+async function handleCreateUser(event) {
+  event.preventDefault();
+  
+  try {
+    const result = await window.electronAPI.createUser({
+      username: document.getElementById('new-user-username').value.trim(),
+      name: document.getElementById('new-user-name').value.trim(),
+      role: document.getElementById('new-user-role').value,
+      password: document.getElementById('new-user-password').value
+    });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    document.getElementById('create-user-form').reset();
+    showNotification(`User ${result.user.username} created`, 'success');
+    loadUserAccounts();
+  } catch (error) {
+    console.error('Error creating user:', error);
+    showNotification(error.message, 'error');
+  }
+}
+
+async function handleDeactivateUser(userId, username) {
+  if (!confirm(`Deactivate ${username}? They will no longer be able to sign in.`)) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.deactivateUser(userId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    showNotification(`User ${username} deactivated`, 'success');
+    loadUserAccounts();
+  } catch (error) {
+    console.error('Error deactivating user:', error);
+    showNotification(error.message, 'error');
+  }
+}
+
 function showPasswordSuccess(message) {
   const successAlert = document.getElementById('password-success');
   if (successAlert) {
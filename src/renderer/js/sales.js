@@ -7,46 +7,70 @@
 let inventory = [];
 let sales = [];
 let filteredSales = [];
+// Totals across every sale matching the period when the main process did the search
+let salesSearchTotals = null;
+// Most recent sales loaded into the table for a period
+const SALES_PAGE_SIZE = 500;
 let selectedItems = [];
 let grandTotal = 0;
+// Discounts on the sale being entered; the main process recalculates them when the sale is saved
+let saleDiscountTotal = 0;
+let saleDiscountPercent = 0;
+// Largest discount, as a percentage, the signed-in user may give without a manager's approval
+let userDiscountLimit = 0;
 
-// Add VAT calculation and UI update logic
-let currentVatRate = 18;
+// Tax classes and pricing from Settings; the main process works out the tax again when the sale is saved
+let taxSettings = null;
+let saleTaxTotal = 0;
 
-function updateVatAndTotal() {
-  const vatSwitch = document.getElementById('include-vat-switch');
-  const vatInput = document.getElementById('vat-rate');
-  const vatLabel = document.getElementById('vat-amount-label');
-  const grandTotalLabel = document.getElementById('grand-total');
-  let vat = 0;
-  let net = 0;
-  let vatRate = 0;
-  if (vatSwitch && vatSwitch.checked && vatInput) {
-    vatRate = parseFloat(vatInput.value || '0');
-    if (isNaN(vatRate) || vatRate < 0) vatRate = 0;
-  }
-  currentVatRate = vatRate;
-  vat = grandTotal * (vatRate / (100 + vatRate));
-  net = grandTotal - vat;
-  if (vatLabel) {
-    vatLabel.textContent = `VAT (${vatRate}%): TZS ${vat.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2})} | Net: TZS ${net.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2})}`;
-  }
-  if (grandTotalLabel) {
-    grandTotalLabel.textContent = `TZS ${grandTotal.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2})}`;
-  }
+// Payment methods for the tender rows, with the reference each one asks for; the main process checks them
+const TENDER_METHODS = {
+  'Cash': '',
+  'Mobile Money': 'Transaction ID',
+  'Bank Transfer': 'Transfer reference',
+  'Check': 'Cheque number',
+  'Credit Card': 'Approval code (optional)',
+  'Other': 'Reference (optional)'
+};
+
+// The signed-in user's open cash drawer session, with what the drawer should hold
+let cashSession = null;
+let cashSessionSummary = null;
+
+// Active stock reservations; stock held for the selected customer is theirs to buy
+let activeReservations = [];
+
+// Quotations shown below the sales history
+let quotations = [];
+// Days a new quotation stays valid; the main process applies the same default
+const QUOTATION_VALIDITY_DAYS = 14;
+
+// Tax class of an inventory item: its own class, else its product type's, else the default
+function getItemTaxClass(item) {
+  if (!taxSettings) return null;
+  const find = id => id && taxSettings.classes.find(taxClass => taxClass.id === id);
+  const inventoryItem = inventory.find(stockItem => stockItem.id === item.id) || item;
+  return find(inventoryItem.taxClass || inventoryItem.tax_class) ||
+    find(taxSettings.typeClasses[inventoryItem.type]) ||
+    find(taxSettings.defaultClass) ||
+    taxSettings.classes[0];
 }
 
-// Add a VAT label in the table footer if not present
-function ensureVatLabel() {
-  let vatRow = document.getElementById('vat-row');
-  if (!vatRow) {
-    const tfoot = document.querySelector('#selected-items').closest('table').querySelector('tfoot');
-    if (tfoot) {
-      vatRow = document.createElement('tr');
-      vatRow.id = 'vat-row';
-      vatRow.innerHTML = `<td colspan="5" class="text-end"><strong id="vat-amount-label">VAT (18%): TZS 0.00</strong></td><td colspan="2"></td>`;
-      tfoot.insertBefore(vatRow, tfoot.firstChild);
+// Load the tax settings used to preview VAT on the sale
+async function loadTaxSettings() {
+  try {
+    const result = await window.electronAPI.getTaxSettings();
+    if (!result.success) {
+      throw new Error(result.error);
     }
+    
+    taxSettings = result.settings;
+    document.getElementById('tax-pricing-note').textContent = taxSettings.pricesIncludeTax
+      ? 'Selling prices include VAT at each item\'s tax class rate.'
+      : 'VAT is added to the selling prices at each item\'s tax class rate.';
+    updateDiscountSummary();
+  } catch (error) {
+    console.error('Error loading tax settings:', error);
   }
 }
 
@@ -141,6 +165,7 @@ async function loadInventoryData() {
     if (window.electronAPI && typeof window.electronAPI.getInventory === 'function') {
       inventory = await window.electronAPI.getInventory();
       console.log('Inventory loaded from electronAPI:', inventory.length, 'items');
+      await loadActiveReservations();
     } else if (window.SalesHandlers && typeof window.SalesHandlers.getInventoryItems === 'function') {
       inventory = await window.SalesHandlers.getInventoryItems();
       console.log('Inventory loaded from SalesHandlers:', inventory.length, 'items');
@@ -201,6 +226,155 @@ async function loadInventoryData() {
   }
 }
 
+// Load the reservations that still hold stock
+async function loadActiveReservations() {
+  if (!window.electronAPI || typeof window.electronAPI.getReservations !== 'function') return;
+  
+  try {
+    activeReservations = await window.electronAPI.getReservations({ status: 'active' }) || [];
+  } catch (error) {
+    console.error('Error loading stock reservations:', error);
+    activeReservations = [];
+  }
+}
+
+// Reload stock levels after stock is reserved, released or sold, keeping the item being picked
+async function refreshStockLevels() {
+  try {
+    const itemSelect = document.getElementById('item-select');
+    const selectedItemId = itemSelect ? itemSelect.value : '';
+    
+    inventory = await window.electronAPI.getInventory();
+    await loadActiveReservations();
+    filterAndPopulateItemSelect();
+    
+    if (itemSelect && selectedItemId) {
+      itemSelect.value = selectedItemId;
+    }
+  } catch (error) {
+    console.error('Error refreshing stock levels:', error);
+  }
+}
+
+// Stock the sale can take: what is free to sell plus what is reserved for the selected customer
+function getSellableQuantity(item) {
+  const atLocation = getStockAtSaleLocation(item);
+  if (item.availableQuantity === undefined) return Math.min(item.quantity, atLocation);
+  
+  const customerSelect = document.getElementById('customer-select');
+  const customerId = customerSelect ? customerSelect.value : '';
+  const heldForCustomer = !customerId ? 0 : activeReservations
+    .filter(reservation => reservation.item_id === item.id && reservation.customer_id === customerId)
+    .reduce((sum, reservation) => sum + reservation.quantity - (reservation.fulfilled_quantity || 0), 0);
+  
+  return Math.min(item.availableQuantity + heldForCustomer, atLocation);
+}
+
+// Location the sale takes its stock from
+function getSaleLocationId() {
+  const locationSelect = document.getElementById('sale-location');
+  return locationSelect ? locationSelect.value : '';
+}
+
+// Stock of an item on the shelf where the sale is made; items loaded without location stock are not limited
+function getStockAtSaleLocation(item) {
+  const locationId = getSaleLocationId();
+  if (!locationId || !item.locationStock) return item.quantity;
+  return item.locationStock[locationId] || 0;
+}
+
+// Stock shown against an item in the picker
+function formatStockLabel(item) {
+  const locationId = getSaleLocationId();
+  const here = locationId && item.locationStock && window.StockLocations
+    ? `, ${getStockAtSaleLocation(item)} at ${window.StockLocations.getLocationName(locationId)}`
+    : '';
+  if (item.availableQuantity === undefined) return `${item.quantity} in stock${here}`;
+  return item.reservedQuantity > 0
+    ? `${item.availableQuantity} available (${item.quantity} on hand, ${item.reservedQuantity} reserved)${here}`
+    : `${item.availableQuantity} available${here}`;
+}
+
+// Units an item can be sold in, base unit first; stock is counted in the base unit
+function getItemUnits(item) {
+  if (item.units && item.units.length > 0) return item.units;
+  const unit = item.unit || 'piece';
+  return [{ unit, label: unit, factor: 1, price: parseFloat(item.price) || 0, decimal: false }];
+}
+
+// Unit chosen for the item being added
+function getSelectedUnit(item) {
+  const unitSelect = document.getElementById('item-unit');
+  const units = getItemUnits(item);
+  return units.find(option => unitSelect && option.unit === unitSelect.value) || units[0];
+}
+
+// Fill the unit picker with the units of the selected item and the price of each
+function populateUnitSelect(item) {
+  const unitSelect = document.getElementById('item-unit');
+  if (!unitSelect) return;
+  
+  unitSelect.innerHTML = !item ? '' : getItemUnits(item).map(option =>
+    `<option value="${option.unit}">${option.label} - TZS ${option.price.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2})}</option>`
+  ).join('');
+  unitSelect.disabled = !item || unitSelect.options.length < 2;
+  unitSelect.dataset.itemId = item ? item.id : '';
+}
+
+// Length of one piece of an item, from its length attribute
+function getItemLength(item) {
+  let extra = item.additional_data;
+  if (typeof extra === 'string') {
+    try {
+      extra = JSON.parse(extra);
+    } catch (error) {
+      extra = null;
+    }
+  }
+  const attributes = item.attributes || (extra && extra.attributes) || {};
+  return parseFloat(attributes.length) || 0;
+}
+
+// Offer to cut the selected item to length when it is stocked in whole lengths
+function updateCutLengthField(item) {
+  const cutRow = document.getElementById('item-cut-row');
+  const cutInput = document.getElementById('item-cut-length');
+  if (!cutRow || !cutInput) return;
+  
+  const units = item ? getItemUnits(item) : [];
+  const pieceLength = item && !units[0].decimal ? getItemLength(item) : 0;
+  cutInput.value = '';
+  cutInput.max = pieceLength || '';
+  cutRow.style.display = pieceLength > 0 ? '' : 'none';
+  document.getElementById('item-cut-help').textContent = pieceLength > 0
+    ? `Leave empty to sell whole ${pieceLength} m lengths. Each piece cut uses one length; the rest goes back into stock as an offcut, or is scrapped when it is too short to keep.`
+    : '';
+}
+
+// Length to cut each piece to, or 0 to sell whole lengths
+function getSelectedCutLength() {
+  const cutRow = document.getElementById('item-cut-row');
+  const cutInput = document.getElementById('item-cut-length');
+  if (!cutRow || !cutInput || cutRow.style.display === 'none') return 0;
+  return parseFloat(cutInput.value) || 0;
+}
+
+// Quantity of a sale line with the unit it was sold in
+function formatLineQuantity(line) {
+  if (line.cutLength) return `${line.quantity} × ${line.cutLength} m cut`;
+  if (!line.unit) return `${line.quantity}`;
+  const inventoryItem = inventory.find(item => item.id === (line.itemId || line.id || line.product_id));
+  const option = inventoryItem ? getItemUnits(inventoryItem).find(unit => unit.unit === line.unit) : null;
+  return `${line.quantity} × ${option ? option.label : line.unit.replace(/_/g, ' ')}`;
+}
+
+// Stock the lines already on the sale take from an item, in its base unit
+function getQuantityOnSale(itemId) {
+  return selectedItems
+    .filter(line => line.id === itemId)
+    .reduce((sum, line) => sum + line.quantity * (line.unitFactor || 1), 0);
+}
+
 // Load customers data from database
 async function loadCustomersData() {
   try {
@@ -380,7 +554,7 @@ function renderItemSearchResults(filtered) {
         <div><strong>${item.description}</strong> <small class='text-muted'>(${item.type}${dimension ? ', ' + dimension : ''})</small></div>
         <div style='font-size: 12px; color: #aaa;'>${dimension ? 'Dimension: ' + dimension + ' | ' : ''}Price: <span style='color:#fff;'>TZS ${item.price?.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2})}</span></div>
       </div>
-      <span class='badge bg-secondary'>${item.quantity} in stock</span>
+      <span class='badge bg-secondary'>${formatStockLabel(item)}</span>
       <span class='badge bg-success ms-2'>TZS ${item.price?.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2})}</span>
     `;
     row.onclick = () => {
@@ -418,7 +592,7 @@ function filterAndPopulateItemSelect() {
     option.value = item.id;
     const dimension = item.dimension || item.dimensions || item.size || '';
     const price = item.price != null ? `TZS ${item.price.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2})}` : '';
-    option.textContent = `${item.description} (${item.type}${dimension ? ', ' + dimension : ''})${price ? ' - ' + price : ''} - ${item.quantity} in stock`;
+    option.textContent = `${item.description} (${item.type}${dimension ? ', ' + dimension : ''})${price ? ' - ' + price : ''} - ${formatStockLabel(item)}`;
     option.dataset.price = item.price;
     option.dataset.type = item.type;
     option.dataset.description = item.description;
@@ -461,6 +635,24 @@ function setupEventListeners() {
     addItemBtn.addEventListener('click', addItemToSale);
   }
   
+  // Stock shown in the picker is the stock where the sale is made
+  const saleLocation = document.getElementById('sale-location');
+  if (saleLocation) {
+    saleLocation.addEventListener('change', () => {
+      const selectedItemId = itemSelect ? itemSelect.value : '';
+      filterAndPopulateItemSelect();
+      if (itemSelect && selectedItemId) {
+        itemSelect.value = selectedItemId;
+      }
+      updateItemDetails();
+    });
+  }
+  
+  const itemUnit = document.getElementById('item-unit');
+  if (itemUnit) {
+    itemUnit.addEventListener('change', updateItemDetails);
+  }
+  
   // Customer selection - moved to populateCustomerSelect function
   
   // Period filter
@@ -475,10 +667,29 @@ function setupEventListeners() {
     completeSaleBtn.addEventListener('click', completeSale);
   }
   
-  // VAT include/exclude switch
-  const vatSwitch = document.getElementById('include-vat-switch');
-  if (vatSwitch) {
-    vatSwitch.addEventListener('change', updateVatAndTotal);
+  // Tax classes for the VAT preview
+  if (document.getElementById('tax-total')) {
+    loadTaxSettings();
+  }
+  
+  // Invoice discount
+  const invoiceDiscountValue = document.getElementById('invoice-discount-value');
+  const invoiceDiscountType = document.getElementById('invoice-discount-type');
+  if (invoiceDiscountValue && invoiceDiscountType) {
+    invoiceDiscountValue.addEventListener('input', updateDiscountSummary);
+    invoiceDiscountType.addEventListener('change', updateDiscountSummary);
+    loadDiscountLimit();
+  }
+  
+  // Tenders are not taken on credit sales; a deposit is the total of the tenders
+  const paymentTerms = document.getElementById('payment-terms');
+  if (paymentTerms) {
+    paymentTerms.addEventListener('change', () => {
+      document.getElementById('payments-section').classList.toggle('d-none', paymentTerms.value === 'credit');
+      updateChangeDue();
+    });
+    document.getElementById('add-tender-btn').addEventListener('click', () => addTenderRow());
+    addTenderRow();
   }
   
   // Register for sale-created events from main process
@@ -546,6 +757,72 @@ function setupEventListeners() {
     });
   }
   
+  // Sales returns
+  const confirmReturnBtn = document.getElementById('confirm-return-btn');
+  if (confirmReturnBtn) {
+    confirmReturnBtn.addEventListener('click', submitSaleReturn);
+  }
+  
+  // Sale voids
+  const confirmVoidBtn = document.getElementById('confirm-void-btn');
+  if (confirmVoidBtn) {
+    confirmVoidBtn.addEventListener('click', submitVoidSale);
+  }
+  
+  // Cash drawer sessions
+  const cashSessionBtn = document.getElementById('cash-session-btn');
+  if (cashSessionBtn) {
+    cashSessionBtn.addEventListener('click', openCashSessionModal);
+    document.getElementById('open-cash-session-btn').addEventListener('click', submitOpenCashSession);
+    document.getElementById('close-cash-session-btn').addEventListener('click', submitCloseCashSession);
+    document.getElementById('z-report-btn').addEventListener('click', () => {
+      downloadZReport(document.getElementById('cash-session-id').value);
+    });
+    loadCashSession();
+  }
+  
+  // Quotations: saved from the sale form, converted to sales from the list
+  const saveQuotationBtn = document.getElementById('save-quotation-btn');
+  if (saveQuotationBtn) {
+    saveQuotationBtn.addEventListener('click', saveQuotation);
+    document.getElementById('quotation-status-filter').addEventListener('change', renderQuotationsTable);
+    document.getElementById('confirm-convert-btn').addEventListener('click', () => submitConvertQuotation(false));
+    document.getElementById('convert-payment-terms').addEventListener('change', (event) => {
+      document.getElementById('convert-payment-fields').classList.toggle('d-none', event.target.value === 'credit');
+    });
+    document.getElementById('convert-payment-method').innerHTML = Object.keys(TENDER_METHODS)
+      .map(method => `<option value="${method}">${method}</option>`).join('');
+    document.getElementById('quotation-valid-until').value = getDefaultQuotationExpiry();
+    
+    if (window.electronAPI && typeof window.electronAPI.onQuotationUpdated === 'function') {
+      window.electronAPI.onQuotationUpdated((updatedQuotation) => {
+        const existingIndex = quotations.findIndex(q => q.id === updatedQuotation.id);
+        if (existingIndex === -1) {
+          quotations.unshift(updatedQuotation);
+        } else {
+          quotations[existingIndex] = updatedQuotation;
+        }
+        renderQuotationsTable();
+      });
+    }
+    loadQuotations();
+  }
+  
+  if (window.electronAPI && typeof window.electronAPI.onSaleUpdated === 'function') {
+    window.electronAPI.onSaleUpdated((updatedSale) => {
+      const existingIndex = sales.findIndex(s => s.id === updatedSale.id);
+      if (existingIndex !== -1) {
+        sales[existingIndex] = { ...sales[existingIndex], ...updatedSale };
+        filterSales();
+      }
+    });
+  }
+  
+  // Stock reserved or released elsewhere changes what can be sold
+  if (window.electronAPI && typeof window.electronAPI.onReservationUpdated === 'function') {
+    window.electronAPI.onReservationUpdated(() => refreshStockLevels());
+  }
+  
   // Reset new sale form when modal is closed
   const newSaleModal = document.getElementById('newSaleModal');
   if (newSaleModal) {
@@ -561,29 +838,32 @@ function updateItemDetails() {
   const itemQuantity = document.getElementById('item-quantity');
   const addItemBtn = document.getElementById('add-item-btn');
   
-  if (!itemSelect.value) {
+  // Find the selected inventory item to check stock
+  const selectedInventoryItem = inventory.find(item => item.id === itemSelect.value);
+  const unitSelect = document.getElementById('item-unit');
+  if (unitSelect && unitSelect.dataset.itemId !== (selectedInventoryItem ? selectedInventoryItem.id : '')) {
+    populateUnitSelect(selectedInventoryItem);
+    updateCutLengthField(selectedInventoryItem);
+  }
+  
+  if (!itemSelect.value || !selectedInventoryItem) {
     addItemBtn.disabled = true;
     return;
   }
   
-  const selectedOption = itemSelect.options[itemSelect.selectedIndex];
-  const quantity = parseInt(itemQuantity.value) || 0;
-  const price = parseFloat(selectedOption.dataset.price) || 0;
-  
-  // Update total
-  const total = quantity * price;
-  
-  // Find the selected inventory item to check stock
-  const selectedInventoryItem = inventory.find(item => item.id === itemSelect.value);
-  const availableQuantity = selectedInventoryItem ? selectedInventoryItem.quantity : 0;
+  // Stock is counted in the item's base unit, whatever unit it is sold in
+  const unit = getSelectedUnit(selectedInventoryItem);
+  const quantity = parseFloat(itemQuantity.value) || 0;
+  const baseQuantity = quantity * unit.factor;
+  const availableQuantity = getSellableQuantity(selectedInventoryItem) - getQuantityOnSale(selectedInventoryItem.id);
   
   // Enable/disable add button based on quantity
-  if (quantity <= 0) {
+  if (quantity <= 0 || (!unit.decimal && !Number.isInteger(quantity))) {
     addItemBtn.disabled = true;
-  } else if (quantity > availableQuantity) {
+  } else if (baseQuantity > availableQuantity) {
     addItemBtn.disabled = true;
     // Show notification if quantity exceeds available stock
-    showNotification(`Cannot add item: Quantity (${quantity}) exceeds available stock (${availableQuantity})`, 'error');
+    showNotification(`Cannot add item: Quantity (${baseQuantity}) exceeds available stock (${availableQuantity})`, 'error');
   } else {
     addItemBtn.disabled = false;
   }
@@ -600,8 +880,7 @@ function addItemToSale() {
   }
   
   const selectedOption = itemSelect.options[itemSelect.selectedIndex];
-  const quantity = parseInt(itemQuantity.value);
-  const price = parseFloat(selectedOption.dataset.price);
+  const quantity = parseFloat(itemQuantity.value);
   
   // Validate quantity against available inventory
   const selectedInventoryItem = inventory.find(item => item.id === itemSelect.value);
@@ -610,30 +889,46 @@ function addItemToSale() {
     return;
   }
   
-  const availableQuantity = selectedInventoryItem.quantity;
+  // Priced per the chosen unit; stock is checked in the base unit across every line of the item
+  const unit = getSelectedUnit(selectedInventoryItem);
+  const cutLength = getSelectedCutLength();
+  const pieceLength = getItemLength(selectedInventoryItem);
+  // A piece cut to length is priced as its share of the full length
+  const price = cutLength ? Math.round(unit.price * cutLength / pieceLength * 100) / 100 : unit.price;
+  const availableQuantity = getSellableQuantity(selectedInventoryItem);
+  const totalBaseQuantity = getQuantityOnSale(selectedInventoryItem.id) + quantity * unit.factor;
   
-  if (quantity <= 0) {
+  if (!(quantity > 0)) {
     showNotification('Quantity must be greater than zero', 'error');
     return;
   }
   
-  if (quantity > availableQuantity) {
-    showNotification(`Cannot add item: Quantity (${quantity}) exceeds available stock (${availableQuantity})`, 'error');
+  if (!unit.decimal && !Number.isInteger(quantity)) {
+    showNotification(`${selectedOption.dataset.description} is sold in whole units of ${unit.label}`, 'error');
+    return;
+  }
+  
+  if (totalBaseQuantity > availableQuantity) {
+    showNotification(`Cannot add item: Quantity (${totalBaseQuantity}) exceeds available stock (${availableQuantity})`, 'error');
     return;
   }
   
-  // Check if the item is already in the selected items list
-  const existingItemIndex = selectedItems.findIndex(item => item.id === itemSelect.value);
+  if (cutLength && (cutLength < 0 || cutLength >= pieceLength || unit.factor !== 1)) {
+    showNotification(unit.factor !== 1
+      ? `Cut ${selectedOption.dataset.description} from single lengths, not by the ${unit.label}`
+      : `The cut must be more than 0 m and shorter than the ${pieceLength} m length`, 'error');
+    return;
+  }
+  
+  // Check if the item is already in the selected items list in the same unit and cut
+  const existingItemIndex = selectedItems.findIndex(item =>
+    item.id === itemSelect.value && item.unit === unit.unit && (item.cutLength || 0) === cutLength
+  );
   
   if (existingItemIndex !== -1) {
     // If the item already exists, update its quantity and total
     const totalNewQuantity = selectedItems[existingItemIndex].quantity + quantity;
     
-    if (totalNewQuantity > availableQuantity) {
-      showNotification(`Cannot add ${quantity} more units: Total quantity (${totalNewQuantity}) would exceed available stock (${availableQuantity})`, 'error');
-      return;
-    }
-    
     selectedItems[existingItemIndex].quantity = totalNewQuantity;
     selectedItems[existingItemIndex].total = totalNewQuantity * price;
     showNotification(`Updated quantity for ${selectedOption.dataset.description}`, 'success');
@@ -645,12 +940,18 @@ function addItemToSale() {
       type: selectedOption.dataset.type,
       dimension: selectedOption.dataset.dimension,
       quantity: quantity,
+      unit: unit.unit,
+      unitFactor: unit.factor,
+      cutLength: cutLength || undefined,
       price: price,
+      discountType: 'percent',
+      discountValue: 0,
+      discount: 0,
       total: quantity * price
     };
     
     selectedItems.push(item);
-    showNotification(`Added ${quantity} × ${selectedOption.dataset.description}`, 'success');
+    showNotification(`Added ${formatLineQuantity(item)} of ${selectedOption.dataset.description}`, 'success');
   }
   
   updateSelectedItemsTable();
@@ -666,29 +967,37 @@ function updateSelectedItemsTable() {
   const tableBody = document.getElementById('selected-items');
   if (!tableBody) return;
   
+  recalculateSaleTotals();
+  
   if (selectedItems.length === 0) {
     tableBody.innerHTML = `
       <tr>
-        <td colspan="7" class="text-center text-muted">
+        <td colspan="8" class="text-center text-muted">
           No items added to sale
         </td>
       </tr>
     `;
-    grandTotal = 0;
   } else {
     let html = '';
-    grandTotal = 0;
     
     selectedItems.forEach((item, index) => {
-      grandTotal += item.total;
       html += `
         <tr>
           <td>${item.description}</td>
           <td>${item.type}</td>
           <td>${item.dimension || item.size || 'N/A'}</td>
-          <td>${item.quantity}</td>
+          <td>${formatLineQuantity(item)}</td>
           <td>TZsh ${item.price.toFixed(2)}</td>
-          <td>TZsh ${item.total.toFixed(2)}</td>
+          <td>
+            <div class="input-group input-group-sm" style="min-width: 140px;">
+              <input type="number" class="form-control line-discount-value" data-index="${index}" min="0" step="0.01" value="${item.discountValue || 0}">
+              <select class="form-select line-discount-type" data-index="${index}" style="max-width: 70px;">
+                <option value="percent" ${item.discountType === 'percent' ? 'selected' : ''}>%</option>
+                <option value="fixed" ${item.discountType === 'fixed' ? 'selected' : ''}>TZsh</option>
+              </select>
+            </div>
+          </td>
+          <td data-line-total="${index}">TZsh ${item.total.toFixed(2)}</td>
           <td>
             <button class="btn btn-sm btn-danger remove-item" data-index="${index}">
               <i class="fas fa-times"></i>
@@ -708,16 +1017,194 @@ function updateSelectedItemsTable() {
         updateSelectedItemsTable();
       });
     });
+    
+    // Line discounts update the totals in place so the input keeps focus
+    tableBody.querySelectorAll('.line-discount-value').forEach(input => {
+      input.addEventListener('input', () => {
+        selectedItems[parseInt(input.dataset.index)].discountValue = parseFloat(input.value) || 0;
+        updateDiscountSummary();
+      });
+    });
+    tableBody.querySelectorAll('.line-discount-type').forEach(select => {
+      select.addEventListener('change', () => {
+        selectedItems[parseInt(select.dataset.index)].discountType = select.value;
+        updateDiscountSummary();
+      });
+    });
   }
   
-  // Update grand total
-  document.getElementById('grand-total').textContent = `TZsh ${grandTotal.toFixed(2)}`;
+  // Update discounts and grand total
+  updateDiscountSummary();
   
   // Enable/disable complete sale button
   const completeSaleBtn = document.getElementById('complete-sale-btn');
   if (completeSaleBtn) {
     completeSaleBtn.disabled = selectedItems.length === 0;
   }
+  const saveQuotationBtn = document.getElementById('save-quotation-btn');
+  if (saveQuotationBtn) {
+    saveQuotationBtn.disabled = selectedItems.length === 0;
+  }
+}
+
+// Amount taken off by a percentage or fixed discount, never more than the amount itself
+function calculateDiscountAmount(base, type, value) {
+  const discountValue = Math.max(parseFloat(value) || 0, 0);
+  const amount = type === 'percent' ? base * Math.min(discountValue, 100) / 100 : discountValue;
+  return Math.round(Math.min(amount, base) * 100) / 100;
+}
+
+// Recalculate line totals, the invoice discount and the grand total
+function recalculateSaleTotals() {
+  let grossAmount = 0;
+  let subtotal = 0;
+  
+  selectedItems.forEach(item => {
+    const gross = item.quantity * item.price;
+    item.discount = calculateDiscountAmount(gross, item.discountType, item.discountValue);
+    item.total = gross - item.discount;
+    grossAmount += gross;
+    subtotal += item.total;
+  });
+  
+  const invoiceDiscountType = document.getElementById('invoice-discount-type');
+  const invoiceDiscountValue = document.getElementById('invoice-discount-value');
+  const invoiceDiscount = invoiceDiscountType && invoiceDiscountValue
+    ? calculateDiscountAmount(subtotal, invoiceDiscountType.value, invoiceDiscountValue.value)
+    : 0;
+  
+  const discountedTotal = subtotal - invoiceDiscount;
+  saleDiscountTotal = grossAmount - discountedTotal;
+  saleDiscountPercent = grossAmount > 0 ? Math.round(saleDiscountTotal / grossAmount * 10000) / 100 : 0;
+  
+  // VAT per line on what is left after both discounts; added on top when prices exclude it
+  saleTaxTotal = 0;
+  let taxableTotal = 0;
+  selectedItems.forEach(item => {
+    const taxClass = getItemTaxClass(item);
+    const rate = taxClass && !taxClass.exempt ? parseFloat(taxClass.rate) || 0 : 0;
+    const amount = subtotal > 0 ? item.total - invoiceDiscount * item.total / subtotal : 0;
+    const tax = taxSettings && taxSettings.pricesIncludeTax ? amount * rate / (100 + rate) : amount * rate / 100;
+    saleTaxTotal += Math.round(tax * 100) / 100;
+    taxableTotal += amount;
+  });
+  
+  grandTotal = taxSettings && !taxSettings.pricesIncludeTax ? taxableTotal + saleTaxTotal : discountedTotal;
+}
+
+// Show the discount and grand totals, and ask for a manager when the discount is above the user's limit
+function updateDiscountSummary() {
+  recalculateSaleTotals();
+  
+  selectedItems.forEach((item, index) => {
+    const cell = document.querySelector(`[data-line-total="${index}"]`);
+    if (cell) {
+      cell.textContent = `TZsh ${item.total.toFixed(2)}`;
+    }
+  });
+  
+  const discountTotal = document.getElementById('discount-total');
+  if (discountTotal) {
+    discountTotal.textContent = saleDiscountTotal > 0
+      ? `-TZsh ${saleDiscountTotal.toFixed(2)} (${saleDiscountPercent}%)`
+      : 'TZsh 0.00';
+  }
+  const taxTotal = document.getElementById('tax-total');
+  if (taxTotal) {
+    taxTotal.textContent = `TZsh ${saleTaxTotal.toFixed(2)}`;
+    document.getElementById('tax-total-label').textContent =
+      taxSettings && !taxSettings.pricesIncludeTax ? 'VAT (added):' : 'VAT (included):';
+  }
+  document.getElementById('grand-total').textContent = `TZsh ${grandTotal.toFixed(2)}`;
+  updateChangeDue();
+  
+  const approval = document.getElementById('discount-approval');
+  if (approval) {
+    approval.classList.toggle('d-none', saleDiscountPercent <= userDiscountLimit);
+  }
+}
+
+// Add a tender row to the payments sub-form, for the balance still due unless an amount is given
+function addTenderRow(method = 'Cash', amount) {
+  const tbody = document.getElementById('payment-tenders');
+  if (!tbody) return;
+  
+  if (amount === undefined && tbody.children.length > 0) {
+    const paid = getEnteredTenders().reduce((sum, tender) => sum + tender.amount, 0);
+    amount = Math.max(Math.round((grandTotal - paid) * 100) / 100, 0) || '';
+  }
+  
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td>
+      <select class="form-select form-select-sm text-white tender-method" style="background-color: #343a40;">
+        ${Object.keys(TENDER_METHODS).map(name => `<option value="${name}"${name === method ? ' selected' : ''}>${name}</option>`).join('')}
+      </select>
+    </td>
+    <td><input type="number" class="form-control form-control-sm text-white tender-amount" min="0" step="0.01" value="${amount || ''}" style="background-color: #343a40;"></td>
+    <td><input type="text" class="form-control form-control-sm text-white tender-reference" maxlength="60" style="background-color: #343a40;"></td>
+    <td><button type="button" class="btn btn-sm btn-outline-danger remove-tender-btn" title="Remove payment"><i class="fas fa-times"></i></button></td>
+  `;
+  
+  const methodSelect = row.querySelector('.tender-method');
+  const updateReference = () => {
+    const reference = row.querySelector('.tender-reference');
+    reference.placeholder = TENDER_METHODS[methodSelect.value];
+    reference.disabled = methodSelect.value === 'Cash';
+    if (reference.disabled) reference.value = '';
+  };
+  methodSelect.addEventListener('change', updateReference);
+  row.querySelector('.tender-amount').addEventListener('input', updateChangeDue);
+  row.querySelector('.remove-tender-btn').addEventListener('click', () => {
+    row.remove();
+    updateChangeDue();
+  });
+  
+  tbody.appendChild(row);
+  updateReference();
+  updateChangeDue();
+}
+  
+// Tenders entered on the payments sub-form
+function getEnteredTenders() {
+  return Array.from(document.querySelectorAll('#payment-tenders tr')).map(row => ({
+    method: row.querySelector('.tender-method').value,
+    amount: parseFloat(row.querySelector('.tender-amount').value) || 0,
+    reference: row.querySelector('.tender-reference').value.trim()
+  })).filter(tender => tender.amount > 0);
+}
+  
+// Show the amount tendered and the change due, or what is still owed
+function updateChangeDue() {
+  const changeDue = document.getElementById('change-due');
+  if (!changeDue) return;
+  
+  const tendered = getEnteredTenders().reduce((sum, tender) => sum + tender.amount, 0);
+  const difference = Math.round((tendered - grandTotal) * 100) / 100;
+  const onAccount = document.getElementById('payment-terms').value === 'partially_paid';
+  
+  document.getElementById('amount-tendered').textContent = `TZsh ${tendered.toFixed(2)}`;
+  document.getElementById('change-due-label').textContent =
+    difference >= 0 ? 'Change Due' : (onAccount ? 'On Account' : 'Still Due');
+  changeDue.textContent = `TZsh ${Math.abs(difference).toFixed(2)}`;
+  changeDue.classList.toggle('text-warning', difference < 0);
+}
+
+// Load the signed-in user's discount limit
+async function loadDiscountLimit() {
+  try {
+    const result = await window.electronAPI.getDiscountLimits();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    userDiscountLimit = result.currentLimit;
+    document.getElementById('discount-limit-note').textContent =
+      `You can give up to ${userDiscountLimit}% off a sale without a manager's approval.`;
+    updateDiscountSummary();
+  } catch (error) {
+    console.error('Error loading discount limit:', error);
+  }
 }
 
 // Complete sale
@@ -736,6 +1223,40 @@ async function completeSale() {
       return;
     }
     
+    // Credit sales are carried on a customer account
+    const paymentStatus = document.getElementById('payment-terms').value;
+    if (paymentStatus !== 'paid' && !document.getElementById('customer-select').value) {
+      showNotification('Select a saved customer to sell on credit', 'error');
+      return;
+    }
+    
+    // A single tender row left blank on a paid sale is taken as the exact amount
+    const tenderRows = document.querySelectorAll('#payment-tenders tr');
+    let payments = paymentStatus === 'credit' ? [] : getEnteredTenders();
+    if (paymentStatus === 'paid' && payments.length === 0 && tenderRows.length === 1) {
+      const row = tenderRows[0];
+      payments = [{
+        method: row.querySelector('.tender-method').value,
+        amount: grandTotal,
+        reference: row.querySelector('.tender-reference').value.trim()
+      }];
+    }
+    const amountTendered = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    if (paymentStatus === 'paid' && amountTendered < grandTotal) {
+      showNotification('The payments do not cover the grand total', 'error');
+      return;
+    }
+    if (paymentStatus === 'partially_paid' && (amountTendered <= 0 || amountTendered >= grandTotal)) {
+      showNotification('Enter a deposit greater than zero and less than the grand total', 'error');
+      return;
+    }
+    
+    const discountReason = document.getElementById('discount-reason').value.trim();
+    if (saleDiscountTotal > 0 && !discountReason) {
+      showNotification('Enter a reason for the discount', 'error');
+      return;
+    }
+    
     // Disable button to prevent multiple clicks
     const completeSaleBtn = document.getElementById('complete-sale-btn');
     if (completeSaleBtn) {
@@ -751,34 +1272,22 @@ async function completeSale() {
     const buyerEmail = document.getElementById('buyer-email').value.trim();
     const notes = document.getElementById('sale-notes').value.trim();
     
-    // Get payment method
-    const paymentMethod = document.getElementById('payment-method').value;
-    
-    // Get VAT rate
-    const vatSwitch = document.getElementById('include-vat-switch');
-    const vatInput = document.getElementById('vat-rate');
-    let vatRate = 0;
-    if (vatSwitch && vatSwitch.checked && vatInput) {
-      vatRate = parseFloat(vatInput.value || '0');
-      if (isNaN(vatRate) || vatRate < 0) vatRate = 0;
-    }
-    const vatAmount = grandTotal * (vatRate / (100 + vatRate));
-    const netAmount = grandTotal - vatAmount;
-    const totalWithVat = grandTotal;
-    
-    // Generate invoice number
-    const invoiceNumber = `INV-${Date.now()}`;
-    
-    // Create sale object
+    // Create sale object; the main process assigns the ID and the next invoice number
+    // and works out the tax from each item's tax class
     const sale = {
-      id: Date.now().toString(),
-      invoiceNumber: invoiceNumber,
       date: new Date().toISOString(),
       items: selectedItems,
-      totalAmount: grandTotal, // Always store the full selling price (including VAT if present)
-      paymentMethod: paymentMethod,
+      invoiceDiscountType: document.getElementById('invoice-discount-type').value,
+      invoiceDiscountValue: parseFloat(document.getElementById('invoice-discount-value').value) || 0,
+      discountReason: discountReason,
+      totalAmount: grandTotal,
+      paymentMethod: payments.length > 1 ? 'Split' : (payments.length === 1 ? payments[0].method : 'Credit'),
+      payments: payments,
+      paymentStatus: paymentStatus,
+      amountPaid: Math.min(amountTendered, grandTotal),
       status: 'completed',
       notes: notes,
+      locationId: getSaleLocationId() || undefined,
       buyer: {
         id: customerId || null,
         name: buyerName,
@@ -786,13 +1295,18 @@ async function completeSale() {
         tin: buyerTin,
         phone: buyerPhone,
         email: buyerEmail
-      },
-      vatRate: vatRate,
-      vatAmount: vatAmount,
-      netAmount: netAmount, // Store net amount for reference
-      totalWithVat: totalWithVat
+      }
     };
     
+    // A manager approves discounts above the user's limit with their own sign-in
+    const approverUsername = document.getElementById('discount-approver-username').value.trim();
+    if (saleDiscountPercent > userDiscountLimit && approverUsername) {
+      sale.discountApproval = {
+        username: approverUsername,
+        password: document.getElementById('discount-approver-password').value
+      };
+    }
+    
     console.log('Creating new sale:', sale);
     
     // Save sale
@@ -810,6 +1324,7 @@ async function completeSale() {
     } else {
       // Fallback to localStorage if API methods are not available
       console.warn('API methods not available, using localStorage fallback...');
+      sale.id = Date.now().toString();
       sales.push(sale);
       localStorage.setItem('sales_data', JSON.stringify(sales));
       savedSale = { success: true, sale: sale };
@@ -818,6 +1333,20 @@ async function completeSale() {
       updateInventoryAfterSale(selectedItems);
     }
     
+    if (savedSale && savedSale.approvalRequired) {
+      document.getElementById('discount-approval').classList.remove('d-none');
+      document.getElementById('discount-approver-password').value = '';
+      showNotification(savedSale.error, 'warning');
+      if (completeSaleBtn) {
+        completeSaleBtn.disabled = false;
+        completeSaleBtn.innerHTML = '<i class="fas fa-check me-2"></i> Complete Sale';
+      }
+      return;
+    }
+    if (!savedSale || !savedSale.success) {
+      throw new Error((savedSale && savedSale.error) || 'The sale could not be saved');
+    }
+    
     // Add the new sale to our global sales array immediately
     if (savedSale && savedSale.success) {
       const newSale = savedSale.sale || sale;
@@ -873,8 +1402,12 @@ async function completeSale() {
       }
     }
     
-    // Show success notification
-    showNotification('Sale completed successfully', 'success');
+    // Show success notification, or what still needs doing by hand
+    if (savedSale.warning) {
+      showNotification(savedSale.warning, 'warning');
+    } else {
+      showNotification('Sale completed successfully', 'success');
+    }
     
     // Close modal
     const modal = bootstrap.Modal.getInstance(document.getElementById('newSaleModal'));
@@ -896,12 +1429,11 @@ async function completeSale() {
       setTimeout(() => {
         // Set document title for PDF filename based on customer and invoice
         const originalTitle = document.title;
-        const sale = savedSale.sale || sale;
-        const customerName = sale.buyer?.name || 'Unknown';
-        const invoiceNumber = sale.invoiceNumber || `INV-${sale.id}`;
-        document.title = `${customerName}_${invoiceNumber}_Receipt`;
+        const printedSale = savedSale.sale || sale;
+        const customerName = printedSale.buyer?.name || 'Unknown';
+        document.title = `${customerName}_${printedSale.invoiceNumber}_Receipt`;
         
-        createTempPreviewAndPrint(savedSale.sale || sale, false); // Pass false for receipt, true for invoice
+        createTempPreviewAndPrint(printedSale, false); // Pass false for receipt, true for invoice
         
         // Restore original title after printing
         setTimeout(() => {
@@ -937,7 +1469,7 @@ function updateInventoryAfterSale(items) {
       const index = inventoryItems.findIndex(invItem => invItem.id === item.id);
       if (index !== -1) {
         // Update quantity
-        inventoryItems[index].quantity = Math.max(0, inventoryItems[index].quantity - item.quantity);
+        inventoryItems[index].quantity = Math.max(0, inventoryItems[index].quantity - item.quantity * (item.unitFactor || 1));
         updated = true;
       }
     });
@@ -968,6 +1500,68 @@ function filterSales() {
   const periodFilter = document.getElementById('period-filter');
   const period = periodFilter ? periodFilter.value : 'all';
   
+  if (window.electronAPI && typeof window.electronAPI.searchSales === 'function') {
+    searchSalesForPeriod(period);
+  } else {
+    filterSalesInMemory(period);
+  }
+}
+
+// Start of the selected period, or null for all sales
+function getPeriodStart(period) {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  
+  switch (period) {
+    case 'today':
+      return today;
+    case 'week':
+      return new Date(today.getTime() - 6 * 86400000); // 7 days ago
+    case 'month':
+      return new Date(now.getFullYear(), now.getMonth(), 1);
+    case 'year':
+      return new Date(now.getFullYear(), 0, 1);
+    default:
+      return null;
+  }
+}
+
+// Let the main process filter the sales and total every match, not just the loaded page
+async function searchSalesForPeriod(period) {
+  try {
+    const periodStart = getPeriodStart(period);
+    const result = await window.electronAPI.searchSales({
+      startDate: periodStart ? periodStart.toISOString() : '',
+      sortBy: 'date',
+      sortDir: 'desc',
+      pageSize: SALES_PAGE_SIZE
+    });
+    
+    if (!result || !result.success) {
+      throw new Error(result ? result.error : 'No response from search');
+    }
+    
+    filteredSales = result.items;
+    salesSearchTotals = {
+      count: result.salesCount,
+      amount: result.totalAmount,
+      quantity: result.totalQuantity
+    };
+    
+    console.log(`Search returned ${filteredSales.length} of ${result.total} sales for period: ${period}`);
+    
+    renderSalesTable();
+    updateSalesStats();
+  } catch (error) {
+    console.error('Error searching sales, filtering in memory instead:', error);
+    filterSalesInMemory(period);
+  }
+}
+
+// Filter the sales loaded in memory by period
+function filterSalesInMemory(period) {
+  salesSearchTotals = null;
+  
   const now = new Date();
   const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
   const weekStart = new Date(today - 6 * 86400000).getTime(); // 7 days ago
@@ -1034,16 +1628,27 @@ function filterSales() {
 function updateSalesStats() {
   try {
     // Simple summary calculations
-    const totalSales = filteredSales.length;
+    let totalSales = filteredSales.length;
     let totalRevenue = 0;
     let totalItems = 0;
     
-    filteredSales.forEach(sale => {
-      totalRevenue += parseFloat(sale.totalAmount) || 0;
-      if (sale.items && Array.isArray(sale.items)) {
-        totalItems += sale.items.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
-      }
-    });
+    if (salesSearchTotals) {
+      // Totals from the search cover every matching sale, including those beyond the loaded page
+      totalSales = salesSearchTotals.count;
+      totalRevenue = parseFloat(salesSearchTotals.amount) || 0;
+      totalItems = parseFloat(salesSearchTotals.quantity) || 0;
+    } else {
+      // Voided sales stay in the list but are not revenue
+      const countedSales = filteredSales.filter(sale => sale.status !== 'void');
+      totalSales = countedSales.length;
+      
+      countedSales.forEach(sale => {
+        totalRevenue += parseFloat(sale.totalAmount) || 0;
+        if (sale.items && Array.isArray(sale.items)) {
+          totalItems += sale.items.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
+        }
+      });
+    }
     
     // Update UI
     if (document.getElementById('total-sales')) {
@@ -1145,6 +1750,7 @@ function renderSalesTable() {
   
   console.log(`Rendering sales table with ${filteredSales.length} sales`);
   
+  const canVoid = userCanVoidSales();
   let html = '';
   
   filteredSales.forEach((sale, index) => {
@@ -1170,8 +1776,20 @@ function renderSalesTable() {
     const customerName = sale.buyer?.name || sale.customerName || 'Unknown';
     const customerTin = sale.buyer?.tin || sale.customerTin || 'N/A';
     
-    // Get invoice number
-    const invoiceNumber = sale.invoiceNumber || `INV-${sale.id?.substring(0, 6) || index}`;
+    // Get invoice number, flagging voided and returned sales
+    let invoiceNumber = sale.invoiceNumber || `INV-${sale.id?.substring(0, 6) || index}`;
+    if (sale.status === 'void') {
+      invoiceNumber += ' <span class="badge bg-secondary" title="' + Utils.escapeHTML(sale.voidReason || sale.void_reason || '') + '">Void</span>';
+    } else if (sale.status === 'returned') {
+      invoiceNumber += ' <span class="badge bg-danger">Returned</span>';
+    } else if (sale.status === 'partially_returned') {
+      invoiceNumber += ' <span class="badge bg-warning">Part Returned</span>';
+    }
+    if (sale.paymentStatus === 'credit') {
+      invoiceNumber += ' <span class="badge bg-info">Credit</span>';
+    } else if (sale.paymentStatus === 'partially_paid') {
+      invoiceNumber += ' <span class="badge bg-info">Part Paid</span>';
+    }
     
     // Format total amount
     let totalAmount = 0;
@@ -1184,8 +1802,8 @@ function renderSalesTable() {
       console.warn(`Invalid amount for sale ${sale.id || index}:`, error);
     }
     
-    // Get payment method
-    const paymentMethod = sale.paymentMethod || 'Cash';
+    // Payment method, with one badge per tender on split payments
+    const paymentBadges = formatPaymentBadges(sale);
     
     // Parse items
     let items = [];
@@ -1220,7 +1838,7 @@ function renderSalesTable() {
             <td>${itemDimension}</td>
             <td>${itemQuantity}</td>
             ${itemIndex === 0 ? `<td rowspan="${items.length}">TZsh ${totalAmount.toFixed(2)}</td>` : ''}
-            ${itemIndex === 0 ? `<td rowspan="${items.length}">${paymentMethod}</td>` : ''}
+            ${itemIndex === 0 ? `<td rowspan="${items.length}">${paymentBadges}</td>` : ''}
             ${itemIndex === 0 ? `
             <td rowspan="${items.length}" class="text-end">
               <div class="btn-group">
@@ -1233,6 +1851,12 @@ function renderSalesTable() {
                 <button class="btn btn-sm btn-secondary generate-invoice-btn" data-id="${sale.id}">
                   <i class="fas fa-file-invoice"></i>
                 </button>
+                ${!['returned', 'void'].includes(sale.status) ? `<button class="btn btn-sm btn-warning return-sale-btn" data-id="${sale.id}" title="Return / Refund">
+                  <i class="fas fa-undo"></i>
+                </button>` : ''}
+                ${canVoid && canVoidSale(sale) ? `<button class="btn btn-sm btn-danger void-sale-btn" data-id="${sale.id}" title="Void Sale">
+                  <i class="fas fa-ban"></i>
+                </button>` : ''}
               </div>
             </td>` : ''}
           </tr>
@@ -1251,7 +1875,7 @@ function renderSalesTable() {
           <td>N/A</td>
           <td>0</td>
         <td>TZsh ${totalAmount.toFixed(2)}</td>
-        <td>${paymentMethod}</td>
+        <td>${paymentBadges}</td>
           <td class="text-end">
           <div class="btn-group">
             <button class="btn btn-sm btn-primary view-sale-btn" data-id="${sale.id}">
@@ -1263,6 +1887,12 @@ function renderSalesTable() {
             <button class="btn btn-sm btn-secondary generate-invoice-btn" data-id="${sale.id}">
               <i class="fas fa-file-invoice"></i>
             </button>
+            ${!['returned', 'void'].includes(sale.status) ? `<button class="btn btn-sm btn-warning return-sale-btn" data-id="${sale.id}" title="Return / Refund">
+              <i class="fas fa-undo"></i>
+            </button>` : ''}
+            ${canVoid && canVoidSale(sale) ? `<button class="btn btn-sm btn-danger void-sale-btn" data-id="${sale.id}" title="Void Sale">
+              <i class="fas fa-ban"></i>
+            </button>` : ''}
           </div>
         </td>
       </tr>
@@ -1301,6 +1931,18 @@ function renderSalesTable() {
     });
   });
   
+  document.querySelectorAll('.return-sale-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      openSaleReturn(btn.getAttribute('data-id'));
+    });
+  });
+  
+  document.querySelectorAll('.void-sale-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      openVoidSale(btn.getAttribute('data-id'));
+    });
+  });
+  
   document.querySelectorAll('.generate-invoice-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const saleId = btn.getAttribute('data-id');
@@ -1323,6 +1965,698 @@ function renderSalesTable() {
   });
 }
 
+// Open the return/refund dialog for a sale
+async function openSaleReturn(saleId) {
+  try {
+    const sale = sales.find(s => s.id === saleId);
+    if (!sale) {
+      showNotification(`Sale with ID ${saleId} not found`, 'error');
+      return;
+    }
+    
+    const items = typeof sale.items === 'string' ? JSON.parse(sale.items) : (sale.items || []);
+    const previousReturns = await window.electronAPI.getSalesReturns({ saleId }) || [];
+    
+    // Quantities already returned per sale line
+    const returned = {};
+    previousReturns.forEach(salesReturn => {
+      (salesReturn.items || []).forEach(line => {
+        returned[line.line_index] = (returned[line.line_index] || 0) + (parseFloat(line.quantity) || 0);
+      });
+    });
+    
+    document.getElementById('return-sale-id').value = sale.id;
+    document.getElementById('return-invoice-number').textContent = sale.invoiceNumber || `INV-${sale.id.substring(0, 6)}`;
+    document.getElementById('return-reason').value = '';
+    document.getElementById('return-notes').value = '';
+    
+    // Refund the way most of the sale was paid; split and credit sales fall back to cash
+    const refundMethod = document.getElementById('return-refund-method');
+    const [largestTender] = (sale.payments || []).slice().sort((a, b) => b.amount - a.amount);
+    refundMethod.value = largestTender ? largestTender.method : (sale.paymentMethod || 'Cash');
+    if (!refundMethod.value) {
+      refundMethod.value = 'Cash';
+    }
+    
+    document.getElementById('return-lines-body').innerHTML = items.map((item, index) => {
+      const sold = parseFloat(item.quantity) || 0;
+      const alreadyReturned = returned[index] || 0;
+      const returnable = sold - alreadyReturned;
+      const price = parseFloat(item.price !== undefined ? item.price : item.unit_price) || 0;
+      return `
+        <tr data-line-index="${index}" data-price="${price}">
+          <td>${item.description || item.product_name || 'Item'}</td>
+          <td>${formatLineQuantity(item)}</td>
+          <td>${alreadyReturned}</td>
+          <td>TZsh ${price.toFixed(2)}</td>
+          <td><input type="number" class="form-control return-quantity" min="0" max="${returnable}" step="any" value="0" ${returnable <= 0 ? 'disabled' : ''}></td>
+        </tr>
+      `;
+    }).join('');
+    
+    document.querySelectorAll('#return-lines-body .return-quantity').forEach(input => {
+      input.addEventListener('input', updateReturnTotal);
+    });
+    updateReturnTotal();
+    
+    const history = document.getElementById('return-history');
+    history.innerHTML = previousReturns.length === 0
+      ? '<li class="list-group-item">No returns recorded for this sale</li>'
+      : previousReturns.map(salesReturn => `
+        <li class="list-group-item d-flex justify-content-between align-items-center">
+          <span>
+            <strong>${salesReturn.credit_note_number}</strong> &mdash;
+            ${new Date(salesReturn.created_at).toLocaleString()} &mdash;
+            TZsh ${(parseFloat(salesReturn.total_amount) || 0).toFixed(2)} (${salesReturn.reason})
+          </span>
+          <button type="button" class="btn btn-sm btn-outline-danger" onclick="downloadCreditNote('${salesReturn.id}')">
+            <i class="fas fa-file-pdf"></i>
+          </button>
+        </li>
+      `).join('');
+    
+    const modal = new bootstrap.Modal(document.getElementById('saleReturnModal'));
+    modal.show();
+  } catch (error) {
+    console.error('Error opening return dialog:', error);
+    showNotification('Error opening return dialog: ' + error.message, 'error');
+  }
+}
+
+// Recalculate the refund total in the return dialog
+function updateReturnTotal() {
+  let total = 0;
+  document.querySelectorAll('#return-lines-body tr').forEach(row => {
+    const quantity = parseFloat(row.querySelector('.return-quantity').value) || 0;
+    total += quantity * (parseFloat(row.dataset.price) || 0);
+  });
+  document.getElementById('return-total').textContent = `TZsh ${total.toFixed(2)}`;
+}
+
+// Submit the return, then offer the credit note PDF
+async function submitSaleReturn() {
+  const confirmBtn = document.getElementById('confirm-return-btn');
+  
+  try {
+    const lines = Array.from(document.querySelectorAll('#return-lines-body tr')).map(row => ({
+      lineIndex: parseInt(row.dataset.lineIndex),
+      quantity: parseFloat(row.querySelector('.return-quantity').value) || 0
+    })).filter(line => line.quantity > 0);
+    
+    if (lines.length === 0) {
+      showNotification('Enter a quantity to return for at least one item', 'error');
+      return;
+    }
+    
+    const reason = document.getElementById('return-reason').value;
+    if (!reason) {
+      showNotification('Please select a reason for the return', 'error');
+      return;
+    }
+    
+    confirmBtn.disabled = true;
+    confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i> Processing...';
+    
+    const result = await window.electronAPI.processSaleReturn({
+      saleId: document.getElementById('return-sale-id').value,
+      lines,
+      reason,
+      refundMethod: document.getElementById('return-refund-method').value,
+      notes: document.getElementById('return-notes').value.trim()
+    });
+    
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to process return');
+    }
+    
+    const modal = bootstrap.Modal.getInstance(document.getElementById('saleReturnModal'));
+    if (modal) {
+      modal.hide();
+    }
+    
+    showNotification(`Credit note ${result.salesReturn.credit_note_number} issued for TZsh ${result.salesReturn.total_amount.toFixed(2)}`, 'success');
+    
+    await downloadCreditNote(result.salesReturn.id);
+  } catch (error) {
+    console.error('Error processing return:', error);
+    showNotification('Error processing return: ' + error.message, 'error');
+  } finally {
+    confirmBtn.disabled = false;
+    confirmBtn.innerHTML = '<i class="fas fa-undo me-2"></i> Process Return';
+  }
+}
+
+// Whether the signed-in user may void sales
+function userCanVoidSales() {
+  const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
+  return (userSession.permissions || []).includes('sales.void');
+}
+
+// Only sales without returns can be voided; returned goods are already on a credit note
+function canVoidSale(sale) {
+  return !['void', 'returned', 'partially_returned'].includes(sale.status);
+}
+
+// Open the void dialog for a sale
+function openVoidSale(saleId) {
+  const sale = filteredSales.find(s => s.id === saleId);
+  if (!sale) {
+    showNotification(`Sale with ID ${saleId} not found`, 'error');
+    return;
+  }
+  
+  document.getElementById('void-sale-id').value = sale.id;
+  document.getElementById('void-invoice-number').textContent = sale.invoiceNumber || `INV-${sale.id.substring(0, 6)}`;
+  document.getElementById('void-sale-total').textContent = `TZsh ${(parseFloat(sale.totalAmount) || 0).toFixed(2)}`;
+  document.getElementById('void-reason').value = '';
+  
+  const modal = new bootstrap.Modal(document.getElementById('voidSaleModal'));
+  modal.show();
+}
+
+// Void the sale, putting its stock back
+async function submitVoidSale() {
+  const confirmBtn = document.getElementById('confirm-void-btn');
+  
+  try {
+    const reason = document.getElementById('void-reason').value.trim();
+    if (!reason) {
+      showNotification('Please enter a reason for voiding this sale', 'error');
+      return;
+    }
+    
+    confirmBtn.disabled = true;
+    confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i> Voiding...';
+    
+    const result = await window.electronAPI.voidSale({
+      saleId: document.getElementById('void-sale-id').value,
+      reason
+    });
+    
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to void sale');
+    }
+    
+    const modal = bootstrap.Modal.getInstance(document.getElementById('voidSaleModal'));
+    if (modal) {
+      modal.hide();
+    }
+    
+    showNotification(`Sale voided; stock restored for ${result.restoredItems} item(s)`, 'success');
+  } catch (error) {
+    console.error('Error voiding sale:', error);
+    showNotification('Error voiding sale: ' + error.message, 'error');
+  } finally {
+    confirmBtn.disabled = false;
+    confirmBtn.innerHTML = '<i class="fas fa-ban me-2"></i> Void Sale';
+  }
+}
+
+// Save a credit note PDF and open it
+async function downloadCreditNote(returnId) {
+  try {
+    const result = await window.electronAPI.generateCreditNote(returnId);
+    if (result && result.success) {
+      await window.electronAPI.openFile(result.filePath);
+    } else if (result && result.error !== 'Cancelled by user') {
+      showNotification('Error generating credit note: ' + result.error, 'error');
+    }
+  } catch (error) {
+    console.error('Error generating credit note:', error);
+    showNotification('Error generating credit note: ' + error.message, 'error');
+  }
+}
+
+// Load the signed-in user's open drawer session and show it on the drawer button
+async function loadCashSession() {
+  try {
+    const result = await window.electronAPI.getCashSession();
+    if (result && result.success) {
+      cashSession = result.session;
+      cashSessionSummary = result.summary;
+    }
+  } catch (error) {
+    console.error('Error loading cash drawer session:', error);
+  }
+  
+  const label = document.getElementById('cash-session-label');
+  if (label) {
+    label.textContent = cashSession ? `${cashSession.counter}: Close Drawer` : 'Open Drawer';
+  }
+}
+
+// Rows of a drawer summary table
+function formatCashSummaryRows(rows) {
+  return rows.map(([label, amount, className]) => `
+    <tr>
+      <td>${label}</td>
+      <td class="text-end ${className || ''}">TZsh ${(parseFloat(amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2 })}</td>
+    </tr>
+  `).join('');
+}
+
+// Show the open form, or the close form when the user already has a session open
+async function openCashSessionModal() {
+  await loadCashSession();
+  
+  const isOpen = !!cashSession;
+  document.getElementById('cash-open-section').classList.toggle('d-none', isOpen);
+  document.getElementById('cash-close-section').classList.toggle('d-none', !isOpen);
+  document.getElementById('cash-closed-section').classList.add('d-none');
+  document.getElementById('open-cash-session-btn').classList.toggle('d-none', isOpen);
+  document.getElementById('close-cash-session-btn').classList.toggle('d-none', !isOpen);
+  document.getElementById('z-report-btn').classList.add('d-none');
+  
+  if (isOpen) {
+    const summary = cashSessionSummary || {};
+    document.getElementById('cashSessionModalLabel').innerHTML =
+      `<i class="fas fa-cash-register me-2"></i> Close ${Utils.escapeHTML(cashSession.counter)}`;
+    document.getElementById('cash-session-id').value = cashSession.id;
+    document.getElementById('cash-session-summary').innerHTML = formatCashSummaryRows([
+      ['Opening float', summary.openingFloat],
+      [`Cash sales (${summary.salesCount || 0} sales)`, summary.cashSales],
+      [`Cash account payments (${summary.paymentCount || 0})`, summary.cashPayments],
+      [`Cash refunds (${summary.refundCount || 0})`, -(summary.cashRefunds || 0)],
+      ['<strong>Expected in drawer</strong>', summary.expectedCash, 'fw-bold']
+    ]);
+    document.getElementById('cash-counted').value = '';
+    document.getElementById('cash-closing-notes').value = '';
+  } else {
+    document.getElementById('cashSessionModalLabel').innerHTML = '<i class="fas fa-cash-register me-2"></i> Open Cash Drawer';
+  }
+  
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('cashSessionModal')).show();
+}
+
+// Open a drawer session with the float counted into the drawer
+async function submitOpenCashSession() {
+  const openBtn = document.getElementById('open-cash-session-btn');
+  
+  try {
+    openBtn.disabled = true;
+    
+    const result = await window.electronAPI.openCashSession({
+      counter: document.getElementById('cash-counter').value.trim(),
+      openingFloat: document.getElementById('cash-opening-float').value
+    });
+    
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to open the drawer');
+    }
+    
+    bootstrap.Modal.getInstance(document.getElementById('cashSessionModal')).hide();
+    await loadCashSession();
+    showNotification(`${result.session.counter} opened`, 'success');
+  } catch (error) {
+    console.error('Error opening cash drawer session:', error);
+    showNotification('Error opening drawer: ' + error.message, 'error');
+  } finally {
+    openBtn.disabled = false;
+  }
+}
+
+// Close the drawer session with the cash counted and show the variance
+async function submitCloseCashSession() {
+  const closeBtn = document.getElementById('close-cash-session-btn');
+  
+  try {
+    const countedCash = document.getElementById('cash-counted').value;
+    if (countedCash === '') {
+      showNotification('Please enter the cash counted in the drawer', 'error');
+      return;
+    }
+    
+    closeBtn.disabled = true;
+    closeBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i> Closing...';
+    
+    const result = await window.electronAPI.closeCashSession({
+      sessionId: document.getElementById('cash-session-id').value,
+      countedCash,
+      notes: document.getElementById('cash-closing-notes').value
+    });
+    
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to close the drawer');
+    }
+    
+    const closed = result.session;
+    document.getElementById('cash-z-report-number').textContent = closed.z_report_number;
+    document.getElementById('cash-closed-summary').innerHTML = formatCashSummaryRows([
+      ['Expected in drawer', closed.expected_cash],
+      ['Counted', closed.counted_cash],
+      ['<strong>Variance</strong>', closed.variance, closed.variance < 0 ? 'text-danger fw-bold' : 'text-success fw-bold']
+    ]);
+    document.getElementById('cash-close-section').classList.add('d-none');
+    document.getElementById('cash-closed-section').classList.remove('d-none');
+    document.getElementById('close-cash-session-btn').classList.add('d-none');
+    document.getElementById('z-report-btn').classList.remove('d-none');
+    
+    await loadCashSession();
+    showNotification(`Drawer closed with ${closed.z_report_number}`, closed.variance === 0 ? 'success' : 'warning');
+  } catch (error) {
+    console.error('Error closing cash drawer session:', error);
+    showNotification('Error closing drawer: ' + error.message, 'error');
+  } finally {
+    closeBtn.disabled = false;
+    closeBtn.innerHTML = '<i class="fas fa-lock me-2"></i> Close Session';
+  }
+}
+
+// Save a Z-report PDF and open it
+async function downloadZReport(sessionId) {
+  try {
+    const result = await window.electronAPI.generateZReport(sessionId);
+    if (result && result.success) {
+      await window.electronAPI.openFile(result.filePath);
+    } else if (result && result.error !== 'Cancelled by user') {
+      showNotification('Error generating Z-report: ' + result.error, 'error');
+    }
+  } catch (error) {
+    console.error('Error generating Z-report:', error);
+    showNotification('Error generating Z-report: ' + error.message, 'error');
+  }
+}
+
+// Expiry date of a quotation saved today, as YYYY-MM-DD in local time
+function getDefaultQuotationExpiry() {
+  const date = new Date();
+  date.setDate(date.getDate() + QUOTATION_VALIDITY_DAYS);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Show a quotation's YYYY-MM-DD expiry date as a local date
+function formatQuotationExpiry(validUntil) {
+  return new Date(`${validUntil}T00:00:00`).toLocaleDateString();
+}
+
+// Load quotations for the list below the sales history
+async function loadQuotations() {
+  try {
+    quotations = await window.electronAPI.getQuotations() || [];
+  } catch (error) {
+    console.error('Error loading quotations:', error);
+    quotations = [];
+  }
+  renderQuotationsTable();
+}
+
+// Badge for a quotation status
+function formatQuotationStatus(status) {
+  const colors = { draft: 'secondary', sent: 'info', accepted: 'success', expired: 'danger' };
+  return `<span class="badge bg-${colors[status] || 'secondary'}">${status.charAt(0).toUpperCase() + status.slice(1)}</span>`;
+}
+
+// Show the quotations matching the status filter; open quotes by default
+function renderQuotationsTable() {
+  const tableBody = document.getElementById('quotations-table');
+  if (!tableBody) return;
+  
+  const filter = document.getElementById('quotation-status-filter').value;
+  const shown = quotations.filter(quotation => filter === 'all' ||
+    (filter ? quotation.status === filter : ['draft', 'sent'].includes(quotation.status)));
+  
+  if (shown.length === 0) {
+    tableBody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No quotations</td></tr>';
+    return;
+  }
+  
+  tableBody.innerHTML = shown.map(quotation => {
+    const open = ['draft', 'sent'].includes(quotation.status);
+    return `
+      <tr>
+        <td>${Utils.escapeHTML(quotation.quote_number)}</td>
+        <td>${new Date(quotation.created_at).toLocaleDateString()}</td>
+        <td>${Utils.escapeHTML((quotation.buyer && quotation.buyer.name) || '')}</td>
+        <td>${formatQuotationExpiry(quotation.valid_until)}</td>
+        <td>TZsh ${(parseFloat(quotation.total_amount) || 0).toFixed(2)}</td>
+        <td>
+          ${formatQuotationStatus(quotation.status)}
+          ${quotation.invoice_number ? `<small class="d-block text-muted">${Utils.escapeHTML(quotation.invoice_number)}</small>` : ''}
+        </td>
+        <td class="text-end">
+          <button class="btn btn-sm btn-outline-light quotation-pdf-btn" data-id="${quotation.id}" title="Pro-forma PDF">
+            <i class="fas fa-file-pdf"></i>
+          </button>
+          ${quotation.status === 'draft' ? `
+          <button class="btn btn-sm btn-outline-info quotation-sent-btn" data-id="${quotation.id}" title="Mark as sent">
+            <i class="fas fa-paper-plane"></i>
+          </button>` : ''}
+          ${quotation.status !== 'accepted' ? `
+          <button class="btn btn-sm btn-outline-warning quotation-edit-btn" data-id="${quotation.id}" title="${open ? 'Edit' : 'Edit or extend'}">
+            <i class="fas fa-edit"></i>
+          </button>` : ''}
+          ${open ? `
+          <button class="btn btn-sm btn-success quotation-convert-btn" data-id="${quotation.id}" title="Convert to sale">
+            <i class="fas fa-exchange-alt"></i>
+          </button>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+  
+  tableBody.querySelectorAll('.quotation-pdf-btn').forEach(btn => {
+    btn.addEventListener('click', () => downloadQuotationPDF(btn.dataset.id));
+  });
+  tableBody.querySelectorAll('.quotation-sent-btn').forEach(btn => {
+    btn.addEventListener('click', () => markQuotationSent(btn.dataset.id));
+  });
+  tableBody.querySelectorAll('.quotation-edit-btn').forEach(btn => {
+    btn.addEventListener('click', () => editQuotation(btn.dataset.id));
+  });
+  tableBody.querySelectorAll('.quotation-convert-btn').forEach(btn => {
+    btn.addEventListener('click', () => openConvertQuotation(btn.dataset.id));
+  });
+}
+
+// Save the items and buyer in the sale form as a quotation instead of a sale
+async function saveQuotation() {
+  const saveBtn = document.getElementById('save-quotation-btn');
+  
+  try {
+    const buyerName = document.getElementById('buyer-name').value.trim();
+    if (!buyerName) {
+      showNotification('Please enter buyer name', 'error');
+      return;
+    }
+    if (selectedItems.length === 0) {
+      showNotification('Please add items to the quotation', 'error');
+      return;
+    }
+    
+    const discountReason = document.getElementById('discount-reason').value.trim();
+    if (saleDiscountTotal > 0 && !discountReason) {
+      showNotification('Enter a reason for the discount', 'error');
+      return;
+    }
+    
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i> Saving...';
+    
+    // The main process prices the quotation the same way as a sale
+    const quotation = {
+      id: document.getElementById('quotation-id').value || null,
+      items: selectedItems,
+      invoiceDiscountType: document.getElementById('invoice-discount-type').value,
+      invoiceDiscountValue: parseFloat(document.getElementById('invoice-discount-value').value) || 0,
+      discountReason: discountReason,
+      validUntil: document.getElementById('quotation-valid-until').value,
+      notes: document.getElementById('sale-notes').value.trim(),
+      buyer: {
+        id: document.getElementById('customer-select').value || null,
+        name: buyerName,
+        title: document.getElementById('buyer-title').value.trim(),
+        tin: document.getElementById('buyer-tin').value.trim(),
+        phone: document.getElementById('buyer-phone').value.trim(),
+        email: document.getElementById('buyer-email').value.trim()
+      }
+    };
+    
+    const approverUsername = document.getElementById('discount-approver-username').value.trim();
+    if (saleDiscountPercent > userDiscountLimit && approverUsername) {
+      quotation.discountApproval = {
+        username: approverUsername,
+        password: document.getElementById('discount-approver-password').value
+      };
+    }
+    
+    const result = await window.electronAPI.saveQuotation(quotation);
+    if (result && result.approvalRequired) {
+      document.getElementById('discount-approval').classList.remove('d-none');
+      document.getElementById('discount-approver-password').value = '';
+      showNotification(result.error, 'warning');
+      return;
+    }
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'The quotation could not be saved');
+    }
+    
+    const modal = bootstrap.Modal.getInstance(document.getElementById('newSaleModal'));
+    if (modal) {
+      modal.hide();
+    }
+    resetNewSaleForm();
+    
+    showNotification(`Quotation ${result.quotation.quote_number} saved, valid until ${formatQuotationExpiry(result.quotation.valid_until)}`, 'success');
+  } catch (error) {
+    console.error('Error saving quotation:', error);
+    showNotification('Error saving quotation: ' + error.message, 'error');
+  } finally {
+    saveBtn.disabled = selectedItems.length === 0;
+    saveBtn.innerHTML = '<i class="fas fa-file-signature me-2"></i> Save as Quotation';
+  }
+}
+
+// Load a quotation into the sale form to change it or extend its expiry date
+function editQuotation(quotationId) {
+  const quotation = quotations.find(q => q.id === quotationId);
+  if (!quotation) {
+    showNotification(`Quotation with ID ${quotationId} not found`, 'error');
+    return;
+  }
+  
+  resetNewSaleForm();
+  
+  const buyer = quotation.buyer || {};
+  const customerSelect = document.getElementById('customer-select');
+  customerSelect.value = buyer.id && customerSelect.querySelector(`option[value="${buyer.id}"]`) ? buyer.id : '';
+  populateBuyerFields({ ...buyer, business: buyer.title });
+  
+  document.getElementById('invoice-discount-type').value = quotation.invoice_discount_type || 'percent';
+  document.getElementById('invoice-discount-value').value = quotation.invoice_discount_value || 0;
+  document.getElementById('discount-reason').value = quotation.discount_reason || '';
+  document.getElementById('sale-notes').value = quotation.notes || '';
+  document.getElementById('quotation-id').value = quotation.id;
+  document.getElementById('quotation-valid-until').value = quotation.status === 'expired'
+    ? getDefaultQuotationExpiry()
+    : quotation.valid_until;
+  document.getElementById('newSaleModalLabel').innerHTML =
+    `<i class="fas fa-file-signature me-2"></i> Edit Quotation ${Utils.escapeHTML(quotation.quote_number)}`;
+  
+  selectedItems = quotation.items.map(line => ({
+    id: line.item_id,
+    description: line.description,
+    type: line.type,
+    dimension: line.dimension,
+    quantity: line.quantity,
+    unit: line.unit || undefined,
+    unitFactor: line.unit_factor || 1,
+    cutLength: line.cut_length || undefined,
+    price: line.unit_price,
+    discountType: line.discount_type || 'percent',
+    discountValue: line.discount_value || 0,
+    discount: line.discount || 0,
+    total: line.total
+  }));
+  updateSelectedItemsTable();
+  
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('newSaleModal')).show();
+}
+
+// Record that a draft quotation has gone to the customer
+async function markQuotationSent(quotationId) {
+  try {
+    const result = await window.electronAPI.updateQuotationStatus(quotationId, 'sent');
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to update the quotation');
+    }
+    showNotification(`Quotation ${result.quotation.quote_number} marked as sent`, 'success');
+  } catch (error) {
+    console.error('Error updating quotation:', error);
+    showNotification('Error updating quotation: ' + error.message, 'error');
+  }
+}
+
+// Open the convert dialog for a quotation
+function openConvertQuotation(quotationId) {
+  const quotation = quotations.find(q => q.id === quotationId);
+  if (!quotation) {
+    showNotification(`Quotation with ID ${quotationId} not found`, 'error');
+    return;
+  }
+  
+  document.getElementById('convert-quotation-id').value = quotation.id;
+  document.getElementById('convert-quote-number').textContent = quotation.quote_number;
+  document.getElementById('convert-quote-customer').textContent = (quotation.buyer && quotation.buyer.name) || '';
+  document.getElementById('convert-payment-terms').value = 'paid';
+  document.getElementById('convert-payment-fields').classList.remove('d-none');
+  document.getElementById('convert-payment-method').value = 'Cash';
+  document.getElementById('convert-payment-reference').value = '';
+  document.getElementById('convert-price-changes').classList.add('d-none');
+  
+  // Credit needs a saved customer account
+  document.querySelector('#convert-payment-terms option[value="credit"]').disabled = !quotation.customer_id;
+  
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('convertQuotationModal')).show();
+}
+
+// Convert the quotation; when prices have changed the user confirms the sale at today's prices
+async function submitConvertQuotation(acceptPriceChanges) {
+  const confirmBtn = document.getElementById('confirm-convert-btn');
+  
+  try {
+    confirmBtn.disabled = true;
+    confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i> Converting...';
+    
+    const paymentStatus = document.getElementById('convert-payment-terms').value;
+    const result = await window.electronAPI.convertQuotation({
+      quotationId: document.getElementById('convert-quotation-id').value,
+      locationId: document.getElementById('convert-location').value || undefined,
+      paymentStatus,
+      // Paid in one tender; the main process fills in the amount at today's prices
+      payments: paymentStatus === 'credit' ? [] : [{
+        method: document.getElementById('convert-payment-method').value,
+        reference: document.getElementById('convert-payment-reference').value.trim()
+      }],
+      acceptPriceChanges
+    });
+    
+    if (result && result.confirmRequired) {
+      const changes = document.getElementById('convert-price-changes');
+      changes.innerHTML = `<strong>${Utils.escapeHTML(result.error)}:</strong><ul class="mb-0">` +
+        result.priceChanges.map(change =>
+          `<li>${Utils.escapeHTML(change.description)}: TZsh ${change.quotedPrice.toFixed(2)} &rarr; TZsh ${change.currentPrice.toFixed(2)}</li>`
+        ).join('') + '</ul>' +
+        '<button type="button" class="btn btn-sm btn-warning mt-2" id="accept-price-changes-btn">Convert at Today\'s Prices</button>';
+      changes.classList.remove('d-none');
+      document.getElementById('accept-price-changes-btn').addEventListener('click', () => submitConvertQuotation(true));
+      return;
+    }
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to convert the quotation');
+    }
+    
+    const modal = bootstrap.Modal.getInstance(document.getElementById('convertQuotationModal'));
+    if (modal) {
+      modal.hide();
+    }
+    
+    showNotification(result.warning || `Quotation ${result.quotation.quote_number} converted to sale ${result.sale.invoiceNumber}`, result.warning ? 'warning' : 'success');
+    loadInventoryData();
+  } catch (error) {
+    console.error('Error converting quotation:', error);
+    showNotification('Error converting quotation: ' + error.message, 'error');
+  } finally {
+    confirmBtn.disabled = false;
+    confirmBtn.innerHTML = '<i class="fas fa-check me-2"></i> Convert to Sale';
+  }
+}
+
+// Save a quotation's pro-forma PDF and open it
+async function downloadQuotationPDF(quotationId) {
+  try {
+    const result = await window.electronAPI.generateQuotationPDF(quotationId);
+    if (result && result.success) {
+      await window.electronAPI.openFile(result.filePath);
+    } else if (result && result.error !== 'Cancelled by user') {
+      showNotification('Error generating quotation: ' + result.error, 'error');
+    }
+  } catch (error) {
+    console.error('Error generating quotation:', error);
+    showNotification('Error generating quotation: ' + error.message, 'error');
+  }
+}
+
 // Get badge color for payment method
 function getPaymentMethodBadgeColor(method) {
   switch (method) {
@@ -1341,6 +2675,31 @@ function getPaymentMethodBadgeColor(method) {
   }
 }
 
+// Payment method badges for the sales table, one per tender with its amount on split payments
+function formatPaymentBadges(sale) {
+  const payments = Array.isArray(sale.payments) && sale.payments.length > 0
+    ? sale.payments
+    : [{ method: sale.paymentMethod || 'Cash', reference: '' }];
+  
+  return payments.map(payment => `<span class="badge bg-${getPaymentMethodBadgeColor(payment.method)} me-1"` +
+    `${payment.reference ? ` title="Ref: ${Utils.escapeHTML(payment.reference)}"` : ''}>` +
+    `${Utils.escapeHTML(payment.method)}${payments.length > 1 ? ` ${parseFloat(payment.amount).toFixed(2)}` : ''}</span>`).join('');
+}
+
+// Tenders of a sale for the previews, with their references and the change given
+function formatSalePayments(sale) {
+  if (!Array.isArray(sale.payments) || sale.payments.length === 0) {
+    return Utils.escapeHTML(sale.paymentMethod || 'Cash');
+  }
+  
+  const lines = sale.payments.map(payment => `${Utils.escapeHTML(payment.method)}: TZsh ${parseFloat(payment.amount).toFixed(2)}` +
+    (payment.reference ? ` (Ref: ${Utils.escapeHTML(payment.reference)})` : ''));
+  if (sale.changeDue > 0) {
+    lines.push(`Tendered TZsh ${parseFloat(sale.amountTendered).toFixed(2)}, change TZsh ${parseFloat(sale.changeDue).toFixed(2)}`);
+  }
+  return lines.join('<br>');
+}
+
 // Reset new sale form
 function resetNewSaleForm() {
   // Reset customer selection
@@ -1352,6 +2711,13 @@ function resetNewSaleForm() {
   // Reset buyer fields
   clearBuyerFields();
   
+  // Clear discounts before the table recalculates its totals
+  document.getElementById('invoice-discount-value').value = 0;
+  document.getElementById('invoice-discount-type').value = 'percent';
+  document.getElementById('discount-reason').value = '';
+  document.getElementById('discount-approver-username').value = '';
+  document.getElementById('discount-approver-password').value = '';
+  
   // Clear selected items
   selectedItems = [];
   updateSelectedItemsTable();
@@ -1366,6 +2732,8 @@ function resetNewSaleForm() {
   if (itemQuantity) {
     itemQuantity.value = 1;
   }
+  populateUnitSelect(null);
+  updateCutLengthField(null);
   
   // Reset notes
   const saleNotes = document.getElementById('sale-notes');
@@ -1373,6 +2741,23 @@ function resetNewSaleForm() {
     saleNotes.value = '';
   }
   
+  // Back to a new sale if a quotation was being edited
+  const quotationId = document.getElementById('quotation-id');
+  if (quotationId) {
+    quotationId.value = '';
+    document.getElementById('quotation-valid-until').value = getDefaultQuotationExpiry();
+    document.getElementById('newSaleModalLabel').innerHTML = '<i class="fas fa-plus-circle me-2"></i> New Sale';
+  }
+  
+  // Reset payment terms
+  const paymentTerms = document.getElementById('payment-terms');
+  if (paymentTerms) {
+    paymentTerms.value = 'paid';
+    document.getElementById('payments-section').classList.remove('d-none');
+    document.getElementById('payment-tenders').innerHTML = '';
+    addTenderRow();
+  }
+  
   // Update item details
   updateItemDetails();
 }
@@ -1641,6 +3026,45 @@ renderSalesTable = function(...args) {
   setTimeout(applyTableHeaderStyles, 10);
 };
 
+// Line discount note shown under the item on receipts and invoices
+function formatLineDiscountNote(item) {
+  const amount = parseFloat(item.discount) || 0;
+  if (amount <= 0) return '';
+  const percent = item.discountType === 'percent' ? ` (${item.discountValue}%)` : '';
+  return `<div class="small text-success">Discount -TZsh ${amount.toFixed(2)}${percent}</div>`;
+}
+
+// Discount row for the totals of receipts and invoices
+function formatSaleDiscountRow(sale, labelColspan, cellClass) {
+  const discountTotal = parseFloat(sale.discountTotal) || 0;
+  if (discountTotal <= 0) return '';
+  const reason = sale.discountReason ? ` - ${Utils.escapeHTML(sale.discountReason)}` : '';
+  return `
+                <tr>
+                  <td colspan="${labelColspan}" class="text-end ${cellClass}"><strong>Discount${reason}:</strong></td>
+                  <td class="${cellClass}">-TZsh ${discountTotal.toFixed(2)}</td>
+                </tr>`;
+}
+
+// VAT rows for the totals of receipts and invoices, one per tax class and rate
+function formatSaleTaxRows(sale, labelColspan, cellClass) {
+  const row = (label, amount) => `
+                <tr>
+                  <td colspan="${labelColspan}" class="text-end ${cellClass}"><strong>${label}:</strong></td>
+                  <td class="${cellClass}">TZsh ${amount.toFixed(2)}</td>
+                </tr>`;
+  
+  // Sales made before tax classes carry a single VAT rate
+  if (!Array.isArray(sale.taxSummary)) {
+    return row('Subtotal (Net)', sale.netAmount || (sale.totalAmount - sale.vatAmount) || 0) +
+      row(`VAT (${sale.vatRate || 0}%)`, sale.vatAmount || 0);
+  }
+  
+  return row('Subtotal (excl. VAT)', sale.netAmount || 0) + sale.taxSummary.map(group => group.exempt
+    ? row(`${Utils.escapeHTML(group.name)} (no VAT)`, group.taxableAmount)
+    : row(`VAT ${group.rate}% on TZsh ${group.taxableAmount.toFixed(2)}`, group.taxAmount)).join('');
+}
+
 // View sale details function
 function viewSaleDetails(saleId, isInvoice = false) {
   try {
@@ -1724,7 +3148,7 @@ function viewSaleDetails(saleId, isInvoice = false) {
               ${sale.buyer?.email || sale.customerEmail ? `<p class="mb-1 text-white"><strong>Email:</strong> ${sale.buyer?.email || sale.customerEmail}</p>` : ''}
             </div>
             <div class="col-6 text-end">
-              <p class="mb-1 text-white"><strong>Payment Method:</strong> ${sale.paymentMethod || 'Cash'}</p>
+              <p class="mb-1 text-white"><strong>Payment:</strong><br>${formatSalePayments(sale)}</p>
             </div>
           </div>
           
@@ -1749,10 +3173,10 @@ function viewSaleDetails(saleId, isInvoice = false) {
         const dimension = item.dimension || item.size || 'N/A';
         content += `
           <tr>
-            <td class="text-white">${item.description}</td>
+            <td class="text-white">${item.description}${formatLineDiscountNote(item)}</td>
             <td class="text-white">${item.type}</td>
             <td class="text-white">${dimension}</td>
-            <td class="text-white">${item.quantity}</td>
+            <td class="text-white">${formatLineQuantity(item)}</td>
             <td class="text-white">TZsh ${item.price.toFixed(2)}</td>
             <td class="text-white">TZsh ${itemTotal.toFixed(2)}</td>
           </tr>
@@ -1762,15 +3186,7 @@ function viewSaleDetails(saleId, isInvoice = false) {
       // Add total and finish table
       content += `
               </tbody>
-              <tfoot>
-                <tr>
-                  <td colspan="4" class="text-end text-white"><strong>Subtotal (Net):</strong></td>
-                  <td class="text-white">TZsh ${(sale.netAmount || (sale.totalAmount - sale.vatAmount) || 0).toFixed(2)}</td>
-                </tr>
-                <tr>
-                  <td colspan="4" class="text-end text-white"><strong>VAT (${sale.vatRate || 0}%):</strong></td>
-                  <td class="text-white">TZsh ${(sale.vatAmount || 0).toFixed(2)}</td>
-                </tr>
+              <tfoot>${formatSaleDiscountRow(sale, 4, 'text-white')}${formatSaleTaxRows(sale, 4, 'text-white')}
                 <tr>
                   <td colspan="4" class="text-end text-white"><strong>Total:</strong></td>
                   <td class="text-white"><strong>TZsh ${(sale.totalAmount || sale.totalWithVat || 0).toFixed(2)}</strong></td>
@@ -1836,10 +3252,10 @@ function viewSaleDetails(saleId, isInvoice = false) {
         const dimension = item.dimension || item.size || 'N/A';
         content += `
           <tr>
-            <td>${item.description}</td>
+            <td>${item.description}${formatLineDiscountNote(item)}</td>
             <td>${item.type}</td>
             <td>${dimension}</td>
-            <td class="text-center">${item.quantity}</td>
+            <td class="text-center">${formatLineQuantity(item)}</td>
             <td class="text-end">TZsh ${item.price.toFixed(2)}</td>
             <td class="text-end">TZsh ${itemTotal.toFixed(2)}</td>
           </tr>
@@ -1849,15 +3265,7 @@ function viewSaleDetails(saleId, isInvoice = false) {
       // Add subtotal, taxes, and total
       content += `
               </tbody>
-              <tfoot>
-                <tr>
-                  <td colspan="3" class="text-end"><strong>Subtotal (Net):</strong></td>
-                  <td class="text-end">TZsh ${(sale.netAmount || (sale.totalAmount - sale.vatAmount) || 0).toFixed(2)}</td>
-                </tr>
-                <tr>
-                  <td colspan="3" class="text-end"><strong>VAT (${sale.vatRate || 0}%):</strong></td>
-                  <td class="text-end">TZsh ${(sale.vatAmount || 0).toFixed(2)}</td>
-                </tr>
+              <tfoot>${formatSaleDiscountRow(sale, 3, 'text-end')}${formatSaleTaxRows(sale, 3, 'text-end')}
                 <tr>
                   <td colspan="3" class="text-end"><strong>Total:</strong></td>
                   <td class="text-end"><strong>TZsh ${(sale.totalAmount || sale.totalWithVat || 0).toFixed(2)}</strong></td>
@@ -1870,7 +3278,7 @@ function viewSaleDetails(saleId, isInvoice = false) {
       // Add payment method and notes
       content += `
           <div class="mb-3">
-            <p class="text-white"><strong>Payment Method:</strong> ${sale.paymentMethod || 'Cash'}</p>
+            <p class="text-white"><strong>Payment:</strong><br>${formatSalePayments(sale)}</p>
             ${sale.notes ? `<p class="text-white"><strong>Notes:</strong> ${sale.notes}</p>` : ''}
           </div>
           
@@ -7,7 +7,6 @@ class SessionManager {
   constructor() {
     this.SESSION_KEY = 'userSession';
     this.TIMEOUT_KEY = 'sessionTimeoutHours';
-    this.PASSWORD_KEY = 'eliva-hardware-password';
     this.defaultTimeout = 3; // 3 hours
     this.activityTimer = null;
     this.warningTimer = null;
@@ -27,8 +26,8 @@ class SessionManager {
             // Convert backup session to main session format
             const session = {
               username: backup.username,
-              role: backup.username === 'festomanolo' ? 'admin' : 'user',
-              name: backup.username === 'festomanolo' ? 'System Administrator' : 'Hardware Manager',
+              role: backup.role,
+              name: backup.name || backup.username,
               loginTime: backup.loginTime,
               lastActivity: new Date().toISOString()
             };
@@ -62,6 +61,7 @@ class SessionManager {
         username: userData.username,
         role: userData.role,
         name: userData.name,
+        permissions: userData.permissions || [],
         loginTime: new Date().toISOString(),
         lastActivity: new Date().toISOString()
       };
@@ -278,37 +278,24 @@ class SessionManager {
     window.location.href = 'login.html';
   }
 
-  // Change password for eliva-hardware user
-  changePassword(currentPassword, newPassword) {
+  // Change the signed-in user's password; accounts live in the main process
+  async changePassword(currentPassword, newPassword) {
     try {
       const session = this.getCurrentSession();
       if (!session) {
         throw new Error('No active session found');
       }
 
-      if (session.role === 'admin') {
-        throw new Error('Admin password cannot be changed');
+      if (!window.electronAPI || typeof window.electronAPI.changePassword !== 'function') {
+        throw new Error('Password change is not available');
       }
 
-      if (session.username !== 'eliva-hardware') {
-        throw new Error('Password change only available for eliva-hardware user');
+      const result = await window.electronAPI.changePassword({ currentPassword, newPassword });
+      if (!result.success) {
+        throw new Error(result.error);
       }
 
-      // Get current password
-      const storedPassword = localStorage.getItem(this.PASSWORD_KEY) || 'eliva2011';
-      
-      if (storedPassword !== currentPassword) {
-        throw new Error('Current password is incorrect');
-      }
-
-      if (newPassword.length < 6) {
-        throw new Error('New password must be at least 6 characters long');
-      }
-
-      // Save new password
-      localStorage.setItem(this.PASSWORD_KEY, newPassword);
       console.log('Password changed successfully for user:', session.username);
-      
       return { success: true, message: 'Password changed successfully' };
     } catch (error) {
       console.error('Error changing password:', error);
@@ -316,16 +303,6 @@ class SessionManager {
     }
   }
 
-  // Get user password (for login verification)
-  getUserPassword(username) {
-    if (username === 'eliva-hardware') {
-      return localStorage.getItem(this.PASSWORD_KEY) || 'eliva2011';
-    } else if (username === 'festomanolo') {
-      return 'festomanolo';
-    }
-    return null;
-  }
-
   // Initialize session manager
   init() {
     // Check for session timeout flag
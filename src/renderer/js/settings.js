@@ -4,6 +4,11 @@ document.addEventListener('DOMContentLoaded', function() {
     initGeneralSettings();
     initAppearanceSettings();
     initBackupSettings();
+    initNumberingSettings();
+    initDiscountLimits();
+    initTaxSettings();
+    initOffcutSettings();
+    initMaintenancePanel();
     initAboutModal();
     
     // Initialize cloud sync settings
@@ -33,11 +38,14 @@ document.getElementById('settings-form').addEventListener('submit', async (e) =>
         const alertThreshold = parseInt(document.getElementById('alert-threshold').value);
         const currency = document.getElementById('currency').value;
         
-        await window.electronAPI.updateSettings({
+        const saved = await window.electronAPI.updateSettings({
             companyName,
             alertThreshold,
             currency
         });
+        if (saved && saved.success === false) {
+            throw new Error(saved.error);
+        }
         
         showNotification('Settings saved successfully', 'success');
     } catch (error) {
@@ -470,13 +478,639 @@ async function initAppearanceSettings() {
   }
 }
 
+// Labels for why a backup was taken
+const BACKUP_REASON_LABELS = {
+  scheduled: 'Scheduled',
+  quit: 'On close',
+  manual: 'Manual',
+  'pre-restore': 'Before restore'
+};
+
 // Initialize backup settings
 async function initBackupSettings() {
   try {
     console.log('Initializing backup settings');
     
-    // This would load backup settings when implemented
+    // Backups and restore are for owners only
+    const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
+    if (!(userSession.permissions || []).includes('backup.manage')) {
+      return;
+    }
+    document.getElementById('backup-settings-card').style.display = '';
+    
+    const result = await window.electronAPI.getBackupSettings();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    fillBackupSettingsForm(result.settings, result.directory);
+    
+    document.getElementById('backup-settings-form').addEventListener('submit', saveBackupSettings);
+    document.getElementById('choose-backup-directory').addEventListener('click', chooseBackupDirectory);
+    document.getElementById('backup-now').addEventListener('click', backupNow);
+    document.getElementById('backup-list').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-restore-backup]');
+      if (button) {
+        restoreBackup(button.dataset.restoreBackup, button.dataset.backupDate);
+      }
+    });
+    
+    await loadBackupList();
   } catch (error) {
     console.error('Error loading backup settings:', error);
+    showNotification('Error loading backup settings', 'error');
+  }
+}
+
+// Initialize invoice, receipt and credit note numbering settings
+async function initNumberingSettings() {
+  try {
+    const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
+    if (!(userSession.permissions || []).includes('settings.manage')) {
+      return;
+    }
+    document.getElementById('numbering-settings-card').style.display = '';
+    
+    const result = await window.electronAPI.getDocumentNumbering();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    fillNumberingSettingsForm(result.settings, result.sequences);
+    
+    const form = document.getElementById('numbering-settings-form');
+    form.addEventListener('submit', saveNumberingSettings);
+    form.addEventListener('input', updateNumberingPreview);
+  } catch (error) {
+    console.error('Error loading numbering settings:', error);
+    showNotification('Error loading document numbering', 'error');
+  }
+}
+
+// Show numbering settings and one row per sequence
+function fillNumberingSettingsForm(settings, sequences) {
+  document.getElementById('fiscal-year-start').value = String(settings.fiscalYearStartMonth);
+  document.getElementById('number-padding').value = settings.padding;
+  
+  const rows = document.getElementById('numbering-sequences');
+  rows.innerHTML = sequences.map(() => `
+    <tr>
+      <td data-field="label"></td>
+      <td>
+        <input type="text" class="form-control form-control-sm bg-dark text-light border-secondary" data-field="prefix"
+               maxlength="10" required>
+      </td>
+      <td>
+        <input type="number" class="form-control form-control-sm bg-dark text-light border-secondary" data-field="next" required>
+      </td>
+      <td class="font-monospace" data-field="preview"></td>
+    </tr>
+  `).join('');
+  
+  // Values are set as text and properties so none of them is read as markup
+  sequences.forEach((sequence, index) => {
+    const row = rows.rows[index];
+    row.dataset.sequence = sequence.sequence;
+    row.dataset.fiscalYear = sequence.fiscalYear;
+    row.querySelector('[data-field="label"]').textContent = sequence.label;
+    row.querySelector('[data-field="prefix"]').value = sequence.prefix;
+    row.querySelector('[data-field="next"]').value = sequence.lastCounter + 1;
+    row.querySelector('[data-field="next"]').min = sequence.lastCounter + 1;
+    row.querySelector('[data-field="preview"]').textContent = sequence.nextNumber;
+  });
+}
+
+// Preview the next number of each sequence as the form is edited
+function updateNumberingPreview() {
+  const padding = parseInt(document.getElementById('number-padding').value) || 1;
+  
+  document.querySelectorAll('#numbering-sequences tr').forEach(row => {
+    const prefix = row.querySelector('[data-field="prefix"]').value.trim().toUpperCase();
+    const next = row.querySelector('[data-field="next"]').value;
+    row.querySelector('[data-field="preview"]').textContent =
+      `${prefix}-${row.dataset.fiscalYear}-${String(next).padStart(padding, '0')}`;
+  });
+}
+
+// Save numbering settings
+async function saveNumberingSettings(event) {
+  event.preventDefault();
+  
+  const prefixes = {};
+  const nextNumbers = {};
+  document.querySelectorAll('#numbering-sequences tr').forEach(row => {
+    prefixes[row.dataset.sequence] = row.querySelector('[data-field="prefix"]').value;
+    nextNumbers[row.dataset.sequence] = parseInt(row.querySelector('[data-field="next"]').value);
+  });
+  
+  try {
+    const result = await window.electronAPI.updateDocumentNumbering({
+      settings: {
+        fiscalYearStartMonth: parseInt(document.getElementById('fiscal-year-start').value),
+        padding: parseInt(document.getElementById('number-padding').value),
+        prefixes
+      },
+      nextNumbers
+    });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    fillNumberingSettingsForm(result.settings, result.sequences);
+    showNotification('Document numbering saved', 'success');
+  } catch (error) {
+    console.error('Error saving numbering settings:', error);
+    showNotification(`Error saving document numbering: ${error.message}`, 'danger');
+  }
+}
+
+// Initialize the discount limit of each role
+async function initDiscountLimits() {
+  try {
+    const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
+    if (!(userSession.permissions || []).includes('settings.manage')) {
+      return;
+    }
+    document.getElementById('discount-limits-card').style.display = '';
+    
+    const result = await window.electronAPI.getDiscountLimits();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    fillDiscountLimitsForm(result.limits);
+    
+    document.getElementById('discount-limits-form').addEventListener('submit', saveDiscountLimits);
+  } catch (error) {
+    console.error('Error loading discount limits:', error);
+    showNotification('Error loading discount limits', 'error');
+  }
+}
+
+// Show discount limits in the form
+function fillDiscountLimitsForm(limits) {
+  document.querySelectorAll('#discount-limits-form [data-role]').forEach(input => {
+    input.value = limits[input.dataset.role];
+  });
+}
+
+// Save discount limits
+async function saveDiscountLimits(event) {
+  event.preventDefault();
+  
+  const limits = {};
+  document.querySelectorAll('#discount-limits-form [data-role]').forEach(input => {
+    limits[input.dataset.role] = parseFloat(input.value);
+  });
+  
+  try {
+    const result = await window.electronAPI.updateDiscountLimits(limits);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    fillDiscountLimitsForm(result.limits);
+    showNotification('Discount limits saved', 'success');
+  } catch (error) {
+    console.error('Error saving discount limits:', error);
+    showNotification(`Error saving discount limits: ${error.message}`, 'danger');
+  }
+}
+
+// Initialize the minimum length an offcut is kept in stock at
+async function initOffcutSettings() {
+  try {
+    const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
+    if (!(userSession.permissions || []).includes('settings.manage')) {
+      return;
+    }
+    document.getElementById('offcut-settings-card').style.display = '';
+    
+    const result = await window.electronAPI.getOffcutSettings();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    document.getElementById('offcut-minimum-length').value = result.settings.minimumLength;
+    
+    document.getElementById('offcut-settings-form').addEventListener('submit', saveOffcutSettings);
+  } catch (error) {
+    console.error('Error loading offcut settings:', error);
+    showNotification('Error loading offcut settings', 'error');
+  }
+}
+
+// Save offcut settings
+async function saveOffcutSettings(event) {
+  event.preventDefault();
+  
+  try {
+    const result = await window.electronAPI.updateOffcutSettings({
+      minimumLength: document.getElementById('offcut-minimum-length').value
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    document.getElementById('offcut-minimum-length').value = result.settings.minimumLength;
+    showNotification('Offcut settings saved', 'success');
+  } catch (error) {
+    console.error('Error saving offcut settings:', error);
+    showNotification(`Error saving offcut settings: ${error.message}`, 'danger');
   }
-} 
\ No newline at end of file
+}
+
+// Initialize tax classes and the class of each product type
+async function initTaxSettings() {
+  try {
+    const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
+    if (!(userSession.permissions || []).includes('settings.manage')) {
+      return;
+    }
+    document.getElementById('tax-settings-card').style.display = '';
+    
+    const result = await window.electronAPI.getTaxSettings();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    const inventory = await window.electronAPI.getInventory() || [];
+    const productTypes = [...new Set(inventory.map(item => item.type).filter(Boolean))];
+    fillTaxSettingsForm(result.settings, productTypes);
+    
+    document.getElementById('tax-settings-form').addEventListener('submit', saveTaxSettings);
+    document.getElementById('add-tax-class-btn').addEventListener('click', () => {
+      document.getElementById('tax-classes').insertAdjacentHTML('beforeend', getTaxClassRow({ id: '', name: '', rate: 0, exempt: false }));
+    });
+    document.getElementById('tax-classes').addEventListener('click', event => {
+      const removeBtn = event.target.closest('.remove-tax-class');
+      if (removeBtn) {
+        removeBtn.closest('tr').remove();
+      }
+    });
+  } catch (error) {
+    console.error('Error loading tax settings:', error);
+    showNotification('Error loading tax settings', 'error');
+  }
+}
+
+// Editable row for one tax class
+function getTaxClassRow(taxClass) {
+  const input = (field, type, value, extra = '') =>
+    `<input type="${type}" class="form-control form-control-sm bg-dark text-light border-secondary" data-field="${field}" value="${String(value).replace(/"/g, '&quot;')}" ${extra}>`;
+  
+  return `
+    <tr>
+      <td>${input('id', 'text', taxClass.id, 'maxlength="30" required')}</td>
+      <td>${input('name', 'text', taxClass.name, 'required')}</td>
+      <td>${input('rate', 'number', taxClass.rate, 'min="0" max="100" step="0.01"')}</td>
+      <td><input type="checkbox" class="form-check-input" data-field="exempt" ${taxClass.exempt ? 'checked' : ''}></td>
+      <td>
+        <button type="button" class="btn btn-sm btn-outline-danger remove-tax-class" title="Remove">
+          <i class="fas fa-times"></i>
+        </button>
+      </td>
+    </tr>
+  `;
+}
+
+// Show tax settings, one row per class and one per product type
+function fillTaxSettingsForm(settings, productTypes) {
+  document.getElementById('prices-include-tax').checked = settings.pricesIncludeTax;
+  document.getElementById('tax-classes').innerHTML = settings.classes.map(getTaxClassRow).join('');
+  
+  // Class names and product types are typed by users, so they are set as text, never as markup
+  const fillClassOptions = (select, firstOption) => {
+    select.innerHTML = '';
+    if (firstOption) {
+      select.add(firstOption);
+    }
+    settings.classes.forEach(taxClass => select.add(new Option(taxClass.name, taxClass.id)));
+  };
+  
+  const defaultClass = document.getElementById('tax-default-class');
+  fillClassOptions(defaultClass);
+  defaultClass.value = settings.defaultClass;
+  
+  const types = [...new Set([...productTypes, ...Object.keys(settings.typeClasses)])].sort();
+  const typeRows = document.getElementById('tax-type-classes');
+  typeRows.innerHTML = types.map(() => `
+    <tr>
+      <td data-field="type"></td>
+      <td>
+        <select class="form-select form-select-sm bg-dark text-light border-secondary"></select>
+      </td>
+    </tr>
+  `).join('') || '<tr><td colspan="2" class="text-muted">No product types in inventory yet</td></tr>';
+  
+  types.forEach((type, index) => {
+    const row = typeRows.rows[index];
+    const select = row.querySelector('select');
+    row.dataset.type = type;
+    row.querySelector('[data-field="type"]').textContent = type;
+    fillClassOptions(select, new Option('Default tax class', ''));
+    select.value = settings.typeClasses[type] || '';
+  });
+}
+
+// Save tax settings
+async function saveTaxSettings(event) {
+  event.preventDefault();
+  
+  const classes = [...document.querySelectorAll('#tax-classes tr')].map(row => ({
+    id: row.querySelector('[data-field="id"]').value,
+    name: row.querySelector('[data-field="name"]').value,
+    rate: parseFloat(row.querySelector('[data-field="rate"]').value) || 0,
+    exempt: row.querySelector('[data-field="exempt"]').checked
+  }));
+  const typeClasses = {};
+  const productTypes = [];
+  document.querySelectorAll('#tax-type-classes tr[data-type]').forEach(row => {
+    productTypes.push(row.dataset.type);
+    typeClasses[row.dataset.type] = row.querySelector('select').value;
+  });
+  
+  try {
+    const result = await window.electronAPI.updateTaxSettings({
+      pricesIncludeTax: document.getElementById('prices-include-tax').checked,
+      defaultClass: document.getElementById('tax-default-class').value,
+      classes,
+      typeClasses
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    fillTaxSettingsForm(result.settings, productTypes);
+    showNotification('Tax settings saved', 'success');
+  } catch (error) {
+    console.error('Error saving tax settings:', error);
+    showNotification(`Error saving tax settings: ${error.message}`, 'danger');
+  }
+}
+
+// Show backup settings in the form
+function fillBackupSettingsForm(settings, directory) {
+  document.getElementById('backup-enabled').checked = settings.enabled;
+  document.getElementById('backup-on-quit').checked = settings.backupOnQuit;
+  document.getElementById('backup-interval').value = String(settings.intervalHours);
+  document.getElementById('backup-directory').value = directory;
+  document.getElementById('backup-keep-daily').value = settings.keepDaily;
+  document.getElementById('backup-keep-weekly').value = settings.keepWeekly;
+}
+
+// Save backup settings
+async function saveBackupSettings(event) {
+  event.preventDefault();
+  
+  try {
+    const result = await window.electronAPI.updateBackupSettings({
+      enabled: document.getElementById('backup-enabled').checked,
+      backupOnQuit: document.getElementById('backup-on-quit').checked,
+      intervalHours: parseInt(document.getElementById('backup-interval').value),
+      directory: document.getElementById('backup-directory').value,
+      keepDaily: parseInt(document.getElementById('backup-keep-daily').value),
+      keepWeekly: parseInt(document.getElementById('backup-keep-weekly').value)
+    });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    fillBackupSettingsForm(result.settings, result.directory);
+    showNotification('Backup settings saved', 'success');
+    await loadBackupList();
+  } catch (error) {
+    console.error('Error saving backup settings:', error);
+    showNotification(`Error saving backup settings: ${error.message}`, 'danger');
+  }
+}
+
+// Choose the backup folder
+async function chooseBackupDirectory() {
+  try {
+    const result = await window.electronAPI.chooseBackupDirectory();
+    if (result.success) {
+      document.getElementById('backup-directory').value = result.directory;
+    }
+  } catch (error) {
+    console.error('Error choosing backup folder:', error);
+    showNotification('Error choosing backup folder', 'danger');
+  }
+}
+
+// Take a backup now
+async function backupNow() {
+  const button = document.getElementById('backup-now');
+  const originalHTML = button.innerHTML;
+  
+  try {
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i> Backing up...';
+    
+    const result = await window.electronAPI.createBackup();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    showNotification('Backup created', 'success');
+    await loadBackupList();
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    showNotification(`Backup failed: ${error.message}`, 'danger');
+  } finally {
+    button.disabled = false;
+    button.innerHTML = originalHTML;
+  }
+}
+
+// Format a byte count for display
+function formatBackupSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes || 0} B`;
+}
+
+// List backups with their record counts
+async function loadBackupList() {
+  const tableBody = document.getElementById('backup-list');
+  
+  try {
+    const result = await window.electronAPI.listBackups();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    if (result.backups.length === 0) {
+      tableBody.innerHTML = '<tr><td colspan="5" class="text-center text-secondary">No backups yet</td></tr>';
+      return;
+    }
+    
+    tableBody.innerHTML = result.backups.map(backup => {
+      const counts = backup.counts || {};
+      const taken = new Date(backup.createdAt).toLocaleString();
+      return `
+        <tr>
+          <td>${taken}</td>
+          <td data-field="reason"></td>
+          <td class="small">
+            ${counts.inventory || 0} items, ${counts.sales || 0} sales, ${counts.customers || 0} customers
+          </td>
+          <td>${formatBackupSize(backup.size)}</td>
+          <td class="text-end">
+            <button type="button" class="btn btn-sm btn-outline-warning" data-restore-backup="${backup.id}" data-backup-date="${taken}">
+              Restore
+            </button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+    
+    // The reason comes from the backup's manifest file, so it is shown as text
+    result.backups.forEach((backup, index) => {
+      tableBody.rows[index].querySelector('[data-field="reason"]').textContent =
+        BACKUP_REASON_LABELS[backup.reason] || backup.reason;
+    });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    tableBody.innerHTML = '<tr><td colspan="5" class="text-danger"></td></tr>';
+    tableBody.querySelector('td').textContent = error.message;
+  }
+}
+
+// Restore a backup after confirmation; the app restarts when it is done
+async function restoreBackup(backupId, takenAt) {
+  const confirmed = confirm(
+    `Restore the backup taken ${takenAt}?\n\n` +
+    'All changes made since then will be replaced. A backup of the current data is taken first, ' +
+    'and the app will restart when the restore is complete.'
+  );
+  if (!confirmed) return;
+  
+  try {
+    const result = await window.electronAPI.restoreBackup(backupId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    showNotification('Backup restored. Restarting...', 'success');
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    showNotification(`Restore failed: ${error.message}`, 'danger');
+  }
+} 
+// Show the maintenance panel to owners and load the database metrics
+function initMaintenancePanel() {
+  const userSession = JSON.parse(localStorage.getItem('userSession') || '{}');
+  if (!(userSession.permissions || []).includes('backup.manage')) {
+    return;
+  }
+  document.getElementById('maintenance-card').style.display = '';
+  
+  document.getElementById('refresh-db-metrics').addEventListener('click', loadDatabaseMetrics);
+  document.querySelectorAll('[data-maintenance-action]').forEach(button => {
+    button.addEventListener('click', () => runMaintenanceAction(button));
+  });
+  
+  loadDatabaseMetrics();
+}
+
+// Show file size, fragmentation and row counts
+async function loadDatabaseMetrics() {
+  const tableBody = document.getElementById('db-table-counts');
+  
+  try {
+    const result = await window.electronAPI.getDatabaseMetrics();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    const metrics = result.metrics;
+    document.getElementById('db-file-size').textContent = formatBackupSize(metrics.fileSize);
+    document.getElementById('db-fragmentation').textContent = `${metrics.fragmentation}%`;
+    document.getElementById('db-schema-version').textContent = metrics.schemaVersion;
+    
+    tableBody.innerHTML = Object.entries(metrics.tables).map(([table, count]) => `
+      <tr>
+        <td>${table}</td>
+        <td class="text-end">${count}</td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading database metrics:', error);
+    tableBody.innerHTML = '<tr><td colspan="2" class="text-danger"></td></tr>';
+    tableBody.querySelector('td').textContent = error.message;
+  }
+}
+
+// Describe the outcome of a maintenance action
+function describeMaintenanceResult(action, result) {
+  switch (action) {
+    case 'optimize':
+      return `Optimized: ${formatBackupSize(result.sizeBefore)} to ${formatBackupSize(result.sizeAfter)}`;
+    case 'repair': {
+      if (result.after.ok) {
+        return result.before.ok
+          ? 'No problems found. Indexes rebuilt.'
+          : 'Problems found and fixed by rebuilding the indexes.';
+      }
+      const problems = result.after.integrity.concat(
+        result.after.foreignKeyViolations.map(row => `${row.table} row ${row.rowid} references a missing ${row.parent} record`)
+      );
+      return `Problems remain after rebuilding the indexes; restore a backup:\n${problems.slice(0, 10).join('\n')}`;
+    }
+    case 'backup':
+      return `Saved ${formatBackupSize(result.size)} to ${result.path}`;
+    case 'restore':
+      return 'Database restored. A backup of the previous data was taken first. Reloading...';
+    default:
+      return 'Done';
+  }
+}
+
+// Run optimize, repair, backup or restore from the maintenance panel
+async function runMaintenanceAction(button) {
+  const action = button.dataset.maintenanceAction;
+  const output = document.getElementById('maintenance-result');
+  
+  if (action === 'restore' && !confirm(
+    'Replace the current database with a copy from a file?\n\n' +
+    'A backup of the current data is taken first, and all windows reload when the restore is complete.'
+  )) {
+    return;
+  }
+  
+  const calls = {
+    optimize: () => window.electronAPI.optimizeDatabase(),
+    repair: () => window.electronAPI.repairDatabase(),
+    backup: () => window.electronAPI.backupDatabase(),
+    restore: () => window.electronAPI.restoreDatabase()
+  };
+  
+  const buttons = document.querySelectorAll('[data-maintenance-action]');
+  const originalHTML = button.innerHTML;
+  
+  try {
+    buttons.forEach(other => { other.disabled = true; });
+    button.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i> Working...';
+    
+    const result = await calls[action]();
+    if (!result.success) {
+      if (result.error === 'Cancelled by user') return;
+      throw new Error(result.error);
+    }
+    
+    const failed = action === 'repair' && !result.after.ok;
+    output.className = `small mt-3 ${failed ? 'text-danger' : 'text-success'}`;
+    output.innerText = describeMaintenanceResult(action, result);
+    
+    if (action !== 'restore') {
+      await loadDatabaseMetrics();
+    }
+  } catch (error) {
+    console.error(`Error running ${action}:`, error);
+    output.className = 'small mt-3 text-danger';
+    output.innerText = error.message;
+    showNotification(`Maintenance failed: ${error.message}`, 'danger');
+  } finally {
+    buttons.forEach(other => { other.disabled = false; });
+    button.innerHTML = originalHTML;
+  }
+}
@@ -3,11 +3,26 @@
  * Handles inventory stock adjustments with tracking and history
  */
 
-// Initialize global adjustment history object
-window.adjustmentHistory = {};
+/**
+ * Labels for stock movement types shown in the history table
+ */
+const MOVEMENT_TYPE_LABELS = {
+  adjustment: 'Adjusted',
+  sale: 'Sale',
+  deletion: 'Deleted',
+  import: 'Imported',
+  initial: 'Opening Stock',
+  edit: 'Edited',
+  purchase: 'Goods Received',
+  return: 'Customer Return',
+  void: 'Sale Voided',
+  offcut: 'Offcut',
+  transfer: 'Transfer'
+};
 
 /**
  * Function to handle stock adjustment
+ * The main process applies the change and records it in the stock movement ledger
  * @param {Object} adjustmentData - The adjustment data
  * @returns {Promise<Object>} The updated item
  */
@@ -17,121 +32,28 @@ async function adjustInventoryStock(adjustmentData) {
       throw new Error('Missing item ID for stock adjustment');
     }
     
-    console.log('Processing stock adjustment:', adjustmentData);
-    
-    // First, check if we were provided with the current item directly
-    let currentItem = null;
-    let retrievalMethod = '';
-    
-    // Use the provided current item if available
-    if (adjustmentData.currentItem && adjustmentData.currentItem.id === adjustmentData.itemId) {
-      currentItem = adjustmentData.currentItem;
-      retrievalMethod = 'passed in adjustmentData';
-      console.log('Using current item provided in adjustment data:', currentItem);
-    }
-    
-    // If not, check the global inventory array
-    if (!currentItem && window.inventory) {
-      const itemFromInventory = window.inventory.find(item => item.id === adjustmentData.itemId);
-      if (itemFromInventory) {
-        currentItem = itemFromInventory;
-        retrievalMethod = 'global inventory array';
-        console.log('Found item in global inventory array:', currentItem);
-      }
-    }
-    
-    // If we still don't have the item, try to fetch it from the API
-    if (!currentItem && window.electronAPI && typeof window.electronAPI.getInventoryItem === 'function') {
-      try {
-        currentItem = await window.electronAPI.getInventoryItem(adjustmentData.itemId);
-        retrievalMethod = 'electronAPI.getInventoryItem';
-        console.log('Retrieved item from API:', currentItem);
-      } catch (apiError) {
-        console.error('Error getting item from API:', apiError);
-      }
+    if (!window.electronAPI || typeof window.electronAPI.adjustInventoryStock !== 'function') {
+      throw new Error('Stock adjustments are not available');
     }
     
-    // As a final fallback, try to find it in other global data sources
-    if (!currentItem && window.inventoryData) {
-      currentItem = window.inventoryData.find(item => item.id === adjustmentData.itemId);
-      retrievalMethod = 'window.inventoryData';
-      console.log('Found item in global inventoryData:', currentItem);
-    }
-    
-    // If we still couldn't find the item, throw an error
-    if (!currentItem) {
-      throw new Error('Failed to retrieve current item data');
-    }
-    
-    console.log(`Retrieved current item using ${retrievalMethod}:`, currentItem);
-    
-    // Calculate new quantity based on adjustment type
-    let newQuantity = parseInt(currentItem.quantity) || 0;
-    const adjustQty = parseInt(adjustmentData.quantity) || 0;
-    
-    switch (adjustmentData.type) {
-      case 'add':
-        newQuantity += adjustQty;
-        break;
-      case 'remove':
-        newQuantity = Math.max(0, newQuantity - adjustQty);
-        break;
-      case 'set':
-        newQuantity = Math.max(0, adjustQty);
-        break;
-      default:
-        throw new Error('Invalid adjustment type');
-    }
+    console.log('Processing stock adjustment:', adjustmentData);
     
-    // Create the adjustment record
-    const adjustmentRecord = {
-      id: Date.now().toString(),
+    const result = await window.electronAPI.adjustInventoryStock({
       itemId: adjustmentData.itemId,
-      date: new Date().toISOString(),
       type: adjustmentData.type,
-      quantityBefore: currentItem.quantity,
-      quantityAfter: newQuantity,
-      adjustmentQuantity: adjustQty,
+      quantity: adjustmentData.quantity,
       reason: adjustmentData.reason,
       notes: adjustmentData.notes,
-      user: 'Current User' // In a real app, this would be the logged-in user
-    };
+      locationId: adjustmentData.locationId
+    });
     
-    // Store the adjustment record
-    if (!window.adjustmentHistory[adjustmentData.itemId]) {
-      window.adjustmentHistory[adjustmentData.itemId] = [];
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to save the updated quantity');
     }
-    window.adjustmentHistory[adjustmentData.itemId].unshift(adjustmentRecord);
-    
-    // Save to localStorage for persistence
-    try {
-      localStorage.setItem('adjustment_history', JSON.stringify(window.adjustmentHistory));
-    } catch (storageError) {
-      console.warn('Could not save adjustment history to localStorage:', storageError);
-    }
-    
-    // Update the item with new quantity
-    const updatedItem = { 
-      ...currentItem, 
-      quantity: newQuantity, 
-      updatedAt: new Date().toISOString() 
-    };
     
+    const updatedItem = result.item;
     console.log('Updated item with new quantity:', updatedItem);
     
-    // Save the updated item to the database
-    if (window.electronAPI && typeof window.electronAPI.updateInventoryItem === 'function') {
-      try {
-        const result = await window.electronAPI.updateInventoryItem(updatedItem);
-        console.log('Item updated in database:', result);
-      } catch (updateError) {
-        console.error('Error updating item in database:', updateError);
-        throw new Error(`Failed to save the updated quantity: ${updateError.message}`);
-      }
-    } else {
-      console.warn('electronAPI.updateInventoryItem not available, changes may not persist');
-    }
-    
     // Update the item in the global inventory array if it exists
     if (window.inventory) {
       const itemIndex = window.inventory.findIndex(item => item.id === adjustmentData.itemId);
@@ -149,24 +71,22 @@ async function adjustInventoryStock(adjustmentData) {
 }
 
 /**
- * Get adjustment history for an item
+ * Get stock movement history for an item from the ledger
  * @param {string} itemId - The item ID
- * @returns {Array} Array of adjustment records
+ * @returns {Promise<Array>} Array of stock movements, newest first
  */
-function getAdjustmentHistory(itemId) {
-  // Load history from localStorage if not already loaded
-  if (Object.keys(window.adjustmentHistory).length === 0) {
-    try {
-      const savedHistory = localStorage.getItem('adjustment_history');
-      if (savedHistory) {
-        window.adjustmentHistory = JSON.parse(savedHistory);
-      }
-    } catch (error) {
-      console.error('Error loading adjustment history from localStorage:', error);
-    }
+async function getAdjustmentHistory(itemId) {
+  if (!window.electronAPI || typeof window.electronAPI.getStockMovements !== 'function') {
+    console.warn('electronAPI.getStockMovements not available');
+    return [];
   }
   
-  return (window.adjustmentHistory[itemId] || []);
+  try {
+    return await window.electronAPI.getStockMovements({ itemId }) || [];
+  } catch (error) {
+    console.error('Error loading stock movement history:', error);
+    return [];
+  }
 }
 
 /**
@@ -193,9 +113,10 @@ async function handleSaveAdjustment(event) {
   try {
     const itemId = document.getElementById('edit-item-id').value;
     const adjustmentType = document.querySelector('input[name="adjustment-type"]:checked').value;
-    const quantity = parseInt(document.getElementById('adjustment-quantity').value);
+    const quantity = parseFloat(document.getElementById('adjustment-quantity').value);
     const reason = document.getElementById('adjustment-reason').value;
     const notes = document.getElementById('adjustment-notes').value;
+    const locationId = document.getElementById('adjustment-location')?.value || undefined;
     
     // Validate inputs
     if (!itemId) {
@@ -230,6 +151,7 @@ async function handleSaveAdjustment(event) {
         quantity,
         reason,
         notes,
+        locationId,
         date: new Date().toISOString(),
         currentItem: currentItem
       };
@@ -312,27 +234,32 @@ async function handleSaveAdjustment(event) {
  */
 function updateAdjustmentPreview() {
   const adjustmentType = document.querySelector('input[name="adjustment-type"]:checked').value;
-  const quantity = parseInt(document.getElementById('adjustment-quantity').value) || 0;
+  const quantity = parseFloat(document.getElementById('adjustment-quantity').value) || 0;
   
   // Get current quantity from the display element, which should always be in sync
-  const currentQuantity = parseInt(document.getElementById('current-quantity').textContent) || 0;
+  const currentQuantity = parseFloat(document.getElementById('current-quantity').textContent) || 0;
   const unit = document.getElementById('current-unit').textContent || 'pieces';
   
+  // Removing and setting stock only touch the stock at the chosen location
+  const locationSelect = document.getElementById('adjustment-location');
+  const locationName = locationSelect && locationSelect.selectedIndex >= 0 ? locationSelect.options[locationSelect.selectedIndex].text : '';
+  const at = locationName ? ` at ${locationName}` : '';
+  
   let previewText = '';
   let previewClass = 'alert-info';
   
   switch (adjustmentType) {
     case 'add':
-      previewText = `Adding ${quantity} ${unit} to current stock. New total will be ${currentQuantity + quantity} ${unit}.`;
+      previewText = `Adding ${quantity} ${unit}${at}. New total will be ${currentQuantity + quantity} ${unit}.`;
       previewClass = 'alert-success';
       break;
     case 'remove':
       const newTotal = Math.max(0, currentQuantity - quantity);
-      previewText = `Removing ${quantity} ${unit} from current stock. New total will be ${newTotal} ${unit}.`;
+      previewText = `Removing ${quantity} ${unit}${at}. New total will be at least ${newTotal} ${unit}.`;
       previewClass = quantity > currentQuantity ? 'alert-danger' : 'alert-warning';
       break;
     case 'set':
-      previewText = `Setting stock to exactly ${quantity} ${unit} (current: ${currentQuantity} ${unit}).`;
+      previewText = `Setting stock${at} to exactly ${quantity} ${unit} (total now: ${currentQuantity} ${unit}).`;
       previewClass = quantity < currentQuantity ? 'alert-warning' : 'alert-info';
       break;
   }
@@ -365,33 +292,34 @@ function updateStockStatusBadge(quantity, threshold) {
 }
 
 /**
- * Load adjustment history for an item into the history table
+ * Load stock movement history for an item into the history table
  * @param {string} itemId - The item ID
  */
-function loadAdjustmentHistory(itemId) {
+async function loadAdjustmentHistory(itemId) {
   const historyTable = document.getElementById('adjustment-history-tbody');
-  const history = getAdjustmentHistory(itemId);
+  if (!historyTable) return;
+  
+  const history = await getAdjustmentHistory(itemId);
   
   if (!history || history.length === 0) {
     historyTable.innerHTML = `<tr><td colspan="6" class="text-center">No adjustment history found</td></tr>`;
     return;
   }
   
-  // Sort by date (newest first)
-  history.sort((a, b) => new Date(b.date) - new Date(a.date));
-  
   // Create table rows
   let html = '';
   history.forEach(record => {
-    const typeText = record.type === 'add' ? 'Added' : (record.type === 'remove' ? 'Removed' : 'Set to');
-    const typeClass = record.type === 'add' ? 'text-success' : (record.type === 'remove' ? 'text-danger' : 'text-primary');
+    const change = record.quantity_change || 0;
+    const typeText = MOVEMENT_TYPE_LABELS[record.movement_type] || record.movement_type;
+    const typeClass = change > 0 ? 'text-success' : (change < 0 ? 'text-danger' : 'text-primary');
+    const changeText = change > 0 ? `+${change}` : `${change}`;
     
     html += `
       <tr>
-        <td>${formatDate(record.date)}</td>
+        <td>${formatDate(record.created_at)}</td>
         <td class="${typeClass}">${typeText}</td>
-        <td>${record.adjustmentQuantity} (${record.quantityBefore} → ${record.quantityAfter})</td>
-        <td>${record.reason}</td>
+        <td>${changeText} (${record.quantity_before} → ${record.quantity_after})</td>
+        <td>${record.reason || '-'}</td>
         <td>${record.notes || '-'}</td>
         <td>${record.user || 'System'}</td>
       </tr>
@@ -460,6 +388,15 @@ function showEditModal(item) {
     document.getElementById('edit-item-price').value = item.price || 0;
     document.getElementById('edit-item-alert').value = item.alertThreshold || 10;
     document.getElementById('edit-item-notes').value = item.notes || '';
+    document.getElementById('edit-item-tax-class').value = item.taxClass || item.tax_class || '';
+    
+    // Attribute fields of the item's category, with its values
+    if (window.ProductTypes) {
+      window.ProductTypes.renderAttributeFields('edit-item-attributes', item.category, item.attributes || {});
+    }
+    if (window.ItemUnits) {
+      window.ItemUnits.renderUnitConversions('edit-item-unit-conversions', window.ItemUnits.getUnitConversions(item));
+    }
     
     // Update stock adjustment info
     document.getElementById('current-quantity').textContent = item.quantity || 0;
@@ -643,21 +580,6 @@ async function handleSaveItemChanges() {
 document.addEventListener('DOMContentLoaded', function() {
   console.log('Initializing stock adjustment module');
   
-  // Initialize adjustment history from localStorage
-  try {
-    const savedHistory = localStorage.getItem('adjustment_history');
-    if (savedHistory) {
-      window.adjustmentHistory = JSON.parse(savedHistory);
-      console.log('Loaded adjustment history from localStorage');
-    } else {
-      window.adjustmentHistory = {};
-      console.log('No adjustment history found in localStorage, initialized empty object');
-    }
-  } catch (error) {
-    console.error('Error loading adjustment history from localStorage:', error);
-    window.adjustmentHistory = {};
-  }
-  
   // Set up event listeners for the adjustment form
   const adjustmentForm = document.getElementById('stock-adjustment-form');
   if (adjustmentForm) {
@@ -678,6 +600,11 @@ document.addEventListener('DOMContentLoaded', function() {
     radio.addEventListener('change', updateAdjustmentPreview);
   });
   console.log('Added change event listeners to adjustment type radios');
+  
+  const adjustmentLocation = document.getElementById('adjustment-location');
+  if (adjustmentLocation) {
+    adjustmentLocation.addEventListener('change', updateAdjustmentPreview);
+  }
 });
 
 // Export functions to global scope
@@ -0,0 +1,576 @@
+/**
+ * stock-locations.js
+ * Manages the places stock is kept and the transfers that move it between them. Also fills
+ * every location picker on the page: selects marked data-location-select="filter" list all
+ * locations after an "All Locations" option, and those marked "open" list the open ones.
+ * A select with data-location-remember keeps its choice in localStorage under that key.
+ */
+
+/**
+ * Labels and badge colours for transfer statuses
+ */
+const TRANSFER_STATUS_LABELS = {
+  draft: { text: 'Draft', badge: 'bg-secondary' },
+  in_transit: { text: 'In Transit', badge: 'bg-warning' },
+  received: { text: 'Received', badge: 'bg-success' },
+  cancelled: { text: 'Cancelled', badge: 'bg-danger' }
+};
+
+// Locations as last loaded from the main process
+let stockLocations = [];
+
+// Transfers shown in the list, for the cancel dialog
+let listedTransfers = [];
+
+// Inventory the transfer editor picks items from
+let transferInventory = [];
+
+/**
+ * Show a notification, falling back to alert()
+ * @param {string} message - Message text
+ * @param {string} type - 'success', 'error', 'warning' or 'info'
+ * @param {string} title - Notification title
+ */
+function showLocationMessage(message, type, title) {
+  if (window.NotificationSystem) {
+    window.NotificationSystem.show(message, { type, title });
+  } else {
+    alert(message);
+  }
+}
+
+/**
+ * Name of a location
+ * @param {string} locationId - Location ID
+ * @returns {string} Location name, or the ID for a location that no longer exists
+ */
+function getLocationName(locationId) {
+  const location = stockLocations.find(existing => existing.id === locationId);
+  return location ? location.name : locationId || '';
+}
+
+/**
+ * Describe where an item's stock is, for the quantity tooltip
+ * @param {Object} item - Inventory item with locationStock
+ * @returns {string} e.g. "Shop Front: 12, Yard Warehouse: 40"
+ */
+function describeLocationStock(item) {
+  return Object.entries(item.locationStock || {})
+    .map(([locationId, quantity]) => `${getLocationName(locationId)}: ${quantity}`)
+    .join(', ');
+}
+
+/**
+ * The items stocked at a location, each seen from there. Matches what the main process
+ * returns when it searches one location.
+ * @param {Array} items - Inventory items with locationStock
+ * @param {string} locationId - Location ID
+ * @returns {Array<Object>} Items whose quantity is the stock at the location
+ */
+function viewItemsAtLocation(items, locationId) {
+  return items
+    .filter(item => item.locationStock && item.locationStock[locationId] !== undefined)
+    .map(item => {
+      const quantity = item.locationStock[locationId] || 0;
+      const available = item.availableQuantity === undefined ? quantity : Math.min(quantity, item.availableQuantity);
+      return { ...item, quantity, availableQuantity: available, totalQuantity: parseFloat(item.quantity) || 0 };
+    });
+}
+
+/**
+ * Fill every location select on the page, keeping each one's current choice. A select
+ * whose choice changes as a result fires a change event so the page can follow it.
+ */
+function populateLocationSelects() {
+  document.querySelectorAll('select[data-location-select]').forEach(select => {
+    const isFilter = select.dataset.locationSelect === 'filter';
+    const rememberKey = select.dataset.locationRemember;
+    const before = select.value;
+    const current = before || (rememberKey ? localStorage.getItem(rememberKey) : '') || '';
+    const listed = isFilter ? stockLocations : stockLocations.filter(location => location.active);
+
+    const options = listed.map(location => {
+      const label = `${Utils.escapeHTML(location.name)}${location.active ? '' : ' (closed)'}`;
+      return `<option value="${Utils.escapeHTML(location.id)}">${label}</option>`;
+    }).join('');
+    select.innerHTML = (isFilter ? '<option value="">All Locations</option>' : '') + options;
+
+    if (listed.some(location => location.id === current)) {
+      select.value = current;
+    }
+    if (select.value !== before) {
+      select.dispatchEvent(new Event('change'));
+    }
+  });
+}
+
+/**
+ * Load the locations and refresh the selects that list them
+ * @returns {Promise<Array>} Locations
+ */
+async function loadStockLocations() {
+  const result = await window.electronAPI.getLocations();
+  if (result && result.success) {
+    stockLocations = result.locations;
+    populateLocationSelects();
+  }
+  return stockLocations;
+}
+
+/**
+ * Load the locations list with what each one holds and how much of it is running low
+ */
+async function loadLocationList() {
+  const tbody = document.getElementById('locations-table-body');
+  if (!tbody) return;
+
+  await loadStockLocations();
+  const inventory = await window.electronAPI.getInventory() || [];
+  const lowStock = await Promise.all(stockLocations.map(location => window.electronAPI.getLowStockItems(location.id)));
+
+  if (stockLocations.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="text-center">No locations found</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = stockLocations.map((location, index) => {
+    const stocked = inventory.filter(item => (item.locationStock || {})[location.id] > 0).length;
+    const low = (lowStock[index] || []).length;
+
+    return `
+      <tr>
+        <td>${Utils.escapeHTML(location.name)}</td>
+        <td>${Utils.escapeHTML(location.address || '-')}</td>
+        <td>${stocked}</td>
+        <td>${low > 0 ? `<span class="badge bg-warning">${low}</span>` : '0'}</td>
+        <td><span class="badge ${location.active ? 'bg-success' : 'bg-secondary'}">${location.active ? 'Open' : 'Closed'}</span></td>
+        <td class="actions">
+          <button class="btn btn-sm btn-icon btn-info" onclick="showLocationInInventory('${location.id}')" title="Show stock here"><i class="fas fa-filter"></i></button>
+          <button class="btn btn-sm btn-icon btn-primary" onclick="editLocation('${location.id}')" title="Edit"><i class="fas fa-edit"></i></button>
+          <button class="btn btn-sm btn-icon ${location.active ? 'btn-danger' : 'btn-success'}" onclick="toggleLocationOpen('${location.id}')" title="${location.active ? 'Close location' : 'Reopen location'}"><i class="fas ${location.active ? 'fa-lock' : 'fa-lock-open'}"></i></button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Put a location in the form for editing
+ * @param {string} locationId - Location ID
+ */
+function editLocation(locationId) {
+  const location = stockLocations.find(existing => existing.id === locationId);
+  if (!location) return;
+
+  document.getElementById('location-id').value = location.id;
+  document.getElementById('location-name').value = location.name;
+  document.getElementById('location-address').value = location.address || '';
+  document.getElementById('location-name').focus();
+}
+
+/**
+ * Save a location and refresh the list
+ * @param {Object} location - id, name, address and active
+ * @returns {Promise<boolean>} Whether it was saved
+ */
+async function saveLocation(location) {
+  try {
+    const result = await window.electronAPI.saveLocation(location);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to save location');
+    }
+
+    stockLocations = result.locations;
+    populateLocationSelects();
+    await loadLocationList();
+    showLocationMessage(`${result.location.name} saved`, 'success', 'Location Saved');
+    return true;
+  } catch (error) {
+    console.error('Error saving location:', error);
+    showLocationMessage(`Error: ${error.message}`, 'error', 'Location Not Saved');
+    return false;
+  }
+}
+
+/**
+ * Save the location in the form
+ * @param {Event} event - The submit event
+ */
+async function handleSaveLocation(event) {
+  event.preventDefault();
+
+  const id = document.getElementById('location-id').value;
+  const existing = stockLocations.find(location => location.id === id);
+  const saved = await saveLocation({
+    id: id || undefined,
+    name: document.getElementById('location-name').value,
+    address: document.getElementById('location-address').value,
+    active: existing ? existing.active : true
+  });
+
+  if (saved) {
+    document.getElementById('location-form').reset();
+    document.getElementById('location-id').value = '';
+  }
+}
+
+/**
+ * Close an open location or reopen a closed one
+ * @param {string} locationId - Location ID
+ */
+async function toggleLocationOpen(locationId) {
+  const location = stockLocations.find(existing => existing.id === locationId);
+  if (!location) return;
+
+  if (location.active && !confirm(`Close ${location.name}? Stock can no longer be sold, received or transferred there.`)) {
+    return;
+  }
+
+  await saveLocation({ ...location, active: !location.active });
+}
+
+/**
+ * Filter the inventory table to one location and close the dialog
+ * @param {string} locationId - Location ID
+ */
+function showLocationInInventory(locationId) {
+  const filter = document.getElementById('filter-location');
+  if (!filter) return;
+
+  filter.value = locationId;
+  filter.dispatchEvent(new Event('change'));
+
+  const modal = bootstrap.Modal.getInstance(document.getElementById('locationsModal'));
+  if (modal) modal.hide();
+}
+
+/**
+ * Load transfers into the list, applying the status filter
+ */
+async function loadTransferList() {
+  const tbody = document.getElementById('transfers-table-body');
+  if (!tbody) return;
+
+  const status = document.getElementById('transfer-status-filter').value;
+  listedTransfers = await window.electronAPI.getStockTransfers(status ? { status } : {}) || [];
+
+  if (listedTransfers.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="9" class="text-center">No transfers found</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = listedTransfers.map(transfer => {
+    const statusInfo = TRANSFER_STATUS_LABELS[transfer.status] || { text: transfer.status, badge: 'bg-secondary' };
+    const lines = (transfer.items || []).map(line => `${line.quantity} ${line.item_description}`).join(', ');
+    const open = transfer.status === 'draft' || transfer.status === 'in_transit';
+
+    return `
+      <tr>
+        <td>${Utils.escapeHTML(transfer.transfer_number)}</td>
+        <td>${new Date(transfer.created_at).toLocaleDateString()}</td>
+        <td>${Utils.escapeHTML(getLocationName(transfer.from_location_id))}</td>
+        <td>${Utils.escapeHTML(getLocationName(transfer.to_location_id))}</td>
+        <td title="${Utils.escapeHTML(lines)}">${(transfer.items || []).length}</td>
+        <td>${Utils.escapeHTML(transfer.dispatched_by || '-')}</td>
+        <td>${Utils.escapeHTML(transfer.received_by || '-')}</td>
+        <td><span class="badge ${statusInfo.badge}" title="${Utils.escapeHTML(transfer.cancel_reason || '')}">${statusInfo.text}</span></td>
+        <td class="actions">
+          ${transfer.status === 'draft' ? `<button class="btn btn-sm btn-icon btn-primary" onclick="openTransferEditor('${transfer.id}')" title="Edit"><i class="fas fa-edit"></i></button>` : ''}
+          ${transfer.status === 'draft' ? `<button class="btn btn-sm btn-icon btn-info" onclick="dispatchTransfer('${transfer.id}')" title="Dispatch"><i class="fas fa-truck"></i></button>` : ''}
+          ${transfer.status === 'in_transit' ? `<button class="btn btn-sm btn-icon btn-success" onclick="receiveTransfer('${transfer.id}')" title="Confirm received"><i class="fas fa-check"></i></button>` : ''}
+          ${open ? `<button class="btn btn-sm btn-icon btn-danger" onclick="openCancelTransfer('${transfer.id}')" title="Cancel transfer"><i class="fas fa-ban"></i></button>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Show how much of each line's item is at the location the transfer leaves from
+ */
+function updateTransferSourceStock() {
+  const fromId = document.getElementById('transfer-from').value;
+  document.querySelectorAll('#transfer-lines-body tr').forEach(row => {
+    const item = transferInventory.find(existing => existing.id === row.querySelector('.transfer-line-item').value);
+    row.querySelector('.transfer-line-stock').textContent = item ? (item.locationStock || {})[fromId] || 0 : '-';
+  });
+}
+
+/**
+ * Add a line to the transfer editor
+ * @param {Object} [line] - Existing line to populate
+ */
+function addTransferLine(line = {}) {
+  const tbody = document.getElementById('transfer-lines-body');
+  const row = document.createElement('tr');
+
+  const options = transferInventory.map(item => {
+    const selected = item.id === line.item_id ? 'selected' : '';
+    const dimension = item.dimension || item.dimensions;
+    return `<option value="${item.id}" ${selected}>${Utils.escapeHTML(item.description)}${dimension ? ` (${Utils.escapeHTML(dimension)})` : ''}</option>`;
+  }).join('');
+
+  row.innerHTML = `
+    <td>
+      <select class="form-select transfer-line-item" required>
+        <option value="">Select Item</option>
+        ${options}
+      </select>
+    </td>
+    <td class="transfer-line-stock">-</td>
+    <td><input type="number" class="form-control transfer-line-quantity" min="0" step="any" value="${line.quantity || ''}" required></td>
+    <td>
+      <button type="button" class="btn btn-sm btn-icon btn-danger transfer-line-remove" title="Remove line">
+        <i class="fas fa-times"></i>
+      </button>
+    </td>
+  `;
+
+  row.querySelector('.transfer-line-item').addEventListener('change', updateTransferSourceStock);
+  row.querySelector('.transfer-line-remove').addEventListener('click', () => row.remove());
+
+  tbody.appendChild(row);
+  updateTransferSourceStock();
+}
+
+/**
+ * Open the transfer editor, blank or for a draft transfer
+ * @param {string} [transferId] - Transfer to edit
+ */
+async function openTransferEditor(transferId) {
+  try {
+    transferInventory = await window.electronAPI.getInventory() || [];
+    await loadStockLocations();
+
+    const transfer = transferId ? listedTransfers.find(existing => existing.id === transferId) : null;
+
+    document.getElementById('transfer-editor-form').reset();
+    document.getElementById('transfer-id').value = transfer ? transfer.id : '';
+    document.getElementById('transfer-editor-title').textContent = transfer ? `Edit ${transfer.transfer_number}` : 'New Transfer';
+
+    // A new transfer usually brings stock from the warehouse to the shop
+    const from = document.getElementById('transfer-from');
+    const to = document.getElementById('transfer-to');
+    const openLocations = stockLocations.filter(location => location.active);
+    from.value = transfer ? transfer.from_location_id : (openLocations[1] || openLocations[0] || {}).id || '';
+    to.value = transfer ? transfer.to_location_id : (openLocations[0] || {}).id || '';
+    document.getElementById('transfer-notes').value = transfer ? transfer.notes || '' : '';
+
+    document.getElementById('transfer-lines-body').innerHTML = '';
+    if (transfer && transfer.items) {
+      transfer.items.forEach(line => addTransferLine(line));
+    } else {
+      addTransferLine();
+    }
+
+    const modal = new bootstrap.Modal(document.getElementById('transferEditorModal'));
+    modal.show();
+  } catch (error) {
+    console.error('Error opening transfer editor:', error);
+    showLocationMessage(`Error: ${error.message}`, 'error', 'Stock Transfer');
+  }
+}
+
+/**
+ * Save the transfer in the editor as a draft, dispatching it straight away if asked
+ * @param {boolean} dispatch - Whether to dispatch the transfer once saved
+ */
+async function saveTransferFromEditor(dispatch) {
+  try {
+    const items = Array.from(document.querySelectorAll('#transfer-lines-body tr')).map(row => ({
+      item_id: row.querySelector('.transfer-line-item').value,
+      quantity: row.querySelector('.transfer-line-quantity').value
+    }));
+
+    const result = await window.electronAPI.saveStockTransfer({
+      id: document.getElementById('transfer-id').value || undefined,
+      from_location_id: document.getElementById('transfer-from').value,
+      to_location_id: document.getElementById('transfer-to').value,
+      notes: document.getElementById('transfer-notes').value,
+      items
+    });
+
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to save transfer');
+    }
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('transferEditorModal'));
+    if (modal) modal.hide();
+
+    if (dispatch) {
+      await dispatchTransfer(result.transfer.id);
+    } else {
+      await loadTransferList();
+      showLocationMessage(`Transfer ${result.transfer.transfer_number} saved as a draft`, 'success', 'Transfer Saved');
+    }
+  } catch (error) {
+    console.error('Error saving transfer:', error);
+    showLocationMessage(`Error: ${error.message}`, 'error', 'Transfer Not Saved');
+  }
+}
+
+/**
+ * Refresh the transfer list and the inventory table after stock has moved
+ */
+async function refreshAfterTransfer() {
+  await loadTransferList();
+  if (typeof window.refreshInventoryData === 'function') {
+    await window.refreshInventoryData(false);
+  }
+}
+
+/**
+ * Send a draft transfer, taking its stock off the shelf at the source
+ * @param {string} transferId - Transfer ID
+ */
+async function dispatchTransfer(transferId) {
+  try {
+    const result = await window.electronAPI.dispatchStockTransfer(transferId);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to dispatch transfer');
+    }
+
+    await refreshAfterTransfer();
+    const transfer = result.transfer;
+    showLocationMessage(`${transfer.transfer_number} is on its way to ${getLocationName(transfer.to_location_id)}`, 'success', 'Transfer Dispatched');
+  } catch (error) {
+    console.error('Error dispatching transfer:', error);
+    await loadTransferList();
+    showLocationMessage(`Error: ${error.message}`, 'error', 'Dispatch Transfer');
+  }
+}
+
+/**
+ * Confirm a transfer has arrived, putting its stock on the shelf at the destination
+ * @param {string} transferId - Transfer ID
+ */
+async function receiveTransfer(transferId) {
+  const transfer = listedTransfers.find(existing => existing.id === transferId);
+  if (transfer && !confirm(`Confirm everything on ${transfer.transfer_number} has arrived at ${getLocationName(transfer.to_location_id)}?`)) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.receiveStockTransfer(transferId);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to receive transfer');
+    }
+
+    await refreshAfterTransfer();
+    showLocationMessage(`${result.transfer.transfer_number} received at ${getLocationName(result.transfer.to_location_id)}`, 'success', 'Transfer Received');
+  } catch (error) {
+    console.error('Error receiving transfer:', error);
+    showLocationMessage(`Error: ${error.message}`, 'error', 'Receive Transfer');
+  }
+}
+
+/**
+ * Open the cancel dialog for a transfer in the list
+ * @param {string} transferId - Transfer ID
+ */
+function openCancelTransfer(transferId) {
+  const transfer = listedTransfers.find(existing => existing.id === transferId);
+  if (!transfer) return;
+
+  document.getElementById('cancel-transfer-id').value = transfer.id;
+  document.getElementById('cancel-transfer-summary').textContent = transfer.status === 'in_transit'
+    ? `${transfer.transfer_number} has left ${getLocationName(transfer.from_location_id)}. Cancelling puts its stock back there; say why.`
+    : `${transfer.transfer_number} has not been dispatched and will be discarded.`;
+  document.getElementById('cancel-transfer-reason').value = '';
+
+  const modal = new bootstrap.Modal(document.getElementById('cancelTransferModal'));
+  modal.show();
+}
+
+/**
+ * Cancel the transfer in the cancel dialog
+ */
+async function confirmCancelTransfer() {
+  const button = document.getElementById('confirm-cancel-transfer-btn');
+  const originalText = button.innerHTML;
+
+  try {
+    button.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Cancelling...';
+    button.disabled = true;
+
+    const result = await window.electronAPI.cancelStockTransfer({
+      transferId: document.getElementById('cancel-transfer-id').value,
+      reason: document.getElementById('cancel-transfer-reason').value
+    });
+
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to cancel transfer');
+    }
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('cancelTransferModal'));
+    if (modal) modal.hide();
+
+    await refreshAfterTransfer();
+    showLocationMessage(`${result.transfer.transfer_number} cancelled`, 'success', 'Transfer Cancelled');
+  } catch (error) {
+    console.error('Error cancelling transfer:', error);
+    showLocationMessage(`Error: ${error.message}`, 'error', 'Cancel Transfer');
+  } finally {
+    button.innerHTML = originalText;
+    button.disabled = false;
+  }
+}
+
+// Initialize the locations module when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  if (!window.electronAPI || typeof window.electronAPI.getLocations !== 'function') {
+    return;
+  }
+
+  document.querySelectorAll('select[data-location-remember]').forEach(select => {
+    select.addEventListener('change', () => localStorage.setItem(select.dataset.locationRemember, select.value));
+  });
+  loadStockLocations();
+
+  if (typeof window.electronAPI.onLocationsUpdated === 'function') {
+    window.electronAPI.onLocationsUpdated(locations => {
+      stockLocations = locations || [];
+      populateLocationSelects();
+    });
+  }
+
+  const locationsModal = document.getElementById('locationsModal');
+  if (!locationsModal) {
+    return;
+  }
+
+  locationsModal.addEventListener('show.bs.modal', () => {
+    loadLocationList();
+    loadTransferList();
+  });
+
+  document.getElementById('transfer-status-filter').addEventListener('change', loadTransferList);
+  document.getElementById('new-transfer-btn').addEventListener('click', () => openTransferEditor());
+  document.getElementById('add-transfer-line').addEventListener('click', () => addTransferLine());
+  document.getElementById('transfer-from').addEventListener('change', updateTransferSourceStock);
+  document.getElementById('save-transfer-draft').addEventListener('click', () => saveTransferFromEditor(false));
+  document.getElementById('save-transfer-dispatch').addEventListener('click', () => saveTransferFromEditor(true));
+  document.getElementById('confirm-cancel-transfer-btn').addEventListener('click', confirmCancelTransfer);
+  document.getElementById('location-form').addEventListener('submit', handleSaveLocation);
+  document.getElementById('reset-location-form').addEventListener('click', () => {
+    document.getElementById('location-form').reset();
+    document.getElementById('location-id').value = '';
+  });
+
+  if (typeof window.electronAPI.onStockTransferUpdated === 'function') {
+    window.electronAPI.onStockTransferUpdated(() => {
+      if (locationsModal.classList.contains('show')) {
+        loadTransferList();
+      }
+    });
+  }
+});
+
+// Export functions to global scope
+window.StockLocations = {
+  loadStockLocations,
+  getLocationName,
+  describeLocationStock,
+  viewItemsAtLocation,
+  openTransferEditor
+};
@@ -0,0 +1,230 @@
+/**
+ * stock-reservations.js
+ * Reserves stock for customer orders on the inventory page and releases it again
+ */
+
+/**
+ * Labels and badge colours for reservation statuses
+ */
+const RESERVATION_STATUS_LABELS = {
+  active: { text: 'Active', badge: 'bg-success' },
+  expired: { text: 'Expired', badge: 'bg-secondary' },
+  fulfilled: { text: 'Fulfilled', badge: 'bg-info' },
+  released: { text: 'Released', badge: 'bg-warning' }
+};
+
+// Days stock is held when no other date is entered; the main process applies the same default
+const RESERVATION_HOLD_DAYS = 7;
+
+// Reservations shown in the list, for the release dialog
+let listedReservations = [];
+
+/**
+ * Show a notification, falling back to alert()
+ * @param {string} message - Message text
+ * @param {string} type - 'success', 'error', 'warning' or 'info'
+ * @param {string} title - Notification title
+ */
+function showReservationMessage(message, type, title) {
+  if (window.NotificationSystem) {
+    window.NotificationSystem.show(message, { type, title });
+  } else {
+    alert(message);
+  }
+}
+
+/**
+ * Default hold-until date for a new reservation, in local time
+ * @returns {string} YYYY-MM-DD
+ */
+function getDefaultHoldUntil() {
+  const date = new Date();
+  date.setDate(date.getDate() + RESERVATION_HOLD_DAYS);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Load reservations into the list, applying the status filter
+ */
+async function loadReservationList() {
+  const tbody = document.getElementById('reservations-table-body');
+  if (!tbody) return;
+
+  const status = document.getElementById('reservation-status-filter').value;
+  listedReservations = await window.electronAPI.getReservations(status ? { status } : {}) || [];
+
+  if (listedReservations.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="9" class="text-center">No reservations found</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = listedReservations.map(reservation => {
+    const statusInfo = RESERVATION_STATUS_LABELS[reservation.status] || { text: reservation.status, badge: 'bg-secondary' };
+
+    return `
+      <tr>
+        <td>${Utils.escapeHTML(reservation.item_description)}</td>
+        <td>${Utils.escapeHTML(reservation.customer_name)}</td>
+        <td>${reservation.quantity}</td>
+        <td>${reservation.fulfilled_quantity || 0}</td>
+        <td>${new Date(`${reservation.expires_at}T00:00:00`).toLocaleDateString()}</td>
+        <td>${Utils.escapeHTML(reservation.reference || '-')}</td>
+        <td>${Utils.escapeHTML(reservation.created_by || 'System')}</td>
+        <td><span class="badge ${statusInfo.badge}" title="${Utils.escapeHTML(reservation.release_reason || '')}">${statusInfo.text}</span></td>
+        <td class="actions">
+          ${reservation.status === 'active' ? `<button class="btn btn-sm btn-icon btn-danger" onclick="openReleaseReservation('${reservation.id}')" title="Release stock"><i class="fas fa-unlock"></i></button>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Open the reserve stock dialog for an inventory item
+ * @param {Object} item - Inventory item with reservedQuantity and availableQuantity
+ */
+async function openReserveStock(item) {
+  try {
+    const customers = await window.electronAPI.getCustomers() || [];
+    const customerSelect = document.getElementById('reserve-customer');
+    customerSelect.innerHTML = '<option value="">Select a customer</option>' + customers
+      .map(customer => `<option value="${customer.id}">${Utils.escapeHTML(customer.name)}</option>`)
+      .join('');
+
+    const available = item.availableQuantity !== undefined ? item.availableQuantity : item.quantity;
+    document.getElementById('reserve-stock-form').reset();
+    document.getElementById('reserve-item-id').value = item.id;
+    document.getElementById('reserve-item-name').textContent = item.dimension ? `${item.description} (${item.dimension})` : item.description;
+    document.getElementById('reserve-on-hand').textContent = item.quantity || 0;
+    document.getElementById('reserve-reserved').textContent = item.reservedQuantity || 0;
+    document.getElementById('reserve-available').textContent = available || 0;
+    document.getElementById('reserve-quantity').max = available || 0;
+    document.getElementById('reserve-expires-at').value = getDefaultHoldUntil();
+
+    const modal = new bootstrap.Modal(document.getElementById('reserveStockModal'));
+    modal.show();
+  } catch (error) {
+    console.error('Error opening reserve stock dialog:', error);
+    showReservationMessage(`Error: ${error.message}`, 'error', 'Reserve Stock');
+  }
+}
+
+/**
+ * Save the reservation entered in the reserve stock dialog
+ * @param {Event} event - The submit event
+ */
+async function handleSaveReservation(event) {
+  event.preventDefault();
+
+  const button = document.getElementById('save-reservation-btn');
+  const originalText = button.innerHTML;
+
+  try {
+    const customerSelect = document.getElementById('reserve-customer');
+    const customerOption = customerSelect.options[customerSelect.selectedIndex];
+
+    button.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Saving...';
+    button.disabled = true;
+
+    const result = await window.electronAPI.createReservation({
+      itemId: document.getElementById('reserve-item-id').value,
+      customerId: customerSelect.value,
+      customerName: customerSelect.value ? customerOption.textContent : '',
+      quantity: document.getElementById('reserve-quantity').value,
+      expiresAt: document.getElementById('reserve-expires-at').value,
+      reference: document.getElementById('reserve-reference').value,
+      notes: document.getElementById('reserve-notes').value
+    });
+
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to reserve stock');
+    }
+
+    // The inventory table refreshes itself when the reservation is broadcast
+    const modal = bootstrap.Modal.getInstance(document.getElementById('reserveStockModal'));
+    if (modal) modal.hide();
+
+    const reservation = result.reservation;
+    showReservationMessage(`${reservation.quantity} ${reservation.item_description} reserved for ${reservation.customer_name}`, 'success', 'Stock Reserved');
+  } catch (error) {
+    console.error('Error reserving stock:', error);
+    showReservationMessage(`Error: ${error.message}`, 'error', 'Reserve Stock');
+  } finally {
+    button.innerHTML = originalText;
+    button.disabled = false;
+  }
+}
+
+/**
+ * Open the release dialog for a reservation in the list
+ * @param {string} reservationId - Reservation ID
+ */
+function openReleaseReservation(reservationId) {
+  const reservation = listedReservations.find(existing => existing.id === reservationId);
+  if (!reservation) return;
+
+  const remaining = reservation.quantity - (reservation.fulfilled_quantity || 0);
+  document.getElementById('release-reservation-id').value = reservation.id;
+  document.getElementById('release-reservation-summary').textContent =
+    `${remaining} ${reservation.item_description} reserved for ${reservation.customer_name} will go back on sale.`;
+  document.getElementById('release-reason').value = '';
+
+  const modal = new bootstrap.Modal(document.getElementById('releaseReservationModal'));
+  modal.show();
+}
+
+/**
+ * Release the reservation in the release dialog
+ */
+async function confirmReleaseReservation() {
+  const button = document.getElementById('confirm-release-btn');
+  const originalText = button.innerHTML;
+
+  try {
+    button.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Releasing...';
+    button.disabled = true;
+
+    const result = await window.electronAPI.releaseReservation(
+      document.getElementById('release-reservation-id').value,
+      document.getElementById('release-reason').value
+    );
+
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to release the reservation');
+    }
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('releaseReservationModal'));
+    if (modal) modal.hide();
+
+    await loadReservationList();
+
+    showReservationMessage(`Stock reserved for ${result.reservation.customer_name} is back on sale`, 'success', 'Reservation Released');
+  } catch (error) {
+    console.error('Error releasing reservation:', error);
+    showReservationMessage(`Error: ${error.message}`, 'error', 'Release Reservation');
+  } finally {
+    button.innerHTML = originalText;
+    button.disabled = false;
+  }
+}
+
+// Initialize the reservations module when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  const reservationsModal = document.getElementById('reservationsModal');
+  if (!reservationsModal || !window.electronAPI || typeof window.electronAPI.getReservations !== 'function') {
+    return;
+  }
+
+  reservationsModal.addEventListener('show.bs.modal', loadReservationList);
+  document.getElementById('reservation-status-filter').addEventListener('change', loadReservationList);
+  document.getElementById('reserve-stock-form').addEventListener('submit', handleSaveReservation);
+  document.getElementById('confirm-release-btn').addEventListener('click', confirmReleaseReservation);
+});
+
+// Export functions to global scope
+window.StockReservations = {
+  loadReservationList,
+  openReserveStock,
+  openReleaseReservation
+};
@@ -0,0 +1,415 @@
+/**
+ * stock-takes.js
+ * Physical stock takes. Starting one freezes what the books expect for a location (or all
+ * of them) and a category (or all of them); counts are then entered by scanning or typing an
+ * item's code, or in the lines table. Variances and what they are worth show as counts come
+ * in, and posting adjusts stock for every counted line at once.
+ */
+
+/**
+ * Labels and badge colours for stock take statuses
+ */
+const STOCK_TAKE_STATUS_LABELS = {
+  counting: { text: 'Counting', badge: 'bg-warning' },
+  posted: { text: 'Posted', badge: 'bg-success' },
+  cancelled: { text: 'Cancelled', badge: 'bg-danger' }
+};
+
+// Stock take open in the session dialog, with its summary
+let currentStockTake = null;
+let currentStockTakeSummary = null;
+
+/**
+ * Show a notification, falling back to alert()
+ * @param {string} message - Message text
+ * @param {string} type - 'success', 'error', 'warning' or 'info'
+ * @param {string} title - Notification title
+ */
+function showStockTakeMessage(message, type, title) {
+  if (window.NotificationSystem) {
+    window.NotificationSystem.show(message, { type, title });
+  } else {
+    alert(message);
+  }
+}
+
+/**
+ * Format an amount for display
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted amount
+ */
+function formatStockTakeAmount(amount) {
+  return `TZsh ${(parseFloat(amount) || 0).toFixed(2)}`;
+}
+
+/**
+ * Name of a location, or "All Locations" for a stock take of every location
+ * @param {string|null} locationId - Location ID
+ * @returns {string} Location name
+ */
+function getStockTakeLocationName(locationId) {
+  if (!locationId) return 'All Locations';
+  return window.StockLocations ? window.StockLocations.getLocationName(locationId) : locationId;
+}
+
+/**
+ * Copy the categories of the inventory filter into the start form, keeping its choice
+ */
+function populateStockTakeCategories() {
+  const filter = document.getElementById('filter-category');
+  const select = document.getElementById('stock-take-category');
+  if (!filter || !select) return;
+
+  const selected = select.value;
+  select.innerHTML = filter.innerHTML;
+  select.value = selected;
+}
+
+/**
+ * Load stock takes into the list, applying the status filter
+ */
+async function loadStockTakeList() {
+  const tbody = document.getElementById('stock-takes-table-body');
+  if (!tbody) return;
+
+  const status = document.getElementById('stock-take-status-filter').value;
+  const stockTakes = await window.electronAPI.getStockTakes(status ? { status } : {}) || [];
+
+  if (stockTakes.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" class="text-center">No stock takes found</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = stockTakes.map(stockTake => {
+    const statusInfo = STOCK_TAKE_STATUS_LABELS[stockTake.status] || { text: stockTake.status, badge: 'bg-secondary' };
+    const summary = stockTake.summary || {};
+    const net = summary.netValue || 0;
+
+    return `
+      <tr>
+        <td>${Utils.escapeHTML(stockTake.stock_take_number)}</td>
+        <td>${new Date(stockTake.created_at).toLocaleDateString()}</td>
+        <td>${Utils.escapeHTML(getStockTakeLocationName(stockTake.location_id))}</td>
+        <td>${Utils.escapeHTML(stockTake.category || 'All Categories')}</td>
+        <td>${summary.countedCount || 0} of ${summary.lineCount || 0}</td>
+        <td class="${net < 0 ? 'text-danger' : (net > 0 ? 'text-success' : '')}">${formatStockTakeAmount(net)}</td>
+        <td><span class="badge ${statusInfo.badge}">${statusInfo.text}</span></td>
+        <td class="actions">
+          <button class="btn btn-sm btn-icon btn-primary" onclick="openStockTake('${stockTake.id}')" title="${stockTake.status === 'counting' ? 'Count' : 'View'}"><i class="fas ${stockTake.status === 'counting' ? 'fa-clipboard-check' : 'fa-eye'}"></i></button>
+          <button class="btn btn-sm btn-icon btn-info" onclick="printCountSheets('${stockTake.id}')" title="Print count sheets"><i class="fas fa-print"></i></button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Start a stock take from the start form and open it for counting
+ * @param {Event} event - The submit event
+ */
+async function handleStartStockTake(event) {
+  event.preventDefault();
+
+  try {
+    const result = await window.electronAPI.startStockTake({
+      locationId: document.getElementById('stock-take-location').value,
+      category: document.getElementById('stock-take-category').value,
+      groupBy: document.getElementById('stock-take-group-by').value,
+      notes: document.getElementById('stock-take-notes').value
+    });
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to start stock take');
+    }
+
+    document.getElementById('stock-take-notes').value = '';
+    await loadStockTakeList();
+    showStockTakeMessage(`${result.stockTake.stock_take_number} started with ${result.summary.lineCount} line(s) to count`, 'success', 'Stock Take Started');
+    showStockTake(result.stockTake, result.summary);
+  } catch (error) {
+    console.error('Error starting stock take:', error);
+    showStockTakeMessage(`Error: ${error.message}`, 'error', 'Stock Take Not Started');
+  }
+}
+
+/**
+ * Load a stock take and open it in the session dialog
+ * @param {string} stockTakeId - Stock take ID
+ */
+async function openStockTake(stockTakeId) {
+  const result = await window.electronAPI.getStockTake(stockTakeId);
+  if (!result || !result.success) {
+    showStockTakeMessage(`Error: ${(result && result.error) || 'Stock take not found'}`, 'error', 'Stock Take');
+    return;
+  }
+  showStockTake(result.stockTake, result.summary);
+}
+
+/**
+ * Show a stock take in the session dialog
+ * @param {Object} stockTake - Stock take
+ * @param {Object} summary - Its summary, with the lines and their variances
+ */
+function showStockTake(stockTake, summary) {
+  currentStockTake = stockTake;
+  currentStockTakeSummary = summary;
+
+  const counting = stockTake.status === 'counting';
+  const details = [
+    getStockTakeLocationName(stockTake.location_id),
+    stockTake.category || 'All Categories',
+    `started by ${stockTake.created_by || 'unknown'}`
+  ];
+  document.getElementById('stock-take-session-title').textContent = stockTake.stock_take_number;
+  document.getElementById('stock-take-session-details').textContent = details.join(' · ') + (stockTake.notes ? ` · ${stockTake.notes}` : '');
+  document.getElementById('stock-take-count-form').style.display = counting ? '' : 'none';
+  document.getElementById('stock-take-count-location-group').style.display = stockTake.location_id ? 'none' : '';
+  document.getElementById('post-stock-take-btn').style.display = counting ? '' : 'none';
+  document.getElementById('cancel-stock-take-btn').style.display = counting ? '' : 'none';
+
+  renderStockTakeLines();
+
+  const modalElement = document.getElementById('stockTakeSessionModal');
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+  if (counting) {
+    setTimeout(() => document.getElementById('stock-take-code').focus(), 300);
+  }
+}
+
+/**
+ * Fill the lines table and the totals of the stock take in the session dialog
+ */
+function renderStockTakeLines() {
+  const tbody = document.getElementById('stock-take-lines-body');
+  if (!tbody || !currentStockTakeSummary) return;
+
+  const counting = currentStockTake.status === 'counting';
+  const show = document.getElementById('stock-take-line-filter').value;
+  const lines = currentStockTakeSummary.lines
+    .map((line, index) => ({ ...line, index }))
+    .filter(line => show === 'uncounted' ? line.variance === null : (show === 'variances' ? line.variance : true));
+
+  if (lines.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" class="text-center">No lines to show</td></tr>';
+  } else {
+    tbody.innerHTML = lines.map(line => {
+      const counted = line.counted_quantity === null || line.counted_quantity === undefined ? '' : line.counted_quantity;
+      const varianceClass = line.variance < 0 ? 'text-danger' : (line.variance > 0 ? 'text-success' : '');
+
+      return `
+        <tr>
+          <td>${Utils.escapeHTML(line.item_description)}${line.dimension ? ` <small class="text-secondary">${Utils.escapeHTML(line.dimension)}</small>` : ''}</td>
+          <td>${Utils.escapeHTML(line.sku || '-')}</td>
+          <td>${Utils.escapeHTML(getStockTakeLocationName(line.location_id))}</td>
+          <td>${line.expected_quantity} ${Utils.escapeHTML(line.unit || '')}</td>
+          <td>
+            <input type="number" class="form-control form-control-sm stock-take-line-count" min="0" step="any" value="${counted}"
+              data-line-index="${line.index}" ${counting && !line.posted ? '' : 'disabled'}>
+          </td>
+          <td class="${varianceClass}">${line.variance === null ? '-' : (line.variance > 0 ? `+${line.variance}` : line.variance)}</td>
+          <td class="${varianceClass}">${line.variance_value === null ? '-' : formatStockTakeAmount(line.variance_value)}</td>
+          <td>${line.posted ? '<span class="badge bg-success">Posted</span>' : ''}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  const summary = currentStockTakeSummary;
+  document.getElementById('stock-take-counted').textContent = `${summary.countedCount} of ${summary.lineCount}`;
+  document.getElementById('stock-take-variance-count').textContent = summary.varianceCount;
+  document.getElementById('stock-take-over-value').textContent = formatStockTakeAmount(summary.overValue);
+  document.getElementById('stock-take-short-value').textContent = formatStockTakeAmount(summary.shortValue);
+  document.getElementById('stock-take-net-value').textContent = formatStockTakeAmount(summary.netValue);
+}
+
+/**
+ * Record a count and show the result in the session dialog
+ * @param {Object} count - code or itemId, locationId, quantity and add
+ * @returns {Promise<Object|null>} The counted line, or null when the count was not recorded
+ */
+async function recordStockTakeCount(count) {
+  try {
+    const result = await window.electronAPI.recordStockTakeCount({ stockTakeId: currentStockTake.id, ...count });
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to record count');
+    }
+
+    const refreshed = await window.electronAPI.getStockTake(currentStockTake.id);
+    if (refreshed && refreshed.success) {
+      currentStockTake = refreshed.stockTake;
+      currentStockTakeSummary = refreshed.summary;
+    }
+    renderStockTakeLines();
+    return result.line;
+  } catch (error) {
+    console.error('Error recording count:', error);
+    showStockTakeMessage(`Error: ${error.message}`, 'error', 'Count Not Recorded');
+    return null;
+  }
+}
+
+/**
+ * Record the count of the scanned or typed code. Each scan adds its quantity to what has
+ * been counted of the item so far.
+ * @param {Event} event - The submit event
+ */
+async function handleScanCount(event) {
+  event.preventDefault();
+
+  const codeInput = document.getElementById('stock-take-code');
+  const quantityInput = document.getElementById('stock-take-quantity');
+  const code = codeInput.value.trim();
+  if (!code) return;
+
+  const line = await recordStockTakeCount({
+    code,
+    locationId: currentStockTake.location_id || document.getElementById('stock-take-count-location').value,
+    quantity: quantityInput.value || 1,
+    add: true
+  });
+
+  document.getElementById('stock-take-last-count').textContent = line
+    ? `${line.item_description}: ${line.counted_quantity} counted`
+    : '';
+  codeInput.value = '';
+  quantityInput.value = 1;
+  codeInput.focus();
+}
+
+/**
+ * Record a count typed into the lines table, replacing what was counted before
+ * @param {Event} event - The change event
+ */
+async function handleLineCountChange(event) {
+  const input = event.target;
+  if (!input.classList.contains('stock-take-line-count') || input.value === '') return;
+
+  const line = currentStockTakeSummary.lines[parseInt(input.dataset.lineIndex, 10)];
+  if (!line) return;
+
+  await recordStockTakeCount({ itemId: line.item_id, locationId: line.location_id, quantity: input.value, add: false });
+}
+
+/**
+ * Post the variances of the stock take in the session dialog as stock adjustments
+ */
+async function postCurrentStockTake() {
+  const summary = currentStockTakeSummary;
+  const uncounted = summary.uncountedCount > 0
+    ? `\n${summary.uncountedCount} line(s) have not been counted and will be left as they are.`
+    : '';
+  if (!confirm(`Post ${summary.varianceCount} variance(s) from ${currentStockTake.stock_take_number}? ` +
+    `Net value ${formatStockTakeAmount(summary.netValue)}.${uncounted}`)) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.postStockTake(currentStockTake.id);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to post stock take');
+    }
+
+    showStockTake(result.stockTake, result.summary);
+    await refreshAfterStockTake();
+    showStockTakeMessage(`${result.stockTake.stock_take_number} posted with ${result.adjusted} adjustment(s)`, 'success', 'Stock Take Posted');
+  } catch (error) {
+    console.error('Error posting stock take:', error);
+    await refreshAfterStockTake();
+    showStockTakeMessage(`Error: ${error.message}`, 'error', 'Post Stock Take');
+  }
+}
+
+/**
+ * Cancel the stock take in the session dialog
+ */
+async function cancelCurrentStockTake() {
+  if (!confirm(`Cancel ${currentStockTake.stock_take_number}? Its counts will not be posted.`)) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.cancelStockTake(currentStockTake.id);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to cancel stock take');
+    }
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('stockTakeSessionModal')).hide();
+    await loadStockTakeList();
+    showStockTakeMessage(`${result.stockTake.stock_take_number} cancelled`, 'success', 'Stock Take Cancelled');
+  } catch (error) {
+    console.error('Error cancelling stock take:', error);
+    showStockTakeMessage(`Error: ${error.message}`, 'error', 'Cancel Stock Take');
+  }
+}
+
+/**
+ * Reload the stock take list and the inventory table after stock has changed
+ */
+async function refreshAfterStockTake() {
+  await loadStockTakeList();
+  if (currentStockTake && currentStockTake.status === 'counting') {
+    const refreshed = await window.electronAPI.getStockTake(currentStockTake.id);
+    if (refreshed && refreshed.success) {
+      currentStockTake = refreshed.stockTake;
+      currentStockTakeSummary = refreshed.summary;
+      renderStockTakeLines();
+    }
+  }
+  if (typeof window.refreshInventoryData === 'function') {
+    await window.refreshInventoryData(false);
+  }
+}
+
+/**
+ * Save the count sheets of a stock take as a PDF and open it to print
+ * @param {string} stockTakeId - Stock take ID
+ */
+async function printCountSheets(stockTakeId) {
+  try {
+    const result = await window.electronAPI.generateCountSheets(stockTakeId);
+    if (result && result.success) {
+      await window.electronAPI.openFile(result.filePath);
+    } else if (result && result.error !== 'Cancelled by user') {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    console.error('Error generating count sheets:', error);
+    showStockTakeMessage(`Error: ${error.message}`, 'error', 'Count Sheets');
+  }
+}
+
+// Initialize when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  const stockTakesModal = document.getElementById('stockTakesModal');
+  if (!stockTakesModal || !window.electronAPI || typeof window.electronAPI.getStockTakes !== 'function') {
+    return;
+  }
+
+  stockTakesModal.addEventListener('show.bs.modal', () => {
+    populateStockTakeCategories();
+    loadStockTakeList();
+  });
+
+  document.getElementById('stock-take-status-filter').addEventListener('change', loadStockTakeList);
+  document.getElementById('stock-take-start-form').addEventListener('submit', handleStartStockTake);
+  document.getElementById('stock-take-count-form').addEventListener('submit', handleScanCount);
+  document.getElementById('stock-take-line-filter').addEventListener('change', renderStockTakeLines);
+  document.getElementById('stock-take-lines-body').addEventListener('change', handleLineCountChange);
+  document.getElementById('print-count-sheets-btn').addEventListener('click', () => printCountSheets(currentStockTake.id));
+  document.getElementById('post-stock-take-btn').addEventListener('click', postCurrentStockTake);
+  document.getElementById('cancel-stock-take-btn').addEventListener('click', cancelCurrentStockTake);
+
+  if (typeof window.electronAPI.onStockTakeUpdated === 'function') {
+    window.electronAPI.onStockTakeUpdated(() => {
+      if (stockTakesModal.classList.contains('show')) {
+        loadStockTakeList();
+      }
+    });
+  }
+});
+
+// Export functions to global scope
+window.StockTakes = {
+  loadStockTakeList,
+  openStockTake,
+  printCountSheets
+};
@@ -63,6 +63,17 @@ window.Utils = {
       console.error('Error converting date to ISO string:', error);
       return new Date().toISOString();
     }
+  },
+  
+  /**
+   * Escape text before inserting it into markup, attribute values included
+   * @param {*} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHTML: function(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 };
 
@@ -1,6 +1,155 @@
 const fs = require('fs');
 const PDFDocument = require('pdfkit');
 const moment = require('moment');
+const { summarizeTenders } = require('../main/payments');
+const { describeUnit } = require('../main/units');
+const { getCutLength } = require('../main/offcuts');
+
+/**
+ * Discount on a sale line as printed in the items table
+ * @param {Object} item - Sale line
+ * @returns {string} e.g. "-TZsh 300 (10%)", or an empty string without a discount
+ */
+function formatLineDiscount(item) {
+  const amount = parseFloat(item.discount) || 0;
+  if (amount <= 0) return '';
+  
+  const type = item.discountType || item.discount_type;
+  const value = parseFloat(item.discountValue !== undefined ? item.discountValue : item.discount_value) || 0;
+  return type === 'percent' ? `-TZsh ${amount.toLocaleString()} (${value}%)` : `-TZsh ${amount.toLocaleString()}`;
+}
+
+/**
+ * Quantity of a sale or quotation line with the unit it was sold in
+ * @param {Object} item - Sale line
+ * @returns {string} e.g. "3 lengths", "2 × 2.5 m" for pieces cut to length, or the bare quantity for lines saved without a unit
+ */
+function formatLineQuantity(item) {
+  const quantity = parseFloat(item.quantity) || 0;
+  const cutLength = getCutLength(item);
+  if (cutLength > 0) {
+    return `${quantity} × ${cutLength} m`;
+  }
+  return item.unit ? `${quantity} ${describeUnit(item.unit, quantity !== 1)}` : String(quantity);
+}
+
+/**
+ * Discount rows printed above the total of a receipt or invoice
+ * @param {Object} sale - Sale
+ * @returns {Array<{label: string, value: string}>} Rows, empty when the sale has no discounts
+ */
+function getDiscountSummary(sale) {
+  const discountTotal = parseFloat(sale.discountTotal !== undefined ? sale.discountTotal : sale.discount_total) || 0;
+  if (discountTotal <= 0) return [];
+  
+  const grossAmount = parseFloat(sale.grossAmount !== undefined ? sale.grossAmount : sale.gross_amount) || 0;
+  const invoiceDiscount = parseFloat(sale.invoiceDiscountAmount !== undefined ? sale.invoiceDiscountAmount : sale.invoice_discount) || 0;
+  const lineDiscounts = discountTotal - invoiceDiscount;
+  const invoiceDiscountType = sale.invoiceDiscountType || sale.invoice_discount_type;
+  const invoiceDiscountValue = parseFloat(sale.invoiceDiscountValue !== undefined ? sale.invoiceDiscountValue : sale.invoice_discount_value) || 0;
+  
+  const rows = [{ label: 'Subtotal before discounts', value: `TZsh ${grossAmount.toLocaleString()}` }];
+  if (lineDiscounts > 0.005) {
+    rows.push({ label: 'Line discounts', value: `-TZsh ${lineDiscounts.toLocaleString()}` });
+  }
+  if (invoiceDiscount > 0) {
+    rows.push({
+      label: invoiceDiscountType === 'percent' ? `Invoice discount (${invoiceDiscountValue}%)` : 'Invoice discount',
+      value: `-TZsh ${invoiceDiscount.toLocaleString()}`
+    });
+  }
+  rows.push({ label: 'Total discount', value: `-TZsh ${discountTotal.toLocaleString()}` });
+  
+  const reason = sale.discountReason || sale.discount_reason;
+  if (reason) {
+    rows.push({ label: 'Reason', value: reason });
+  }
+  return rows;
+}
+
+/**
+ * VAT rows printed above the total of a receipt or invoice, one per tax class and rate
+ * @param {Object} sale - Sale
+ * @returns {Array<{label: string, value: string}>} Rows, empty when the sale carries no VAT details
+ */
+function getTaxSummary(sale) {
+  const pricesIncludeTax = sale.pricesIncludeTax !== undefined ? sale.pricesIncludeTax : sale.prices_include_tax !== 0;
+  const suffix = pricesIncludeTax ? ' (included)' : '';
+  
+  // Sales made before tax classes carry a single VAT amount
+  if (!Array.isArray(sale.taxSummary)) {
+    const vatAmount = parseFloat(sale.vatAmount !== undefined ? sale.vatAmount : sale.tax_amount) || 0;
+    if (vatAmount <= 0) return [];
+    const rate = sale.vatRate ? ` ${sale.vatRate}%` : '';
+    return [{ label: `VAT${rate}${suffix}`, value: `TZsh ${vatAmount.toLocaleString()}` }];
+  }
+  
+  return sale.taxSummary.map(group => group.exempt
+    ? { label: `${group.name} (no VAT)`, value: `TZsh ${group.taxableAmount.toLocaleString()}` }
+    : { label: `VAT ${group.rate}% on ${group.taxableAmount.toLocaleString()}${suffix}`, value: `TZsh ${group.taxAmount.toLocaleString()}` });
+}
+
+/**
+ * Payment rows printed below the total: each tender with its reference, the cash
+ * tendered and change given, and any balance left on the customer's account
+ * @param {Object} sale - Sale
+ * @returns {Array<{label: string, value: string}>} Rows, empty for sales saved without tenders
+ */
+function getPaymentSummary(sale) {
+  if (!Array.isArray(sale.payments) || sale.payments.length === 0) return [];
+  
+  const rows = sale.payments.map(payment => ({
+    label: payment.reference ? `${payment.method} (Ref: ${payment.reference})` : `Paid by ${payment.method}`,
+    value: `TZsh ${(parseFloat(payment.amount) || 0).toLocaleString()}`
+  }));
+  
+  const changeDue = parseFloat(sale.changeDue !== undefined ? sale.changeDue : sale.change_due) || 0;
+  if (changeDue > 0) {
+    const tendered = parseFloat(sale.amountTendered !== undefined ? sale.amountTendered : sale.amount_tendered) || 0;
+    rows.push({ label: 'Amount tendered', value: `TZsh ${tendered.toLocaleString()}` });
+    rows.push({ label: 'Change', value: `TZsh ${changeDue.toLocaleString()}` });
+  }
+  
+  const balanceDue = parseFloat(sale.balanceDue) || 0;
+  if (sale.onAccount && balanceDue > 0) {
+    rows.push({ label: 'Balance on account', value: `TZsh ${balanceDue.toLocaleString()}` });
+  }
+  return rows;
+}
+
+/**
+ * Print summary rows, such as discounts and VAT, right-aligned above the total box
+ * @param {PDFDocument} doc - Document
+ * @param {Array} rows - Rows from getDiscountSummary(), getTaxSummary() or getPaymentSummary()
+ * @param {number} y - Top of the first row
+ * @param {string} color - Text color
+ * @returns {number} Y position below the last row
+ */
+function drawSummaryRows(doc, rows, y, color) {
+  const x = doc.page.width - 360;
+  
+  rows.forEach(row => {
+    doc.fillColor(color)
+       .font(row.label === 'Total discount' ? 'Helvetica-Bold' : 'Helvetica')
+       .fontSize(10)
+       .text(row.label, x, y, { width: 190 })
+       .text(row.value, x + 190, y, { width: 130, align: 'right' });
+    y += 16;
+  });
+  
+  return y;
+}
+
+/**
+ * Amount due on a sale: the saved total after discounts, or the sum of the lines for older sales
+ * @param {Object} sale - Sale
+ * @param {number} linesTotal - Sum of the line totals
+ * @returns {number} Total
+ */
+function getSaleTotalDue(sale, linesTotal) {
+  const total = parseFloat(sale.totalAmount !== undefined ? sale.totalAmount : sale.total_amount);
+  return isNaN(total) ? linesTotal : total;
+}
 
 /**
  * Generate a sales receipt PDF
@@ -236,11 +385,19 @@ function generateSalesReceipt(filePath, sale) {
            .text(item.description || 'Item', colItem, currentY)
            .text(item.type || 'PVC', colType, currentY)
            .text(item.dimension || '3/4"', colDiameter, currentY)
-           .text(item.quantity.toString(), colQty, currentY)
+           .text(formatLineQuantity(item), colQty, currentY)
            .text(`TZsh ${item.price.toLocaleString()}`, colPrice, currentY)
            .font('Helvetica-Bold') // Make total bold
            .text(`TZsh ${itemTotal.toLocaleString()}`, colTotal, currentY);
         
+        const lineDiscount = formatLineDiscount(item);
+        if (lineDiscount) {
+          doc.font('Helvetica')
+             .fontSize(9)
+             .fillColor(successColor)
+             .text(`Discount ${lineDiscount}`, colItem, currentY + 15);
+        }
+        
         currentY += 30;
         
         // Add a new page if needed
@@ -293,6 +450,13 @@ function generateSalesReceipt(filePath, sale) {
          .dash(5, { space: 5 })
          .stroke();
       
+      // Discounts and VAT, then the amount actually due
+      const summaryRows = [...getDiscountSummary(sale), ...getTaxSummary(sale)];
+      if (summaryRows.length > 0) {
+        currentY = drawSummaryRows(doc, summaryRows, currentY + 20, textColor) - 10;
+      }
+      totalAmount = getSaleTotalDue(sale, totalAmount);
+      
       // Total section with eye-catching design
       const totalBoxWidth = 220;
       const totalBoxHeight = 50;
@@ -324,6 +488,12 @@ function generateSalesReceipt(filePath, sale) {
          .fontSize(18)
          .text(`TOTAL: TZsh ${totalAmount.toLocaleString()}`, totalBoxX + 20, currentY + 35);
       
+      // How the sale was paid, below the total
+      const paymentRows = getPaymentSummary(sale);
+      if (paymentRows.length > 0) {
+        currentY = drawSummaryRows(doc, paymentRows, currentY + 80, textColor) - 70;
+      }
+      
       // Thank you message in a decorative box
       const thankYouY = currentY + 90;
       
@@ -487,9 +657,10 @@ function generateDailySalesReport(filePath, sales, reportDate) {
       const itemTypes = {};
 
       sales.forEach(sale => {
+        let linesTotal = 0;
         sale.items.forEach(item => {
           totalItems += item.quantity;
-          totalAmount += item.quantity * item.price;
+          linesTotal += item.quantity * item.price;
           
           // Count by pipe type
           if (!itemTypes[item.type]) {
@@ -497,6 +668,7 @@ function generateDailySalesReport(filePath, sales, reportDate) {
           }
           itemTypes[item.type] += item.quantity;
         });
+        totalAmount += getSaleTotalDue(sale, linesTotal);
       });
 
       // Format total with thousand separators
@@ -518,6 +690,17 @@ function generateDailySalesReport(filePath, sales, reportDate) {
            .text(`${type}: ${itemTypes[type]} units`);
       });
 
+      // Money taken by tender type, cash after change, for cashing up
+      doc.moveDown()
+         .font('Helvetica-Bold')
+         .text('Payments by Tender:');
+
+      summarizeTenders(sales).forEach(tender => {
+        const formattedTenderAmount = tender.amount.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+        doc.font('Helvetica')
+           .text(`${tender.method}: $${formattedTenderAmount} (${tender.count} ${tender.count === 1 ? 'sale' : 'sales'})`);
+      });
+
       // Sales table
       doc.moveDown()
          .moveDown()
@@ -558,6 +741,7 @@ function generateDailySalesReport(filePath, sales, reportDate) {
         sale.items.forEach(item => {
           saleTotal += item.quantity * item.price;
         });
+        saleTotal = getSaleTotalDue(sale, saleTotal);
 
         // Format total with thousand separators
         const formattedSaleTotal = saleTotal.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2});
@@ -1082,12 +1266,13 @@ function generateInvoicePDF(filePath, sale) {
       
       // Columns with pixel widths
       const columns = [
-        { id: 'item', title: 'ITEM', width: 160 },
-        { id: 'type', title: 'TYPE', width: 70 },
-        { id: 'dimension', title: 'SIZE', width: 60 },
-        { id: 'quantity', title: 'QTY', width: 50, align: 'center' },
-        { id: 'price', title: 'PRICE', width: 90, align: 'right' },
-        { id: 'total', title: 'TOTAL', width: 100, align: 'right' }
+        { id: 'item', title: 'ITEM', width: 105 },
+        { id: 'type', title: 'TYPE', width: 60 },
+        { id: 'dimension', title: 'SIZE', width: 50 },
+        { id: 'quantity', title: 'QTY', width: 60, align: 'center' },
+        { id: 'price', title: 'PRICE', width: 80, align: 'right' },
+        { id: 'discount', title: 'DISCOUNT', width: 70, align: 'right' },
+        { id: 'total', title: 'TOTAL', width: 90, align: 'right' }
       ];
       
       // Calculate x positions
@@ -1190,11 +1375,14 @@ function generateInvoicePDF(filePath, sale) {
               value = item.dimension || '';
               break;
             case 'quantity':
-              value = item.quantity.toString();
+              value = formatLineQuantity(item);
               break;
             case 'price':
               value = `TZsh ${item.price.toLocaleString()}`;
               break;
+            case 'discount':
+              value = formatLineDiscount(item) || '-';
+              break;
             case 'total':
               value = `TZsh ${itemTotal.toLocaleString()}`;
               doc.font('Helvetica-Bold'); // Make total bold
@@ -1214,6 +1402,13 @@ function generateInvoicePDF(filePath, sale) {
          .fillColor(borderColor)
          .fill();
       
+      // Discounts and VAT, then the amount actually due
+      const summaryRows = [...getDiscountSummary(sale), ...getTaxSummary(sale)];
+      if (summaryRows.length > 0) {
+        currentY = drawSummaryRows(doc, summaryRows, currentY + 15, textColor);
+      }
+      totalAmount = getSaleTotalDue(sale, totalAmount);
+      
       const totalSectionY = currentY + 20;
       
       // Create gradient for total box
@@ -1232,8 +1427,14 @@ function generateInvoicePDF(filePath, sale) {
          .fontSize(16)
          .text(`TOTAL: TZsh ${totalAmount.toLocaleString()}`, totalBoxX + 10, totalSectionY + 12);
       
+      // How the sale was paid, below the total
+      const paymentRows = getPaymentSummary(sale);
+      const paymentsBottom = paymentRows.length > 0
+        ? drawSummaryRows(doc, paymentRows, totalSectionY + 55, textColor)
+        : totalSectionY + 40;
+      
       // Terms and conditions section
-      const termsY = totalSectionY + 60;
+      const termsY = paymentsBottom + 20;
       
       doc.rect(40, termsY, doc.page.width - 80, 30)
          .fillColor(headingColor)
@@ -1308,6 +1509,1202 @@ function generateInvoicePDF(filePath, sale) {
   });
 }
 
+/**
+ * Generate a credit note PDF for a sales return
+ * @param {string} filePath - Path to save the PDF
+ * @param {Object} salesReturn - Sales return with credit note number and items
+ * @param {Object} sale - The original sale (optional)
+ * @returns {Promise} - Resolves when PDF is created
+ */
+function generateCreditNotePDF(filePath, salesReturn, sale = null) {
+  return new Promise((resolve, reject) => {
+    try {
+      // Create PDF document
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 40,
+        info: {
+          Title: `Credit Note - ${salesReturn.credit_note_number}`,
+          Author: 'Eliva Hardware Inventory Management System'
+        }
+      });
+
+      // Pipe PDF to file
+      const stream = fs.createWriteStream(filePath);
+      doc.pipe(stream);
+
+      // Red palette so credit notes are never mistaken for invoices
+      const primaryColor = '#b71c1c'; // Deep red
+      const secondaryColor = '#ffebee'; // Light red background
+      const textColor = '#212121'; // Dark text
+      const headingColor = '#880e4f'; // Dark red for headings
+      const borderColor = '#ffcdd2'; // Light red for borders
+
+      // Add header with red gradient
+      const headerHeight = 130;
+      
+      const gradient = doc.linearGradient(0, 0, doc.page.width, headerHeight);
+      gradient.stop(0, '#8e0000')
+             .stop(1, '#c62828');
+             
+      doc.rect(0, 0, doc.page.width, headerHeight)
+         .fill(gradient);
+
+      doc.fillColor('#ffffff')
+         .fontSize(30)
+         .font('Helvetica-Bold')
+         .text('ELIVA HARDWARE', 50, 35, { align: 'center' });
+         
+      doc.fontSize(16)
+         .font('Helvetica')
+         .text('Pipe Inventory Management System', { align: 'center' });
+         
+      doc.fontSize(22)
+         .font('Helvetica-Bold')
+         .text('CREDIT NOTE', { align: 'center' });
+
+      // Credit note details
+      const detailsY = headerHeight + 25;
+      
+      doc.roundedRect(40, detailsY, doc.page.width - 80, 95, 8)
+         .fillColor(secondaryColor)
+         .fill()
+         .strokeColor(borderColor)
+         .lineWidth(1)
+         .roundedRect(40, detailsY, doc.page.width - 80, 95, 8)
+         .stroke();
+
+      const buyer = (sale && sale.buyer) || {};
+      const leftLabels = [
+        ['Credit Note #:', salesReturn.credit_note_number],
+        ['Date:', moment(salesReturn.created_at).format('MMMM DD, YYYY h:mm A')],
+        ['Original Invoice:', salesReturn.invoice_number || (sale && sale.id) || 'N/A']
+      ];
+      const rightLabels = [
+        ['Customer:', salesReturn.customer_name || buyer.name || 'Walk-in Customer'],
+        ['Refund Method:', salesReturn.refund_method || 'Cash'],
+        ['Issued By:', salesReturn.created_by || 'System']
+      ];
+
+      leftLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, 55, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, 160, detailsY + 15 + index * 25, { width: 140 });
+      });
+      
+      rightLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, doc.page.width / 2 + 10, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, doc.page.width / 2 + 110, detailsY + 15 + index * 25, { width: 140 });
+      });
+
+      // Returned items table
+      const tableTop = detailsY + 120;
+      const columns = [
+        { id: 'item', title: 'ITEM RETURNED', width: 245 },
+        { id: 'quantity', title: 'QTY', width: 60, align: 'center' },
+        { id: 'price', title: 'UNIT PRICE', width: 100, align: 'right' },
+        { id: 'total', title: 'CREDIT', width: 110, align: 'right' }
+      ];
+      
+      let xPos = 40;
+      columns.forEach(column => {
+        column.x = xPos;
+        xPos += column.width;
+      });
+      
+      const drawTableHeader = (y) => {
+        doc.rect(40, y, doc.page.width - 80, 25)
+           .fillColor(primaryColor)
+           .fill();
+        
+        doc.fillColor('#ffffff')
+           .font('Helvetica-Bold')
+           .fontSize(10);
+        
+        columns.forEach(column => {
+          doc.text(column.title, column.x + 5, y + 8, { width: column.width - 10, align: column.align || 'left' });
+        });
+      };
+      
+      drawTableHeader(tableTop);
+      let currentY = tableTop + 25;
+
+      (salesReturn.items || []).forEach((item, index) => {
+        if (currentY > doc.page.height - 180) {
+          doc.addPage();
+          currentY = 60;
+          drawTableHeader(currentY);
+          currentY += 25;
+        }
+        
+        if (index % 2 === 0) {
+          doc.rect(40, currentY, doc.page.width - 80, 20)
+             .fillColor(secondaryColor)
+             .fillOpacity(0.6)
+             .fill();
+        }
+        
+        const values = {
+          item: item.product_name || 'Item',
+          quantity: formatLineQuantity(item),
+          price: `TZsh ${(parseFloat(item.unit_price) || 0).toLocaleString()}`,
+          total: `TZsh ${(parseFloat(item.total_price) || 0).toLocaleString()}`
+        };
+        
+        doc.fillOpacity(1)
+           .fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(10);
+        
+        columns.forEach(column => {
+          doc.text(values[column.id], column.x + 5, currentY + 5, { width: column.width - 10, align: column.align || 'left' });
+        });
+        
+        currentY += 20;
+      });
+
+      // Total credit box
+      const totalBoxWidth = 220;
+      const totalBoxX = doc.page.width - totalBoxWidth - 40;
+      const totalSectionY = currentY + 20;
+      
+      doc.roundedRect(totalBoxX, totalSectionY, totalBoxWidth, 40, 5)
+         .fillColor(primaryColor)
+         .fill();
+      
+      doc.fillColor('#ffffff')
+         .font('Helvetica-Bold')
+         .fontSize(15)
+         .text(`CREDIT: TZsh ${(parseFloat(salesReturn.total_amount) || 0).toLocaleString()}`, totalBoxX + 10, totalSectionY + 13, { width: totalBoxWidth - 20, align: 'center' });
+
+      // Reason and notes
+      let notesY = totalSectionY + 65;
+      
+      doc.fillColor(headingColor)
+         .font('Helvetica-Bold')
+         .fontSize(12)
+         .text('Reason for Return:', 40, notesY);
+      
+      doc.fillColor(textColor)
+         .font('Helvetica')
+         .fontSize(11)
+         .text(salesReturn.reason || 'Not specified', 160, notesY, { width: doc.page.width - 200 });
+      
+      if (salesReturn.notes) {
+        notesY += 25;
+        doc.fillColor(headingColor)
+           .font('Helvetica-Bold')
+           .fontSize(12)
+           .text('Notes:', 40, notesY);
+        
+        doc.fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(11)
+           .text(salesReturn.notes, 160, notesY, { width: doc.page.width - 200 });
+      }
+
+      // Signature section
+      const signatureY = notesY + 60;
+      
+      doc.fontSize(10)
+         .font('Helvetica-Bold')
+         .fillColor(textColor)
+         .text('Authorized Signature:', 40, signatureY)
+         .text('Customer Signature:', doc.page.width / 2 + 10, signatureY);
+      
+      doc.moveTo(40, signatureY + 40)
+         .lineTo(200, signatureY + 40)
+         .moveTo(doc.page.width / 2 + 10, signatureY + 40)
+         .lineTo(doc.page.width / 2 + 170, signatureY + 40)
+         .strokeColor(textColor)
+         .stroke();
+
+      // Footer
+      const footerY = doc.page.height - 40;
+      
+      doc.rect(0, footerY, doc.page.width, 40)
+         .fillColor(secondaryColor)
+         .fill();
+      
+      doc.fontSize(9)
+         .font('Helvetica')
+         .fillColor(textColor)
+         .text('Eliva Hardware • +255 123 456 789 • info@eliva.co.tz', 40, footerY + 15, { align: 'center' });
+      
+      // Finalize PDF
+      doc.end();
+      
+      // Handle stream events
+      stream.on('finish', () => {
+        resolve(filePath);
+      });
+      
+      stream.on('error', (err) => {
+        reject(err);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate the pro-forma invoice PDF of a quotation. It shows what the customer will
+ * pay if they buy before the expiry date, and is not a tax invoice.
+ * @param {string} filePath - Path to save the PDF
+ * @param {Object} quotation - Quotation with its lines
+ * @returns {Promise} - Resolves when PDF is created
+ */
+function generateQuotationPDF(filePath, quotation) {
+  return new Promise((resolve, reject) => {
+    try {
+      // Create PDF document
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 40,
+        info: {
+          Title: `Quotation - ${quotation.quote_number}`,
+          Author: 'Eliva Hardware Inventory Management System'
+        }
+      });
+
+      // Pipe PDF to file
+      const stream = fs.createWriteStream(filePath);
+      doc.pipe(stream);
+
+      // Teal palette so a quotation is never mistaken for an invoice
+      const primaryColor = '#00695c'; // Deep teal
+      const secondaryColor = '#e0f2f1'; // Light teal background
+      const textColor = '#212121'; // Dark text
+      const headingColor = '#004d40'; // Dark teal for headings
+      const borderColor = '#b2dfdb'; // Light teal for borders
+
+      // Add header with teal gradient
+      const headerHeight = 130;
+      
+      const gradient = doc.linearGradient(0, 0, doc.page.width, headerHeight);
+      gradient.stop(0, '#004d40')
+             .stop(1, '#00897b');
+             
+      doc.rect(0, 0, doc.page.width, headerHeight)
+         .fill(gradient);
+
+      doc.fillColor('#ffffff')
+         .fontSize(30)
+         .font('Helvetica-Bold')
+         .text('ELIVA HARDWARE', 50, 35, { align: 'center' });
+         
+      doc.fontSize(16)
+         .font('Helvetica')
+         .text('Pipe Inventory Management System', { align: 'center' });
+         
+      doc.fontSize(22)
+         .font('Helvetica-Bold')
+         .text('QUOTATION / PRO-FORMA INVOICE', { align: 'center' });
+
+      // Quotation details
+      const detailsY = headerHeight + 25;
+      
+      doc.roundedRect(40, detailsY, doc.page.width - 80, 95, 8)
+         .fillColor(secondaryColor)
+         .fill()
+         .strokeColor(borderColor)
+         .lineWidth(1)
+         .roundedRect(40, detailsY, doc.page.width - 80, 95, 8)
+         .stroke();
+
+      const buyer = quotation.buyer || {};
+      const leftLabels = [
+        ['Quotation #:', quotation.quote_number],
+        ['Date:', moment(quotation.created_at).format('MMMM DD, YYYY')],
+        ['Valid Until:', moment(quotation.valid_until).format('MMMM DD, YYYY')]
+      ];
+      const rightLabels = [
+        ['Customer:', [buyer.title, buyer.name].filter(Boolean).join(' ') || 'Walk-in Customer'],
+        ['TIN / Phone:', [buyer.tin, buyer.phone].filter(Boolean).join(' / ') || 'N/A'],
+        ['Prepared By:', quotation.created_by || 'System']
+      ];
+
+      leftLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, 55, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, 160, detailsY + 15 + index * 25, { width: 140 });
+      });
+      
+      rightLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, doc.page.width / 2 + 10, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, doc.page.width / 2 + 110, detailsY + 15 + index * 25, { width: 140 });
+      });
+
+      // Quoted items table
+      const tableTop = detailsY + 120;
+      const columns = [
+        { id: 'item', title: 'ITEM', width: 175 },
+        { id: 'quantity', title: 'QTY', width: 70, align: 'center' },
+        { id: 'price', title: 'UNIT PRICE', width: 90, align: 'right' },
+        { id: 'discount', title: 'DISCOUNT', width: 90, align: 'right' },
+        { id: 'total', title: 'AMOUNT', width: 90, align: 'right' }
+      ];
+      
+      let xPos = 40;
+      columns.forEach(column => {
+        column.x = xPos;
+        xPos += column.width;
+      });
+      
+      const drawTableHeader = (y) => {
+        doc.rect(40, y, doc.page.width - 80, 25)
+           .fillColor(primaryColor)
+           .fill();
+        
+        doc.fillColor('#ffffff')
+           .font('Helvetica-Bold')
+           .fontSize(10);
+        
+        columns.forEach(column => {
+          doc.text(column.title, column.x + 5, y + 8, { width: column.width - 10, align: column.align || 'left' });
+        });
+      };
+      
+      drawTableHeader(tableTop);
+      let currentY = tableTop + 25;
+
+      const lines = quotation.items || [];
+      lines.forEach((item, index) => {
+        if (currentY > doc.page.height - 220) {
+          doc.addPage();
+          currentY = 60;
+          drawTableHeader(currentY);
+          currentY += 25;
+        }
+        
+        if (index % 2 === 0) {
+          doc.rect(40, currentY, doc.page.width - 80, 20)
+             .fillColor(secondaryColor)
+             .fillOpacity(0.6)
+             .fill();
+        }
+        
+        const values = {
+          item: [item.description, item.dimension].filter(Boolean).join(' - ') || 'Item',
+          quantity: formatLineQuantity(item),
+          price: `TZsh ${(parseFloat(item.unit_price) || 0).toLocaleString()}`,
+          discount: formatLineDiscount(item) || '-',
+          total: `TZsh ${(parseFloat(item.total) || 0).toLocaleString()}`
+        };
+        
+        doc.fillOpacity(1)
+           .fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(10);
+        
+        columns.forEach(column => {
+          doc.text(values[column.id], column.x + 5, currentY + 5, { width: column.width - 10, align: column.align || 'left' });
+        });
+        
+        currentY += 20;
+      });
+
+      // Discounts and VAT, with the VAT grouped by rate from the quoted lines
+      const taxGroups = {};
+      lines.forEach(line => {
+        const key = line.tax_exempt ? 'exempt' : String(line.tax_rate);
+        taxGroups[key] = taxGroups[key] || { name: 'Exempt', exempt: !!line.tax_exempt, rate: parseFloat(line.tax_rate) || 0, taxableAmount: 0, taxAmount: 0 };
+        taxGroups[key].taxableAmount += parseFloat(line.taxable_amount) || 0;
+        taxGroups[key].taxAmount += parseFloat(line.tax_amount) || 0;
+      });
+      const summaryRows = [
+        ...getDiscountSummary(quotation),
+        ...getTaxSummary({ pricesIncludeTax: !!quotation.prices_include_tax, taxSummary: Object.values(taxGroups) })
+      ];
+      if (summaryRows.length > 0) {
+        currentY = drawSummaryRows(doc, summaryRows, currentY + 15, textColor);
+      }
+
+      // Total box
+      const totalBoxWidth = 220;
+      const totalBoxX = doc.page.width - totalBoxWidth - 40;
+      const totalSectionY = currentY + 20;
+      
+      doc.roundedRect(totalBoxX, totalSectionY, totalBoxWidth, 40, 5)
+         .fillColor(primaryColor)
+         .fill();
+      
+      doc.fillColor('#ffffff')
+         .font('Helvetica-Bold')
+         .fontSize(15)
+         .text(`TOTAL: TZsh ${(parseFloat(quotation.total_amount) || 0).toLocaleString()}`, totalBoxX + 10, totalSectionY + 13, { width: totalBoxWidth - 20, align: 'center' });
+
+      // Terms and notes
+      let notesY = totalSectionY + 65;
+      
+      doc.fillColor(headingColor)
+         .font('Helvetica-Bold')
+         .fontSize(12)
+         .text('Terms:', 40, notesY);
+      
+      doc.fillColor(textColor)
+         .font('Helvetica')
+         .fontSize(10)
+         .text(`Prices are valid until ${moment(quotation.valid_until).format('MMMM DD, YYYY')} and subject to stock ` +
+           'being available when the order is confirmed. This quotation is not a tax invoice.', 160, notesY, { width: doc.page.width - 200 });
+      
+      if (quotation.notes) {
+        notesY += 35;
+        doc.fillColor(headingColor)
+           .font('Helvetica-Bold')
+           .fontSize(12)
+           .text('Notes:', 40, notesY);
+        
+        doc.fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(11)
+           .text(quotation.notes, 160, notesY, { width: doc.page.width - 200 });
+      }
+
+      // Signature section
+      const signatureY = notesY + 60;
+      
+      doc.fontSize(10)
+         .font('Helvetica-Bold')
+         .fillColor(textColor)
+         .text('Authorized Signature:', 40, signatureY)
+         .text('Accepted by Customer:', doc.page.width / 2 + 10, signatureY);
+      
+      doc.moveTo(40, signatureY + 40)
+         .lineTo(200, signatureY + 40)
+         .moveTo(doc.page.width / 2 + 10, signatureY + 40)
+         .lineTo(doc.page.width / 2 + 170, signatureY + 40)
+         .strokeColor(textColor)
+         .stroke();
+
+      // Footer
+      const footerY = doc.page.height - 40;
+      
+      doc.rect(0, footerY, doc.page.width, 40)
+         .fillColor(secondaryColor)
+         .fill();
+      
+      doc.fontSize(9)
+         .font('Helvetica')
+         .fillColor(textColor)
+         .text('Eliva Hardware • +255 123 456 789 • info@eliva.co.tz', 40, footerY + 15, { align: 'center' });
+      
+      // Finalize PDF
+      doc.end();
+      
+      // Handle stream events
+      stream.on('finish', () => {
+        resolve(filePath);
+      });
+      
+      stream.on('error', (err) => {
+        reject(err);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate the Z-report of a closed cash drawer session: expected against counted cash
+ * and the money taken by tender type
+ * @param {string} filePath - Path to save the PDF
+ * @param {Object} session - Closed session with its summary from summarizeCashSession()
+ * @returns {Promise} - Resolves when PDF is created
+ */
+function generateZReportPDF(filePath, session) {
+  return new Promise((resolve, reject) => {
+    try {
+      // Create PDF document
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 40,
+        info: {
+          Title: `Z-Report - ${session.z_report_number}`,
+          Author: 'Eliva Hardware Inventory Management System'
+        }
+      });
+
+      // Pipe PDF to file
+      const stream = fs.createWriteStream(filePath);
+      doc.pipe(stream);
+
+      // Define colors
+      const primaryColor = '#263238'; // Slate
+      const secondaryColor = '#eceff1'; // Light slate background
+      const textColor = '#212121'; // Dark text
+      const headingColor = '#37474f'; // Slate for headings
+      const borderColor = '#cfd8dc'; // Light slate for borders
+      const shortColor = '#c62828'; // Red for a shortage
+      const overColor = '#2e7d32'; // Green for an overage
+
+      const summary = session.summary || {};
+      const money = amount => `TZsh ${(parseFloat(amount) || 0).toLocaleString()}`;
+
+      // Add header
+      const headerHeight = 120;
+      doc.rect(0, 0, doc.page.width, headerHeight)
+         .fillColor(primaryColor)
+         .fill();
+
+      doc.fillColor('#ffffff')
+         .fontSize(28)
+         .font('Helvetica-Bold')
+         .text('ELIVA HARDWARE', 50, 30, { align: 'center' });
+
+      doc.fontSize(14)
+         .font('Helvetica')
+         .text('Pipe Inventory Management System', { align: 'center' });
+
+      doc.fontSize(20)
+         .font('Helvetica-Bold')
+         .text('Z-REPORT', { align: 'center' });
+
+      // Session details
+      const detailsY = headerHeight + 25;
+
+      doc.roundedRect(40, detailsY, doc.page.width - 80, 95, 8)
+         .fillColor(secondaryColor)
+         .fill()
+         .strokeColor(borderColor)
+         .lineWidth(1)
+         .roundedRect(40, detailsY, doc.page.width - 80, 95, 8)
+         .stroke();
+
+      const leftLabels = [
+        ['Z-Report #:', session.z_report_number],
+        ['Counter:', session.counter],
+        ['Cashier:', session.opened_by || 'N/A']
+      ];
+      const rightLabels = [
+        ['Opened:', moment(session.opened_at).format('MMM DD, YYYY h:mm A')],
+        ['Closed:', moment(session.closed_at).format('MMM DD, YYYY h:mm A')],
+        ['Closed By:', session.closed_by || 'N/A']
+      ];
+
+      leftLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, 55, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, 150, detailsY + 15 + index * 25, { width: 150 });
+      });
+
+      rightLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, doc.page.width / 2 + 10, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, doc.page.width / 2 + 95, detailsY + 15 + index * 25, { width: 160 });
+      });
+
+      // Section heading with label and amount rows under it
+      const drawSection = (title, rows, y) => {
+        doc.rect(40, y, doc.page.width - 80, 25)
+           .fillColor(primaryColor)
+           .fill();
+
+        doc.fillColor('#ffffff')
+           .font('Helvetica-Bold')
+           .fontSize(11)
+           .text(title, 50, y + 8);
+
+        y += 25;
+        rows.forEach((row, index) => {
+          if (index % 2 === 0) {
+            doc.rect(40, y, doc.page.width - 80, 22)
+               .fillColor(secondaryColor)
+               .fillOpacity(0.6)
+               .fill();
+          }
+
+          doc.fillOpacity(1)
+             .fillColor(row.color || textColor)
+             .font(row.bold ? 'Helvetica-Bold' : 'Helvetica')
+             .fontSize(11)
+             .text(row.label, 50, y + 6, { width: 300 })
+             .text(row.value, doc.page.width - 250, y + 6, { width: 200, align: 'right' });
+          y += 22;
+        });
+
+        return y;
+      };
+
+      // Cash reconciliation
+      const variance = parseFloat(session.variance) || 0;
+      const varianceLabel = variance < 0 ? 'Variance (short)' : (variance > 0 ? 'Variance (over)' : 'Variance (balanced)');
+      let currentY = drawSection('CASH RECONCILIATION', [
+        { label: 'Opening float', value: money(summary.openingFloat) },
+        { label: 'Cash sales (after change given)', value: money(summary.cashSales) },
+        { label: `Cash received on account (${summary.paymentCount || 0})`, value: money(summary.cashPayments) },
+        { label: `Cash refunds (${summary.refundCount || 0})`, value: `-${money(summary.cashRefunds)}` },
+        { label: 'Expected cash in drawer', value: money(session.expected_cash), bold: true },
+        { label: 'Counted cash', value: money(session.counted_cash), bold: true },
+        {
+          label: varianceLabel,
+          value: money(variance),
+          bold: true,
+          color: variance < 0 ? shortColor : (variance > 0 ? overColor : textColor)
+        }
+      ], detailsY + 120);
+
+      // Sales by tender, cash after change and unpaid balances on account
+      const tenderRows = (summary.tenders || []).map(tender => ({
+        label: `${tender.method} (${tender.count} ${tender.count === 1 ? 'sale' : 'sales'})`,
+        value: money(tender.amount)
+      }));
+      tenderRows.push({ label: `Total sales (${summary.salesCount || 0})`, value: money(summary.salesTotal), bold: true });
+      if (summary.voidedCount > 0) {
+        tenderRows.push({ label: 'Voided sales (not counted)', value: String(summary.voidedCount) });
+      }
+      currentY = drawSection('SALES BY TENDER', tenderRows, currentY + 20);
+
+      // Closing notes
+      if (session.closing_notes) {
+        currentY += 20;
+        doc.fillColor(headingColor)
+           .font('Helvetica-Bold')
+           .fontSize(12)
+           .text('Notes:', 40, currentY);
+
+        doc.fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(11)
+           .text(session.closing_notes, 120, currentY, { width: doc.page.width - 160 });
+        currentY = doc.y;
+      }
+
+      // Signature section
+      const signatureY = currentY + 40;
+
+      doc.fontSize(10)
+         .font('Helvetica-Bold')
+         .fillColor(textColor)
+         .text('Cashier Signature:', 40, signatureY)
+         .text('Manager Signature:', doc.page.width / 2 + 10, signatureY);
+
+      doc.moveTo(40, signatureY + 40)
+         .lineTo(200, signatureY + 40)
+         .moveTo(doc.page.width / 2 + 10, signatureY + 40)
+         .lineTo(doc.page.width / 2 + 170, signatureY + 40)
+         .strokeColor(textColor)
+         .stroke();
+
+      // Footer
+      const footerY = doc.page.height - 40;
+
+      doc.rect(0, footerY, doc.page.width, 40)
+         .fillColor(secondaryColor)
+         .fill();
+
+      doc.fontSize(9)
+         .font('Helvetica')
+         .fillColor(textColor)
+         .text(`Printed ${moment().format('MMMM DD, YYYY [at] h:mm A')}`, 40, footerY + 15, { align: 'center' });
+
+      // Finalize PDF
+      doc.end();
+
+      // Handle stream events
+      stream.on('finish', () => {
+        resolve(filePath);
+      });
+
+      stream.on('error', (err) => {
+        reject(err);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate the count sheets of a stock take. They are blind: the quantities the books
+ * expect are left off so counters write down what they find, not what they are told.
+ * @param {string} filePath - Path to save the PDF
+ * @param {Object} stockTake - Stock take
+ * @param {Array} groups - Groups of title and lines from groupCountSheet()
+ * @param {Array} locations - Locations, for their names
+ * @returns {Promise} - Resolves when PDF is created
+ */
+function generateCountSheetsPDF(filePath, stockTake, groups, locations = []) {
+  return new Promise((resolve, reject) => {
+    try {
+      // Create PDF document
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 40,
+        info: {
+          Title: `Count Sheets - ${stockTake.stock_take_number}`,
+          Author: 'Eliva Hardware Inventory Management System'
+        }
+      });
+
+      // Pipe PDF to file
+      const stream = fs.createWriteStream(filePath);
+      doc.pipe(stream);
+
+      // Define colors
+      const primaryColor = '#263238'; // Slate
+      const secondaryColor = '#eceff1'; // Light slate background
+      const textColor = '#212121'; // Dark text
+      const headingColor = '#37474f'; // Slate for headings
+      const borderColor = '#cfd8dc'; // Light slate for borders
+
+      const locationName = locationId => {
+        const location = locations.find(saved => saved.id === locationId);
+        return location ? location.name : (locationId || 'All Locations');
+      };
+
+      // Add header
+      const headerHeight = 120;
+      doc.rect(0, 0, doc.page.width, headerHeight)
+         .fillColor(primaryColor)
+         .fill();
+
+      doc.fillColor('#ffffff')
+         .fontSize(28)
+         .font('Helvetica-Bold')
+         .text('ELIVA HARDWARE', 50, 30, { align: 'center' });
+
+      doc.fontSize(14)
+         .font('Helvetica')
+         .text('Pipe Inventory Management System', { align: 'center' });
+
+      doc.fontSize(20)
+         .font('Helvetica-Bold')
+         .text('STOCK TAKE COUNT SHEETS', { align: 'center' });
+
+      // Stock take details
+      const detailsY = headerHeight + 25;
+
+      doc.roundedRect(40, detailsY, doc.page.width - 80, 70, 8)
+         .fillColor(secondaryColor)
+         .fill()
+         .strokeColor(borderColor)
+         .lineWidth(1)
+         .roundedRect(40, detailsY, doc.page.width - 80, 70, 8)
+         .stroke();
+
+      const leftLabels = [
+        ['Stock Take #:', stockTake.stock_take_number],
+        ['Location:', locationName(stockTake.location_id)]
+      ];
+      const rightLabels = [
+        ['Started:', moment(stockTake.created_at).format('MMM DD, YYYY h:mm A')],
+        ['Category:', stockTake.category || 'All Categories']
+      ];
+
+      leftLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, 55, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, 150, detailsY + 15 + index * 25, { width: 150 });
+      });
+
+      rightLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, doc.page.width / 2 + 10, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, doc.page.width / 2 + 95, detailsY + 15 + index * 25, { width: 160 });
+      });
+
+      // Count table, with a blank column to write the count in
+      const columns = [
+        { id: 'number', title: '#', width: 25 },
+        { id: 'description', title: 'ITEM', width: 150 },
+        { id: 'dimension', title: 'SIZE', width: 70 },
+        { id: 'sku', title: 'SKU', width: 75 },
+        { id: 'location', title: 'LOCATION', width: 80 },
+        { id: 'unit', title: 'UNIT', width: 45 },
+        { id: 'counted', title: 'COUNTED', width: 70 }
+      ];
+
+      let xPos = 40;
+      columns.forEach(column => {
+        column.x = xPos;
+        xPos += column.width;
+      });
+
+      const drawGroupHeader = (title, y) => {
+        doc.rect(40, y, doc.page.width - 80, 25)
+           .fillColor(primaryColor)
+           .fill();
+
+        doc.fillColor('#ffffff')
+           .font('Helvetica-Bold')
+           .fontSize(11)
+           .text(title.toUpperCase(), 50, y + 8);
+
+        y += 25;
+        doc.rect(40, y, doc.page.width - 80, 20)
+           .fillColor(headingColor)
+           .fill();
+
+        doc.fillColor('#ffffff')
+           .font('Helvetica-Bold')
+           .fontSize(8);
+
+        columns.forEach(column => {
+          doc.text(column.title, column.x + 5, y + 6, { width: column.width - 10 });
+        });
+      };
+
+      const drawRow = (values, y, shaded) => {
+        if (shaded) {
+          doc.rect(40, y, doc.page.width - 80, 22)
+             .fillColor(secondaryColor)
+             .fillOpacity(0.6)
+             .fill();
+        }
+
+        doc.fillOpacity(1)
+           .fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(9);
+
+        columns.forEach(column => {
+          doc.text(values[column.id] || '', column.x + 5, y + 7, { width: column.width - 10, lineBreak: false, ellipsis: true });
+        });
+
+        // Box to write the count in
+        const counted = columns[columns.length - 1];
+        doc.rect(counted.x + 4, y + 3, counted.width - 8, 16)
+           .strokeColor(borderColor)
+           .lineWidth(1)
+           .stroke();
+      };
+
+      let currentY = detailsY + 90;
+      let number = 0;
+
+      groups.forEach(group => {
+        if (currentY > doc.page.height - 200) {
+          doc.addPage();
+          currentY = 40;
+        }
+        drawGroupHeader(group.title, currentY);
+        currentY += 45;
+
+        group.lines.forEach((line, index) => {
+          if (currentY > doc.page.height - 100) {
+            doc.addPage();
+            currentY = 40;
+            drawGroupHeader(`${group.title} (continued)`, currentY);
+            currentY += 45;
+          }
+
+          number++;
+          drawRow({
+            number: String(number),
+            description: line.item_description,
+            dimension: line.dimension,
+            sku: line.sku,
+            location: locationName(line.location_id),
+            unit: describeUnit(line.unit, true)
+          }, currentY, index % 2 === 0);
+          currentY += 22;
+        });
+
+        currentY += 15;
+      });
+
+      // Signature section
+      if (currentY > doc.page.height - 120) {
+        doc.addPage();
+        currentY = 40;
+      }
+      const signatureY = currentY + 20;
+
+      doc.fontSize(10)
+         .font('Helvetica-Bold')
+         .fillColor(textColor)
+         .text('Counted By:', 40, signatureY)
+         .text('Checked By:', doc.page.width / 2 + 10, signatureY);
+
+      doc.moveTo(40, signatureY + 40)
+         .lineTo(200, signatureY + 40)
+         .moveTo(doc.page.width / 2 + 10, signatureY + 40)
+         .lineTo(doc.page.width / 2 + 170, signatureY + 40)
+         .strokeColor(textColor)
+         .stroke();
+
+      // Footer
+      const footerY = doc.page.height - 40;
+
+      doc.rect(0, footerY, doc.page.width, 40)
+         .fillColor(secondaryColor)
+         .fill();
+
+      doc.fontSize(9)
+         .font('Helvetica')
+         .fillColor(textColor)
+         .text(`Printed ${moment().format('MMMM DD, YYYY [at] h:mm A')}`, 40, footerY + 15, { align: 'center' });
+
+      // Finalize PDF
+      doc.end();
+
+      // Handle stream events
+      stream.on('finish', () => {
+        resolve(filePath);
+      });
+
+      stream.on('error', (err) => {
+        reject(err);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate a customer statement PDF
+ * @param {string} filePath - Path to save the PDF
+ * @param {Object} customer - The customer
+ * @param {Object} account - Account from getCustomerAccount (statement lines, balances and aging)
+ * @param {Object} options - Statement period (startDate, endDate) and aging buckets
+ * @returns {Promise} - Resolves when PDF is created
+ */
+function generateCustomerStatementPDF(filePath, customer, account, options = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      // Create PDF document
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 40,
+        info: {
+          Title: `Customer Statement - ${customer.name}`,
+          Author: 'Eliva Hardware Inventory Management System'
+        }
+      });
+
+      // Pipe PDF to file
+      const stream = fs.createWriteStream(filePath);
+      doc.pipe(stream);
+
+      // Define colors
+      const primaryColor = '#0d47a1'; // Deep blue
+      const secondaryColor = '#e3f2fd'; // Light blue background
+      const textColor = '#212121'; // Dark text
+      const headingColor = '#1a237e'; // Dark blue for headings
+      const borderColor = '#bbdefb'; // Light blue for borders
+      const formatAmount = (amount) => `TZsh ${(parseFloat(amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+      // Add header with blue gradient
+      const headerHeight = 130;
+      
+      const gradient = doc.linearGradient(0, 0, doc.page.width, headerHeight);
+      gradient.stop(0, '#0d47a1')
+             .stop(1, '#1976d2');
+             
+      doc.rect(0, 0, doc.page.width, headerHeight)
+         .fill(gradient);
+
+      doc.fillColor('#ffffff')
+         .fontSize(30)
+         .font('Helvetica-Bold')
+         .text('ELIVA HARDWARE', 50, 35, { align: 'center' });
+         
+      doc.fontSize(16)
+         .font('Helvetica')
+         .text('Pipe Inventory Management System', { align: 'center' });
+         
+      doc.fontSize(22)
+         .font('Helvetica-Bold')
+         .text('STATEMENT OF ACCOUNT', { align: 'center' });
+
+      // Customer and period details
+      const detailsY = headerHeight + 25;
+      
+      doc.roundedRect(40, detailsY, doc.page.width - 80, 95, 8)
+         .fillColor(secondaryColor)
+         .fill()
+         .strokeColor(borderColor)
+         .lineWidth(1)
+         .roundedRect(40, detailsY, doc.page.width - 80, 95, 8)
+         .stroke();
+
+      const period = options.startDate || options.endDate
+        ? `${options.startDate ? moment(options.startDate).format('MMM DD, YYYY') : 'Opening'} - ${moment(options.endDate || undefined).format('MMM DD, YYYY')}`
+        : 'All activity';
+      const leftLabels = [
+        ['Customer:', customer.name || 'Unknown'],
+        ['Business:', customer.business || 'N/A'],
+        ['TIN:', customer.tin || 'N/A']
+      ];
+      const rightLabels = [
+        ['Statement Date:', moment().format('MMMM DD, YYYY')],
+        ['Period:', period],
+        ['Phone:', customer.phone || 'N/A']
+      ];
+
+      leftLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, 55, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, 160, detailsY + 15 + index * 25, { width: 140 });
+      });
+      
+      rightLabels.forEach(([label, value], index) => {
+        doc.fillColor(headingColor).font('Helvetica-Bold').fontSize(11)
+           .text(label, doc.page.width / 2 + 10, detailsY + 15 + index * 25);
+        doc.fillColor(textColor).font('Helvetica')
+           .text(value, doc.page.width / 2 + 110, detailsY + 15 + index * 25, { width: 150 });
+      });
+
+      // Statement lines with running balance
+      const tableTop = detailsY + 120;
+      const columns = [
+        { id: 'date', title: 'DATE', width: 75 },
+        { id: 'reference', title: 'REFERENCE', width: 95 },
+        { id: 'description', title: 'DESCRIPTION', width: 130 },
+        { id: 'debit', title: 'DEBIT', width: 70, align: 'right' },
+        { id: 'credit', title: 'CREDIT', width: 70, align: 'right' },
+        { id: 'balance', title: 'BALANCE', width: 75, align: 'right' }
+      ];
+      
+      let xPos = 40;
+      columns.forEach(column => {
+        column.x = xPos;
+        xPos += column.width;
+      });
+      
+      const drawTableHeader = (y) => {
+        doc.rect(40, y, doc.page.width - 80, 25)
+           .fillColor(primaryColor)
+           .fill();
+        
+        doc.fillColor('#ffffff')
+           .font('Helvetica-Bold')
+           .fontSize(9);
+        
+        columns.forEach(column => {
+          doc.text(column.title, column.x + 5, y + 8, { width: column.width - 10, align: column.align || 'left' });
+        });
+      };
+      
+      const drawRow = (values, y, shaded) => {
+        if (shaded) {
+          doc.rect(40, y, doc.page.width - 80, 20)
+             .fillColor(secondaryColor)
+             .fillOpacity(0.6)
+             .fill();
+        }
+        
+        doc.fillOpacity(1)
+           .fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(9);
+        
+        columns.forEach(column => {
+          doc.text(values[column.id] || '', column.x + 5, y + 6, { width: column.width - 10, align: column.align || 'left', lineBreak: false, ellipsis: true });
+        });
+      };
+      
+      drawTableHeader(tableTop);
+      let currentY = tableTop + 25;
+      
+      drawRow({
+        date: options.startDate ? moment(options.startDate).format('DD/MM/YYYY') : '',
+        description: 'Opening balance',
+        balance: formatAmount(account.openingBalance)
+      }, currentY, false);
+      currentY += 20;
+
+      (account.entries || []).forEach((entry, index) => {
+        if (currentY > doc.page.height - 200) {
+          doc.addPage();
+          currentY = 60;
+          drawTableHeader(currentY);
+          currentY += 25;
+        }
+        
+        drawRow({
+          date: moment(entry.date).format('DD/MM/YYYY'),
+          reference: entry.reference,
+          description: entry.description,
+          debit: entry.debit ? formatAmount(entry.debit) : '',
+          credit: entry.credit ? formatAmount(entry.credit) : '',
+          balance: formatAmount(entry.balance)
+        }, currentY, index % 2 === 0);
+        
+        currentY += 20;
+      });
+
+      // Aged balance summary
+      const buckets = options.buckets || [];
+      if (currentY > doc.page.height - 180) {
+        doc.addPage();
+        currentY = 40;
+      }
+      
+      const agingY = currentY + 20;
+      const bucketWidth = (doc.page.width - 80) / (buckets.length + 1);
+      
+      [...buckets.map(bucket => [bucket.label, (account.aging || {})[bucket.key]]), ['Amount Due', account.balance]]
+        .forEach(([label, amount], index) => {
+          const x = 40 + index * bucketWidth;
+          const isTotal = index === buckets.length;
+          
+          doc.rect(x, agingY, bucketWidth, 45)
+             .fillColor(isTotal ? primaryColor : secondaryColor)
+             .fill()
+             .strokeColor(borderColor)
+             .rect(x, agingY, bucketWidth, 45)
+             .stroke();
+          
+          doc.fillColor(isTotal ? '#ffffff' : headingColor)
+             .font('Helvetica-Bold')
+             .fontSize(9)
+             .text(label, x, agingY + 8, { width: bucketWidth, align: 'center' });
+          
+          doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+             .fontSize(10)
+             .text(formatAmount(amount), x, agingY + 25, { width: bucketWidth, align: 'center' });
+        });
+
+      doc.fillColor(textColor)
+         .font('Helvetica')
+         .fontSize(10)
+         .text('Please quote the invoice number with your payment. Thank you for your business.', 40, agingY + 65, { align: 'center' });
+
+      // Footer
+      const footerY = doc.page.height - 40;
+      
+      doc.rect(0, footerY, doc.page.width, 40)
+         .fillColor(secondaryColor)
+         .fill();
+      
+      doc.fontSize(9)
+         .font('Helvetica')
+         .fillColor(textColor)
+         .text('Eliva Hardware • +255 123 456 789 • info@eliva.co.tz', 40, footerY + 15, { align: 'center' });
+      
+      // Finalize PDF
+      doc.end();
+      
+      // Handle stream events
+      stream.on('finish', () => {
+        resolve(filePath);
+      });
+      
+      stream.on('error', (err) => {
+        reject(err);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
 /**
  * Generate a generic report PDF
  * @param {string} filePath - Path to save the PDF
@@ -2184,6 +3581,11 @@ module.exports = {
   generateDailySalesReport,
   generateInventoryReport,
   generateInvoicePDF,
+  generateCreditNotePDF,
+  generateQuotationPDF,
+  generateZReportPDF,
+  generateCountSheetsPDF,
+  generateCustomerStatementPDF,
   generateGenericReport,
   generateAnalyticsReport
 };
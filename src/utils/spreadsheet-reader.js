@@ -0,0 +1,254 @@
+/**
+ * Spreadsheet reader
+ * Reads the first sheet of a CSV or XLSX file into a header row and data rows
+ * without pulling in a spreadsheet library
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// ZIP record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Parse CSV text, auto-detecting a comma or semicolon delimiter
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      // Quotes only open at the start of a cell, so inch marks such as 1/2" stay as text
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Map<string, Buffer>} Uncompressed entries by name
+ */
+function readZipEntries(buffer) {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error('File is not a valid XLSX workbook');
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt XLSX workbook');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error('Corrupt XLSX workbook');
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Decode XML character entities
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Join the text runs of a shared or inline string
+ * @param {string} xml - <si> or <is> element contents
+ * @returns {string} String value
+ */
+function readStringItem(xml) {
+  const runs = xml.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || [];
+  return runs.map(run => decodeXml(run.replace(/^<t[^>]*>|<\/t>$/g, ''))).join('');
+}
+
+/**
+ * Convert a column reference (A, B, ..., AA) to a zero-based index
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+function columnIndex(letters) {
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const readEntry = name => (entries.has(name) ? entries.get(name).toString('utf8') : '');
+
+  // Resolve the first sheet through the workbook relationships, falling back to sheet1.xml
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const firstSheet = readEntry('xl/workbook.xml').match(/<sheet\s[^>]*r:id="([^"]+)"/);
+  if (firstSheet) {
+    const relationships = readEntry('xl/_rels/workbook.xml.rels').match(/<Relationship\s[^>]*>/g) || [];
+    const relationship = relationships.find(rel => rel.includes(`Id="${firstSheet[1]}"`));
+    const target = relationship && relationship.match(/Target="([^"]+)"/);
+    if (target) {
+      sheetPath = target[1].startsWith('/') ? target[1].slice(1) : path.posix.join('xl', target[1]);
+    }
+  }
+
+  const sheet = readEntry(sheetPath);
+  if (!sheet) {
+    throw new Error('The workbook has no readable worksheet');
+  }
+
+  const sharedStrings = (readEntry('xl/sharedStrings.xml').match(/<si>[\s\S]*?<\/si>/g) || []).map(readStringItem);
+
+  const rows = [];
+  const rowPattern = /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  let rowMatch;
+
+  while ((rowMatch = rowPattern.exec(sheet)) !== null) {
+    const rowNumber = parseInt((rowMatch[0].match(/\sr="(\d+)"/) || [])[1]) || rows.length + 1;
+    const cells = [];
+    let cellMatch;
+
+    while ((cellMatch = cellPattern.exec(rowMatch[1] || '')) !== null) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = (attributes.match(/\sr="([A-Z]+)\d+"/) || [])[1];
+      const type = (attributes.match(/\st="(\w+)"/) || [])[1];
+      const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+      const raw = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+      let value = raw;
+      if (type === 's') {
+        value = sharedStrings[parseInt(raw)] || '';
+      } else if (type === 'inlineStr') {
+        value = readStringItem(body);
+      } else if (type === 'b') {
+        value = raw === '1' ? 'TRUE' : 'FALSE';
+      }
+
+      cells[ref ? columnIndex(ref) : cells.length] = value;
+    }
+
+    rows[rowNumber - 1] = Array.from(cells, cell => (cell === undefined ? '' : cell));
+  }
+
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Read a CSV or XLSX file into headers and data rows
+ * Blank rows are dropped; each data row keeps its spreadsheet row number
+ * @param {string} filePath - Path to a .csv or .xlsx file
+ * @returns {{headers: Array<string>, rows: Array<{rowNumber: number, cells: Array<string>}>}}
+ */
+function readSpreadsheet(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  let table;
+
+  if (extension === '.csv' || extension === '.txt') {
+    table = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  } else if (extension === '.xlsx') {
+    table = parseXlsx(fs.readFileSync(filePath));
+  } else {
+    throw new Error('Only CSV and XLSX files can be imported');
+  }
+
+  const rows = table
+    .map((cells, index) => ({ rowNumber: index + 1, cells: cells.map(cell => String(cell).trim()) }))
+    .filter(row => row.cells.some(cell => cell !== ''));
+
+  if (rows.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  return { headers: headerRow.cells, rows: dataRows };
+}
+
+module.exports = {
+  readSpreadsheet,
+  parseCsv
+};